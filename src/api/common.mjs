@@ -2,28 +2,79 @@ import express from 'express';
 import log from 'log';
 import { StatusCodes } from '@dyesoft/alea-core';
 import {PAGE_SIZE} from "../database/constants.mjs";
+import { DEFAULT_LOCALE, ErrorCodes, getDefaultErrorCode, negotiateLocale, translate } from '../i18n/index.mjs';
+import { TOO_MANY_REQUESTS } from '../ratelimit/index.mjs';
+import { SessionManager } from '../session.mjs';
+import { FieldError, validateRequestBody } from './validation.mjs';
 
 const logger = log.get('api:common');
 
-/* Error subclass containing an error message and a status code. */
+/*
+ * Error subclass containing an error message, a status code, and (optionally) a list of field errors for invalid requests.
+ * Each error has a stable error code (see ErrorCodes); if no code is given, the generic code for the status code is used.
+ * Errors created from a code (see APIError.fromCode) have their message localized when they are returned to the client,
+ * using the message catalogs and the given parameters (e.g., {roomID: 'abc'}); otherwise, the message is returned unchanged.
+ */
 export class APIError extends Error {
-    constructor(message, status) {
+    constructor(message, status, fieldErrors = null, code = null, params = null) {
         super(message);
         this.status = status;
+        this.fieldErrors = fieldErrors;
+        this.code = code || getDefaultErrorCode(status);
+        this.params = params;
+    }
+
+    /* Return a new APIError with the given error code, status code, message parameters, and field errors, and an English message. */
+    static fromCode(code, status, params = {}, fieldErrors = null) {
+        return new APIError(translate(DEFAULT_LOCALE, 'errors', code, params), status, fieldErrors, code, params || {});
+    }
+
+    /*
+     * Return the given error if it is an APIError, or an APIError with the message and status code of the given error otherwise
+     * (e.g., for errors thrown by overridable methods such as GameAPI.validateNewGame).
+     */
+    static wrap(e) {
+        return (e instanceof APIError ? e : new APIError(e.message, e.status));
+    }
+
+    /* Return the message of the error in the given locale. */
+    getMessage(locale = DEFAULT_LOCALE) {
+        return (this.params ? translate(locale, 'errors', this.code, this.params) : this.message);
     }
 }
 
-/* Custom express error handler function to return API errors as JSON. */
+/*
+ * Custom express error handler function to return API errors as JSON.
+ * The response contains the error message (in the locale of the request), the status code, the error code,
+ * and any field errors (each of which also contains a message and an error code).
+ */
 export function apiErrorHandler(err, req, res, next) {
     if (err instanceof APIError) {
+        const locale = req?.locale || DEFAULT_LOCALE;
+        let response = {error: err.getMessage(locale), status: err.status, code: err.code};
+        if (err.fieldErrors) {
+            response.errors = err.fieldErrors.map(fieldError => (fieldError instanceof FieldError ? fieldError.toResponse(locale) : fieldError));
+        }
         res.status(err.status);
-        res.json({error: err.message, status: err.status});
+        res.json(response);
         next();
     } else {
         next(err);
     }
 }
 
+/*
+ * Returns a custom express middleware function to negotiate the locale of API requests from the Accept-Language header.
+ * The locale is made available to handlers as req.locale, and is returned to the client in the Content-Language header.
+ */
+export function apiLocaleHandler() {
+    return (req, res, next) => {
+        req.locale = negotiateLocale(req.get('Accept-Language'));
+        res.set('Content-Language', req.locale);
+        next();
+    };
+}
+
 /* Returns a custom express middleware function to log API requests using the given logger. */
 export function apiRequestLogHandler(logger) {
     return (req, res, next) => {
@@ -40,6 +91,25 @@ export function apiResponseLogHandler(logger) {
     };
 }
 
+/*
+ * Returns a custom express middleware function to apply the rate limits of the given rate limiter to API requests.
+ * Requests are limited by IP address and by the player identified by the request's session token (if any).
+ * Limited requests fail with a 429 error, and the Retry-After header is set to the number of seconds until the limit resets.
+ */
+export function apiRateLimitHandler(rateLimiter, sessions) {
+    return async (req, res, next) => {
+        const playerID = sessions.verifyToken(sessions.getRequestToken(req));
+        const retryAfter = await rateLimiter.checkRequest(req.method, req.path, req.ip, playerID);
+        if (retryAfter) {
+            logger.warn(`Rate limit exceeded for ${req.method} ${req.path} by ${req.ip}${playerID ? ` (player ${playerID})` : ''}`);
+            res.set('Retry-After', retryAfter.toString());
+            next(APIError.fromCode(ErrorCodes.RATE_LIMITED, TOO_MANY_REQUESTS));
+            return;
+        }
+        next();
+    };
+}
+
 /* Data object used for paginating data sets in JSON responses. */
 export class PaginationResponse {
     constructor(hasMore, total, currentPage, items, itemKey) {
@@ -52,11 +122,17 @@ export class PaginationResponse {
 
 /* APIRouteDefinition encapsulates a router and the handlers for the router's routes. */
 export class APIRouteDefinition {
-    /* Create a new API route definition using the given database connection, websocket server, and mailer. */
-    constructor(db, wss, mailer) {
+    /*
+     * Create a new API route definition using the given database connection, websocket server, mailer, session manager,
+     * and list of admin player IDs.
+     */
+    constructor(db, wss, mailer, sessions, adminPlayerIDs) {
         this.db = db || null;
         this.wss = wss || null;
         this.mailer = mailer || null;
+        this.sessions = sessions || new SessionManager();
+        this.adminPlayerIDs = new Set(adminPlayerIDs || []);
+        this.routeSpecs = [];
         this._router = express.Router();
     }
 
@@ -68,12 +144,31 @@ export class APIRouteDefinition {
     /*
      * Return a wrapper around a handler function to adapt it to the express API, for convenience.
      * The handler should accept a request, response, and error handler function.
-     * The error handler function accepts an error message and status code.
+     * The error handler function accepts an error code (see ErrorCodes), a status code, and the parameters of the error message.
+     * For backwards compatibility, it also accepts a plain error message instead of an error code, which is returned without translation
+     * (using the generic error code for the status code).
+     * If the requireSession option is set, the request must contain a valid session token,
+     * and the ID of the player identified by the session is made available to the handler as req.sessionPlayerID.
+     * If the requireAdmin option is set, the request must contain a valid session token for an admin player.
+     * If the requestBody option is set, the request body must be valid according to the given schema (see validation.mjs),
+     * and the normalized body (e.g., with strings trimmed) replaces req.body before the handler is invoked.
      */
-    wrapHandler(handler) {
+    wrapHandler(handler, options = {}) {
         return async (req, res, next) => {
-            const handleError = (message, status) => next(new APIError(message, status));
+            const handleError = (code, status, params = {}) => next(
+                Object.values(ErrorCodes).includes(code) ? APIError.fromCode(code, status, params) : new APIError(code, status)
+            );
             try {
+                if (options?.requireSession || options?.requireAdmin) {
+                    req.sessionPlayerID = this.getSessionPlayerID(req);
+                }
+                if (options?.requireAdmin && !this.isAdmin(req.sessionPlayerID)) {
+                    logger.error(`Player ${req.sessionPlayerID} attempted to access admin-only route ${req.method} ${req.originalUrl}`);
+                    throw APIError.fromCode(ErrorCodes.ADMIN_REQUIRED, StatusCodes.FORBIDDEN);
+                }
+                if (options?.requestBody) {
+                    req.body = validateRequestBody(options.requestBody, req.body);
+                }
                 await handler(req, res, handleError);
                 next();
             } catch (e) {
@@ -82,6 +177,23 @@ export class APIRouteDefinition {
         };
     }
 
+    /* Return true if the player with the given ID is configured as an admin. */
+    isAdmin(playerID) {
+        return !!playerID && this.adminPlayerIDs.has(playerID);
+    }
+
+    /*
+     * Return the ID of the player identified by the session token in the Authorization header of the given request.
+     * Throws an error if the request does not contain a valid session token.
+     */
+    getSessionPlayerID(req) {
+        const playerID = this.sessions.verifyToken(this.sessions.getRequestToken(req));
+        if (!playerID) {
+            throw APIError.fromCode(ErrorCodes.INVALID_SESSION, StatusCodes.UNAUTHORIZED);
+        }
+        return playerID;
+    }
+
     /*
      * Return the parsed value of the `page` query parameter, or throw an error if the parameter is invalid.
      * If the query parameter is missing, (page) 1 is returned by default.
@@ -90,7 +202,7 @@ export class APIRouteDefinition {
         const pageParam = req.query.page || 1;
         const page = parseInt(pageParam);
         if (isNaN(page) || page < 1) {
-            throw new APIError(`Invalid page "${pageParam}"`, StatusCodes.BAD_REQUEST);
+            throw APIError.fromCode(ErrorCodes.INVALID_PAGE, StatusCodes.BAD_REQUEST, {page: pageParam});
         }
         return page;
     }
@@ -114,11 +226,11 @@ export class APIRouteDefinition {
             total = await count(...args);
         } catch (e) {
             logger.error(`Failed to get count of ${itemKey}: ${e}`);
-            throw new APIError(`Failed to get count of ${itemKey}`, StatusCodes.INTERNAL_SERVER_ERROR);
+            throw APIError.fromCode(ErrorCodes.FAILED_TO_COUNT_ITEMS, StatusCodes.INTERNAL_SERVER_ERROR, {items: itemKey});
         }
 
         if (page > 1 && total <= (page - 1) * PAGE_SIZE) {
-            throw new APIError(`Invalid page "${page}"`, StatusCodes.BAD_REQUEST);
+            throw APIError.fromCode(ErrorCodes.INVALID_PAGE, StatusCodes.BAD_REQUEST, {page: page});
         }
 
         if (total > 0) {
@@ -126,7 +238,7 @@ export class APIRouteDefinition {
                 items = await getPaginatedList(page, ...args);
             } catch (e) {
                 logger.error(`Failed to get ${itemKey}: ${e}`);
-                throw new APIError(`Failed to get ${itemKey}`, StatusCodes.INTERNAL_SERVER_ERROR);
+                throw APIError.fromCode(ErrorCodes.FAILED_TO_GET_ITEMS, StatusCodes.INTERNAL_SERVER_ERROR, {items: itemKey});
             }
             hasMore = (total > page * PAGE_SIZE);
         }
@@ -134,28 +246,44 @@ export class APIRouteDefinition {
         return new PaginationResponse(hasMore, total, page, items, itemKey);
     }
 
-    /* Add a route for requests with the HTTP DELETE method. */
-    delete(path, handler) {
-        this._router.delete(path, this.wrapHandler(handler));
+    /*
+     * Add a route for requests with the given HTTP method, using the given route options (see wrapHandler).
+     * The route is also recorded (along with its options) in routeSpecs so that it can be described in the OpenAPI document.
+     * In addition to the options used by wrapHandler, the following options describe the route in the OpenAPI document:
+     *   summary: a short description of the route;
+     *   query: an object mapping the names of supported query parameters to their schemas;
+     *   requestBody: the schema of the JSON request body, which is also used to validate the request body (see wrapHandler);
+     *   response: the schema of the JSON response body (if omitted, the route responds with no content);
+     *   status: the status code of a successful response (200 by default, or 204 if there is no response body);
+     *   errors: the status codes of the error responses that the route may return.
+     */
+    addRoute(method, path, handler, options = {}) {
+        this.routeSpecs.push({method, path, options});
+        this._router[method](path, this.wrapHandler(handler, options));
+    }
+
+    /* Add a route for requests with the HTTP DELETE method, using the given route options (see addRoute). */
+    delete(path, handler, options = {}) {
+        this.addRoute('delete', path, handler, options);
     }
 
-    /* Add a route for requests with the HTTP GET method. */
-    get(path, handler) {
-        this._router.get(path, this.wrapHandler(handler));
+    /* Add a route for requests with the HTTP GET method, using the given route options (see addRoute). */
+    get(path, handler, options = {}) {
+        this.addRoute('get', path, handler, options);
     }
 
-    /* Add a route for requests with the HTTP PATCH method. */
-    patch(path, handler) {
-        this._router.patch(path, this.wrapHandler(handler));
+    /* Add a route for requests with the HTTP PATCH method, using the given route options (see addRoute). */
+    patch(path, handler, options = {}) {
+        this.addRoute('patch', path, handler, options);
     }
 
-    /* Add a route for requests with the HTTP POST method. */
-    post(path, handler) {
-        this._router.post(path, this.wrapHandler(handler));
+    /* Add a route for requests with the HTTP POST method, using the given route options (see addRoute). */
+    post(path, handler, options = {}) {
+        this.addRoute('post', path, handler, options);
     }
 
-    /* Add a route for requests with the HTTP PUT method. */
-    put(path, handler) {
-        this._router.put(path, this.wrapHandler(handler));
+    /* Add a route for requests with the HTTP PUT method, using the given route options (see addRoute). */
+    put(path, handler, options = {}) {
+        this.addRoute('put', path, handler, options);
     }
 }
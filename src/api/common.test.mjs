@@ -3,11 +3,16 @@ import { StatusCodes } from '@dyesoft/alea-core';
 import {
     APIError,
     apiErrorHandler,
+    apiLocaleHandler,
+    apiRateLimitHandler,
     apiRequestLogHandler,
     apiResponseLogHandler,
     APIRouteDefinition,
     PaginationResponse,
 } from './common.mjs';
+import { ErrorCodes, getDefaultErrorCode } from '../i18n/index.mjs';
+import { MemoryRateLimitStore, RateLimiter, TOO_MANY_REQUESTS } from '../ratelimit/index.mjs';
+import { AUTHORIZATION_HEADER, BEARER_PREFIX, SessionManager } from '../session.mjs';
 
 describe('APIError', () => {
     test('constructor', () => {
@@ -16,6 +21,37 @@ describe('APIError', () => {
         const error = new APIError(errorMessage, status);
         expect(error.message).toEqual(errorMessage);
         expect(error.status).toEqual(status);
+        expect(error.fieldErrors).toBeNull();
+        expect(error.code).toEqual(ErrorCodes.INTERNAL_SERVER_ERROR);
+        expect(error.params).toBeNull();
+    });
+
+    test('constructor with field errors', () => {
+        const fieldErrors = [{field: 'name', message: 'Name is required'}];
+        const error = new APIError('Test error', StatusCodes.BAD_REQUEST, fieldErrors);
+        expect(error.fieldErrors).toBe(fieldErrors);
+    });
+
+    test('fromCode', () => {
+        const error = APIError.fromCode(ErrorCodes.ROOM_NOT_FOUND, StatusCodes.NOT_FOUND, {roomID: 'abc'});
+        expect(error.message).toEqual('Room "abc" not found');
+        expect(error.status).toEqual(StatusCodes.NOT_FOUND);
+        expect(error.code).toEqual(ErrorCodes.ROOM_NOT_FOUND);
+        expect(error.params).toEqual({roomID: 'abc'});
+    });
+
+    test('getMessage localizes message of error created from code', () => {
+        const error = APIError.fromCode(ErrorCodes.ROOM_NOT_FOUND, StatusCodes.NOT_FOUND, {roomID: 'abc'});
+        expect(error.getMessage('es')).toEqual('No se encontró la sala "abc"');
+        expect(new APIError('Test error', StatusCodes.NOT_FOUND).getMessage('es')).toEqual('Test error');
+    });
+
+    test('wrap', () => {
+        const apiError = new APIError('Test error', StatusCodes.BAD_REQUEST);
+        expect(APIError.wrap(apiError)).toBe(apiError);
+        const error = new Error('Test error');
+        error.status = StatusCodes.CONFLICT;
+        expect(APIError.wrap(error)).toEqual(new APIError('Test error', StatusCodes.CONFLICT));
     });
 });
 
@@ -31,10 +67,37 @@ describe('apiErrorHandler', () => {
         expect(mockJSON).toHaveBeenCalledWith({
             error: error.message,
             status: error.status,
+            code: ErrorCodes.INTERNAL_SERVER_ERROR,
         });
         expect(mockNext).toHaveBeenCalledWith();
     });
 
+    test('localizes message using locale of request', () => {
+        const error = APIError.fromCode(ErrorCodes.PLAYER_NOT_FOUND, StatusCodes.NOT_FOUND, {playerID: 'fred'});
+        const mockJSON = jest.fn();
+        const mockRes = {status: jest.fn(), json: mockJSON};
+        apiErrorHandler(error, {locale: 'es'}, mockRes, jest.fn());
+        expect(mockJSON).toHaveBeenCalledWith({
+            error: 'No se encontró el jugador "fred"',
+            status: StatusCodes.NOT_FOUND,
+            code: ErrorCodes.PLAYER_NOT_FOUND,
+        });
+    });
+
+    test('includes field errors', () => {
+        const fieldErrors = [{field: 'name', message: 'Name is required'}];
+        const error = new APIError('Name is required', StatusCodes.BAD_REQUEST, fieldErrors);
+        const mockJSON = jest.fn();
+        const mockRes = {status: jest.fn(), json: mockJSON};
+        apiErrorHandler(error, null, mockRes, jest.fn());
+        expect(mockJSON).toHaveBeenCalledWith({
+            error: error.message,
+            status: error.status,
+            code: ErrorCodes.BAD_REQUEST,
+            errors: fieldErrors,
+        });
+    });
+
     test('passes other errors to next handler', () => {
         const error = new Error('Test error');
         const mockStatus = jest.fn();
@@ -48,6 +111,27 @@ describe('apiErrorHandler', () => {
     });
 });
 
+describe('apiLocaleHandler', () => {
+    test('returns middleware function that negotiates locale of request', () => {
+        const handler = apiLocaleHandler();
+        const mockReq = {get: jest.fn(() => 'es-ES,en;q=0.5')};
+        const mockRes = {set: jest.fn()};
+        const mockNext = jest.fn();
+        handler(mockReq, mockRes, mockNext);
+        expect(mockReq.get).toHaveBeenCalledWith('Accept-Language');
+        expect(mockReq.locale).toEqual('es');
+        expect(mockRes.set).toHaveBeenCalledWith('Content-Language', 'es');
+        expect(mockNext).toHaveBeenCalledWith();
+    });
+
+    test('uses default locale if no supported locale is requested', () => {
+        const handler = apiLocaleHandler();
+        const mockReq = {get: jest.fn(() => undefined)};
+        handler(mockReq, {set: jest.fn()}, jest.fn());
+        expect(mockReq.locale).toEqual('en');
+    });
+});
+
 describe('apiRequestLogHandler', () => {
     test('returns middleware function that logs request info', () => {
         const mockLogger = {
@@ -67,6 +151,37 @@ describe('apiRequestLogHandler', () => {
     });
 });
 
+describe('apiRateLimitHandler', () => {
+    const sessions = new SessionManager();
+    const rateLimiter = new RateLimiter(new MemoryRateLimitStore(), {routes: {'POST /api/test': {limit: 1, windowSeconds: 60}}});
+
+    function getMockRequest(playerID = null) {
+        return {
+            ip: '1.2.3.4',
+            method: 'POST',
+            path: '/api/test',
+            headers: (playerID ? {[AUTHORIZATION_HEADER]: `${BEARER_PREFIX}${sessions.createToken(playerID)}`} : {}),
+        };
+    }
+
+    test('calls next handler if request within limit', async () => {
+        const handler = apiRateLimitHandler(rateLimiter, sessions);
+        const mockNext = jest.fn();
+        await handler({...getMockRequest(), ip: '1.2.3.5'}, {}, mockNext);
+        expect(mockNext).toHaveBeenCalledWith();
+    });
+
+    test('sets Retry-After header and calls next handler with error if request exceeds limit', async () => {
+        const handler = apiRateLimitHandler(rateLimiter, sessions);
+        const mockRes = {set: jest.fn()};
+        const mockNext = jest.fn();
+        await handler(getMockRequest('player'), mockRes, jest.fn());
+        await handler({...getMockRequest('player'), ip: '1.2.3.6'}, mockRes, mockNext);
+        expect(mockRes.set).toHaveBeenCalledWith('Retry-After', expect.stringMatching(/^[0-9]+$/));
+        expect(mockNext).toHaveBeenCalledWith(new APIError('Too many requests', TOO_MANY_REQUESTS));
+    });
+});
+
 describe('apiResponseLogHandler', () => {
     test('returns middleware function that logs response info', () => {
         const mockLogger = {
@@ -108,17 +223,22 @@ describe('APIRouteDefinition', () => {
         test('no arguments', () => {
             const def = new APIRouteDefinition();
             expect(def.db).toBeNull();
+            expect(def.sessions).toBeInstanceOf(SessionManager);
+            expect(def.adminPlayerIDs).toEqual(new Set());
             expect(def._router).toBeDefined();
         });
 
-        test('with DB, websocket server, and mailer', () => {
+        test('with DB, websocket server, mailer, session manager, and admin player IDs', () => {
             const mockDB = {};
             const mockWSS = {};
             const mockMailer = {};
-            const def = new APIRouteDefinition(mockDB, mockWSS, mockMailer);
+            const mockSessions = {};
+            const def = new APIRouteDefinition(mockDB, mockWSS, mockMailer, mockSessions, ['admin']);
             expect(def.db).toBe(mockDB);
             expect(def.wss).toBe(mockWSS);
             expect(def.mailer).toBe(mockMailer);
+            expect(def.sessions).toBe(mockSessions);
+            expect(def.adminPlayerIDs).toEqual(new Set(['admin']));
             expect(def._router).toBeDefined();
         });
     });
@@ -153,6 +273,30 @@ describe('APIRouteDefinition', () => {
             expect(mockNext).toHaveBeenCalledWith(new APIError(errorMessage, status));
         });
 
+        test('API error response - error code', async () => {
+            const def = new APIRouteDefinition();
+            const roomID = 'room';
+            const handler = def.wrapHandler((req, res, error) => error(ErrorCodes.ROOM_NOT_FOUND, StatusCodes.NOT_FOUND, {roomID}));
+            const mockNext = jest.fn();
+            await handler({}, {}, mockNext);
+            const error = mockNext.mock.calls[0][0];
+            expect(error).toEqual(new APIError(`Room "${roomID}" not found`, StatusCodes.NOT_FOUND));
+            expect(error.code).toEqual(ErrorCodes.ROOM_NOT_FOUND);
+            expect(error.getMessage('es')).toEqual(`No se encontró la sala "${roomID}"`);
+        });
+
+        test('API error response - plain message', async () => {
+            const def = new APIRouteDefinition();
+            const errorMessage = 'Test error';
+            const handler = def.wrapHandler((req, res, error) => error(errorMessage, StatusCodes.BAD_REQUEST));
+            const mockNext = jest.fn();
+            await handler({}, {}, mockNext);
+            const error = mockNext.mock.calls[0][0];
+            expect(error.status).toEqual(StatusCodes.BAD_REQUEST);
+            expect(error.code).toEqual(getDefaultErrorCode(StatusCodes.BAD_REQUEST));
+            expect(error.getMessage('es')).toEqual(errorMessage);
+        });
+
         test('unhandled error response', async () => {
             const def = new APIRouteDefinition();
             const error = new Error('Test error');
@@ -165,6 +309,128 @@ describe('APIRouteDefinition', () => {
             expect(mockResJSON).not.toHaveBeenCalled();
             expect(mockNext).toHaveBeenCalledWith(error);
         });
+
+        test('required session missing', async () => {
+            const def = new APIRouteDefinition();
+            const mockHandler = jest.fn();
+            const handler = def.wrapHandler(mockHandler, {requireSession: true});
+            const mockNext = jest.fn();
+            await handler({headers: {}}, {}, mockNext);
+            expect(mockHandler).not.toHaveBeenCalled();
+            expect(mockNext).toHaveBeenCalledWith(new APIError('Invalid or missing session token', StatusCodes.UNAUTHORIZED));
+        });
+
+        test('required session provided', async () => {
+            const def = new APIRouteDefinition();
+            const playerID = 'player';
+            const req = {headers: {[AUTHORIZATION_HEADER]: `${BEARER_PREFIX}${def.sessions.createToken(playerID)}`}};
+            const mockHandler = jest.fn();
+            const handler = def.wrapHandler(mockHandler, {requireSession: true});
+            const mockNext = jest.fn();
+            await handler(req, {}, mockNext);
+            expect(req.sessionPlayerID).toEqual(playerID);
+            expect(mockHandler).toHaveBeenCalled();
+            expect(mockNext).toHaveBeenCalledWith();
+        });
+
+        const REQUEST_BODY_SCHEMA = {type: 'object', required: ['name'], properties: {name: {type: 'string', minLength: 1}}};
+
+        test('invalid request body', async () => {
+            const def = new APIRouteDefinition();
+            const mockHandler = jest.fn();
+            const handler = def.wrapHandler(mockHandler, {requestBody: REQUEST_BODY_SCHEMA});
+            const mockNext = jest.fn();
+            await handler({body: {}}, {}, mockNext);
+            expect(mockHandler).not.toHaveBeenCalled();
+            const error = mockNext.mock.calls[0][0];
+            expect(error).toEqual(new APIError('Name is required', StatusCodes.BAD_REQUEST));
+            expect(error.code).toEqual(ErrorCodes.FIELD_REQUIRED);
+            expect(error.fieldErrors.map(fieldError => fieldError.toResponse())).toEqual([
+                {field: 'name', message: 'Name is required', code: ErrorCodes.FIELD_REQUIRED},
+            ]);
+        });
+
+        test('valid request body is normalized', async () => {
+            const def = new APIRouteDefinition();
+            const req = {body: {name: ' test '}};
+            const mockHandler = jest.fn();
+            const handler = def.wrapHandler(mockHandler, {requestBody: REQUEST_BODY_SCHEMA});
+            const mockNext = jest.fn();
+            await handler(req, {}, mockNext);
+            expect(req.body).toEqual({name: 'test'});
+            expect(mockHandler).toHaveBeenCalled();
+            expect(mockNext).toHaveBeenCalledWith();
+        });
+    });
+
+    describe('wrapHandler - admin routes', () => {
+        const ADMIN_PLAYER_ID = 'admin';
+
+        test('required admin session missing', async () => {
+            const def = new APIRouteDefinition(null, null, null, null, [ADMIN_PLAYER_ID]);
+            const mockHandler = jest.fn();
+            const handler = def.wrapHandler(mockHandler, {requireAdmin: true});
+            const mockNext = jest.fn();
+            await handler({headers: {}}, {}, mockNext);
+            expect(mockHandler).not.toHaveBeenCalled();
+            expect(mockNext).toHaveBeenCalledWith(new APIError('Invalid or missing session token', StatusCodes.UNAUTHORIZED));
+        });
+
+        test('required admin session for non-admin player', async () => {
+            const def = new APIRouteDefinition(null, null, null, null, [ADMIN_PLAYER_ID]);
+            const req = {headers: {[AUTHORIZATION_HEADER]: `${BEARER_PREFIX}${def.sessions.createToken('player')}`}};
+            const mockHandler = jest.fn();
+            const handler = def.wrapHandler(mockHandler, {requireAdmin: true});
+            const mockNext = jest.fn();
+            await handler(req, {}, mockNext);
+            expect(mockHandler).not.toHaveBeenCalled();
+            expect(mockNext).toHaveBeenCalledWith(new APIError('Admin privileges required', StatusCodes.FORBIDDEN));
+        });
+
+        test('required admin session provided', async () => {
+            const def = new APIRouteDefinition(null, null, null, null, [ADMIN_PLAYER_ID]);
+            const req = {headers: {[AUTHORIZATION_HEADER]: `${BEARER_PREFIX}${def.sessions.createToken(ADMIN_PLAYER_ID)}`}};
+            const mockHandler = jest.fn();
+            const handler = def.wrapHandler(mockHandler, {requireAdmin: true});
+            const mockNext = jest.fn();
+            await handler(req, {}, mockNext);
+            expect(req.sessionPlayerID).toEqual(ADMIN_PLAYER_ID);
+            expect(mockHandler).toHaveBeenCalled();
+            expect(mockNext).toHaveBeenCalledWith();
+        });
+    });
+
+    describe('isAdmin', () => {
+        const def = new APIRouteDefinition(null, null, null, null, ['admin']);
+
+        test('returns true for admin player ID', () => {
+            expect(def.isAdmin('admin')).toBeTruthy();
+        });
+
+        test('returns false for other player IDs', () => {
+            expect(def.isAdmin('player')).toBeFalsy();
+            expect(def.isAdmin(null)).toBeFalsy();
+        });
+    });
+
+    describe('getSessionPlayerID', () => {
+        test('throws error for missing token', () => {
+            const def = new APIRouteDefinition();
+            expect(() => def.getSessionPlayerID({headers: {}})).toThrow(APIError);
+        });
+
+        test('throws error for invalid token', () => {
+            const def = new APIRouteDefinition();
+            const req = {headers: {[AUTHORIZATION_HEADER]: `${BEARER_PREFIX}invalid`}};
+            expect(() => def.getSessionPlayerID(req)).toThrow(APIError);
+        });
+
+        test('returns player ID for valid token', () => {
+            const def = new APIRouteDefinition();
+            const playerID = 'player';
+            const req = {headers: {[AUTHORIZATION_HEADER]: `${BEARER_PREFIX}${def.sessions.createToken(playerID)}`}};
+            expect(def.getSessionPlayerID(req)).toEqual(playerID);
+        });
     });
 
     describe('getPageParam', () => {
@@ -243,6 +509,17 @@ describe('APIRouteDefinition', () => {
         });
     });
 
+    test('addRoute records route spec', () => {
+        const def = new APIRouteDefinition();
+        const path = '/test/:widgetID';
+        const options = {requireSession: true, summary: 'Test route'};
+        expect(def.routeSpecs).toHaveLength(0);
+        def.addRoute('get', path, (req, res, error) => res.json({test: true}), options);
+        expect(def.routeSpecs).toEqual([{method: 'get', path, options}]);
+        expect(def._router.stack).toHaveLength(1);
+        expect(def._router.stack[0].route.methods).toEqual({get: true});
+    });
+
     test('delete', () => {
         const def = new APIRouteDefinition();
         const path = '/test';
@@ -0,0 +1,89 @@
+import log from 'log';
+import { StatusCodes } from '@dyesoft/alea-core';
+import { ErrorCodes } from '../i18n/index.mjs';
+import { EmailStatus } from '../mailqueue.mjs';
+import { APIRouteDefinition } from './common.mjs';
+import { paginationSchema, schemaRef } from './openapi.mjs';
+
+const logger = log.get('api:email');
+
+/* Return the given queued email without its body, which may contain single-use tokens and so is never returned by the API. */
+function withoutBody(email) {
+    const { text, html, ...summary } = email;
+    return summary;
+}
+
+/* API route definition for admin endpoints for inspecting and retrying emails in the mail queue. */
+class EmailAPI extends APIRouteDefinition {
+    /* Create a new Email API using the given database connection, admin player IDs, and session manager. */
+    constructor(db, adminPlayerIDs, sessions) {
+        super(db, null, null, sessions, adminPlayerIDs);
+        this.get('/', this.handleGetEmails.bind(this), {
+            requireAdmin: true,
+            summary: 'Get a page of queued emails, optionally filtered by status (e.g., failed emails)',
+            query: {
+                page: {type: 'integer', minimum: 1},
+                status: {type: 'string', enum: Object.values(EmailStatus)},
+            },
+            response: paginationSchema('emails', schemaRef('QueuedEmail')),
+            errors: [StatusCodes.BAD_REQUEST, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+        this.post('/:emailID/retry', this.handleRetryEmail.bind(this), {
+            requireAdmin: true,
+            summary: 'Return a failed email to the mail queue to retry delivering it',
+            response: schemaRef('QueuedEmail'),
+            errors: [StatusCodes.BAD_REQUEST, StatusCodes.NOT_FOUND, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+    }
+
+    /* Handler for GET /email. */
+    async handleGetEmails(req, res, error) {
+        const statusParam = req.query.status;
+        let status = null;
+        if (statusParam) {
+            status = statusParam.toLowerCase();
+            if (!Object.values(EmailStatus).includes(status)) {
+                error(ErrorCodes.INVALID_EMAIL_STATUS, StatusCodes.BAD_REQUEST, {status: statusParam});
+                return;
+            }
+        }
+
+        const getPageOfEmails = async (page, status) => (await this.db.emails.getPageOfEmails(page, status)).map(withoutBody);
+        const response = await this.getPaginationResponse(req, 'emails', this.db.emails.count, getPageOfEmails, [status]);
+
+        res.json(response);
+    }
+
+    /* Handler for POST /email/:emailID/retry. */
+    async handleRetryEmail(req, res, error) {
+        const emailID = req.params.emailID;
+        const email = await this.db.emails.getByID(emailID);
+        if (!email) {
+            error(ErrorCodes.QUEUED_EMAIL_NOT_FOUND, StatusCodes.NOT_FOUND, {emailID});
+            return;
+        }
+        if (email.status !== EmailStatus.FAILED) {
+            error(ErrorCodes.QUEUED_EMAIL_NOT_FAILED, StatusCodes.BAD_REQUEST, {emailID});
+            return;
+        }
+
+        let retried;
+        try {
+            retried = await this.db.emails.retryByID(emailID, new Date());
+        } catch (e) {
+            logger.error(`Failed to retry email ${emailID}: ${e}`);
+            error(ErrorCodes.FAILED_TO_RETRY_QUEUED_EMAIL, StatusCodes.INTERNAL_SERVER_ERROR);
+            return;
+        }
+        if (!retried) {
+            // The email was retried by another request since it was loaded.
+            error(ErrorCodes.QUEUED_EMAIL_NOT_FAILED, StatusCodes.BAD_REQUEST, {emailID});
+            return;
+        }
+
+        res.json(withoutBody(await this.db.emails.getByID(emailID)));
+        logger.info(`Retrying email ${emailID} to "${email.to}" by admin ${req.sessionPlayerID}.`);
+    }
+}
+
+export default EmailAPI;
@@ -0,0 +1,167 @@
+import { StatusCodes } from '@dyesoft/alea-core';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { ErrorCodes } from '../i18n/index.mjs';
+import { EmailStatus, QueuedEmail } from '../mailqueue.mjs';
+import { getTestDB } from '../testutils.mjs';
+import EmailAPI from './email.mjs';
+import { app, sessionHeaders } from './testutils.mjs';
+
+const ADMIN_PLAYER_ID = 'admin';
+const PLAYER_ID = 'player';
+
+/* Return a new queued email with the given status. */
+function queuedEmail(status, to = 'fred@example.com') {
+    const email = new QueuedEmail(to, 'Test subject', 'Test body', '<p>Test body</p>');
+    email.status = status;
+    return email;
+}
+
+describe('EmailAPI', () => {
+    let db;
+    let api;
+
+    beforeAll(async () => {
+        db = await getTestDB();
+        api = new EmailAPI(db, [ADMIN_PLAYER_ID]);
+    });
+
+    beforeEach(async () => {
+        await db.emails.truncate(true);
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await db.close();
+    });
+
+    describe('constructor', () => {
+        test('with DB and admin player IDs', () => {
+            expect(api.db).toBe(db);
+            expect(api.adminPlayerIDs).toEqual(new Set([ADMIN_PLAYER_ID]));
+        });
+
+        test('creates expected routes', () => {
+            expect(api._router.stack).toHaveLength(2);
+
+            const getEmailsRoute = api._router.stack[0].route;
+            expect(getEmailsRoute.path).toEqual('/');
+            expect(getEmailsRoute.methods).toEqual({get: true});
+
+            const retryEmailRoute = api._router.stack[1].route;
+            expect(retryEmailRoute.path).toEqual('/:emailID/retry');
+            expect(retryEmailRoute.methods).toEqual({post: true});
+        });
+    });
+
+    describe('handleGetEmails', () => {
+        const TEST_EMAILS = [
+            queuedEmail(EmailStatus.FAILED, 'fred@example.com'),
+            queuedEmail(EmailStatus.SENT, 'barney@example.com'),
+            queuedEmail(EmailStatus.PENDING, 'wilma@example.com'),
+            queuedEmail(EmailStatus.FAILED, 'betty@example.com'),
+        ];
+
+        test('missing session', async () => {
+            const response = await app(api).get('/');
+            expect(response.status).toEqual(StatusCodes.UNAUTHORIZED);
+        });
+
+        test('player is not admin', async () => {
+            const response = await app(api).get('/').set(sessionHeaders(api, PLAYER_ID));
+            expect(response.status).toEqual(StatusCodes.FORBIDDEN);
+            expect(response.body.code).toEqual(ErrorCodes.ADMIN_REQUIRED);
+        });
+
+        test('invalid status filter', async () => {
+            const response = await app(api).get('/?status=foo').set(sessionHeaders(api, ADMIN_PLAYER_ID));
+            expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
+            expect(response.body.error).toEqual('Invalid email status "foo"');
+            expect(response.body.code).toEqual(ErrorCodes.INVALID_EMAIL_STATUS);
+        });
+
+        test('no results', async () => {
+            const response = await app(api).get('/').set(sessionHeaders(api, ADMIN_PLAYER_ID));
+            expect(response.ok).toBeTruthy();
+            expect(response.body).toEqual({more: false, total: 0, page: 1, emails: []});
+        });
+
+        test('successful pagination response - all emails', async () => {
+            await db.emails.createMany(TEST_EMAILS.map(email => ({...email})));
+            const response = await app(api).get('/').set(sessionHeaders(api, ADMIN_PLAYER_ID));
+            expect(response.ok).toBeTruthy();
+            expect(response.body.total).toEqual(TEST_EMAILS.length);
+            expect(response.body.emails).toHaveLength(TEST_EMAILS.length);
+        });
+
+        test('successful pagination response - failed emails only, without bodies', async () => {
+            await db.emails.createMany(TEST_EMAILS.map(email => ({...email})));
+            const response = await app(api).get(`/?status=${EmailStatus.FAILED}`).set(sessionHeaders(api, ADMIN_PLAYER_ID));
+            expect(response.ok).toBeTruthy();
+            expect(response.body.total).toEqual(2);
+            expect(response.body.emails).toHaveLength(2);
+            response.body.emails.forEach(email => {
+                expect(email.status).toEqual(EmailStatus.FAILED);
+                expect(email.subject).toEqual('Test subject');
+                expect(email.text).toBeUndefined();
+                expect(email.html).toBeUndefined();
+            });
+        });
+    });
+
+    describe('handleRetryEmail', () => {
+        test('player is not admin', async () => {
+            const response = await app(api).post('/email/retry').set(sessionHeaders(api, PLAYER_ID));
+            expect(response.status).toEqual(StatusCodes.FORBIDDEN);
+        });
+
+        test('email not found', async () => {
+            const response = await app(api).post('/email/retry').set(sessionHeaders(api, ADMIN_PLAYER_ID));
+            expect(response.status).toEqual(StatusCodes.NOT_FOUND);
+            expect(response.body.error).toEqual('Queued email "email" not found');
+            expect(response.body.code).toEqual(ErrorCodes.QUEUED_EMAIL_NOT_FOUND);
+        });
+
+        test('email has not failed', async () => {
+            const email = queuedEmail(EmailStatus.SENT);
+            await db.emails.create(email);
+            const response = await app(api).post(`/${email.emailID}/retry`).set(sessionHeaders(api, ADMIN_PLAYER_ID));
+            expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
+            expect(response.body.code).toEqual(ErrorCodes.QUEUED_EMAIL_NOT_FAILED);
+        });
+
+        test('failed to retry email', async () => {
+            const email = queuedEmail(EmailStatus.FAILED);
+            await db.emails.create(email);
+            jest.spyOn(db.emails, 'retryByID').mockImplementation(async () => {
+                throw new Error('Test error');
+            });
+            const response = await app(api).post(`/${email.emailID}/retry`).set(sessionHeaders(api, ADMIN_PLAYER_ID));
+            expect(response.status).toEqual(StatusCodes.INTERNAL_SERVER_ERROR);
+            expect(response.body.code).toEqual(ErrorCodes.FAILED_TO_RETRY_QUEUED_EMAIL);
+        });
+
+        test('returns failed email to queue', async () => {
+            const email = queuedEmail(EmailStatus.FAILED);
+            email.attempts = 5;
+            email.lastError = 'Connection refused';
+            email.failedTime = new Date();
+            await db.emails.create(email);
+
+            const response = await app(api).post(`/${email.emailID}/retry`).set(sessionHeaders(api, ADMIN_PLAYER_ID));
+            expect(response.ok).toBeTruthy();
+            expect(response.body.emailID).toEqual(email.emailID);
+            expect(response.body.status).toEqual(EmailStatus.PENDING);
+            expect(response.body.attempts).toEqual(0);
+            expect(response.body.failedTime).toBeNull();
+            expect(response.body.text).toBeUndefined();
+
+            const newEmail = await db.emails.getByID(email.emailID);
+            expect(newEmail.status).toEqual(EmailStatus.PENDING);
+            expect(newEmail.text).toEqual(email.text);
+            expect(newEmail.nextAttemptTime.getTime()).toBeLessThanOrEqual(Date.now());
+        });
+    });
+});
@@ -1,17 +1,41 @@
 import log from 'log';
 import {EventTypes, Game, PlayerStatsKeys, StatusCodes, WebsocketEvent} from '@dyesoft/alea-core';
-import { APIRouteDefinition } from './common.mjs';
+import { ErrorCodes } from '../i18n/index.mjs';
+import { APIError, APIRouteDefinition } from './common.mjs';
+import { schemaRef } from './openapi.mjs';
 
 const logger = log.get('api:game');
 
 /* API route definition for game-related endpoints. */
 class GameAPI extends APIRouteDefinition {
-    /* Create a new Game API using the given database connection. */
-    constructor(db, wss, maxPlayersPerGame = null) {
-        super(db, wss);
+    /* Create a new Game API using the given database connection, websocket server, player limit, admin player IDs, and session manager. */
+    constructor(db, wss, maxPlayersPerGame = null, adminPlayerIDs = null, sessions = null) {
+        super(db, wss, null, sessions, adminPlayerIDs);
         this.maxPlayersPerGame = maxPlayersPerGame || null;
-        this.post('/', this.handleCreateGame.bind(this));
-        this.get('/:gameID', this.handleGetGame.bind(this));
+        this.post('/', this.handleCreateGame.bind(this), {
+            summary: 'Create a new game in a room',
+            requestBody: {
+                type: 'object',
+                required: ['roomID'],
+                properties: {
+                    roomID: {type: 'string', title: 'room ID'},
+                    playerIDs: {type: 'array', title: 'player IDs', items: {type: 'string', title: 'player ID'}},
+                },
+            },
+            response: schemaRef('Game'),
+            errors: [StatusCodes.BAD_REQUEST, StatusCodes.NOT_FOUND, StatusCodes.CONFLICT, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+        this.get('/:gameID', this.handleGetGame.bind(this), {
+            summary: 'Get a game by ID',
+            response: schemaRef('Game'),
+            errors: [StatusCodes.NOT_FOUND],
+        });
+        this.post('/:gameID/finish', this.handleFinishGame.bind(this), {
+            requireSession: true,
+            summary: 'Finish a game, recording its results',
+            response: schemaRef('GameResult'),
+            errors: [StatusCodes.BAD_REQUEST, StatusCodes.FORBIDDEN, StatusCodes.NOT_FOUND, StatusCodes.CONFLICT, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
     }
 
     /*
@@ -34,10 +58,14 @@ class GameAPI extends APIRouteDefinition {
     async handleCreateGame(req, res, error) {
         logger.info('Creating a new game.');
 
-        const roomID = req.body.roomID?.toString().trim();
+        const roomID = req.body.roomID;
         const room = await this.db.rooms.getByID(roomID);
         if (!room) {
-            error(`Room "${roomID}" not found`, StatusCodes.NOT_FOUND);
+            error(ErrorCodes.ROOM_NOT_FOUND, StatusCodes.NOT_FOUND, {roomID});
+            return;
+        }
+        if (room.closed) {
+            error(ErrorCodes.ROOM_CLOSED, StatusCodes.CONFLICT, {roomID});
             return;
         }
 
@@ -49,12 +77,12 @@ class GameAPI extends APIRouteDefinition {
                 players = await this.db.players.getByIDs(playerIDs);
             } catch (e) {
                 logger.error(`Failed to get players: ${e}`);
-                error('Failed to get players', StatusCodes.NOT_FOUND);
+                error(ErrorCodes.FAILED_TO_GET_PLAYERS, StatusCodes.NOT_FOUND);
                 return;
             }
             const numPlayers = players.filter(player => !player.spectating).length;
             if (this.maxPlayersPerGame && this.maxPlayersPerGame > 0 && numPlayers > this.maxPlayersPerGame) {
-                error(`Maximum number of players (${this.maxPlayersPerGame}) exceeded`, StatusCodes.BAD_REQUEST);
+                error(ErrorCodes.MAX_PLAYERS_EXCEEDED, StatusCodes.BAD_REQUEST, {maxPlayers: this.maxPlayersPerGame});
                 return;
             }
         }
@@ -62,8 +90,7 @@ class GameAPI extends APIRouteDefinition {
         try {
             await this.validateNewGame(req);
         } catch (e) {
-            error(e.message, e.status);
-            return;
+            throw APIError.wrap(e);
         }
 
         this.wss.broadcast(new WebsocketEvent(EventTypes.GAME_STARTING, {roomID}));
@@ -73,14 +100,13 @@ class GameAPI extends APIRouteDefinition {
             game = await this.createNewGame(req, roomID, playerIDs);
         } catch (e) {
             logger.error(`Failed to create new game from request: ${e}`);
-            error(e.message, e.status);
-            return;
+            throw APIError.wrap(e);
         }
 
         try {
             await this.db.games.create(game);
         } catch (e) {
-            error(`Failed to save game to database: ${e}`, StatusCodes.INTERNAL_SERVER_ERROR);
+            error(ErrorCodes.FAILED_TO_SAVE_GAME, StatusCodes.INTERNAL_SERVER_ERROR, {error: `${e}`});
             return;
         }
 
@@ -104,9 +130,49 @@ class GameAPI extends APIRouteDefinition {
         if (game) {
             res.json(game);
         } else {
-            error(`Game "${gameID}" not found`, StatusCodes.NOT_FOUND);
+            error(ErrorCodes.GAME_NOT_FOUND, StatusCodes.NOT_FOUND, {gameID});
         }
     }
+
+    /* Handler for POST /game/:gameID/finish. Only the host of the game's room (or an admin) may finish the game. */
+    async handleFinishGame(req, res, error) {
+        const gameID = req.params.gameID;
+        const game = await this.db.games.getByID(gameID);
+        if (!game) {
+            error(ErrorCodes.GAME_NOT_FOUND, StatusCodes.NOT_FOUND, {gameID});
+            return;
+        }
+        if (game.finishedTime) {
+            error(ErrorCodes.GAME_ALREADY_FINISHED, StatusCodes.BAD_REQUEST, {gameID});
+            return;
+        }
+
+        const room = await this.db.rooms.getByID(game.roomID);
+        if (!room || room.currentGameID !== gameID) {
+            error(ErrorCodes.GAME_NOT_ACTIVE, StatusCodes.BAD_REQUEST, {gameID});
+            return;
+        }
+        if (req.sessionPlayerID !== room.hostPlayerID && !this.isAdmin(req.sessionPlayerID)) {
+            error(ErrorCodes.HOST_REQUIRED_TO_FINISH_GAME, StatusCodes.FORBIDDEN);
+            return;
+        }
+
+        let result;
+        try {
+            result = await this.wss.finishGame(game, room);
+        } catch (e) {
+            logger.error(`Failed to finish game ${gameID}: ${e}`);
+            error(ErrorCodes.FAILED_TO_FINISH_GAME, StatusCodes.INTERNAL_SERVER_ERROR);
+            return;
+        }
+        if (!result) {
+            error(ErrorCodes.GAME_UPDATE_CONFLICT, StatusCodes.CONFLICT, {gameID});
+            return;
+        }
+
+        res.json(result);
+        logger.info(`Finished game ${gameID}.`);
+    }
 }
 
 export default GameAPI;
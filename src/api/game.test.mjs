@@ -3,8 +3,9 @@ import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, jest, tes
 import { getTestDB } from '../testutils.mjs';
 import { WebsocketServer } from '../websockets.mjs';
 import GameAPI from './game.mjs';
-import { app } from './testutils.mjs';
+import { app, sessionHeaders } from './testutils.mjs';
 
+const ADMIN_PLAYER_ID = 'admin';
 const MAX_PLAYERS_PER_GAME = 2;
 
 describe('GameAPI', () => {
@@ -15,7 +16,7 @@ describe('GameAPI', () => {
     beforeAll(async () => {
         db = await getTestDB();
         wss = new WebsocketServer(db);
-        api = new GameAPI(db, wss, MAX_PLAYERS_PER_GAME);
+        api = new GameAPI(db, wss, MAX_PLAYERS_PER_GAME, [ADMIN_PLAYER_ID]);
     });
 
     beforeEach(async () => {
@@ -36,10 +37,11 @@ describe('GameAPI', () => {
         test('with DB and max players per game', () => {
             expect(api.db).toBe(db);
             expect(api.maxPlayersPerGame).toEqual(MAX_PLAYERS_PER_GAME);
+            expect(api.isAdmin(ADMIN_PLAYER_ID)).toBeTruthy();
         });
 
         test('creates expected routes', () => {
-            expect(api._router.stack).toHaveLength(2);
+            expect(api._router.stack).toHaveLength(3);
 
             const createGameRoute = api._router.stack[0].route;
             expect(createGameRoute.path).toEqual('/');
@@ -48,6 +50,10 @@ describe('GameAPI', () => {
             const getGameRoute = api._router.stack[1].route;
             expect(getGameRoute.path).toEqual('/:gameID');
             expect(getGameRoute.methods).toEqual({get: true});
+
+            const finishGameRoute = api._router.stack[2].route;
+            expect(finishGameRoute.path).toEqual('/:gameID/finish');
+            expect(finishGameRoute.methods).toEqual({post: true});
         });
     });
 
@@ -84,6 +90,14 @@ describe('GameAPI', () => {
             expect(response.body.error).toEqual(`Room "${roomID}" not found`);
         });
 
+        test('closed room', async () => {
+            await db.rooms.create({...ROOM, closed: true});
+            const game = {roomID: ROOM_ID};
+            const response = await app(api).post('/').send(game);
+            expect(response.status).toEqual(StatusCodes.CONFLICT);
+            expect(response.body.error).toEqual(`Room "${ROOM_ID}" is closed`);
+        });
+
         test('invalid players', async () => {
             await db.rooms.create(ROOM);
 
@@ -174,4 +188,115 @@ describe('GameAPI', () => {
             expect(response.body.error).toEqual(`Game "${gameID}" not found`);
         });
     });
+
+    describe('handleFinishGame', () => {
+        async function createGame(scores) {
+            const players = Object.keys(scores).map(name => new Player(name));
+            const room = new Room('TEST', players[0].playerID);
+            const game = new Game(room.roomID, players.map(player => player.playerID));
+            players.forEach(player => game.scores[player.playerID] = scores[player.name]);
+            room.playerIDs = game.playerIDs;
+            room.currentGameID = game.gameID;
+            await db.players.createMany(players);
+            await db.games.create(game);
+            await db.rooms.create(room);
+            return {game, players, room};
+        }
+
+        test('missing session', async () => {
+            const response = await app(api).post('/game/finish');
+            expect(response.status).toEqual(StatusCodes.UNAUTHORIZED);
+        });
+
+        test('game not found', async () => {
+            const gameID = 'game';
+            const response = await app(api).post(`/${gameID}/finish`).set(sessionHeaders(api, ADMIN_PLAYER_ID));
+            expect(response.status).toEqual(StatusCodes.NOT_FOUND);
+            expect(response.body.error).toEqual(`Game "${gameID}" not found`);
+        });
+
+        test('game already finished', async () => {
+            const { game } = await createGame({Fred: 0});
+            await db.games.updateByID(game.gameID, {finishedTime: new Date()});
+            const response = await app(api).post(`/${game.gameID}/finish`).set(sessionHeaders(api, ADMIN_PLAYER_ID));
+            expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
+            expect(response.body.error).toEqual(`Game "${game.gameID}" has already finished`);
+        });
+
+        test('game not active in room', async () => {
+            const { game, room } = await createGame({Fred: 0});
+            await db.rooms.updateByID(room.roomID, {currentGameID: null});
+            const response = await app(api).post(`/${game.gameID}/finish`).set(sessionHeaders(api, ADMIN_PLAYER_ID));
+            expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
+            expect(response.body.error).toEqual(`Game "${game.gameID}" is not active in its room`);
+        });
+
+        test('player is not host', async () => {
+            const { game, players } = await createGame({Fred: 0, Barney: 0});
+            const response = await app(api).post(`/${game.gameID}/finish`).set(sessionHeaders(api, players[1].playerID));
+            expect(response.status).toEqual(StatusCodes.FORBIDDEN);
+            expect(response.body.error).toEqual('Only the host may finish games');
+        });
+
+        test('game updated while finishing', async () => {
+            const { game, players } = await createGame({Fred: 0});
+            jest.spyOn(db.games, 'updateGameState').mockResolvedValue(false);
+            const response = await app(api).post(`/${game.gameID}/finish`).set(sessionHeaders(api, players[0].playerID));
+            expect(response.status).toEqual(StatusCodes.CONFLICT);
+            expect(response.body.error).toEqual(`Game "${game.gameID}" was updated while finishing`);
+        });
+
+        test('successful finish - host', async () => {
+            const { game, players, room } = await createGame({Fred: 1000, Barney: 400});
+            const [fred, barney] = players;
+            await db.players.setStat(barney.playerID, PlayerStatsKeys.HIGHEST_GAME_SCORE, 2000);
+
+            const spy = jest.spyOn(wss, 'broadcast');
+            const response = await app(api).post(`/${game.gameID}/finish`).set(sessionHeaders(api, fred.playerID));
+            expect(response.ok).toBeTruthy();
+            expect(response.body.roomID).toEqual(room.roomID);
+            expect(response.body.gameID).toEqual(game.gameID);
+            expect(response.body.places).toEqual({
+                '1st': [{playerID: fred.playerID, name: fred.name, score: 1000}],
+                '2nd': [{playerID: barney.playerID, name: barney.name, score: 400}],
+            });
+            expect(response.body.currentChampion).toEqual(fred.playerID);
+            expect(response.body.currentWinningStreak).toEqual(1);
+
+            const newGame = await db.games.getByID(game.gameID);
+            expect(newGame.finishedTime.toISOString()).toEqual(response.body.finishedTime);
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.currentGameID).toBeNull();
+            expect(newRoom.previousGameIDs).toEqual([game.gameID]);
+            expect(newRoom.currentChampion).toEqual(fred.playerID);
+
+            const newFred = await db.players.getByID(fred.playerID);
+            expect(newFred.stats[PlayerStatsKeys.GAMES_WON]).toEqual(1);
+            expect(newFred.stats[PlayerStatsKeys.OVERALL_SCORE]).toEqual(1000);
+            expect(newFred.stats[PlayerStatsKeys.HIGHEST_GAME_SCORE]).toEqual(1000);
+
+            const newBarney = await db.players.getByID(barney.playerID);
+            expect(newBarney.stats[PlayerStatsKeys.GAMES_WON]).toEqual(0);
+            expect(newBarney.stats[PlayerStatsKeys.OVERALL_SCORE]).toEqual(400);
+            expect(newBarney.stats[PlayerStatsKeys.HIGHEST_GAME_SCORE]).toEqual(2000);
+
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.GAME_ENDED, {...response.body, finishedTime: newGame.finishedTime}));
+        });
+
+        test('successful finish - admin with tied game', async () => {
+            const { game, players, room } = await createGame({Fred: 500, Barney: 500});
+            await db.rooms.updateByID(room.roomID, {currentChampion: players[0].playerID, currentWinningStreak: 3});
+
+            const response = await app(api).post(`/${game.gameID}/finish`).set(sessionHeaders(api, ADMIN_PLAYER_ID));
+            expect(response.ok).toBeTruthy();
+            expect(response.body.currentChampion).toBeNull();
+            expect(response.body.currentWinningStreak).toEqual(0);
+
+            for (const player of players) {
+                const newPlayer = await db.players.getByID(player.playerID);
+                expect(newPlayer.stats[PlayerStatsKeys.GAMES_WON]).toEqual(1);
+            }
+        });
+    });
 });
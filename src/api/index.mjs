@@ -1,10 +1,25 @@
 export * from './common.mjs';
 export * as common from './common.mjs';
 
+export * from './email.mjs';
+export * as email from './email.mjs';
+export { default as EmailAPI } from './email.mjs';
+
 export * from './game.mjs';
 export * as game from './game.mjs';
 export { default as GameAPI } from './game.mjs';
 
+export * from './maintenance.mjs';
+export * as maintenance from './maintenance.mjs';
+export { default as MaintenanceAPI } from './maintenance.mjs';
+
+export * from './openapi.mjs';
+export * as openapi from './openapi.mjs';
+
+export * from './outbox.mjs';
+export * as outbox from './outbox.mjs';
+export { default as OutboxAPI } from './outbox.mjs';
+
 export * from './player.mjs';
 export * as player from './player.mjs';
 export { default as PlayerAPI } from './player.mjs';
@@ -20,3 +35,6 @@ export { default as RoomLinkRequestAPI } from './roomLinkRequest.mjs';
 export * from './status.mjs';
 export * as status from './status.mjs';
 export { default as StatusAPI } from './status.mjs';
+
+export * from './validation.mjs';
+export * as validation from './validation.mjs';
@@ -0,0 +1,56 @@
+import log from 'log';
+import { StatusCodes } from '@dyesoft/alea-core';
+import { ErrorCodes } from '../i18n/index.mjs';
+import { APIRouteDefinition } from './common.mjs';
+import { schemaRef } from './openapi.mjs';
+
+const logger = log.get('api:maintenance');
+
+/* API route definition for admin endpoints for inspecting and running the maintenance job. */
+class MaintenanceAPI extends APIRouteDefinition {
+    /* Create a new Maintenance API using the given maintenance job (see MaintenanceJob), admin player IDs, and session manager. */
+    constructor(job, adminPlayerIDs, sessions) {
+        super(null, null, null, sessions, adminPlayerIDs);
+        this.job = job;
+        this.get('/', this.handleGetMaintenance.bind(this), {
+            requireAdmin: true,
+            summary: 'Get the status of the maintenance job and the reports of its most recent runs (newest first)',
+            response: schemaRef('MaintenanceStatus'),
+        });
+        this.post('/run', this.handleRunMaintenance.bind(this), {
+            requireAdmin: true,
+            summary: 'Run the maintenance job immediately and get the report of the run',
+            response: schemaRef('MaintenanceReport'),
+            errors: [StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+    }
+
+    /* Handler for GET /maintenance. */
+    async handleGetMaintenance(req, res) {
+        res.json({
+            scheduled: !!this.job.interval,
+            running: !!this.job.running,
+            intervalMillis: this.job.intervalMillis,
+            roomInactivityMillis: this.job.roomInactivityMillis,
+            roomLinkRequestExpirationMillis: this.job.roomLinkRequestExpirationMillis,
+            abandonedGameMillis: this.job.abandonedGameMillis,
+            reports: this.job.getReports(),
+        });
+    }
+
+    /* Handler for POST /maintenance/run. */
+    async handleRunMaintenance(req, res, error) {
+        let report;
+        try {
+            report = await this.job.run();
+        } catch (e) {
+            logger.error(`Failed to run maintenance job: ${e}`);
+            error(ErrorCodes.FAILED_TO_RUN_MAINTENANCE, StatusCodes.INTERNAL_SERVER_ERROR);
+            return;
+        }
+        logger.info(`Player ${req.sessionPlayerID} ran maintenance job.`);
+        res.json(report);
+    }
+}
+
+export default MaintenanceAPI;
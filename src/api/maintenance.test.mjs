@@ -0,0 +1,101 @@
+import { StatusCodes } from '@dyesoft/alea-core';
+import { afterAll, afterEach, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import { ErrorCodes } from '../i18n/index.mjs';
+import { MaintenanceJob } from '../maintenance.mjs';
+import { getTestDB } from '../testutils.mjs';
+import MaintenanceAPI from './maintenance.mjs';
+import { app, sessionHeaders } from './testutils.mjs';
+
+const ADMIN_PLAYER_ID = 'admin';
+const PLAYER_ID = 'player';
+
+describe('MaintenanceAPI', () => {
+    let db;
+    let job;
+    let api;
+
+    beforeAll(async () => {
+        db = await getTestDB();
+        job = new MaintenanceJob(db);
+        api = new MaintenanceAPI(job, [ADMIN_PLAYER_ID]);
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        job.reports = [];
+    });
+
+    afterAll(async () => {
+        await db.close();
+    });
+
+    describe('constructor', () => {
+        test('with maintenance job and admin player IDs', () => {
+            expect(api.job).toBe(job);
+            expect(api.adminPlayerIDs).toEqual(new Set([ADMIN_PLAYER_ID]));
+        });
+
+        test('creates expected routes', () => {
+            expect(api._router.stack).toHaveLength(2);
+
+            const getMaintenanceRoute = api._router.stack[0].route;
+            expect(getMaintenanceRoute.path).toEqual('/');
+            expect(getMaintenanceRoute.methods).toEqual({get: true});
+
+            const runMaintenanceRoute = api._router.stack[1].route;
+            expect(runMaintenanceRoute.path).toEqual('/run');
+            expect(runMaintenanceRoute.methods).toEqual({post: true});
+        });
+    });
+
+    describe('handleGetMaintenance', () => {
+        test('player is not admin', async () => {
+            const response = await app(api).get('/').set(sessionHeaders(api, PLAYER_ID));
+            expect(response.status).toEqual(StatusCodes.FORBIDDEN);
+            expect(response.body.code).toEqual(ErrorCodes.ADMIN_REQUIRED);
+        });
+
+        test('returns status and reports', async () => {
+            const report = await job.run();
+            const response = await app(api).get('/').set(sessionHeaders(api, ADMIN_PLAYER_ID));
+            expect(response.ok).toBeTruthy();
+            expect(response.body).toEqual({
+                scheduled: false,
+                running: false,
+                intervalMillis: job.intervalMillis,
+                roomInactivityMillis: job.roomInactivityMillis,
+                roomLinkRequestExpirationMillis: job.roomLinkRequestExpirationMillis,
+                abandonedGameMillis: job.abandonedGameMillis,
+                reports: [JSON.parse(JSON.stringify(report))],
+            });
+        });
+    });
+
+    describe('handleRunMaintenance', () => {
+        test('missing session', async () => {
+            const response = await app(api).post('/run');
+            expect(response.status).toEqual(StatusCodes.UNAUTHORIZED);
+        });
+
+        test('player is not admin', async () => {
+            const response = await app(api).post('/run').set(sessionHeaders(api, PLAYER_ID));
+            expect(response.status).toEqual(StatusCodes.FORBIDDEN);
+            expect(response.body.code).toEqual(ErrorCodes.ADMIN_REQUIRED);
+        });
+
+        test('failed to run job', async () => {
+            jest.spyOn(job, 'performMaintenance').mockRejectedValue(new Error('failed'));
+            const response = await app(api).post('/run').set(sessionHeaders(api, ADMIN_PLAYER_ID));
+            expect(response.status).toEqual(StatusCodes.INTERNAL_SERVER_ERROR);
+            expect(response.body.error).toEqual('Failed to run maintenance job');
+            expect(response.body.code).toEqual(ErrorCodes.FAILED_TO_RUN_MAINTENANCE);
+        });
+
+        test('runs job and returns report', async () => {
+            const response = await app(api).post('/run').set(sessionHeaders(api, ADMIN_PLAYER_ID));
+            expect(response.ok).toBeTruthy();
+            expect(response.body).toEqual(expect.objectContaining({archivedRoomIDs: [], expiredRequestIDs: [], purgedGameIDs: [], errors: []}));
+            expect(job.getReports()).toHaveLength(1);
+        });
+    });
+});
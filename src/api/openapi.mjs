@@ -0,0 +1,412 @@
+import {
+    MAX_EMAIL_LENGTH,
+    MAX_PLAYER_NAME_LENGTH,
+    MIN_PLAYER_NAME_LENGTH,
+    RoomLinkRequestResolution,
+    StatusCodes,
+} from '@dyesoft/alea-core';
+import { ErrorCodes, SUPPORTED_LOCALES } from '../i18n/index.mjs';
+import { EmailStatus } from '../mailqueue.mjs';
+import { TOO_MANY_REQUESTS } from '../ratelimit/index.mjs';
+
+/* Version of the OpenAPI specification used by generated documents. */
+export const OPENAPI_VERSION = '3.0.3';
+
+/* Default version of the API described by generated OpenAPI documents. */
+export const DEFAULT_API_VERSION = '0.0.0';
+
+/* Default title of generated OpenAPI documents. */
+export const DEFAULT_API_TITLE = 'Alea API';
+
+/* Name of the security scheme used for routes requiring a session token. */
+export const SESSION_SECURITY_SCHEME = 'sessionToken';
+
+const OK_STATUS = 200;
+
+const SCHEMA_REF_PREFIX = '#/components/schemas/';
+
+const PATH_PARAM_PATTERN = /:(\w+)/g;
+
+const DEFAULT_ERROR_DESCRIPTIONS = {
+    [StatusCodes.BAD_REQUEST]: 'Bad request',
+    [StatusCodes.UNAUTHORIZED]: 'Invalid or missing session token',
+    [StatusCodes.FORBIDDEN]: 'Forbidden',
+    [StatusCodes.NOT_FOUND]: 'Not found',
+    [StatusCodes.CONFLICT]: 'Conflict',
+    [TOO_MANY_REQUESTS]: 'Rate limit exceeded',
+    [StatusCodes.INTERNAL_SERVER_ERROR]: 'Internal server error',
+    [StatusCodes.SERVICE_UNAVAILABLE]: 'Service unavailable',
+};
+
+/* Return a reference to the component schema with the given name. */
+export function schemaRef(name) {
+    return {$ref: `${SCHEMA_REF_PREFIX}${name}`};
+}
+
+/* Return a schema for a PaginationResponse containing items (matching the given schema) under the given item key. */
+export function paginationSchema(itemKey, itemSchema, properties = {}) {
+    return {
+        type: 'object',
+        required: ['more', 'total', 'page', itemKey],
+        properties: {
+            more: {type: 'boolean', description: 'Whether there are more pages after this one'},
+            total: {type: 'integer', description: 'Total number of items across all pages'},
+            page: {type: 'integer', minimum: 1, description: 'Current page number'},
+            [itemKey]: {type: 'array', items: itemSchema},
+            ...properties,
+        },
+    };
+}
+
+const dateTime = {type: 'string', format: 'date-time'};
+
+const nullable = (schema) => ({...schema, nullable: true});
+
+const playerScore = {
+    type: 'object',
+    properties: {
+        playerID: {type: 'string'},
+        name: {type: 'string'},
+        score: {type: 'integer'},
+    },
+};
+
+/* Component schemas for the entities and envelopes returned by the API. */
+export const SCHEMAS = {
+    ChatMessage: {
+        type: 'object',
+        properties: {
+            messageID: {type: 'string'},
+            roomID: {type: 'string'},
+            playerID: {type: 'string'},
+            text: {type: 'string'},
+            createdTime: dateTime,
+            editedTime: nullable(dateTime),
+        },
+    },
+    Error: {
+        type: 'object',
+        description: 'Error response returned for any failed request',
+        required: ['error', 'status', 'code'],
+        properties: {
+            error: {type: 'string', description: 'Error message, localized using the Accept-Language header'},
+            status: {type: 'integer', description: 'HTTP status code'},
+            code: {type: 'string', enum: Object.values(ErrorCodes), description: 'Stable, machine-readable error code'},
+            errors: {
+                type: 'array',
+                description: 'Errors for each invalid field of the request body (only present for invalid request bodies)',
+                items: {
+                    type: 'object',
+                    properties: {
+                        field: {type: 'string'},
+                        message: {type: 'string'},
+                        code: {type: 'string', enum: Object.values(ErrorCodes)},
+                    },
+                },
+            },
+        },
+    },
+    Game: {
+        type: 'object',
+        properties: {
+            gameID: {type: 'string'},
+            roomID: {type: 'string'},
+            playerIDs: {type: 'array', items: {type: 'string'}},
+            createdTime: dateTime,
+            finishedTime: nullable(dateTime),
+            abandonedTime: nullable(dateTime),
+            scores: {type: 'object', additionalProperties: {type: 'integer'}, description: 'Map of player ID to score'},
+            stateVersion: {type: 'integer', description: 'Version of the game state, incremented by each game action'},
+        },
+    },
+    GameResult: {
+        type: 'object',
+        properties: {
+            roomID: {type: 'string'},
+            gameID: {type: 'string'},
+            finishedTime: dateTime,
+            places: schemaRef('Places'),
+            currentChampion: nullable({type: 'string'}),
+            currentWinningStreak: {type: 'integer'},
+        },
+    },
+    Leaderboard: {
+        type: 'object',
+        properties: {
+            averageScore: schemaRef('Places'),
+            highestGameScore: schemaRef('Places'),
+            overallScore: schemaRef('Places'),
+            winningPercentage: schemaRef('Places'),
+        },
+    },
+    Places: {
+        type: 'object',
+        description: 'Map of place name (e.g., "1st") to the players in that place',
+        additionalProperties: {type: 'array', items: playerScore},
+    },
+    Player: {
+        type: 'object',
+        properties: {
+            playerID: {type: 'string'},
+            currentRoomID: nullable({type: 'string'}),
+            name: {type: 'string'},
+            email: nullable({type: 'string', format: 'email', description: 'Verified email address'}),
+            pendingEmail: nullable({type: 'string', format: 'email', description: 'Email address awaiting verification (only included in data exports)'}),
+            locale: {type: 'string', enum: SUPPORTED_LOCALES, description: 'Locale used for emails and websocket error messages'},
+            spectating: {type: 'boolean'},
+            active: {type: 'boolean'},
+            createdTime: dateTime,
+            lastConnectionTime: dateTime,
+            stats: schemaRef('PlayerStatistics'),
+            deleted: {type: 'boolean', description: 'Whether the player was deleted (and anonymized)'},
+            deletedTime: nullable(dateTime),
+        },
+    },
+    PlayerExport: {
+        type: 'object',
+        description: 'Everything stored about a player, including the rooms they are in, the games they have played, and the chat messages they have sent',
+        properties: {
+            player: schemaRef('Player'),
+            rooms: {type: 'array', items: schemaRef('Room')},
+            games: {type: 'array', items: schemaRef('Game')},
+            chatMessages: {type: 'array', items: schemaRef('ChatMessage')},
+            exportedTime: dateTime,
+        },
+    },
+    PlayerInput: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            name: {type: 'string', minLength: MIN_PLAYER_NAME_LENGTH, maxLength: MAX_PLAYER_NAME_LENGTH},
+            email: {type: 'string', format: 'email', maxLength: MAX_EMAIL_LENGTH, nullable: true, description: 'Email address (empty to remove)'},
+            locale: {type: 'string', enum: SUPPORTED_LOCALES, 'x-normalize': 'lowercase', description: 'Preferred locale for emails and websocket error messages'},
+        },
+    },
+    PlayerStatistics: {
+        type: 'object',
+        properties: {
+            gamesPlayed: {type: 'integer'},
+            gamesWon: {type: 'integer'},
+            highestGameScore: {type: 'integer'},
+            overallScore: {type: 'integer'},
+        },
+    },
+    Room: {
+        type: 'object',
+        properties: {
+            roomID: {type: 'string'},
+            roomCode: {type: 'string'},
+            ownerPlayerID: {type: 'string'},
+            hostPlayerID: {type: 'string'},
+            playerIDs: {type: 'array', items: {type: 'string'}},
+            kickedPlayerIDs: {type: 'object', additionalProperties: nullable({type: 'integer'}), description: 'Map of player ID to kick expiration time in milliseconds (null if kicked indefinitely)'},
+            mutedPlayerIDs: {type: 'object', additionalProperties: nullable({type: 'integer'}), description: 'Map of player ID to mute expiration time in milliseconds (null if muted indefinitely)'},
+            playerRoles: {type: 'object', additionalProperties: {type: 'string'}, description: 'Map of player ID to the role granted by the owner (e.g., co_host)'},
+            rolePermissions: {type: 'object', additionalProperties: {type: 'array', items: {type: 'string'}}, description: 'Map of role to permissions, overriding the default permission matrix'},
+            currentGameID: nullable({type: 'string'}),
+            currentChampion: nullable({type: 'string'}),
+            currentWinningStreak: {type: 'integer'},
+            previousGameIDs: {type: 'array', items: {type: 'string'}},
+            createdTime: dateTime,
+            closed: {type: 'boolean', description: 'Whether the room was closed by its owner (closed rooms cannot be joined)'},
+            closedTime: dateTime,
+            archived: {type: 'boolean', description: 'Whether the room was archived for inactivity (archived rooms are restored when joined)'},
+            archivedTime: nullable(dateTime),
+            unarchivedTime: dateTime,
+        },
+    },
+    RoomHistory: {
+        type: 'object',
+        properties: {
+            roomID: {type: 'string'},
+            roomCode: {type: 'string'},
+            ownerPlayerID: {type: 'string'},
+            hostPlayerID: {type: 'string'},
+            currentGameID: nullable({type: 'string'}),
+            currentChampion: nullable({type: 'string'}),
+            currentWinningStreak: {type: 'integer'},
+            createdTime: dateTime,
+            previousGames: {type: 'array', items: schemaRef('Game')},
+            players: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        playerID: {type: 'string'},
+                        name: {type: 'string'},
+                        createdTime: dateTime,
+                        lastConnectionTime: dateTime,
+                    },
+                },
+            },
+        },
+    },
+    OutboxMessage: {
+        type: 'object',
+        description: 'Message sent using the in-memory mail transport (development only)',
+        properties: {
+            messageID: {type: 'string'},
+            from: nullable({type: 'string'}),
+            to: {type: 'string', format: 'email'},
+            subject: {type: 'string'},
+            text: {type: 'string'},
+            html: nullable({type: 'string'}),
+            sentTime: dateTime,
+        },
+    },
+    QueuedEmail: {
+        type: 'object',
+        description: 'Email in the mail queue (the body is never returned)',
+        properties: {
+            emailID: {type: 'string'},
+            to: {type: 'string', format: 'email'},
+            subject: {type: 'string'},
+            status: {type: 'string', enum: Object.values(EmailStatus)},
+            attempts: {type: 'integer', minimum: 0},
+            lastError: nullable({type: 'string'}),
+            createdTime: dateTime,
+            nextAttemptTime: dateTime,
+            sentTime: nullable(dateTime),
+            failedTime: nullable(dateTime),
+        },
+    },
+    RoomLinkRequest: {
+        type: 'object',
+        properties: {
+            requestID: {type: 'string'},
+            name: {type: 'string'},
+            email: {type: 'string', format: 'email'},
+            locale: {type: 'string', enum: SUPPORTED_LOCALES, description: 'Locale used for emails about the request'},
+            resolution: {type: 'string', enum: Object.values(RoomLinkRequestResolution)},
+            roomID: nullable({type: 'string'}),
+            roomCode: nullable({type: 'string'}),
+            createdTime: dateTime,
+            resolvedTime: nullable(dateTime),
+            expired: {type: 'boolean', description: 'Whether the approved request expired before it was used to create a room'},
+            expiredTime: dateTime,
+        },
+    },
+    MaintenanceReport: {
+        type: 'object',
+        description: 'Report of the changes made by a run of the maintenance job',
+        properties: {
+            startedTime: dateTime,
+            finishedTime: nullable(dateTime),
+            archivedRoomIDs: {type: 'array', items: {type: 'string'}},
+            expiredRequestIDs: {type: 'array', items: {type: 'string'}},
+            purgedGameIDs: {type: 'array', items: {type: 'string'}},
+            errors: {type: 'array', items: {type: 'string'}},
+        },
+    },
+    MaintenanceStatus: {
+        type: 'object',
+        properties: {
+            scheduled: {type: 'boolean', description: 'Whether the maintenance job runs periodically on this server'},
+            running: {type: 'boolean'},
+            intervalMillis: {type: 'integer'},
+            roomInactivityMillis: {type: 'integer'},
+            roomLinkRequestExpirationMillis: {type: 'integer'},
+            abandonedGameMillis: {type: 'integer'},
+            reports: {type: 'array', items: schemaRef('MaintenanceReport'), description: 'Reports of the most recent runs (newest first)'},
+        },
+    },
+};
+
+/* Return the OpenAPI path template (e.g., /room/{roomID}) for the given express route path (e.g., /room/:roomID). */
+export function getPathTemplate(path) {
+    return path.replace(PATH_PARAM_PATTERN, '{$1}');
+}
+
+/* Return the names of the parameters in the given express route path. */
+export function getPathParams(path) {
+    return Array.from(path.matchAll(PATH_PARAM_PATTERN), match => match[1]);
+}
+
+/* Return the full path for a route with the given path, mounted at the given prefix. */
+function joinPaths(prefix, path) {
+    const fullPath = `${prefix.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+    return (fullPath.length > 1 ? fullPath.replace(/\/+$/, '') : fullPath);
+}
+
+/* Return a JSON response object with the given description and schema. */
+function jsonResponse(description, schema) {
+    return {description: description, content: {'application/json': {schema: schema}}};
+}
+
+/* Return the OpenAPI operation object for a route with the given full path and route options (see APIRouteDefinition). */
+export function getOperation(path, options = {}) {
+    let operation = {};
+    if (options.summary) {
+        operation.summary = options.summary;
+    }
+    if (options.tag) {
+        operation.tags = [options.tag];
+    }
+
+    const parameters = [
+        ...getPathParams(path).map(name => ({name: name, in: 'path', required: true, schema: {type: 'string'}})),
+        ...Object.entries(options.query || {}).map(([name, schema]) => ({name: name, in: 'query', required: false, schema: schema})),
+    ];
+    if (parameters.length) {
+        operation.parameters = parameters;
+    }
+
+    if (options.requestBody) {
+        operation.requestBody = {required: true, content: {'application/json': {schema: options.requestBody}}};
+    }
+
+    let responses = {};
+    if (options.response) {
+        responses[options.status || OK_STATUS] = jsonResponse('Success', options.response);
+    } else {
+        responses[options.status || StatusCodes.NO_CONTENT] = {description: 'Success'};
+    }
+
+    let errors = new Set(options.errors || []);
+    if (options.requireSession || options.requireAdmin) {
+        operation.security = [{[SESSION_SECURITY_SCHEME]: []}];
+        errors.add(StatusCodes.UNAUTHORIZED);
+    }
+    if (options.requireAdmin) {
+        errors.add(StatusCodes.FORBIDDEN);
+    }
+    Array.from(errors).sort((a, b) => a - b).forEach(status => {
+        responses[status] = jsonResponse(DEFAULT_ERROR_DESCRIPTIONS[status] || 'Error', schemaRef('Error'));
+    });
+    operation.responses = responses;
+
+    return operation;
+}
+
+/*
+ * Return an OpenAPI document describing the routes of the given route definitions.
+ * The routeDefinitions parameter maps the path prefix at which each route definition is mounted (e.g., /api/game) to the route definition.
+ * The info parameter is merged into the document's info object (e.g., to set the version of the API).
+ * Additional component schemas may be provided to supplement (or override) the default schemas.
+ */
+export function generateOpenAPIDocument(routeDefinitions, info = {}, schemas = {}) {
+    let paths = {};
+    Object.entries(routeDefinitions || {}).forEach(([prefix, routeDef]) => {
+        const tag = prefix.split('/').pop();
+        (routeDef?.routeSpecs || []).forEach(({method, path, options}) => {
+            const fullPath = joinPaths(prefix, path);
+            const template = getPathTemplate(fullPath);
+            if (!paths[template]) {
+                paths[template] = {};
+            }
+            paths[template][method] = getOperation(fullPath, {tag: tag, ...options});
+        });
+    });
+
+    return {
+        openapi: OPENAPI_VERSION,
+        info: {title: DEFAULT_API_TITLE, ...info, version: info?.version || DEFAULT_API_VERSION},
+        paths: paths,
+        components: {
+            schemas: {...SCHEMAS, ...schemas},
+            securitySchemes: {
+                [SESSION_SECURITY_SCHEME]: {type: 'http', scheme: 'bearer', description: 'Session token issued when a player is created or retrieved'},
+            },
+        },
+    };
+}
@@ -0,0 +1,171 @@
+import { describe, expect, test } from '@jest/globals';
+import { StatusCodes } from '@dyesoft/alea-core';
+import { APIRouteDefinition } from './common.mjs';
+import EmailAPI from './email.mjs';
+import GameAPI from './game.mjs';
+import MaintenanceAPI from './maintenance.mjs';
+import {
+    DEFAULT_API_TITLE,
+    DEFAULT_API_VERSION,
+    generateOpenAPIDocument,
+    getOperation,
+    getPathParams,
+    getPathTemplate,
+    OPENAPI_VERSION,
+    paginationSchema,
+    SCHEMAS,
+    schemaRef,
+    SESSION_SECURITY_SCHEME,
+} from './openapi.mjs';
+import OutboxAPI from './outbox.mjs';
+import PlayerAPI from './player.mjs';
+import RoomAPI from './room.mjs';
+import RoomLinkRequestAPI from './roomLinkRequest.mjs';
+import StatusAPI from './status.mjs';
+
+const SCHEMA_REF_PATTERN = /^#\/components\/schemas\/(\w+)$/;
+
+/* Return all schema references in the given object. */
+function getSchemaRefs(obj) {
+    if (obj === null || typeof obj !== 'object') {
+        return [];
+    }
+    return Object.entries(obj).flatMap(([key, value]) => (key === '$ref' ? [value] : getSchemaRefs(value)));
+}
+
+describe('schemaRef', () => {
+    test('returns reference to component schema', () => {
+        expect(schemaRef('Game')).toEqual({$ref: '#/components/schemas/Game'});
+    });
+});
+
+describe('paginationSchema', () => {
+    test('matches PaginationResponse fields', () => {
+        const schema = paginationSchema('widgets', schemaRef('Widget'));
+        expect(schema.required).toEqual(['more', 'total', 'page', 'widgets']);
+        expect(Object.keys(schema.properties)).toEqual(['more', 'total', 'page', 'widgets']);
+        expect(schema.properties.widgets).toEqual({type: 'array', items: schemaRef('Widget')});
+    });
+
+    test('additional properties', () => {
+        const schema = paginationSchema('widgets', schemaRef('Widget'), {names: {type: 'object'}});
+        expect(schema.properties.names).toEqual({type: 'object'});
+    });
+});
+
+describe('getPathTemplate', () => {
+    test('converts express path params to OpenAPI path params', () => {
+        expect(getPathTemplate('/api/room/:roomID/history')).toEqual('/api/room/{roomID}/history');
+        expect(getPathTemplate('/api/game')).toEqual('/api/game');
+    });
+});
+
+describe('getPathParams', () => {
+    test('returns names of path params', () => {
+        expect(getPathParams('/api/test/:first/widgets/:second')).toEqual(['first', 'second']);
+        expect(getPathParams('/api/test')).toEqual([]);
+    });
+});
+
+describe('getOperation', () => {
+    test('route without options responds with no content', () => {
+        expect(getOperation('/api/test')).toEqual({
+            responses: {
+                [StatusCodes.NO_CONTENT]: {description: 'Success'},
+            },
+        });
+    });
+
+    test('route with path params, query params, request body, and response', () => {
+        const options = {
+            summary: 'Test route',
+            query: {page: {type: 'integer'}},
+            requestBody: schemaRef('Widget'),
+            response: schemaRef('Widget'),
+            errors: [StatusCodes.NOT_FOUND, StatusCodes.BAD_REQUEST],
+        };
+        const operation = getOperation('/api/test/:widgetID', options);
+        expect(operation.summary).toEqual(options.summary);
+        expect(operation.parameters).toEqual([
+            {name: 'widgetID', in: 'path', required: true, schema: {type: 'string'}},
+            {name: 'page', in: 'query', required: false, schema: {type: 'integer'}},
+        ]);
+        expect(operation.requestBody).toEqual({required: true, content: {'application/json': {schema: schemaRef('Widget')}}});
+        expect(Object.keys(operation.responses)).toEqual(['200', '400', '404']);
+        expect(operation.responses[200].content['application/json'].schema).toEqual(schemaRef('Widget'));
+        expect(operation.responses[StatusCodes.NOT_FOUND].content['application/json'].schema).toEqual(schemaRef('Error'));
+        expect(operation.security).toBeUndefined();
+    });
+
+    test('route requiring session', () => {
+        const operation = getOperation('/api/test', {requireSession: true});
+        expect(operation.security).toEqual([{[SESSION_SECURITY_SCHEME]: []}]);
+        expect(operation.responses[StatusCodes.UNAUTHORIZED]).toBeDefined();
+        expect(operation.responses[StatusCodes.FORBIDDEN]).toBeUndefined();
+    });
+
+    test('route requiring admin', () => {
+        const operation = getOperation('/api/test', {requireAdmin: true});
+        expect(operation.security).toEqual([{[SESSION_SECURITY_SCHEME]: []}]);
+        expect(operation.responses[StatusCodes.UNAUTHORIZED]).toBeDefined();
+        expect(operation.responses[StatusCodes.FORBIDDEN]).toBeDefined();
+    });
+
+    test('custom success status', () => {
+        const operation = getOperation('/api/test', {response: schemaRef('Widget'), status: StatusCodes.CONFLICT});
+        expect(Object.keys(operation.responses)).toEqual([StatusCodes.CONFLICT.toString()]);
+    });
+});
+
+describe('generateOpenAPIDocument', () => {
+    test('empty route definitions', () => {
+        const doc = generateOpenAPIDocument({});
+        expect(doc.openapi).toEqual(OPENAPI_VERSION);
+        expect(doc.info).toEqual({title: DEFAULT_API_TITLE, version: DEFAULT_API_VERSION});
+        expect(doc.paths).toEqual({});
+        expect(doc.components.schemas).toEqual(SCHEMAS);
+        expect(doc.components.securitySchemes[SESSION_SECURITY_SCHEME]).toBeDefined();
+    });
+
+    test('custom info and schemas', () => {
+        const widgetSchema = {type: 'object'};
+        const doc = generateOpenAPIDocument({}, {version: '1.2.3', description: 'Test API'}, {Widget: widgetSchema});
+        expect(doc.info).toEqual({title: DEFAULT_API_TITLE, version: '1.2.3', description: 'Test API'});
+        expect(doc.components.schemas.Widget).toBe(widgetSchema);
+        expect(doc.components.schemas.Error).toEqual(SCHEMAS.Error);
+    });
+
+    test('combines routes from all route definitions', () => {
+        const def = new APIRouteDefinition();
+        def.get('/', () => {}, {summary: 'List widgets'});
+        def.get('/:widgetID', () => {});
+        def.put('/:widgetID', () => {}, {requireAdmin: true});
+        const doc = generateOpenAPIDocument({'/api/widget': def, '/api/empty': {}});
+        expect(Object.keys(doc.paths)).toEqual(['/api/widget', '/api/widget/{widgetID}']);
+        expect(doc.paths['/api/widget'].get.summary).toEqual('List widgets');
+        expect(doc.paths['/api/widget'].get.tags).toEqual(['widget']);
+        expect(Object.keys(doc.paths['/api/widget/{widgetID}'])).toEqual(['get', 'put']);
+    });
+
+    test('default API routes only reference defined schemas', () => {
+        const routeDefinitions = {
+            '/api/email': new EmailAPI(),
+            '/api/game': new GameAPI(),
+            '/api/maintenance': new MaintenanceAPI(),
+            '/api/outbox': new OutboxAPI(),
+            '/api/player': new PlayerAPI(),
+            '/api/request': new RoomLinkRequestAPI(),
+            '/api/room': new RoomAPI(),
+            '/api/status': new StatusAPI(null, '1.2.3'),
+        };
+        const doc = generateOpenAPIDocument(routeDefinitions);
+        expect(Object.keys(doc.paths)).toHaveLength(26);
+        getSchemaRefs(doc).forEach(ref => {
+            const match = ref.match(SCHEMA_REF_PATTERN);
+            expect(match).not.toBeNull();
+            expect(doc.components.schemas[match[1]]).toBeDefined();
+        });
+        expect(doc.paths['/api/player'].get.responses[200].content['application/json'].schema).toEqual(paginationSchema('players', schemaRef('Player')));
+        expect(doc.paths['/api/request'].get.security).toBeDefined();
+    });
+});
@@ -0,0 +1,64 @@
+import log from 'log';
+import { StatusCodes } from '@dyesoft/alea-core';
+import { ErrorCodes } from '../i18n/index.mjs';
+import { APIRouteDefinition } from './common.mjs';
+import { schemaRef } from './openapi.mjs';
+
+const logger = log.get('api:outbox');
+
+/*
+ * API route definition for development endpoints for viewing the messages in the mailer's in-memory outbox.
+ * These routes are only available when the mailer uses the memory transport, and never in production (see Server).
+ */
+class OutboxAPI extends APIRouteDefinition {
+    /* Create a new Outbox API using the given in-memory outbox (see MemoryOutbox). */
+    constructor(outbox) {
+        super();
+        this.outbox = outbox;
+        this.get('/', this.handleGetMessages.bind(this), {
+            summary: 'Get the messages in the outbox (newest first), optionally only those sent to an email address',
+            query: {
+                to: {type: 'string', format: 'email'},
+            },
+            response: {
+                type: 'object',
+                properties: {
+                    messages: {type: 'array', items: schemaRef('OutboxMessage')},
+                },
+            },
+        });
+        this.get('/:messageID', this.handleGetMessage.bind(this), {
+            summary: 'Get a message in the outbox by ID',
+            response: schemaRef('OutboxMessage'),
+            errors: [StatusCodes.NOT_FOUND],
+        });
+        this.delete('/', this.handleClearMessages.bind(this), {
+            summary: 'Remove all messages from the outbox',
+        });
+    }
+
+    /* Handler for GET /outbox. */
+    async handleGetMessages(req, res) {
+        res.json({messages: this.outbox.getMessages(req.query.to || null)});
+    }
+
+    /* Handler for GET /outbox/:messageID. */
+    async handleGetMessage(req, res, error) {
+        const messageID = req.params.messageID;
+        const message = this.outbox.getMessageByID(messageID);
+        if (!message) {
+            error(ErrorCodes.OUTBOX_MESSAGE_NOT_FOUND, StatusCodes.NOT_FOUND, {messageID});
+            return;
+        }
+        res.json(message);
+    }
+
+    /* Handler for DELETE /outbox. */
+    async handleClearMessages(req, res) {
+        this.outbox.clear();
+        res.status(StatusCodes.NO_CONTENT).end();
+        logger.info('Cleared outbox.');
+    }
+}
+
+export default OutboxAPI;
@@ -0,0 +1,95 @@
+import { StatusCodes } from '@dyesoft/alea-core';
+import { beforeEach, describe, expect, test } from '@jest/globals';
+import { ErrorCodes } from '../i18n/index.mjs';
+import { MemoryOutbox } from '../mailtransport.mjs';
+import OutboxAPI from './outbox.mjs';
+import { app } from './testutils.mjs';
+
+const TEST_MESSAGE = {
+    from: 'noreply@example.com',
+    to: 'fred@example.com',
+    subject: 'Test subject',
+    text: 'Test body',
+};
+
+describe('OutboxAPI', () => {
+    let outbox;
+    let api;
+
+    beforeEach(() => {
+        outbox = new MemoryOutbox();
+        api = new OutboxAPI(outbox);
+    });
+
+    describe('constructor', () => {
+        test('with outbox', () => {
+            expect(api.outbox).toBe(outbox);
+        });
+
+        test('creates expected routes', () => {
+            expect(api._router.stack).toHaveLength(3);
+
+            const getMessagesRoute = api._router.stack[0].route;
+            expect(getMessagesRoute.path).toEqual('/');
+            expect(getMessagesRoute.methods).toEqual({get: true});
+
+            const getMessageRoute = api._router.stack[1].route;
+            expect(getMessageRoute.path).toEqual('/:messageID');
+            expect(getMessageRoute.methods).toEqual({get: true});
+
+            const clearMessagesRoute = api._router.stack[2].route;
+            expect(clearMessagesRoute.path).toEqual('/');
+            expect(clearMessagesRoute.methods).toEqual({delete: true});
+        });
+    });
+
+    describe('handleGetMessages', () => {
+        test('no messages', async () => {
+            const response = await app(api).get('/');
+            expect(response.ok).toBeTruthy();
+            expect(response.body).toEqual({messages: []});
+        });
+
+        test('all messages', async () => {
+            await outbox.sendMail({...TEST_MESSAGE, subject: 'First'});
+            await outbox.sendMail({...TEST_MESSAGE, to: 'barney@example.com', subject: 'Second'});
+            const response = await app(api).get('/');
+            expect(response.ok).toBeTruthy();
+            expect(response.body.messages.map(message => message.subject)).toEqual(['Second', 'First']);
+        });
+
+        test('messages filtered by recipient', async () => {
+            await outbox.sendMail({...TEST_MESSAGE, subject: 'First'});
+            await outbox.sendMail({...TEST_MESSAGE, to: 'barney@example.com', subject: 'Second'});
+            const response = await app(api).get('/?to=fred@example.com');
+            expect(response.ok).toBeTruthy();
+            expect(response.body.messages).toHaveLength(1);
+            expect(response.body.messages[0]).toEqual(expect.objectContaining({...TEST_MESSAGE, subject: 'First'}));
+        });
+    });
+
+    describe('handleGetMessage', () => {
+        test('message not found', async () => {
+            const response = await app(api).get('/unknown');
+            expect(response.status).toEqual(StatusCodes.NOT_FOUND);
+            expect(response.body.error).toEqual('Outbox message "unknown" not found');
+            expect(response.body.code).toEqual(ErrorCodes.OUTBOX_MESSAGE_NOT_FOUND);
+        });
+
+        test('successful response', async () => {
+            const info = await outbox.sendMail(TEST_MESSAGE);
+            const response = await app(api).get(`/${info.messageId}`);
+            expect(response.ok).toBeTruthy();
+            expect(response.body).toEqual(expect.objectContaining({...TEST_MESSAGE, messageID: info.messageId}));
+        });
+    });
+
+    describe('handleClearMessages', () => {
+        test('removes all messages', async () => {
+            await outbox.sendMail(TEST_MESSAGE);
+            const response = await app(api).delete('/');
+            expect(response.status).toEqual(StatusCodes.NO_CONTENT);
+            expect(outbox.getMessages()).toEqual([]);
+        });
+    });
+});
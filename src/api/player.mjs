@@ -2,55 +2,184 @@ import log from 'log';
 import {
     EventTypes,
     MAX_EMAIL_LENGTH,
+    MILLISECONDS_PER_DAY,
+    MILLISECONDS_PER_HOUR,
     Player,
     StatusCodes,
-    validateEmail,
-    validatePlayerName,
     WebsocketEvent,
 } from '@dyesoft/alea-core';
+import { DEFAULT_LOCALE, ErrorCodes } from '../i18n/index.mjs';
+import { TOO_MANY_REQUESTS } from '../ratelimit/index.mjs';
+import { generateSecretToken, hashSecretToken } from '../session.mjs';
+import { ServerEventTypes } from '../websockets.mjs';
 import { APIError, APIRouteDefinition, PaginationResponse } from './common.mjs';
+import { paginationSchema, schemaRef } from './openapi.mjs';
+
+const DEFAULT_EMAIL_VERIFICATION_EXPIRATION_MILLIS = MILLISECONDS_PER_DAY;
+const DEFAULT_RESTORATION_EXPIRATION_MILLIS = MILLISECONDS_PER_HOUR;
+
+/* Fields of a player that are never returned to clients other than in the player's own data export. */
+const PRIVATE_PLAYER_FIELDS = ['pendingEmail', 'emailVerification', 'restoration'];
+
+/* Name given to players when they are deleted (see Database.deletePlayer). */
+export const DELETED_PLAYER_NAME = 'Deleted Player';
 
 const logger = log.get('api:player');
 
+/*
+ * Return a new one-time token that expires after the given number of milliseconds, along with the data to store for it
+ * (the hash of the token and its expiration time). The token itself is never stored, so it cannot be recovered from stored data.
+ */
+function createOneTimeToken(expirationMillis) {
+    const token = generateSecretToken();
+    return {
+        token: token,
+        tokenData: {tokenHash: hashSecretToken(token), expirationTime: new Date(Date.now() + expirationMillis)},
+    };
+}
+
+/* Return true if the given stored one-time token data has not yet expired. */
+function isOneTimeTokenValid(tokenData) {
+    return !!tokenData?.expirationTime && new Date(tokenData.expirationTime).getTime() > Date.now();
+}
+
+/* Return a copy of the given entity without the given fields (and its database ID), for returning to clients. */
+function withoutFields(entity, fields = []) {
+    let result = {...entity};
+    ['_id', ...fields].forEach(field => delete result[field]);
+    return result;
+}
+
 /* API route definition for player-related endpoints. */
 class PlayerAPI extends APIRouteDefinition {
-    /* Create a new Player API using the given database connection and mailer. */
-    constructor(db, wss, mailer) {
-        super(db, wss, mailer);
-        this.get('/', this.handleGetPlayers.bind(this));
-        this.post('/', this.handleCreatePlayer.bind(this));
-        this.post('/retrieve', this.handleRetrievePlayer.bind(this));
-        this.get('/:playerID', this.handleGetPlayer.bind(this));
-        this.patch('/:playerID', this.handleUpdatePlayer.bind(this));
+    /*
+     * Create a new Player API using the given database connection, websocket server, mailer, session manager,
+     * and player config (emailVerificationExpirationMillis and restorationExpirationMillis).
+     */
+    constructor(db, wss, mailer, sessions, config = {}) {
+        super(db, wss, mailer, sessions);
+        this.emailVerificationExpirationMillis = config?.emailVerificationExpirationMillis || DEFAULT_EMAIL_VERIFICATION_EXPIRATION_MILLIS;
+        this.restorationExpirationMillis = config?.restorationExpirationMillis || DEFAULT_RESTORATION_EXPIRATION_MILLIS;
+        this.get('/', this.handleGetPlayers.bind(this), {
+            summary: 'Get a page of players, optionally filtered by email or active status',
+            query: {
+                active: {type: 'boolean'},
+                email: {type: 'string', format: 'email'},
+                page: {type: 'integer', minimum: 1},
+            },
+            response: paginationSchema('players', schemaRef('Player')),
+            errors: [StatusCodes.BAD_REQUEST, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+        this.post('/', this.handleCreatePlayer.bind(this), {
+            summary: 'Create a new player, optionally joining a room',
+            requestBody: {
+                allOf: [
+                    schemaRef('PlayerInput'),
+                    {type: 'object', properties: {roomID: {type: 'string'}}},
+                ],
+            },
+            response: {
+                allOf: [
+                    schemaRef('Player'),
+                    {type: 'object', properties: {sessionToken: {type: 'string'}}},
+                ],
+            },
+            errors: [StatusCodes.BAD_REQUEST, StatusCodes.NOT_FOUND, StatusCodes.CONFLICT, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+        this.post('/retrieve', this.handleRetrievePlayer.bind(this), {
+            summary: 'Send a player retrieval email containing a one-time restoration link',
+            requestBody: {
+                type: 'object',
+                required: ['email'],
+                properties: {
+                    email: {type: 'string', format: 'email', minLength: 1, maxLength: MAX_EMAIL_LENGTH},
+                },
+            },
+            errors: [StatusCodes.BAD_REQUEST, StatusCodes.NOT_FOUND, TOO_MANY_REQUESTS],
+        });
+        this.post('/restore', this.handleRestorePlayer.bind(this), {
+            summary: 'Redeem a one-time restoration token, returning the player and a new session token',
+            requestBody: {
+                type: 'object',
+                required: ['token'],
+                properties: {
+                    token: {type: 'string', title: 'restoration token', minLength: 1},
+                },
+            },
+            response: {
+                allOf: [
+                    schemaRef('Player'),
+                    {type: 'object', properties: {sessionToken: {type: 'string'}}},
+                ],
+            },
+            errors: [StatusCodes.BAD_REQUEST, StatusCodes.NOT_FOUND, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+        this.post('/verify', this.handleVerifyEmail.bind(this), {
+            summary: "Verify a player's pending email address using the token sent to that address",
+            requestBody: {
+                type: 'object',
+                required: ['token'],
+                properties: {
+                    token: {type: 'string', title: 'verification token', minLength: 1},
+                },
+            },
+            response: schemaRef('Player'),
+            errors: [StatusCodes.BAD_REQUEST, StatusCodes.NOT_FOUND, StatusCodes.CONFLICT, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+        this.get('/:playerID', this.handleGetPlayer.bind(this), {
+            summary: 'Get a player by ID',
+            response: schemaRef('Player'),
+            errors: [StatusCodes.NOT_FOUND],
+        });
+        this.patch('/:playerID', this.handleUpdatePlayer.bind(this), {
+            requireSession: true,
+            summary: "Update the session player's name, email, and locale",
+            requestBody: schemaRef('PlayerInput'),
+            errors: [StatusCodes.BAD_REQUEST, StatusCodes.FORBIDDEN, StatusCodes.NOT_FOUND, StatusCodes.CONFLICT, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+        this.delete('/:playerID', this.handleDeletePlayer.bind(this), {
+            requireSession: true,
+            summary: 'Delete the session player, removing them from their rooms and anonymizing their name and email in previous games',
+            errors: [StatusCodes.FORBIDDEN, StatusCodes.NOT_FOUND, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+        this.get('/:playerID/export', this.handleExportPlayer.bind(this), {
+            requireSession: true,
+            summary: 'Export all data about the session player, including their profile, statistics, rooms, games, and chat messages',
+            response: schemaRef('PlayerExport'),
+            errors: [StatusCodes.FORBIDDEN, StatusCodes.NOT_FOUND, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
     }
 
-    /* Validate the request body to ensure that it contains a valid player. */
+    /*
+     * Return a new player from the request body, which has already been validated against the PlayerInput schema.
+     * Throws an error if another player already has the requested email address.
+     * NOTE: The requested email address must be verified (see setPendingEmail) before it is saved as the player's email.
+     */
     async validatePlayer(req, existingEmail = null) {
-        const name = req.body.name?.toString().trim();
-        if (!validatePlayerName(name)) {
-            throw new APIError(`Invalid name "${name}"`, StatusCodes.BAD_REQUEST);
-        }
-
-        let email = null;
-        if (req.body.hasOwnProperty('email')) {
-            email = req.body.email.toString().trim();
-            if (email !== '') {
-                if (email.length > MAX_EMAIL_LENGTH || !validateEmail(email)) {
-                    throw new APIError(`Invalid email "${email}"`, StatusCodes.BAD_REQUEST);
-                }
-                if (existingEmail === null || email !== existingEmail) {
-                    const existingPlayer = await this.db.players.getByEmail(email);
-                    if (existingPlayer) {
-                        logger.error(`Error creating player: Player with email "${email}" already exists`);
-                        throw new APIError(`Player with email "${email}" already exists`, StatusCodes.CONFLICT);
-                    }
-                }
+        const name = req.body.name;
+        const email = req.body.email || null;
+        if (email && (existingEmail === null || email !== existingEmail)) {
+            const existingPlayer = await this.db.players.getByEmail(email);
+            if (existingPlayer) {
+                logger.error(`Error creating player: Player with email "${email}" already exists`);
+                throw APIError.fromCode(ErrorCodes.EMAIL_CONFLICT, StatusCodes.CONFLICT, {email});
             }
         }
-
         return new Player(name, email);
     }
 
+    /*
+     * Set the given email address as the pending email of the given player, replacing any previous pending email.
+     * Returns the one-time token that must be used to verify the email address before it expires.
+     * Only the hash of the token is stored, so the token itself can only be obtained from the verification email.
+     */
+    setPendingEmail(player, email) {
+        const { token, tokenData } = createOneTimeToken(this.emailVerificationExpirationMillis);
+        player.pendingEmail = email;
+        player.emailVerification = tokenData;
+        return token;
+    }
+
     /* Handler for GET /player. */
     async handleGetPlayers(req, res, error) {
         if (req.query.hasOwnProperty('email')) {
@@ -58,7 +187,7 @@ class PlayerAPI extends APIRouteDefinition {
             const found = !!player;
             let players = [];
             if (found) {
-                players.push(player);
+                players.push(withoutFields(player, PRIVATE_PLAYER_FIELDS));
             }
             res.json(new PaginationResponse(false, (found ? 1 : 0), 1, players, 'players'));
             return;
@@ -69,20 +198,14 @@ class PlayerAPI extends APIRouteDefinition {
         if (activeParam) {
             active = activeParam.toLowerCase();
             if (active !== 'true' && active !== 'false') {
-                error(`Invalid active filter "${activeParam}"`, StatusCodes.BAD_REQUEST);
+                error(ErrorCodes.INVALID_ACTIVE_FILTER, StatusCodes.BAD_REQUEST, {active: activeParam});
                 return;
             }
             active = (active === 'true');
         }
 
-        let response;
-        try {
-            response = await this.getPaginationResponse(req, 'players', this.db.players.count, this.db.players.getPageOfPlayers, [active]);
-        } catch (e) {
-            error(e.message, e.status);
-            return;
-        }
-
+        const response = await this.getPaginationResponse(req, 'players', this.db.players.count, this.db.players.getPageOfPlayers, [active]);
+        response.players = response.players.map(player => withoutFields(player, PRIVATE_PLAYER_FIELDS));
         res.json(response);
     }
 
@@ -93,16 +216,29 @@ class PlayerAPI extends APIRouteDefinition {
             player = await this.validatePlayer(req);
         } catch (e) {
             logger.error(`Error creating player: ${e.message}`);
-            error(e.message, e.status);
-            return;
+            throw e;
+        }
+
+        // Players who do not choose a locale use the locale negotiated for the request (from the Accept-Language header).
+        player.locale = req.body.locale || req.locale || DEFAULT_LOCALE;
+
+        let verificationToken = null;
+        if (player.email) {
+            verificationToken = this.setPendingEmail(player, player.email);
+            player.email = null;
         }
 
-        const roomID = req.body.roomID?.toString().trim();
+        const roomID = req.body.roomID;
         if (roomID) {
             const room = await this.db.rooms.getByID(roomID);
             if (!room) {
                 logger.error(`Error creating player: Room "${roomID}" not found`);
-                error(`Room "${roomID}" not found`, StatusCodes.NOT_FOUND);
+                error(ErrorCodes.ROOM_NOT_FOUND, StatusCodes.NOT_FOUND, {roomID});
+                return;
+            }
+            if (room.closed) {
+                logger.error(`Error creating player: Room "${roomID}" is closed`);
+                error(ErrorCodes.ROOM_CLOSED, StatusCodes.CONFLICT, {roomID});
                 return;
             }
         }
@@ -114,58 +250,98 @@ class PlayerAPI extends APIRouteDefinition {
             }
         } catch (e) {
             logger.error(`Failed to save player to database: ${e}`);
-            error('Failed to save player to database', StatusCodes.INTERNAL_SERVER_ERROR);
+            error(ErrorCodes.FAILED_TO_SAVE_PLAYER, StatusCodes.INTERNAL_SERVER_ERROR);
             return;
         }
 
-        res.json(player);
-        this.wss.broadcast(new WebsocketEvent(EventTypes.PLAYER_JOINED, {player}));
+        res.json({...withoutFields(player, PRIVATE_PLAYER_FIELDS), sessionToken: this.sessions.createToken(player.playerID)});
+        this.wss.broadcast(new WebsocketEvent(EventTypes.PLAYER_JOINED, {player: withoutFields(player, PRIVATE_PLAYER_FIELDS)}));
         logger.info(`Created player ${player.playerID}.`);
 
-        if (!!player.email && player.email !== '') {
-            await this.mailer.sendPlayerRegisteredMessage(player);
+        if (verificationToken) {
+            await this.mailer.sendPlayerEmailVerificationMessage(player.name, player.pendingEmail, verificationToken, player.locale);
         }
     }
 
     /* Handler for POST /player/retrieve. */
     async handleRetrievePlayer(req, res, error) {
-        const email = req.body.email?.toString().trim();
-        if (!validateEmail(email)) {
-            logger.error(`Error retrieving player by email: Invalid email "${email}"`);
-            error(`Invalid email "${email}"`, StatusCodes.BAD_REQUEST);
-            return;
-        }
-
+        const email = req.body.email;
         const player = await this.db.players.getByEmail(email);
         if (!player) {
             logger.error(`Error retrieving player by email: Player with email "${email}" not found`);
-            error(`Player with email "${email}" not found`, StatusCodes.NOT_FOUND);
+            error(ErrorCodes.EMAIL_NOT_FOUND, StatusCodes.NOT_FOUND, {email});
+            return;
+        }
+
+        // Issuing a new restoration token invalidates any previous token for the player.
+        const { token, tokenData } = createOneTimeToken(this.restorationExpirationMillis);
+        try {
+            await this.db.players.setRestorationByID(player.playerID, tokenData);
+        } catch (e) {
+            logger.error(`Failed to save restoration token for player ${player.playerID} in database: ${e}`);
+            error(ErrorCodes.FAILED_TO_UPDATE_PLAYER, StatusCodes.INTERNAL_SERVER_ERROR);
             return;
         }
 
         res.status(StatusCodes.NO_CONTENT).end();
-        await this.mailer.sendPlayerRetrievalMessage(player);
+        await this.mailer.sendPlayerRetrievalMessage(player, token);
         logger.info(`Sent player retrieval email to ${player.name} at ${email} (player ID: ${player.playerID}).`);
     }
 
+    /* Handler for POST /player/restore. */
+    async handleRestorePlayer(req, res, error) {
+        const tokenHash = hashSecretToken(req.body.token);
+        const player = await this.db.players.getByRestorationToken(tokenHash);
+        if (!player || !isOneTimeTokenValid(player.restoration)) {
+            logger.error('Error restoring player: Invalid or expired restoration token');
+            error(ErrorCodes.INVALID_RESTORATION_TOKEN, StatusCodes.NOT_FOUND);
+            return;
+        }
+
+        // Restoration tokens are single-use, so the token is invalidated before the player is returned.
+        // Only the request that invalidates the token may restore the player, in case the same token is used concurrently.
+        let consumed;
+        try {
+            consumed = await this.db.players.consumeRestorationByID(player.playerID, tokenHash);
+        } catch (e) {
+            logger.error(`Failed to invalidate restoration token for player ${player.playerID} in database: ${e}`);
+            error(ErrorCodes.FAILED_TO_UPDATE_PLAYER, StatusCodes.INTERNAL_SERVER_ERROR);
+            return;
+        }
+        if (!consumed) {
+            logger.error(`Error restoring player: Restoration token for player ${player.playerID} was already used`);
+            error(ErrorCodes.INVALID_RESTORATION_TOKEN, StatusCodes.NOT_FOUND);
+            return;
+        }
+
+        res.json({...withoutFields(player, PRIVATE_PLAYER_FIELDS), sessionToken: this.sessions.createToken(player.playerID)});
+        logger.info(`Restored player ${player.name} (player ID: ${player.playerID}).`);
+    }
+
     /* Handler for GET /player/:playerID. */
     async handleGetPlayer(req, res, error) {
         const playerID = req.params.playerID;
         const player = await this.db.players.getByID(playerID);
         if (player) {
-            res.json(player);
+            res.json(withoutFields(player, PRIVATE_PLAYER_FIELDS));
         } else {
-            error(`Player "${playerID}" not found`, StatusCodes.NOT_FOUND);
+            error(ErrorCodes.PLAYER_NOT_FOUND, StatusCodes.NOT_FOUND, {playerID});
         }
     }
 
     /* Handler for PATCH /player/:playerID. */
     async handleUpdatePlayer(req, res, error) {
         const playerID = req.params.playerID;
+        if (playerID !== req.sessionPlayerID) {
+            logger.error(`Error updating player: Player ${req.sessionPlayerID} is not authorized to update player ${playerID}`);
+            error(ErrorCodes.UPDATE_PLAYER_FORBIDDEN, StatusCodes.FORBIDDEN, {playerID});
+            return;
+        }
+
         const player = await this.db.players.getByID(playerID);
-        if (!player) {
+        if (!player || player.deleted) {
             logger.error(`Error updating player: Player "${playerID}" not found`);
-            error(`Player "${playerID}" not found`, StatusCodes.NOT_FOUND);
+            error(ErrorCodes.PLAYER_NOT_FOUND, StatusCodes.NOT_FOUND, {playerID});
             return;
         }
 
@@ -174,32 +350,163 @@ class PlayerAPI extends APIRouteDefinition {
             newPlayer = await this.validatePlayer(req, player.email || '');
         } catch (e) {
             logger.error(`Error updating player ${playerID}: ${e.message}`);
-            error(e.message, e.status);
-            return;
+            throw e;
         }
 
+        // A new email address is only saved once it has been verified, but an email address can be removed immediately.
+        const verificationRequired = (!!newPlayer.email && newPlayer.email !== (player.email || null));
+        const email = (verificationRequired ? player.email || null : newPlayer.email);
+        const locale = req.body.locale || player.locale || DEFAULT_LOCALE;
+        let verificationToken = null;
         try {
-            await this.db.players.updateNameAndEmailByID(playerID, newPlayer.name, newPlayer.email);
+            await this.db.players.updateNameAndEmailByID(playerID, newPlayer.name, email);
+            if (locale !== player.locale) {
+                await this.db.players.updateByID(playerID, {locale: locale});
+            }
+            if (verificationRequired) {
+                verificationToken = this.setPendingEmail(newPlayer, newPlayer.email);
+                await this.db.players.setPendingEmailByID(playerID, newPlayer.pendingEmail, newPlayer.emailVerification);
+            } else if (player.pendingEmail) {
+                await this.db.players.setPendingEmailByID(playerID, null, null);
+            }
         } catch (e) {
             logger.error(`Failed to update player ${playerID} in database: ${e}`);
-            error('Failed to update player in database', StatusCodes.INTERNAL_SERVER_ERROR);
+            error(ErrorCodes.FAILED_TO_UPDATE_PLAYER, StatusCodes.INTERNAL_SERVER_ERROR);
             return;
         }
 
-        if (newPlayer.name !== player.name || (newPlayer.email || '') !== (player.email || '')) {
+        if (newPlayer.name !== player.name || (email || '') !== (player.email || '')) {
             if (newPlayer.name !== player.name) {
                 logger.info(`Player ${playerID} changed name from "${player.name}" to "${newPlayer.name}".`);
                 this.wss.playerNames[playerID] = newPlayer.name;
             }
-            if ((newPlayer.email || '') !== (player.email || '')) {
-                logger.info(`${newPlayer.name} changed email from "${player.email || ''}" to "${newPlayer.email || ''}".`);
+            if ((email || '') !== (player.email || '')) {
+                logger.info(`${newPlayer.name} removed email "${player.email}".`);
             }
-            this.wss.broadcast(new WebsocketEvent(EventTypes.PLAYER_CHANGED_SETTINGS, {playerID, name: newPlayer.name, email: newPlayer.email, prevName: player.name, roomID: player.currentRoomID}));
+            this.wss.broadcast(new WebsocketEvent(EventTypes.PLAYER_CHANGED_SETTINGS, {playerID, name: newPlayer.name, email: email, prevName: player.name, roomID: player.currentRoomID}));
         }
         res.status(StatusCodes.NO_CONTENT).end();
 
-        if ((newPlayer.email || '') !== (player.email || '') && (newPlayer.email || '') !== '' && (player.email || '') !== '') {
-            await this.mailer.sendPlayerEmailUpdatedMessage(newPlayer.name, newPlayer.email, player.email);
+        if (verificationToken) {
+            logger.info(`Sent email verification to ${newPlayer.name} at ${newPlayer.pendingEmail} (player ID: ${playerID}).`);
+            await this.mailer.sendPlayerEmailVerificationMessage(newPlayer.name, newPlayer.pendingEmail, verificationToken, locale);
+        }
+    }
+
+    /* Handler for DELETE /player/:playerID. */
+    async handleDeletePlayer(req, res, error) {
+        const playerID = req.params.playerID;
+        if (playerID !== req.sessionPlayerID) {
+            logger.error(`Error deleting player: Player ${req.sessionPlayerID} is not authorized to delete player ${playerID}`);
+            error(ErrorCodes.DELETE_PLAYER_FORBIDDEN, StatusCodes.FORBIDDEN, {playerID});
+            return;
+        }
+
+        const player = await this.db.players.getByID(playerID);
+        if (!player || player.deleted) {
+            logger.error(`Error deleting player: Player "${playerID}" not found`);
+            error(ErrorCodes.PLAYER_NOT_FOUND, StatusCodes.NOT_FOUND, {playerID});
+            return;
+        }
+
+        let removedFromRooms, ownedRooms;
+        try {
+            ({ removedFromRooms, ownedRooms } = await this.db.deletePlayer(player, DELETED_PLAYER_NAME));
+        } catch (e) {
+            logger.error(`Failed to delete player ${playerID} from database: ${e}`);
+            error(ErrorCodes.FAILED_TO_DELETE_PLAYER, StatusCodes.INTERNAL_SERVER_ERROR);
+            return;
+        }
+
+        res.status(StatusCodes.NO_CONTENT).end();
+        this.wss.playerNames[playerID] = DELETED_PLAYER_NAME;
+        removedFromRooms.forEach(({ roomID, newHostPlayerID }) => {
+            this.wss.broadcast(new WebsocketEvent(EventTypes.PLAYER_LEFT_ROOM, {roomID, playerID, newHostPlayerID}));
+        });
+        ownedRooms.forEach(({ roomID, newOwnerPlayerID }) => {
+            this.wss.broadcast(new WebsocketEvent(ServerEventTypes.ROOM_OWNER_CHANGED, {roomID, ownerPlayerID: newOwnerPlayerID, prevOwnerPlayerID: playerID}));
+        });
+        logger.info(`Deleted player ${player.name} (player ID: ${playerID}).`);
+
+        if (player.email) {
+            await this.mailer.sendPlayerDeletedMessage(player);
+        }
+    }
+
+    /* Handler for GET /player/:playerID/export. */
+    async handleExportPlayer(req, res, error) {
+        const playerID = req.params.playerID;
+        if (playerID !== req.sessionPlayerID) {
+            logger.error(`Error exporting player: Player ${req.sessionPlayerID} is not authorized to export player ${playerID}`);
+            error(ErrorCodes.EXPORT_PLAYER_FORBIDDEN, StatusCodes.FORBIDDEN, {playerID});
+            return;
+        }
+
+        const player = await this.db.players.getByID(playerID);
+        if (!player || player.deleted) {
+            logger.error(`Error exporting player: Player "${playerID}" not found`);
+            error(ErrorCodes.PLAYER_NOT_FOUND, StatusCodes.NOT_FOUND, {playerID});
+            return;
+        }
+
+        let rooms, games, chatMessages;
+        try {
+            rooms = await this.db.rooms.getByPlayerID(playerID);
+            games = await this.db.games.getByPlayerID(playerID);
+            chatMessages = await this.db.chatMessages.getByPlayerID(playerID);
+        } catch (e) {
+            logger.error(`Failed to get rooms, games, and chat messages of player ${playerID} from database: ${e}`);
+            error(ErrorCodes.FAILED_TO_EXPORT_PLAYER, StatusCodes.INTERNAL_SERVER_ERROR);
+            return;
+        }
+
+        // Hashes of one-time tokens and room passwords are never exported.
+        res.json({
+            player: withoutFields(player, ['emailVerification', 'restoration']),
+            rooms: rooms.map(room => withoutFields(room, ['passwordHash'])),
+            games: games.map(game => withoutFields(game)),
+            chatMessages: chatMessages.map(message => withoutFields(message)),
+            exportedTime: new Date(),
+        });
+        logger.info(`Exported data of player ${player.name} (player ID: ${playerID}).`);
+    }
+
+    /* Handler for POST /player/verify. */
+    async handleVerifyEmail(req, res, error) {
+        const player = await this.db.players.getByEmailVerificationToken(hashSecretToken(req.body.token));
+        if (!player?.pendingEmail || !isOneTimeTokenValid(player.emailVerification)) {
+            logger.error('Error verifying email: Invalid or expired email verification token');
+            error(ErrorCodes.INVALID_VERIFICATION_TOKEN, StatusCodes.NOT_FOUND);
+            return;
+        }
+
+        const playerID = player.playerID;
+        const email = player.pendingEmail;
+        const existingPlayer = await this.db.players.getByEmail(email);
+        if (existingPlayer && existingPlayer.playerID !== playerID) {
+            logger.error(`Error verifying email for player ${playerID}: Player with email "${email}" already exists`);
+            error(ErrorCodes.EMAIL_CONFLICT, StatusCodes.CONFLICT, {email});
+            return;
+        }
+
+        try {
+            await this.db.players.verifyEmailByID(playerID, email);
+        } catch (e) {
+            logger.error(`Failed to verify email for player ${playerID} in database: ${e}`);
+            error(ErrorCodes.FAILED_TO_UPDATE_PLAYER, StatusCodes.INTERNAL_SERVER_ERROR);
+            return;
+        }
+
+        const prevEmail = player.email || null;
+        const newPlayer = {...player, email: email, pendingEmail: null, emailVerification: null};
+        res.json(withoutFields(newPlayer, PRIVATE_PLAYER_FIELDS));
+        this.wss.broadcast(new WebsocketEvent(EventTypes.PLAYER_CHANGED_SETTINGS, {playerID, name: player.name, email: email, prevName: player.name, roomID: player.currentRoomID}));
+        logger.info(`${player.name} verified email "${email}"${prevEmail ? ` (previous email: "${prevEmail}")` : ''}.`);
+
+        if (prevEmail) {
+            await this.mailer.sendPlayerEmailUpdatedMessage(player.name, email, prevEmail, player.locale || DEFAULT_LOCALE);
+        } else {
+            await this.mailer.sendPlayerRegisteredMessage(newPlayer);
         }
     }
 }
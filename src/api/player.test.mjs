@@ -1,10 +1,13 @@
-import {EventTypes, Player, Room, StatusCodes, WebsocketEvent} from '@dyesoft/alea-core';
+import {EventTypes, Game, Player, Room, StatusCodes, WebsocketEvent} from '@dyesoft/alea-core';
 import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { ChatMessage } from '../chat.mjs';
+import { DEFAULT_LOCALE, ErrorCodes } from '../i18n/index.mjs';
+import { generateSecretToken, hashSecretToken } from '../session.mjs';
 import { getTestDB, getTestMailer } from '../testutils.mjs';
-import { WebsocketServer } from '../websockets.mjs';
+import { ServerEventTypes, WebsocketServer } from '../websockets.mjs';
 import { APIError } from './common.mjs';
-import PlayerAPI from './player.mjs';
-import { app } from './testutils.mjs';
+import PlayerAPI, { DELETED_PLAYER_NAME } from './player.mjs';
+import { app, sessionHeaders } from './testutils.mjs';
 
 const PLAYER_NAME = 'Fred';
 const PLAYER_EMAIL = 'test@example.com';
@@ -23,6 +26,8 @@ describe('PlayerAPI', () => {
     });
 
     beforeEach(async () => {
+        await db.chatMessages.truncate(true);
+        await db.games.truncate(true);
         await db.players.truncate(true);
         await db.rooms.truncate(true);
     });
@@ -42,7 +47,7 @@ describe('PlayerAPI', () => {
         });
 
         test('creates expected routes', () => {
-            expect(api._router.stack).toHaveLength(5);
+            expect(api._router.stack).toHaveLength(9);
 
             const getPlayersRoute = api._router.stack[0].route;
             expect(getPlayersRoute.path).toEqual('/');
@@ -56,29 +61,33 @@ describe('PlayerAPI', () => {
             expect(retrievePlayerRoute.path).toEqual('/retrieve');
             expect(retrievePlayerRoute.methods).toEqual({post: true});
 
-            const getPlayerRoute = api._router.stack[3].route;
+            const restorePlayerRoute = api._router.stack[3].route;
+            expect(restorePlayerRoute.path).toEqual('/restore');
+            expect(restorePlayerRoute.methods).toEqual({post: true});
+
+            const verifyEmailRoute = api._router.stack[4].route;
+            expect(verifyEmailRoute.path).toEqual('/verify');
+            expect(verifyEmailRoute.methods).toEqual({post: true});
+
+            const getPlayerRoute = api._router.stack[5].route;
             expect(getPlayerRoute.path).toEqual('/:playerID');
             expect(getPlayerRoute.methods).toEqual({get: true});
 
-            const updatePlayerRoute = api._router.stack[4].route;
+            const updatePlayerRoute = api._router.stack[6].route;
             expect(updatePlayerRoute.path).toEqual('/:playerID');
             expect(updatePlayerRoute.methods).toEqual({patch: true});
-        });
-    });
 
-    describe('validatePlayer', () => {
-        test('throws error for invalid name', async () => {
-            const request = {body: {name: 'really long invalid name'}};
-            const expectedError = new APIError('Invalid name "really long invalid name"', StatusCodes.BAD_REQUEST);
-            await expect(async () => await api.validatePlayer(request)).rejects.toThrow(expectedError);
-        });
+            const deletePlayerRoute = api._router.stack[7].route;
+            expect(deletePlayerRoute.path).toEqual('/:playerID');
+            expect(deletePlayerRoute.methods).toEqual({delete: true});
 
-        test('throws error for invalid email', async () => {
-            const request = {body: {name: PLAYER_NAME, email: 'foo'}};
-            const expectedError = new APIError('Invalid email "foo"', StatusCodes.BAD_REQUEST);
-            await expect(async () => await api.validatePlayer(request)).rejects.toThrow(expectedError);
+            const exportPlayerRoute = api._router.stack[8].route;
+            expect(exportPlayerRoute.path).toEqual('/:playerID/export');
+            expect(exportPlayerRoute.methods).toEqual({get: true});
         });
+    });
 
+    describe('validatePlayer', () => {
         test('throws error for existing player with email', async () => {
             const request = {body: {name: PLAYER_NAME, email: PLAYER_EMAIL}};
             const expectedError = new APIError(`Player with email "${PLAYER_EMAIL}" already exists`, StatusCodes.CONFLICT);
@@ -113,7 +122,23 @@ describe('PlayerAPI', () => {
 
             const response = await app(api).get(`/?email=${PLAYER_EMAIL}`);
             expect(response.ok).toBeTruthy();
-            expect(response.body).toEqual({more: false, total: 1, page: 1, players: [player]});
+            expect(response.body).toEqual({more: false, total: 1, page: 1, players: [{...player, _id: undefined}]});
+        });
+
+        test('email search - does not return private fields', async () => {
+            const player = new Player(PLAYER_NAME, PLAYER_EMAIL);
+            api.setPendingEmail(player, 'new@example.com');
+            player.restoration = {tokenHash: hashSecretToken(generateSecretToken()), expirationTime: new Date()};
+            await db.players.create(player);
+
+            const response = await app(api).get(`/?email=${PLAYER_EMAIL}`);
+            expect(response.ok).toBeTruthy();
+            expect(response.body.players).toHaveLength(1);
+            expect(response.body.players[0].playerID).toEqual(player.playerID);
+            expect(response.body.players[0].pendingEmail).toBeUndefined();
+            expect(response.body.players[0].emailVerification).toBeUndefined();
+            expect(response.body.players[0].restoration).toBeUndefined();
+            expect(response.body.players[0]._id).toBeUndefined();
         });
 
         test('email search - player not found', async () => {
@@ -159,6 +184,21 @@ describe('PlayerAPI', () => {
             expect(response.body.players).toHaveLength(TEST_PLAYERS.length);
         });
 
+        test('successful pagination response - does not return private fields', async () => {
+            const player = new Player(PLAYER_NAME, null);
+            api.setPendingEmail(player, PLAYER_EMAIL);
+            player.restoration = {tokenHash: hashSecretToken(generateSecretToken()), expirationTime: new Date()};
+            await db.players.create(player);
+
+            const response = await app(api).get('/');
+            expect(response.ok).toBeTruthy();
+            expect(response.body.players).toHaveLength(1);
+            expect(response.body.players[0].playerID).toEqual(player.playerID);
+            expect(response.body.players[0].pendingEmail).toBeUndefined();
+            expect(response.body.players[0].emailVerification).toBeUndefined();
+            expect(response.body.players[0].restoration).toBeUndefined();
+        });
+
         test('successful pagination response - active players only', async () => {
             await db.players.createMany(TEST_PLAYERS);
             const response = await app(api).get('/?active=true');
@@ -179,6 +219,44 @@ describe('PlayerAPI', () => {
             expect(response.body.error).toEqual('Invalid name ""');
         });
 
+        test('name too long', async () => {
+            const player = {name: 'really long invalid name'};
+            const response = await app(api).post('/').send(player);
+            expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
+            expect(response.body.error).toEqual('Invalid name "really long invalid name"');
+        });
+
+        test('missing name', async () => {
+            const response = await app(api).post('/').send({email: PLAYER_EMAIL});
+            expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
+            expect(response.body.error).toEqual('Name is required');
+            expect(response.body.code).toEqual(ErrorCodes.FIELD_REQUIRED);
+            expect(response.body.errors).toEqual([{field: 'name', message: 'Name is required', code: ErrorCodes.FIELD_REQUIRED}]);
+        });
+
+        test('invalid email', async () => {
+            const player = {name: PLAYER_NAME, email: 'foo'};
+            const response = await app(api).post('/').send(player);
+            expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
+            expect(response.body.error).toEqual('Invalid email "foo"');
+        });
+
+        test('trims name and email', async () => {
+            const player = {name: ` ${PLAYER_NAME} `, email: ` ${PLAYER_EMAIL} `};
+            const response = await app(api).post('/').send(player);
+            expect(response.ok).toBeTruthy();
+            expect(response.body.name).toEqual(PLAYER_NAME);
+            expect((await db.players.getByID(response.body.playerID)).pendingEmail).toEqual(PLAYER_EMAIL);
+        });
+
+        test('localizes error messages using Accept-Language header', async () => {
+            const response = await app(api).post('/').set('Accept-Language', 'es-MX,en;q=0.5').send({email: PLAYER_EMAIL});
+            expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
+            expect(response.headers['content-language']).toEqual('es');
+            expect(response.body.error).toEqual('Name es obligatorio');
+            expect(response.body.code).toEqual(ErrorCodes.FIELD_REQUIRED);
+        });
+
         test('room does not exist', async () => {
             const player = {name: PLAYER_NAME, email: PLAYER_EMAIL, roomID: 'room'};
             const response = await app(api).post('/').send(player);
@@ -186,23 +264,67 @@ describe('PlayerAPI', () => {
             expect(response.body.error).toEqual(`Room "${player.roomID}" not found`);
         });
 
+        test('room is closed', async () => {
+            const room = new Room('TEST', 'owner');
+            room.closed = true;
+            await db.rooms.create(room);
+
+            const player = {name: PLAYER_NAME, roomID: room.roomID};
+            const response = await app(api).post('/').send(player);
+            expect(response.status).toEqual(StatusCodes.CONFLICT);
+            expect(response.body.code).toEqual(ErrorCodes.ROOM_CLOSED);
+        });
+
         test('successful creation without room', async () => {
-            const mailerSpy = jest.spyOn(mailer, 'sendPlayerRegisteredMessage');
+            const mailerSpy = jest.spyOn(mailer, 'sendPlayerEmailVerificationMessage');
             const wssSpy = jest.spyOn(wss, 'broadcast');
             const player = {name: PLAYER_NAME, email: PLAYER_EMAIL};
             const response = await app(api).post('/').send(player);
             expect(response.ok).toBeTruthy();
             expect(response.body.playerID).toBeDefined();
             expect(response.body.name).toEqual(player.name);
-            expect(response.body.email).toEqual(player.email);
+            expect(response.body.email).toBeNull();
+            expect(response.body.pendingEmail).toBeUndefined();
+            expect(response.body.emailVerification).toBeUndefined();
+            expect(api.sessions.verifyToken(response.body.sessionToken)).toEqual(response.body.playerID);
 
             const newPlayer = await db.players.getByID(response.body.playerID);
             expect(newPlayer.playerID).toEqual(response.body.playerID);
             expect(newPlayer.name).toEqual(player.name);
-            expect(newPlayer.email).toEqual(player.email);
+            expect(newPlayer.email).toBeNull();
+            expect(newPlayer.pendingEmail).toEqual(player.email);
+            expect(newPlayer.emailVerification.expirationTime.getTime()).toBeGreaterThan(Date.now());
+            expect(await db.players.getByEmail(player.email)).toBeNull();
 
-            expect(mailerSpy).toHaveBeenCalledWith(newPlayer);
-            expect(wssSpy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.PLAYER_JOINED, {player: newPlayer}));
+            expect(mailerSpy).toHaveBeenCalledWith(player.name, player.email, expect.any(String), DEFAULT_LOCALE);
+            expect(hashSecretToken(mailerSpy.mock.calls[0][2])).toEqual(newPlayer.emailVerification.tokenHash);
+            expect(wssSpy).toHaveBeenCalledWith(new WebsocketEvent(
+                EventTypes.PLAYER_JOINED,
+                {player: {...newPlayer, _id: undefined, pendingEmail: undefined, emailVerification: undefined}}
+            ));
+            expect(wssSpy.mock.calls[0][0].payload.player.pendingEmail).toBeUndefined();
+            expect(wssSpy.mock.calls[0][0].payload.player.emailVerification).toBeUndefined();
+        });
+
+        test('uses locale from request body', async () => {
+            const mailerSpy = jest.spyOn(mailer, 'sendPlayerEmailVerificationMessage');
+            const response = await app(api).post('/').set('Accept-Language', 'en').send({name: PLAYER_NAME, email: PLAYER_EMAIL, locale: 'ES'});
+            expect(response.ok).toBeTruthy();
+            expect(response.body.locale).toEqual('es');
+            expect((await db.players.getByID(response.body.playerID)).locale).toEqual('es');
+            expect(mailerSpy).toHaveBeenCalledWith(PLAYER_NAME, PLAYER_EMAIL, expect.any(String), 'es');
+        });
+
+        test('uses locale negotiated from Accept-Language header if locale is not provided', async () => {
+            const response = await app(api).post('/').set('Accept-Language', 'fr, es;q=0.8').send({name: PLAYER_NAME});
+            expect(response.ok).toBeTruthy();
+            expect(response.body.locale).toEqual('es');
+        });
+
+        test('invalid locale', async () => {
+            const response = await app(api).post('/').send({name: PLAYER_NAME, locale: 'xx'});
+            expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
+            expect(response.body.error).toEqual('Invalid locale "xx"');
         });
 
         test('successful creation with room', async () => {
@@ -222,6 +344,16 @@ describe('PlayerAPI', () => {
 
             expect(spy).toHaveBeenCalled();
         });
+
+        test('email pending verification does not conflict', async () => {
+            const otherPlayer = new Player('Barney', null);
+            api.setPendingEmail(otherPlayer, PLAYER_EMAIL);
+            await db.players.create(otherPlayer);
+
+            const response = await app(api).post('/').send({name: PLAYER_NAME, email: PLAYER_EMAIL});
+            expect(response.ok).toBeTruthy();
+            expect((await db.players.getByID(response.body.playerID)).pendingEmail).toEqual(PLAYER_EMAIL);
+        });
     });
 
     describe('handleRetrievePlayer', () => {
@@ -238,14 +370,117 @@ describe('PlayerAPI', () => {
             expect(response.body.error).toEqual(`Player with email "${PLAYER_EMAIL}" not found`);
         });
 
-        test('sends email to existing player', async () => {
+        test('player with pending email not found', async () => {
+            const player = new Player(PLAYER_NAME, null);
+            api.setPendingEmail(player, PLAYER_EMAIL);
+            await db.players.create(player);
+
+            const response = await app(api).post('/retrieve').send({email: PLAYER_EMAIL});
+            expect(response.status).toEqual(StatusCodes.NOT_FOUND);
+        });
+
+        test('sends email with restoration token to existing player', async () => {
             const player = new Player(PLAYER_NAME, PLAYER_EMAIL);
             await db.players.create(player);
 
             const spy = jest.spyOn(mailer, 'sendPlayerRetrievalMessage');
             const response = await app(api).post('/retrieve').send({email: PLAYER_EMAIL});
             expect(response.status).toEqual(StatusCodes.NO_CONTENT);
-            expect(spy).toHaveBeenCalledWith(player);
+            expect(spy).toHaveBeenCalledWith(player, expect.any(String));
+
+            const token = spy.mock.calls[0][1];
+            expect(api.sessions.verifyToken(token)).toBeNull();
+            const newPlayer = await db.players.getByID(player.playerID);
+            expect(newPlayer.restoration.tokenHash).toEqual(hashSecretToken(token));
+            expect(newPlayer.restoration.expirationTime.getTime()).toBeGreaterThan(Date.now());
+        });
+    });
+
+    describe('handleRestorePlayer', () => {
+        async function requestRestoration(player) {
+            const spy = jest.spyOn(mailer, 'sendPlayerRetrievalMessage');
+            await app(api).post('/retrieve').send({email: player.email});
+            const token = spy.mock.calls[spy.mock.calls.length - 1][1];
+            spy.mockRestore();
+            return token;
+        }
+
+        test('missing token', async () => {
+            const response = await app(api).post('/restore').send({});
+            expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
+            expect(response.body.error).toEqual('Restoration token is required');
+        });
+
+        test('invalid token', async () => {
+            const response = await app(api).post('/restore').send({token: generateSecretToken()});
+            expect(response.status).toEqual(StatusCodes.NOT_FOUND);
+            expect(response.body.error).toEqual('Invalid or expired restoration token');
+        });
+
+        test('expired token', async () => {
+            const player = new Player(PLAYER_NAME, PLAYER_EMAIL);
+            await db.players.create(player);
+            const token = await requestRestoration(player);
+            await db.players.setRestorationByID(player.playerID, {tokenHash: hashSecretToken(token), expirationTime: new Date(Date.now() - 1000)});
+
+            const response = await app(api).post('/restore').send({token: token});
+            expect(response.status).toEqual(StatusCodes.NOT_FOUND);
+            expect(response.body.error).toEqual('Invalid or expired restoration token');
+        });
+
+        test('returns player and session token, and token can only be used once', async () => {
+            const player = new Player(PLAYER_NAME, PLAYER_EMAIL);
+            await db.players.create(player);
+            const token = await requestRestoration(player);
+
+            const response = await app(api).post('/restore').send({token: token});
+            expect(response.ok).toBeTruthy();
+            expect(response.body.playerID).toEqual(player.playerID);
+            expect(response.body.name).toEqual(PLAYER_NAME);
+            expect(response.body.restoration).toBeUndefined();
+            expect(api.sessions.verifyToken(response.body.sessionToken)).toEqual(player.playerID);
+            expect((await db.players.getByID(player.playerID)).restoration).toBeNull();
+
+            const secondResponse = await app(api).post('/restore').send({token: token});
+            expect(secondResponse.status).toEqual(StatusCodes.NOT_FOUND);
+        });
+
+        test('concurrent requests with same token only restore player once', async () => {
+            const player = new Player(PLAYER_NAME, PLAYER_EMAIL);
+            await db.players.create(player);
+            const token = await requestRestoration(player);
+
+            const responses = await Promise.all([
+                app(api).post('/restore').send({token: token}),
+                app(api).post('/restore').send({token: token}),
+            ]);
+            expect(responses.filter(response => response.ok)).toHaveLength(1);
+            expect(responses.filter(response => response.status === StatusCodes.NOT_FOUND)).toHaveLength(1);
+        });
+
+        test('token invalidated after lookup', async () => {
+            const player = new Player(PLAYER_NAME, PLAYER_EMAIL);
+            await db.players.create(player);
+            const token = await requestRestoration(player);
+            const spy = jest.spyOn(db.players, 'consumeRestorationByID').mockResolvedValue(false);
+
+            const response = await app(api).post('/restore').send({token: token});
+            spy.mockRestore();
+            expect(response.status).toEqual(StatusCodes.NOT_FOUND);
+            expect(response.body.error).toEqual('Invalid or expired restoration token');
+            expect(response.body.sessionToken).toBeUndefined();
+        });
+
+        test('requesting new token invalidates previous token', async () => {
+            const player = new Player(PLAYER_NAME, PLAYER_EMAIL);
+            await db.players.create(player);
+            const oldToken = await requestRestoration(player);
+            const newToken = await requestRestoration(player);
+
+            const oldResponse = await app(api).post('/restore').send({token: oldToken});
+            expect(oldResponse.status).toEqual(StatusCodes.NOT_FOUND);
+            const newResponse = await app(api).post('/restore').send({token: newToken});
+            expect(newResponse.ok).toBeTruthy();
         });
     });
 
@@ -258,7 +493,22 @@ describe('PlayerAPI', () => {
 
             const response = await app(api).get(`/${player.playerID}`);
             expect(response.ok).toBeTruthy();
-            expect(response.body).toEqual(player);
+            expect(response.body).toEqual({...player, _id: undefined});
+        });
+
+        test('does not return private fields', async () => {
+            const player = new Player(PLAYER_NAME, PLAYER_EMAIL);
+            api.setPendingEmail(player, 'new@example.com');
+            player.restoration = {tokenHash: hashSecretToken(generateSecretToken()), expirationTime: new Date()};
+            await db.players.create(player);
+
+            const response = await app(api).get(`/${player.playerID}`);
+            expect(response.ok).toBeTruthy();
+            expect(response.body.playerID).toEqual(player.playerID);
+            expect(response.body.pendingEmail).toBeUndefined();
+            expect(response.body.emailVerification).toBeUndefined();
+            expect(response.body.restoration).toBeUndefined();
+            expect(response.body._id).toBeUndefined();
         });
 
         test('player not found', async () => {
@@ -270,9 +520,23 @@ describe('PlayerAPI', () => {
     });
 
     describe('handleUpdatePlayer', () => {
+        test('missing session', async () => {
+            const playerID = 'player';
+            const response = await app(api).patch(`/${playerID}`).send({name: PLAYER_NAME});
+            expect(response.status).toEqual(StatusCodes.UNAUTHORIZED);
+            expect(response.body.error).toEqual('Invalid or missing session token');
+        });
+
+        test('session for different player', async () => {
+            const playerID = 'player';
+            const response = await app(api).patch(`/${playerID}`).set(sessionHeaders(api, 'other-player')).send({name: PLAYER_NAME});
+            expect(response.status).toEqual(StatusCodes.FORBIDDEN);
+            expect(response.body.error).toEqual(`Not authorized to update player "${playerID}"`);
+        });
+
         test('player not found', async () => {
             const playerID = 'player';
-            const response = await app(api).patch(`/${playerID}`).send({name: PLAYER_NAME, email: PLAYER_EMAIL});
+            const response = await app(api).patch(`/${playerID}`).set(sessionHeaders(api, playerID)).send({name: PLAYER_NAME, email: PLAYER_EMAIL});
             expect(response.status).toEqual(StatusCodes.NOT_FOUND);
             expect(response.body.error).toEqual(`Player "${playerID}" not found`);
         });
@@ -281,7 +545,7 @@ describe('PlayerAPI', () => {
             const player = new Player(PLAYER_NAME, PLAYER_EMAIL);
             await db.players.create(player);
 
-            const response = await app(api).patch(`/${player.playerID}`).send({name: ''});
+            const response = await app(api).patch(`/${player.playerID}`).set(sessionHeaders(api, player.playerID)).send({name: ''});
             expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
             expect(response.body.error).toEqual('Invalid name ""');
         });
@@ -294,7 +558,7 @@ describe('PlayerAPI', () => {
 
             const mailerSpy = jest.spyOn(mailer, 'sendPlayerEmailUpdatedMessage');
             const wssSpy = jest.spyOn(wss, 'broadcast');
-            const response = await app(api).patch(`/${player.playerID}`).send({name: PLAYER_NAME});
+            const response = await app(api).patch(`/${player.playerID}`).set(sessionHeaders(api, player.playerID)).send({name: PLAYER_NAME});
             expect(response.status).toEqual(StatusCodes.NO_CONTENT);
             const newPlayer = await db.players.getByID(player.playerID);
             expect(newPlayer.name).toEqual(PLAYER_NAME);
@@ -307,21 +571,280 @@ describe('PlayerAPI', () => {
             ));
         });
 
-        test('sends email updated message if email changed', async () => {
+        test('sends verification message and keeps previous email if email changed', async () => {
             const oldEmail = 'old@example.com';
             const player = new Player(PLAYER_NAME, oldEmail);
             await db.players.create(player);
 
-            const mailerSpy = jest.spyOn(mailer, 'sendPlayerEmailUpdatedMessage');
+            const mailerSpy = jest.spyOn(mailer, 'sendPlayerEmailVerificationMessage');
+            const updatedSpy = jest.spyOn(mailer, 'sendPlayerEmailUpdatedMessage');
             const wssSpy = jest.spyOn(wss, 'broadcast');
-            const response = await app(api).patch(`/${player.playerID}`).send({name: PLAYER_NAME, email: PLAYER_EMAIL});
+            const response = await app(api).patch(`/${player.playerID}`).set(sessionHeaders(api, player.playerID)).send({name: PLAYER_NAME, email: PLAYER_EMAIL});
             expect(response.status).toEqual(StatusCodes.NO_CONTENT);
             const newPlayer = await db.players.getByID(player.playerID);
             expect(newPlayer.name).toEqual(PLAYER_NAME);
+            expect(newPlayer.email).toEqual(oldEmail);
+            expect(newPlayer.pendingEmail).toEqual(PLAYER_EMAIL);
+
+            expect(mailerSpy).toHaveBeenCalledWith(PLAYER_NAME, PLAYER_EMAIL, expect.any(String), DEFAULT_LOCALE);
+            expect(hashSecretToken(mailerSpy.mock.calls[0][2])).toEqual(newPlayer.emailVerification.tokenHash);
+            expect(updatedSpy).not.toHaveBeenCalled();
+            expect(wssSpy).not.toHaveBeenCalled();
+        });
+
+        test('updates locale', async () => {
+            const player = new Player(PLAYER_NAME, null);
+            player.locale = DEFAULT_LOCALE;
+            await db.players.create(player);
+
+            const response = await app(api).patch(`/${player.playerID}`).set(sessionHeaders(api, player.playerID)).send({name: PLAYER_NAME, locale: 'es'});
+            expect(response.status).toEqual(StatusCodes.NO_CONTENT);
+            expect((await db.players.getByID(player.playerID)).locale).toEqual('es');
+        });
+
+        test('cancels pending email if email unchanged', async () => {
+            const player = new Player(PLAYER_NAME, PLAYER_EMAIL);
+            api.setPendingEmail(player, 'new@example.com');
+            await db.players.create(player);
+
+            const mailerSpy = jest.spyOn(mailer, 'sendPlayerEmailVerificationMessage');
+            const response = await app(api).patch(`/${player.playerID}`).set(sessionHeaders(api, player.playerID)).send({name: PLAYER_NAME, email: PLAYER_EMAIL});
+            expect(response.status).toEqual(StatusCodes.NO_CONTENT);
+            const newPlayer = await db.players.getByID(player.playerID);
             expect(newPlayer.email).toEqual(PLAYER_EMAIL);
+            expect(newPlayer.pendingEmail).toBeNull();
+            expect(newPlayer.emailVerification).toBeNull();
+            expect(mailerSpy).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('handleVerifyEmail', () => {
+        async function createPlayerWithPendingEmail(email = null, expirationMillis = null) {
+            const player = new Player(PLAYER_NAME, email);
+            const token = api.setPendingEmail(player, PLAYER_EMAIL);
+            if (expirationMillis !== null) {
+                player.emailVerification.expirationTime = new Date(Date.now() + expirationMillis);
+            }
+            await db.players.create(player);
+            return {player, token};
+        }
+
+        test('missing token', async () => {
+            const response = await app(api).post('/verify').send({});
+            expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
+            expect(response.body.error).toEqual('Verification token is required');
+        });
+
+        test('invalid token', async () => {
+            await createPlayerWithPendingEmail();
+            const response = await app(api).post('/verify').send({token: generateSecretToken()});
+            expect(response.status).toEqual(StatusCodes.NOT_FOUND);
+            expect(response.body.error).toEqual('Invalid or expired email verification token');
+        });
+
+        test('expired token', async () => {
+            const {player, token} = await createPlayerWithPendingEmail(null, -1000);
+            const response = await app(api).post('/verify').send({token: token});
+            expect(response.status).toEqual(StatusCodes.NOT_FOUND);
+            expect(response.body.error).toEqual('Invalid or expired email verification token');
+            expect((await db.players.getByID(player.playerID)).email).toBeNull();
+        });
+
+        test('email verified by another player', async () => {
+            const {player, token} = await createPlayerWithPendingEmail();
+            await db.players.create(new Player('Barney', PLAYER_EMAIL));
+            const response = await app(api).post('/verify').send({token: token});
+            expect(response.status).toEqual(StatusCodes.CONFLICT);
+            expect(response.body.error).toEqual(`Player with email "${PLAYER_EMAIL}" already exists`);
+            expect((await db.players.getByID(player.playerID)).email).toBeNull();
+        });
+
+        test('verifies email of new player', async () => {
+            const {player, token} = await createPlayerWithPendingEmail();
+            const mailerSpy = jest.spyOn(mailer, 'sendPlayerRegisteredMessage');
+            const wssSpy = jest.spyOn(wss, 'broadcast');
+            const response = await app(api).post('/verify').send({token: token});
+            expect(response.ok).toBeTruthy();
+            expect(response.body.playerID).toEqual(player.playerID);
+            expect(response.body.email).toEqual(PLAYER_EMAIL);
+            expect(response.body.pendingEmail).toBeUndefined();
+            expect(response.body.emailVerification).toBeUndefined();
+
+            const newPlayer = await db.players.getByEmail(PLAYER_EMAIL);
+            expect(newPlayer.playerID).toEqual(player.playerID);
+            expect(newPlayer.emailVerification).toBeNull();
+            expect(mailerSpy).toHaveBeenCalledWith({...newPlayer});
+            expect(wssSpy).toHaveBeenCalledWith(new WebsocketEvent(
+                EventTypes.PLAYER_CHANGED_SETTINGS,
+                {playerID: player.playerID, name: PLAYER_NAME, email: PLAYER_EMAIL, prevName: PLAYER_NAME, roomID: player.currentRoomID}
+            ));
+
+            const secondResponse = await app(api).post('/verify').send({token: token});
+            expect(secondResponse.status).toEqual(StatusCodes.NOT_FOUND);
+        });
+
+        test('sends email updated message to previous email', async () => {
+            const oldEmail = 'old@example.com';
+            const {player, token} = await createPlayerWithPendingEmail(oldEmail);
+            const mailerSpy = jest.spyOn(mailer, 'sendPlayerEmailUpdatedMessage');
+            const response = await app(api).post('/verify').send({token: token});
+            expect(response.ok).toBeTruthy();
+            expect((await db.players.getByID(player.playerID)).email).toEqual(PLAYER_EMAIL);
+            expect(await db.players.getByEmail(oldEmail)).toBeNull();
+            expect(mailerSpy).toHaveBeenCalledWith(PLAYER_NAME, PLAYER_EMAIL, oldEmail, DEFAULT_LOCALE);
+        });
+    });
 
-            expect(mailerSpy).toHaveBeenCalledWith(PLAYER_NAME, PLAYER_EMAIL, oldEmail);
-            expect(wssSpy).toHaveBeenCalled();
+    describe('handleDeletePlayer', () => {
+        test('missing session', async () => {
+            const response = await app(api).delete('/player');
+            expect(response.status).toEqual(StatusCodes.UNAUTHORIZED);
+        });
+
+        test('session for different player', async () => {
+            const playerID = 'player';
+            const response = await app(api).delete(`/${playerID}`).set(sessionHeaders(api, 'other-player'));
+            expect(response.status).toEqual(StatusCodes.FORBIDDEN);
+            expect(response.body.error).toEqual(`Not authorized to delete player "${playerID}"`);
+            expect(response.body.code).toEqual(ErrorCodes.DELETE_PLAYER_FORBIDDEN);
+        });
+
+        test('player not found', async () => {
+            const playerID = 'player';
+            const response = await app(api).delete(`/${playerID}`).set(sessionHeaders(api, playerID));
+            expect(response.status).toEqual(StatusCodes.NOT_FOUND);
+            expect(response.body.error).toEqual(`Player "${playerID}" not found`);
+        });
+
+        test('failed to delete player', async () => {
+            const player = new Player(PLAYER_NAME, PLAYER_EMAIL);
+            await db.players.create(player);
+            jest.spyOn(db, 'deletePlayer').mockImplementation(async () => {
+                throw new Error('Test error');
+            });
+            const response = await app(api).delete(`/${player.playerID}`).set(sessionHeaders(api, player.playerID));
+            expect(response.status).toEqual(StatusCodes.INTERNAL_SERVER_ERROR);
+            expect(response.body.code).toEqual(ErrorCodes.FAILED_TO_DELETE_PLAYER);
+        });
+
+        test('successfully deletes player', async () => {
+            const player = new Player(PLAYER_NAME, PLAYER_EMAIL);
+            const otherPlayer = new Player('Barney');
+            const room = new Room('TEST', player.playerID);
+            room.playerIDs.push(otherPlayer.playerID);
+            player.currentRoomID = room.roomID;
+            otherPlayer.currentRoomID = room.roomID;
+            const game = new Game(room.roomID, [player.playerID, otherPlayer.playerID]);
+            game.scores = {[player.playerID]: 1000, [otherPlayer.playerID]: 500};
+            const message = new ChatMessage(room.roomID, player.playerID, 'Hello');
+            const otherMessage = new ChatMessage(room.roomID, otherPlayer.playerID, 'Hi');
+            await db.players.createMany([player, otherPlayer]);
+            await db.rooms.create(room);
+            await db.games.create(game);
+            await db.chatMessages.createMany([message, otherMessage]);
+
+            const mailerSpy = jest.spyOn(mailer, 'sendPlayerDeletedMessage');
+            const wssSpy = jest.spyOn(wss, 'broadcast');
+            const response = await app(api).delete(`/${player.playerID}`).set(sessionHeaders(api, player.playerID));
+            expect(response.status).toEqual(StatusCodes.NO_CONTENT);
+
+            const deletedPlayer = await db.players.getByID(player.playerID);
+            expect(deletedPlayer.name).toEqual(DELETED_PLAYER_NAME);
+            expect(deletedPlayer.email).toBeNull();
+            expect(deletedPlayer.currentRoomID).toBeNull();
+            expect(deletedPlayer.active).toBeFalsy();
+            expect(deletedPlayer.deleted).toBeTruthy();
+            expect(await db.players.getByEmail(PLAYER_EMAIL)).toBeNull();
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.playerIDs).toEqual([otherPlayer.playerID]);
+            expect(newRoom.hostPlayerID).toEqual(otherPlayer.playerID);
+            expect(newRoom.ownerPlayerID).toEqual(otherPlayer.playerID);
+            expect((await db.games.getByID(game.gameID)).scores).toEqual(game.scores);
+            expect(await db.chatMessages.getByID(message.messageID)).toBeNull();
+            expect(await db.chatMessages.getByID(otherMessage.messageID)).not.toBeNull();
+
+            expect(wssSpy).toHaveBeenCalledWith(new WebsocketEvent(
+                EventTypes.PLAYER_LEFT_ROOM,
+                {roomID: room.roomID, playerID: player.playerID, newHostPlayerID: otherPlayer.playerID}
+            ));
+            expect(wssSpy).toHaveBeenCalledWith(new WebsocketEvent(
+                ServerEventTypes.ROOM_OWNER_CHANGED,
+                {roomID: room.roomID, ownerPlayerID: otherPlayer.playerID, prevOwnerPlayerID: player.playerID}
+            ));
+            expect(wss.playerNames[player.playerID]).toEqual(DELETED_PLAYER_NAME);
+            expect(mailerSpy).toHaveBeenCalledWith(expect.objectContaining({playerID: player.playerID, email: PLAYER_EMAIL}));
+
+            const secondResponse = await app(api).delete(`/${player.playerID}`).set(sessionHeaders(api, player.playerID));
+            expect(secondResponse.status).toEqual(StatusCodes.NOT_FOUND);
+        });
+
+        test('does not send message to player without email', async () => {
+            const player = new Player(PLAYER_NAME);
+            await db.players.create(player);
+            const mailerSpy = jest.spyOn(mailer, 'sendPlayerDeletedMessage');
+            const response = await app(api).delete(`/${player.playerID}`).set(sessionHeaders(api, player.playerID));
+            expect(response.status).toEqual(StatusCodes.NO_CONTENT);
+            expect(mailerSpy).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('handleExportPlayer', () => {
+        test('missing session', async () => {
+            const response = await app(api).get('/player/export');
+            expect(response.status).toEqual(StatusCodes.UNAUTHORIZED);
+        });
+
+        test('session for different player', async () => {
+            const playerID = 'player';
+            const response = await app(api).get(`/${playerID}/export`).set(sessionHeaders(api, 'other-player'));
+            expect(response.status).toEqual(StatusCodes.FORBIDDEN);
+            expect(response.body.error).toEqual(`Not authorized to export player "${playerID}"`);
+            expect(response.body.code).toEqual(ErrorCodes.EXPORT_PLAYER_FORBIDDEN);
+        });
+
+        test('player not found', async () => {
+            const playerID = 'player';
+            const response = await app(api).get(`/${playerID}/export`).set(sessionHeaders(api, playerID));
+            expect(response.status).toEqual(StatusCodes.NOT_FOUND);
+            expect(response.body.code).toEqual(ErrorCodes.PLAYER_NOT_FOUND);
+        });
+
+        test('failed to get player data', async () => {
+            const player = new Player(PLAYER_NAME, PLAYER_EMAIL);
+            await db.players.create(player);
+            jest.spyOn(db.games, 'getByPlayerID').mockImplementation(async () => {
+                throw new Error('Test error');
+            });
+            const response = await app(api).get(`/${player.playerID}/export`).set(sessionHeaders(api, player.playerID));
+            expect(response.status).toEqual(StatusCodes.INTERNAL_SERVER_ERROR);
+            expect(response.body.code).toEqual(ErrorCodes.FAILED_TO_EXPORT_PLAYER);
+        });
+
+        test('successfully exports player data', async () => {
+            const player = new Player(PLAYER_NAME, PLAYER_EMAIL);
+            player.restoration = {tokenHash: hashSecretToken(generateSecretToken()), expirationTime: new Date()};
+            const room = new Room('TEST', player.playerID, 'password');
+            const otherRoom = new Room('ABCD', 'other-player');
+            const game = new Game(room.roomID, [player.playerID]);
+            const otherGame = new Game(otherRoom.roomID, ['other-player']);
+            await db.players.create(player);
+            await db.rooms.createMany([room, otherRoom]);
+            await db.games.createMany([game, otherGame]);
+            const message = new ChatMessage(room.roomID, player.playerID, 'Hello');
+            await db.chatMessages.createMany([message, new ChatMessage(otherRoom.roomID, 'other-player', 'Hi')]);
+
+            const response = await app(api).get(`/${player.playerID}/export`).set(sessionHeaders(api, player.playerID));
+            expect(response.ok).toBeTruthy();
+            expect(response.body.player).toEqual(expect.objectContaining({playerID: player.playerID, name: PLAYER_NAME, email: PLAYER_EMAIL}));
+            expect(response.body.player.stats).toEqual({...player.stats});
+            expect(response.body.player.restoration).toBeUndefined();
+            expect(response.body.player._id).toBeUndefined();
+            expect(response.body.rooms.map(room => room.roomID)).toEqual([room.roomID]);
+            expect(response.body.rooms[0].passwordHash).toBeUndefined();
+            expect(response.body.games.map(game => game.gameID)).toEqual([game.gameID]);
+            expect(response.body.chatMessages).toEqual([{...message, _id: undefined, createdTime: message.createdTime.toISOString()}]);
+            expect(response.body.exportedTime).toBeDefined();
         });
     });
 });
@@ -1,10 +1,13 @@
+import bcrypt from 'bcryptjs';
 import log from 'log';
 import {
     EventTypes,
     getAugmentedPlayerStats,
     getPlaces,
     LeaderboardKeys,
+    MAX_KICK_DURATION_SECONDS,
     MAX_PASSWORD_LENGTH,
+    PASSWORD_SALT_ROUNDS,
     Room,
     RoomLinkRequestResolution,
     ROOM_CODE_LENGTH,
@@ -12,33 +15,205 @@ import {
     validateRoomCode,
     WebsocketEvent,
 } from '@dyesoft/alea-core';
+import { ErrorCodes } from '../i18n/index.mjs';
+import { hasRoomPermission, outranksPlayer, RoomPermissions } from '../roles.mjs';
+import { getExpirationForDuration, ServerEventTypes } from '../websockets.mjs';
 import { APIRouteDefinition } from './common.mjs';
+import { paginationSchema, schemaRef } from './openapi.mjs';
 
 const logger = log.get('api:room');
 
 /* API route definition for room-related endpoints. */
 class RoomAPI extends APIRouteDefinition {
-    /* Create a new Room API using the given database connection and mailer. */
-    constructor(db, wss, mailer, adminPlayerIDs) {
-        super(db, wss, mailer);
-        this.adminPlayerIDs = new Set(adminPlayerIDs || []);
-        this.get('/', this.handleGetRooms.bind(this));
-        this.post('/', this.handleCreateRoom.bind(this));
-        this.get('/:roomID', this.handleGetRoom.bind(this));
-        this.get('/:roomID/history', this.handleGetRoomHistory.bind(this));
-        this.get('/:roomID/leaderboard', this.handleGetRoomLeaderboard.bind(this));
+    /* Create a new Room API using the given database connection, websocket server, mailer, admin player IDs, and session manager. */
+    constructor(db, wss, mailer, adminPlayerIDs, sessions) {
+        super(db, wss, mailer, sessions, adminPlayerIDs);
+        this.get('/', this.handleGetRooms.bind(this), {
+            summary: 'Get a page of rooms, along with the names of their players (archived rooms are only included if requested)',
+            query: {
+                archived: {type: 'boolean', description: 'Include archived rooms'},
+                page: {type: 'integer', minimum: 1},
+            },
+            response: paginationSchema('rooms', schemaRef('Room'), {
+                playerNames: {type: 'object', additionalProperties: {type: 'string'}, description: 'Map of player ID to name'},
+            }),
+            errors: [StatusCodes.BAD_REQUEST, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+        this.post('/', this.handleCreateRoom.bind(this), {
+            requireSession: true,
+            summary: 'Create a new room owned by the session player',
+            requestBody: {
+                type: 'object',
+                properties: {
+                    ownerPlayerID: {type: 'string', title: 'owner player ID'},
+                    password: {type: 'string', format: 'password', minLength: 1, maxLength: MAX_PASSWORD_LENGTH, nullable: true},
+                    roomCode: {type: 'string', title: 'room code', 'x-normalize': 'uppercase'},
+                    requestID: {type: 'string', title: 'room link request ID', description: 'ID of an approved room link request (not required for admins)'},
+                },
+            },
+            response: schemaRef('Room'),
+            errors: [StatusCodes.BAD_REQUEST, StatusCodes.FORBIDDEN, StatusCodes.CONFLICT, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+        this.get('/:roomID', this.handleGetRoom.bind(this), {
+            summary: 'Get a room by ID or room code',
+            response: schemaRef('Room'),
+            errors: [StatusCodes.NOT_FOUND],
+        });
+        this.get('/:roomID/history', this.handleGetRoomHistory.bind(this), {
+            summary: 'Get the history of games played in a room, by room ID or room code',
+            response: schemaRef('RoomHistory'),
+            errors: [StatusCodes.NOT_FOUND],
+        });
+        this.get('/:roomID/leaderboard', this.handleGetRoomLeaderboard.bind(this), {
+            summary: 'Get the leaderboard for the players in a room, by room ID or room code',
+            response: schemaRef('Leaderboard'),
+            errors: [StatusCodes.NOT_FOUND, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+        this.patch('/:roomID', this.handleUpdateRoom.bind(this), {
+            requireSession: true,
+            summary: "Change a room's password, owner, or room code, by room ID or room code (owner only)",
+            requestBody: {
+                type: 'object',
+                properties: {
+                    ownerPlayerID: {type: 'string', title: 'owner player ID'},
+                    password: {type: 'string', format: 'password', minLength: 1, maxLength: MAX_PASSWORD_LENGTH, nullable: true, description: 'New password (null to remove the password)'},
+                    roomCode: {type: 'string', title: 'room code', 'x-normalize': 'uppercase'},
+                },
+            },
+            response: schemaRef('Room'),
+            errors: [StatusCodes.BAD_REQUEST, StatusCodes.FORBIDDEN, StatusCodes.NOT_FOUND, StatusCodes.CONFLICT, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+        this.delete('/:roomID', this.handleCloseRoom.bind(this), {
+            requireSession: true,
+            summary: 'Close a room, removing all of its players, by room ID or room code (owner only)',
+            errors: [StatusCodes.FORBIDDEN, StatusCodes.NOT_FOUND, StatusCodes.CONFLICT, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+        this.get('/:roomID/kicks', this.handleGetKickedPlayers.bind(this), {
+            requireSession: true,
+            summary: 'Get the players currently kicked or banned from a room, by room ID or room code (moderators only)',
+            response: {
+                type: 'object',
+                properties: {
+                    kickedPlayers: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                playerID: {type: 'string'},
+                                name: {type: 'string', nullable: true},
+                                expiration: {type: 'integer', nullable: true, description: 'Kick expiration time in milliseconds (null if banned)'},
+                                banned: {type: 'boolean', description: 'Whether the player is kicked indefinitely'},
+                            },
+                        },
+                    },
+                },
+            },
+            errors: [StatusCodes.FORBIDDEN, StatusCodes.NOT_FOUND, StatusCodes.CONFLICT, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+        this.put('/:roomID/kicks/:playerID', this.handleBanPlayer.bind(this), {
+            requireSession: true,
+            summary: 'Ban a player from a room, kicking them until the kick is lifted, by room ID or room code (moderators only)',
+            errors: [StatusCodes.FORBIDDEN, StatusCodes.NOT_FOUND, StatusCodes.CONFLICT, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+        this.delete('/:roomID/kicks/:playerID', this.handleLiftKick.bind(this), {
+            requireSession: true,
+            summary: 'Allow a player who was kicked from a room to rejoin it, by room ID or room code (moderators only)',
+            errors: [StatusCodes.FORBIDDEN, StatusCodes.NOT_FOUND, StatusCodes.CONFLICT, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+        this.put('/:roomID/mutes/:playerID', this.handleMutePlayer.bind(this), {
+            requireSession: true,
+            summary: 'Mute a player in a room, preventing them from sending chat messages, by room ID or room code (moderators only)',
+            requestBody: {
+                type: 'object',
+                properties: {
+                    duration: {type: 'integer', minimum: 0, maximum: MAX_KICK_DURATION_SECONDS, description: 'Duration of the mute in seconds (0 to mute until unmuted)'},
+                },
+            },
+            errors: [StatusCodes.BAD_REQUEST, StatusCodes.FORBIDDEN, StatusCodes.NOT_FOUND, StatusCodes.CONFLICT, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+        this.delete('/:roomID/mutes/:playerID', this.handleUnmutePlayer.bind(this), {
+            requireSession: true,
+            summary: 'Unmute a player who was muted in a room, by room ID or room code (moderators only)',
+            errors: [StatusCodes.FORBIDDEN, StatusCodes.NOT_FOUND, StatusCodes.CONFLICT, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+    }
+
+    /* Return the room with the given room ID, or with the given room code if the ID has the length of a room code. */
+    async getRoomByIDOrCode(roomID) {
+        return await (roomID.length === ROOM_CODE_LENGTH ? this.db.rooms.getByRoomCode(roomID) : this.db.rooms.getByID(roomID));
+    }
+
+    /*
+     * Return the room identified by the request's roomID parameter, if the session player may manage the room (i.e., is its owner or an admin).
+     * Otherwise, an error response is sent, and null is returned. Closed rooms can no longer be managed.
+     */
+    async getManagedRoom(req, error) {
+        const roomID = req.params.roomID;
+        const room = await this.getRoomByIDOrCode(roomID);
+        if (!room) {
+            error(ErrorCodes.ROOM_NOT_FOUND, StatusCodes.NOT_FOUND, {roomID});
+            return null;
+        }
+        if (room.ownerPlayerID !== req.sessionPlayerID && !this.isAdmin(req.sessionPlayerID)) {
+            logger.error(`Player ${req.sessionPlayerID} is not authorized to manage room ${room.roomID}`);
+            error(ErrorCodes.ROOM_OWNER_REQUIRED, StatusCodes.FORBIDDEN, {roomID});
+            return null;
+        }
+        if (room.closed) {
+            error(ErrorCodes.ROOM_CLOSED, StatusCodes.CONFLICT, {roomID});
+            return null;
+        }
+        return room;
+    }
+
+    /*
+     * Return the room identified by the request's roomID parameter, if the session player may moderate the room
+     * (i.e., is an admin or has the moderate permission in the room, see hasRoomPermission).
+     * If a target player ID is given, the session player must also outrank the target player in the room (see outranksPlayer), unless they are an admin.
+     * Otherwise, an error response is sent, and null is returned. Closed rooms can no longer be moderated.
+     */
+    async getModeratedRoom(req, error, targetPlayerID = null) {
+        const roomID = req.params.roomID;
+        const room = await this.getRoomByIDOrCode(roomID);
+        if (!room) {
+            error(ErrorCodes.ROOM_NOT_FOUND, StatusCodes.NOT_FOUND, {roomID});
+            return null;
+        }
+        const playerID = req.sessionPlayerID;
+        if (!this.isAdmin(playerID)) {
+            if (!hasRoomPermission(room, playerID, RoomPermissions.MODERATE)) {
+                logger.error(`Player ${playerID} is not authorized to moderate room ${room.roomID}`);
+                error(ErrorCodes.HOST_OR_OWNER_REQUIRED_TO_MODERATE, StatusCodes.FORBIDDEN, {roomID});
+                return null;
+            }
+            if (targetPlayerID && !outranksPlayer(room, playerID, targetPlayerID)) {
+                logger.error(`Player ${playerID} is not authorized to moderate player ${targetPlayerID} in room ${room.roomID}`);
+                error(ErrorCodes.MODERATOR_OUTRANKED_BY_PLAYER, StatusCodes.FORBIDDEN, {playerID: targetPlayerID, roomID});
+                return null;
+            }
+        }
+        if (room.closed) {
+            error(ErrorCodes.ROOM_CLOSED, StatusCodes.CONFLICT, {roomID});
+            return null;
+        }
+        return room;
     }
 
     /* Handler for GET /room. */
     async handleGetRooms(req, res, error) {
-        let response;
-        try {
-            response = await this.getPaginationResponse(req, 'rooms', this.db.rooms.count, this.db.rooms.getPaginatedList);
-        } catch (e) {
-            error(e.message, e.status);
-            return;
+        const archivedParam = req.query.archived;
+        let includeArchived = false;
+        if (archivedParam) {
+            const archived = archivedParam.toLowerCase();
+            if (archived !== 'true' && archived !== 'false') {
+                error(ErrorCodes.INVALID_ARCHIVED_FILTER, StatusCodes.BAD_REQUEST, {archived: archivedParam});
+                return;
+            }
+            includeArchived = (archived === 'true');
         }
 
+        const response = await this.getPaginationResponse(req, 'rooms', this.db.rooms.count, this.db.rooms.getPageOfRooms, [includeArchived]);
+
         let uniquePlayerIDs = new Set();
         response.rooms.forEach(room => {
             uniquePlayerIDs.add(room.ownerPlayerID);
@@ -51,7 +226,7 @@ class RoomAPI extends APIRouteDefinition {
             players.forEach(player => playerNames[player.playerID] = player.name);
         } catch (e) {
             logger.error(`Failed to get players in rooms: ${e}`);
-            error('Failed to get players', StatusCodes.INTERNAL_SERVER_ERROR);
+            error(ErrorCodes.FAILED_TO_GET_PLAYERS, StatusCodes.INTERNAL_SERVER_ERROR);
             return;
         }
         response.playerNames = playerNames;
@@ -62,51 +237,52 @@ class RoomAPI extends APIRouteDefinition {
     async handleCreateRoom(req, res, error) {
         logger.info('Creating a new room.');
 
-        const ownerPlayerID = req.body.ownerPlayerID?.toString().trim();
+        const ownerPlayerID = req.sessionPlayerID;
+        if (req.body.hasOwnProperty('ownerPlayerID') && req.body.ownerPlayerID !== ownerPlayerID) {
+            error(ErrorCodes.OWNER_SESSION_MISMATCH, StatusCodes.FORBIDDEN);
+            return;
+        }
         const player = await this.db.players.getByID(ownerPlayerID);
         if (!player) {
-            error(`Invalid owner player ID "${ownerPlayerID}"`, StatusCodes.BAD_REQUEST);
+            error(ErrorCodes.INVALID_OWNER_PLAYER_ID, StatusCodes.BAD_REQUEST, {playerID: ownerPlayerID});
             return;
         }
 
-        let password = null;
-        if (req.body.hasOwnProperty('password')) {
-            password = req.body.password;
-            if (password !== null && (!password || password.length > MAX_PASSWORD_LENGTH)) {
-                error('Invalid password', StatusCodes.BAD_REQUEST);
-                return;
-            }
-        }
+        const password = req.body.password ?? null;
 
-        let roomCode = req.body.roomCode?.toString().toUpperCase().trim();
+        let roomCode = req.body.roomCode;
         if (roomCode) {
             if (!validateRoomCode(roomCode)) {
-                error(`Invalid room code "${roomCode}"`, StatusCodes.BAD_REQUEST);
+                error(ErrorCodes.INVALID_ROOM_CODE, StatusCodes.BAD_REQUEST, {roomCode});
                 return;
             }
             const room = await this.db.rooms.getByRoomCode(roomCode);
             if (room) {
-                error(`Room with code "${roomCode}" already exists`, StatusCodes.CONFLICT);
+                error(ErrorCodes.ROOM_CODE_CONFLICT, StatusCodes.CONFLICT, {roomCode});
                 return;
             }
         } else {
             roomCode = await this.db.rooms.generateUniqueRoomCode();
         }
 
-        let requestID = req.body.requestID?.toString().trim();
+        const requestID = req.body.requestID;
         let roomLinkRequest = null;
         if (requestID) {
             roomLinkRequest = await this.db.roomLinkRequests.getByID(requestID);
             if (!roomLinkRequest || roomLinkRequest.resolution !== RoomLinkRequestResolution.APPROVED) {
-                error(`Invalid room link request ID "${requestID}"`, StatusCodes.BAD_REQUEST);
+                error(ErrorCodes.INVALID_ROOM_LINK_REQUEST_ID, StatusCodes.BAD_REQUEST, {requestID});
                 return;
             }
             if (roomLinkRequest.roomID) {
-                error(`Room link request "${requestID}" has already been redeemed`, StatusCodes.BAD_REQUEST);
+                error(ErrorCodes.ROOM_LINK_REQUEST_REDEEMED, StatusCodes.BAD_REQUEST, {requestID});
                 return;
             }
-        } else if (!this.adminPlayerIDs.has(ownerPlayerID)) {
-            error(`Missing room link request ID`, StatusCodes.BAD_REQUEST);
+            if (roomLinkRequest.expired) {
+                error(ErrorCodes.ROOM_LINK_REQUEST_EXPIRED, StatusCodes.BAD_REQUEST, {requestID});
+                return;
+            }
+        } else if (!this.isAdmin(ownerPlayerID)) {
+            error(ErrorCodes.MISSING_ROOM_LINK_REQUEST_ID, StatusCodes.BAD_REQUEST);
             return;
         }
 
@@ -115,7 +291,7 @@ class RoomAPI extends APIRouteDefinition {
             await this.db.rooms.create(room);
         } catch (e) {
             logger.error(`Failed to save room to database: ${e}`);
-            error('Failed to save room to database', StatusCodes.INTERNAL_SERVER_ERROR);
+            error(ErrorCodes.FAILED_TO_SAVE_ROOM, StatusCodes.INTERNAL_SERVER_ERROR);
             return;
         }
 
@@ -124,7 +300,7 @@ class RoomAPI extends APIRouteDefinition {
                 await this.db.roomLinkRequests.setRoomByID(requestID, room.roomID, roomCode);
             } catch (e) {
                 logger.error(`Failed to update room link request in database: ${e}`);
-                error('Failed to update database', StatusCodes.INTERNAL_SERVER_ERROR);
+                error(ErrorCodes.FAILED_TO_UPDATE_DATABASE, StatusCodes.INTERNAL_SERVER_ERROR);
                 return;
             }
         }
@@ -150,11 +326,11 @@ class RoomAPI extends APIRouteDefinition {
     /* Handler for GET /room/:roomID. */
     async handleGetRoom(req, res, error) {
         const roomID = req.params.roomID;
-        const room = await (roomID.length === ROOM_CODE_LENGTH ? this.db.rooms.getByRoomCode(roomID) : this.db.rooms.getByID(roomID));
+        const room = await this.getRoomByIDOrCode(roomID);
         if (room) {
             res.json(room);
         } else {
-            error(`Room "${roomID}" not found`, StatusCodes.NOT_FOUND);
+            error(ErrorCodes.ROOM_NOT_FOUND, StatusCodes.NOT_FOUND, {roomID});
         }
     }
 
@@ -165,16 +341,16 @@ class RoomAPI extends APIRouteDefinition {
         if (roomHistory) {
             res.json(roomHistory);
         } else {
-            error(`Room "${roomID}" not found`, StatusCodes.NOT_FOUND);
+            error(ErrorCodes.ROOM_NOT_FOUND, StatusCodes.NOT_FOUND, {roomID});
         }
     }
 
     /* Handler for GET /room/:roomID/leaderboard. */
     async handleGetRoomLeaderboard(req, res, error) {
         const roomID = req.params.roomID;
-        const room = await (roomID.length === ROOM_CODE_LENGTH ? this.db.rooms.getByRoomCode(roomID) : this.db.rooms.getByID(roomID));
+        const room = await this.getRoomByIDOrCode(roomID);
         if (!room) {
-            error(`Room "${roomID}" not found`, StatusCodes.NOT_FOUND);
+            error(ErrorCodes.ROOM_NOT_FOUND, StatusCodes.NOT_FOUND, {roomID});
             return;
         }
 
@@ -187,7 +363,7 @@ class RoomAPI extends APIRouteDefinition {
         try {
             players = await this.db.players.getByIDs(playerIDs);
         } catch (e) {
-            error('Failed to get players', StatusCodes.INTERNAL_SERVER_ERROR);
+            error(ErrorCodes.FAILED_TO_GET_PLAYERS, StatusCodes.INTERNAL_SERVER_ERROR);
             return;
         }
 
@@ -217,6 +393,204 @@ class RoomAPI extends APIRouteDefinition {
             [LeaderboardKeys.WINNING_PERCENTAGE]: winLeaders,
         });
     }
+
+    /*
+     * Handler for PATCH /room/:roomID.
+     * Each field in the request body is optional, and a matching event is broadcast to the room for each field that changed.
+     */
+    async handleUpdateRoom(req, res, error) {
+        const room = await this.getManagedRoom(req, error);
+        if (!room) {
+            return;
+        }
+        const roomID = room.roomID;
+
+        let updates = {};
+        let events = [];
+
+        const roomCode = req.body.roomCode;
+        if (roomCode && roomCode !== room.roomCode) {
+            if (!validateRoomCode(roomCode)) {
+                error(ErrorCodes.INVALID_ROOM_CODE, StatusCodes.BAD_REQUEST, {roomCode});
+                return;
+            }
+            if (await this.db.rooms.getByRoomCode(roomCode)) {
+                error(ErrorCodes.ROOM_CODE_CONFLICT, StatusCodes.CONFLICT, {roomCode});
+                return;
+            }
+            updates.roomCode = roomCode;
+            events.push(new WebsocketEvent(ServerEventTypes.ROOM_CODE_CHANGED, {roomID, roomCode, prevRoomCode: room.roomCode}));
+        }
+
+        const ownerPlayerID = req.body.ownerPlayerID;
+        if (ownerPlayerID && ownerPlayerID !== room.ownerPlayerID) {
+            const owner = await this.db.players.getByID(ownerPlayerID);
+            if (!owner || owner.deleted) {
+                error(ErrorCodes.INVALID_OWNER_PLAYER_ID, StatusCodes.BAD_REQUEST, {playerID: ownerPlayerID});
+                return;
+            }
+            updates.ownerPlayerID = ownerPlayerID;
+            events.push(new WebsocketEvent(ServerEventTypes.ROOM_OWNER_CHANGED, {roomID, ownerPlayerID, prevOwnerPlayerID: room.ownerPlayerID}));
+        }
+
+        if (req.body.hasOwnProperty('password')) {
+            /* NOTE: hashed the same way as in the Room constructor, so the password can be checked when joining the room (see handleJoinRoomWithCode) */
+            const password = req.body.password;
+            updates.passwordHash = (!!password ? bcrypt.hashSync(password, PASSWORD_SALT_ROUNDS) : null);
+            events.push(new WebsocketEvent(ServerEventTypes.ROOM_PASSWORD_CHANGED, {roomID, hasPassword: !!password}));
+        }
+
+        if (events.length) {
+            try {
+                await this.db.rooms.updateByID(roomID, updates);
+                if (updates.roomCode) {
+                    await this.db.roomLinkRequests.setRoomCodeByRoomID(roomID, updates.roomCode);
+                }
+            } catch (e) {
+                logger.error(`Failed to update room ${roomID} in database: ${e}`);
+                error(ErrorCodes.FAILED_TO_UPDATE_ROOM, StatusCodes.INTERNAL_SERVER_ERROR);
+                return;
+            }
+            events.forEach(event => this.wss.broadcast(event));
+            logger.info(`Updated ${Object.keys(updates).join(', ')} for room ${roomID}.`);
+        }
+
+        // The password hash is never returned, so that it cannot be brute-forced offline.
+        let updatedRoom = {...room, ...updates};
+        delete updatedRoom.passwordHash;
+        res.json(updatedRoom);
+    }
+
+    /* Handler for DELETE /room/:roomID. */
+    async handleCloseRoom(req, res, error) {
+        const room = await this.getManagedRoom(req, error);
+        if (!room) {
+            return;
+        }
+        try {
+            await this.db.closeRoom(room);
+        } catch (e) {
+            logger.error(`Failed to close room ${room.roomID}: ${e}`);
+            error(ErrorCodes.FAILED_TO_UPDATE_ROOM, StatusCodes.INTERNAL_SERVER_ERROR);
+            return;
+        }
+        /* NOTE: order matters here - need to broadcast before removing the players' websockets from the room */
+        this.wss.broadcast(new WebsocketEvent(ServerEventTypes.ROOM_CLOSED, {roomID: room.roomID}));
+        this.wss.evictClients(room.roomID, room.playerIDs);
+        res.status(StatusCodes.NO_CONTENT).end();
+        logger.info(`Closed room ${room.roomID} (short code: ${room.roomCode}).`);
+    }
+
+    /* Handler for GET /room/:roomID/kicks. */
+    async handleGetKickedPlayers(req, res, error) {
+        const room = await this.getModeratedRoom(req, error);
+        if (!room) {
+            return;
+        }
+        let kickedPlayers;
+        try {
+            kickedPlayers = await this.wss.getKickedPlayers(room);
+        } catch (e) {
+            logger.error(`Failed to get kicked players in room ${room.roomID}: ${e}`);
+            error(ErrorCodes.FAILED_TO_GET_PLAYERS, StatusCodes.INTERNAL_SERVER_ERROR);
+            return;
+        }
+        res.json({kickedPlayers});
+    }
+
+    /* Handler for PUT /room/:roomID/kicks/:playerID. */
+    async handleBanPlayer(req, res, error) {
+        const room = await this.getModeratedRoom(req, error, req.params.playerID);
+        if (!room) {
+            return;
+        }
+        const playerID = req.params.playerID;
+        const player = await this.db.players.getByID(playerID);
+        if (!player || player.deleted) {
+            error(ErrorCodes.PLAYER_NOT_FOUND, StatusCodes.NOT_FOUND, {playerID});
+            return;
+        }
+        try {
+            await this.wss.banPlayer(room, player);
+        } catch (e) {
+            logger.error(`Failed to ban player ${playerID} from room ${room.roomID}: ${e}`);
+            error(ErrorCodes.FAILED_TO_UPDATE_ROOM, StatusCodes.INTERNAL_SERVER_ERROR);
+            return;
+        }
+        res.status(StatusCodes.NO_CONTENT).end();
+    }
+
+    /* Handler for DELETE /room/:roomID/kicks/:playerID. */
+    async handleLiftKick(req, res, error) {
+        const room = await this.getModeratedRoom(req, error, req.params.playerID);
+        if (!room) {
+            return;
+        }
+        const roomID = room.roomID;
+        const playerID = req.params.playerID;
+        if (!room.kickedPlayerIDs.hasOwnProperty(playerID)) {
+            error(ErrorCodes.PLAYER_NOT_KICKED_FROM_ROOM, StatusCodes.NOT_FOUND, {playerID, roomID});
+            return;
+        }
+        try {
+            await this.wss.liftKick(room, playerID);
+        } catch (e) {
+            logger.error(`Failed to lift kick of player ${playerID} from room ${roomID}: ${e}`);
+            error(ErrorCodes.FAILED_TO_UPDATE_ROOM, StatusCodes.INTERNAL_SERVER_ERROR);
+            return;
+        }
+        res.status(StatusCodes.NO_CONTENT).end();
+    }
+
+    /* Handler for PUT /room/:roomID/mutes/:playerID. */
+    async handleMutePlayer(req, res, error) {
+        const room = await this.getModeratedRoom(req, error, req.params.playerID);
+        if (!room) {
+            return;
+        }
+        const playerID = req.params.playerID;
+        const duration = req.body?.duration;
+        const expiration = getExpirationForDuration(duration);
+        if (expiration === undefined) {
+            error(ErrorCodes.INVALID_DURATION, StatusCodes.BAD_REQUEST, {duration});
+            return;
+        }
+        const player = await this.db.players.getByID(playerID);
+        if (!player || player.deleted) {
+            error(ErrorCodes.PLAYER_NOT_FOUND, StatusCodes.NOT_FOUND, {playerID});
+            return;
+        }
+        try {
+            await this.wss.mutePlayer(room, playerID, expiration);
+        } catch (e) {
+            logger.error(`Failed to mute player ${playerID} in room ${room.roomID}: ${e}`);
+            error(ErrorCodes.FAILED_TO_UPDATE_ROOM, StatusCodes.INTERNAL_SERVER_ERROR);
+            return;
+        }
+        res.status(StatusCodes.NO_CONTENT).end();
+    }
+
+    /* Handler for DELETE /room/:roomID/mutes/:playerID. */
+    async handleUnmutePlayer(req, res, error) {
+        const room = await this.getModeratedRoom(req, error, req.params.playerID);
+        if (!room) {
+            return;
+        }
+        const roomID = room.roomID;
+        const playerID = req.params.playerID;
+        if (!room.mutedPlayerIDs?.hasOwnProperty(playerID)) {
+            error(ErrorCodes.PLAYER_NOT_MUTED_IN_ROOM, StatusCodes.NOT_FOUND, {playerID, roomID});
+            return;
+        }
+        try {
+            await this.wss.unmutePlayer(room, playerID);
+        } catch (e) {
+            logger.error(`Failed to unmute player ${playerID} in room ${roomID}: ${e}`);
+            error(ErrorCodes.FAILED_TO_UPDATE_ROOM, StatusCodes.INTERNAL_SERVER_ERROR);
+            return;
+        }
+        res.status(StatusCodes.NO_CONTENT).end();
+    }
 }
 
 export default RoomAPI;
@@ -1,5 +1,7 @@
+import bcrypt from 'bcryptjs';
 import {
     EventTypes, LeaderboardKeys,
+    MILLISECONDS_PER_DAY,
     Player, PlayerStatsKeys,
     Room,
     RoomLinkRequest,
@@ -9,10 +11,12 @@ import {
     WebsocketEvent,
 } from '@dyesoft/alea-core';
 import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { ErrorCodes } from '../i18n/index.mjs';
+import { RoomRoles } from '../roles.mjs';
 import { getTestDB, getTestMailer } from '../testutils.mjs';
-import { WebsocketServer } from '../websockets.mjs';
+import { NO_ROOM_KEY, ServerEventTypes, WebsocketServer } from '../websockets.mjs';
 import RoomAPI from './room.mjs';
-import { app } from './testutils.mjs';
+import { app, sessionHeaders } from './testutils.mjs';
 
 const ROOM_CODE = 'TEST';
 const OWNER_PLAYER_ID = 'owner';
@@ -20,6 +24,14 @@ const OWNER_PLAYER_ID = 'owner';
 const ADMIN = new Player('Admin');
 const ADMIN_PLAYER_ID = ADMIN.playerID;
 
+function tomorrow() {
+    return Date.now() + MILLISECONDS_PER_DAY;
+}
+
+function yesterday() {
+    return Date.now() - MILLISECONDS_PER_DAY;
+}
+
 describe('RoomAPI', () => {
     let db;
     let wss;
@@ -53,7 +65,7 @@ describe('RoomAPI', () => {
         });
 
         test('creates expected routes', () => {
-            expect(api._router.stack).toHaveLength(5);
+            expect(api._router.stack).toHaveLength(12);
 
             const getRoomsRoute = api._router.stack[0].route;
             expect(getRoomsRoute.path).toEqual('/');
@@ -74,10 +86,45 @@ describe('RoomAPI', () => {
             const getRoomLeaderboardRoute = api._router.stack[4].route;
             expect(getRoomLeaderboardRoute.path).toEqual('/:roomID/leaderboard');
             expect(getRoomLeaderboardRoute.methods).toEqual({get: true});
+
+            const updateRoomRoute = api._router.stack[5].route;
+            expect(updateRoomRoute.path).toEqual('/:roomID');
+            expect(updateRoomRoute.methods).toEqual({patch: true});
+
+            const closeRoomRoute = api._router.stack[6].route;
+            expect(closeRoomRoute.path).toEqual('/:roomID');
+            expect(closeRoomRoute.methods).toEqual({delete: true});
+
+            const getKickedPlayersRoute = api._router.stack[7].route;
+            expect(getKickedPlayersRoute.path).toEqual('/:roomID/kicks');
+            expect(getKickedPlayersRoute.methods).toEqual({get: true});
+
+            const banPlayerRoute = api._router.stack[8].route;
+            expect(banPlayerRoute.path).toEqual('/:roomID/kicks/:playerID');
+            expect(banPlayerRoute.methods).toEqual({put: true});
+
+            const liftKickRoute = api._router.stack[9].route;
+            expect(liftKickRoute.path).toEqual('/:roomID/kicks/:playerID');
+            expect(liftKickRoute.methods).toEqual({delete: true});
+
+            const mutePlayerRoute = api._router.stack[10].route;
+            expect(mutePlayerRoute.path).toEqual('/:roomID/mutes/:playerID');
+            expect(mutePlayerRoute.methods).toEqual({put: true});
+
+            const unmutePlayerRoute = api._router.stack[11].route;
+            expect(unmutePlayerRoute.path).toEqual('/:roomID/mutes/:playerID');
+            expect(unmutePlayerRoute.methods).toEqual({delete: true});
         });
     });
 
     describe('handleGetRooms', () => {
+        test('invalid archived filter', async () => {
+            const response = await app(api).get('/?archived=maybe');
+            expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
+            expect(response.body.error).toEqual('Invalid archived filter "maybe"');
+            expect(response.body.code).toEqual(ErrorCodes.INVALID_ARCHIVED_FILTER);
+        });
+
         test('invalid page', async () => {
             const page = -1;
             const response = await app(api).get(`/?page=${page}`);
@@ -124,6 +171,25 @@ describe('RoomAPI', () => {
             expect(response.body.rooms).toHaveLength(rooms.length);
             expect(response.body.playerNames).toEqual({[player.playerID]: player.name});
         });
+
+        test('archived rooms excluded unless requested', async () => {
+            const player = new Player('Fred');
+            const room = new Room(ROOM_CODE, player.playerID);
+            const archivedRoom = new Room('FRED', player.playerID);
+            await db.players.create(player);
+            await db.rooms.createMany([room, archivedRoom]);
+            await db.rooms.archiveByID(archivedRoom.roomID, new Date());
+
+            let response = await app(api).get('/');
+            expect(response.ok).toBeTruthy();
+            expect(response.body.total).toEqual(1);
+            expect(response.body.rooms.map(room => room.roomID)).toEqual([room.roomID]);
+
+            response = await app(api).get('/?archived=true');
+            expect(response.ok).toBeTruthy();
+            expect(response.body.total).toEqual(2);
+            expect(response.body.rooms.map(room => room.roomID).sort()).toEqual([room.roomID, archivedRoom.roomID].sort());
+        });
     });
 
     describe('handleCreateRoom', () => {
@@ -132,17 +198,31 @@ describe('RoomAPI', () => {
 
         beforeEach(async () => await db.players.create(OWNER));
 
+        test('missing session', async () => {
+            const room = {ownerPlayerID: OWNER_PLAYER_ID};
+            const response = await app(api).post('/').send(room);
+            expect(response.status).toEqual(StatusCodes.UNAUTHORIZED);
+            expect(response.body.error).toEqual('Invalid or missing session token');
+        });
+
+        test('owner does not match session', async () => {
+            const room = {ownerPlayerID: OWNER_PLAYER_ID};
+            const response = await app(api).post('/').set(sessionHeaders(api, ADMIN_PLAYER_ID)).send(room);
+            expect(response.status).toEqual(StatusCodes.FORBIDDEN);
+            expect(response.body.error).toEqual('Owner player ID does not match session');
+        });
+
         test('invalid owner', async () => {
             const ownerPlayerID = 'not-found';
             const room = {ownerPlayerID: ownerPlayerID};
-            const response = await app(api).post('/').send(room);
+            const response = await app(api).post('/').set(sessionHeaders(api, room.ownerPlayerID)).send(room);
             expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
             expect(response.body.error).toEqual(`Invalid owner player ID "${ownerPlayerID}"`);
         });
 
         test('invalid password', async () => {
             const room = {ownerPlayerID: OWNER_PLAYER_ID, password: ''};
-            const response = await app(api).post('/').send(room);
+            const response = await app(api).post('/').set(sessionHeaders(api, room.ownerPlayerID)).send(room);
             expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
             expect(response.body.error).toEqual('Invalid password');
         });
@@ -150,7 +230,7 @@ describe('RoomAPI', () => {
         test('invalid room code', async () => {
             const roomCode = '😈';
             const room = {ownerPlayerID: OWNER_PLAYER_ID, roomCode: roomCode};
-            const response = await app(api).post('/').send(room);
+            const response = await app(api).post('/').set(sessionHeaders(api, room.ownerPlayerID)).send(room);
             expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
             expect(response.body.error).toEqual(`Invalid room code "${roomCode}"`);
         });
@@ -159,7 +239,7 @@ describe('RoomAPI', () => {
             const existingRoom = new Room(ROOM_CODE, OWNER_PLAYER_ID);
             await db.rooms.create(existingRoom);
             const room = {ownerPlayerID: OWNER_PLAYER_ID, roomCode: ROOM_CODE};
-            const response = await app(api).post('/').send(room);
+            const response = await app(api).post('/').set(sessionHeaders(api, room.ownerPlayerID)).send(room);
             expect(response.status).toEqual(StatusCodes.CONFLICT);
             expect(response.body.error).toEqual(`Room with code "${ROOM_CODE}" already exists`);
         });
@@ -167,7 +247,7 @@ describe('RoomAPI', () => {
         test('invalid room link request - not found', async () => {
             const requestID = 'not-found';
             const room = {ownerPlayerID: OWNER_PLAYER_ID, requestID: requestID};
-            const response = await app(api).post('/').send(room);
+            const response = await app(api).post('/').set(sessionHeaders(api, room.ownerPlayerID)).send(room);
             expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
             expect(response.body.error).toEqual(`Invalid room link request ID "${requestID}"`);
         });
@@ -176,7 +256,7 @@ describe('RoomAPI', () => {
             const roomLinkRequest = new RoomLinkRequest('Barney', 'barney@example.com');
             await db.roomLinkRequests.create(roomLinkRequest);
             const room = {ownerPlayerID: OWNER_PLAYER_ID, requestID: roomLinkRequest.requestID};
-            const response = await app(api).post('/').send(room);
+            const response = await app(api).post('/').set(sessionHeaders(api, room.ownerPlayerID)).send(room);
             expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
             expect(response.body.error).toEqual(`Invalid room link request ID "${roomLinkRequest.requestID}"`);
         });
@@ -187,14 +267,26 @@ describe('RoomAPI', () => {
             roomLinkRequest.roomID = 'room';
             await db.roomLinkRequests.create(roomLinkRequest);
             const room = {ownerPlayerID: OWNER_PLAYER_ID, requestID: roomLinkRequest.requestID};
-            const response = await app(api).post('/').send(room);
+            const response = await app(api).post('/').set(sessionHeaders(api, room.ownerPlayerID)).send(room);
             expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
             expect(response.body.error).toEqual(`Room link request "${roomLinkRequest.requestID}" has already been redeemed`);
         });
 
+        test('invalid room link request - expired', async () => {
+            const roomLinkRequest = new RoomLinkRequest('Barney', 'barney@example.com');
+            roomLinkRequest.resolution = RoomLinkRequestResolution.APPROVED;
+            roomLinkRequest.expired = true;
+            await db.roomLinkRequests.create(roomLinkRequest);
+            const room = {ownerPlayerID: OWNER_PLAYER_ID, requestID: roomLinkRequest.requestID};
+            const response = await app(api).post('/').set(sessionHeaders(api, room.ownerPlayerID)).send(room);
+            expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
+            expect(response.body.error).toEqual(`Room link request "${roomLinkRequest.requestID}" has expired`);
+            expect(response.body.code).toEqual(ErrorCodes.ROOM_LINK_REQUEST_EXPIRED);
+        });
+
         test('missing room link request and owner is not admin', async () => {
             const room = {ownerPlayerID: OWNER_PLAYER_ID};
-            const response = await app(api).post('/').send(room);
+            const response = await app(api).post('/').set(sessionHeaders(api, room.ownerPlayerID)).send(room);
             expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
             expect(response.body.error).toEqual('Missing room link request ID');
         });
@@ -205,7 +297,7 @@ describe('RoomAPI', () => {
 
             const spy = jest.spyOn(mailer, 'sendRoomCreatedMessage');
             const room = {ownerPlayerID: ADMIN_PLAYER_ID, roomCode: ROOM_CODE, password: 'secret'};
-            const response = await app(api).post('/').send(room);
+            const response = await app(api).post('/').set(sessionHeaders(api, room.ownerPlayerID)).send(room);
             expect(response.ok).toBeTruthy();
             expect(response.body.roomID).toBeDefined();
             expect(response.body.roomCode).toEqual(room.roomCode);
@@ -241,7 +333,7 @@ describe('RoomAPI', () => {
             expect(roomLinkRequest.roomCode).toBeNull();
 
             const room = {ownerPlayerID: OWNER_PLAYER_ID, requestID: roomLinkRequest.requestID};
-            const response = await app(api).post('/').send(room);
+            const response = await app(api).post('/').set(sessionHeaders(api, room.ownerPlayerID)).send(room);
             expect(response.ok).toBeTruthy();
             expect(response.body.roomID).toBeDefined();
             expect(response.body.roomCode).toBeDefined();
@@ -269,7 +361,7 @@ describe('RoomAPI', () => {
 
             const spy = jest.spyOn(wss, 'broadcast');
             const room = {ownerPlayerID: ADMIN_PLAYER_ID};
-            const response = await app(api).post('/').send(room);
+            const response = await app(api).post('/').set(sessionHeaders(api, room.ownerPlayerID)).send(room);
             expect(response.ok).toBeTruthy();
             expect(response.body.roomID).toBeDefined();
             expect(response.body.roomCode).toBeDefined();
@@ -450,4 +542,402 @@ describe('RoomAPI', () => {
             expect(response.body.error).toEqual(`Room "${roomID}" not found`);
         });
     });
+
+    describe('handleUpdateRoom', () => {
+        const OWNER = new Player('Fred');
+        const NEW_OWNER = new Player('Barney');
+
+        let room;
+
+        beforeEach(async () => {
+            await db.players.createMany([OWNER, NEW_OWNER]);
+            room = new Room(ROOM_CODE, OWNER.playerID, 'secret');
+            await db.rooms.create(room);
+        });
+
+        test('missing session', async () => {
+            const response = await app(api).patch(`/${room.roomID}`).send({roomCode: 'ABCD'});
+            expect(response.status).toEqual(StatusCodes.UNAUTHORIZED);
+        });
+
+        test('room not found', async () => {
+            const roomID = 'room';
+            const response = await app(api).patch(`/${roomID}`).set(sessionHeaders(api, OWNER.playerID)).send({roomCode: 'ABCD'});
+            expect(response.status).toEqual(StatusCodes.NOT_FOUND);
+            expect(response.body.error).toEqual(`Room "${roomID}" not found`);
+        });
+
+        test('session player is not owner', async () => {
+            const response = await app(api).patch(`/${room.roomID}`).set(sessionHeaders(api, NEW_OWNER.playerID)).send({roomCode: 'ABCD'});
+            expect(response.status).toEqual(StatusCodes.FORBIDDEN);
+            expect(response.body.error).toEqual(`Only the owner may manage room "${room.roomID}"`);
+            expect(response.body.code).toEqual(ErrorCodes.ROOM_OWNER_REQUIRED);
+            expect((await db.rooms.getByID(room.roomID)).roomCode).toEqual(ROOM_CODE);
+        });
+
+        test('room is closed', async () => {
+            await db.rooms.closeByID(room.roomID);
+            const response = await app(api).patch(`/${room.roomID}`).set(sessionHeaders(api, OWNER.playerID)).send({roomCode: 'ABCD'});
+            expect(response.status).toEqual(StatusCodes.CONFLICT);
+            expect(response.body.code).toEqual(ErrorCodes.ROOM_CLOSED);
+        });
+
+        test('invalid room code', async () => {
+            const roomCode = 'AB';
+            const response = await app(api).patch(`/${room.roomID}`).set(sessionHeaders(api, OWNER.playerID)).send({roomCode});
+            expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
+            expect(response.body.error).toEqual(`Invalid room code "${roomCode}"`);
+        });
+
+        test('duplicate room code', async () => {
+            const roomCode = 'ABCD';
+            await db.rooms.create(new Room(roomCode, NEW_OWNER.playerID));
+            const response = await app(api).patch(`/${room.roomID}`).set(sessionHeaders(api, OWNER.playerID)).send({roomCode});
+            expect(response.status).toEqual(StatusCodes.CONFLICT);
+            expect(response.body.error).toEqual(`Room with code "${roomCode}" already exists`);
+        });
+
+        test('invalid owner', async () => {
+            const ownerPlayerID = 'not-found';
+            const response = await app(api).patch(`/${room.roomID}`).set(sessionHeaders(api, OWNER.playerID)).send({ownerPlayerID});
+            expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
+            expect(response.body.error).toEqual(`Invalid owner player ID "${ownerPlayerID}"`);
+        });
+
+        test('invalid password', async () => {
+            const response = await app(api).patch(`/${room.roomID}`).set(sessionHeaders(api, OWNER.playerID)).send({password: ''});
+            expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
+        });
+
+        test('no changes', async () => {
+            const spy = jest.spyOn(wss, 'broadcast');
+            const response = await app(api).patch(`/${ROOM_CODE}`).set(sessionHeaders(api, OWNER.playerID)).send({roomCode: ROOM_CODE, ownerPlayerID: OWNER.playerID});
+            expect(response.ok).toBeTruthy();
+            expect(response.body.roomID).toEqual(room.roomID);
+            expect(spy).not.toHaveBeenCalled();
+        });
+
+        test('successful update - change password', async () => {
+            const spy = jest.spyOn(wss, 'broadcast');
+            const response = await app(api).patch(`/${room.roomID}`).set(sessionHeaders(api, OWNER.playerID)).send({password: 'new secret'});
+            expect(response.ok).toBeTruthy();
+            expect(response.body.roomID).toEqual(room.roomID);
+            expect(response.body.passwordHash).toBeUndefined();
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(bcrypt.compareSync('new secret', newRoom.passwordHash)).toBeTruthy();
+            expect(bcrypt.compareSync('secret', newRoom.passwordHash)).toBeFalsy();
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.ROOM_PASSWORD_CHANGED, {roomID: room.roomID, hasPassword: true}));
+        });
+
+        test('successful update - remove password', async () => {
+            const spy = jest.spyOn(wss, 'broadcast');
+            const response = await app(api).patch(`/${room.roomID}`).set(sessionHeaders(api, OWNER.playerID)).send({password: null});
+            expect(response.ok).toBeTruthy();
+            expect(response.body.passwordHash).toBeUndefined();
+            expect((await db.rooms.getByID(room.roomID)).passwordHash).toBeNull();
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.ROOM_PASSWORD_CHANGED, {roomID: room.roomID, hasPassword: false}));
+        });
+
+        test('successful update - transfer ownership and change room code', async () => {
+            const spy = jest.spyOn(wss, 'broadcast');
+            const update = {ownerPlayerID: NEW_OWNER.playerID, roomCode: 'abcd'};
+            const response = await app(api).patch(`/${room.roomID}`).set(sessionHeaders(api, OWNER.playerID)).send(update);
+            expect(response.ok).toBeTruthy();
+            expect(response.body.ownerPlayerID).toEqual(NEW_OWNER.playerID);
+            expect(response.body.roomCode).toEqual('ABCD');
+            expect(response.body.passwordHash).toBeUndefined();
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.ownerPlayerID).toEqual(NEW_OWNER.playerID);
+            expect(newRoom.roomCode).toEqual('ABCD');
+            expect(newRoom.passwordHash).toEqual(room.passwordHash);
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.ROOM_CODE_CHANGED, {roomID: room.roomID, roomCode: 'ABCD', prevRoomCode: ROOM_CODE}));
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.ROOM_OWNER_CHANGED, {roomID: room.roomID, ownerPlayerID: NEW_OWNER.playerID, prevOwnerPlayerID: OWNER.playerID}));
+        });
+
+        test('successful update - change room code of room created from link request', async () => {
+            const roomLinkRequest = new RoomLinkRequest('Barney', 'barney@example.com');
+            await db.roomLinkRequests.create(roomLinkRequest);
+            await db.roomLinkRequests.setRoomByID(roomLinkRequest.requestID, room.roomID, ROOM_CODE);
+
+            const response = await app(api).patch(`/${room.roomID}`).set(sessionHeaders(api, OWNER.playerID)).send({roomCode: 'ABCD'});
+            expect(response.ok).toBeTruthy();
+            expect((await db.rooms.getByID(room.roomID)).roomCode).toEqual('ABCD');
+            expect((await db.roomLinkRequests.getByID(roomLinkRequest.requestID)).roomCode).toEqual('ABCD');
+        });
+
+        test('successful update - admin', async () => {
+            const response = await app(api).patch(`/${room.roomID}`).set(sessionHeaders(api, ADMIN_PLAYER_ID)).send({ownerPlayerID: NEW_OWNER.playerID});
+            expect(response.ok).toBeTruthy();
+            expect((await db.rooms.getByID(room.roomID)).ownerPlayerID).toEqual(NEW_OWNER.playerID);
+        });
+    });
+
+    describe('handleCloseRoom', () => {
+        const OWNER = new Player('Fred');
+
+        test('session player is not owner', async () => {
+            const room = new Room(ROOM_CODE, OWNER_PLAYER_ID);
+            await db.rooms.create(room);
+            const response = await app(api).delete(`/${room.roomID}`).set(sessionHeaders(api, OWNER.playerID));
+            expect(response.status).toEqual(StatusCodes.FORBIDDEN);
+            expect(response.body.code).toEqual(ErrorCodes.ROOM_OWNER_REQUIRED);
+            expect((await db.rooms.getByID(room.roomID)).closed).toBeUndefined();
+        });
+
+        test('room already closed', async () => {
+            const room = new Room(ROOM_CODE, OWNER.playerID);
+            await db.rooms.create(room);
+            await db.rooms.closeByID(room.roomID);
+            const response = await app(api).delete(`/${room.roomID}`).set(sessionHeaders(api, OWNER.playerID));
+            expect(response.status).toEqual(StatusCodes.CONFLICT);
+            expect(response.body.error).toEqual(`Room "${room.roomID}" is closed`);
+        });
+
+        test('successful close', async () => {
+            const player = new Player('Barney');
+            const room = new Room(ROOM_CODE, OWNER.playerID);
+            room.playerIDs.push(player.playerID);
+            player.currentRoomID = room.roomID;
+            await db.players.createMany([{...OWNER, currentRoomID: room.roomID}, player]);
+            await db.rooms.create(room);
+
+            const ownerWS = {};
+            const playerWS = {};
+            wss.addClient(room.roomID, OWNER.playerID, ownerWS);
+            wss.addClient(room.roomID, player.playerID, playerWS);
+
+            const spy = jest.spyOn(wss, 'broadcast');
+            const response = await app(api).delete(`/${ROOM_CODE}`).set(sessionHeaders(api, OWNER.playerID));
+            expect(response.status).toEqual(StatusCodes.NO_CONTENT);
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.closed).toBeTruthy();
+            expect(newRoom.playerIDs).toEqual([]);
+            expect((await db.players.getByID(player.playerID)).currentRoomID).toBeNull();
+            expect((await db.players.getByID(OWNER.playerID)).currentRoomID).toBeNull();
+
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.ROOM_CLOSED, {roomID: room.roomID}));
+            expect(wss.getClients(room.roomID)).toEqual({});
+            expect(wss.getClient(NO_ROOM_KEY, OWNER.playerID)).toBe(ownerWS);
+            expect(wss.getClient(NO_ROOM_KEY, player.playerID)).toBe(playerWS);
+            wss.removeClient(NO_ROOM_KEY, OWNER.playerID);
+            wss.removeClient(NO_ROOM_KEY, player.playerID);
+        });
+    });
+
+    describe('handleLiftKick', () => {
+        const OWNER = new Player('Fred');
+        const KICKED_PLAYER_ID = 'kicked';
+
+        let room;
+
+        beforeEach(async () => {
+            room = new Room(ROOM_CODE, OWNER.playerID);
+            room.kickedPlayerIDs[KICKED_PLAYER_ID] = null;
+            await db.rooms.create(room);
+        });
+
+        test('session player may not moderate room', async () => {
+            const response = await app(api).delete(`/${room.roomID}/kicks/${KICKED_PLAYER_ID}`).set(sessionHeaders(api, KICKED_PLAYER_ID));
+            expect(response.status).toEqual(StatusCodes.FORBIDDEN);
+            expect(response.body.code).toEqual(ErrorCodes.HOST_OR_OWNER_REQUIRED_TO_MODERATE);
+        });
+
+        test('player not kicked', async () => {
+            const playerID = 'other';
+            const response = await app(api).delete(`/${room.roomID}/kicks/${playerID}`).set(sessionHeaders(api, OWNER.playerID));
+            expect(response.status).toEqual(StatusCodes.NOT_FOUND);
+            expect(response.body.error).toEqual(`Player "${playerID}" is not kicked from room "${room.roomID}"`);
+        });
+
+        test('successfully lifts kick', async () => {
+            const spy = jest.spyOn(wss, 'broadcast');
+            const response = await app(api).delete(`/${room.roomID}/kicks/${KICKED_PLAYER_ID}`).set(sessionHeaders(api, OWNER.playerID));
+            expect(response.status).toEqual(StatusCodes.NO_CONTENT);
+            expect((await db.rooms.getByID(room.roomID)).kickedPlayerIDs).toEqual({});
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.HOST_LIFTED_KICK, {roomID: room.roomID, playerID: KICKED_PLAYER_ID}));
+        });
+    });
+
+    describe('handleGetKickedPlayers', () => {
+        const OWNER = new Player('Fred');
+        const KICKED_PLAYER = new Player('Kicked');
+        const BANNED_PLAYER = new Player('Banned');
+
+        let room;
+
+        beforeEach(async () => {
+            await db.players.create(KICKED_PLAYER);
+            await db.players.create(BANNED_PLAYER);
+            room = new Room(ROOM_CODE, OWNER.playerID);
+            room.kickedPlayerIDs = {[KICKED_PLAYER.playerID]: tomorrow(), [BANNED_PLAYER.playerID]: null, expired: yesterday()};
+            await db.rooms.create(room);
+        });
+
+        test('session player may not moderate room', async () => {
+            const response = await app(api).get(`/${room.roomID}/kicks`).set(sessionHeaders(api, KICKED_PLAYER.playerID));
+            expect(response.status).toEqual(StatusCodes.FORBIDDEN);
+            expect(response.body.code).toEqual(ErrorCodes.HOST_OR_OWNER_REQUIRED_TO_MODERATE);
+        });
+
+        test('failed to get players', async () => {
+            jest.spyOn(db.players, 'getByIDs').mockImplementation(() => Promise.reject(new Error('failed')));
+            const response = await app(api).get(`/${room.roomID}/kicks`).set(sessionHeaders(api, OWNER.playerID));
+            expect(response.status).toEqual(StatusCodes.INTERNAL_SERVER_ERROR);
+            expect(response.body.code).toEqual(ErrorCodes.FAILED_TO_GET_PLAYERS);
+        });
+
+        test('successfully gets kicked players', async () => {
+            const response = await app(api).get(`/${room.roomID}/kicks`).set(sessionHeaders(api, OWNER.playerID));
+            expect(response.ok).toBeTruthy();
+            expect(response.body).toEqual({kickedPlayers: [
+                {playerID: KICKED_PLAYER.playerID, name: KICKED_PLAYER.name, expiration: room.kickedPlayerIDs[KICKED_PLAYER.playerID], banned: false},
+                {playerID: BANNED_PLAYER.playerID, name: BANNED_PLAYER.name, expiration: null, banned: true},
+            ]});
+        });
+    });
+
+    describe('handleBanPlayer', () => {
+        const OWNER = new Player('Fred');
+        const PLAYER = new Player('Barney');
+
+        let room;
+
+        beforeEach(async () => {
+            room = new Room(ROOM_CODE, OWNER.playerID);
+            room.playerIDs.push(PLAYER.playerID);
+            await db.rooms.create(room);
+            await db.players.create({...PLAYER, currentRoomID: room.roomID});
+        });
+
+        test('session player may not moderate room', async () => {
+            const response = await app(api).put(`/${room.roomID}/kicks/${PLAYER.playerID}`).set(sessionHeaders(api, PLAYER.playerID));
+            expect(response.status).toEqual(StatusCodes.FORBIDDEN);
+            expect(response.body.code).toEqual(ErrorCodes.HOST_OR_OWNER_REQUIRED_TO_MODERATE);
+        });
+
+        test('session player does not outrank player', async () => {
+            const coHostPlayerID = 'co-host';
+            await db.rooms.updateByID(room.roomID, {hostPlayerID: PLAYER.playerID, playerIDs: [OWNER.playerID, PLAYER.playerID, coHostPlayerID], playerRoles: {[coHostPlayerID]: RoomRoles.CO_HOST}});
+            const response = await app(api).put(`/${room.roomID}/kicks/${PLAYER.playerID}`).set(sessionHeaders(api, coHostPlayerID));
+            expect(response.status).toEqual(StatusCodes.FORBIDDEN);
+            expect(response.body.code).toEqual(ErrorCodes.MODERATOR_OUTRANKED_BY_PLAYER);
+            expect((await db.rooms.getByID(room.roomID)).kickedPlayerIDs).toEqual({});
+        });
+
+        test('player not found', async () => {
+            const playerID = 'missing';
+            const response = await app(api).put(`/${room.roomID}/kicks/${playerID}`).set(sessionHeaders(api, OWNER.playerID));
+            expect(response.status).toEqual(StatusCodes.NOT_FOUND);
+            expect(response.body.error).toEqual(`Player "${playerID}" not found`);
+        });
+
+        test('host successfully bans player', async () => {
+            const hostPlayerID = 'host';
+            await db.rooms.updateByID(room.roomID, {hostPlayerID: hostPlayerID, playerIDs: [OWNER.playerID, PLAYER.playerID, hostPlayerID]});
+            const response = await app(api).put(`/${room.roomID}/kicks/${PLAYER.playerID}`).set(sessionHeaders(api, hostPlayerID));
+            expect(response.status).toEqual(StatusCodes.NO_CONTENT);
+            expect((await db.rooms.getByID(room.roomID)).kickedPlayerIDs).toEqual({[PLAYER.playerID]: null});
+        });
+
+        test('admin successfully bans player', async () => {
+            const response = await app(api).put(`/${room.roomID}/kicks/${PLAYER.playerID}`).set(sessionHeaders(api, ADMIN_PLAYER_ID));
+            expect(response.status).toEqual(StatusCodes.NO_CONTENT);
+        });
+
+        test('successfully bans player', async () => {
+            const broadcastSpy = jest.spyOn(wss, 'broadcast');
+            const evictSpy = jest.spyOn(wss, 'evictClients');
+            const response = await app(api).put(`/${room.roomID}/kicks/${PLAYER.playerID}`).set(sessionHeaders(api, OWNER.playerID));
+            expect(response.status).toEqual(StatusCodes.NO_CONTENT);
+            expect((await db.rooms.getByID(room.roomID)).kickedPlayerIDs).toEqual({[PLAYER.playerID]: null});
+            expect((await db.players.getByID(PLAYER.playerID)).currentRoomID).toBeNull();
+            expect(broadcastSpy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.HOST_BANNED_PLAYER, {roomID: room.roomID, playerID: PLAYER.playerID}));
+            expect(evictSpy).toHaveBeenCalledWith(room.roomID, [PLAYER.playerID]);
+        });
+    });
+
+    describe('handleMutePlayer', () => {
+        const OWNER = new Player('Fred');
+        const PLAYER = new Player('Barney');
+
+        let room;
+
+        beforeEach(async () => {
+            room = new Room(ROOM_CODE, OWNER.playerID);
+            await db.rooms.create(room);
+            await db.players.create(PLAYER);
+        });
+
+        test('session player may not moderate room', async () => {
+            const response = await app(api).put(`/${room.roomID}/mutes/${PLAYER.playerID}`).set(sessionHeaders(api, PLAYER.playerID)).send({duration: 0});
+            expect(response.status).toEqual(StatusCodes.FORBIDDEN);
+            expect(response.body.code).toEqual(ErrorCodes.HOST_OR_OWNER_REQUIRED_TO_MODERATE);
+        });
+
+        test('missing duration', async () => {
+            const response = await app(api).put(`/${room.roomID}/mutes/${PLAYER.playerID}`).set(sessionHeaders(api, OWNER.playerID)).send({});
+            expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
+            expect(response.body.code).toEqual(ErrorCodes.INVALID_DURATION);
+        });
+
+        test('player not found', async () => {
+            const playerID = 'missing';
+            const response = await app(api).put(`/${room.roomID}/mutes/${playerID}`).set(sessionHeaders(api, OWNER.playerID)).send({duration: 0});
+            expect(response.status).toEqual(StatusCodes.NOT_FOUND);
+            expect(response.body.error).toEqual(`Player "${playerID}" not found`);
+        });
+
+        test('successfully mutes player indefinitely', async () => {
+            const spy = jest.spyOn(wss, 'broadcast');
+            const response = await app(api).put(`/${room.roomID}/mutes/${PLAYER.playerID}`).set(sessionHeaders(api, OWNER.playerID)).send({duration: 0});
+            expect(response.status).toEqual(StatusCodes.NO_CONTENT);
+            expect((await db.rooms.getByID(room.roomID)).mutedPlayerIDs).toEqual({[PLAYER.playerID]: null});
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.HOST_MUTED_PLAYER, {roomID: room.roomID, playerID: PLAYER.playerID, expiration: null}));
+        });
+
+        test('successfully mutes player with duration', async () => {
+            const now = Date.now();
+            jest.spyOn(Date, 'now').mockReturnValue(now);
+            const response = await app(api).put(`/${room.roomID}/mutes/${PLAYER.playerID}`).set(sessionHeaders(api, OWNER.playerID)).send({duration: 60});
+            expect(response.status).toEqual(StatusCodes.NO_CONTENT);
+            expect((await db.rooms.getByID(room.roomID)).mutedPlayerIDs).toEqual({[PLAYER.playerID]: now + 60000});
+        });
+    });
+
+    describe('handleUnmutePlayer', () => {
+        const OWNER = new Player('Fred');
+        const MUTED_PLAYER_ID = 'muted';
+
+        let room;
+
+        beforeEach(async () => {
+            room = new Room(ROOM_CODE, OWNER.playerID);
+            room.mutedPlayerIDs = {[MUTED_PLAYER_ID]: null};
+            await db.rooms.create(room);
+        });
+
+        test('session player may not moderate room', async () => {
+            const response = await app(api).delete(`/${room.roomID}/mutes/${MUTED_PLAYER_ID}`).set(sessionHeaders(api, MUTED_PLAYER_ID));
+            expect(response.status).toEqual(StatusCodes.FORBIDDEN);
+            expect(response.body.code).toEqual(ErrorCodes.HOST_OR_OWNER_REQUIRED_TO_MODERATE);
+        });
+
+        test('player not muted', async () => {
+            const playerID = 'other';
+            const response = await app(api).delete(`/${room.roomID}/mutes/${playerID}`).set(sessionHeaders(api, OWNER.playerID));
+            expect(response.status).toEqual(StatusCodes.NOT_FOUND);
+            expect(response.body.error).toEqual(`Player "${playerID}" is not muted in room "${room.roomID}"`);
+        });
+
+        test('successfully unmutes player', async () => {
+            const spy = jest.spyOn(wss, 'broadcast');
+            const response = await app(api).delete(`/${room.roomID}/mutes/${MUTED_PLAYER_ID}`).set(sessionHeaders(api, OWNER.playerID));
+            expect(response.status).toEqual(StatusCodes.NO_CONTENT);
+            expect((await db.rooms.getByID(room.roomID)).mutedPlayerIDs).toEqual({});
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.HOST_UNMUTED_PLAYER, {roomID: room.roomID, playerID: MUTED_PLAYER_ID}));
+        });
+    });
 });
@@ -5,21 +5,60 @@ import {
     RoomLinkRequest,
     RoomLinkRequestResolution,
     StatusCodes,
-    validateEmail,
 } from '@dyesoft/alea-core';
+import { DEFAULT_LOCALE, ErrorCodes } from '../i18n/index.mjs';
+import { TOO_MANY_REQUESTS } from '../ratelimit/index.mjs';
 import { APIRouteDefinition } from './common.mjs';
+import { paginationSchema, schemaRef } from './openapi.mjs';
 
 const logger = log.get('api:room-link-request');
 
 /* API route definition for room-link-request–related endpoints. */
 class RoomLinkRequestAPI extends APIRouteDefinition {
-    /* Create a new Room Link Request API using the given database connection and mailer. */
-    constructor(db, mailer) {
-        super(db, null, mailer);
-        this.get('/', this.handleGetRoomLinkRequests.bind(this));
-        this.post('/', this.handleCreateRoomLinkRequest.bind(this));
-        this.get('/:requestID', this.handleGetRoomLinkRequest.bind(this));
-        this.put('/:requestID', this.handleResolveRoomLinkRequest.bind(this));
+    /* Create a new Room Link Request API using the given database connection, mailer, admin player IDs, and session manager. */
+    constructor(db, mailer, adminPlayerIDs, sessions) {
+        super(db, null, mailer, sessions, adminPlayerIDs);
+        this.get('/', this.handleGetRoomLinkRequests.bind(this), {
+            requireAdmin: true,
+            summary: 'Get a page of room link requests, optionally filtered by resolution',
+            query: {
+                page: {type: 'integer', minimum: 1},
+                resolution: {type: 'string', enum: Object.values(RoomLinkRequestResolution)},
+            },
+            response: paginationSchema('requests', schemaRef('RoomLinkRequest')),
+            errors: [StatusCodes.BAD_REQUEST, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+        this.post('/', this.handleCreateRoomLinkRequest.bind(this), {
+            summary: 'Request a link to create a new room',
+            requestBody: {
+                type: 'object',
+                required: ['name', 'email'],
+                properties: {
+                    name: {type: 'string', minLength: 1, maxLength: MAX_ROOM_REQUEST_NAME_LENGTH},
+                    email: {type: 'string', format: 'email', minLength: 1, maxLength: MAX_EMAIL_LENGTH},
+                },
+            },
+            response: schemaRef('RoomLinkRequest'),
+            errors: [StatusCodes.BAD_REQUEST, StatusCodes.CONFLICT, TOO_MANY_REQUESTS, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
+        this.get('/:requestID', this.handleGetRoomLinkRequest.bind(this), {
+            summary: 'Get a room link request by ID',
+            response: schemaRef('RoomLinkRequest'),
+            errors: [StatusCodes.NOT_FOUND],
+        });
+        this.put('/:requestID', this.handleResolveRoomLinkRequest.bind(this), {
+            requireAdmin: true,
+            summary: 'Approve or reject a room link request',
+            requestBody: {
+                type: 'object',
+                required: ['resolution'],
+                properties: {
+                    resolution: {type: 'string', enum: [RoomLinkRequestResolution.APPROVED, RoomLinkRequestResolution.REJECTED], 'x-normalize': 'lowercase'},
+                },
+            },
+            response: schemaRef('RoomLinkRequest'),
+            errors: [StatusCodes.BAD_REQUEST, StatusCodes.NOT_FOUND, StatusCodes.INTERNAL_SERVER_ERROR],
+        });
     }
 
     /* Handler for GET /request. */
@@ -29,18 +68,12 @@ class RoomLinkRequestAPI extends APIRouteDefinition {
         if (resolutionParam) {
             resolution = resolutionParam.toLowerCase();
             if (!Object.values(RoomLinkRequestResolution).includes(resolution)) {
-                error(`Invalid resolution "${resolutionParam}"`, StatusCodes.BAD_REQUEST);
+                error(ErrorCodes.INVALID_RESOLUTION, StatusCodes.BAD_REQUEST, {resolution: resolutionParam});
                 return;
             }
         }
 
-        let response;
-        try {
-            response = await this.getPaginationResponse(req, 'requests', this.db.roomLinkRequests.count, this.db.roomLinkRequests.getPageOfRoomLinkRequests, [resolution]);
-        } catch (e) {
-            error(e.message, e.status);
-            return;
-        }
+        const response = await this.getPaginationResponse(req, 'requests', this.db.roomLinkRequests.count, this.db.roomLinkRequests.getPageOfRoomLinkRequests, [resolution]);
 
         res.json(response);
     }
@@ -49,37 +82,19 @@ class RoomLinkRequestAPI extends APIRouteDefinition {
     async handleCreateRoomLinkRequest(req, res, error) {
         logger.debug('Creating a request for a new room link.');
 
-        if (!req.body.hasOwnProperty('name')) {
-            error('Name is required', StatusCodes.BAD_REQUEST);
-            return;
-        }
-        const name = req.body.name?.toString().trim();
-        if (!name || name.length > MAX_ROOM_REQUEST_NAME_LENGTH) {
-            error(`Invalid name "${name}"`, StatusCodes.BAD_REQUEST);
-            return;
-        }
-
-        if (!req.body.hasOwnProperty('email')) {
-            error('Email is required', StatusCodes.BAD_REQUEST);
-            return;
-        }
-        const email = req.body.email?.toString().trim();
-        if (!email || email.length > MAX_EMAIL_LENGTH || !validateEmail(email)) {
-            error(`Invalid email "${email}"`, StatusCodes.BAD_REQUEST);
-            return;
-        }
-
+        const {name, email} = req.body;
         const previousRequest = await this.db.roomLinkRequests.getByEmail(email);
         if (previousRequest) {
-            error(`Room link request already exists for email "${email}"`, StatusCodes.CONFLICT);
+            error(ErrorCodes.ROOM_LINK_REQUEST_CONFLICT, StatusCodes.CONFLICT, {email});
             return;
         }
 
         const roomLinkRequest = new RoomLinkRequest(name, email);
+        roomLinkRequest.locale = req.locale || DEFAULT_LOCALE;
         try {
             await this.db.roomLinkRequests.create(roomLinkRequest);
         } catch (e) {
-            error(`Failed to save room link request to database: ${e}`, StatusCodes.INTERNAL_SERVER_ERROR);
+            error(ErrorCodes.FAILED_TO_SAVE_ROOM_LINK_REQUEST, StatusCodes.INTERNAL_SERVER_ERROR, {error: `${e}`});
             return;
         }
 
@@ -96,7 +111,7 @@ class RoomLinkRequestAPI extends APIRouteDefinition {
         if (roomLinkRequest) {
             res.json(roomLinkRequest);
         } else {
-            error(`Room link request "${requestID}" not found`, StatusCodes.NOT_FOUND);
+            error(ErrorCodes.ROOM_LINK_REQUEST_NOT_FOUND, StatusCodes.NOT_FOUND, {requestID});
         }
     }
 
@@ -105,38 +120,27 @@ class RoomLinkRequestAPI extends APIRouteDefinition {
         const requestID = req.params.requestID;
         const roomLinkRequest = await this.db.roomLinkRequests.getByID(requestID);
         if (!roomLinkRequest) {
-            error(`Room link request "${requestID}" not found`, StatusCodes.NOT_FOUND);
+            error(ErrorCodes.ROOM_LINK_REQUEST_NOT_FOUND, StatusCodes.NOT_FOUND, {requestID});
             return;
         }
         if (roomLinkRequest.resolution !== RoomLinkRequestResolution.UNRESOLVED) {
-            error(`Room link request "${requestID}" is already resolved`, StatusCodes.BAD_REQUEST);
-            return;
-        }
-
-        if (!req.body.hasOwnProperty('resolution')) {
-            error('Resolution is required', StatusCodes.BAD_REQUEST);
+            error(ErrorCodes.ROOM_LINK_REQUEST_RESOLVED, StatusCodes.BAD_REQUEST, {requestID});
             return;
         }
-        const resolution = req.body.resolution?.toString().toLowerCase().trim();
-        if (!resolution || !Object.values(RoomLinkRequestResolution).includes(resolution) || resolution === RoomLinkRequestResolution.UNRESOLVED) {
-            error(`Invalid resolution "${resolution}"`, StatusCodes.BAD_REQUEST);
-            return;
-        }
-
-        /* TODO - verify that an admin is making the request to resolve? */
 
+        const resolution = req.body.resolution;
         const resolvedTime = new Date();
         try {
             await this.db.roomLinkRequests.resolveByID(requestID, resolution, resolvedTime);
         } catch (e) {
-            error(`Failed to resolve room link request: ${e}`, StatusCodes.INTERNAL_SERVER_ERROR);
+            error(ErrorCodes.FAILED_TO_RESOLVE_ROOM_LINK_REQUEST, StatusCodes.INTERNAL_SERVER_ERROR, {error: `${e}`});
             return;
         }
 
         roomLinkRequest.resolution = resolution;
         roomLinkRequest.resolvedTime = resolvedTime;
         res.json(roomLinkRequest);
-        logger.info(`Resolved room link request ${roomLinkRequest.requestID} (${resolution}).`);
+        logger.info(`Resolved room link request ${roomLinkRequest.requestID} (${resolution}) by admin ${req.sessionPlayerID}.`);
 
         if (resolution === RoomLinkRequestResolution.APPROVED) {
             await this.mailer.sendRoomLinkRequestApprovedMessage(roomLinkRequest);
@@ -1,12 +1,17 @@
 import { RoomLinkRequest, RoomLinkRequestResolution, StatusCodes } from '@dyesoft/alea-core';
 import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { DEFAULT_LOCALE, ErrorCodes } from '../i18n/index.mjs';
 import { getTestDB, getTestMailer } from '../testutils.mjs';
 import RoomLinkRequestAPI from './roomLinkRequest.mjs';
-import { app } from './testutils.mjs';
+import { app, sessionHeaders } from './testutils.mjs';
+import { INVALID_REQUEST_BODY_MESSAGE } from './validation.mjs';
 
 const REQUEST_NAME = 'Barney';
 const REQUEST_EMAIL = 'barney@example.com';
 
+const ADMIN_PLAYER_ID = 'admin';
+const PLAYER_ID = 'player';
+
 describe('RoomLinkRequestAPI', () => {
     let db;
     let mailer;
@@ -15,7 +20,7 @@ describe('RoomLinkRequestAPI', () => {
     beforeAll(async () => {
         db = await getTestDB();
         mailer = await getTestMailer();
-        api = new RoomLinkRequestAPI(db, mailer);
+        api = new RoomLinkRequestAPI(db, mailer, [ADMIN_PLAYER_ID]);
     });
 
     beforeEach(async () => {
@@ -31,9 +36,10 @@ describe('RoomLinkRequestAPI', () => {
     });
 
     describe('constructor', () => {
-        test('with DB and mailer', () => {
+        test('with DB, mailer, and admin player IDs', () => {
             expect(api.db).toBe(db);
             expect(api.mailer).toBe(mailer);
+            expect(api.adminPlayerIDs).toEqual(new Set([ADMIN_PLAYER_ID]));
         });
 
         test('creates expected routes', () => {
@@ -68,36 +74,48 @@ describe('RoomLinkRequestAPI', () => {
         TEST_REQUESTS[1].resolution = RoomLinkRequestResolution.REJECTED;
         TEST_REQUESTS[2].resolution = RoomLinkRequestResolution.APPROVED;
 
+        test('missing session', async () => {
+            const response = await app(api).get('/');
+            expect(response.status).toEqual(StatusCodes.UNAUTHORIZED);
+            expect(response.body.error).toEqual('Invalid or missing session token');
+        });
+
+        test('player is not admin', async () => {
+            const response = await app(api).get('/').set(sessionHeaders(api, PLAYER_ID));
+            expect(response.status).toEqual(StatusCodes.FORBIDDEN);
+            expect(response.body.error).toEqual('Admin privileges required');
+        });
+
         test('invalid page', async () => {
             const page = -1;
-            const response = await app(api).get(`/?page=${page}`);
+            const response = await app(api).get(`/?page=${page}`).set(sessionHeaders(api, ADMIN_PLAYER_ID));
             expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
             expect(response.body.error).toEqual(`Invalid page "${page}"`);
         });
 
         test('invalid resolution filter', async () => {
             const resolution = 'foo';
-            const response = await app(api).get(`/?resolution=${resolution}`);
+            const response = await app(api).get(`/?resolution=${resolution}`).set(sessionHeaders(api, ADMIN_PLAYER_ID));
             expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
             expect(response.body.error).toEqual(`Invalid resolution "${resolution}"`);
         });
 
         test('page number too high', async () => {
             const page = 2;
-            const response = await app(api).get(`/?page=${page}`);
+            const response = await app(api).get(`/?page=${page}`).set(sessionHeaders(api, ADMIN_PLAYER_ID));
             expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
             expect(response.body.error).toEqual(`Invalid page "${page}"`);
         });
 
         test('no results', async () => {
-            const response = await app(api).get('/');
+            const response = await app(api).get('/').set(sessionHeaders(api, ADMIN_PLAYER_ID));
             expect(response.ok).toBeTruthy();
             expect(response.body).toEqual({more: false, total: 0, page: 1, requests: []});
         });
 
         test('successful pagination response - all requests', async () => {
             await db.roomLinkRequests.createMany(TEST_REQUESTS);
-            const response = await app(api).get('/');
+            const response = await app(api).get('/').set(sessionHeaders(api, ADMIN_PLAYER_ID));
             expect(response.ok).toBeTruthy();
             expect(response.body.more).toBeFalsy();
             expect(response.body.total).toEqual(TEST_REQUESTS.length);
@@ -108,7 +126,7 @@ describe('RoomLinkRequestAPI', () => {
         test('successful pagination response - approved requests only', async () => {
             await db.roomLinkRequests.createMany(TEST_REQUESTS);
             const resolution = RoomLinkRequestResolution.APPROVED;
-            const response = await app(api).get(`/?resolution=${resolution}`);
+            const response = await app(api).get(`/?resolution=${resolution}`).set(sessionHeaders(api, ADMIN_PLAYER_ID));
             expect(response.ok).toBeTruthy();
             expect(response.body.more).toBeFalsy();
             expect(response.body.total).toEqual(2);
@@ -120,13 +138,24 @@ describe('RoomLinkRequestAPI', () => {
 
     describe('handleCreateRoomLinkRequest', () => {
         test('missing name', async () => {
-            const response = await app(api).post('/');
+            const response = await app(api).post('/').send({email: REQUEST_EMAIL});
             expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
             expect(response.body.error).toEqual('Name is required');
         });
 
+        test('lists all field errors', async () => {
+            const response = await app(api).post('/');
+            expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
+            expect(response.body.error).toEqual(INVALID_REQUEST_BODY_MESSAGE);
+            expect(response.body.code).toEqual(ErrorCodes.INVALID_REQUEST_BODY);
+            expect(response.body.errors).toEqual([
+                {field: 'name', message: 'Name is required', code: ErrorCodes.FIELD_REQUIRED},
+                {field: 'email', message: 'Email is required', code: ErrorCodes.FIELD_REQUIRED},
+            ]);
+        });
+
         test('invalid name', async () => {
-            const response = await app(api).post('/').send({name: ''});
+            const response = await app(api).post('/').send({name: '', email: REQUEST_EMAIL});
             expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
             expect(response.body.error).toEqual('Invalid name ""');
         });
@@ -173,9 +202,17 @@ describe('RoomLinkRequestAPI', () => {
             expect(newRequest.name).toEqual(request.name);
             expect(newRequest.email).toEqual(request.email);
             expect(newRequest.createdTime.toISOString()).toEqual(response.body.createdTime);
+            expect(newRequest.locale).toEqual(DEFAULT_LOCALE);
 
             expect(spy).toHaveBeenCalledWith(newRequest);
         });
+
+        test('stores locale negotiated from Accept-Language header', async () => {
+            const response = await app(api).post('/').set('Accept-Language', 'es').send({name: REQUEST_NAME, email: REQUEST_EMAIL});
+            expect(response.ok).toBeTruthy();
+            expect(response.body.locale).toEqual('es');
+            expect((await db.roomLinkRequests.getByID(response.body.requestID)).locale).toEqual('es');
+        });
     });
 
     describe('handleGetRoomLinkRequest', () => {
@@ -205,29 +242,48 @@ describe('RoomLinkRequestAPI', () => {
             await db.roomLinkRequests.create(existingRequest);
         });
 
+        test('missing session', async () => {
+            const request = {resolution: RoomLinkRequestResolution.APPROVED};
+            const response = await app(api).put(`/${existingRequest.requestID}`).send(request);
+            expect(response.status).toEqual(StatusCodes.UNAUTHORIZED);
+            expect(response.body.error).toEqual('Invalid or missing session token');
+        });
+
+        test('player is not admin', async () => {
+            const spy = jest.spyOn(mailer, 'sendRoomLinkRequestApprovedMessage');
+            const request = {resolution: RoomLinkRequestResolution.APPROVED};
+            const response = await app(api).put(`/${existingRequest.requestID}`).set(sessionHeaders(api, PLAYER_ID)).send(request);
+            expect(response.status).toEqual(StatusCodes.FORBIDDEN);
+            expect(response.body.error).toEqual('Admin privileges required');
+
+            const newRequest = await db.roomLinkRequests.getByID(existingRequest.requestID);
+            expect(newRequest.resolution).toEqual(RoomLinkRequestResolution.UNRESOLVED);
+            expect(spy).not.toHaveBeenCalled();
+        });
+
         test('request not found', async () => {
             const requestID = 'request';
-            const response = await app(api).put(`/${requestID}`);
+            const response = await app(api).put(`/${requestID}`).set(sessionHeaders(api, ADMIN_PLAYER_ID)).send({resolution: RoomLinkRequestResolution.APPROVED});
             expect(response.status).toEqual(StatusCodes.NOT_FOUND);
             expect(response.body.error).toEqual(`Room link request "${requestID}" not found`);
         });
 
         test('request already resolved', async () => {
             await db.roomLinkRequests.resolveByID(existingRequest.requestID, RoomLinkRequestResolution.APPROVED, new Date());
-            const response = await app(api).put(`/${existingRequest.requestID}`);
+            const response = await app(api).put(`/${existingRequest.requestID}`).set(sessionHeaders(api, ADMIN_PLAYER_ID)).send({resolution: RoomLinkRequestResolution.REJECTED});
             expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
             expect(response.body.error).toEqual(`Room link request "${existingRequest.requestID}" is already resolved`);
         });
 
         test('missing resolution', async () => {
-            const response = await app(api).put(`/${existingRequest.requestID}`);
+            const response = await app(api).put(`/${existingRequest.requestID}`).set(sessionHeaders(api, ADMIN_PLAYER_ID));
             expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
             expect(response.body.error).toEqual('Resolution is required');
         });
 
         test('invalid resolution', async () => {
             const request = {resolution: 'invalid'};
-            const response = await app(api).put(`/${existingRequest.requestID}`).send(request);
+            const response = await app(api).put(`/${existingRequest.requestID}`).set(sessionHeaders(api, ADMIN_PLAYER_ID)).send(request);
             expect(response.status).toEqual(StatusCodes.BAD_REQUEST);
             expect(response.body.error).toEqual(`Invalid resolution "${request.resolution}"`);
         });
@@ -235,7 +291,7 @@ describe('RoomLinkRequestAPI', () => {
         test('successful resolution - rejected', async () => {
             const spy = jest.spyOn(mailer, 'sendRoomLinkRequestApprovedMessage');
             const request = {resolution: RoomLinkRequestResolution.REJECTED};
-            const response = await app(api).put(`/${existingRequest.requestID}`).send(request);
+            const response = await app(api).put(`/${existingRequest.requestID}`).set(sessionHeaders(api, ADMIN_PLAYER_ID)).send(request);
             expect(response.ok).toBeTruthy();
             expect(response.body.requestID).toEqual(existingRequest.requestID);
             expect(response.body.name).toEqual(existingRequest.name);
@@ -257,7 +313,7 @@ describe('RoomLinkRequestAPI', () => {
         test('successful resolution - approved', async () => {
             const spy = jest.spyOn(mailer, 'sendRoomLinkRequestApprovedMessage');
             const request = {resolution: RoomLinkRequestResolution.APPROVED};
-            const response = await app(api).put(`/${existingRequest.requestID}`).send(request);
+            const response = await app(api).put(`/${existingRequest.requestID}`).set(sessionHeaders(api, ADMIN_PLAYER_ID)).send(request);
             expect(response.ok).toBeTruthy();
             expect(response.body.requestID).toEqual(existingRequest.requestID);
             expect(response.body.resolution).toEqual(request.resolution);
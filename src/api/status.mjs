@@ -1,5 +1,6 @@
 import log from 'log';
 import { StatusCodes } from '@dyesoft/alea-core';
+import { ErrorCodes } from '../i18n/index.mjs';
 import { APIRouteDefinition } from './common.mjs';
 
 const logger = log.get('api:status');
@@ -10,8 +11,19 @@ class StatusAPI extends APIRouteDefinition {
     constructor(db, packageVersion) {
         super(db);
         this.packageVersion = packageVersion;
-        this.get('/health', this.handleGetHealth.bind(this));
-        this.get('/version', this.handleGetVersion.bind(this));
+        this.get('/health', this.handleGetHealth.bind(this), {
+            summary: 'Check the health of the server and its database connection',
+            errors: [StatusCodes.SERVICE_UNAVAILABLE],
+        });
+        this.get('/version', this.handleGetVersion.bind(this), {
+            summary: 'Get the version of the server package',
+            response: {
+                type: 'object',
+                properties: {
+                    version: {type: 'string'},
+                },
+            },
+        });
     }
 
     /* Handler for GET /status/health. Attempts to ping the database to determine app health. */
@@ -20,7 +32,7 @@ class StatusAPI extends APIRouteDefinition {
             await this.db.command({ping: 1});
         } catch (e) {
             logger.error(`Failed to ping database: ${e}`);
-            error('Health check failed', StatusCodes.SERVICE_UNAVAILABLE);
+            error(ErrorCodes.HEALTH_CHECK_FAILED, StatusCodes.SERVICE_UNAVAILABLE);
             return;
         }
         res.status(StatusCodes.NO_CONTENT).end();
@@ -1,12 +1,18 @@
 import bodyParser from 'body-parser';
 import express from 'express';
 import request from 'supertest';
-import { apiErrorHandler } from './common.mjs';
+import { AUTHORIZATION_HEADER, BEARER_PREFIX } from '../session.mjs';
+import { apiErrorHandler, apiLocaleHandler } from './common.mjs';
 
 export function app(api, prefix = '/') {
     const app = express();
     app.use(bodyParser.json());
+    app.use(apiLocaleHandler());
     app.use(prefix, api.getRouter());
     app.use(apiErrorHandler);
     return request(app);
 }
+
+export function sessionHeaders(api, playerID) {
+    return {[AUTHORIZATION_HEADER]: `${BEARER_PREFIX}${api.sessions.createToken(playerID)}`};
+}
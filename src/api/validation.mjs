@@ -0,0 +1,214 @@
+/*
+ * Declarative validation of request bodies against the schemas declared by API routes (see APIRouteDefinition.addRoute).
+ * Schemas use the subset of the OpenAPI schema syntax described below, so the same schema documents and validates a route.
+ *
+ * Supported keywords:
+ *   type (string, integer, number, boolean, array, object), nullable, enum, title (used in error messages);
+ *   minLength, maxLength, pattern, format (email or password) for strings;
+ *   minimum, maximum for numbers; items for arrays; properties, required for objects; allOf and $ref.
+ *
+ * Strings (other than passwords) are trimmed before being validated, and the x-normalize extension keyword
+ * ('lowercase' or 'uppercase') may be used to normalize the case of a string before it is validated.
+ * Format checks are skipped for empty strings, so that optional fields may be cleared; use minLength to disallow them.
+ */
+import { StatusCodes, validateEmail } from '@dyesoft/alea-core';
+import { DEFAULT_LOCALE, ErrorCodes, translate } from '../i18n/index.mjs';
+import { APIError } from './common.mjs';
+import { SCHEMAS } from './openapi.mjs';
+
+/* Message used for request bodies that fail validation, if there is not exactly one field error. */
+export const INVALID_REQUEST_BODY_MESSAGE = translate(DEFAULT_LOCALE, 'errors', ErrorCodes.INVALID_REQUEST_BODY);
+
+const SCHEMA_REF_PREFIX = '#/components/schemas/';
+
+const FORMAT_EMAIL = 'email';
+const FORMAT_PASSWORD = 'password';
+
+const NORMALIZERS = {
+    lowercase: (value) => value.toLowerCase(),
+    uppercase: (value) => value.toUpperCase(),
+};
+
+/*
+ * A field error describes why the value of a single field in a request body is invalid.
+ * Like API errors, each field error has an error code and the parameters used to localize its message.
+ */
+export class FieldError {
+    constructor(field, message, code = ErrorCodes.INVALID_FIELD, params = null) {
+        this.field = field;
+        this.message = message;
+        this.code = code;
+        this.params = params;
+    }
+
+    /* Return a new FieldError for the given field with the given error code and message parameters, and an English message. */
+    static fromCode(field, code, params = {}) {
+        return new FieldError(field, translate(DEFAULT_LOCALE, 'errors', code, params), code, params);
+    }
+
+    /* Return the field error as it is returned to the client, with its message in the given locale. */
+    toResponse(locale = DEFAULT_LOCALE) {
+        const message = (this.params ? translate(locale, 'errors', this.code, this.params) : this.message);
+        return {field: this.field, message: message, code: this.code};
+    }
+}
+
+/* Return the display name of the given field for use in error messages (e.g., "Name" for the field "name"). */
+function getFieldLabel(field, schema) {
+    const label = schema?.title || field.split('.').pop();
+    return label.charAt(0).toUpperCase() + label.substring(1);
+}
+
+/* Return the error for an invalid value of the given field. Passwords are never included in messages. */
+function invalidFieldError(field, schema, value) {
+    const name = schema?.title || field.split('.').pop();
+    if (schema?.format === FORMAT_PASSWORD || value === null || typeof value === 'object') {
+        return FieldError.fromCode(field, ErrorCodes.INVALID_FIELD, {name: name});
+    }
+    return FieldError.fromCode(field, ErrorCodes.INVALID_FIELD_VALUE, {name: name, value: value});
+}
+
+/* Return the component schema referenced by the given schema (if any), using the given component schemas. */
+function resolveSchema(schema, schemas) {
+    if (schema?.$ref) {
+        const name = schema.$ref.startsWith(SCHEMA_REF_PREFIX) ? schema.$ref.substring(SCHEMA_REF_PREFIX.length) : schema.$ref;
+        if (!schemas[name]) {
+            throw new Error(`Unknown schema reference: ${schema.$ref}`);
+        }
+        return resolveSchema(schemas[name], schemas);
+    }
+    return schema;
+}
+
+/* Validate a string value against the given schema, returning the normalized value. */
+function validateString(field, schema, value, errors) {
+    if (schema.format !== FORMAT_PASSWORD) {
+        value = value.trim();
+    }
+    const normalize = NORMALIZERS[schema['x-normalize']];
+    if (normalize) {
+        value = normalize(value);
+    }
+    const invalid = (
+        (schema.minLength !== undefined && value.length < schema.minLength) ||
+        (schema.maxLength !== undefined && value.length > schema.maxLength) ||
+        (!!schema.pattern && !new RegExp(schema.pattern).test(value)) ||
+        (schema.format === FORMAT_EMAIL && value !== '' && !validateEmail(value))
+    );
+    if (invalid) {
+        errors.push(invalidFieldError(field, schema, value));
+    }
+    return value;
+}
+
+/* Validate the given value against the given schema, adding any errors to the given list and returning the normalized value. */
+function validateValue(field, schema, value, schemas, errors) {
+    schema = resolveSchema(schema, schemas);
+    if (!schema) {
+        return value;
+    }
+    if (schema.allOf) {
+        return schema.allOf.reduce((result, subSchema) => validateValue(field, subSchema, result, schemas, errors), value);
+    }
+    if (value === null) {
+        if (!schema.nullable) {
+            errors.push(invalidFieldError(field, schema, value));
+        }
+        return value;
+    }
+
+    const errorCount = errors.length;
+    switch (schema.type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                errors.push(invalidFieldError(field, schema, value));
+                return value;
+            }
+            value = validateString(field, schema, value, errors);
+            break;
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value)) ||
+                (schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+                errors.push(invalidFieldError(field, schema, value));
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                errors.push(invalidFieldError(field, schema, value));
+            }
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors.push(invalidFieldError(field, schema, value));
+                return value;
+            }
+            value = value.map((item, i) => validateValue(`${field}[${i}]`, schema.items, item, schemas, errors));
+            break;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(invalidFieldError(field, schema, value));
+                return value;
+            }
+            value = validateObject(field, schema, value, schemas, errors);
+            break;
+        default:
+            if (schema.properties || schema.required) {
+                value = validateObject(field, schema, value, schemas, errors);
+            }
+            break;
+    }
+
+    if (errors.length === errorCount && schema.enum && !schema.enum.includes(value)) {
+        errors.push(invalidFieldError(field, schema, value));
+    }
+    return value;
+}
+
+/* Validate the properties of the given object against the given schema, returning a normalized copy of the object. */
+function validateObject(field, schema, value, schemas, errors) {
+    let result = {...value};
+    (schema.required || []).forEach(key => {
+        if (!Object.hasOwn(value, key) || value[key] === undefined) {
+            const path = (field ? `${field}.${key}` : key);
+            errors.push(FieldError.fromCode(path, ErrorCodes.FIELD_REQUIRED, {label: getFieldLabel(path, resolveSchema(schema.properties?.[key], schemas))}));
+        }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (Object.hasOwn(value, key) && value[key] !== undefined) {
+            result[key] = validateValue((field ? `${field}.${key}` : key), propertySchema, value[key], schemas, errors);
+        }
+    });
+    return result;
+}
+
+/*
+ * Validate the given request body against the given schema, using the given component schemas to resolve references.
+ * Returns an object containing the normalized body (value) and a list of field errors (errors), which is empty if the body is valid.
+ * Fields not described by the schema are left unchanged.
+ */
+export function validateBody(schema, body, schemas = SCHEMAS) {
+    let errors = [];
+    if (body === null || body === undefined || typeof body !== 'object' || Array.isArray(body)) {
+        errors.push(FieldError.fromCode('', ErrorCodes.INVALID_REQUEST_BODY));
+        return {value: body, errors: errors};
+    }
+    const value = validateValue('', schema, body, schemas, errors);
+    return {value: value, errors: errors};
+}
+
+/*
+ * Validate the given request body against the given schema, returning the normalized body.
+ * Throws an APIError listing every field error if the body is invalid.
+ * The error message and code are those of the field error if there is only one, or generic ones otherwise.
+ */
+export function validateRequestBody(schema, body, schemas = SCHEMAS) {
+    const {value, errors} = validateBody(schema, body, schemas);
+    if (errors.length) {
+        if (errors.length === 1) {
+            throw new APIError(errors[0].message, StatusCodes.BAD_REQUEST, errors, errors[0].code, errors[0].params);
+        }
+        throw APIError.fromCode(ErrorCodes.INVALID_REQUEST_BODY, StatusCodes.BAD_REQUEST, {}, errors);
+    }
+    return value;
+}
@@ -0,0 +1,139 @@
+import { describe, expect, test } from '@jest/globals';
+import { StatusCodes } from '@dyesoft/alea-core';
+import { ErrorCodes } from '../i18n/index.mjs';
+import { APIError } from './common.mjs';
+import { schemaRef } from './openapi.mjs';
+import { FieldError, INVALID_REQUEST_BODY_MESSAGE, validateBody, validateRequestBody } from './validation.mjs';
+
+const TEST_SCHEMA = {
+    type: 'object',
+    required: ['name', 'email'],
+    properties: {
+        name: {type: 'string', minLength: 1, maxLength: 8},
+        email: {type: 'string', format: 'email'},
+        password: {type: 'string', format: 'password', minLength: 4, nullable: true},
+        code: {type: 'string', title: 'widget code', pattern: '^[A-Z]+$', 'x-normalize': 'uppercase'},
+        color: {type: 'string', enum: ['red', 'blue'], 'x-normalize': 'lowercase'},
+        count: {type: 'integer', minimum: 0},
+        active: {type: 'boolean'},
+        tags: {type: 'array', items: {type: 'string', maxLength: 3}},
+        nested: {type: 'object', required: ['value'], properties: {value: {type: 'number'}}},
+    },
+};
+
+/* Return the response representation (in the default locale) of each of the given field errors. */
+function toResponses(fieldErrors) {
+    return fieldErrors.map(fieldError => fieldError.toResponse());
+}
+
+describe('FieldError', () => {
+    test('fromCode', () => {
+        const fieldError = FieldError.fromCode('name', ErrorCodes.FIELD_REQUIRED, {label: 'Name'});
+        expect(fieldError.message).toEqual('Name is required');
+        expect(fieldError.code).toEqual(ErrorCodes.FIELD_REQUIRED);
+        expect(fieldError.params).toEqual({label: 'Name'});
+    });
+
+    test('toResponse localizes message', () => {
+        const fieldError = FieldError.fromCode('name', ErrorCodes.FIELD_REQUIRED, {label: 'Name'});
+        expect(fieldError.toResponse('es')).toEqual({field: 'name', message: 'Name es obligatorio', code: ErrorCodes.FIELD_REQUIRED});
+        expect(new FieldError('name', 'Custom message').toResponse('es')).toEqual({field: 'name', message: 'Custom message', code: ErrorCodes.INVALID_FIELD});
+    });
+});
+
+describe('validateBody', () => {
+    test('valid body is normalized', () => {
+        const body = {name: ' Fred ', email: 'fred@example.com ', password: ' pass ', code: ' abc', color: 'RED', tags: [' a '], other: ' x '};
+        const {value, errors} = validateBody(TEST_SCHEMA, body);
+        expect(errors).toEqual([]);
+        expect(value).toEqual({name: 'Fred', email: 'fred@example.com', password: ' pass ', code: 'ABC', color: 'red', tags: ['a'], other: ' x '});
+        expect(body.name).toEqual(' Fred ');
+    });
+
+    test('lists every field error', () => {
+        const body = {
+            email: 'foo',
+            password: 'abc',
+            code: '123',
+            color: 'green',
+            count: 1.5,
+            active: 'yes',
+            tags: ['a', 'long'],
+            nested: {},
+        };
+        const {errors} = validateBody(TEST_SCHEMA, body);
+        expect(toResponses(errors)).toEqual([
+            {field: 'name', message: 'Name is required', code: ErrorCodes.FIELD_REQUIRED},
+            {field: 'email', message: 'Invalid email "foo"', code: ErrorCodes.INVALID_FIELD_VALUE},
+            {field: 'password', message: 'Invalid password', code: ErrorCodes.INVALID_FIELD},
+            {field: 'code', message: 'Invalid widget code "123"', code: ErrorCodes.INVALID_FIELD_VALUE},
+            {field: 'color', message: 'Invalid color "green"', code: ErrorCodes.INVALID_FIELD_VALUE},
+            {field: 'count', message: 'Invalid count "1.5"', code: ErrorCodes.INVALID_FIELD_VALUE},
+            {field: 'active', message: 'Invalid active "yes"', code: ErrorCodes.INVALID_FIELD_VALUE},
+            {field: 'tags[1]', message: 'Invalid tags[1] "long"', code: ErrorCodes.INVALID_FIELD_VALUE},
+            {field: 'nested.value', message: 'Value is required', code: ErrorCodes.FIELD_REQUIRED},
+        ]);
+    });
+
+    test('wrong types', () => {
+        const {errors} = validateBody(TEST_SCHEMA, {name: 5, email: null, tags: 'a', nested: []});
+        expect(toResponses(errors)).toEqual([
+            {field: 'name', message: 'Invalid name "5"', code: ErrorCodes.INVALID_FIELD_VALUE},
+            {field: 'email', message: 'Invalid email', code: ErrorCodes.INVALID_FIELD},
+            {field: 'tags', message: 'Invalid tags "a"', code: ErrorCodes.INVALID_FIELD_VALUE},
+            {field: 'nested', message: 'Invalid nested', code: ErrorCodes.INVALID_FIELD},
+        ]);
+    });
+
+    test('nullable fields and empty optional formats', () => {
+        const {value, errors} = validateBody(TEST_SCHEMA, {name: 'Fred', email: '', password: null});
+        expect(errors).toEqual([]);
+        expect(value).toEqual({name: 'Fred', email: '', password: null});
+    });
+
+    test('body must be an object', () => {
+        expect(toResponses(validateBody(TEST_SCHEMA, null).errors)).toEqual([{field: '', message: INVALID_REQUEST_BODY_MESSAGE, code: ErrorCodes.INVALID_REQUEST_BODY}]);
+        expect(toResponses(validateBody(TEST_SCHEMA, ['Fred']).errors)).toEqual([{field: '', message: INVALID_REQUEST_BODY_MESSAGE, code: ErrorCodes.INVALID_REQUEST_BODY}]);
+    });
+
+    test('references and allOf', () => {
+        const schemas = {Named: {type: 'object', required: ['name'], properties: {name: {type: 'string'}}}};
+        const schema = {allOf: [schemaRef('Named'), {type: 'object', properties: {roomID: {type: 'string'}}}]};
+        expect(validateBody(schema, {name: ' Fred ', roomID: ' room '}, schemas)).toEqual({value: {name: 'Fred', roomID: 'room'}, errors: []});
+        expect(toResponses(validateBody(schema, {}, schemas).errors)).toEqual([{field: 'name', message: 'Name is required', code: ErrorCodes.FIELD_REQUIRED}]);
+    });
+
+    test('throws error for unknown reference', () => {
+        expect(() => validateBody(schemaRef('Unknown'), {}, {})).toThrow(Error);
+    });
+});
+
+describe('validateRequestBody', () => {
+    test('returns normalized body if valid', () => {
+        expect(validateRequestBody(TEST_SCHEMA, {name: 'Fred ', email: 'fred@example.com'})).toEqual({name: 'Fred', email: 'fred@example.com'});
+    });
+
+    test('throws error with message of single field error', () => {
+        let error;
+        try {
+            validateRequestBody(TEST_SCHEMA, {name: 'Fred'});
+        } catch (e) {
+            error = e;
+        }
+        expect(error).toBeInstanceOf(APIError);
+        expect(error.message).toEqual('Email is required');
+        expect(error.status).toEqual(StatusCodes.BAD_REQUEST);
+        expect(toResponses(error.fieldErrors)).toEqual([{field: 'email', message: 'Email is required', code: ErrorCodes.FIELD_REQUIRED}]);
+    });
+
+    test('throws error with generic message for multiple field errors', () => {
+        let error;
+        try {
+            validateRequestBody(TEST_SCHEMA, {});
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).toEqual(INVALID_REQUEST_BODY_MESSAGE);
+        expect(error.fieldErrors).toHaveLength(2);
+    });
+});
@@ -0,0 +1,22 @@
+import uuid from 'uuid';
+
+/* Maximum number of chat messages kept in the history of each room (older messages are deleted as new messages are sent). */
+export const DEFAULT_CHAT_HISTORY_SIZE = 100;
+
+/* Maximum number of characters in the text of a chat message (after leading and trailing whitespace is removed). */
+export const DEFAULT_MAX_CHAT_MESSAGE_LENGTH = 500;
+
+/*
+ * A chat message sent by a player to the other players in a room (see WebsocketServer.handleSendChatMessage).
+ * Messages are stored in the chatMessages collection of the database, which keeps a bounded history of messages for each room.
+ */
+export class ChatMessage {
+    constructor(roomID, playerID, text) {
+        this.messageID = uuid.v4();
+        this.roomID = roomID;
+        this.playerID = playerID;
+        this.text = text;
+        this.createdTime = new Date();
+        this.editedTime = null;
+    }
+}
@@ -1,2 +1,30 @@
 /* Number of records per page in paginated API responses. */
 export const PAGE_SIZE = 10;
+
+/* Fields of games excluded from room history results. */
+export const ROOM_HISTORY_GAME_PROJECTION = {
+    _id: 0,
+    roomID: 0,
+    rounds: 0,
+};
+
+/* Fields of players excluded from room history results. */
+export const ROOM_HISTORY_PLAYER_PROJECTION = {
+    _id: 0,
+    active: 0,
+    currentRoomID: 0,
+    email: 0,
+    spectating: 0,
+    stats: 0,
+};
+
+/* Fields of rooms excluded from room history results (including the fields of nested games and players). */
+export const ROOM_HISTORY_ROOM_PROJECTION = {
+    _id: 0,
+    kickedPlayerIDs: 0,
+    passwordHash: 0,
+    playerIDs: 0,
+    players: ROOM_HISTORY_PLAYER_PROJECTION,
+    previousGameIDs: 0,
+    previousGames: ROOM_HISTORY_GAME_PROJECTION,
+};
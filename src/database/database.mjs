@@ -0,0 +1,152 @@
+import log from 'log';
+
+const logger = log.get('database');
+
+/*
+ * Base class for the storage backends used by the API and websocket servers.
+ *
+ * Subclasses must provide the following collections (see initCollections):
+ *  - chatMessages: ChatMessageCollection-compatible collection (getHistoryByRoomID, getByPlayerID, editByID, pruneHistoryByRoomID, deleteByPlayerID, ...)
+ *  - emails: EmailCollection-compatible collection (getDue, claimByID, markSentByID, retryByID, ...)
+ *  - games: GameCollection-compatible collection (create, getByID, getByPlayerID, getAbandonedBefore, abandonByID, addPlayerToGame, ...)
+ *  - players: PlayerCollection-compatible collection (getByEmail, getByCurrentRoomID, anonymizeByID, incrementStat, setStat, ...)
+ *  - rooms: RoomCollection-compatible collection (getByRoomCode, getByPlayerID, setCurrentGameForRoom, closeByID, archiveByID, getHistoryByCriteria, ...)
+ *  - roomLinkRequests: RoomLinkRequestCollection-compatible collection (getByEmail, resolveByID, setRoomByID, expireByID, ...)
+ *
+ * Every collection must also support the common operations of MongoCollection (create, createMany, count,
+ * getPaginatedList, getByID, getByIDs, updateFieldsByID, updateByID, deleteByID, and truncate), where the updates passed to
+ * updateFieldsByID use MongoDB update operators ($set, $unset, $inc, $addToSet, $pull, etc.).
+ *
+ * Subclasses must also implement close() and command(), which must at least support the {ping: 1} command.
+ */
+export class Database {
+    /*
+     * Initialize the collections of the database using the given default collections and optional override collections.
+     * Each collection factory is invoked with the given argument (e.g., the underlying database handle).
+     */
+    initCollections(defaultCollections, collections = {}, factoryArg = this) {
+        this.collectionFactories = {...defaultCollections, ...collections || {}};
+        Object.entries(this.collectionFactories).forEach(([collectionName, collectionFactory]) => {
+            try {
+                const collection = collectionFactory(factoryArg);
+                if (collection) {
+                    this[collectionName] = collection;
+                }
+            } catch (e) {
+                logger.error(`Failed to initialize ${collectionName} collection: ${e}`);
+            }
+        });
+    }
+
+    /* Close the underlying connection to the database. */
+    async close(delay = false) {
+        throw new Error('Database.close() is not implemented');
+    }
+
+    /* Execute an ad-hoc command on the underlying database (used for status checks). */
+    async command(cmd) {
+        throw new Error('Database.command() is not implemented');
+    }
+
+    /* Attempt to find a new host player for the given room, assuming the current host is leaving the room. */
+    async findNewHostPlayerID(room) {
+        const playerIDs = room.playerIDs.filter(playerID => playerID !== room.hostPlayerID);
+        let players;
+        try {
+            players = await this.players.getByIDs(playerIDs);
+        } catch (e) {
+            logger.error(`Failed to get players to find new host: ${e}`);
+        }
+        let newHostPlayerID;
+        if (players) {
+            newHostPlayerID = players.find(player => player.active && player.currentRoomID === room.roomID && !player.spectating)?.playerID;
+            if (!newHostPlayerID) {
+                newHostPlayerID = players.find(player => player.active && player.currentRoomID === room.roomID)?.playerID;
+                if (!newHostPlayerID && room.hostPlayerID !== room.ownerPlayerID) {
+                    newHostPlayerID = room.ownerPlayerID;
+                }
+            }
+        } else if (room.hostPlayerID !== room.ownerPlayerID) {
+            newHostPlayerID = room.ownerPlayerID;
+        }
+        return newHostPlayerID || null;
+    }
+
+    /*
+     * Remove the given player from the room with the given ID (or the player's current room).
+     * Returns the new host player ID for the room, or null if the host player does not need to be reassigned.
+     */
+    async removePlayerFromRoom(player, roomID = null) {
+        if (!roomID) {
+            roomID = player.currentRoomID;
+        }
+        const room = await this.rooms.getByID(roomID);
+        let newHostPlayerID = null;
+        if (room) {
+            if (room.hostPlayerID === player.playerID) {
+                newHostPlayerID = await this.findNewHostPlayerID(room);
+            }
+            await this.rooms.removePlayerFromRoom(roomID, player.playerID, newHostPlayerID);
+        }
+        return newHostPlayerID;
+    }
+
+    /*
+     * Delete the given player by removing them from every room they are in (or were kicked, muted, or granted a role in), deleting the
+     * chat messages they sent, and anonymizing their player record, which replaces their name with the given name. Ownership of any room owned by the player is transferred to the
+     * room's host (or another player in the room), or cleared if there is no one left to take it over. The player's ID remains in the games
+     * they played, so game history stays consistent.
+     * Returns an object containing the rooms that the player was removed from (as a list of objects containing the room ID and new host
+     * player ID, if any) and the rooms that the player owned (as a list of objects containing the room ID and new owner player ID, if any).
+     */
+    async deletePlayer(player, deletedName, deletedTime = new Date()) {
+        const playerID = player.playerID;
+        const rooms = await this.rooms.getByPlayerID(playerID);
+        let removedFromRooms = [];
+        let ownedRooms = [];
+        for (const room of rooms) {
+            if (room.kickedPlayerIDs?.hasOwnProperty(playerID)) {
+                await this.rooms.removePlayerFromKickedPlayersInRoom(room.roomID, playerID);
+            }
+            if (room.mutedPlayerIDs?.hasOwnProperty(playerID)) {
+                await this.rooms.removePlayerFromMutedPlayersInRoom(room.roomID, playerID);
+            }
+            if (room.playerRoles?.hasOwnProperty(playerID)) {
+                await this.rooms.removePlayerRoleInRoom(room.roomID, playerID);
+            }
+            let hostPlayerID = room.hostPlayerID;
+            if (room.playerIDs.includes(playerID)) {
+                const newHostPlayerID = await this.removePlayerFromRoom(player, room.roomID);
+                removedFromRooms.push({roomID: room.roomID, newHostPlayerID: newHostPlayerID});
+                if (newHostPlayerID) {
+                    hostPlayerID = newHostPlayerID;
+                }
+            }
+            if (room.ownerPlayerID === playerID) {
+                let newOwnerPlayerID = (hostPlayerID !== playerID ? hostPlayerID : null);
+                if (!newOwnerPlayerID) {
+                    newOwnerPlayerID = room.playerIDs.find(id => id !== playerID) || null;
+                }
+                await this.rooms.updateByID(room.roomID, {ownerPlayerID: newOwnerPlayerID});
+                ownedRooms.push({roomID: room.roomID, newOwnerPlayerID: newOwnerPlayerID});
+            }
+        }
+        await this.chatMessages.deleteByPlayerID(playerID);
+        await this.players.anonymizeByID(playerID, deletedName, deletedTime);
+        return {removedFromRooms, ownedRooms};
+    }
+
+    /*
+     * Close the given room, removing all of its players from the room (without reassigning the host).
+     * Players whose current room is the closed room are left without a current room.
+     */
+    async closeRoom(room, closedTime = new Date()) {
+        for (const playerID of room.playerIDs) {
+            const player = await this.players.getByID(playerID);
+            if (player?.currentRoomID === room.roomID) {
+                await this.players.updateByID(playerID, {currentRoomID: null});
+            }
+        }
+        await this.rooms.closeByID(room.roomID, closedTime);
+    }
+}
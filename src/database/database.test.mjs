@@ -0,0 +1,388 @@
+import { Game, Player, Room } from '@dyesoft/alea-core';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { getTestDB } from '../testutils.mjs';
+import { ChatMessage } from '../chat.mjs';
+import { Database } from './database.mjs';
+
+const HOST_PLAYER_ID = 'host';
+const OWNER_PLAYER_ID = 'owner';
+
+const HOST_PLAYER = new Player('Host');
+HOST_PLAYER.playerID = HOST_PLAYER_ID;
+
+const TEST_ROOM_CODE = 'TEST';
+
+describe('Database', () => {
+    describe('initCollections', () => {
+        test('creates default collections', () => {
+            const mockCollection = {};
+            const defaultCollections = {
+                tests: jest.fn().mockReturnValue(mockCollection),
+            };
+            const db = new Database();
+            db.initCollections(defaultCollections);
+            expect(db.tests).toBe(mockCollection);
+            expect(defaultCollections.tests).toHaveBeenCalledWith(db);
+        });
+
+        test('override default collections', () => {
+            const mockCollection = {};
+            const mockOverrideCollection = {};
+            const mockArg = {};
+            const defaultCollections = {
+                tests: jest.fn().mockReturnValue(mockCollection),
+            };
+            const collections = {
+                tests: jest.fn().mockReturnValue(mockOverrideCollection),
+            };
+            const db = new Database();
+            db.initCollections(defaultCollections, collections, mockArg);
+            expect(db.tests).toBe(mockOverrideCollection);
+            expect(defaultCollections.tests).not.toHaveBeenCalled();
+            expect(collections.tests).toHaveBeenCalledWith(mockArg);
+        });
+
+        test('skips collections that fail to initialize', () => {
+            const defaultCollections = {
+                tests: jest.fn().mockImplementation(() => {
+                    throw new Error('failed');
+                }),
+            };
+            const db = new Database();
+            db.initCollections(defaultCollections);
+            expect(db.tests).not.toBeDefined();
+        });
+    });
+
+    describe('close', () => {
+        test('throws error if not implemented', async () => {
+            await expect(async () => await new Database().close()).rejects.toThrow(Error);
+        });
+    });
+
+    describe('command', () => {
+        test('throws error if not implemented', async () => {
+            await expect(async () => await new Database().command({ping: 1})).rejects.toThrow(Error);
+        });
+    });
+
+    describe('findNewHostPlayerID', () => {
+        let db;
+
+        beforeAll(async () => {
+            db = await getTestDB();
+        });
+
+        beforeEach(async () => {
+            await db.players.create(HOST_PLAYER);
+        });
+
+        afterEach(async () => {
+            await db.players.truncate(true);
+        });
+
+        afterAll(async () => {
+            await db.close();
+        });
+
+        test('selects owner if not all players found', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.hostPlayerID = HOST_PLAYER_ID;
+            room.playerIDs = ['player1', 'player2', HOST_PLAYER_ID];
+            const newHostPlayerID = await db.findNewHostPlayerID(room);
+            expect(newHostPlayerID).toEqual(OWNER_PLAYER_ID);
+        });
+
+        test('returns null if not all players found and owner is the host', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.playerIDs = ['player1', OWNER_PLAYER_ID];
+            const newHostPlayerID = await db.findNewHostPlayerID(room);
+            expect(newHostPlayerID).toBeNull();
+        });
+
+        test('selects first active, non-spectating player if one exists', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            const expectedPlayer = new Player('Fred');
+            expectedPlayer.currentRoomID = room.roomID;
+            const otherPlayer = new Player('Barney', null, true);
+            otherPlayer.currentRoomID = room.roomID;
+            await db.players.create(expectedPlayer);
+            await db.players.create(otherPlayer);
+
+            room.hostPlayerID = HOST_PLAYER_ID;
+            room.playerIDs = [otherPlayer.playerID, expectedPlayer.playerID, HOST_PLAYER_ID];
+            const newHostPlayerID = await db.findNewHostPlayerID(room);
+            expect(newHostPlayerID).toEqual(expectedPlayer.playerID);
+        });
+
+        test('selects first active player if one exists', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            const expectedPlayer = new Player('Fred', null, true);
+            expectedPlayer.currentRoomID = room.roomID;
+            const otherPlayer = new Player('Barney', null, true);
+            otherPlayer.currentRoomID = room.roomID;
+            otherPlayer.active = false;
+            await db.players.create(expectedPlayer);
+            await db.players.create(otherPlayer);
+
+            room.hostPlayerID = HOST_PLAYER_ID;
+            room.playerIDs = [otherPlayer.playerID, expectedPlayer.playerID, HOST_PLAYER_ID];
+            const newHostPlayerID = await db.findNewHostPlayerID(room);
+            expect(newHostPlayerID).toEqual(expectedPlayer.playerID);
+        });
+
+        test('selects owner if not already the host', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            const otherPlayer = new Player('Fred', null);
+            otherPlayer.currentRoomID = room.roomID;
+            otherPlayer.active = false;
+            await db.players.create(otherPlayer);
+
+            room.hostPlayerID = HOST_PLAYER_ID;
+            room.playerIDs = [otherPlayer.playerID, HOST_PLAYER_ID];
+            const newHostPlayerID = await db.findNewHostPlayerID(room);
+            expect(newHostPlayerID).toEqual(OWNER_PLAYER_ID);
+        });
+
+        test('selects owner if room is empty', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.hostPlayerID = HOST_PLAYER_ID;
+            const newHostPlayerID = await db.findNewHostPlayerID(room);
+            expect(newHostPlayerID).toEqual(OWNER_PLAYER_ID);
+        });
+
+        test('returns null if no suitable player found', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.hostPlayerID = OWNER_PLAYER_ID;
+            room.playerIDs = [OWNER_PLAYER_ID];
+            const newHostPlayerID = await db.findNewHostPlayerID(room);
+            expect(newHostPlayerID).toBeNull();
+        });
+    });
+
+    describe('removePlayerFromRoom', () => {
+        let db;
+
+        beforeAll(async () => {
+            db = await getTestDB();
+        });
+
+        beforeEach(async () => {
+            await db.players.create(HOST_PLAYER);
+        });
+
+        afterEach(async () => {
+            await db.players.truncate(true);
+            await db.rooms.truncate(true);
+        });
+
+        afterAll(async () => {
+            await db.close();
+        });
+
+        test('uses current room of player if room ID not provided', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            const player = new Player('Fred', null);
+            player.currentRoomID = room.roomID;
+            await db.players.create(player);
+
+            room.hostPlayerID = HOST_PLAYER_ID;
+            room.playerIDs = [player.playerID, HOST_PLAYER_ID];
+            await db.rooms.create(room);
+
+            const newHostPlayerID = await db.removePlayerFromRoom(player);
+            expect(newHostPlayerID).toBeNull();
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.playerIDs).toEqual([HOST_PLAYER_ID]);
+        });
+
+        test('returns null if room not found', async () => {
+            const newHostPlayerID = await db.removePlayerFromRoom(null, 'room');
+            expect(newHostPlayerID).toBeNull();
+        });
+
+        test('removes player and returns null if player is not host', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            const player = new Player('Fred', null);
+            await db.players.create(player);
+
+            room.hostPlayerID = HOST_PLAYER_ID;
+            room.playerIDs = [player.playerID, HOST_PLAYER_ID];
+            await db.rooms.create(room);
+
+            const newHostPlayerID = await db.removePlayerFromRoom(player, room.roomID);
+            expect(newHostPlayerID).toBeNull();
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.playerIDs).toEqual([HOST_PLAYER_ID]);
+        });
+
+        test('removes player and returns new host player ID if player is host', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.hostPlayerID = HOST_PLAYER_ID;
+            room.playerIDs = [HOST_PLAYER_ID];
+            await db.rooms.create(room);
+
+            const newHostPlayerID = await db.removePlayerFromRoom(HOST_PLAYER, room.roomID);
+            expect(newHostPlayerID).toEqual(OWNER_PLAYER_ID);
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.playerIDs).toEqual([]);
+        });
+    });
+
+    describe('deletePlayer', () => {
+        let db;
+
+        beforeAll(async () => {
+            db = await getTestDB();
+        });
+
+        afterEach(async () => {
+            await db.chatMessages.truncate(true);
+            await db.games.truncate(true);
+            await db.players.truncate(true);
+            await db.rooms.truncate(true);
+        });
+
+        afterAll(async () => {
+            await db.close();
+        });
+
+        test('removes player from rooms and anonymizes player', async () => {
+            const deletedTime = new Date();
+            const player = new Player('Fred', 'fred@example.com');
+            const otherPlayer = new Player('Barney');
+            const room = new Room(TEST_ROOM_CODE, player.playerID);
+            room.playerIDs.push(otherPlayer.playerID);
+            otherPlayer.currentRoomID = room.roomID;
+            const kickedRoom = new Room('ABCD', otherPlayer.playerID);
+            kickedRoom.kickedPlayerIDs[player.playerID] = null;
+            const game = new Game(room.roomID, [player.playerID, otherPlayer.playerID]);
+            await db.players.createMany([player, otherPlayer]);
+            await db.rooms.createMany([room, kickedRoom]);
+            await db.games.create(game);
+
+            const { removedFromRooms, ownedRooms } = await db.deletePlayer(player, 'Deleted Player', deletedTime);
+            expect(removedFromRooms).toEqual([{roomID: room.roomID, newHostPlayerID: otherPlayer.playerID}]);
+            expect(ownedRooms).toEqual([{roomID: room.roomID, newOwnerPlayerID: otherPlayer.playerID}]);
+
+            const newPlayer = await db.players.getByID(player.playerID);
+            expect(newPlayer.name).toEqual('Deleted Player');
+            expect(newPlayer.email).toBeNull();
+            expect(newPlayer.deleted).toBeTruthy();
+            expect(newPlayer.deletedTime).toEqual(deletedTime);
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.playerIDs).toEqual([otherPlayer.playerID]);
+            expect(newRoom.hostPlayerID).toEqual(otherPlayer.playerID);
+            expect(newRoom.ownerPlayerID).toEqual(otherPlayer.playerID);
+            expect((await db.rooms.getByID(kickedRoom.roomID)).kickedPlayerIDs).toEqual({});
+            expect((await db.games.getByID(game.gameID)).playerIDs).toEqual(game.playerIDs);
+        });
+
+        test('deletes chat messages sent by player', async () => {
+            const player = new Player('Fred');
+            const otherPlayer = new Player('Barney');
+            const room = new Room(TEST_ROOM_CODE, otherPlayer.playerID);
+            room.playerIDs.push(player.playerID);
+            const message = new ChatMessage(room.roomID, player.playerID, 'Hello');
+            const otherMessage = new ChatMessage(room.roomID, otherPlayer.playerID, 'Hi');
+            await db.players.createMany([player, otherPlayer]);
+            await db.rooms.create(room);
+            await db.chatMessages.createMany([message, otherMessage]);
+
+            await db.deletePlayer(player, 'Deleted Player');
+            expect(await db.chatMessages.getByID(message.messageID)).toBeNull();
+            expect((await db.chatMessages.getHistoryByRoomID(room.roomID, 10)).map(message => message.messageID)).toEqual([otherMessage.messageID]);
+        });
+
+        test('transfers ownership of room to its host', async () => {
+            const player = new Player('Fred');
+            const hostPlayer = new Player('Barney');
+            const otherPlayer = new Player('Wilma');
+            const room = new Room(TEST_ROOM_CODE, player.playerID);
+            room.hostPlayerID = hostPlayer.playerID;
+            room.playerIDs = [otherPlayer.playerID, hostPlayer.playerID];
+            await db.players.createMany([player, hostPlayer, otherPlayer]);
+            await db.rooms.create(room);
+
+            const { removedFromRooms, ownedRooms } = await db.deletePlayer(player, 'Deleted Player');
+            expect(removedFromRooms).toEqual([]);
+            expect(ownedRooms).toEqual([{roomID: room.roomID, newOwnerPlayerID: hostPlayer.playerID}]);
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.ownerPlayerID).toEqual(hostPlayer.playerID);
+            expect(newRoom.hostPlayerID).toEqual(hostPlayer.playerID);
+        });
+
+        test('clears ownership of room with no other players', async () => {
+            const player = new Player('Fred');
+            const room = new Room(TEST_ROOM_CODE, player.playerID);
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const { removedFromRooms, ownedRooms } = await db.deletePlayer(player, 'Deleted Player');
+            expect(removedFromRooms).toEqual([{roomID: room.roomID, newHostPlayerID: null}]);
+            expect(ownedRooms).toEqual([{roomID: room.roomID, newOwnerPlayerID: null}]);
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.playerIDs).toEqual([]);
+            expect(newRoom.ownerPlayerID).toBeNull();
+        });
+
+        test('removes player from muted players and granted roles', async () => {
+            const player = new Player('Fred');
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.playerIDs = [OWNER_PLAYER_ID];
+            room.mutedPlayerIDs = {[player.playerID]: null};
+            room.playerRoles = {[player.playerID]: 'co_host'};
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const { removedFromRooms, ownedRooms } = await db.deletePlayer(player, 'Deleted Player');
+            expect(removedFromRooms).toEqual([]);
+            expect(ownedRooms).toEqual([]);
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.mutedPlayerIDs).toEqual({});
+            expect(newRoom.playerRoles).toEqual({});
+            expect(newRoom.ownerPlayerID).toEqual(OWNER_PLAYER_ID);
+        });
+    });
+
+    describe('closeRoom', () => {
+        let db;
+
+        beforeAll(async () => {
+            db = await getTestDB();
+        });
+
+        afterEach(async () => {
+            await db.players.truncate(true);
+            await db.rooms.truncate(true);
+        });
+
+        afterAll(async () => {
+            await db.close();
+        });
+
+        test('closes room and clears current room of its players', async () => {
+            const closedTime = new Date();
+            const player = new Player('Fred');
+            const otherPlayer = new Player('Barney');
+            const room = new Room(TEST_ROOM_CODE, player.playerID);
+            const otherRoom = new Room('ABCD', otherPlayer.playerID);
+            room.playerIDs.push(otherPlayer.playerID);
+            player.currentRoomID = room.roomID;
+            otherPlayer.currentRoomID = otherRoom.roomID;
+            await db.players.createMany([player, otherPlayer]);
+            await db.rooms.createMany([room, otherRoom]);
+
+            await db.closeRoom(room, closedTime);
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.closed).toBeTruthy();
+            expect(newRoom.closedTime).toEqual(closedTime);
+            expect(newRoom.playerIDs).toEqual([]);
+            expect(newRoom.roomCode).toEqual(TEST_ROOM_CODE);
+            expect((await db.players.getByID(player.playerID)).currentRoomID).toBeNull();
+            expect((await db.players.getByID(otherPlayer.playerID)).currentRoomID).toEqual(otherRoom.roomID);
+        });
+    });
+});
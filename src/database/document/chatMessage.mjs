@@ -0,0 +1,45 @@
+import DocumentCollection from './collection.mjs';
+
+/* Data access class for working with chat messages in a document store. */
+export default class DocumentChatMessageCollection extends DocumentCollection {
+    /* Create a new chat message collection using the given storage. */
+    constructor(storage) {
+        super(storage, 'chatMessages', 'messageID');
+
+        this.getHistoryByRoomID = this.getHistoryByRoomID.bind(this);
+        this.getByPlayerID = this.getByPlayerID.bind(this);
+        this.editByID = this.editByID.bind(this);
+        this.pruneHistoryByRoomID = this.pruneHistoryByRoomID.bind(this);
+        this.deleteByPlayerID = this.deleteByPlayerID.bind(this);
+    }
+
+    /* Return up to the given number of the newest chat messages in the given room, oldest first. */
+    async getHistoryByRoomID(roomID, limit) {
+        const messages = await this.store.find({roomID: roomID}, {createdTime: -1}, 0, limit);
+        return messages.reverse();
+    }
+
+    /* Return all chat messages sent by the given player in any room, oldest first. */
+    async getByPlayerID(playerID) {
+        return await this.store.find({playerID: playerID}, {createdTime: 1});
+    }
+
+    /* Replace the text of the given chat message with the given text, recording the time it was edited. */
+    async editByID(messageID, text, editedTime) {
+        await this.updateByID(messageID, {text: text, editedTime: editedTime});
+    }
+
+    /* Delete all but the given number of the newest chat messages in the given room. Returns the number of deleted messages. */
+    async pruneHistoryByRoomID(roomID, limit) {
+        const messages = await this.store.find({roomID: roomID}, {createdTime: -1}, limit);
+        if (messages.length) {
+            await this.store.delete({_id: {$in: messages.map(message => message.messageID)}});
+        }
+        return messages.length;
+    }
+
+    /* Delete all chat messages sent by the given player in any room. Returns the number of deleted messages. */
+    async deleteByPlayerID(playerID) {
+        return await this.store.delete({playerID: playerID});
+    }
+}
@@ -0,0 +1,96 @@
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+import { ChatMessage } from '../../chat.mjs';
+import DocumentChatMessageCollection from './chatMessage.mjs';
+import { TEST_STORAGE_BACKENDS } from './testutils.mjs';
+
+const NOW = new Date('2024-01-01T12:00:00Z');
+
+/* Return a new chat message in the given room, sent the given number of seconds before now. */
+function chatMessage(roomID, secondsAgo) {
+    const message = new ChatMessage(roomID, 'player', `Sent ${secondsAgo} seconds ago`);
+    message.createdTime = new Date(NOW.getTime() - secondsAgo * 1000);
+    return message;
+}
+
+describe.each(TEST_STORAGE_BACKENDS)('DocumentChatMessageCollection (%s storage)', (_, getStorage) => {
+    let db;
+    let collection;
+
+    beforeEach(async () => {
+        db = await getStorage();
+        collection = new DocumentChatMessageCollection(db);
+        await collection.truncate(true);
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    describe('getHistoryByRoomID', () => {
+        test('returns newest messages in room, oldest first', async () => {
+            const oldest = chatMessage('room', 3);
+            const older = chatMessage('room', 2);
+            const newest = chatMessage('room', 1);
+            await collection.createMany([older, newest, chatMessage('other', 0), oldest]);
+            const messages = await collection.getHistoryByRoomID('room', 2);
+            expect(messages.map(message => message.messageID)).toEqual([older.messageID, newest.messageID]);
+        });
+
+        test('returns empty list for room without messages', async () => {
+            expect(await collection.getHistoryByRoomID('room', 10)).toEqual([]);
+        });
+    });
+
+    describe('getByPlayerID', () => {
+        test('returns messages sent by player in any room, oldest first', async () => {
+            const newer = chatMessage('room', 1);
+            const older = chatMessage('other', 2);
+            const otherPlayerMessage = {...chatMessage('room', 3), playerID: 'other-player'};
+            await collection.createMany([newer, otherPlayerMessage, older]);
+            const messages = await collection.getByPlayerID('player');
+            expect(messages.map(message => message.messageID)).toEqual([older.messageID, newer.messageID]);
+        });
+    });
+
+    describe('editByID', () => {
+        test('replaces text and records edited time', async () => {
+            const message = chatMessage('room', 1);
+            await collection.create(message);
+            await collection.editByID(message.messageID, 'Edited', NOW);
+            const newMessage = await collection.getByID(message.messageID);
+            expect(newMessage.text).toEqual('Edited');
+            expect(newMessage.editedTime).toEqual(NOW);
+        });
+    });
+
+    describe('pruneHistoryByRoomID', () => {
+        test('deletes all but newest messages in room', async () => {
+            const oldest = chatMessage('room', 3);
+            const older = chatMessage('room', 2);
+            const newest = chatMessage('room', 1);
+            const other = chatMessage('other', 4);
+            await collection.createMany([oldest, older, newest, other]);
+            expect(await collection.pruneHistoryByRoomID('room', 2)).toEqual(1);
+            expect(await collection.getByID(oldest.messageID)).toBeNull();
+            expect(await collection.getByID(other.messageID)).not.toBeNull();
+            expect(await collection.count()).toEqual(3);
+        });
+
+        test('does nothing if room history is within limit', async () => {
+            await collection.createMany([chatMessage('room', 2), chatMessage('room', 1)]);
+            expect(await collection.pruneHistoryByRoomID('room', 2)).toEqual(0);
+            expect(await collection.count()).toEqual(2);
+        });
+    });
+
+    describe('deleteByPlayerID', () => {
+        test('deletes messages sent by player in any room', async () => {
+            const otherPlayerMessage = {...chatMessage('room', 3), playerID: 'other-player'};
+            await collection.createMany([chatMessage('room', 1), chatMessage('other', 2), otherPlayerMessage]);
+            expect(await collection.deleteByPlayerID('player')).toEqual(2);
+            expect(await collection.getByPlayerID('player')).toEqual([]);
+            expect(await collection.getByID(otherPlayerMessage.messageID)).not.toBeNull();
+            expect(await collection.count()).toEqual(1);
+        });
+    });
+});
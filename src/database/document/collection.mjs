@@ -0,0 +1,107 @@
+import uuid from 'uuid';
+import { PAGE_SIZE } from '../constants.mjs';
+
+/*
+ * Base class for working with a collection of documents in a generic document store.
+ * This provides the same interface as MongoCollection for storage backends without a native MongoDB driver.
+ *
+ * The given storage must provide a getStore(collectionName) method that returns a store for the collection.
+ * Stores must implement the following async methods, where filters, sort criteria, and updates use MongoDB syntax:
+ *  - insert(documents): insert the given documents, throwing an error if any document's _id already exists
+ *  - find(filters, sort, skip, limit): return the documents matching the given filters
+ *  - findOne(filters): return the first document matching the given filters, or null
+ *  - count(filters): return the number of documents matching the given filters
+ *  - update(filters, updates, arrayFilters): apply the given updates to the first document matching the given filters
+ *  - delete(filters): delete all documents matching the given filters
+ */
+export default class DocumentCollection {
+    /* Create a document collection using the given storage, collection name, and ID field. */
+    constructor(storage, collectionName, idFieldName, pageSize = PAGE_SIZE) {
+        this.idField = idFieldName;
+        this.entityName = collectionName.endsWith('s') ? collectionName.substring(0, collectionName.length - 1) : collectionName;
+        this.storage = storage;
+        this.store = storage.getStore(collectionName);
+        this.pageSize = pageSize;
+
+        this.create = this.create.bind(this);
+        this.count = this.count.bind(this);
+        this.getPaginatedList = this.getPaginatedList.bind(this);
+        this.getByID = this.getByID.bind(this);
+        this.getByIDs = this.getByIDs.bind(this);
+        this.updateFieldsByID = this.updateFieldsByID.bind(this);
+        this.updateByID = this.updateByID.bind(this);
+        this.deleteByID = this.deleteByID.bind(this);
+    }
+
+    ensureUniqueID(entity) {
+        if (!entity[this.idField]) {
+            entity[this.idField] = uuid.v4();
+        }
+        entity._id = entity[this.idField];
+    }
+
+    /* Create a new record in the collection after ensuring that it has a unique ID. */
+    async create(entity) {
+        this.ensureUniqueID(entity);
+        await this.store.insert([entity]);
+    }
+
+    /* Create multiple new records in the collection after ensuring that each record has a unique ID. */
+    async createMany(entities) {
+        entities.forEach(entity => this.ensureUniqueID(entity));
+        await this.store.insert(entities);
+    }
+
+    /* Return the total number of records in the collection, optionally filtered by the given criteria. */
+    async count(filters = {}) {
+        return await this.store.count(filters || {});
+    }
+
+    /* Return a paginated list of records for the given page number and sort criteria. */
+    async getPaginatedList(page, sort = null, filters = null) {
+        if (!sort) {
+            sort = {createdTime: -1};
+        }
+        const skip = (page > 1 ? this.pageSize * (page - 1) : 0);
+        return await this.store.find(filters || {}, sort, skip, this.pageSize);
+    }
+
+    /* Return the record with the given ID. */
+    async getByID(entityID) {
+        return await this.store.findOne({_id: entityID});
+    }
+
+    /* Return a list of all records with the given IDs. All IDs are expected to exist. */
+    async getByIDs(entityIDs) {
+        const entities = await this.store.find({_id: {$in: entityIDs}});
+        if (entities.length < entityIDs.length) {
+            throw new Error(`Failed to find all ${this.entityName}s!`);
+        }
+        return entities;
+    }
+
+    /* Make arbitrary updates to the fields of a record by ID. */
+    async updateFieldsByID(entityID, updates, arrayFilters = null) {
+        await this.store.update({_id: entityID}, updates, arrayFilters);
+    }
+
+    /* Update the values of a record's fields by ID. */
+    async updateByID(entityID, newFields) {
+        await this.updateFieldsByID(entityID, {$set: newFields});
+    }
+
+    /* Delete the record with the given ID. */
+    async deleteByID(entityID) {
+        await this.store.delete({_id: entityID});
+    }
+
+    /*
+     * Delete ALL entities from the collection. This method is primarily used for testing.
+     * USE WITH EXTREME CAUTION!
+     */
+    async truncate(confirm = false) {
+        if (confirm) {
+            await this.store.delete({});
+        }
+    }
+}
@@ -0,0 +1,60 @@
+import DocumentCollection from './collection.mjs';
+
+/* Data access class for working with games in a document store. */
+export default class DocumentGameCollection extends DocumentCollection {
+    /* Create a new game collection using the given storage. */
+    constructor(storage) {
+        super(storage, 'games', 'gameID');
+
+        this.getByPlayerID = this.getByPlayerID.bind(this);
+        this.getLatestByRoomID = this.getLatestByRoomID.bind(this);
+        this.getAbandonedBefore = this.getAbandonedBefore.bind(this);
+        this.abandonByID = this.abandonByID.bind(this);
+        this.addPlayerToGame = this.addPlayerToGame.bind(this);
+        this.updateGameState = this.updateGameState.bind(this);
+    }
+
+    /* Return all games (newest first) that the given player has played in. */
+    async getByPlayerID(playerID) {
+        return await this.store.find({playerIDs: playerID}, {createdTime: -1});
+    }
+
+    /* Return the newest game in the given room, or null if no games have been played in the room. */
+    async getLatestByRoomID(roomID) {
+        const games = await this.store.find({roomID: roomID}, {createdTime: -1}, 0, 1);
+        return games[0] || null;
+    }
+
+    /*
+     * Return all games (oldest first) that were abandoned before the given time and never finished.
+     * Games that were never explicitly abandoned (see abandonByID) are not included, even if they are unfinished.
+     */
+    async getAbandonedBefore(abandonedTime) {
+        return await this.store.find({finishedTime: null, abandonedTime: {$lt: abandonedTime}}, {abandonedTime: 1});
+    }
+
+    /* Mark the given game as abandoned at the given time (e.g., when the host abandons it or its room is archived). */
+    async abandonByID(gameID, abandonedTime = new Date()) {
+        await this.updateByID(gameID, {abandonedTime: abandonedTime});
+    }
+
+    /* Add the given player to the given game. */
+    async addPlayerToGame(gameID, playerID) {
+        await this.updateFieldsByID(gameID, {
+            $set: {[`scores.${playerID}`]: 0},
+            $addToSet: {playerIDs: playerID},
+        });
+    }
+
+    /*
+     * Apply the given updates to the state of the given game, but only if the game's state version still matches the given version.
+     * The state version is incremented with each update, so concurrent updates based on the same version cannot both succeed.
+     * Returns true if the updates were applied, or false if the game was not found or has been updated since the given version.
+     */
+    async updateGameState(gameID, stateVersion, updates, arrayFilters = null) {
+        /* Games created before their first state update have no state version, which is equivalent to version 0. */
+        const filters = {_id: gameID, stateVersion: (stateVersion ? stateVersion : {$in: [0, null]})};
+        const count = await this.store.update(filters, {...updates, $inc: {...updates.$inc, stateVersion: 1}}, arrayFilters);
+        return (count === 1);
+    }
+}
@@ -0,0 +1,103 @@
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+import DocumentGameCollection from './game.mjs';
+import { TEST_STORAGE_BACKENDS } from './testutils.mjs';
+
+describe.each(TEST_STORAGE_BACKENDS)('DocumentGameCollection (%s storage)', (_, getStorage) => {
+    let db;
+    let collection;
+
+    beforeEach(async () => {
+        db = await getStorage();
+        collection = new DocumentGameCollection(db);
+        await collection.truncate(true);
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    describe('getByPlayerID', () => {
+        test('returns games with player, newest first', async () => {
+            const playerID = 'player';
+            await collection.create({gameID: 'old', playerIDs: [playerID], scores: {}, createdTime: new Date(1000)});
+            await collection.create({gameID: 'other', playerIDs: ['other'], scores: {}, createdTime: new Date(2000)});
+            await collection.create({gameID: 'new', playerIDs: ['other', playerID], scores: {}, createdTime: new Date(3000)});
+            const games = await collection.getByPlayerID(playerID);
+            expect(games.map(game => game.gameID)).toEqual(['new', 'old']);
+            expect(await collection.getByPlayerID('unknown')).toEqual([]);
+        });
+    });
+
+    describe('getLatestByRoomID', () => {
+        test('returns newest game in room', async () => {
+            const roomID = 'room';
+            await collection.create({gameID: 'old', roomID: roomID, playerIDs: [], scores: {}, createdTime: new Date(1000)});
+            await collection.create({gameID: 'other', roomID: 'other', playerIDs: [], scores: {}, createdTime: new Date(3000)});
+            await collection.create({gameID: 'new', roomID: roomID, playerIDs: [], scores: {}, createdTime: new Date(2000)});
+            expect((await collection.getLatestByRoomID(roomID)).gameID).toEqual('new');
+            expect(await collection.getLatestByRoomID('unknown')).toBeNull();
+        });
+    });
+
+    describe('getAbandonedBefore', () => {
+        test('returns unfinished games abandoned before time, oldest first', async () => {
+            await collection.create({gameID: 'finished', playerIDs: [], scores: {}, createdTime: new Date(1000), finishedTime: new Date(1500), abandonedTime: null});
+            await collection.create({gameID: 'abandoned2', playerIDs: [], scores: {}, createdTime: new Date(1000), finishedTime: null, abandonedTime: new Date(2000)});
+            await collection.create({gameID: 'abandoned1', playerIDs: [], scores: {}, createdTime: new Date(1500), finishedTime: null, abandonedTime: new Date(1800)});
+            await collection.create({gameID: 'recent', playerIDs: [], scores: {}, createdTime: new Date(1000), finishedTime: null, abandonedTime: new Date(4000)});
+            await collection.create({gameID: 'unfinished', playerIDs: [], scores: {}, createdTime: new Date(1000), finishedTime: null});
+            const games = await collection.getAbandonedBefore(new Date(3000));
+            expect(games.map(game => game.gameID)).toEqual(['abandoned1', 'abandoned2']);
+        });
+    });
+
+    describe('abandonByID', () => {
+        test('records abandoned time', async () => {
+            const abandonedTime = new Date(5000);
+            await collection.create({gameID: 'game', playerIDs: [], scores: {}, createdTime: new Date(1000), finishedTime: null});
+            await collection.abandonByID('game', abandonedTime);
+            expect((await collection.getByID('game')).abandonedTime).toEqual(abandonedTime);
+        });
+    });
+
+    describe('addPlayerToGame', () => {
+        test('updates expected fields', async () => {
+            const gameID = 'game';
+            const playerID = 'player';
+            await collection.create({gameID: gameID, playerIDs: [], scores: {}});
+            await collection.addPlayerToGame(gameID, playerID);
+            const game = await collection.getByID(gameID);
+            expect(game.playerIDs).toEqual([playerID]);
+            expect(game.scores).toEqual({[playerID]: 0});
+        });
+    });
+
+    describe('updateGameState', () => {
+        const gameID = 'game';
+        const playerID = 'player';
+
+        beforeEach(async () => {
+            await collection.create({gameID: gameID, playerIDs: [playerID], scores: {[playerID]: 0}});
+        });
+
+        test('applies updates and increments state version if version matches', async () => {
+            expect(await collection.updateGameState(gameID, 0, {$inc: {[`scores.${playerID}`]: 200}})).toBeTruthy();
+            expect(await collection.updateGameState(gameID, 1, {$inc: {[`scores.${playerID}`]: 400}})).toBeTruthy();
+            const game = await collection.getByID(gameID);
+            expect(game.scores).toEqual({[playerID]: 600});
+            expect(game.stateVersion).toEqual(2);
+        });
+
+        test('does nothing if version does not match', async () => {
+            await collection.updateGameState(gameID, 0, {$set: {[`scores.${playerID}`]: 200}});
+            expect(await collection.updateGameState(gameID, 0, {$set: {[`scores.${playerID}`]: 400}})).toBeFalsy();
+            const game = await collection.getByID(gameID);
+            expect(game.scores).toEqual({[playerID]: 200});
+            expect(game.stateVersion).toEqual(1);
+        });
+
+        test('returns false if game not found', async () => {
+            expect(await collection.updateGameState('unknown', 0, {$set: {finishedTime: new Date()}})).toBeFalsy();
+        });
+    });
+});
@@ -0,0 +1,10 @@
+export { default as DocumentChatMessageCollection } from './chatMessage.mjs';
+export { default as DocumentCollection } from './collection.mjs';
+export { default as DocumentEmailCollection } from './email.mjs';
+export { default as DocumentGameCollection } from './game.mjs';
+export { default as DocumentPlayerCollection } from './player.mjs';
+export { default as DocumentRoomCollection } from './room.mjs';
+export { default as DocumentRoomLinkRequestCollection } from './roomLinkRequest.mjs';
+
+export * from './operators.mjs';
+export * as operators from './operators.mjs';
@@ -0,0 +1,318 @@
+/*
+ * Helpers for querying and updating plain JavaScript documents using a subset of MongoDB's query, update,
+ * projection, and sort syntax. These are used by storage backends that do not support that syntax natively.
+ */
+
+const PATH_SEPARATOR = '.';
+const ARRAY_FILTER_PATTERN = /^\$\[(\w+)]$/;
+
+/* Return true if the given value is a date. This works for dates created in any realm (e.g., by structuredClone). */
+export function isDate(value) {
+    return Object.prototype.toString.call(value) === '[object Date]';
+}
+
+/* Return true if the given value is a plain object (i.e., not null, an array, or a date). */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !isDate(value);
+}
+
+/* Return true if the given value is an object whose keys are all operators (e.g., {$in: [...]}). */
+function isOperatorObject(value) {
+    return isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+}
+
+/* Return a deep copy of the given document. */
+export function cloneDocument(doc) {
+    return (doc === undefined ? undefined : structuredClone(doc));
+}
+
+/* Return true if the given values are deeply equal. */
+export function valuesEqual(value1, value2) {
+    if (value1 === value2) {
+        return true;
+    }
+    if (isDate(value1) || isDate(value2)) {
+        return (isDate(value1) && isDate(value2) && value1.getTime() === value2.getTime());
+    }
+    if (Array.isArray(value1) || Array.isArray(value2)) {
+        return (Array.isArray(value1) && Array.isArray(value2) && value1.length === value2.length &&
+            value1.every((value, i) => valuesEqual(value, value2[i])));
+    }
+    if (isPlainObject(value1) && isPlainObject(value2)) {
+        const keys1 = Object.keys(value1);
+        const keys2 = Object.keys(value2);
+        return (keys1.length === keys2.length && keys1.every(key => valuesEqual(value1[key], value2[key])));
+    }
+    return false;
+}
+
+/* Compare the given values for sorting. Missing values sort before all other values. */
+export function compareValues(value1, value2) {
+    const missing1 = (value1 === null || value1 === undefined);
+    const missing2 = (value2 === null || value2 === undefined);
+    if (missing1 || missing2) {
+        return (missing1 === missing2 ? 0 : (missing1 ? -1 : 1));
+    }
+    if (isDate(value1)) {
+        value1 = value1.getTime();
+    }
+    if (isDate(value2)) {
+        value2 = value2.getTime();
+    }
+    if (value1 < value2) {
+        return -1;
+    }
+    return (value1 > value2 ? 1 : 0);
+}
+
+/* Return the value of the field with the given (possibly dotted) path in the given document. */
+export function getField(doc, path) {
+    let value = doc;
+    for (let key of path.split(PATH_SEPARATOR)) {
+        if (value === null || value === undefined) {
+            return undefined;
+        }
+        value = value[key];
+    }
+    return value;
+}
+
+/* Return true if the given value satisfies the given condition (a value or an object of query operators). */
+export function matchesCondition(value, condition) {
+    if (!isOperatorObject(condition)) {
+        if (Array.isArray(value) && !Array.isArray(condition)) {
+            return value.some(element => valuesEqual(element, condition));
+        }
+        if (condition === null) {
+            return (value === null || value === undefined);
+        }
+        return valuesEqual(value, condition);
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+            case '$eq':
+                return matchesCondition(value, operand);
+            case '$ne':
+                return !matchesCondition(value, operand);
+            case '$in':
+                return operand.some(element => matchesCondition(value, element));
+            case '$nin':
+                return !operand.some(element => matchesCondition(value, element));
+            case '$exists':
+                return (value !== undefined) === !!operand;
+            case '$gt':
+                return (value !== null && value !== undefined && compareValues(value, operand) > 0);
+            case '$gte':
+                return (value !== null && value !== undefined && compareValues(value, operand) >= 0);
+            case '$lt':
+                return (value !== null && value !== undefined && compareValues(value, operand) < 0);
+            case '$lte':
+                return (value !== null && value !== undefined && compareValues(value, operand) <= 0);
+            default:
+                throw new Error(`Unsupported query operator: ${operator}`);
+        }
+    });
+}
+
+/* Return true if the given document matches all of the given filters. */
+export function matchesFilters(doc, filters) {
+    return Object.entries(filters || {}).every(([key, condition]) => {
+        switch (key) {
+            case '$and':
+                return condition.every(subFilters => matchesFilters(doc, subFilters));
+            case '$or':
+                return condition.some(subFilters => matchesFilters(doc, subFilters));
+            case '$nor':
+                return !condition.some(subFilters => matchesFilters(doc, subFilters));
+            default:
+                return matchesCondition(getField(doc, key), condition);
+        }
+    });
+}
+
+/* Return a comparison function for sorting documents using the given sort criteria (e.g., {createdTime: -1}). */
+export function getSortComparator(sort) {
+    const criteria = Object.entries(sort || {});
+    return (doc1, doc2) => {
+        for (let [key, direction] of criteria) {
+            const result = compareValues(getField(doc1, key), getField(doc2, key));
+            if (result !== 0) {
+                return (direction < 0 ? -result : result);
+            }
+        }
+        return 0;
+    };
+}
+
+/* Return true if the given array element matches the array filter with the given identifier. */
+function matchesArrayFilter(element, identifier, arrayFilters) {
+    const prefix = `${identifier}${PATH_SEPARATOR}`;
+    const filter = (arrayFilters || []).find(filter => Object.keys(filter).some(key => key === identifier || key.startsWith(prefix)));
+    if (!filter) {
+        throw new Error(`No array filter found for identifier ${identifier}`);
+    }
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === identifier) {
+            return matchesCondition(element, condition);
+        }
+        return matchesCondition(getField(element, key.substring(prefix.length)), condition);
+    });
+}
+
+/*
+ * Invoke the given callback with the parent object and key of each field matching the given path in the given document.
+ * Missing intermediate objects are created if create is true. Positional array filters (e.g., $[item]) are supported.
+ */
+function forEachField(doc, keys, arrayFilters, create, callback) {
+    const [key, ...remainingKeys] = keys;
+    const visit = (parent, childKey) => {
+        if (!remainingKeys.length) {
+            callback(parent, childKey);
+            return;
+        }
+        if (parent[childKey] === null || typeof parent[childKey] !== 'object') {
+            if (!create) {
+                return;
+            }
+            parent[childKey] = {};
+        }
+        forEachField(parent[childKey], remainingKeys, arrayFilters, create, callback);
+    };
+    const match = key.match(ARRAY_FILTER_PATTERN);
+    if (match) {
+        if (Array.isArray(doc)) {
+            doc.forEach((element, i) => {
+                if (matchesArrayFilter(element, match[1], arrayFilters)) {
+                    visit(doc, i);
+                }
+            });
+        }
+    } else {
+        visit(doc, key);
+    }
+}
+
+/* Return the array of values to add for the given $addToSet or $push operand (which may use the $each modifier). */
+function getEachValues(operand) {
+    if (isPlainObject(operand) && Object.hasOwn(operand, '$each')) {
+        return operand.$each;
+    }
+    return [operand];
+}
+
+/* Return the array field of the given parent object, creating it if necessary. */
+function getArrayField(parent, key, operator) {
+    if (parent[key] === undefined || parent[key] === null) {
+        parent[key] = [];
+    }
+    if (!Array.isArray(parent[key])) {
+        throw new Error(`Cannot apply ${operator} to non-array field ${key}`);
+    }
+    return parent[key];
+}
+
+/*
+ * Apply the given MongoDB-style updates (e.g., {$set: {...}, $inc: {...}}) to the given document in place.
+ * Array filters may be provided for updates to fields using positional array filters (e.g., $[item]).
+ */
+export function applyUpdates(doc, updates, arrayFilters = null) {
+    Object.entries(updates || {}).forEach(([operator, fields]) => {
+        Object.entries(fields || {}).forEach(([path, operand]) => {
+            const keys = path.split(PATH_SEPARATOR);
+            switch (operator) {
+                case '$set':
+                    forEachField(doc, keys, arrayFilters, true, (parent, key) => parent[key] = cloneDocument(operand));
+                    break;
+                case '$unset':
+                    forEachField(doc, keys, arrayFilters, false, (parent, key) => delete parent[key]);
+                    break;
+                case '$inc':
+                    forEachField(doc, keys, arrayFilters, true, (parent, key) => parent[key] = (parent[key] || 0) + operand);
+                    break;
+                case '$max':
+                    forEachField(doc, keys, arrayFilters, true, (parent, key) => {
+                        if (parent[key] === undefined || compareValues(operand, parent[key]) > 0) {
+                            parent[key] = cloneDocument(operand);
+                        }
+                    });
+                    break;
+                case '$min':
+                    forEachField(doc, keys, arrayFilters, true, (parent, key) => {
+                        if (parent[key] === undefined || compareValues(operand, parent[key]) < 0) {
+                            parent[key] = cloneDocument(operand);
+                        }
+                    });
+                    break;
+                case '$addToSet':
+                    forEachField(doc, keys, arrayFilters, true, (parent, key) => {
+                        const values = getArrayField(parent, key, operator);
+                        getEachValues(operand).forEach(value => {
+                            if (!values.some(existingValue => valuesEqual(existingValue, value))) {
+                                values.push(cloneDocument(value));
+                            }
+                        });
+                    });
+                    break;
+                case '$push':
+                    forEachField(doc, keys, arrayFilters, true, (parent, key) => {
+                        const values = getArrayField(parent, key, operator);
+                        getEachValues(operand).forEach(value => values.push(cloneDocument(value)));
+                    });
+                    break;
+                case '$pull':
+                    forEachField(doc, keys, arrayFilters, false, (parent, key) => {
+                        if (Array.isArray(parent[key])) {
+                            parent[key] = parent[key].filter(value => {
+                                if (isPlainObject(operand) && !isOperatorObject(operand) && isPlainObject(value)) {
+                                    return !matchesFilters(value, operand);
+                                }
+                                return !matchesCondition(value, operand);
+                            });
+                        }
+                    });
+                    break;
+                default:
+                    throw new Error(`Unsupported update operator: ${operator}`);
+            }
+        });
+    });
+    return doc;
+}
+
+/*
+ * Return a copy of the given document without the fields excluded by the given MongoDB-style exclusion projection.
+ * Nested projections are applied to nested documents (or to each document in a nested array).
+ */
+export function applyProjection(doc, projection) {
+    const result = {...doc};
+    Object.entries(projection || {}).forEach(([key, value]) => {
+        if (isPlainObject(value)) {
+            if (Array.isArray(result[key])) {
+                result[key] = result[key].map(element => applyProjection(element, value));
+            } else if (isPlainObject(result[key])) {
+                result[key] = applyProjection(result[key], value);
+            }
+        } else if (!value) {
+            delete result[key];
+        }
+    });
+    return result;
+}
+
+/*
+ * Return an object mapping each field path modified by the given MongoDB-style updates to its value in the given (updated) document.
+ * Paths using positional array filters are truncated to the array field, and fields removed from the document are mapped to null.
+ */
+export function getUpdatedFields(doc, updates) {
+    let paths = [];
+    Object.values(updates || {}).forEach(fields => {
+        Object.keys(fields || {}).forEach(path => {
+            const keys = path.split(PATH_SEPARATOR);
+            const index = keys.findIndex(key => key.startsWith('$'));
+            paths.push((index === -1 ? keys : keys.slice(0, index)).join(PATH_SEPARATOR));
+        });
+    });
+    paths = paths.filter((path, i) => !paths.some((otherPath, j) =>
+        (otherPath === path ? j < i : path.startsWith(`${otherPath}${PATH_SEPARATOR}`))));
+    return Object.fromEntries(paths.map(path => [path, getField(doc, path) ?? null]));
+}
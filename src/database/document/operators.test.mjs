@@ -0,0 +1,233 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+    applyProjection,
+    applyUpdates,
+    cloneDocument,
+    compareValues,
+    getField,
+    getSortComparator,
+    getUpdatedFields,
+    matchesCondition,
+    matchesFilters,
+    valuesEqual,
+} from './operators.mjs';
+
+describe('cloneDocument', () => {
+    test('returns deep copy of document', () => {
+        const doc = {name: 'test', createdTime: new Date(), tags: ['foo'], nested: {value: 1}};
+        const clone = cloneDocument(doc);
+        expect(clone).toEqual(doc);
+        expect(clone).not.toBe(doc);
+        expect(clone.tags).not.toBe(doc.tags);
+        expect(clone.nested).not.toBe(doc.nested);
+        expect(clone.createdTime.getTime()).toEqual(doc.createdTime.getTime());
+    });
+
+    test('returns undefined for undefined document', () => {
+        expect(cloneDocument(undefined)).toBeUndefined();
+    });
+});
+
+describe('valuesEqual', () => {
+    test('primitives', () => {
+        expect(valuesEqual(1, 1)).toBeTruthy();
+        expect(valuesEqual('a', 'b')).toBeFalsy();
+        expect(valuesEqual(null, undefined)).toBeFalsy();
+    });
+
+    test('dates', () => {
+        expect(valuesEqual(new Date(5), new Date(5))).toBeTruthy();
+        expect(valuesEqual(new Date(5), new Date(6))).toBeFalsy();
+        expect(valuesEqual(new Date(5), 5)).toBeFalsy();
+        expect(valuesEqual(cloneDocument(new Date(5)), new Date(6))).toBeFalsy();
+    });
+
+    test('arrays and objects', () => {
+        expect(valuesEqual([1, {a: 2}], [1, {a: 2}])).toBeTruthy();
+        expect(valuesEqual([1, 2], [2, 1])).toBeFalsy();
+        expect(valuesEqual({a: 1, b: [2]}, {b: [2], a: 1})).toBeTruthy();
+        expect(valuesEqual({a: 1}, {a: 1, b: 2})).toBeFalsy();
+    });
+});
+
+describe('compareValues', () => {
+    test('numbers, strings, and dates', () => {
+        expect(compareValues(1, 2)).toBeLessThan(0);
+        expect(compareValues('b', 'a')).toBeGreaterThan(0);
+        expect(compareValues(new Date(5), new Date(5))).toEqual(0);
+    });
+
+    test('missing values sort first', () => {
+        expect(compareValues(null, 1)).toBeLessThan(0);
+        expect(compareValues(1, undefined)).toBeGreaterThan(0);
+        expect(compareValues(null, undefined)).toEqual(0);
+    });
+});
+
+describe('getField', () => {
+    test('returns top-level and nested fields', () => {
+        const doc = {name: 'test', stats: {gamesPlayed: 2}};
+        expect(getField(doc, 'name')).toEqual('test');
+        expect(getField(doc, 'stats.gamesPlayed')).toEqual(2);
+    });
+
+    test('returns undefined for missing fields', () => {
+        expect(getField({}, 'stats.gamesPlayed')).toBeUndefined();
+    });
+});
+
+describe('matchesCondition', () => {
+    test('equality', () => {
+        expect(matchesCondition('a', 'a')).toBeTruthy();
+        expect(matchesCondition('a', 'b')).toBeFalsy();
+        expect(matchesCondition(undefined, null)).toBeTruthy();
+    });
+
+    test('array field contains value', () => {
+        expect(matchesCondition(['a', 'b'], 'b')).toBeTruthy();
+        expect(matchesCondition(['a', 'b'], 'c')).toBeFalsy();
+    });
+
+    test('comparison operators', () => {
+        expect(matchesCondition(5, {$gt: 4, $lte: 5})).toBeTruthy();
+        expect(matchesCondition(5, {$lt: 5})).toBeFalsy();
+        expect(matchesCondition(null, {$lt: 5})).toBeFalsy();
+        expect(matchesCondition(new Date(10), {$gte: new Date(5)})).toBeTruthy();
+    });
+
+    test('set operators', () => {
+        expect(matchesCondition('a', {$in: ['a', 'b']})).toBeTruthy();
+        expect(matchesCondition('c', {$in: ['a', 'b']})).toBeFalsy();
+        expect(matchesCondition('c', {$nin: ['a', 'b']})).toBeTruthy();
+        expect(matchesCondition('a', {$ne: 'a'})).toBeFalsy();
+    });
+
+    test('$exists', () => {
+        expect(matchesCondition(undefined, {$exists: false})).toBeTruthy();
+        expect(matchesCondition(null, {$exists: true})).toBeTruthy();
+    });
+
+    test('throws error for unsupported operator', () => {
+        expect(() => matchesCondition('a', {$regex: 'a'})).toThrow(Error);
+    });
+});
+
+describe('matchesFilters', () => {
+    const doc = {name: 'test', active: true, stats: {gamesPlayed: 2}};
+
+    test('empty filters match all documents', () => {
+        expect(matchesFilters(doc, {})).toBeTruthy();
+        expect(matchesFilters(doc, null)).toBeTruthy();
+    });
+
+    test('all filters must match', () => {
+        expect(matchesFilters(doc, {name: 'test', 'stats.gamesPlayed': {$gt: 1}})).toBeTruthy();
+        expect(matchesFilters(doc, {name: 'test', active: false})).toBeFalsy();
+    });
+
+    test('logical operators', () => {
+        expect(matchesFilters(doc, {$or: [{name: 'other'}, {active: true}]})).toBeTruthy();
+        expect(matchesFilters(doc, {$and: [{name: 'test'}, {active: false}]})).toBeFalsy();
+        expect(matchesFilters(doc, {$nor: [{name: 'other'}]})).toBeTruthy();
+    });
+});
+
+describe('getSortComparator', () => {
+    test('sorts by multiple fields and directions', () => {
+        const docs = [
+            {name: 'a', score: 1},
+            {name: 'b', score: 2},
+            {name: 'c', score: 1},
+        ];
+        docs.sort(getSortComparator({score: -1, name: 1}));
+        expect(docs.map(doc => doc.name)).toEqual(['b', 'a', 'c']);
+    });
+});
+
+describe('applyUpdates', () => {
+    test('$set and $unset', () => {
+        const doc = {name: 'test', kickedPlayerIDs: {player: 1}};
+        applyUpdates(doc, {$set: {name: 'new', 'scores.player': 0}, $unset: {'kickedPlayerIDs.player': '', 'missing.field': ''}});
+        expect(doc).toEqual({name: 'new', scores: {player: 0}, kickedPlayerIDs: {}});
+    });
+
+    test('$inc creates missing fields', () => {
+        const doc = {stats: {gamesPlayed: 2}};
+        applyUpdates(doc, {$inc: {'stats.gamesPlayed': 1, 'stats.gamesWon': 1}});
+        expect(doc).toEqual({stats: {gamesPlayed: 3, gamesWon: 1}});
+    });
+
+    test('$min and $max', () => {
+        const doc = {low: 5, high: 5};
+        applyUpdates(doc, {$min: {low: 3, missing: 1}, $max: {high: 4}});
+        expect(doc).toEqual({low: 3, high: 5, missing: 1});
+    });
+
+    test('$addToSet does not add duplicates', () => {
+        const doc = {playerIDs: ['a']};
+        applyUpdates(doc, {$addToSet: {playerIDs: 'a', otherIDs: 'b'}});
+        applyUpdates(doc, {$addToSet: {playerIDs: {$each: ['a', 'c']}}});
+        expect(doc).toEqual({playerIDs: ['a', 'c'], otherIDs: ['b']});
+    });
+
+    test('$push', () => {
+        const doc = {messages: ['a']};
+        applyUpdates(doc, {$push: {messages: {$each: ['b', 'c']}}});
+        applyUpdates(doc, {$push: {messages: 'd'}});
+        expect(doc).toEqual({messages: ['a', 'b', 'c', 'd']});
+    });
+
+    test('$pull', () => {
+        const doc = {playerIDs: ['a', 'b', 'a'], items: [{name: 'a'}, {name: 'b'}]};
+        applyUpdates(doc, {$pull: {playerIDs: 'a', items: {name: 'b'}}});
+        expect(doc).toEqual({playerIDs: ['b'], items: [{name: 'a'}]});
+    });
+
+    test('positional array filters', () => {
+        const doc = {items: [{name: 'a'}, {name: 'b'}]};
+        applyUpdates(doc, {$set: {'items.$[item].name': 'c'}}, [{'item.name': 'b'}]);
+        expect(doc).toEqual({items: [{name: 'a'}, {name: 'c'}]});
+    });
+
+    test('throws error for unsupported operator', () => {
+        expect(() => applyUpdates({}, {$rename: {a: 'b'}})).toThrow(Error);
+    });
+
+    test('throws error when adding to non-array field', () => {
+        expect(() => applyUpdates({name: 'test'}, {$push: {name: 'a'}})).toThrow(Error);
+    });
+});
+
+describe('applyProjection', () => {
+    test('excludes top-level and nested fields', () => {
+        const doc = {
+            _id: 'room',
+            roomID: 'room',
+            passwordHash: 'secret',
+            players: [{playerID: 'a', email: 'a@example.com'}],
+            owner: {playerID: 'a', email: 'a@example.com'},
+        };
+        const projection = {_id: 0, passwordHash: 0, players: {email: 0}, owner: {email: 0}};
+        const result = applyProjection(doc, projection);
+        expect(result).toEqual({
+            roomID: 'room',
+            players: [{playerID: 'a'}],
+            owner: {playerID: 'a'},
+        });
+        expect(doc.passwordHash).toEqual('secret');
+    });
+});
+
+describe('getUpdatedFields', () => {
+    test('returns updated values of modified fields', () => {
+        const doc = {name: 'test', scores: {a: 200, b: 0}, items: [{name: 'a'}]};
+        const updates = {$set: {name: 'test', 'items.$[item].name': 'a'}, $inc: {'scores.a': 200}, $unset: {missing: ''}};
+        expect(getUpdatedFields(doc, updates)).toEqual({name: 'test', 'scores.a': 200, items: [{name: 'a'}], missing: null});
+    });
+
+    test('omits fields contained in other modified fields', () => {
+        const doc = {scores: {a: 1, b: 2}};
+        const updates = {$inc: {'scores.a': 1}, $set: {scores: {a: 1, b: 2}, 'scores.b': 2}};
+        expect(getUpdatedFields(doc, updates)).toEqual({scores: {a: 1, b: 2}});
+    });
+});
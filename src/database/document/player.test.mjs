@@ -0,0 +1,215 @@
+import { Player, PlayerStatistics, PlayerStatsKeys } from '@dyesoft/alea-core';
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+import DocumentPlayerCollection from './player.mjs';
+import { TEST_STORAGE_BACKENDS } from './testutils.mjs';
+
+const TEST_PLAYERS = [
+    {...new Player('Barney', 'barney@example.com'), active: true},
+    {...new Player('Betty', 'b3tty@example.com'), active: true},
+    {...new Player('Fred', 'fred@example.com'), active: false},
+    {...new Player('Wilma', 'wilma@example.com'), active: false},
+];
+
+describe.each(TEST_STORAGE_BACKENDS)('DocumentPlayerCollection (%s storage)', (_, getStorage) => {
+    let db;
+    let collection;
+
+    beforeEach(async () => {
+        db = await getStorage();
+        collection = new DocumentPlayerCollection(db);
+        await collection.truncate(true);
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    describe('count', () => {
+        test('no filters', async () => {
+            await collection.createMany(TEST_PLAYERS);
+            const count = await collection.count();
+            expect(count).toEqual(TEST_PLAYERS.length);
+        });
+
+        test('active players only', async () => {
+            await collection.createMany(TEST_PLAYERS);
+            const count = await collection.count(true);
+            expect(count).toEqual(2);
+        });
+    });
+
+    describe('getPageOfPlayers', () => {
+        test('no filters', async () => {
+            await collection.createMany(TEST_PLAYERS);
+            const page = await collection.getPageOfPlayers(1);
+            expect(page).toHaveLength(TEST_PLAYERS.length);
+        });
+
+        test('active players only', async () => {
+            await collection.createMany(TEST_PLAYERS);
+            const page = await collection.getPageOfPlayers(1, true);
+            expect(page).toHaveLength(2);
+            page.forEach(player => expect(player.active).toBe(true));
+        });
+    });
+
+    describe('getByEmail', () => {
+        test('returns player with matching email', async () => {
+            const name = 'Fred';
+            const email = 'test@example.com';
+            await collection.create(new Player(name, email));
+            const player = await collection.getByEmail(email);
+            expect(player.name).toEqual(name);
+            expect(player.email).toEqual(email);
+        });
+    });
+
+    describe('getByCurrentRoomID', () => {
+        test('returns players in room', async () => {
+            const roomID = 'room';
+            await collection.createMany([
+                {...new Player('Fred'), currentRoomID: roomID},
+                {...new Player('Barney'), currentRoomID: 'other'},
+                new Player('Wilma'),
+            ]);
+            const players = await collection.getByCurrentRoomID(roomID);
+            expect(players.map(player => player.name)).toEqual(['Fred']);
+            expect(await collection.getByCurrentRoomID('unknown')).toEqual([]);
+        });
+    });
+
+    describe('email verification', () => {
+        const email = 'test@example.com';
+        const emailVerification = {tokenHash: 'hash', expirationTime: new Date()};
+
+        test('pending email is not returned by getByEmail', async () => {
+            const player = new Player('Fred', null);
+            await collection.create(player);
+            await collection.setPendingEmailByID(player.playerID, email, emailVerification);
+            expect(await collection.getByEmail(email)).toBeNull();
+            const newPlayer = await collection.getByEmailVerificationToken(emailVerification.tokenHash);
+            expect(newPlayer.playerID).toEqual(player.playerID);
+            expect(newPlayer.pendingEmail).toEqual(email);
+            expect(newPlayer.emailVerification).toEqual(emailVerification);
+            expect(await collection.getByEmailVerificationToken('other')).toBeNull();
+        });
+
+        test('verifyEmailByID sets email and clears pending email', async () => {
+            const player = new Player('Fred', 'old@example.com');
+            await collection.create(player);
+            await collection.setPendingEmailByID(player.playerID, email, emailVerification);
+            await collection.verifyEmailByID(player.playerID, email);
+            const newPlayer = await collection.getByEmail(email);
+            expect(newPlayer.playerID).toEqual(player.playerID);
+            expect(newPlayer.pendingEmail).toBeNull();
+            expect(newPlayer.emailVerification).toBeNull();
+            expect(await collection.getByEmailVerificationToken(emailVerification.tokenHash)).toBeNull();
+        });
+    });
+
+    describe('restoration', () => {
+        test('setRestorationByID replaces previous restoration', async () => {
+            const player = new Player('Fred', 'test@example.com');
+            await collection.create(player);
+            await collection.setRestorationByID(player.playerID, {tokenHash: 'old', expirationTime: new Date()});
+            await collection.setRestorationByID(player.playerID, {tokenHash: 'new', expirationTime: new Date()});
+            expect(await collection.getByRestorationToken('old')).toBeNull();
+            expect((await collection.getByRestorationToken('new')).playerID).toEqual(player.playerID);
+            await collection.setRestorationByID(player.playerID, null);
+            expect(await collection.getByRestorationToken('new')).toBeNull();
+        });
+
+        test('consumeRestorationByID only invalidates matching token once', async () => {
+            const player = new Player('Fred', 'test@example.com');
+            await collection.create(player);
+            await collection.setRestorationByID(player.playerID, {tokenHash: 'hash', expirationTime: new Date()});
+            expect(await collection.consumeRestorationByID(player.playerID, 'other')).toBeFalsy();
+            expect((await collection.getByRestorationToken('hash')).playerID).toEqual(player.playerID);
+            expect(await collection.consumeRestorationByID(player.playerID, 'hash')).toBeTruthy();
+            expect(await collection.getByRestorationToken('hash')).toBeNull();
+            expect(await collection.consumeRestorationByID(player.playerID, 'hash')).toBeFalsy();
+        });
+    });
+
+    describe('updateNameAndEmailByID', () => {
+        test('updates name and email of player with matching ID', async () => {
+            const name = 'Fred';
+            const email = 'test@example.com';
+            const player = new Player('Freddie', 'old@example.com');
+            await collection.create(player);
+            await collection.updateNameAndEmailByID(player.playerID, name, email);
+            const newPlayer = await collection.getByID(player.playerID);
+            expect(newPlayer).toEqual({
+                ...player,
+                name: name,
+                email: email,
+            });
+        });
+    });
+
+    describe('anonymizeByID', () => {
+        test('replaces name and removes personal data of player with matching ID', async () => {
+            const deletedTime = new Date();
+            const player = new Player('Fred', 'test@example.com');
+            player.currentRoomID = 'room';
+            player.locale = 'es';
+            player.pendingEmail = 'new@example.com';
+            player.emailVerification = {tokenHash: 'hash', expirationTime: new Date()};
+            player.stats.gamesPlayed = 5;
+            await collection.create(player);
+            await collection.anonymizeByID(player.playerID, 'Deleted Player', deletedTime);
+            const newPlayer = await collection.getByID(player.playerID);
+            expect(newPlayer).toEqual({
+                ...player,
+                name: 'Deleted Player',
+                email: null,
+                pendingEmail: null,
+                emailVerification: null,
+                restoration: null,
+                locale: null,
+                currentRoomID: null,
+                active: false,
+                spectating: false,
+                stats: {...new PlayerStatistics()},
+                deleted: true,
+                deletedTime: deletedTime,
+            });
+            expect(await collection.getByEmail('test@example.com')).toBeNull();
+        });
+    });
+
+    describe('incrementStat', () => {
+        const stat = PlayerStatsKeys.GAMES_PLAYED;
+
+        test('increments stat by specified amount', async () => {
+            const value = 5;
+            const player = new Player('Fred');
+            player.stats[stat] = value;
+            await collection.create(player);
+            await collection.incrementStat(player.playerID, stat, value);
+            const newPlayer = await collection.getByID(player.playerID);
+            expect(newPlayer.stats[stat]).toEqual(value * 2);
+        });
+
+        test('increments stat by one if no amount provided', async () => {
+            const player = new Player('Fred');
+            await collection.create(player);
+            await collection.incrementStat(player.playerID, stat);
+            const newPlayer = await collection.getByID(player.playerID);
+            expect(newPlayer.stats[stat]).toEqual(1);
+        });
+    });
+
+    describe('setStat', () => {
+        const stat = PlayerStatsKeys.HIGHEST_GAME_SCORE;
+
+        test('sets stat to specified value', async () => {
+            const value = 10_000;
+            const player = new Player('Fred');
+            await collection.create(player);
+            await collection.setStat(player.playerID, stat, value);
+            const newPlayer = await collection.getByID(player.playerID);
+            expect(newPlayer.stats[stat]).toEqual(value);
+        });
+    });
+});
@@ -0,0 +1,482 @@
+import { Game, Player, Room, validateRoomCode } from '@dyesoft/alea-core';
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import DocumentGameCollection from './game.mjs';
+import DocumentPlayerCollection from './player.mjs';
+import DocumentRoomCollection from './room.mjs';
+import { TEST_STORAGE_BACKENDS } from './testutils.mjs';
+
+const TEST_ROOM_CODE = 'TEST';
+
+const OWNER_PLAYER_ID = 'owner';
+const PLAYER_ID = 'player';
+
+const GAME_ID = 'game';
+const PREV_GAME_ID = 'prev-game';
+
+describe.each(TEST_STORAGE_BACKENDS)('DocumentRoomCollection (%s storage)', (_, getStorage) => {
+    let db;
+    let collection;
+    let gameCollection;
+    let playerCollection;
+
+    beforeEach(async () => {
+        db = await getStorage();
+        collection = new DocumentRoomCollection(db);
+        gameCollection = new DocumentGameCollection(db);
+        playerCollection = new DocumentPlayerCollection(db);
+    });
+
+    afterEach(async () => {
+        await collection.truncate(true);
+        await gameCollection.truncate(true);
+        await playerCollection.truncate(true);
+        await db.close();
+    });
+
+    describe('generateUniqueRoomCode', () => {
+        test('generates random code using allowed letters', async () => {
+            const code = await collection.generateUniqueRoomCode();
+            expect(validateRoomCode(code)).toBeTruthy();
+        });
+
+        test('regenerates code if room already exists', async () => {
+            collection.getByRoomCode = jest.fn().mockResolvedValueOnce({roomID: 'room'}).mockResolvedValue(null);
+            await collection.generateUniqueRoomCode();
+            expect(collection.getByRoomCode).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('create', () => {
+        test('adds new room to collection', async () => {
+            const newRoom = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            await collection.create(newRoom);
+            expect(newRoom).toEqual({...newRoom, _id: newRoom.roomID});
+            const room = await collection.getByID(newRoom.roomID);
+            expect(room).toEqual(newRoom);
+        });
+
+        test('generates unique room code if missing', async () => {
+            const newRoom = new Room(null, OWNER_PLAYER_ID);
+            await collection.create(newRoom);
+            expect(validateRoomCode(newRoom.roomCode)).toBeTruthy();
+        });
+    });
+
+    describe('getRoomByCode', () => {
+        test('returns room with matching code', async () => {
+            await collection.create(new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID));
+            const room = await collection.getByRoomCode(TEST_ROOM_CODE);
+            expect(room.roomCode).toEqual(TEST_ROOM_CODE);
+            expect(room.ownerPlayerID).toEqual(OWNER_PLAYER_ID);
+        });
+    });
+
+    describe('setCurrentGameForRoom', () => {
+        const CHAMPION_PLAYER_ID = 'player1';
+        const PREV_CHAMPION_PLAYER_ID = 'player2';
+
+        test('does nothing if game is already current', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.currentGameID = GAME_ID;
+            await collection.create(room);
+
+            const spy = jest.spyOn(collection, 'updateFieldsByID');
+            await collection.setCurrentGameForRoom(room, GAME_ID);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom).toEqual(room);
+            expect(spy).not.toHaveBeenCalled();
+        });
+
+        test('no current game (new room)', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            await collection.create(room);
+            expect(room.currentGameID).toBeNull();
+
+            await collection.setCurrentGameForRoom(room, GAME_ID);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom).toEqual({...room, currentGameID: GAME_ID});
+        });
+
+        test('adds current game to previous games', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.currentGameID = PREV_GAME_ID;
+            await collection.create(room);
+            expect(room.previousGameIDs).toEqual([]);
+
+            await collection.setCurrentGameForRoom(room, GAME_ID);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom).toEqual({
+                ...room,
+                currentGameID: GAME_ID,
+                previousGameIDs: [PREV_GAME_ID],
+            });
+        });
+
+        test('increments winning streak if current champion remains the same', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.currentChampion = CHAMPION_PLAYER_ID;
+            room.currentWinningStreak = 4;
+            await collection.create(room);
+
+            await collection.setCurrentGameForRoom(room, GAME_ID, CHAMPION_PLAYER_ID);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom).toEqual({
+                ...room,
+                currentGameID: GAME_ID,
+                currentWinningStreak: 5,
+            });
+        });
+
+        test('resets winning streak if current champion is different', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.currentChampion = PREV_CHAMPION_PLAYER_ID;
+            room.currentWinningStreak = 7;
+            await collection.create(room);
+
+            await collection.setCurrentGameForRoom(room, GAME_ID, CHAMPION_PLAYER_ID);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom).toEqual({
+                ...room,
+                currentGameID: GAME_ID,
+                currentChampion: CHAMPION_PLAYER_ID,
+                currentWinningStreak: 1,
+            });
+        });
+
+        test('sets winning streak to zero if no current champion (tie)', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.currentChampion = CHAMPION_PLAYER_ID;
+            room.currentWinningStreak = 2;
+            await collection.create(room);
+
+            await collection.setCurrentGameForRoom(room, GAME_ID, null);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom).toEqual({
+                ...room,
+                currentGameID: GAME_ID,
+                currentChampion: null,
+                currentWinningStreak: 0,
+            });
+        });
+    });
+
+    describe('addPlayerToRoom', () => {
+        test('adds player to players in room', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            await collection.create(room);
+            expect(room.playerIDs).toEqual([OWNER_PLAYER_ID]);
+
+            await collection.addPlayerToRoom(room.roomID, PLAYER_ID);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom.playerIDs).toEqual([OWNER_PLAYER_ID, PLAYER_ID]);
+        });
+
+        test('does not add duplicate entry if player already in room', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            await collection.create(room);
+            expect(room.playerIDs).toEqual([OWNER_PLAYER_ID]);
+
+            await collection.addPlayerToRoom(room.roomID, OWNER_PLAYER_ID);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom.playerIDs).toEqual([OWNER_PLAYER_ID]);
+        });
+    });
+
+    describe('removePlayerFromRoom', () => {
+        test('removes player from players in room', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.playerIDs.push(PLAYER_ID);
+            await collection.create(room);
+            expect(room.playerIDs).toEqual([OWNER_PLAYER_ID, PLAYER_ID]);
+
+            await collection.removePlayerFromRoom(room.roomID, PLAYER_ID);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom).toEqual({...room, playerIDs: [OWNER_PLAYER_ID]});
+        });
+
+        test('reassigns host if new host provided', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.playerIDs.push(PLAYER_ID);
+            room.hostPlayerID = OWNER_PLAYER_ID;
+            await collection.create(room);
+            expect(room.playerIDs).toEqual([OWNER_PLAYER_ID, PLAYER_ID]);
+
+            await collection.removePlayerFromRoom(room.roomID, OWNER_PLAYER_ID, PLAYER_ID);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom).toEqual({
+                ...room,
+                playerIDs: [PLAYER_ID],
+                hostPlayerID: PLAYER_ID,
+            });
+        });
+    });
+
+    describe('getByPlayerID', () => {
+        test('returns rooms that player is in, owns, hosts, was kicked or muted in, or has a role in, newest first', async () => {
+            const memberRoom = new Room('AAAA', OWNER_PLAYER_ID);
+            memberRoom.playerIDs.push(PLAYER_ID);
+            memberRoom.createdTime = new Date(1000);
+            const ownedRoom = new Room('BBBB', PLAYER_ID);
+            ownedRoom.playerIDs = [];
+            ownedRoom.createdTime = new Date(2000);
+            const kickedRoom = new Room('CCCC', OWNER_PLAYER_ID);
+            kickedRoom.kickedPlayerIDs[PLAYER_ID] = null;
+            kickedRoom.createdTime = new Date(3000);
+            const otherRoom = new Room('DDDD', OWNER_PLAYER_ID);
+            const mutedRoom = new Room('EEEE', OWNER_PLAYER_ID);
+            mutedRoom.mutedPlayerIDs = {[PLAYER_ID]: null};
+            mutedRoom.createdTime = new Date(4000);
+            const roleRoom = new Room('FFFF', OWNER_PLAYER_ID);
+            roleRoom.playerRoles = {[PLAYER_ID]: 'co_host'};
+            roleRoom.createdTime = new Date(5000);
+            await collection.createMany([memberRoom, ownedRoom, kickedRoom, otherRoom, mutedRoom, roleRoom]);
+
+            const rooms = await collection.getByPlayerID(PLAYER_ID);
+            expect(rooms.map(room => room.roomCode)).toEqual(['FFFF', 'EEEE', 'CCCC', 'BBBB', 'AAAA']);
+            expect(await collection.getByPlayerID('unknown')).toEqual([]);
+        });
+    });
+
+    describe('count', () => {
+        test('excludes archived rooms unless requested', async () => {
+            await collection.createMany([new Room('ABCD', OWNER_PLAYER_ID), {...new Room('EFGH', OWNER_PLAYER_ID), archived: true}]);
+            expect(await collection.count()).toEqual(1);
+            expect(await collection.count(true)).toEqual(2);
+        });
+    });
+
+    describe('getPageOfRooms', () => {
+        test('excludes archived rooms unless requested', async () => {
+            await collection.createMany([new Room('ABCD', OWNER_PLAYER_ID), {...new Room('EFGH', OWNER_PLAYER_ID), archived: true}]);
+            expect((await collection.getPageOfRooms(1)).map(room => room.roomCode)).toEqual(['ABCD']);
+            expect(await collection.getPageOfRooms(1, true)).toHaveLength(2);
+        });
+    });
+
+    describe('getOpenCreatedBefore', () => {
+        test('returns rooms created before time that are not closed or archived, oldest first', async () => {
+            await collection.createMany([
+                {...new Room('ABCD', OWNER_PLAYER_ID), createdTime: new Date(2000)},
+                {...new Room('EFGH', OWNER_PLAYER_ID), createdTime: new Date(1000)},
+                {...new Room('IJKL', OWNER_PLAYER_ID), createdTime: new Date(1000), archived: true},
+                {...new Room('MNOP', OWNER_PLAYER_ID), createdTime: new Date(1000), closed: true},
+                {...new Room('QRST', OWNER_PLAYER_ID), createdTime: new Date(4000)},
+            ]);
+            const rooms = await collection.getOpenCreatedBefore(new Date(3000));
+            expect(rooms.map(room => room.roomCode)).toEqual(['EFGH', 'ABCD']);
+        });
+    });
+
+    describe('removePlayerFromKickedPlayersInRoom', () => {
+        test('removes player from kicked players set', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.kickedPlayerIDs[PLAYER_ID] = new Date();
+            await collection.create(room);
+
+            await collection.removePlayerFromKickedPlayersInRoom(room.roomID, PLAYER_ID);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom).toEqual({...room, kickedPlayerIDs: {}});
+        });
+    });
+
+    describe('setPlayerMutedInRoom', () => {
+        test('adds player to muted players with expiration', async () => {
+            const expiration = Date.now() + 60000;
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            await collection.create(room);
+
+            await collection.setPlayerMutedInRoom(room.roomID, PLAYER_ID, expiration);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom.mutedPlayerIDs).toEqual({[PLAYER_ID]: expiration});
+        });
+    });
+
+    describe('removePlayerFromMutedPlayersInRoom', () => {
+        test('removes player from muted players', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.mutedPlayerIDs = {[PLAYER_ID]: null, [OWNER_PLAYER_ID]: null};
+            await collection.create(room);
+
+            await collection.removePlayerFromMutedPlayersInRoom(room.roomID, PLAYER_ID);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom.mutedPlayerIDs).toEqual({[OWNER_PLAYER_ID]: null});
+        });
+    });
+
+    describe('setPlayerRoleInRoom', () => {
+        test('grants role to player', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            await collection.create(room);
+
+            await collection.setPlayerRoleInRoom(room.roomID, PLAYER_ID, 'co_host');
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom.playerRoles).toEqual({[PLAYER_ID]: 'co_host'});
+        });
+
+        test('replaces existing role', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.playerRoles = {[PLAYER_ID]: 'co_host'};
+            await collection.create(room);
+
+            await collection.setPlayerRoleInRoom(room.roomID, PLAYER_ID, 'spectator');
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom.playerRoles).toEqual({[PLAYER_ID]: 'spectator'});
+        });
+    });
+
+    describe('removePlayerRoleInRoom', () => {
+        test('revokes role from player', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.playerRoles = {[PLAYER_ID]: 'co_host', other: 'co_host'};
+            await collection.create(room);
+
+            await collection.removePlayerRoleInRoom(room.roomID, PLAYER_ID);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom.playerRoles).toEqual({other: 'co_host'});
+        });
+    });
+
+    describe('setRolePermissionsInRoom', () => {
+        test('sets permissions for role', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.rolePermissions = {player: []};
+            await collection.create(room);
+
+            await collection.setRolePermissionsInRoom(room.roomID, 'co_host', ['kick_player']);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom.rolePermissions).toEqual({co_host: ['kick_player'], player: []});
+        });
+    });
+
+    describe('closeByID', () => {
+        test('marks room as closed and removes players', async () => {
+            const closedTime = new Date();
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.playerIDs.push(PLAYER_ID);
+            await collection.create(room);
+
+            await collection.closeByID(room.roomID, closedTime);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom).toEqual({...room, playerIDs: [], closed: true, closedTime: closedTime});
+        });
+    });
+
+    describe('archiveByID', () => {
+        test('marks room as archived', async () => {
+            const archivedTime = new Date();
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            await collection.create(room);
+
+            await collection.archiveByID(room.roomID, archivedTime);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom).toEqual({...room, archived: true, archivedTime: archivedTime});
+        });
+    });
+
+    describe('unarchiveByID', () => {
+        test('restores archived room', async () => {
+            const unarchivedTime = new Date();
+            const room = {...new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID), archived: true, archivedTime: new Date(1000)};
+            await collection.create(room);
+
+            await collection.unarchiveByID(room.roomID, unarchivedTime);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom).toEqual({...room, archived: false, archivedTime: null, unarchivedTime: unarchivedTime});
+        });
+    });
+
+    async function testRoomHistory(func) {
+        // Create test players.
+        const player1 = new Player('Fred', 'fred@example.com');
+        player1.playerID = OWNER_PLAYER_ID;
+        const player2 = new Player('Barney', 'barney@example.com');
+        player2.playerID = PLAYER_ID;
+        await playerCollection.create(player1);
+        await playerCollection.create(player2);
+
+        // Create test room.
+        let room = new Room(TEST_ROOM_CODE, player1.playerID);
+        await collection.create(room);
+
+        // Create test games.
+        const game1 = new Game(room.roomID, [player1.playerID, player2.playerID]);
+        game1.gameID = PREV_GAME_ID;
+        const game2 = new Game(room.roomID, [player1.playerID, player2.playerID]);
+        game2.gameID = GAME_ID;
+        await gameCollection.create(game1);
+        await gameCollection.create(game2);
+
+        // Add test games to test room's previous games.
+        for (let gameID of [game1.gameID, game2.gameID, 'new-game']) {
+            await collection.setCurrentGameForRoom(room, gameID);
+            room = await collection.getByID(room.roomID);
+        }
+
+        // Call function to get room history and validate the result.
+        const history = await func(room);
+        expect(history).toEqual({
+            roomID: room.roomID,
+            roomCode: room.roomCode,
+            ownerPlayerID: room.ownerPlayerID,
+            hostPlayerID: room.hostPlayerID,
+            currentGameID: room.currentGameID,
+            currentChampion: room.currentChampion,
+            currentWinningStreak: room.currentWinningStreak,
+            createdTime: room.createdTime,
+            previousGames: [
+                {
+                    gameID: game1.gameID,
+                    playerIDs: game1.playerIDs,
+                    createdTime: game1.createdTime,
+                    finishedTime: game1.finishedTime,
+                    scores: game1.scores,
+                },
+                {
+                    gameID: game2.gameID,
+                    playerIDs: game2.playerIDs,
+                    createdTime: game2.createdTime,
+                    finishedTime: game2.finishedTime,
+                    scores: game2.scores,
+                },
+            ],
+            players: [
+                {
+                    playerID: player1.playerID,
+                    name: player1.name,
+                    createdTime: player1.createdTime,
+                    lastConnectionTime: player1.lastConnectionTime,
+                },
+                {
+                    playerID: player2.playerID,
+                    name: player2.name,
+                    createdTime: player2.createdTime,
+                    lastConnectionTime: player2.lastConnectionTime,
+                },
+            ],
+        });
+    }
+
+    describe('getHistoryByID', () => {
+        test('returns history for room with matching ID', async () => {
+            await testRoomHistory(async (room) => {
+                return await collection.getHistoryByID(room.roomID);
+            });
+        });
+    });
+
+    describe('getHistoryByRoomCode', () => {
+        test('returns history for room with matching code', async () => {
+            await testRoomHistory(async (room) => {
+                return await collection.getHistoryByRoomCode(room.roomCode);
+            });
+        });
+    });
+
+    describe('getHistoryByCriteria', () => {
+        test('returns history for first room matching criteria', async () => {
+            await testRoomHistory(async (room) => {
+                return await collection.getHistoryByCriteria({ownerPlayerID: room.ownerPlayerID});
+            });
+        });
+    });
+});
@@ -0,0 +1,67 @@
+import { RoomLinkRequestResolution } from '@dyesoft/alea-core';
+import DocumentCollection from './collection.mjs';
+
+/* Data access class for working with room link requests in a document store. */
+export default class DocumentRoomLinkRequestCollection extends DocumentCollection {
+    /* Create a new room link request collection using the given storage. */
+    constructor(storage) {
+        super(storage, 'roomLinkRequests', 'requestID');
+
+        this.count = this.count.bind(this);
+        this.getPageOfRoomLinkRequests = this.getPageOfRoomLinkRequests.bind(this);
+        this.getByEmail = this.getByEmail.bind(this);
+        this.resolveByID = this.resolveByID.bind(this);
+        this.setRoomByID = this.setRoomByID.bind(this);
+        this.setRoomCodeByRoomID = this.setRoomCodeByRoomID.bind(this);
+        this.getUnredeemedApprovedBefore = this.getUnredeemedApprovedBefore.bind(this);
+        this.expireByID = this.expireByID.bind(this);
+    }
+
+    /* Return the total number of requests in the collection, optionally filtered by resolution status. */
+    async count(resolution) {
+        let filters = {};
+        if (resolution) {
+            filters.resolution = resolution;
+        }
+        return await super.count(filters);
+    }
+
+    /* Return a paginated list of requests for the given page number, optionally filtered by resolution status. */
+    async getPageOfRoomLinkRequests(page, resolution) {
+        let filters = {};
+        if (resolution) {
+            filters.resolution = resolution;
+        }
+        return await this.getPaginatedList(page, null, filters);
+    }
+
+    /* Return the unresolved room link request with the given email, if there is one. */
+    async getByEmail(email) {
+        return await this.store.findOne({email: email, resolution: RoomLinkRequestResolution.UNRESOLVED});
+    }
+
+    /* Resolve the given request with the given resolution and resolved time. */
+    async resolveByID(requestID, resolution, resolvedTime) {
+        await this.updateByID(requestID, {resolution: resolution, resolvedTime: resolvedTime});
+    }
+
+    /* Set the room ID and room code for the given request. */
+    async setRoomByID(requestID, roomID, roomCode) {
+        await this.updateByID(requestID, {roomID: roomID, roomCode: roomCode});
+    }
+
+    /* Set the room code for the request that was used to create the room with the given ID (if any), after the room's code is changed. */
+    async setRoomCodeByRoomID(roomID, roomCode) {
+        await this.store.update({roomID: roomID}, {$set: {roomCode: roomCode}});
+    }
+
+    /* Return all approved requests (oldest first) that were approved before the given time and have neither been redeemed nor expired. */
+    async getUnredeemedApprovedBefore(resolvedTime) {
+        return await this.store.find({resolution: RoomLinkRequestResolution.APPROVED, roomID: null, expired: {$ne: true}, resolvedTime: {$lt: resolvedTime}}, {resolvedTime: 1});
+    }
+
+    /* Mark the given approved request as expired, so that it can no longer be used to create a room. */
+    async expireByID(requestID, expiredTime = new Date()) {
+        await this.updateByID(requestID, {expired: true, expiredTime: expiredTime});
+    }
+}
@@ -0,0 +1,140 @@
+import { RoomLinkRequest, RoomLinkRequestResolution } from '@dyesoft/alea-core';
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+import DocumentRoomLinkRequestCollection from './roomLinkRequest.mjs';
+import { TEST_STORAGE_BACKENDS } from './testutils.mjs';
+
+const TEST_REQUESTS = [
+    {...new RoomLinkRequest('Barney', 'barney@example.com'), resolution: RoomLinkRequestResolution.UNRESOLVED},
+    {...new RoomLinkRequest('Betty', 'b3tty@example.com'), resolution: RoomLinkRequestResolution.REJECTED},
+    {...new RoomLinkRequest('Fred', 'fred@example.com'), resolution: RoomLinkRequestResolution.APPROVED},
+    {...new RoomLinkRequest('Wilma', 'wilma@example.com'), resolution: RoomLinkRequestResolution.APPROVED},
+];
+
+describe.each(TEST_STORAGE_BACKENDS)('DocumentRoomLinkRequestCollection (%s storage)', (_, getStorage) => {
+    let db;
+    let collection;
+
+    beforeEach(async () => {
+        db = await getStorage();
+        collection = new DocumentRoomLinkRequestCollection(db);
+        await collection.truncate(true);
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    describe('count', () => {
+        test('no filters', async () => {
+            await collection.createMany(TEST_REQUESTS);
+            const count = await collection.count();
+            expect(count).toEqual(TEST_REQUESTS.length);
+        });
+
+        test('approved requests only', async () => {
+            await collection.createMany(TEST_REQUESTS);
+            const count = await collection.count(RoomLinkRequestResolution.APPROVED);
+            expect(count).toEqual(2);
+        });
+    });
+
+    describe('getPageOfRoomLinkRequests', () => {
+        test('no filters', async () => {
+            await collection.createMany(TEST_REQUESTS);
+            const page = await collection.getPageOfRoomLinkRequests(1);
+            expect(page).toHaveLength(TEST_REQUESTS.length);
+        });
+
+        test('approved requests only', async () => {
+            const resolution = RoomLinkRequestResolution.APPROVED;
+            await collection.createMany(TEST_REQUESTS);
+            const page = await collection.getPageOfRoomLinkRequests(1, resolution);
+            expect(page).toHaveLength(2);
+            page.forEach(player => expect(player.resolution).toEqual(resolution));
+        });
+    });
+
+    describe('getByEmail', () => {
+        test('returns request with matching email', async () => {
+            const name = 'Fred';
+            const email = 'test@example.com';
+            await collection.create(new RoomLinkRequest(name, email));
+            const request = await collection.getByEmail(email);
+            expect(request.name).toEqual(name);
+            expect(request.email).toEqual(email);
+        });
+    });
+
+    describe('resolveByID', () => {
+        test('updates resolution and resolved time of request with matching ID', async () => {
+            const resolution = RoomLinkRequestResolution.REJECTED;
+            const resolvedTime = new Date();
+            const expectedRequest = new RoomLinkRequest('Fred', 'fred@example.com');
+            await collection.create(expectedRequest);
+            let request = await collection.getByID(expectedRequest.requestID);
+            expect(request.resolution).toEqual(RoomLinkRequestResolution.UNRESOLVED);
+            expect(request.resolvedTime).toBeNull();
+            await collection.resolveByID(expectedRequest.requestID, resolution, resolvedTime);
+            request = await collection.getByID(expectedRequest.requestID);
+            expect(request.resolution).toEqual(resolution);
+            expect(request.resolvedTime).toEqual(resolvedTime);
+        });
+    });
+
+    describe('setRoomByID', () => {
+        test('updates room ID and room code of request with matching ID', async () => {
+            const roomID = 'room';
+            const roomCode = 'TEST';
+            const expectedRequest = new RoomLinkRequest('Fred', 'fred@example.com');
+            await collection.create(expectedRequest);
+            let request = await collection.getByID(expectedRequest.requestID);
+            expect(request.roomID).toBeNull();
+            expect(request.roomCode).toBeNull();
+            await collection.setRoomByID(expectedRequest.requestID, roomID, roomCode);
+            request = await collection.getByID(expectedRequest.requestID);
+            expect(request.roomID).toEqual(roomID);
+            expect(request.roomCode).toEqual(roomCode);
+        });
+    });
+
+    describe('setRoomCodeByRoomID', () => {
+        test('updates room code of request with matching room ID', async () => {
+            const request = new RoomLinkRequest('Fred', 'fred@example.com');
+            const otherRequest = new RoomLinkRequest('Barney', 'barney@example.com');
+            await collection.createMany([request, otherRequest]);
+            await collection.setRoomByID(request.requestID, 'room', 'TEST');
+            await collection.setRoomByID(otherRequest.requestID, 'other-room', 'ABCD');
+            await collection.setRoomCodeByRoomID('room', 'WXYZ');
+            expect((await collection.getByID(request.requestID)).roomCode).toEqual('WXYZ');
+            expect((await collection.getByID(otherRequest.requestID)).roomCode).toEqual('ABCD');
+        });
+    });
+
+    describe('getUnredeemedApprovedBefore', () => {
+        test('returns approved requests without rooms that were approved before time, oldest first', async () => {
+            const resolvedTime = new Date(2000);
+            await collection.createMany([
+                {...new RoomLinkRequest('Fred', 'fred@example.com'), resolution: RoomLinkRequestResolution.APPROVED, resolvedTime: new Date(1500)},
+                {...new RoomLinkRequest('Barney', 'barney@example.com'), resolution: RoomLinkRequestResolution.APPROVED, resolvedTime: new Date(1000)},
+                {...new RoomLinkRequest('Wilma', 'wilma@example.com'), resolution: RoomLinkRequestResolution.APPROVED, resolvedTime: new Date(1000), roomID: 'room'},
+                {...new RoomLinkRequest('Betty', 'betty@example.com'), resolution: RoomLinkRequestResolution.REJECTED, resolvedTime: new Date(1000)},
+                {...new RoomLinkRequest('Pebbles', 'pebbles@example.com'), resolution: RoomLinkRequestResolution.APPROVED, resolvedTime: new Date(1000), expired: true},
+                {...new RoomLinkRequest('Dino', 'dino@example.com'), resolution: RoomLinkRequestResolution.APPROVED, resolvedTime: new Date(3000)},
+            ]);
+            const requests = await collection.getUnredeemedApprovedBefore(resolvedTime);
+            expect(requests.map(request => request.name)).toEqual(['Barney', 'Fred']);
+        });
+    });
+
+    describe('expireByID', () => {
+        test('marks request with matching ID as expired', async () => {
+            const expiredTime = new Date();
+            const expectedRequest = new RoomLinkRequest('Fred', 'fred@example.com');
+            await collection.create(expectedRequest);
+            await collection.expireByID(expectedRequest.requestID, expiredTime);
+            const request = await collection.getByID(expectedRequest.requestID);
+            expect(request.expired).toBeTruthy();
+            expect(request.expiredTime).toEqual(expiredTime);
+        });
+    });
+});
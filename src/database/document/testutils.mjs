@@ -0,0 +1,8 @@
+import { MemoryDB } from '../memory/memory.mjs';
+import { SQLiteDB } from '../sqlite/sqlite.mjs';
+
+/* Storage backends used to run the document collection tests, as [name, factory] pairs for describe.each. */
+export const TEST_STORAGE_BACKENDS = [
+    ['memory', async () => new MemoryDB()],
+    ['sqlite', async () => await SQLiteDB.new({db: {path: ':memory:'}})],
+];
@@ -1,2 +1,13 @@
+export * from './database.mjs';
+
+export * from './document/index.mjs';
+export * as document from './document/index.mjs';
+
+export * from './memory/index.mjs';
+export * as memory from './memory/index.mjs';
+
 export * from './mongodb/index.mjs';
 export * as mongodb from './mongodb/index.mjs';
+
+export * from './sqlite/index.mjs';
+export * as sqlite from './sqlite/index.mjs';
@@ -0,0 +1,129 @@
+import { Database } from '../database.mjs';
+import DocumentChatMessageCollection from '../document/chatMessage.mjs';
+import DocumentEmailCollection from '../document/email.mjs';
+import DocumentGameCollection from '../document/game.mjs';
+import { applyUpdates, cloneDocument, getSortComparator, matchesFilters } from '../document/operators.mjs';
+import DocumentPlayerCollection from '../document/player.mjs';
+import DocumentRoomCollection from '../document/room.mjs';
+import DocumentRoomLinkRequestCollection from '../document/roomLinkRequest.mjs';
+
+const DEFAULT_COLLECTIONS = {
+    chatMessages: (db) => new DocumentChatMessageCollection(db),
+    emails: (db) => new DocumentEmailCollection(db),
+    games: (db) => new DocumentGameCollection(db),
+    players: (db) => new DocumentPlayerCollection(db),
+    rooms: (db) => new DocumentRoomCollection(db),
+    roomLinkRequests: (db) => new DocumentRoomLinkRequestCollection(db),
+};
+
+/*
+ * Store for the documents in a single collection, held in memory and keyed by ID.
+ * Documents are copied on the way in and out, so callers can never modify stored documents directly.
+ */
+export class MemoryStore {
+    /* Create a new, empty store. */
+    constructor() {
+        this.documents = new Map();
+    }
+
+    /* Return the stored documents matching the given filters, without copying them. */
+    getMatchingDocuments(filters) {
+        if (filters && typeof filters._id === 'string') {
+            const doc = this.documents.get(filters._id);
+            return (doc && matchesFilters(doc, filters) ? [doc] : []);
+        }
+        return [...this.documents.values()].filter(doc => matchesFilters(doc, filters));
+    }
+
+    /* Insert the given documents into the store. Throws an error (without inserting anything) if any ID already exists. */
+    async insert(documents) {
+        const ids = new Set();
+        documents.forEach(doc => {
+            if (this.documents.has(doc._id) || ids.has(doc._id)) {
+                throw new Error(`Duplicate ID: ${doc._id}`);
+            }
+            ids.add(doc._id);
+        });
+        documents.forEach(doc => this.documents.set(doc._id, cloneDocument(doc)));
+    }
+
+    /* Return the documents matching the given filters, optionally sorted, skipped, and limited. */
+    async find(filters = {}, sort = null, skip = 0, limit = 0) {
+        let docs = this.getMatchingDocuments(filters);
+        if (sort) {
+            docs.sort(getSortComparator(sort));
+        }
+        if (skip || limit) {
+            docs = docs.slice(skip || 0, limit ? (skip || 0) + limit : undefined);
+        }
+        return docs.map(cloneDocument);
+    }
+
+    /* Return the first document matching the given filters, or null if there is no matching document. */
+    async findOne(filters = {}) {
+        const doc = this.getMatchingDocuments(filters)[0];
+        return (doc ? cloneDocument(doc) : null);
+    }
+
+    /* Return the number of documents matching the given filters. */
+    async count(filters = {}) {
+        return this.getMatchingDocuments(filters).length;
+    }
+
+    /* Apply the given updates to the first document matching the given filters. Returns the number of updated documents. */
+    async update(filters, updates, arrayFilters = null) {
+        const doc = this.getMatchingDocuments(filters)[0];
+        if (!doc) {
+            return 0;
+        }
+        // Apply the updates to a copy so that a failed update does not leave the stored document partially modified.
+        const newDoc = applyUpdates(cloneDocument(doc), updates, arrayFilters);
+        this.documents.set(doc._id, newDoc);
+        return 1;
+    }
+
+    /* Delete all documents matching the given filters. Returns the number of deleted documents. */
+    async delete(filters = {}) {
+        const docs = this.getMatchingDocuments(filters);
+        docs.forEach(doc => this.documents.delete(doc._id));
+        return docs.length;
+    }
+}
+
+/*
+ * Database that holds all data in memory, intended for local development, demos, and tests.
+ * NOTE: All data is lost when the process exits!
+ */
+export class MemoryDB extends Database {
+    /* Create an empty in-memory database using the optional override collections. */
+    constructor(collections = {}) {
+        super();
+        this.stores = {};
+        this.initCollections(DEFAULT_COLLECTIONS, collections, this);
+    }
+
+    /* Return a new MemoryDB using the given config and optional override collections. */
+    static async new(config, collections = {}) {
+        return new MemoryDB(collections);
+    }
+
+    /* Return the store for the collection with the given name, creating it if necessary. */
+    getStore(collectionName) {
+        if (!this.stores[collectionName]) {
+            this.stores[collectionName] = new MemoryStore();
+        }
+        return this.stores[collectionName];
+    }
+
+    /* Close the database. There is no underlying connection, so this does nothing. */
+    async close(delay = false) {
+    }
+
+    /* Execute an ad-hoc command on the database. Only the ping command (used for status checks) is supported. */
+    async command(cmd) {
+        if (cmd?.ping) {
+            return {ok: 1};
+        }
+        throw new Error(`Unsupported command: ${JSON.stringify(cmd)}`);
+    }
+}
@@ -0,0 +1,164 @@
+import { describe, expect, jest, test } from '@jest/globals';
+import { MemoryDB, MemoryStore } from './memory.mjs';
+
+const TEST_DOCUMENTS = [
+    {_id: 'widget1', name: 'test1', active: true, createdTime: 3},
+    {_id: 'widget2', name: 'test2', active: false, createdTime: 1},
+    {_id: 'widget3', name: 'test3', active: true, createdTime: 2},
+];
+
+describe('MemoryStore', () => {
+    describe('insert', () => {
+        test('stores copies of documents', async () => {
+            const store = new MemoryStore();
+            const doc = {_id: 'widget', tags: []};
+            await store.insert([doc]);
+            doc.tags.push('modified');
+            const newDoc = await store.findOne({_id: doc._id});
+            expect(newDoc).toEqual({_id: doc._id, tags: []});
+        });
+
+        test('throws error without inserting anything on duplicate ID', async () => {
+            const store = new MemoryStore();
+            await store.insert([TEST_DOCUMENTS[0]]);
+            await expect(async () => await store.insert(TEST_DOCUMENTS)).rejects.toThrow(Error);
+            const count = await store.count();
+            expect(count).toEqual(1);
+        });
+    });
+
+    describe('find', () => {
+        test('returns matching documents in insertion order', async () => {
+            const store = new MemoryStore();
+            await store.insert(TEST_DOCUMENTS);
+            const docs = await store.find({active: true});
+            expect(docs).toEqual([TEST_DOCUMENTS[0], TEST_DOCUMENTS[2]]);
+        });
+
+        test('sorts, skips, and limits results', async () => {
+            const store = new MemoryStore();
+            await store.insert(TEST_DOCUMENTS);
+            const docs = await store.find({}, {createdTime: 1}, 1, 1);
+            expect(docs).toEqual([TEST_DOCUMENTS[2]]);
+        });
+    });
+
+    describe('findOne', () => {
+        test('returns first matching document', async () => {
+            const store = new MemoryStore();
+            await store.insert(TEST_DOCUMENTS);
+            const doc = await store.findOne({active: true});
+            expect(doc).toEqual(TEST_DOCUMENTS[0]);
+        });
+
+        test('returns null if no document matches', async () => {
+            const store = new MemoryStore();
+            await store.insert(TEST_DOCUMENTS);
+            expect(await store.findOne({_id: 'widget1', active: false})).toBeNull();
+            expect(await store.findOne({_id: 'widget4'})).toBeNull();
+        });
+
+        test('returned document cannot modify stored document', async () => {
+            const store = new MemoryStore();
+            await store.insert(TEST_DOCUMENTS);
+            const doc = await store.findOne({_id: 'widget1'});
+            doc.name = 'modified';
+            const newDoc = await store.findOne({_id: 'widget1'});
+            expect(newDoc.name).toEqual(TEST_DOCUMENTS[0].name);
+        });
+    });
+
+    describe('update', () => {
+        test('updates first matching document', async () => {
+            const store = new MemoryStore();
+            await store.insert(TEST_DOCUMENTS);
+            const count = await store.update({active: true}, {$set: {name: 'updated'}});
+            expect(count).toEqual(1);
+            const docs = await store.find({name: 'updated'});
+            expect(docs).toEqual([{...TEST_DOCUMENTS[0], name: 'updated'}]);
+        });
+
+        test('does nothing if no document matches', async () => {
+            const store = new MemoryStore();
+            const count = await store.update({_id: 'widget'}, {$set: {name: 'updated'}});
+            expect(count).toEqual(0);
+            expect(await store.count()).toEqual(0);
+        });
+
+        test('does not partially apply failed updates', async () => {
+            const store = new MemoryStore();
+            await store.insert(TEST_DOCUMENTS);
+            await expect(async () => await store.update({_id: 'widget1'}, {$set: {name: 'updated'}, $push: {name: 'a'}})).rejects.toThrow(Error);
+            const doc = await store.findOne({_id: 'widget1'});
+            expect(doc).toEqual(TEST_DOCUMENTS[0]);
+        });
+    });
+
+    describe('delete', () => {
+        test('deletes matching documents', async () => {
+            const store = new MemoryStore();
+            await store.insert(TEST_DOCUMENTS);
+            const count = await store.delete({active: true});
+            expect(count).toEqual(2);
+            expect(await store.find()).toEqual([TEST_DOCUMENTS[1]]);
+        });
+    });
+});
+
+describe('MemoryDB', () => {
+    describe('constructor', () => {
+        test('sets expected fields', () => {
+            const db = new MemoryDB();
+            expect(db.stores).toBeDefined();
+            expect(db.games).toBeDefined();
+            expect(db.players).toBeDefined();
+            expect(db.rooms).toBeDefined();
+            expect(db.roomLinkRequests).toBeDefined();
+        });
+
+        test('additional custom collections', () => {
+            const mockCollection = {};
+            const collections = {
+                tests: jest.fn().mockReturnValue(mockCollection),
+            };
+            const db = new MemoryDB(collections);
+            expect(db.games).toBeDefined();
+            expect(db.tests).toBe(mockCollection);
+            expect(collections.tests).toHaveBeenCalledWith(db);
+        });
+    });
+
+    describe('new', () => {
+        test('creates collections', async () => {
+            const db = await MemoryDB.new({db: {type: 'memory'}});
+            expect(db.games).toBeDefined();
+            expect(db.players).toBeDefined();
+            expect(db.rooms).toBeDefined();
+            expect(db.roomLinkRequests).toBeDefined();
+            await db.close();
+        });
+    });
+
+    describe('getStore', () => {
+        test('returns same store for the same collection', () => {
+            const db = new MemoryDB();
+            const store = db.getStore('games');
+            expect(store).toBeInstanceOf(MemoryStore);
+            expect(db.getStore('games')).toBe(store);
+            expect(db.getStore('players')).not.toBe(store);
+        });
+    });
+
+    describe('command', () => {
+        test('runs ping command successfully', async () => {
+            const db = new MemoryDB();
+            const result = await db.command({ping: 1});
+            expect(result).toEqual({ok: 1});
+        });
+
+        test('throws error for unsupported command', async () => {
+            const db = new MemoryDB();
+            await expect(async () => await db.command({dropDatabase: 1})).rejects.toThrow(Error);
+        });
+    });
+});
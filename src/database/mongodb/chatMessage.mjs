@@ -0,0 +1,47 @@
+import MongoCollection from './collection.mjs';
+
+/* Data access class for working with chat messages in rooms. */
+export default class ChatMessageCollection extends MongoCollection {
+    /* Create a new chat message collection using the given database. */
+    constructor(db) {
+        super(db, 'chatMessages', 'messageID');
+
+        this.getHistoryByRoomID = this.getHistoryByRoomID.bind(this);
+        this.getByPlayerID = this.getByPlayerID.bind(this);
+        this.editByID = this.editByID.bind(this);
+        this.pruneHistoryByRoomID = this.pruneHistoryByRoomID.bind(this);
+        this.deleteByPlayerID = this.deleteByPlayerID.bind(this);
+    }
+
+    /* Return up to the given number of the newest chat messages in the given room, oldest first. */
+    async getHistoryByRoomID(roomID, limit) {
+        const messages = await this.collection.find({roomID: roomID}).sort({createdTime: -1}).limit(limit).toArray();
+        return messages.reverse();
+    }
+
+    /* Return all chat messages sent by the given player in any room, oldest first. */
+    async getByPlayerID(playerID) {
+        return await this.collection.find({playerID: playerID}).sort({createdTime: 1}).toArray();
+    }
+
+    /* Replace the text of the given chat message with the given text, recording the time it was edited. */
+    async editByID(messageID, text, editedTime) {
+        await this.updateByID(messageID, {text: text, editedTime: editedTime});
+    }
+
+    /* Delete all but the given number of the newest chat messages in the given room. Returns the number of deleted messages. */
+    async pruneHistoryByRoomID(roomID, limit) {
+        const messages = await this.collection.find({roomID: roomID}, {projection: {_id: 1}}).sort({createdTime: -1}).skip(limit).toArray();
+        if (!messages.length) {
+            return 0;
+        }
+        const result = await this.collection.deleteMany({_id: {$in: messages.map(message => message._id)}});
+        return result.deletedCount;
+    }
+
+    /* Delete all chat messages sent by the given player in any room. Returns the number of deleted messages. */
+    async deleteByPlayerID(playerID) {
+        const result = await this.collection.deleteMany({playerID: playerID});
+        return result.deletedCount;
+    }
+}
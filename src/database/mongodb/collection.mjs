@@ -33,6 +33,7 @@ export default class MongoCollection {
         this.getByIDs = this.getByIDs.bind(this);
         this.updateFieldsByID = this.updateFieldsByID.bind(this);
         this.updateByID = this.updateByID.bind(this);
+        this.deleteByID = this.deleteByID.bind(this);
     }
 
     ensureUniqueID(entity) {
@@ -106,6 +107,11 @@ export default class MongoCollection {
         await this.updateFieldsByID(entityID, {$set: newFields});
     }
 
+    /* Delete the record with the given ID. */
+    async deleteByID(entityID) {
+        await this.collection.deleteOne({_id: entityID});
+    }
+
     /*
      * Delete ALL entities from the collection. This method is primarily used for testing.
      * USE WITH EXTREME CAUTION!
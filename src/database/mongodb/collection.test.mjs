@@ -257,6 +257,16 @@ describe('MongoCollection', () => {
         });
     });
 
+    describe('deleteByID', () => {
+        test('deletes only the entity with the given ID', async () => {
+            await collection.createMany([{widgetID: 'widget1', name: 'test1'}, {widgetID: 'widget2', name: 'test2'}]);
+            await collection.deleteByID('widget1');
+            expect(await collection.getByID('widget1')).toBeNull();
+            expect(await collection.getByID('widget2')).not.toBeNull();
+            expect(await collection.count()).toEqual(1);
+        });
+    });
+
     describe('truncate', () => {
         test('does nothing if confirm is false (or not provided)', async () => {
             const widgets = [{name: 'test1'}, {name: 'test2'}];
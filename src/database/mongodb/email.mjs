@@ -0,0 +1,78 @@
+import { EmailStatus } from '../../mailqueue.mjs';
+import MongoCollection from './collection.mjs';
+
+/* Data access class for working with queued emails (see MailQueue). */
+export default class EmailCollection extends MongoCollection {
+    /* Create a new email collection using the given database. */
+    constructor(db) {
+        super(db, 'emails', 'emailID');
+
+        this.count = this.count.bind(this);
+        this.getPageOfEmails = this.getPageOfEmails.bind(this);
+        this.getDue = this.getDue.bind(this);
+        this.claimByID = this.claimByID.bind(this);
+        this.markSentByID = this.markSentByID.bind(this);
+        this.markFailedByID = this.markFailedByID.bind(this);
+        this.rescheduleByID = this.rescheduleByID.bind(this);
+        this.retryByID = this.retryByID.bind(this);
+    }
+
+    /* Return the total number of emails in the collection, optionally filtered by status. */
+    async count(status) {
+        let filters = {};
+        if (status) {
+            filters.status = status;
+        }
+        return await super.count(filters);
+    }
+
+    /* Return a paginated list of emails for the given page number, optionally filtered by status. */
+    async getPageOfEmails(page, status) {
+        let filters = {};
+        if (status) {
+            filters.status = status;
+        }
+        return await this.getPaginatedList(page, null, filters);
+    }
+
+    /* Return up to the given number of pending emails that are due to be delivered at the given time, oldest first. */
+    async getDue(time, limit) {
+        const cursor = this.collection.find({status: EmailStatus.PENDING, nextAttemptTime: {$lte: time}}).sort({nextAttemptTime: 1}).limit(limit);
+        return await cursor.toArray();
+    }
+
+    /*
+     * Reserve the given email for an attempt to deliver it at the given time, until the given lease expiration time.
+     * Returns true if the email was reserved, or false if it is not pending or not due (e.g., because another worker reserved it).
+     */
+    async claimByID(emailID, time, leaseExpirationTime) {
+        const filters = {_id: emailID, status: EmailStatus.PENDING, nextAttemptTime: {$lte: time}};
+        const result = await this.collection.updateOne(filters, {$set: {nextAttemptTime: leaseExpirationTime}, $inc: {attempts: 1}});
+        return (result.matchedCount === 1);
+    }
+
+    /* Mark the given email as sent at the given time. The body is removed, since it may contain single-use tokens. */
+    async markSentByID(emailID, sentTime) {
+        await this.updateByID(emailID, {status: EmailStatus.SENT, sentTime: sentTime, lastError: null, text: null, html: null});
+    }
+
+    /* Mark the given email as failed (dead-lettered) at the given time with the given error. */
+    async markFailedByID(emailID, failedTime, lastError) {
+        await this.updateByID(emailID, {status: EmailStatus.FAILED, failedTime: failedTime, lastError: lastError});
+    }
+
+    /* Schedule the next attempt to deliver the given email for the given time, recording the error from the last attempt. */
+    async rescheduleByID(emailID, nextAttemptTime, lastError) {
+        await this.updateByID(emailID, {nextAttemptTime: nextAttemptTime, lastError: lastError});
+    }
+
+    /*
+     * Return the given failed email to the queue, to be delivered at the given time with a fresh set of attempts.
+     * Returns true if the email was requeued, or false if it was not found or has not failed.
+     */
+    async retryByID(emailID, time) {
+        const updates = {$set: {status: EmailStatus.PENDING, attempts: 0, nextAttemptTime: time, failedTime: null}};
+        const result = await this.collection.updateOne({_id: emailID, status: EmailStatus.FAILED}, updates);
+        return (result.matchedCount === 1);
+    }
+}
@@ -0,0 +1,161 @@
+import mongodb from 'mongodb';
+const { MongoClient } = mongodb;
+
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from '@jest/globals';
+import { EmailStatus, QueuedEmail } from '../../mailqueue.mjs';
+import { MONGO_CLIENT_OPTIONS } from './constants.mjs';
+import EmailCollection from './email.mjs';
+
+const NOW = new Date('2024-01-01T12:00:00Z');
+
+/* Return a new queued email with the given status that is due to be delivered at the given time. */
+function queuedEmail(status, nextAttemptTime = NOW) {
+    const email = new QueuedEmail('fred@example.com', 'Test subject', 'Test body');
+    email.status = status;
+    email.nextAttemptTime = nextAttemptTime;
+    return email;
+}
+
+describe('EmailCollection', () => {
+    let conn;
+    let db;
+    let collection;
+
+    beforeAll(async () => {
+        conn = await MongoClient.connect(global.__MONGO_URI__, MONGO_CLIENT_OPTIONS);
+        db = await conn.db();
+    });
+
+    beforeEach(async () => {
+        collection = new EmailCollection(db);
+        await collection.truncate(true);
+    });
+
+    afterAll(async () => {
+        await conn.close();
+    });
+
+    describe('count', () => {
+        test('filtered by status', async () => {
+            await collection.createMany([queuedEmail(EmailStatus.PENDING), queuedEmail(EmailStatus.FAILED), queuedEmail(EmailStatus.FAILED)]);
+            expect(await collection.count()).toEqual(3);
+            expect(await collection.count(EmailStatus.FAILED)).toEqual(2);
+        });
+    });
+
+    describe('getPageOfEmails', () => {
+        test('filtered by status', async () => {
+            await collection.createMany([queuedEmail(EmailStatus.PENDING), queuedEmail(EmailStatus.SENT), queuedEmail(EmailStatus.FAILED)]);
+            const emails = await collection.getPageOfEmails(1, EmailStatus.SENT);
+            expect(emails).toHaveLength(1);
+            expect(emails[0].status).toEqual(EmailStatus.SENT);
+        });
+    });
+
+    describe('getDue', () => {
+        test('returns pending emails due at the given time, oldest first', async () => {
+            const later = queuedEmail(EmailStatus.PENDING, new Date(NOW.getTime() - 1000));
+            const earlier = queuedEmail(EmailStatus.PENDING, new Date(NOW.getTime() - 2000));
+            const notDue = queuedEmail(EmailStatus.PENDING, new Date(NOW.getTime() + 1000));
+            const failed = queuedEmail(EmailStatus.FAILED, new Date(NOW.getTime() - 3000));
+            await collection.createMany([later, earlier, notDue, failed]);
+            const emails = await collection.getDue(NOW, 10);
+            expect(emails.map(email => email.emailID)).toEqual([earlier.emailID, later.emailID]);
+        });
+
+        test('limits number of emails', async () => {
+            await collection.createMany([queuedEmail(EmailStatus.PENDING), queuedEmail(EmailStatus.PENDING)]);
+            expect(await collection.getDue(NOW, 1)).toHaveLength(1);
+        });
+    });
+
+    describe('claimByID', () => {
+        test('reserves due email and counts attempt', async () => {
+            const email = queuedEmail(EmailStatus.PENDING);
+            await collection.create(email);
+            const leaseExpirationTime = new Date(NOW.getTime() + 60000);
+            expect(await collection.claimByID(email.emailID, NOW, leaseExpirationTime)).toBeTruthy();
+            const newEmail = await collection.getByID(email.emailID);
+            expect(newEmail.attempts).toEqual(1);
+            expect(newEmail.nextAttemptTime).toEqual(leaseExpirationTime);
+        });
+
+        test('does not reserve email that was already reserved', async () => {
+            const email = queuedEmail(EmailStatus.PENDING);
+            await collection.create(email);
+            expect(await collection.claimByID(email.emailID, NOW, new Date(NOW.getTime() + 60000))).toBeTruthy();
+            expect(await collection.claimByID(email.emailID, NOW, new Date(NOW.getTime() + 60000))).toBeFalsy();
+            expect((await collection.getByID(email.emailID)).attempts).toEqual(1);
+        });
+
+        test('does not reserve email that is not pending', async () => {
+            const email = queuedEmail(EmailStatus.FAILED);
+            await collection.create(email);
+            expect(await collection.claimByID(email.emailID, NOW, new Date(NOW.getTime() + 60000))).toBeFalsy();
+        });
+    });
+
+    describe('markSentByID', () => {
+        test('marks email as sent and removes body', async () => {
+            const email = queuedEmail(EmailStatus.PENDING);
+            email.lastError = 'Connection refused';
+            await collection.create(email);
+            await collection.markSentByID(email.emailID, NOW);
+            const newEmail = await collection.getByID(email.emailID);
+            expect(newEmail.status).toEqual(EmailStatus.SENT);
+            expect(newEmail.sentTime).toEqual(NOW);
+            expect(newEmail.lastError).toBeNull();
+            expect(newEmail.text).toBeNull();
+            expect(newEmail.html).toBeNull();
+        });
+    });
+
+    describe('markFailedByID', () => {
+        test('marks email as failed with error', async () => {
+            const email = queuedEmail(EmailStatus.PENDING);
+            await collection.create(email);
+            await collection.markFailedByID(email.emailID, NOW, 'Connection refused');
+            const newEmail = await collection.getByID(email.emailID);
+            expect(newEmail.status).toEqual(EmailStatus.FAILED);
+            expect(newEmail.failedTime).toEqual(NOW);
+            expect(newEmail.lastError).toEqual('Connection refused');
+            expect(newEmail.text).toEqual(email.text);
+        });
+    });
+
+    describe('rescheduleByID', () => {
+        test('sets next attempt time and error', async () => {
+            const email = queuedEmail(EmailStatus.PENDING);
+            await collection.create(email);
+            const nextAttemptTime = new Date(NOW.getTime() + 60000);
+            await collection.rescheduleByID(email.emailID, nextAttemptTime, 'Connection refused');
+            const newEmail = await collection.getByID(email.emailID);
+            expect(newEmail.status).toEqual(EmailStatus.PENDING);
+            expect(newEmail.nextAttemptTime).toEqual(nextAttemptTime);
+            expect(newEmail.lastError).toEqual('Connection refused');
+        });
+    });
+
+    describe('retryByID', () => {
+        test('returns failed email to queue', async () => {
+            const email = queuedEmail(EmailStatus.FAILED);
+            email.attempts = 5;
+            email.failedTime = NOW;
+            await collection.create(email);
+            const time = new Date(NOW.getTime() + 60000);
+            expect(await collection.retryByID(email.emailID, time)).toBeTruthy();
+            const newEmail = await collection.getByID(email.emailID);
+            expect(newEmail.status).toEqual(EmailStatus.PENDING);
+            expect(newEmail.attempts).toEqual(0);
+            expect(newEmail.nextAttemptTime).toEqual(time);
+            expect(newEmail.failedTime).toBeNull();
+        });
+
+        test('does not retry email that has not failed', async () => {
+            const email = queuedEmail(EmailStatus.SENT);
+            await collection.create(email);
+            expect(await collection.retryByID(email.emailID, NOW)).toBeFalsy();
+            expect((await collection.getByID(email.emailID)).status).toEqual(EmailStatus.SENT);
+        });
+    });
+});
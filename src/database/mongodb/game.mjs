@@ -6,7 +6,36 @@ export default class GameCollection extends MongoCollection {
     constructor(db) {
         super(db, 'games', 'gameID');
 
+        this.getByPlayerID = this.getByPlayerID.bind(this);
+        this.getLatestByRoomID = this.getLatestByRoomID.bind(this);
+        this.getAbandonedBefore = this.getAbandonedBefore.bind(this);
+        this.abandonByID = this.abandonByID.bind(this);
         this.addPlayerToGame = this.addPlayerToGame.bind(this);
+        this.updateGameState = this.updateGameState.bind(this);
+    }
+
+    /* Return all games (newest first) that the given player has played in. */
+    async getByPlayerID(playerID) {
+        return await this.collection.find({playerIDs: playerID}).sort({createdTime: -1}).toArray();
+    }
+
+    /* Return the newest game in the given room, or null if no games have been played in the room. */
+    async getLatestByRoomID(roomID) {
+        const games = await this.collection.find({roomID: roomID}).sort({createdTime: -1}).limit(1).toArray();
+        return games[0] || null;
+    }
+
+    /*
+     * Return all games (oldest first) that were abandoned before the given time and never finished.
+     * Games that were never explicitly abandoned (see abandonByID) are not included, even if they are unfinished.
+     */
+    async getAbandonedBefore(abandonedTime) {
+        return await this.collection.find({finishedTime: null, abandonedTime: {$lt: abandonedTime}}).sort({abandonedTime: 1}).toArray();
+    }
+
+    /* Mark the given game as abandoned at the given time (e.g., when the host abandons it or its room is archived). */
+    async abandonByID(gameID, abandonedTime = new Date()) {
+        await this.updateByID(gameID, {abandonedTime: abandonedTime});
     }
 
     /* Add the given player to the given game. */
@@ -16,4 +45,20 @@ export default class GameCollection extends MongoCollection {
             $addToSet: {playerIDs: playerID},
         });
     }
+
+    /*
+     * Apply the given updates to the state of the given game, but only if the game's state version still matches the given version.
+     * The state version is incremented with each update, so concurrent updates based on the same version cannot both succeed.
+     * Returns true if the updates were applied, or false if the game was not found or has been updated since the given version.
+     */
+    async updateGameState(gameID, stateVersion, updates, arrayFilters = null) {
+        /* Games created before their first state update have no state version, which is equivalent to version 0. */
+        const filters = {_id: gameID, stateVersion: (stateVersion ? stateVersion : {$in: [0, null]})};
+        let opts = {};
+        if (arrayFilters) {
+            opts.arrayFilters = arrayFilters;
+        }
+        const result = await this.collection.updateOne(filters, {...updates, $inc: {...updates.$inc, stateVersion: 1}}, opts);
+        return (result.matchedCount === 1);
+    }
 }
@@ -1,6 +1,12 @@
+export * from './chatMessage.mjs';
+export * as chatMessage from './chatMessage.mjs';
+
 export * from './collection.mjs';
 export * as collection from './collection.mjs';
 
+export * from './email.mjs';
+export * as email from './email.mjs';
+
 export * from './game.mjs';
 export * as game from './game.mjs';
 
@@ -1,9 +1,11 @@
 import mongodb from 'mongodb';
 const { MongoClient } = mongodb;
 
-import log from 'log';
 import { sleep } from '../../utils.mjs';
+import { Database } from '../database.mjs';
+import ChatMessageCollection from './chatMessage.mjs';
 import { MONGO_CLIENT_OPTIONS } from './constants.mjs';
+import EmailCollection from './email.mjs';
 import GameCollection from './game.mjs';
 import PlayerCollection from './player.mjs';
 import RoomCollection from './room.mjs';
@@ -14,36 +16,27 @@ const DB_CLOSE_DELAY_MILLIS = 50;
 const DEFAULT_DB_NAME = 'alea';
 
 const DEFAULT_COLLECTIONS = {
+    chatMessages: (db) => new ChatMessageCollection(db),
+    emails: (db) => new EmailCollection(db),
     games: (db) => new GameCollection(db),
     players: (db) => new PlayerCollection(db),
     rooms: (db) => new RoomCollection(db),
     roomLinkRequests: (db) => new RoomLinkRequestCollection(db),
 };
 
-const logger = log.get('mongodb');
-
 /* Database client that connects to a MongoDB database. */
-export class MongoDB {
+export class MongoDB extends Database {
     /*
      * Create a MongoDB using the given database name, client, and optional override collections.
      * NOTE: The static factory method MongoDB.new() should typically be used instead of invoking this constructor!
      */
     constructor(mongoClient, dbName = DEFAULT_DB_NAME, collections = {}) {
+        super();
         this.client = mongoClient;
         this.dbName = dbName || DEFAULT_DB_NAME;
         this.db = this.client.db(this.dbName);
         this.session = this.client.startSession();
-        this.collectionFactories = {...DEFAULT_COLLECTIONS, ...collections || {}};
-        Object.entries(this.collectionFactories).forEach(([collectionName, collectionFactory]) => {
-            try {
-                const collection = collectionFactory(this.db);
-                if (collection) {
-                    this[collectionName] = collection;
-                }
-            } catch (e) {
-                logger.error(`Failed to initialize ${collectionName} collection: ${e}`);
-            }
-        });
+        this.initCollections(DEFAULT_COLLECTIONS, collections, this.db);
     }
 
     /* Return a new MongoDB using the given config and optional override collections. */
@@ -68,47 +61,4 @@ export class MongoDB {
     async command(cmd) {
         return await this.db.command(cmd);
     }
-
-    /* Attempt to find a new host player for the given room, assuming the current host is leaving the room. */
-    async findNewHostPlayerID(room) {
-        const playerIDs = room.playerIDs.filter(playerID => playerID !== room.hostPlayerID);
-        let players;
-        try {
-            players = await this.players.getByIDs(playerIDs);
-        } catch (e) {
-            logger.error(`Failed to get players to find new host: ${e}`);
-        }
-        let newHostPlayerID;
-        if (players) {
-            newHostPlayerID = players.find(player => player.active && player.currentRoomID === room.roomID && !player.spectating)?.playerID;
-            if (!newHostPlayerID) {
-                newHostPlayerID = players.find(player => player.active && player.currentRoomID === room.roomID)?.playerID;
-                if (!newHostPlayerID && room.hostPlayerID !== room.ownerPlayerID) {
-                    newHostPlayerID = room.ownerPlayerID;
-                }
-            }
-        } else {
-            newHostPlayerID = room.ownerPlayerID;
-        }
-        return newHostPlayerID || null;
-    }
-
-    /*
-     * Remove the given player from the room with the given ID (or the player's current room).
-     * Returns the new host player ID for the room, or null if the host player does not need to be reassigned.
-     */
-    async removePlayerFromRoom(player, roomID = null) {
-        if (!roomID) {
-            roomID = player.currentRoomID;
-        }
-        const room = await this.rooms.getByID(roomID);
-        let newHostPlayerID = null;
-        if (room) {
-            if (room.hostPlayerID === player.playerID) {
-                newHostPlayerID = await this.findNewHostPlayerID(room);
-            }
-            await this.rooms.removePlayerFromRoom(roomID, player.playerID, newHostPlayerID);
-        }
-        return newHostPlayerID;
-    }
 }
@@ -1,5 +1,7 @@
 import MongoCollection from './collection.mjs';
 
+import { PlayerStatistics } from '@dyesoft/alea-core';
+
 /* Data access class for working with players. */
 export default class PlayerCollection extends MongoCollection {
     /* Create a new player collection using the given database. */
@@ -9,7 +11,15 @@ export default class PlayerCollection extends MongoCollection {
         this.count = this.count.bind(this);
         this.getPageOfPlayers = this.getPageOfPlayers.bind(this);
         this.getByEmail = this.getByEmail.bind(this);
+        this.getByCurrentRoomID = this.getByCurrentRoomID.bind(this);
+        this.getByEmailVerificationToken = this.getByEmailVerificationToken.bind(this);
+        this.getByRestorationToken = this.getByRestorationToken.bind(this);
+        this.setPendingEmailByID = this.setPendingEmailByID.bind(this);
+        this.setRestorationByID = this.setRestorationByID.bind(this);
+        this.consumeRestorationByID = this.consumeRestorationByID.bind(this);
+        this.verifyEmailByID = this.verifyEmailByID.bind(this);
         this.updateNameAndEmailByID = this.updateNameAndEmailByID.bind(this);
+        this.anonymizeByID = this.anonymizeByID.bind(this);
     }
 
     /* Return the total number of players in the collection, optionally filtered by active status. */
@@ -30,16 +40,83 @@ export default class PlayerCollection extends MongoCollection {
         return await this.getPaginatedList(page, {lastConnectionTime: -1}, filters);
     }
 
-    /* Return the player with the given email. */
+    /* Return the player with the given (verified) email. */
     async getByEmail(email) {
         return await this.collection.findOne({email: email});
     }
 
+    /* Return all players whose current room is the given room. */
+    async getByCurrentRoomID(roomID) {
+        return await this.collection.find({currentRoomID: roomID}).toArray();
+    }
+
+    /* Return the player with a pending email change that can be verified using the token with the given hash. */
+    async getByEmailVerificationToken(tokenHash) {
+        return await this.collection.findOne({'emailVerification.tokenHash': tokenHash});
+    }
+
+    /* Return the player who can be restored using the restoration token with the given hash. */
+    async getByRestorationToken(tokenHash) {
+        return await this.collection.findOne({'restoration.tokenHash': tokenHash});
+    }
+
+    /*
+     * Set the given player's pending (unverified) email and the email verification (token hash and expiration time),
+     * replacing any previous pending email. Setting both to null cancels the pending email change.
+     */
+    async setPendingEmailByID(playerID, pendingEmail, emailVerification) {
+        await this.updateByID(playerID, {pendingEmail: pendingEmail, emailVerification: emailVerification});
+    }
+
+    /*
+     * Set the given player's restoration (token hash and expiration time), replacing (and so invalidating) any previous one.
+     * Setting the restoration to null invalidates the player's restoration token.
+     */
+    async setRestorationByID(playerID, restoration) {
+        await this.updateByID(playerID, {restoration: restoration});
+    }
+
+    /*
+     * Invalidate the given player's restoration token, if it still has the given hash.
+     * Returns true if the token was invalidated, or false if it was already used or replaced (e.g., by a concurrent request).
+     */
+    async consumeRestorationByID(playerID, tokenHash) {
+        const filters = {_id: playerID, 'restoration.tokenHash': tokenHash};
+        const result = await this.collection.updateOne(filters, {$set: {restoration: null}});
+        return (result.matchedCount === 1);
+    }
+
+    /* Set the given player's email to the given verified email, clearing the pending email. */
+    async verifyEmailByID(playerID, email) {
+        await this.updateByID(playerID, {email: email, pendingEmail: null, emailVerification: null});
+    }
+
     /* Update the given player's name and email. */
     async updateNameAndEmailByID(playerID, name, email) {
         await this.updateByID(playerID, {name: name, email: email});
     }
 
+    /*
+     * Anonymize the given player, replacing their name with the given name and removing their email, tokens, and statistics.
+     * The player's ID is kept (and marked as deleted at the given time), so that the player's previous games remain consistent.
+     */
+    async anonymizeByID(playerID, name, deletedTime = new Date()) {
+        await this.updateByID(playerID, {
+            name: name,
+            email: null,
+            pendingEmail: null,
+            emailVerification: null,
+            restoration: null,
+            locale: null,
+            currentRoomID: null,
+            active: false,
+            spectating: false,
+            stats: new PlayerStatistics(),
+            deleted: true,
+            deletedTime: deletedTime,
+        });
+    }
+
     /* Increment the given statistic for the given player by the given amount (or 1). */
     async incrementStat(playerID, statName, value = 1) {
         const key = `stats.${statName}`;
@@ -1,7 +1,7 @@
 import mongodb from 'mongodb';
 const { MongoClient } = mongodb;
 
-import { Player, PlayerStatsKeys } from '@dyesoft/alea-core';
+import { Player, PlayerStatistics, PlayerStatsKeys } from '@dyesoft/alea-core';
 import { afterAll, beforeAll, beforeEach, describe, expect, test } from '@jest/globals';
 import { MONGO_CLIENT_OPTIONS } from './constants.mjs';
 import PlayerCollection from './player.mjs';
@@ -72,6 +72,73 @@ describe('PlayerCollection', () => {
         });
     });
 
+    describe('getByCurrentRoomID', () => {
+        test('returns players in room', async () => {
+            const roomID = 'room';
+            await collection.createMany([
+                {...new Player('Fred'), currentRoomID: roomID},
+                {...new Player('Barney'), currentRoomID: 'other'},
+                new Player('Wilma'),
+            ]);
+            const players = await collection.getByCurrentRoomID(roomID);
+            expect(players.map(player => player.name)).toEqual(['Fred']);
+            expect(await collection.getByCurrentRoomID('unknown')).toEqual([]);
+        });
+    });
+
+    describe('email verification', () => {
+        const email = 'test@example.com';
+        const emailVerification = {tokenHash: 'hash', expirationTime: new Date()};
+
+        test('pending email is not returned by getByEmail', async () => {
+            const player = new Player('Fred', null);
+            await collection.create(player);
+            await collection.setPendingEmailByID(player.playerID, email, emailVerification);
+            expect(await collection.getByEmail(email)).toBeNull();
+            const newPlayer = await collection.getByEmailVerificationToken(emailVerification.tokenHash);
+            expect(newPlayer.playerID).toEqual(player.playerID);
+            expect(newPlayer.pendingEmail).toEqual(email);
+            expect(newPlayer.emailVerification).toEqual(emailVerification);
+            expect(await collection.getByEmailVerificationToken('other')).toBeNull();
+        });
+
+        test('verifyEmailByID sets email and clears pending email', async () => {
+            const player = new Player('Fred', 'old@example.com');
+            await collection.create(player);
+            await collection.setPendingEmailByID(player.playerID, email, emailVerification);
+            await collection.verifyEmailByID(player.playerID, email);
+            const newPlayer = await collection.getByEmail(email);
+            expect(newPlayer.playerID).toEqual(player.playerID);
+            expect(newPlayer.pendingEmail).toBeNull();
+            expect(newPlayer.emailVerification).toBeNull();
+            expect(await collection.getByEmailVerificationToken(emailVerification.tokenHash)).toBeNull();
+        });
+    });
+
+    describe('restoration', () => {
+        test('setRestorationByID replaces previous restoration', async () => {
+            const player = new Player('Fred', 'test@example.com');
+            await collection.create(player);
+            await collection.setRestorationByID(player.playerID, {tokenHash: 'old', expirationTime: new Date()});
+            await collection.setRestorationByID(player.playerID, {tokenHash: 'new', expirationTime: new Date()});
+            expect(await collection.getByRestorationToken('old')).toBeNull();
+            expect((await collection.getByRestorationToken('new')).playerID).toEqual(player.playerID);
+            await collection.setRestorationByID(player.playerID, null);
+            expect(await collection.getByRestorationToken('new')).toBeNull();
+        });
+
+        test('consumeRestorationByID only invalidates matching token once', async () => {
+            const player = new Player('Fred', 'test@example.com');
+            await collection.create(player);
+            await collection.setRestorationByID(player.playerID, {tokenHash: 'hash', expirationTime: new Date()});
+            expect(await collection.consumeRestorationByID(player.playerID, 'other')).toBeFalsy();
+            expect((await collection.getByRestorationToken('hash')).playerID).toEqual(player.playerID);
+            expect(await collection.consumeRestorationByID(player.playerID, 'hash')).toBeTruthy();
+            expect(await collection.getByRestorationToken('hash')).toBeNull();
+            expect(await collection.consumeRestorationByID(player.playerID, 'hash')).toBeFalsy();
+        });
+    });
+
     describe('updateNameAndEmailByID', () => {
         test('updates name and email of player with matching ID', async () => {
             const name = 'Fred';
@@ -88,6 +155,37 @@ describe('PlayerCollection', () => {
         });
     });
 
+    describe('anonymizeByID', () => {
+        test('replaces name and removes personal data of player with matching ID', async () => {
+            const deletedTime = new Date();
+            const player = new Player('Fred', 'test@example.com');
+            player.currentRoomID = 'room';
+            player.locale = 'es';
+            player.pendingEmail = 'new@example.com';
+            player.emailVerification = {tokenHash: 'hash', expirationTime: new Date()};
+            player.stats.gamesPlayed = 5;
+            await collection.create(player);
+            await collection.anonymizeByID(player.playerID, 'Deleted Player', deletedTime);
+            const newPlayer = await collection.getByID(player.playerID);
+            expect(newPlayer).toEqual({
+                ...player,
+                name: 'Deleted Player',
+                email: null,
+                pendingEmail: null,
+                emailVerification: null,
+                restoration: null,
+                locale: null,
+                currentRoomID: null,
+                active: false,
+                spectating: false,
+                stats: {...new PlayerStatistics()},
+                deleted: true,
+                deletedTime: deletedTime,
+            });
+            expect(await collection.getByEmail('test@example.com')).toBeNull();
+        });
+    });
+
     describe('incrementStat', () => {
         const stat = PlayerStatsKeys.GAMES_PLAYED;
 
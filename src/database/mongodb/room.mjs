@@ -1,4 +1,5 @@
 import MongoCollection from './collection.mjs';
+import { ROOM_HISTORY_ROOM_PROJECTION } from '../constants.mjs';
 
 import {
     randomChoice,
@@ -7,30 +8,11 @@ import {
     ROOM_CODE_LENGTH,
 } from '@dyesoft/alea-core';
 
-const ROOM_HISTORY_GAME_PROJECTION = {
-    _id: 0,
-    roomID: 0,
-    rounds: 0,
-};
-
-const ROOM_HISTORY_PLAYER_PROJECTION = {
-    _id: 0,
-    active: 0,
-    currentRoomID: 0,
-    email: 0,
-    spectating: 0,
-    stats: 0,
-};
-
-const ROOM_HISTORY_ROOM_PROJECTION = {
-    _id: 0,
-    kickedPlayerIDs: 0,
-    passwordHash: 0,
-    playerIDs: 0,
-    players: ROOM_HISTORY_PLAYER_PROJECTION,
-    previousGameIDs: 0,
-    previousGames: ROOM_HISTORY_GAME_PROJECTION,
-};
+/* Filters matching rooms that have not been archived. */
+const UNARCHIVED_ROOM_FILTERS = {archived: {$ne: true}};
+
+/* Filters matching rooms that have been neither closed nor archived. */
+const OPEN_ROOM_FILTERS = {...UNARCHIVED_ROOM_FILTERS, closed: {$ne: true}};
 
 /* Data access class for working with rooms. */
 export default class RoomCollection extends MongoCollection {
@@ -42,18 +24,40 @@ export default class RoomCollection extends MongoCollection {
             roomHistory: ROOM_HISTORY_ROOM_PROJECTION,
         };
 
+        this.count = this.count.bind(this);
+        this.getPageOfRooms = this.getPageOfRooms.bind(this);
         this.create = this.create.bind(this);
         this.generateUniqueRoomCode = this.generateUniqueRoomCode.bind(this);
         this.getByRoomCode = this.getByRoomCode.bind(this);
+        this.getByPlayerID = this.getByPlayerID.bind(this);
+        this.getOpenCreatedBefore = this.getOpenCreatedBefore.bind(this);
         this.setCurrentGameForRoom = this.setCurrentGameForRoom.bind(this);
         this.addPlayerToRoom = this.addPlayerToRoom.bind(this);
         this.removePlayerFromRoom = this.removePlayerFromRoom.bind(this);
         this.removePlayerFromKickedPlayersInRoom = this.removePlayerFromKickedPlayersInRoom.bind(this);
+        this.setPlayerMutedInRoom = this.setPlayerMutedInRoom.bind(this);
+        this.removePlayerFromMutedPlayersInRoom = this.removePlayerFromMutedPlayersInRoom.bind(this);
+        this.setPlayerRoleInRoom = this.setPlayerRoleInRoom.bind(this);
+        this.removePlayerRoleInRoom = this.removePlayerRoleInRoom.bind(this);
+        this.setRolePermissionsInRoom = this.setRolePermissionsInRoom.bind(this);
+        this.closeByID = this.closeByID.bind(this);
+        this.archiveByID = this.archiveByID.bind(this);
+        this.unarchiveByID = this.unarchiveByID.bind(this);
         this.getHistoryByID = this.getHistoryByID.bind(this);
         this.getHistoryByRoomCode = this.getHistoryByRoomCode.bind(this);
         this.getHistoryByCriteria = this.getHistoryByCriteria.bind(this);
     }
 
+    /* Return the total number of rooms in the collection, excluding archived rooms unless requested. */
+    async count(includeArchived = false) {
+        return await super.count(includeArchived ? {} : UNARCHIVED_ROOM_FILTERS);
+    }
+
+    /* Return a paginated list of rooms for the given page number, excluding archived rooms unless requested. */
+    async getPageOfRooms(page, includeArchived = false) {
+        return await this.getPaginatedList(page, null, (includeArchived ? {} : UNARCHIVED_ROOM_FILTERS));
+    }
+
     /* Create a new room in the collection. */
     async create(room) {
         if (!room.roomCode) {
@@ -77,6 +81,26 @@ export default class RoomCollection extends MongoCollection {
         return await this.collection.findOne({roomCode: roomCode});
     }
 
+    /* Return all rooms (newest first) that the given player is in, owns, hosts, was kicked or muted in, or was granted a role in. */
+    async getByPlayerID(playerID) {
+        const filters = {
+            $or: [
+                {playerIDs: playerID},
+                {ownerPlayerID: playerID},
+                {hostPlayerID: playerID},
+                {[`kickedPlayerIDs.${playerID}`]: {$exists: true}},
+                {[`mutedPlayerIDs.${playerID}`]: {$exists: true}},
+                {[`playerRoles.${playerID}`]: {$exists: true}},
+            ],
+        };
+        return await this.collection.find(filters).sort({createdTime: -1}).toArray();
+    }
+
+    /* Return all rooms (oldest first) that were created before the given time and are neither closed nor archived. */
+    async getOpenCreatedBefore(createdTime) {
+        return await this.collection.find({...OPEN_ROOM_FILTERS, createdTime: {$lt: createdTime}}).sort({createdTime: 1}).toArray();
+    }
+
     /* Set the current game for the given room, optionally updating the current champion. */
     async setCurrentGameForRoom(room, gameID, currentChampion) {
         if (room.currentGameID !== gameID) {
@@ -121,6 +145,46 @@ export default class RoomCollection extends MongoCollection {
         await this.updateFieldsByID(roomID, {$unset: {[`kickedPlayerIDs.${playerID}`]: ''}});
     }
 
+    /* Mute the given player in the given room until the given expiration time (in milliseconds since the epoch), or indefinitely if the expiration is null. */
+    async setPlayerMutedInRoom(roomID, playerID, expiration) {
+        await this.updateFieldsByID(roomID, {$set: {[`mutedPlayerIDs.${playerID}`]: expiration}});
+    }
+
+    /* Remove the given player from the list of muted players in the given room. */
+    async removePlayerFromMutedPlayersInRoom(roomID, playerID) {
+        await this.updateFieldsByID(roomID, {$unset: {[`mutedPlayerIDs.${playerID}`]: ''}});
+    }
+
+    /* Grant the given role (see GRANTABLE_ROOM_ROLES) to the given player in the given room, replacing any role previously granted to the player. */
+    async setPlayerRoleInRoom(roomID, playerID, role) {
+        await this.updateFieldsByID(roomID, {$set: {[`playerRoles.${playerID}`]: role}});
+    }
+
+    /* Revoke the role granted to the given player in the given room, if any. */
+    async removePlayerRoleInRoom(roomID, playerID) {
+        await this.updateFieldsByID(roomID, {$unset: {[`playerRoles.${playerID}`]: ''}});
+    }
+
+    /* Replace the permissions of the given role in the given room's permission matrix (see getRolePermissions). */
+    async setRolePermissionsInRoom(roomID, role, permissions) {
+        await this.updateFieldsByID(roomID, {$set: {[`rolePermissions.${role}`]: permissions}});
+    }
+
+    /* Mark the given room as closed, removing all players from the room. The room's code remains reserved, so its history can still be found. */
+    async closeByID(roomID, closedTime = new Date()) {
+        await this.updateFieldsByID(roomID, {$set: {closed: true, closedTime: closedTime, playerIDs: []}});
+    }
+
+    /* Mark the given room as archived, so that it is no longer listed with the other rooms. Archived rooms can still be joined (see unarchiveByID). */
+    async archiveByID(roomID, archivedTime = new Date()) {
+        await this.updateByID(roomID, {archived: true, archivedTime: archivedTime});
+    }
+
+    /* Restore the given archived room (e.g., when a player joins the room again), recording the time that it was restored. */
+    async unarchiveByID(roomID, unarchivedTime = new Date()) {
+        await this.updateByID(roomID, {archived: false, archivedTime: null, unarchivedTime: unarchivedTime});
+    }
+
     /* Return the history of games for the given room by ID. */
     async getHistoryByID(roomID) {
         return await this.getHistoryByCriteria({roomID: roomID});
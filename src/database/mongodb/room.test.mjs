@@ -222,6 +222,62 @@ describe('RoomCollection', () => {
         });
     });
 
+    describe('getByPlayerID', () => {
+        test('returns rooms that player is in, owns, hosts, was kicked or muted in, or has a role in, newest first', async () => {
+            const memberRoom = new Room('AAAA', OWNER_PLAYER_ID);
+            memberRoom.playerIDs.push(PLAYER_ID);
+            memberRoom.createdTime = new Date(1000);
+            const ownedRoom = new Room('BBBB', PLAYER_ID);
+            ownedRoom.playerIDs = [];
+            ownedRoom.createdTime = new Date(2000);
+            const kickedRoom = new Room('CCCC', OWNER_PLAYER_ID);
+            kickedRoom.kickedPlayerIDs[PLAYER_ID] = null;
+            kickedRoom.createdTime = new Date(3000);
+            const otherRoom = new Room('DDDD', OWNER_PLAYER_ID);
+            const mutedRoom = new Room('EEEE', OWNER_PLAYER_ID);
+            mutedRoom.mutedPlayerIDs = {[PLAYER_ID]: null};
+            mutedRoom.createdTime = new Date(4000);
+            const roleRoom = new Room('FFFF', OWNER_PLAYER_ID);
+            roleRoom.playerRoles = {[PLAYER_ID]: 'co_host'};
+            roleRoom.createdTime = new Date(5000);
+            await collection.createMany([memberRoom, ownedRoom, kickedRoom, otherRoom, mutedRoom, roleRoom]);
+
+            const rooms = await collection.getByPlayerID(PLAYER_ID);
+            expect(rooms.map(room => room.roomCode)).toEqual(['FFFF', 'EEEE', 'CCCC', 'BBBB', 'AAAA']);
+            expect(await collection.getByPlayerID('unknown')).toEqual([]);
+        });
+    });
+
+    describe('count', () => {
+        test('excludes archived rooms unless requested', async () => {
+            await collection.createMany([new Room('ABCD', OWNER_PLAYER_ID), {...new Room('EFGH', OWNER_PLAYER_ID), archived: true}]);
+            expect(await collection.count()).toEqual(1);
+            expect(await collection.count(true)).toEqual(2);
+        });
+    });
+
+    describe('getPageOfRooms', () => {
+        test('excludes archived rooms unless requested', async () => {
+            await collection.createMany([new Room('ABCD', OWNER_PLAYER_ID), {...new Room('EFGH', OWNER_PLAYER_ID), archived: true}]);
+            expect((await collection.getPageOfRooms(1)).map(room => room.roomCode)).toEqual(['ABCD']);
+            expect(await collection.getPageOfRooms(1, true)).toHaveLength(2);
+        });
+    });
+
+    describe('getOpenCreatedBefore', () => {
+        test('returns rooms created before time that are not closed or archived, oldest first', async () => {
+            await collection.createMany([
+                {...new Room('ABCD', OWNER_PLAYER_ID), createdTime: new Date(2000)},
+                {...new Room('EFGH', OWNER_PLAYER_ID), createdTime: new Date(1000)},
+                {...new Room('IJKL', OWNER_PLAYER_ID), createdTime: new Date(1000), archived: true},
+                {...new Room('MNOP', OWNER_PLAYER_ID), createdTime: new Date(1000), closed: true},
+                {...new Room('QRST', OWNER_PLAYER_ID), createdTime: new Date(4000)},
+            ]);
+            const rooms = await collection.getOpenCreatedBefore(new Date(3000));
+            expect(rooms.map(room => room.roomCode)).toEqual(['EFGH', 'ABCD']);
+        });
+    });
+
     describe('removePlayerFromKickedPlayersInRoom', () => {
         test('removes player from kicked players set', async () => {
             const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
@@ -234,6 +290,112 @@ describe('RoomCollection', () => {
         });
     });
 
+    describe('setPlayerMutedInRoom', () => {
+        test('adds player to muted players with expiration', async () => {
+            const expiration = Date.now() + 60000;
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            await collection.create(room);
+
+            await collection.setPlayerMutedInRoom(room.roomID, PLAYER_ID, expiration);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom.mutedPlayerIDs).toEqual({[PLAYER_ID]: expiration});
+        });
+    });
+
+    describe('removePlayerFromMutedPlayersInRoom', () => {
+        test('removes player from muted players', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.mutedPlayerIDs = {[PLAYER_ID]: null, [OWNER_PLAYER_ID]: null};
+            await collection.create(room);
+
+            await collection.removePlayerFromMutedPlayersInRoom(room.roomID, PLAYER_ID);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom.mutedPlayerIDs).toEqual({[OWNER_PLAYER_ID]: null});
+        });
+    });
+
+    describe('setPlayerRoleInRoom', () => {
+        test('grants role to player', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            await collection.create(room);
+
+            await collection.setPlayerRoleInRoom(room.roomID, PLAYER_ID, 'co_host');
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom.playerRoles).toEqual({[PLAYER_ID]: 'co_host'});
+        });
+
+        test('replaces existing role', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.playerRoles = {[PLAYER_ID]: 'co_host'};
+            await collection.create(room);
+
+            await collection.setPlayerRoleInRoom(room.roomID, PLAYER_ID, 'spectator');
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom.playerRoles).toEqual({[PLAYER_ID]: 'spectator'});
+        });
+    });
+
+    describe('removePlayerRoleInRoom', () => {
+        test('revokes role from player', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.playerRoles = {[PLAYER_ID]: 'co_host', other: 'co_host'};
+            await collection.create(room);
+
+            await collection.removePlayerRoleInRoom(room.roomID, PLAYER_ID);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom.playerRoles).toEqual({other: 'co_host'});
+        });
+    });
+
+    describe('setRolePermissionsInRoom', () => {
+        test('sets permissions for role', async () => {
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.rolePermissions = {player: []};
+            await collection.create(room);
+
+            await collection.setRolePermissionsInRoom(room.roomID, 'co_host', ['kick_player']);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom.rolePermissions).toEqual({co_host: ['kick_player'], player: []});
+        });
+    });
+
+    describe('closeByID', () => {
+        test('marks room as closed and removes players', async () => {
+            const closedTime = new Date();
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            room.playerIDs.push(PLAYER_ID);
+            await collection.create(room);
+
+            await collection.closeByID(room.roomID, closedTime);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom).toEqual({...room, playerIDs: [], closed: true, closedTime: closedTime});
+        });
+    });
+
+    describe('archiveByID', () => {
+        test('marks room as archived', async () => {
+            const archivedTime = new Date();
+            const room = new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID);
+            await collection.create(room);
+
+            await collection.archiveByID(room.roomID, archivedTime);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom).toEqual({...room, archived: true, archivedTime: archivedTime});
+        });
+    });
+
+    describe('unarchiveByID', () => {
+        test('restores archived room', async () => {
+            const unarchivedTime = new Date();
+            const room = {...new Room(TEST_ROOM_CODE, OWNER_PLAYER_ID), archived: true, archivedTime: new Date(1000)};
+            await collection.create(room);
+
+            await collection.unarchiveByID(room.roomID, unarchivedTime);
+            const newRoom = await collection.getByID(room.roomID);
+            expect(newRoom).toEqual({...room, archived: false, archivedTime: null, unarchivedTime: unarchivedTime});
+        });
+    });
+
     async function testRoomHistory(func) {
         // Create test players.
         const player1 = new Player('Fred', 'fred@example.com');
@@ -12,6 +12,9 @@ export default class RoomLinkRequestCollection extends MongoCollection {
         this.getByEmail = this.getByEmail.bind(this);
         this.resolveByID = this.resolveByID.bind(this);
         this.setRoomByID = this.setRoomByID.bind(this);
+        this.setRoomCodeByRoomID = this.setRoomCodeByRoomID.bind(this);
+        this.getUnredeemedApprovedBefore = this.getUnredeemedApprovedBefore.bind(this);
+        this.expireByID = this.expireByID.bind(this);
     }
 
     /* Return the total number of requests in the collection, optionally filtered by resolution status. */
@@ -46,4 +49,19 @@ export default class RoomLinkRequestCollection extends MongoCollection {
     async setRoomByID(requestID, roomID, roomCode) {
         await this.updateByID(requestID, {roomID: roomID, roomCode: roomCode});
     }
+
+    /* Set the room code for the request that was used to create the room with the given ID (if any), after the room's code is changed. */
+    async setRoomCodeByRoomID(roomID, roomCode) {
+        await this.collection.updateOne({roomID: roomID}, {$set: {roomCode: roomCode}});
+    }
+
+    /* Return all approved requests (oldest first) that were approved before the given time and have neither been redeemed nor expired. */
+    async getUnredeemedApprovedBefore(resolvedTime) {
+        return await this.collection.find({resolution: RoomLinkRequestResolution.APPROVED, roomID: null, expired: {$ne: true}, resolvedTime: {$lt: resolvedTime}}).sort({resolvedTime: 1}).toArray();
+    }
+
+    /* Mark the given approved request as expired, so that it can no longer be used to create a room. */
+    async expireByID(requestID, expiredTime = new Date()) {
+        await this.updateByID(requestID, {expired: true, expiredTime: expiredTime});
+    }
 }
@@ -104,4 +104,45 @@ describe('RoomLinkRequestCollection', () => {
             expect(request.roomCode).toEqual(roomCode);
         });
     });
+
+    describe('setRoomCodeByRoomID', () => {
+        test('updates room code of request with matching room ID', async () => {
+            const request = new RoomLinkRequest('Fred', 'fred@example.com');
+            const otherRequest = new RoomLinkRequest('Barney', 'barney@example.com');
+            await collection.createMany([request, otherRequest]);
+            await collection.setRoomByID(request.requestID, 'room', 'TEST');
+            await collection.setRoomByID(otherRequest.requestID, 'other-room', 'ABCD');
+            await collection.setRoomCodeByRoomID('room', 'WXYZ');
+            expect((await collection.getByID(request.requestID)).roomCode).toEqual('WXYZ');
+            expect((await collection.getByID(otherRequest.requestID)).roomCode).toEqual('ABCD');
+        });
+    });
+
+    describe('getUnredeemedApprovedBefore', () => {
+        test('returns approved requests without rooms that were approved before time, oldest first', async () => {
+            const resolvedTime = new Date(2000);
+            await collection.createMany([
+                {...new RoomLinkRequest('Fred', 'fred@example.com'), resolution: RoomLinkRequestResolution.APPROVED, resolvedTime: new Date(1500)},
+                {...new RoomLinkRequest('Barney', 'barney@example.com'), resolution: RoomLinkRequestResolution.APPROVED, resolvedTime: new Date(1000)},
+                {...new RoomLinkRequest('Wilma', 'wilma@example.com'), resolution: RoomLinkRequestResolution.APPROVED, resolvedTime: new Date(1000), roomID: 'room'},
+                {...new RoomLinkRequest('Betty', 'betty@example.com'), resolution: RoomLinkRequestResolution.REJECTED, resolvedTime: new Date(1000)},
+                {...new RoomLinkRequest('Pebbles', 'pebbles@example.com'), resolution: RoomLinkRequestResolution.APPROVED, resolvedTime: new Date(1000), expired: true},
+                {...new RoomLinkRequest('Dino', 'dino@example.com'), resolution: RoomLinkRequestResolution.APPROVED, resolvedTime: new Date(3000)},
+            ]);
+            const requests = await collection.getUnredeemedApprovedBefore(resolvedTime);
+            expect(requests.map(request => request.name)).toEqual(['Barney', 'Fred']);
+        });
+    });
+
+    describe('expireByID', () => {
+        test('marks request with matching ID as expired', async () => {
+            const expiredTime = new Date();
+            const expectedRequest = new RoomLinkRequest('Fred', 'fred@example.com');
+            await collection.create(expectedRequest);
+            await collection.expireByID(expectedRequest.requestID, expiredTime);
+            const request = await collection.getByID(expectedRequest.requestID);
+            expect(request.expired).toBeTruthy();
+            expect(request.expiredTime).toEqual(expiredTime);
+        });
+    });
 });
@@ -0,0 +1,279 @@
+import SQLiteDatabase from 'better-sqlite3';
+import { sleep } from '../../utils.mjs';
+import { Database } from '../database.mjs';
+import DocumentChatMessageCollection from '../document/chatMessage.mjs';
+import DocumentEmailCollection from '../document/email.mjs';
+import DocumentGameCollection from '../document/game.mjs';
+import { applyUpdates, getSortComparator, isDate, matchesFilters } from '../document/operators.mjs';
+import DocumentPlayerCollection from '../document/player.mjs';
+import DocumentRoomCollection from '../document/room.mjs';
+import DocumentRoomLinkRequestCollection from '../document/roomLinkRequest.mjs';
+
+const DB_CLOSE_DELAY_MILLIS = 50;
+
+const DEFAULT_DB_PATH = 'alea.db';
+
+const IN_MEMORY_DB_PATH = ':memory:';
+
+const DEFAULT_COLLECTIONS = {
+    chatMessages: (db) => new DocumentChatMessageCollection(db),
+    emails: (db) => new DocumentEmailCollection(db),
+    games: (db) => new DocumentGameCollection(db),
+    players: (db) => new DocumentPlayerCollection(db),
+    rooms: (db) => new DocumentRoomCollection(db),
+    roomLinkRequests: (db) => new DocumentRoomLinkRequestCollection(db),
+};
+
+const DATE_KEY = '$date';
+
+const TABLE_NAME_PATTERN = /^\w+$/;
+
+/* Serialize the given document as JSON, encoding dates as {$date: <ISO string>} so that they survive a round trip. */
+export function serializeDocument(doc) {
+    return JSON.stringify(doc, function (key, value) {
+        const rawValue = this[key];
+        return (isDate(rawValue) ? {[DATE_KEY]: rawValue.toISOString()} : value);
+    });
+}
+
+/* Deserialize the given JSON document, decoding dates encoded by serializeDocument. */
+export function deserializeDocument(json) {
+    return JSON.parse(json, (key, value) => {
+        if (value !== null && typeof value === 'object' && typeof value[DATE_KEY] === 'string' && Object.keys(value).length === 1) {
+            return new Date(value[DATE_KEY]);
+        }
+        return value;
+    });
+}
+
+/* Return the SQLite JSON path for the given (possibly dotted) field name, or null if the name cannot be safely quoted. */
+function getJSONPath(fieldName) {
+    const keys = fieldName.split('.');
+    if (keys.some(key => !key || key.includes('"') || key.startsWith('$'))) {
+        return null;
+    }
+    return '$' + keys.map(key => `."${key}"`).join('');
+}
+
+/* Return the SQL condition (and its parameters) for matching the given field against the given value, or null if unsupported. */
+function getCondition(fieldName, value) {
+    if (fieldName === '_id') {
+        if (typeof value === 'string') {
+            return {sql: 'id = ?', params: [value]};
+        }
+        if (value !== null && typeof value === 'object' && Object.keys(value).length === 1 && Array.isArray(value.$in) &&
+            value.$in.every(id => typeof id === 'string')) {
+            if (!value.$in.length) {
+                return {sql: '0', params: []};
+            }
+            return {sql: `id IN (${value.$in.map(_ => '?').join(', ')})`, params: value.$in};
+        }
+        return null;
+    }
+    const path = getJSONPath(fieldName);
+    if (!path) {
+        return null;
+    }
+    if (value === null) {
+        return {sql: "(json_type(data, ?) IS NULL OR json_type(data, ?) = 'null')", params: [path, path]};
+    }
+    if (typeof value === 'boolean') {
+        return {sql: 'json_type(data, ?) = ?', params: [path, value ? 'true' : 'false']};
+    }
+    if (typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value))) {
+        // Like MongoDB, a scalar value matches an array field if the array contains the value.
+        return {
+            sql: "(json_extract(data, ?) = ? OR (json_type(data, ?) = 'array' AND EXISTS (SELECT 1 FROM json_each(data, ?) WHERE json_each.value = ?)))",
+            params: [path, value, path, path, value],
+        };
+    }
+    return null;
+}
+
+/*
+ * Return the SQL WHERE clause (and its parameters) for the given filters, or null if the filters cannot be expressed in SQL.
+ * Only IDs and simple equality filters are translated; other filters are evaluated in JavaScript.
+ */
+function getWhereClause(filters) {
+    const conditions = [];
+    const params = [];
+    for (let [fieldName, value] of Object.entries(filters || {})) {
+        const condition = getCondition(fieldName, value);
+        if (!condition) {
+            return null;
+        }
+        conditions.push(condition.sql);
+        params.push(...condition.params);
+    }
+    return {sql: (conditions.length ? conditions.join(' AND ') : '1'), params: params};
+}
+
+/* Return the SQL ORDER BY clause (and its parameters) for the given sort criteria, or null if the criteria cannot be expressed in SQL. */
+function getOrderByClause(sort) {
+    const terms = [];
+    const params = [];
+    for (let [fieldName, direction] of Object.entries(sort || {})) {
+        const path = getJSONPath(fieldName);
+        if (!path) {
+            return null;
+        }
+        terms.push(`json_extract(data, ?) ${direction < 0 ? 'DESC' : 'ASC'}`);
+        params.push(path);
+    }
+    // Fall back to insertion order, like MongoDB's natural order.
+    terms.push('rowid ASC');
+    return {sql: terms.join(', '), params: params};
+}
+
+/*
+ * Store for the documents in a single collection, held in a SQLite table with one JSON document per row.
+ * Filters are evaluated in SQL where possible and in JavaScript otherwise.
+ */
+export class SQLiteStore {
+    /* Create a store for the given table in the given SQLite database, creating the table if necessary. */
+    constructor(db, tableName) {
+        if (!TABLE_NAME_PATTERN.test(tableName)) {
+            throw new Error(`Invalid table name: ${tableName}`);
+        }
+        this.db = db;
+        this.table = `"${tableName}"`;
+        this.db.exec(`CREATE TABLE IF NOT EXISTS ${this.table} (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+    }
+
+    /* Return the documents matching the given filters, optionally sorted, skipped, and limited. */
+    query(filters, sort = null, skip = 0, limit = 0) {
+        const where = getWhereClause(filters);
+        const orderBy = getOrderByClause(sort);
+        if (where && orderBy) {
+            let sql = `SELECT data FROM ${this.table} WHERE ${where.sql} ORDER BY ${orderBy.sql}`;
+            let params = [...where.params, ...orderBy.params];
+            if (skip || limit) {
+                sql += ' LIMIT ? OFFSET ?';
+                params.push(limit || -1, skip || 0);
+            }
+            return this.db.prepare(sql).all(...params).map(row => deserializeDocument(row.data));
+        }
+        let docs = this.db.prepare(`SELECT data FROM ${this.table} ORDER BY rowid ASC`).all()
+            .map(row => deserializeDocument(row.data))
+            .filter(doc => matchesFilters(doc, filters));
+        if (sort) {
+            docs.sort(getSortComparator(sort));
+        }
+        if (skip || limit) {
+            docs = docs.slice(skip || 0, limit ? (skip || 0) + limit : undefined);
+        }
+        return docs;
+    }
+
+    /* Insert the given documents into the store. Throws an error (without inserting anything) if any ID already exists. */
+    async insert(documents) {
+        const statement = this.db.prepare(`INSERT INTO ${this.table} (id, data) VALUES (?, ?)`);
+        try {
+            this.db.transaction(() => {
+                documents.forEach(doc => statement.run(doc._id, serializeDocument(doc)));
+            })();
+        } catch (e) {
+            throw new Error(`Failed to insert into ${this.table}: ${e.message}`);
+        }
+    }
+
+    /* Return the documents matching the given filters, optionally sorted, skipped, and limited. */
+    async find(filters = {}, sort = null, skip = 0, limit = 0) {
+        return this.query(filters, sort, skip, limit);
+    }
+
+    /* Return the first document matching the given filters, or null if there is no matching document. */
+    async findOne(filters = {}) {
+        return this.query(filters, null, 0, 1)[0] || null;
+    }
+
+    /* Return the number of documents matching the given filters. */
+    async count(filters = {}) {
+        const where = getWhereClause(filters);
+        if (where) {
+            return this.db.prepare(`SELECT COUNT(*) AS count FROM ${this.table} WHERE ${where.sql}`).get(...where.params).count;
+        }
+        return this.query(filters).length;
+    }
+
+    /*
+     * Apply the given updates to the first document matching the given filters. Returns the number of updated documents.
+     * The document is read, updated, and written back within a single transaction, so concurrent updates are not lost.
+     */
+    async update(filters, updates, arrayFilters = null) {
+        return this.db.transaction(() => {
+            const doc = this.query(filters, null, 0, 1)[0];
+            if (!doc) {
+                return 0;
+            }
+            applyUpdates(doc, updates, arrayFilters);
+            this.db.prepare(`UPDATE ${this.table} SET data = ? WHERE id = ?`).run(serializeDocument(doc), doc._id);
+            return 1;
+        }).immediate();
+    }
+
+    /* Delete all documents matching the given filters. Returns the number of deleted documents. */
+    async delete(filters = {}) {
+        const where = getWhereClause(filters);
+        if (where) {
+            return this.db.prepare(`DELETE FROM ${this.table} WHERE ${where.sql}`).run(...where.params).changes;
+        }
+        const statement = this.db.prepare(`DELETE FROM ${this.table} WHERE id = ?`);
+        return this.db.transaction(() => {
+            const docs = this.query(filters);
+            docs.forEach(doc => statement.run(doc._id));
+            return docs.length;
+        })();
+    }
+}
+
+/* Database backed by a single SQLite database file, intended for small self-hosted deployments. */
+export class SQLiteDB extends Database {
+    /*
+     * Create a SQLiteDB using the given SQLite database handle and optional override collections.
+     * NOTE: The static factory method SQLiteDB.new() should typically be used instead of invoking this constructor!
+     */
+    constructor(sqliteDB, collections = {}) {
+        super();
+        this.db = sqliteDB;
+        this.stores = {};
+        this.initCollections(DEFAULT_COLLECTIONS, collections, this);
+    }
+
+    /* Return a new SQLiteDB using the given config (db.path is the path to the database file) and optional override collections. */
+    static async new(config, collections = {}) {
+        const path = config?.db?.path || DEFAULT_DB_PATH;
+        const db = new SQLiteDatabase(path);
+        if (path !== IN_MEMORY_DB_PATH) {
+            db.pragma('journal_mode = WAL');
+        }
+        return new SQLiteDB(db, collections);
+    }
+
+    /* Return the store for the collection with the given name, creating it (and its table) if necessary. */
+    getStore(collectionName) {
+        if (!this.stores[collectionName]) {
+            this.stores[collectionName] = new SQLiteStore(this.db, collectionName);
+        }
+        return this.stores[collectionName];
+    }
+
+    /* Close the underlying connection to the database. */
+    async close(delay = false) {
+        if (delay) {
+            await sleep(DB_CLOSE_DELAY_MILLIS);
+        }
+        if (this.db.open) {
+            this.db.close();
+        }
+    }
+
+    /* Execute an ad-hoc command on the underlying database. Only the ping command (used for status checks) is supported. */
+    async command(cmd) {
+        if (cmd?.ping) {
+            this.db.prepare('SELECT 1').get();
+            return {ok: 1};
+        }
+        throw new Error(`Unsupported command: ${JSON.stringify(cmd)}`);
+    }
+}
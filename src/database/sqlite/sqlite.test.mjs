@@ -0,0 +1,218 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import SQLiteDatabase from 'better-sqlite3';
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { deserializeDocument, serializeDocument, SQLiteDB, SQLiteStore } from './sqlite.mjs';
+
+const TEST_TABLE_NAME = 'widgets';
+
+const TEST_DOCUMENTS = [
+    {_id: 'widget1', name: 'test1', active: true, tags: ['a', 'b'], createdTime: new Date(3000)},
+    {_id: 'widget2', name: 'test2', active: false, tags: ['b'], createdTime: new Date(1000)},
+    {_id: 'widget3', name: 'test3', active: true, tags: [], createdTime: new Date(2000)},
+];
+
+describe('serializeDocument', () => {
+    test('round trips documents with dates', () => {
+        const doc = {name: 'test', createdTime: new Date(), nested: {times: [new Date(5)]}, missing: null};
+        const newDoc = deserializeDocument(serializeDocument(doc));
+        expect(newDoc).toEqual(doc);
+        expect(newDoc.createdTime.getTime()).toEqual(doc.createdTime.getTime());
+    });
+});
+
+describe('SQLiteStore', () => {
+    let db;
+    let store;
+
+    beforeEach(async () => {
+        db = new SQLiteDatabase(':memory:');
+        store = new SQLiteStore(db, TEST_TABLE_NAME);
+        await store.insert(TEST_DOCUMENTS);
+    });
+
+    afterEach(() => {
+        db.close();
+    });
+
+    describe('constructor', () => {
+        test('creates table', () => {
+            const table = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(TEST_TABLE_NAME);
+            expect(table).toBeDefined();
+        });
+
+        test('throws error for invalid table name', () => {
+            expect(() => new SQLiteStore(db, 'widgets; DROP TABLE widgets')).toThrow(Error);
+        });
+    });
+
+    describe('insert', () => {
+        test('throws error without inserting anything on duplicate ID', async () => {
+            const docs = [{_id: 'widget4'}, {_id: 'widget1'}];
+            await expect(async () => await store.insert(docs)).rejects.toThrow(Error);
+            expect(await store.count()).toEqual(TEST_DOCUMENTS.length);
+        });
+    });
+
+    describe('find', () => {
+        test('no filters returns documents in insertion order', async () => {
+            expect(await store.find()).toEqual(TEST_DOCUMENTS);
+        });
+
+        test('simple filters evaluated in SQL', async () => {
+            const spy = jest.spyOn(db, 'prepare');
+            expect(await store.find({active: true})).toEqual([TEST_DOCUMENTS[0], TEST_DOCUMENTS[2]]);
+            expect(await store.find({tags: 'b'})).toEqual([TEST_DOCUMENTS[0], TEST_DOCUMENTS[1]]);
+            expect(await store.find({_id: {$in: ['widget3', 'widget2']}})).toEqual([TEST_DOCUMENTS[1], TEST_DOCUMENTS[2]]);
+            expect(await store.find({missing: null})).toEqual(TEST_DOCUMENTS);
+            spy.mock.calls.forEach(([sql]) => expect(sql).toContain('WHERE'));
+        });
+
+        test('complex filters evaluated in JavaScript', async () => {
+            expect(await store.find({createdTime: {$lt: new Date(2500)}})).toEqual([TEST_DOCUMENTS[1], TEST_DOCUMENTS[2]]);
+            expect(await store.find({$or: [{name: 'test1'}, {name: 'test3'}]})).toEqual([TEST_DOCUMENTS[0], TEST_DOCUMENTS[2]]);
+        });
+
+        test('sorts, skips, and limits results', async () => {
+            expect(await store.find({}, {createdTime: -1}, 1, 1)).toEqual([TEST_DOCUMENTS[2]]);
+            expect(await store.find({active: true}, {createdTime: 1})).toEqual([TEST_DOCUMENTS[2], TEST_DOCUMENTS[0]]);
+            expect(await store.find({createdTime: {$gt: new Date(0)}}, {createdTime: 1}, 0, 2)).toEqual([TEST_DOCUMENTS[1], TEST_DOCUMENTS[2]]);
+        });
+    });
+
+    describe('findOne', () => {
+        test('returns first matching document', async () => {
+            expect(await store.findOne({active: true})).toEqual(TEST_DOCUMENTS[0]);
+        });
+
+        test('returns null if no document matches', async () => {
+            expect(await store.findOne({_id: 'widget4'})).toBeNull();
+        });
+    });
+
+    describe('count', () => {
+        test('counts matching documents', async () => {
+            expect(await store.count()).toEqual(3);
+            expect(await store.count({active: false})).toEqual(1);
+            expect(await store.count({createdTime: {$gte: new Date(2000)}})).toEqual(2);
+        });
+    });
+
+    describe('update', () => {
+        test('updates first matching document', async () => {
+            const count = await store.update({active: true}, {$set: {name: 'updated'}, $inc: {'stats.gamesPlayed': 1}});
+            expect(count).toEqual(1);
+            const doc = await store.findOne({_id: 'widget1'});
+            expect(doc).toEqual({...TEST_DOCUMENTS[0], name: 'updated', stats: {gamesPlayed: 1}});
+        });
+
+        test('does nothing if no document matches', async () => {
+            const count = await store.update({_id: 'widget4'}, {$set: {name: 'updated'}});
+            expect(count).toEqual(0);
+        });
+
+        test('does not partially apply failed updates', async () => {
+            await expect(async () => await store.update({_id: 'widget1'}, {$set: {name: 'updated'}, $push: {name: 'a'}})).rejects.toThrow(Error);
+            expect(await store.findOne({_id: 'widget1'})).toEqual(TEST_DOCUMENTS[0]);
+        });
+    });
+
+    describe('delete', () => {
+        test('deletes documents matching simple filters', async () => {
+            expect(await store.delete({active: true})).toEqual(2);
+            expect(await store.find()).toEqual([TEST_DOCUMENTS[1]]);
+        });
+
+        test('deletes documents matching complex filters', async () => {
+            expect(await store.delete({createdTime: {$lt: new Date(2500)}})).toEqual(2);
+            expect(await store.find()).toEqual([TEST_DOCUMENTS[0]]);
+        });
+    });
+});
+
+describe('SQLiteDB', () => {
+    describe('constructor', () => {
+        test('sets expected fields', () => {
+            const sqliteDB = new SQLiteDatabase(':memory:');
+            const db = new SQLiteDB(sqliteDB);
+            expect(db.db).toBe(sqliteDB);
+            expect(db.stores).toBeDefined();
+            expect(db.games).toBeDefined();
+            expect(db.players).toBeDefined();
+            expect(db.rooms).toBeDefined();
+            expect(db.roomLinkRequests).toBeDefined();
+            sqliteDB.close();
+        });
+
+        test('additional custom collections', () => {
+            const mockCollection = {};
+            const collections = {
+                tests: jest.fn().mockReturnValue(mockCollection),
+            };
+            const db = new SQLiteDB(new SQLiteDatabase(':memory:'), collections);
+            expect(db.tests).toBe(mockCollection);
+            expect(collections.tests).toHaveBeenCalledWith(db);
+            db.db.close();
+        });
+    });
+
+    describe('new', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alea-sqlite-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, {recursive: true, force: true});
+        });
+
+        test('data persists in database file', async () => {
+            const config = {
+                db: {path: path.join(dir, 'test.db')},
+            };
+            let db = await SQLiteDB.new(config);
+            await db.players.create({playerID: 'player', name: 'Fred'});
+            await db.close();
+
+            db = await SQLiteDB.new(config);
+            const player = await db.players.getByID('player');
+            expect(player.name).toEqual('Fred');
+            await db.close();
+        });
+    });
+
+    describe('getStore', () => {
+        test('returns same store for the same collection', async () => {
+            const db = await SQLiteDB.new({db: {path: ':memory:'}});
+            const store = db.getStore('games');
+            expect(store).toBeInstanceOf(SQLiteStore);
+            expect(db.getStore('games')).toBe(store);
+            await db.close();
+        });
+    });
+
+    describe('close', () => {
+        test('closes database connection only once', async () => {
+            const db = await SQLiteDB.new({db: {path: ':memory:'}});
+            await db.close();
+            expect(db.db.open).toBeFalsy();
+            await db.close(true);
+        });
+    });
+
+    describe('command', () => {
+        test('runs ping command successfully', async () => {
+            const db = await SQLiteDB.new({db: {path: ':memory:'}});
+            expect(await db.command({ping: 1})).toEqual({ok: 1});
+            await db.close();
+        });
+
+        test('throws error for unsupported command', async () => {
+            const db = await SQLiteDB.new({db: {path: ':memory:'}});
+            await expect(async () => await db.command({dropDatabase: 1})).rejects.toThrow(Error);
+            await db.close();
+        });
+    });
+});
@@ -0,0 +1,234 @@
+/*
+ * English message catalog. English is the default locale, so every message must be defined here;
+ * other catalogs fall back to these messages for any message they do not define.
+ */
+export default {
+    /* Messages for error responses from the REST API, keyed by error code. */
+    errors: {
+        ADMIN_REQUIRED: 'Admin privileges required',
+        DELETE_PLAYER_FORBIDDEN: 'Not authorized to delete player "{{playerID}}"',
+        EMAIL_CONFLICT: 'Player with email "{{email}}" already exists',
+        EMAIL_NOT_FOUND: 'Player with email "{{email}}" not found',
+        EXPORT_PLAYER_FORBIDDEN: 'Not authorized to export player "{{playerID}}"',
+        FAILED_TO_COUNT_ITEMS: 'Failed to get count of {{items}}',
+        FAILED_TO_DELETE_PLAYER: 'Failed to delete player from database',
+        FAILED_TO_EXPORT_PLAYER: 'Failed to get player data from database',
+        FAILED_TO_FINISH_GAME: 'Failed to finish game',
+        FAILED_TO_GET_ITEMS: 'Failed to get {{items}}',
+        FAILED_TO_GET_PLAYERS: 'Failed to get players',
+        FAILED_TO_RESOLVE_ROOM_LINK_REQUEST: 'Failed to resolve room link request: {{error}}',
+        FAILED_TO_RETRY_QUEUED_EMAIL: 'Failed to retry queued email',
+        FAILED_TO_RUN_MAINTENANCE: 'Failed to run maintenance job',
+        FAILED_TO_SAVE_GAME: 'Failed to save game to database: {{error}}',
+        FAILED_TO_SAVE_PLAYER: 'Failed to save player to database',
+        FAILED_TO_SAVE_ROOM: 'Failed to save room to database',
+        FAILED_TO_SAVE_ROOM_LINK_REQUEST: 'Failed to save room link request to database: {{error}}',
+        FAILED_TO_UPDATE_DATABASE: 'Failed to update database',
+        FAILED_TO_UPDATE_PLAYER: 'Failed to update player in database',
+        FAILED_TO_UPDATE_ROOM: 'Failed to update room in database',
+        FIELD_REQUIRED: '{{label}} is required',
+        GAME_ALREADY_FINISHED: 'Game "{{gameID}}" has already finished',
+        GAME_NOT_ACTIVE: 'Game "{{gameID}}" is not active in its room',
+        GAME_NOT_FOUND: 'Game "{{gameID}}" not found',
+        GAME_UPDATE_CONFLICT: 'Game "{{gameID}}" was updated while finishing',
+        HEALTH_CHECK_FAILED: 'Health check failed',
+        HOST_OR_OWNER_REQUIRED_TO_MODERATE: 'Not authorized to moderate room "{{roomID}}"',
+        HOST_REQUIRED_TO_FINISH_GAME: 'Only the host may finish games',
+        INVALID_ACTIVE_FILTER: 'Invalid active filter "{{active}}"',
+        INVALID_ARCHIVED_FILTER: 'Invalid archived filter "{{archived}}"',
+        INVALID_DURATION: 'Invalid duration "{{duration}}"',
+        INVALID_EMAIL_STATUS: 'Invalid email status "{{status}}"',
+        INVALID_FIELD: 'Invalid {{name}}',
+        INVALID_FIELD_VALUE: 'Invalid {{name}} "{{value}}"',
+        INVALID_OWNER_PLAYER_ID: 'Invalid owner player ID "{{playerID}}"',
+        INVALID_PAGE: 'Invalid page "{{page}}"',
+        INVALID_REQUEST_BODY: 'Invalid request body',
+        INVALID_RESOLUTION: 'Invalid resolution "{{resolution}}"',
+        INVALID_RESTORATION_TOKEN: 'Invalid or expired restoration token',
+        INVALID_ROOM_CODE: 'Invalid room code "{{roomCode}}"',
+        INVALID_ROOM_LINK_REQUEST_ID: 'Invalid room link request ID "{{requestID}}"',
+        INVALID_SESSION: 'Invalid or missing session token',
+        INVALID_VERIFICATION_TOKEN: 'Invalid or expired email verification token',
+        MAX_PLAYERS_EXCEEDED: 'Maximum number of players ({{maxPlayers}}) exceeded',
+        MISSING_ROOM_LINK_REQUEST_ID: 'Missing room link request ID',
+        MODERATOR_OUTRANKED_BY_PLAYER: 'Not authorized to moderate player "{{playerID}}" in room "{{roomID}}"',
+        OUTBOX_MESSAGE_NOT_FOUND: 'Outbox message "{{messageID}}" not found',
+        OWNER_SESSION_MISMATCH: 'Owner player ID does not match session',
+        PLAYER_NOT_FOUND: 'Player "{{playerID}}" not found',
+        PLAYER_NOT_KICKED_FROM_ROOM: 'Player "{{playerID}}" is not kicked from room "{{roomID}}"',
+        PLAYER_NOT_MUTED_IN_ROOM: 'Player "{{playerID}}" is not muted in room "{{roomID}}"',
+        QUEUED_EMAIL_NOT_FAILED: 'Queued email "{{emailID}}" has not failed',
+        QUEUED_EMAIL_NOT_FOUND: 'Queued email "{{emailID}}" not found',
+        RATE_LIMITED: 'Too many requests',
+        ROOM_CLOSED: 'Room "{{roomID}}" is closed',
+        ROOM_CODE_CONFLICT: 'Room with code "{{roomCode}}" already exists',
+        ROOM_LINK_REQUEST_CONFLICT: 'Room link request already exists for email "{{email}}"',
+        ROOM_LINK_REQUEST_EXPIRED: 'Room link request "{{requestID}}" has expired',
+        ROOM_LINK_REQUEST_NOT_FOUND: 'Room link request "{{requestID}}" not found',
+        ROOM_LINK_REQUEST_REDEEMED: 'Room link request "{{requestID}}" has already been redeemed',
+        ROOM_LINK_REQUEST_RESOLVED: 'Room link request "{{requestID}}" is already resolved',
+        ROOM_NOT_FOUND: 'Room "{{roomID}}" not found',
+        ROOM_OWNER_REQUIRED: 'Only the owner may manage room "{{roomID}}"',
+        UPDATE_PLAYER_FORBIDDEN: 'Not authorized to update player "{{playerID}}"',
+    },
+
+    /* Messages for ERROR events sent to websocket clients, keyed by error code. */
+    websocketErrors: {
+        CHAT_MESSAGE_AUTHOR_REQUIRED: 'only the author may edit a chat message',
+        CHAT_MESSAGE_NOT_FOUND: 'chat message not found',
+        CHAT_MESSAGE_TOO_LONG: 'chat message is too long (maximum {{maxLength}} characters)',
+        FAILED_TO_GET_PLAYERS: 'failed to get players',
+        GAME_ALREADY_FINISHED: 'game has finished',
+        GAME_NOT_ACTIVE: 'game not active in room',
+        GAME_NOT_FOUND: 'game not found',
+        GAME_STATE_CONFLICT: 'game state changed during action',
+        HOST_OR_OWNER_REQUIRED_TO_MODERATE: 'only the host or owner may moderate the room',
+        HOST_REQUIRED_TO_ABANDON_GAME: 'only the host may abandon games',
+        HOST_REQUIRED_TO_DELETE_CHAT_MESSAGE: 'only the host may delete chat messages from other players',
+        HOST_REQUIRED_TO_END_GAME: 'only the host may end games',
+        HOST_REQUIRED_TO_KICK_PLAYER: 'only the host may kick players',
+        HOST_REQUIRED_TO_REASSIGN_ROOM_HOST: 'only the host may reassign the room host',
+        INVALID_DURATION: 'invalid duration',
+        INVALID_PASSWORD: 'invalid password',
+        INVALID_ROOM_PERMISSIONS: 'invalid permissions',
+        INVALID_ROOM_ROLE: 'invalid role',
+        INVALID_SESSION: 'invalid session token',
+        MAX_PLAYERS_EXCEEDED: 'max players exceeded',
+        MISSING_CHAT_MESSAGE_ID: 'missing chat message ID',
+        MISSING_CHAT_MESSAGE_TEXT: 'missing chat message text',
+        MISSING_GAME_ACTION: 'missing game action',
+        MISSING_GAME_ID: 'missing game ID',
+        MISSING_PLAYER_ID: 'missing player ID',
+        MISSING_ROOM_CODE: 'missing room code',
+        MISSING_ROOM_ID: 'missing room ID',
+        MISSING_SESSION: 'missing session',
+        MODERATOR_OUTRANKED_BY_PLAYER: 'may not kick or moderate a player whose role is equal to or above your own',
+        OWNER_REQUIRED_TO_MANAGE_ROLES: 'only the owner may manage roles',
+        PLAYER_HAS_NO_ROLE_IN_ROOM: 'player has no role in room',
+        PLAYER_HAS_SPECTATOR_ROLE: 'players with the spectator role may only spectate',
+        PLAYER_KICKED_FROM_ROOM: 'player was kicked from room',
+        PLAYER_NOT_FOUND: 'player not found',
+        PLAYER_NOT_IN_GAME: 'player not in game',
+        PLAYER_MUTED_IN_ROOM: 'player is muted in room',
+        PLAYER_NOT_IN_ROOM: 'player not in room',
+        PLAYER_NOT_KICKED_FROM_ROOM: 'player is not kicked from room',
+        PLAYER_NOT_MUTED_IN_ROOM: 'player is not muted in room',
+        RATE_LIMITED: 'too many requests',
+        ROOM_CLOSED: 'room is closed',
+        ROOM_NOT_FOUND: 'room not found',
+        SESSION_PLAYER_MISMATCH: 'player does not match session',
+        UNKNOWN_GAME_ACTION: 'unknown game action',
+    },
+
+    /* Default templates (subject and plain text) for each type of email message (see templates.mjs). */
+    emails: {
+        playerDeleted: {
+            subject: '[{{appName}}] Your player account was deleted',
+            text: (
+                'Dear {{name}},\n' +
+                '\n' +
+                'Your player account on {{appName}} has been deleted, as you requested. Your name and email address have been removed from our records, and your scores in previous games are no longer associated with you.\n' +
+                '\n' +
+                'If you did not make this request, please contact the administrator at {{adminEmail}} to report potential abuse.\n' +
+                '\n' +
+                '{{salutation}}\n' +
+                '{{signature}}'
+            ),
+        },
+        playerEmailUpdated: {
+            subject: '[{{appName}}] Your email address was changed on {{appName}}',
+            text: (
+                'Dear {{name}},\n' +
+                '\n' +
+                'We recently received a request to change the email address on your {{appName}} account from this address to {{email}}. If you made this request, no further action is required.\n' +
+                '\n' +
+                'If you did not make this request, please contact the administrator at {{adminEmail}} to report potential abuse.\n' +
+                '\n' +
+                '{{salutation}}\n' +
+                '{{signature}}'
+            ),
+        },
+        playerEmailVerification: {
+            subject: '[{{appName}}] {{name}}, please verify your email address',
+            text: (
+                'Dear {{name}},\n' +
+                '\n' +
+                'We recently received a request to use this email address for your {{appName}} account. If this was you, please use the link below to verify your email address:\n' +
+                '\n' +
+                '{{verificationURL}}\n' +
+                '\n' +
+                'Your email address will not be added to your account until it has been verified. If you did not make this request, you can safely ignore this email.\n' +
+                '\n' +
+                '{{salutation}}\n' +
+                '{{signature}}'
+            ),
+        },
+        playerRegistered: {
+            subject: '[{{appName}}] Welcome to {{appName}}, {{name}}!',
+            text: (
+                'Dear {{name}},\n' +
+                '\n' +
+                'Thank you for registering your account with {{appName}}! By registering with your email address, you will be able to restore your player account if you ever lose it in the future.\n' +
+                '\n' +
+                'If you did not recently create an account at {{appBaseURL}}, please contact the administrator at {{adminEmail}} to report potential abuse.\n' +
+                '\n' +
+                '{{salutation}}\n' +
+                '{{signature}}'
+            ),
+        },
+        playerRetrieval: {
+            subject: "[{{appName}}] {{name}}, here's your player restoration link!",
+            text: (
+                'Dear {{name}},\n' +
+                '\n' +
+                'We recently received a request to restore your previous player account on {{appName}}. If this was you, please use the link below to restore your account:\n' +
+                '\n' +
+                '{{restorationURL}}\n' +
+                '\n' +
+                'This link can only be used once, and will expire soon. If it has expired, you can request a new link at any time.\n' +
+                '\n' +
+                'If you did not make this request, please contact the administrator at {{adminEmail}} to report potential abuse.\n' +
+                '\n' +
+                '{{salutation}}\n' +
+                '{{signature}}'
+            ),
+        },
+        roomCreated: {
+            subject: '[{{appName}}] Room {{roomCode}} created successfully',
+            text: (
+                'Dear {{name}},\n' +
+                '\n' +
+                'Your room {{roomCode}} is now ready to go!\n' +
+                '\n' +
+                "When you're ready, visit {{roomURL}} to play unlimited {{gameType}} with your friends!\n" +
+                '\n' +
+                'This link will always be yours, so feel free to bookmark it, or send it to others so they can play with you.\n' +
+                '{{signature}}'
+            ),
+        },
+        roomLinkRequestApproved: {
+            subject: '[{{appName}}] {{name}}, your room link request has been approved!',
+            text: (
+                'Dear {{name}},\n' +
+                '\n' +
+                'Your request to create a new room in {{appName}} has just been approved!\n' +
+                '\n' +
+                'Please visit {{requestURL}} and click "Create New Room" to create your room. If you have never played {{appName}} before, you will have to create a player before you can create a room.\n' +
+                '\n' +
+                'Once you have created your room, you can send the room code or a link to the room to your friends, and they can join your room and play with you.\n' +
+                '\n' +
+                '{{salutation}}\n' +
+                '{{signature}}'
+            ),
+        },
+        roomLinkRequestCreated: {
+            subject: '[{{appName}}] New room link request',
+            text: (
+                'A new {{appName}} room link request has just been submitted by {{name}} ({{email}}).\n' +
+                '\n' +
+                'Please visit {{appBaseURL}} to approve or reject this request.\n' +
+                '{{adminSignature}}'
+            ),
+        },
+    },
+};
@@ -0,0 +1,231 @@
+/* Spanish message catalog. Any message not defined here falls back to the English catalog. */
+export default {
+    /* Messages for error responses from the REST API, keyed by error code. */
+    errors: {
+        ADMIN_REQUIRED: 'Se requieren privilegios de administrador',
+        DELETE_PLAYER_FORBIDDEN: 'No está autorizado para eliminar el jugador "{{playerID}}"',
+        EMAIL_CONFLICT: 'Ya existe un jugador con el correo electrónico "{{email}}"',
+        EMAIL_NOT_FOUND: 'No se encontró ningún jugador con el correo electrónico "{{email}}"',
+        EXPORT_PLAYER_FORBIDDEN: 'No está autorizado para exportar el jugador "{{playerID}}"',
+        FAILED_TO_COUNT_ITEMS: 'No se pudo obtener el número de {{items}}',
+        FAILED_TO_DELETE_PLAYER: 'No se pudo eliminar el jugador de la base de datos',
+        FAILED_TO_EXPORT_PLAYER: 'No se pudieron obtener los datos del jugador de la base de datos',
+        FAILED_TO_FINISH_GAME: 'No se pudo terminar la partida',
+        FAILED_TO_GET_ITEMS: 'No se pudieron obtener {{items}}',
+        FAILED_TO_GET_PLAYERS: 'No se pudieron obtener los jugadores',
+        FAILED_TO_RESOLVE_ROOM_LINK_REQUEST: 'No se pudo resolver la solicitud de enlace de sala: {{error}}',
+        FAILED_TO_RETRY_QUEUED_EMAIL: 'No se pudo reintentar el correo electrónico en cola',
+        FAILED_TO_RUN_MAINTENANCE: 'No se pudo ejecutar la tarea de mantenimiento',
+        FAILED_TO_SAVE_GAME: 'No se pudo guardar la partida en la base de datos: {{error}}',
+        FAILED_TO_SAVE_PLAYER: 'No se pudo guardar el jugador en la base de datos',
+        FAILED_TO_SAVE_ROOM: 'No se pudo guardar la sala en la base de datos',
+        FAILED_TO_SAVE_ROOM_LINK_REQUEST: 'No se pudo guardar la solicitud de enlace de sala en la base de datos: {{error}}',
+        FAILED_TO_UPDATE_DATABASE: 'No se pudo actualizar la base de datos',
+        FAILED_TO_UPDATE_PLAYER: 'No se pudo actualizar el jugador en la base de datos',
+        FAILED_TO_UPDATE_ROOM: 'No se pudo actualizar la sala en la base de datos',
+        FIELD_REQUIRED: '{{label}} es obligatorio',
+        GAME_ALREADY_FINISHED: 'La partida "{{gameID}}" ya ha terminado',
+        GAME_NOT_ACTIVE: 'La partida "{{gameID}}" no está activa en su sala',
+        GAME_NOT_FOUND: 'No se encontró la partida "{{gameID}}"',
+        GAME_UPDATE_CONFLICT: 'La partida "{{gameID}}" se actualizó mientras se terminaba',
+        HEALTH_CHECK_FAILED: 'La comprobación de estado falló',
+        HOST_OR_OWNER_REQUIRED_TO_MODERATE: 'No autorizado para moderar la sala "{{roomID}}"',
+        HOST_REQUIRED_TO_FINISH_GAME: 'Solo el anfitrión puede terminar partidas',
+        INVALID_ACTIVE_FILTER: 'Filtro de actividad no válido "{{active}}"',
+        INVALID_ARCHIVED_FILTER: 'Filtro de archivado no válido "{{archived}}"',
+        INVALID_DURATION: 'Duración no válida "{{duration}}"',
+        INVALID_EMAIL_STATUS: 'Estado de correo electrónico no válido "{{status}}"',
+        INVALID_FIELD: 'Valor no válido para {{name}}',
+        INVALID_FIELD_VALUE: 'Valor no válido para {{name}}: "{{value}}"',
+        INVALID_OWNER_PLAYER_ID: 'ID de jugador propietario no válido "{{playerID}}"',
+        INVALID_PAGE: 'Página no válida "{{page}}"',
+        INVALID_REQUEST_BODY: 'Cuerpo de la solicitud no válido',
+        INVALID_RESOLUTION: 'Resolución no válida "{{resolution}}"',
+        INVALID_RESTORATION_TOKEN: 'El token de restauración no es válido o ha caducado',
+        INVALID_ROOM_CODE: 'Código de sala no válido "{{roomCode}}"',
+        INVALID_ROOM_LINK_REQUEST_ID: 'ID de solicitud de enlace de sala no válido "{{requestID}}"',
+        INVALID_SESSION: 'Token de sesión no válido o ausente',
+        INVALID_VERIFICATION_TOKEN: 'El token de verificación de correo electrónico no es válido o ha caducado',
+        MAX_PLAYERS_EXCEEDED: 'Se superó el número máximo de jugadores ({{maxPlayers}})',
+        MISSING_ROOM_LINK_REQUEST_ID: 'Falta el ID de la solicitud de enlace de sala',
+        MODERATOR_OUTRANKED_BY_PLAYER: 'No autorizado para moderar al jugador "{{playerID}}" en la sala "{{roomID}}"',
+        OUTBOX_MESSAGE_NOT_FOUND: 'No se encontró el mensaje "{{messageID}}" en la bandeja de salida',
+        OWNER_SESSION_MISMATCH: 'El ID del jugador propietario no coincide con la sesión',
+        PLAYER_NOT_FOUND: 'No se encontró el jugador "{{playerID}}"',
+        PLAYER_NOT_KICKED_FROM_ROOM: 'El jugador "{{playerID}}" no está expulsado de la sala "{{roomID}}"',
+        PLAYER_NOT_MUTED_IN_ROOM: 'El jugador "{{playerID}}" no está silenciado en la sala "{{roomID}}"',
+        QUEUED_EMAIL_NOT_FAILED: 'El correo electrónico en cola "{{emailID}}" no ha fallado',
+        QUEUED_EMAIL_NOT_FOUND: 'No se encontró el correo electrónico en cola "{{emailID}}"',
+        RATE_LIMITED: 'Demasiadas solicitudes',
+        ROOM_CLOSED: 'La sala "{{roomID}}" está cerrada',
+        ROOM_CODE_CONFLICT: 'Ya existe una sala con el código "{{roomCode}}"',
+        ROOM_LINK_REQUEST_CONFLICT: 'Ya existe una solicitud de enlace de sala para el correo electrónico "{{email}}"',
+        ROOM_LINK_REQUEST_EXPIRED: 'La solicitud de enlace de sala "{{requestID}}" ha caducado',
+        ROOM_LINK_REQUEST_NOT_FOUND: 'No se encontró la solicitud de enlace de sala "{{requestID}}"',
+        ROOM_LINK_REQUEST_REDEEMED: 'La solicitud de enlace de sala "{{requestID}}" ya se ha canjeado',
+        ROOM_LINK_REQUEST_RESOLVED: 'La solicitud de enlace de sala "{{requestID}}" ya está resuelta',
+        ROOM_NOT_FOUND: 'No se encontró la sala "{{roomID}}"',
+        ROOM_OWNER_REQUIRED: 'Solo el propietario puede administrar la sala "{{roomID}}"',
+        UPDATE_PLAYER_FORBIDDEN: 'No está autorizado para actualizar el jugador "{{playerID}}"',
+    },
+
+    /* Messages for ERROR events sent to websocket clients, keyed by error code. */
+    websocketErrors: {
+        CHAT_MESSAGE_AUTHOR_REQUIRED: 'solo el autor puede editar un mensaje del chat',
+        CHAT_MESSAGE_NOT_FOUND: 'no se encontró el mensaje del chat',
+        CHAT_MESSAGE_TOO_LONG: 'el mensaje del chat es demasiado largo (máximo {{maxLength}} caracteres)',
+        FAILED_TO_GET_PLAYERS: 'no se pudieron obtener los jugadores',
+        GAME_ALREADY_FINISHED: 'la partida ha terminado',
+        GAME_NOT_ACTIVE: 'la partida no está activa en la sala',
+        GAME_NOT_FOUND: 'no se encontró la partida',
+        GAME_STATE_CONFLICT: 'el estado de la partida cambió durante la acción',
+        HOST_OR_OWNER_REQUIRED_TO_MODERATE: 'solo el anfitrión o el propietario pueden moderar la sala',
+        HOST_REQUIRED_TO_ABANDON_GAME: 'solo el anfitrión puede abandonar partidas',
+        HOST_REQUIRED_TO_DELETE_CHAT_MESSAGE: 'solo el anfitrión puede eliminar mensajes del chat de otros jugadores',
+        HOST_REQUIRED_TO_END_GAME: 'solo el anfitrión puede terminar partidas',
+        HOST_REQUIRED_TO_KICK_PLAYER: 'solo el anfitrión puede expulsar jugadores',
+        HOST_REQUIRED_TO_REASSIGN_ROOM_HOST: 'solo el anfitrión puede reasignar el anfitrión de la sala',
+        INVALID_DURATION: 'duración no válida',
+        INVALID_PASSWORD: 'contraseña incorrecta',
+        INVALID_ROOM_PERMISSIONS: 'permisos no válidos',
+        INVALID_ROOM_ROLE: 'rol no válido',
+        INVALID_SESSION: 'token de sesión no válido',
+        MAX_PLAYERS_EXCEEDED: 'se superó el número máximo de jugadores',
+        MISSING_CHAT_MESSAGE_ID: 'falta el ID del mensaje del chat',
+        MISSING_CHAT_MESSAGE_TEXT: 'falta el texto del mensaje del chat',
+        MISSING_GAME_ACTION: 'falta la acción de juego',
+        MISSING_GAME_ID: 'falta el ID de la partida',
+        MISSING_PLAYER_ID: 'falta el ID del jugador',
+        MISSING_ROOM_CODE: 'falta el código de la sala',
+        MISSING_ROOM_ID: 'falta el ID de la sala',
+        MISSING_SESSION: 'falta la sesión',
+        MODERATOR_OUTRANKED_BY_PLAYER: 'no se puede expulsar ni moderar a un jugador con un rol igual o superior al propio',
+        OWNER_REQUIRED_TO_MANAGE_ROLES: 'solo el propietario puede gestionar los roles',
+        PLAYER_HAS_NO_ROLE_IN_ROOM: 'el jugador no tiene ningún rol en la sala',
+        PLAYER_HAS_SPECTATOR_ROLE: 'los jugadores con el rol de espectador solo pueden observar',
+        PLAYER_KICKED_FROM_ROOM: 'el jugador fue expulsado de la sala',
+        PLAYER_NOT_FOUND: 'no se encontró el jugador',
+        PLAYER_NOT_IN_GAME: 'el jugador no está en la partida',
+        PLAYER_MUTED_IN_ROOM: 'el jugador está silenciado en la sala',
+        PLAYER_NOT_IN_ROOM: 'el jugador no está en la sala',
+        PLAYER_NOT_KICKED_FROM_ROOM: 'el jugador no está expulsado de la sala',
+        PLAYER_NOT_MUTED_IN_ROOM: 'el jugador no está silenciado en la sala',
+        RATE_LIMITED: 'demasiadas solicitudes',
+        ROOM_CLOSED: 'la sala está cerrada',
+        ROOM_NOT_FOUND: 'no se encontró la sala',
+        SESSION_PLAYER_MISMATCH: 'el jugador no coincide con la sesión',
+        UNKNOWN_GAME_ACTION: 'acción de juego desconocida',
+    },
+
+    /* Default templates (subject and plain text) for each type of email message (see templates.mjs). */
+    emails: {
+        playerDeleted: {
+            subject: '[{{appName}}] Se eliminó tu cuenta de jugador',
+            text: (
+                'Hola, {{name}}:\n' +
+                '\n' +
+                'Tu cuenta de jugador en {{appName}} se ha eliminado, tal como lo solicitaste. Tu nombre y tu dirección de correo electrónico se han eliminado de nuestros registros, y tus puntuaciones en partidas anteriores ya no están asociadas contigo.\n' +
+                '\n' +
+                'Si no has hecho esta solicitud, ponte en contacto con el administrador en {{adminEmail}} para informar de un posible abuso.\n' +
+                '\n' +
+                '{{salutation}}\n' +
+                '{{signature}}'
+            ),
+        },
+        playerEmailUpdated: {
+            subject: '[{{appName}}] Tu dirección de correo electrónico ha cambiado en {{appName}}',
+            text: (
+                'Hola, {{name}}:\n' +
+                '\n' +
+                'Hemos recibido una solicitud para cambiar la dirección de correo electrónico de tu cuenta de {{appName}} de esta dirección a {{email}}. Si has hecho esta solicitud, no tienes que hacer nada más.\n' +
+                '\n' +
+                'Si no has hecho esta solicitud, ponte en contacto con el administrador en {{adminEmail}} para informar de un posible abuso.\n' +
+                '\n' +
+                '{{salutation}}\n' +
+                '{{signature}}'
+            ),
+        },
+        playerEmailVerification: {
+            subject: '[{{appName}}] {{name}}, verifica tu dirección de correo electrónico',
+            text: (
+                'Hola, {{name}}:\n' +
+                '\n' +
+                'Hemos recibido una solicitud para usar esta dirección de correo electrónico en tu cuenta de {{appName}}. Si has sido tú, usa el siguiente enlace para verificar tu dirección:\n' +
+                '\n' +
+                '{{verificationURL}}\n' +
+                '\n' +
+                'Tu dirección de correo electrónico no se añadirá a tu cuenta hasta que se haya verificado. Si no has hecho esta solicitud, puedes ignorar este correo.\n' +
+                '\n' +
+                '{{salutation}}\n' +
+                '{{signature}}'
+            ),
+        },
+        playerRegistered: {
+            subject: '[{{appName}}] ¡Te damos la bienvenida a {{appName}}, {{name}}!',
+            text: (
+                'Hola, {{name}}:\n' +
+                '\n' +
+                '¡Gracias por registrar tu cuenta en {{appName}}! Al registrarte con tu dirección de correo electrónico, podrás restaurar tu cuenta de jugador si alguna vez la pierdes.\n' +
+                '\n' +
+                'Si no has creado recientemente una cuenta en {{appBaseURL}}, ponte en contacto con el administrador en {{adminEmail}} para informar de un posible abuso.\n' +
+                '\n' +
+                '{{salutation}}\n' +
+                '{{signature}}'
+            ),
+        },
+        playerRetrieval: {
+            subject: '[{{appName}}] {{name}}, aquí tienes tu enlace para restaurar tu jugador',
+            text: (
+                'Hola, {{name}}:\n' +
+                '\n' +
+                'Hemos recibido una solicitud para restaurar tu cuenta de jugador anterior en {{appName}}. Si has sido tú, usa el siguiente enlace para restaurar tu cuenta:\n' +
+                '\n' +
+                '{{restorationURL}}\n' +
+                '\n' +
+                'Este enlace solo se puede usar una vez y caducará pronto. Si ha caducado, puedes solicitar un enlace nuevo en cualquier momento.\n' +
+                '\n' +
+                'Si no has hecho esta solicitud, ponte en contacto con el administrador en {{adminEmail}} para informar de un posible abuso.\n' +
+                '\n' +
+                '{{salutation}}\n' +
+                '{{signature}}'
+            ),
+        },
+        roomCreated: {
+            subject: '[{{appName}}] La sala {{roomCode}} se ha creado correctamente',
+            text: (
+                'Hola, {{name}}:\n' +
+                '\n' +
+                '¡Tu sala {{roomCode}} ya está lista!\n' +
+                '\n' +
+                'Cuando quieras, visita {{roomURL}} para jugar a {{gameType}} sin límites con tus amigos.\n' +
+                '\n' +
+                'Este enlace siempre será tuyo, así que puedes guardarlo en tus marcadores o enviarlo a otras personas para que jueguen contigo.\n' +
+                '{{signature}}'
+            ),
+        },
+        roomLinkRequestApproved: {
+            subject: '[{{appName}}] {{name}}, ¡tu solicitud de enlace de sala ha sido aprobada!',
+            text: (
+                'Hola, {{name}}:\n' +
+                '\n' +
+                '¡Tu solicitud para crear una sala nueva en {{appName}} acaba de ser aprobada!\n' +
+                '\n' +
+                'Visita {{requestURL}} y haz clic en "Create New Room" para crear tu sala. Si nunca has jugado a {{appName}}, tendrás que crear un jugador antes de poder crear una sala.\n' +
+                '\n' +
+                'Cuando hayas creado tu sala, puedes enviar el código o un enlace a la sala a tus amigos para que se unan y jueguen contigo.\n' +
+                '\n' +
+                '{{salutation}}\n' +
+                '{{signature}}'
+            ),
+        },
+        roomLinkRequestCreated: {
+            subject: '[{{appName}}] Nueva solicitud de enlace de sala',
+            text: (
+                '{{name}} ({{email}}) acaba de enviar una nueva solicitud de enlace de sala de {{appName}}.\n' +
+                '\n' +
+                'Visita {{appBaseURL}} para aprobar o rechazar esta solicitud.\n' +
+                '{{adminSignature}}'
+            ),
+        },
+    },
+};
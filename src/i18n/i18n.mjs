@@ -0,0 +1,214 @@
+import { StatusCodes } from '@dyesoft/alea-core';
+import { TOO_MANY_REQUESTS } from '../ratelimit/index.mjs';
+import en from './en.mjs';
+import es from './es.mjs';
+
+/* Locale used when a client does not request a supported locale, and for messages missing from other catalogs. */
+export const DEFAULT_LOCALE = 'en';
+
+/* Message catalogs for each supported locale, keyed by locale (see en.mjs for the structure of a catalog). */
+export const CATALOGS = {
+    en: en,
+    es: es,
+};
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+/* Message placeholders use the same {{variable}} syntax as email templates. */
+const PARAM_PATTERN = /{{\s*([A-Za-z][A-Za-z0-9_]*)\s*}}/g;
+
+/*
+ * Stable, machine-readable codes identifying the errors returned by the REST API and sent to websocket clients.
+ * Clients should rely on these codes rather than on error messages, which are localized and may change.
+ */
+export const ErrorCodes = {
+    /* generic errors, used for errors without a more specific code (see getDefaultErrorCode) */
+    BAD_REQUEST: 'BAD_REQUEST',
+    CONFLICT: 'CONFLICT',
+    FORBIDDEN: 'FORBIDDEN',
+    INTERNAL_SERVER_ERROR: 'INTERNAL_SERVER_ERROR',
+    NOT_FOUND: 'NOT_FOUND',
+    SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    /* authentication and rate limiting errors */
+    ADMIN_REQUIRED: 'ADMIN_REQUIRED',
+    INVALID_SESSION: 'INVALID_SESSION',
+    MISSING_SESSION: 'MISSING_SESSION',
+    RATE_LIMITED: 'RATE_LIMITED',
+    SESSION_PLAYER_MISMATCH: 'SESSION_PLAYER_MISMATCH',
+    /* request validation errors */
+    FIELD_REQUIRED: 'FIELD_REQUIRED',
+    INVALID_ACTIVE_FILTER: 'INVALID_ACTIVE_FILTER',
+    INVALID_ARCHIVED_FILTER: 'INVALID_ARCHIVED_FILTER',
+    INVALID_DURATION: 'INVALID_DURATION',
+    INVALID_EMAIL_STATUS: 'INVALID_EMAIL_STATUS',
+    INVALID_FIELD: 'INVALID_FIELD',
+    INVALID_FIELD_VALUE: 'INVALID_FIELD_VALUE',
+    INVALID_PAGE: 'INVALID_PAGE',
+    INVALID_REQUEST_BODY: 'INVALID_REQUEST_BODY',
+    INVALID_RESOLUTION: 'INVALID_RESOLUTION',
+    MISSING_CHAT_MESSAGE_ID: 'MISSING_CHAT_MESSAGE_ID',
+    MISSING_CHAT_MESSAGE_TEXT: 'MISSING_CHAT_MESSAGE_TEXT',
+    MISSING_GAME_ACTION: 'MISSING_GAME_ACTION',
+    MISSING_GAME_ID: 'MISSING_GAME_ID',
+    MISSING_PLAYER_ID: 'MISSING_PLAYER_ID',
+    MISSING_ROOM_CODE: 'MISSING_ROOM_CODE',
+    MISSING_ROOM_ID: 'MISSING_ROOM_ID',
+    MISSING_ROOM_LINK_REQUEST_ID: 'MISSING_ROOM_LINK_REQUEST_ID',
+    /* game errors */
+    GAME_ACTION_REJECTED: 'GAME_ACTION_REJECTED',
+    GAME_ALREADY_FINISHED: 'GAME_ALREADY_FINISHED',
+    GAME_NOT_ACTIVE: 'GAME_NOT_ACTIVE',
+    GAME_NOT_FOUND: 'GAME_NOT_FOUND',
+    GAME_STATE_CONFLICT: 'GAME_STATE_CONFLICT',
+    GAME_UPDATE_CONFLICT: 'GAME_UPDATE_CONFLICT',
+    HOST_REQUIRED_TO_ABANDON_GAME: 'HOST_REQUIRED_TO_ABANDON_GAME',
+    HOST_REQUIRED_TO_END_GAME: 'HOST_REQUIRED_TO_END_GAME',
+    HOST_REQUIRED_TO_FINISH_GAME: 'HOST_REQUIRED_TO_FINISH_GAME',
+    MAX_PLAYERS_EXCEEDED: 'MAX_PLAYERS_EXCEEDED',
+    PLAYER_NOT_IN_GAME: 'PLAYER_NOT_IN_GAME',
+    UNKNOWN_GAME_ACTION: 'UNKNOWN_GAME_ACTION',
+    /* player errors */
+    DELETE_PLAYER_FORBIDDEN: 'DELETE_PLAYER_FORBIDDEN',
+    EMAIL_CONFLICT: 'EMAIL_CONFLICT',
+    EMAIL_NOT_FOUND: 'EMAIL_NOT_FOUND',
+    EXPORT_PLAYER_FORBIDDEN: 'EXPORT_PLAYER_FORBIDDEN',
+    INVALID_RESTORATION_TOKEN: 'INVALID_RESTORATION_TOKEN',
+    INVALID_VERIFICATION_TOKEN: 'INVALID_VERIFICATION_TOKEN',
+    PLAYER_NOT_FOUND: 'PLAYER_NOT_FOUND',
+    UPDATE_PLAYER_FORBIDDEN: 'UPDATE_PLAYER_FORBIDDEN',
+    /* room errors */
+    HOST_OR_OWNER_REQUIRED_TO_MODERATE: 'HOST_OR_OWNER_REQUIRED_TO_MODERATE',
+    HOST_REQUIRED_TO_KICK_PLAYER: 'HOST_REQUIRED_TO_KICK_PLAYER',
+    HOST_REQUIRED_TO_REASSIGN_ROOM_HOST: 'HOST_REQUIRED_TO_REASSIGN_ROOM_HOST',
+    INVALID_OWNER_PLAYER_ID: 'INVALID_OWNER_PLAYER_ID',
+    INVALID_PASSWORD: 'INVALID_PASSWORD',
+    INVALID_ROOM_CODE: 'INVALID_ROOM_CODE',
+    INVALID_ROOM_PERMISSIONS: 'INVALID_ROOM_PERMISSIONS',
+    INVALID_ROOM_ROLE: 'INVALID_ROOM_ROLE',
+    MODERATOR_OUTRANKED_BY_PLAYER: 'MODERATOR_OUTRANKED_BY_PLAYER',
+    OWNER_REQUIRED_TO_MANAGE_ROLES: 'OWNER_REQUIRED_TO_MANAGE_ROLES',
+    OWNER_SESSION_MISMATCH: 'OWNER_SESSION_MISMATCH',
+    PLAYER_HAS_NO_ROLE_IN_ROOM: 'PLAYER_HAS_NO_ROLE_IN_ROOM',
+    PLAYER_HAS_SPECTATOR_ROLE: 'PLAYER_HAS_SPECTATOR_ROLE',
+    PLAYER_KICKED_FROM_ROOM: 'PLAYER_KICKED_FROM_ROOM',
+    PLAYER_NOT_KICKED_FROM_ROOM: 'PLAYER_NOT_KICKED_FROM_ROOM',
+    PLAYER_NOT_IN_ROOM: 'PLAYER_NOT_IN_ROOM',
+    PLAYER_NOT_MUTED_IN_ROOM: 'PLAYER_NOT_MUTED_IN_ROOM',
+    ROOM_CLOSED: 'ROOM_CLOSED',
+    ROOM_CODE_CONFLICT: 'ROOM_CODE_CONFLICT',
+    ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+    ROOM_OWNER_REQUIRED: 'ROOM_OWNER_REQUIRED',
+    /* room link request errors */
+    INVALID_ROOM_LINK_REQUEST_ID: 'INVALID_ROOM_LINK_REQUEST_ID',
+    ROOM_LINK_REQUEST_CONFLICT: 'ROOM_LINK_REQUEST_CONFLICT',
+    ROOM_LINK_REQUEST_EXPIRED: 'ROOM_LINK_REQUEST_EXPIRED',
+    ROOM_LINK_REQUEST_NOT_FOUND: 'ROOM_LINK_REQUEST_NOT_FOUND',
+    ROOM_LINK_REQUEST_REDEEMED: 'ROOM_LINK_REQUEST_REDEEMED',
+    ROOM_LINK_REQUEST_RESOLVED: 'ROOM_LINK_REQUEST_RESOLVED',
+    /* chat errors */
+    CHAT_MESSAGE_AUTHOR_REQUIRED: 'CHAT_MESSAGE_AUTHOR_REQUIRED',
+    CHAT_MESSAGE_NOT_FOUND: 'CHAT_MESSAGE_NOT_FOUND',
+    CHAT_MESSAGE_TOO_LONG: 'CHAT_MESSAGE_TOO_LONG',
+    HOST_REQUIRED_TO_DELETE_CHAT_MESSAGE: 'HOST_REQUIRED_TO_DELETE_CHAT_MESSAGE',
+    PLAYER_MUTED_IN_ROOM: 'PLAYER_MUTED_IN_ROOM',
+    /* mail queue and outbox errors */
+    QUEUED_EMAIL_NOT_FAILED: 'QUEUED_EMAIL_NOT_FAILED',
+    QUEUED_EMAIL_NOT_FOUND: 'QUEUED_EMAIL_NOT_FOUND',
+    OUTBOX_MESSAGE_NOT_FOUND: 'OUTBOX_MESSAGE_NOT_FOUND',
+    /* server errors */
+    FAILED_TO_COUNT_ITEMS: 'FAILED_TO_COUNT_ITEMS',
+    FAILED_TO_DELETE_PLAYER: 'FAILED_TO_DELETE_PLAYER',
+    FAILED_TO_EXPORT_PLAYER: 'FAILED_TO_EXPORT_PLAYER',
+    FAILED_TO_FINISH_GAME: 'FAILED_TO_FINISH_GAME',
+    FAILED_TO_GET_ITEMS: 'FAILED_TO_GET_ITEMS',
+    FAILED_TO_GET_PLAYERS: 'FAILED_TO_GET_PLAYERS',
+    FAILED_TO_RESOLVE_ROOM_LINK_REQUEST: 'FAILED_TO_RESOLVE_ROOM_LINK_REQUEST',
+    FAILED_TO_RETRY_QUEUED_EMAIL: 'FAILED_TO_RETRY_QUEUED_EMAIL',
+    FAILED_TO_RUN_MAINTENANCE: 'FAILED_TO_RUN_MAINTENANCE',
+    FAILED_TO_SAVE_GAME: 'FAILED_TO_SAVE_GAME',
+    FAILED_TO_SAVE_PLAYER: 'FAILED_TO_SAVE_PLAYER',
+    FAILED_TO_SAVE_ROOM: 'FAILED_TO_SAVE_ROOM',
+    FAILED_TO_SAVE_ROOM_LINK_REQUEST: 'FAILED_TO_SAVE_ROOM_LINK_REQUEST',
+    FAILED_TO_UPDATE_DATABASE: 'FAILED_TO_UPDATE_DATABASE',
+    FAILED_TO_UPDATE_PLAYER: 'FAILED_TO_UPDATE_PLAYER',
+    FAILED_TO_UPDATE_ROOM: 'FAILED_TO_UPDATE_ROOM',
+    HEALTH_CHECK_FAILED: 'HEALTH_CHECK_FAILED',
+};
+
+/* Codes of the generic errors used for each status code, for errors without a more specific code. */
+const DEFAULT_ERROR_CODES = {
+    [StatusCodes.BAD_REQUEST]: ErrorCodes.BAD_REQUEST,
+    [StatusCodes.UNAUTHORIZED]: ErrorCodes.UNAUTHORIZED,
+    [StatusCodes.FORBIDDEN]: ErrorCodes.FORBIDDEN,
+    [StatusCodes.NOT_FOUND]: ErrorCodes.NOT_FOUND,
+    [StatusCodes.CONFLICT]: ErrorCodes.CONFLICT,
+    [TOO_MANY_REQUESTS]: ErrorCodes.RATE_LIMITED,
+    [StatusCodes.INTERNAL_SERVER_ERROR]: ErrorCodes.INTERNAL_SERVER_ERROR,
+    [StatusCodes.SERVICE_UNAVAILABLE]: ErrorCodes.SERVICE_UNAVAILABLE,
+};
+
+/* Return the code of the generic error for the given status code. */
+export function getDefaultErrorCode(status) {
+    return DEFAULT_ERROR_CODES[status] || ErrorCodes.INTERNAL_SERVER_ERROR;
+}
+
+/*
+ * Return the supported locale matching the given language tag (e.g., "es" for "es-MX"), or null if there is none.
+ * An exact match is preferred over a match of the primary language subtag.
+ */
+export function getSupportedLocale(tag) {
+    if (typeof tag !== 'string' || !tag) {
+        return null;
+    }
+    const normalizedTag = tag.trim().toLowerCase().replaceAll('_', '-');
+    const locale = SUPPORTED_LOCALES.find(locale => locale.toLowerCase() === normalizedTag) ||
+        SUPPORTED_LOCALES.find(locale => locale.toLowerCase() === normalizedTag.split('-')[0]);
+    return locale || null;
+}
+
+/*
+ * Return the supported locale that best matches the given Accept-Language header (e.g., "es-MX,es;q=0.9,en;q=0.8"),
+ * or the given default locale if the header is missing or does not request any supported locale.
+ * Language ranges are considered in order of their quality values, then in the order they appear in the header.
+ */
+export function negotiateLocale(acceptLanguage, defaultLocale = DEFAULT_LOCALE) {
+    if (!acceptLanguage) {
+        return defaultLocale;
+    }
+    const ranges = acceptLanguage.split(',').map((range, i) => {
+        const [tag, ...params] = range.trim().split(';');
+        const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+        const quality = (qParam ? parseFloat(qParam.substring(2)) : 1);
+        return {tag: tag.trim(), quality: (isNaN(quality) ? 0 : quality), index: i};
+    }).filter(range => range.tag && range.tag !== '*' && range.quality > 0);
+    ranges.sort((a, b) => (b.quality - a.quality) || (a.index - b.index));
+    for (const range of ranges) {
+        const locale = getSupportedLocale(range.tag);
+        if (locale) {
+            return locale;
+        }
+    }
+    return defaultLocale;
+}
+
+/* Replace the {{param}} placeholders in the given message with the given parameters. */
+export function formatMessage(message, params = {}) {
+    return message.replace(PARAM_PATTERN, (_, name) => `${params?.[name] ?? ''}`);
+}
+
+/* Return the message with the given key in the given section of the catalog for the given locale, or undefined if there is none. */
+function getCatalogMessage(locale, section, key) {
+    return CATALOGS[locale]?.[section]?.[key];
+}
+
+/*
+ * Return the message with the given key in the given section (e.g., "errors") of the catalog for the given locale,
+ * with its placeholders replaced by the given parameters.
+ * Messages missing from the catalog fall back to the default locale; if the message is not defined at all, the key is returned.
+ */
+export function translate(locale, section, key, params = {}) {
+    const message = getCatalogMessage(getSupportedLocale(locale) || DEFAULT_LOCALE, section, key) ??
+        getCatalogMessage(DEFAULT_LOCALE, section, key);
+    return (message === undefined ? key : formatMessage(message, params));
+}
@@ -0,0 +1,108 @@
+import { describe, expect, test } from '@jest/globals';
+import { StatusCodes } from '@dyesoft/alea-core';
+import { TOO_MANY_REQUESTS } from '../ratelimit/index.mjs';
+import {
+    CATALOGS,
+    DEFAULT_LOCALE,
+    ErrorCodes,
+    formatMessage,
+    getDefaultErrorCode,
+    getSupportedLocale,
+    negotiateLocale,
+    translate,
+} from './i18n.mjs';
+
+describe('catalogs', () => {
+    test('default catalog defines a message for every message in other catalogs', () => {
+        const defaultCatalog = CATALOGS[DEFAULT_LOCALE];
+        Object.entries(CATALOGS).forEach(([locale, catalog]) => {
+            Object.entries(catalog).forEach(([section, messages]) => {
+                Object.keys(messages).forEach(key => {
+                    expect([locale, section, defaultCatalog[section]?.[key] !== undefined]).toEqual([locale, section, true]);
+                });
+            });
+        });
+    });
+
+    test('error messages are keyed by known error codes', () => {
+        Object.values(CATALOGS).forEach(catalog => {
+            [...Object.keys(catalog.errors), ...Object.keys(catalog.websocketErrors)].forEach(key => {
+                expect(ErrorCodes[key]).toEqual(key);
+            });
+        });
+    });
+});
+
+describe('getDefaultErrorCode', () => {
+    test('returns generic error code for status', () => {
+        expect(getDefaultErrorCode(StatusCodes.NOT_FOUND)).toEqual(ErrorCodes.NOT_FOUND);
+        expect(getDefaultErrorCode(TOO_MANY_REQUESTS)).toEqual(ErrorCodes.RATE_LIMITED);
+    });
+
+    test('returns internal server error for unknown status', () => {
+        expect(getDefaultErrorCode(418)).toEqual(ErrorCodes.INTERNAL_SERVER_ERROR);
+    });
+});
+
+describe('getSupportedLocale', () => {
+    test('matches exact locale', () => {
+        expect(getSupportedLocale('ES')).toEqual('es');
+    });
+
+    test('matches primary language subtag', () => {
+        expect(getSupportedLocale('es-MX')).toEqual('es');
+        expect(getSupportedLocale('en_GB')).toEqual('en');
+    });
+
+    test('returns null for unsupported or missing locale', () => {
+        expect(getSupportedLocale('fr')).toBeNull();
+        expect(getSupportedLocale('')).toBeNull();
+        expect(getSupportedLocale(null)).toBeNull();
+    });
+});
+
+describe('negotiateLocale', () => {
+    test('returns default locale for missing header', () => {
+        expect(negotiateLocale(undefined)).toEqual(DEFAULT_LOCALE);
+        expect(negotiateLocale('', 'es')).toEqual('es');
+    });
+
+    test('returns first supported locale in order of quality', () => {
+        expect(negotiateLocale('fr-CA, en;q=0.5, es-MX;q=0.8')).toEqual('es');
+        expect(negotiateLocale('es, en')).toEqual('es');
+    });
+
+    test('ignores wildcards and ranges with zero quality', () => {
+        expect(negotiateLocale('es;q=0, *', 'en')).toEqual('en');
+    });
+
+    test('returns default locale if no supported locale is requested', () => {
+        expect(negotiateLocale('fr, de;q=0.9', 'es')).toEqual('es');
+    });
+});
+
+describe('formatMessage', () => {
+    test('replaces placeholders with parameters', () => {
+        expect(formatMessage('Room "{{ roomID }}" has {{count}} players', {roomID: 'abc', count: 0})).toEqual('Room "abc" has 0 players');
+    });
+
+    test('replaces missing parameters with empty string', () => {
+        expect(formatMessage('Invalid {{name}}')).toEqual('Invalid ');
+    });
+});
+
+describe('translate', () => {
+    test('returns message for locale', () => {
+        expect(translate('es', 'errors', ErrorCodes.ROOM_NOT_FOUND, {roomID: 'abc'})).toEqual('No se encontró la sala "abc"');
+        expect(translate('en', 'websocketErrors', ErrorCodes.ROOM_NOT_FOUND)).toEqual('room not found');
+    });
+
+    test('falls back to default locale for unsupported locale or missing message', () => {
+        expect(translate('fr', 'errors', ErrorCodes.ROOM_NOT_FOUND, {roomID: 'abc'})).toEqual('Room "abc" not found');
+        expect(translate('es', 'errors', ErrorCodes.NOT_FOUND)).toEqual(translate(DEFAULT_LOCALE, 'errors', ErrorCodes.NOT_FOUND));
+    });
+
+    test('returns key for undefined message', () => {
+        expect(translate('en', 'errors', 'UNKNOWN_ERROR')).toEqual('UNKNOWN_ERROR');
+    });
+});
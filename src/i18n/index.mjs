@@ -0,0 +1 @@
+export * from './i18n.mjs';
@@ -1,15 +1,45 @@
 export * from './api/index.mjs';
 export * as api from './api/index.mjs';
 
+export * from './chat.mjs';
+export * as chat from './chat.mjs';
+
 export * from './database/index.mjs';
 export * as database from './database/index.mjs';
 
+export * from './i18n/index.mjs';
+export * as i18n from './i18n/index.mjs';
+
 export * from './mail.mjs';
 export * as mail from './mail.mjs';
 
+export * from './mailqueue.mjs';
+export * as mailqueue from './mailqueue.mjs';
+
+export * from './mailtransport.mjs';
+export * as mailtransport from './mailtransport.mjs';
+
+export * from './maintenance.mjs';
+export * as maintenance from './maintenance.mjs';
+
+export * from './pubsub/index.mjs';
+export * as pubsub from './pubsub/index.mjs';
+
+export * from './ratelimit/index.mjs';
+export * as ratelimit from './ratelimit/index.mjs';
+
+export * from './roles.mjs';
+export * as roles from './roles.mjs';
+
 export * from './server.mjs';
 export * as server from './server.mjs';
 export { default as Server } from './server.mjs';
 
+export * from './session.mjs';
+export * as session from './session.mjs';
+
+export * from './templates.mjs';
+export * as templates from './templates.mjs';
+
 export * from './websockets.mjs';
 export * as websockets from './websockets.mjs';
@@ -1,264 +1,251 @@
 import log from 'log';
 import nodemailer from 'nodemailer';
+import { DEFAULT_LOCALE, getSupportedLocale } from './i18n/index.mjs';
+import { MailQueue } from './mailqueue.mjs';
+import { DEFAULT_MAIL_TRANSPORT_TYPE, MAIL_TRANSPORT_TYPES, MailTransportTypes, MemoryOutbox } from './mailtransport.mjs';
+import { EmailMessageTypes, loadLocalizedEmailTemplates } from './templates.mjs';
+
+/* Paths of the salutation (in the email messages config) used by each message type, if any. */
+const SALUTATION_CONFIG_KEYS = {
+    [EmailMessageTypes.PLAYER_DELETED]: ['player', 'deleted'],
+    [EmailMessageTypes.PLAYER_EMAIL_UPDATED]: ['player', 'emailUpdated'],
+    [EmailMessageTypes.PLAYER_EMAIL_VERIFICATION]: ['player', 'registered'],
+    [EmailMessageTypes.PLAYER_REGISTERED]: ['player', 'registered'],
+    [EmailMessageTypes.PLAYER_RETRIEVAL]: ['player', 'retrieved'],
+    [EmailMessageTypes.ROOM_LINK_REQUEST_APPROVED]: ['room', 'requestApproved'],
+};
 
-export const SMTP_PORT = 587;
-
-export const TEST_SMTP_HOST = 'smtp.ethereal.email';
-
-export const ADMIN_EMAIL_PLACEHOLDER = '{{ADMIN_EMAIL}}';
-export const ADMIN_EMAIL_SIGNATURE_PLACEHOLDER = '{{ADMIN_EMAIL_SIGNATURE}}';
-export const APP_BASE_URL_PLACEHOLDER = '{{APP_BASE_URL}}';
-export const APP_NAME_PLACEHOLDER = '{{APP_NAME}}';
-export const DEFAULT_EMAIL_SIGNATURE_PLACEHOLDER = '{{DEFAULT_EMAIL_SIGNATURE}}';
-export const GAME_TYPE_PLACEHOLDER = '{{GAME_TYPE}}';
-export const PLAYER_EMAIL_UPDATED_SALUTATION_PLACEHOLDER = '{{PLAYER_EMAIL_UPDATED_SALUTATION}}';
-export const PLAYER_REGISTRATION_SALUTATION_PLACEHOLDER = '{{PLAYER_REGISTRATION_SALUTATION}}';
-export const PLAYER_RETRIEVAL_SALUTATION_PLACEHOLDER = '{{PLAYER_RETRIEVAL_SALUTATION}}';
-export const ROOM_REQUEST_APPROVED_SALUTATION_PLACEHOLDER = '{{ROOM_REQUEST_APPROVED_SALUTATION}}';
-
-export const EMAIL_PLACEHOLDER = '{{EMAIL}}';
-export const NAME_PLACEHOLDER = '{{NAME}}';
-export const PLAYER_ID_PLACEHOLDER = '{{PLAYER_ID}}';
-export const REQUEST_ID_PLACEHOLDER = '{{REQUEST_ID}}';
-export const ROOM_PLACEHOLDER = '{{ROOM}}';
-
-/* A simple templating solution to populate an email subject template and body template with appropriate messages. */
-export class EmailTemplates {
-    /* Create email templates using the given subject and body templates. */
-    constructor(subjectTemplate, bodyTemplate) {
-        this.subjectTemplate = subjectTemplate;
-        this.bodyTemplate = bodyTemplate;
-    }
+const logger = log.get('mail');
 
-    /*
-     * Apply the templates, using the messages configured on the mailer.
-     * The return value is an object containing the subject and body of the email.
-     */
-    apply(mailer) {
-        return {
-            subject: `[${mailer.messages.app.name}] ` + this.subjectTemplate.replaceAll(APP_NAME_PLACEHOLDER, mailer.messages.app.name),
-            body: this.bodyTemplate.
-                replaceAll(ADMIN_EMAIL_PLACEHOLDER, mailer.adminEmail).
-                replaceAll(ADMIN_EMAIL_SIGNATURE_PLACEHOLDER, mailer.messages.signature.admin).
-                replaceAll(APP_BASE_URL_PLACEHOLDER, mailer.messages.app.baseURL).
-                replaceAll(APP_NAME_PLACEHOLDER, mailer.messages.app.name).
-                replaceAll(DEFAULT_EMAIL_SIGNATURE_PLACEHOLDER, mailer.messages.signature.default).
-                replaceAll(GAME_TYPE_PLACEHOLDER, mailer.messages.game.type || 'games').
-                replaceAll(PLAYER_EMAIL_UPDATED_SALUTATION_PLACEHOLDER, mailer.messages.player.emailUpdated.salutation).
-                replaceAll(PLAYER_REGISTRATION_SALUTATION_PLACEHOLDER, mailer.messages.player.registered.salutation).
-                replaceAll(PLAYER_RETRIEVAL_SALUTATION_PLACEHOLDER, mailer.messages.player.retrieved.salutation).
-                replaceAll(ROOM_REQUEST_APPROVED_SALUTATION_PLACEHOLDER, mailer.messages.room.requestApproved.salutation),
-        };
-    }
+/* Return a copy of the given messages config with the given overrides (e.g., for a locale) merged into it recursively. */
+function mergeMessages(messages, overrides) {
+    let merged = {...messages};
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+        const isObject = (value !== null && typeof value === 'object' && !Array.isArray(value));
+        merged[key] = (isObject ? mergeMessages(messages?.[key], value) : value);
+    });
+    return merged;
 }
 
-const PLAYER_EMAIL_UPDATED_TEMPLATE = new EmailTemplates(
-    `Your email address was changed on ${APP_NAME_PLACEHOLDER}`,
-    (
-        `Dear ${NAME_PLACEHOLDER},\n` +
-        `\n` +
-        `We recently received a request to change the email address on your ${APP_NAME_PLACEHOLDER} account from this address to ${EMAIL_PLACEHOLDER}. If you made this request, no further action is required.\n` +
-        `\n` +
-        `If you did not make this request, please contact the administrator at ${ADMIN_EMAIL_PLACEHOLDER} to report potential abuse.\n` +
-        `\n` +
-        `${PLAYER_EMAIL_UPDATED_SALUTATION_PLACEHOLDER}\n` +
-        `${DEFAULT_EMAIL_SIGNATURE_PLACEHOLDER}`
-    )
-);
-
-const PLAYER_REGISTERED_TEMPLATE = new EmailTemplates(
-    `Welcome to ${APP_NAME_PLACEHOLDER}, ${NAME_PLACEHOLDER}!`,
-    (
-        `Dear ${NAME_PLACEHOLDER},\n` +
-        `\n` +
-        `Thank you for registering your account with ${APP_NAME_PLACEHOLDER}! By registering with your email address, you will be able to restore your player account if you ever lose it in the future.\n` +
-        `\n` +
-        `If you did not recently create an account at ${APP_BASE_URL_PLACEHOLDER}, please contact the administrator at ${ADMIN_EMAIL_PLACEHOLDER} to report potential abuse.\n` +
-        `\n` +
-        `${PLAYER_REGISTRATION_SALUTATION_PLACEHOLDER}\n` +
-        `${DEFAULT_EMAIL_SIGNATURE_PLACEHOLDER}`
-    )
-);
-
-const PLAYER_RETRIEVAL_TEMPLATE = new EmailTemplates(
-    `${NAME_PLACEHOLDER}, here's your player restoration link!`,
-    (
-        `Dear ${NAME_PLACEHOLDER},\n` +
-        `\n` +
-        `We recently received a request to restore your previous player account on ${APP_NAME_PLACEHOLDER}. If this was you, please use the link below to restore your account:\n` +
-        `\n` +
-        `${APP_BASE_URL_PLACEHOLDER}?pid=${PLAYER_ID_PLACEHOLDER}\n` +
-        `\n` +
-        `If you did not make this request, please contact the administrator at ${ADMIN_EMAIL_PLACEHOLDER} to report potential abuse.\n` +
-        `\n` +
-        `${PLAYER_RETRIEVAL_SALUTATION_PLACEHOLDER}\n` +
-        `${DEFAULT_EMAIL_SIGNATURE_PLACEHOLDER}`
-    )
-);
-
-const ROOM_CREATED_TEMPLATE = new EmailTemplates(
-    `Room ${ROOM_PLACEHOLDER} created successfully`,
-    (
-        `Dear ${NAME_PLACEHOLDER},\n` +
-        `\n` +
-        `Your room ${ROOM_PLACEHOLDER} is now ready to go!\n` +
-        `\n` +
-        `When you're ready, visit ${APP_BASE_URL_PLACEHOLDER}/p/${ROOM_PLACEHOLDER} to play unlimited ${GAME_TYPE_PLACEHOLDER} with your friends!\n` +
-        `\n` +
-        `This link will always be yours, so feel free to bookmark it, or send it to others so they can play with you.\n` +
-        `${DEFAULT_EMAIL_SIGNATURE_PLACEHOLDER}`
-    )
-);
-
-const ROOM_REQUEST_APPROVED_TEMPLATE = new EmailTemplates(
-    `${NAME_PLACEHOLDER}, your room link request has been approved!`,
-    (
-        `Dear ${NAME_PLACEHOLDER},\n` +
-        `\n` +
-        `Your request to create a new room in ${APP_NAME_PLACEHOLDER} has just been approved!\n` +
-        `\n` +
-        `Please visit ${APP_BASE_URL_PLACEHOLDER}?req=${REQUEST_ID_PLACEHOLDER} and click "Create New Room" to create your room. If you have never played ${APP_NAME_PLACEHOLDER} before, you will have to create a player before you can create a room.\n` +
-        `\n` +
-        `Once you have created your room, you can send the room code or a link to the room to your friends, and they can join your room and play with you.\n` +
-        `\n` +
-        `${ROOM_REQUEST_APPROVED_SALUTATION_PLACEHOLDER}\n` +
-        `${DEFAULT_EMAIL_SIGNATURE_PLACEHOLDER}`
-    )
-);
-
-const ROOM_REQUEST_CREATED_TEMPLATE = new EmailTemplates(
-    'New room link request',
-    (
-        `A new ${APP_NAME_PLACEHOLDER} room link request has just been submitted by ${NAME_PLACEHOLDER} (${EMAIL_PLACEHOLDER}).\n` +
-        `\n` +
-        `Please visit ${APP_BASE_URL_PLACEHOLDER} to approve or reject this request.\n` +
-        `${ADMIN_EMAIL_SIGNATURE_PLACEHOLDER}`
-    )
-);
-
-const logger = log.get('mail');
-
-/* Email client that connects to an SMTP server to send emails. */
+/* Email client that sends emails using a configurable transport (e.g., an SMTP server), optionally using a durable mail queue. */
 export class Mailer {
     /*
      * Create a new mailer using the given configuration and transporter.
+     * The email templates for every supported locale are loaded from the configured template files (see loadLocalizedEmailTemplates),
+     * so an error is thrown if any template is invalid.
+     * If a mail queue is provided, messages are added to the queue rather than sent immediately (see sendMail).
      * NOTE: The static factory method Mailer.new() should typically be used instead of invoking this constructor!
      */
-    constructor(config, transporter = null) {
+    constructor(config, transporter = null, queue = null) {
         this.adminEmail = config.admin.email;
         this.smtpConfig = config.smtp;
         this.messages = config.messages.email;
+        this.templates = loadLocalizedEmailTemplates(this.messages);
         this.transporter = transporter;
+        this.transportType = null;
+        this.queue = queue;
     }
 
-    /* Return a new Mailer using the given config. */
-    static async new(config) {
+    /*
+     * Return a new Mailer using the given config and optional database.
+     *
+     * The transport used to send messages is selected by mail.transport.type (see MAIL_TRANSPORT_TYPES):
+     *   smtp (default): send messages using the SMTP server configured by smtp;
+     *   file: write messages to .eml files in the directory configured by mail.transport.dir;
+     *   memory: keep the most recent messages (up to mail.transport.maxMessages) in an in-memory outbox (see getOutbox);
+     *   disabled: do not send messages at all.
+     * Throws an error if the configured transport type is not supported.
+     *
+     * If a database is provided, messages are sent using a durable mail queue stored in the database (see MailQueue),
+     * unless the queue is disabled in the config (mail.queue.enabled is false) or the transport is disabled.
+     */
+    static async new(config, db = null) {
         config = config || {};
-        const smtpConfig = config.smtp || {};
+        const transportType = config.mail?.transport?.type || DEFAULT_MAIL_TRANSPORT_TYPE;
+        const transportFactory = MAIL_TRANSPORT_TYPES[transportType];
+        if (!transportFactory) {
+            throw new Error(`Unsupported mail transport type: ${transportType}`);
+        }
         let transporter = null;
         try {
-            let user, password;
-            if (smtpConfig.host === TEST_SMTP_HOST) {
-                const testAccount = await nodemailer.createTestAccount();
-                user = testAccount.user;
-                password = testAccount.pass;
-            } else {
-                user = smtpConfig.user;
-                password = smtpConfig.password;
-            }
-            transporter = nodemailer.createTransport({
-                host: smtpConfig.host,
-                port: smtpConfig.port || SMTP_PORT,
-                secure: false, // true for 465, false for other ports
-                auth: {
-                    user: user,
-                    pass: password,
-                },
-            });
+            transporter = await transportFactory(config);
         } catch (e) {
             logger.error(`Failed to initialize mail transport: ${e}`);
         }
-        return new Mailer(config, transporter);
+        const mailer = new Mailer(config, transporter);
+        mailer.transportType = transportType;
+        const queueConfig = config.mail?.queue || {};
+        if (db && queueConfig.enabled !== false && transportType !== MailTransportTypes.DISABLED) {
+            mailer.queue = new MailQueue(db, mailer, queueConfig);
+        }
+        return mailer;
+    }
+
+    /* Return the in-memory outbox used to send messages, or null if the mailer is not using the memory transport. */
+    getOutbox() {
+        return (this.transporter instanceof MemoryOutbox ? this.transporter : null);
     }
 
-    /* Send a plain-text email message to the given address with the given subject and body. */
-    async sendMail(to, subject, body) {
+    /*
+     * Deliver a multipart email message to the given address with the given subject, plain text body, and optional HTML body.
+     * Unlike sendMail, this sends the message immediately, and throws an error if the message could not be sent.
+     */
+    async deliver(to, subject, text, html = null) {
         if (!this.transporter) {
-            logger.info('Not attempting to send mail: mail transport was not initialized successfully');
-            return;
+            throw new Error('mail transport was not initialized successfully');
         }
-        const message = {
+        let message = {
             from: this.smtpConfig.fromAddress,
             to: to,
             subject: subject,
-            text: body,
+            text: text,
         };
-        try {
-            const info = await this.transporter.sendMail(message);
-            logger.info(`Successfully sent mail to "${to}" with subject "${subject}".`);
-            const previewURL = nodemailer.getTestMessageUrl(info);
-            if (previewURL) {
-                logger.info(`Preview URL: ${previewURL}`);
+        if (html) {
+            message.html = html;
+        }
+        const info = await this.transporter.sendMail(message);
+        logger.info(`Successfully sent mail to "${to}" with subject "${subject}".`);
+        const previewURL = nodemailer.getTestMessageUrl(info);
+        if (previewURL) {
+            logger.info(`Preview URL: ${previewURL}`);
+        }
+    }
+
+    /*
+     * Send a multipart email message to the given address with the given subject, plain text body, and optional HTML body.
+     * If the mailer has a mail queue, the message is added to the queue to be delivered (and retried if necessary) in the background.
+     * Otherwise, the message is delivered immediately, and any failure is logged.
+     */
+    async sendMail(to, subject, text, html = null) {
+        if (this.queue) {
+            try {
+                await this.queue.enqueue(to, subject, text, html);
+            } catch (e) {
+                logger.error(`Failed to queue mail to "${to}" with subject "${subject}": ${e}`);
             }
+            return;
+        }
+        if (this.transportType === MailTransportTypes.DISABLED) {
+            logger.debug(`Not sending mail to "${to}" with subject "${subject}": mail transport is disabled`);
+            return;
+        }
+        if (!this.transporter) {
+            logger.info('Not attempting to send mail: mail transport was not initialized successfully');
+            return;
+        }
+        try {
+            await this.deliver(to, subject, text, html);
         } catch (e) {
             logger.error(`Failed to send mail to "${to}" with subject "${subject}": ${e}`);
         }
     }
 
-    /* Send a message to a player's previous email address to notify them that their email address was changed. */
-    async sendPlayerEmailUpdatedMessage(name, newEmail, prevEmail) {
+    /*
+     * Return the messages configured on the mailer for the given locale.
+     * Messages configured under locales.<locale> (e.g., a translated salutation or signature) override the default messages.
+     */
+    getLocaleMessages(locale = DEFAULT_LOCALE) {
+        const { locales, ...messages } = this.messages;
+        return mergeMessages(messages, locales?.[locale]);
+    }
+
+    /* Return the variables available to the templates of the given message type, using the messages configured on the mailer for the given locale. */
+    getTemplateVariables(messageType, locale = DEFAULT_LOCALE) {
+        const messages = this.getLocaleMessages(locale);
+        const salutationKeys = SALUTATION_CONFIG_KEYS[messageType];
+        const salutationConfig = salutationKeys?.reduce((messages, key) => messages?.[key], messages);
+        return {
+            adminEmail: this.adminEmail,
+            adminSignature: messages.signature?.admin || '',
+            appBaseURL: messages.app.baseURL,
+            appName: messages.app.name,
+            gameType: messages.game?.type || 'games',
+            salutation: salutationConfig?.salutation || '',
+            signature: messages.signature?.default || '',
+        };
+    }
+
+    /*
+     * Render the message of the given type in the given locale with the given variables and send it to the given address.
+     * Messages for unsupported (or missing) locales are sent in the default locale.
+     */
+    async sendTemplateMessage(messageType, to, variables, locale = DEFAULT_LOCALE) {
+        locale = getSupportedLocale(locale) || DEFAULT_LOCALE;
+        const variablesForLocale = {...this.getTemplateVariables(messageType, locale), ...variables};
+        const { subject, text, html } = this.templates[locale][messageType].render(variablesForLocale);
+        await this.sendMail(to, subject, text, html);
+    }
+
+    /* Send a message to a player (in the player's locale) to confirm that their player account was deleted. */
+    async sendPlayerDeletedMessage(player) {
+        const { email, locale, name } = player;
+        await this.sendTemplateMessage(EmailMessageTypes.PLAYER_DELETED, email, {name: name}, locale);
+    }
+
+    /* Send a message (in the given locale) to a player's previous email address to notify them that their email address was changed. */
+    async sendPlayerEmailUpdatedMessage(name, newEmail, prevEmail, locale = DEFAULT_LOCALE) {
         newEmail = newEmail || '';
         prevEmail = prevEmail || '';
         if (newEmail.length === 0 || prevEmail.length === 0) {
             return;
         }
-        let { subject, body } = PLAYER_EMAIL_UPDATED_TEMPLATE.apply(this);
-        subject = subject.replaceAll(NAME_PLACEHOLDER, name);
-        body = body.replaceAll(NAME_PLACEHOLDER, name).replaceAll(EMAIL_PLACEHOLDER, newEmail);
-        await this.sendMail(prevEmail, subject, body);
+        await this.sendTemplateMessage(EmailMessageTypes.PLAYER_EMAIL_UPDATED, prevEmail, {name: name, email: newEmail}, locale);
+    }
+
+    /* Send a message (in the given locale) to a player's pending email address with a link (including a one-time token) to verify the address. */
+    async sendPlayerEmailVerificationMessage(name, email, verificationToken, locale = DEFAULT_LOCALE) {
+        await this.sendTemplateMessage(EmailMessageTypes.PLAYER_EMAIL_VERIFICATION, email, {
+            name: name,
+            verificationToken: verificationToken,
+            verificationURL: `${this.messages.app.baseURL}?verify=${verificationToken}`,
+        }, locale);
     }
 
-    /* Send a message to a player to confirm that their email address was registered successfully. */
+    /* Send a message to a player (in the player's locale) to confirm that their email address was registered successfully. */
     async sendPlayerRegisteredMessage(player) {
-        const { email, name } = player;
-        let { subject, body } = PLAYER_REGISTERED_TEMPLATE.apply(this);
-        subject = subject.replaceAll(NAME_PLACEHOLDER, name);
-        body = body.replaceAll(NAME_PLACEHOLDER, name);
-        await this.sendMail(email, subject, body);
+        const { email, locale, name } = player;
+        await this.sendTemplateMessage(EmailMessageTypes.PLAYER_REGISTERED, email, {name: name}, locale);
     }
 
-    /* Send a message to a player with a link to restore their previous player account. */
-    async sendPlayerRetrievalMessage(player) {
-        const { email, name, playerID } = player;
-        let { subject, body } = PLAYER_RETRIEVAL_TEMPLATE.apply(this);
-        subject = subject.replaceAll(NAME_PLACEHOLDER, name);
-        body = body.replaceAll(NAME_PLACEHOLDER, name).replaceAll(PLAYER_ID_PLACEHOLDER, playerID);
-        await this.sendMail(email, subject, body);
+    /*
+     * Send a message to a player (in the player's locale) with a link (including a one-time restoration token)
+     * to restore their previous player account.
+     */
+    async sendPlayerRetrievalMessage(player, restorationToken) {
+        const { email, locale, name } = player;
+        await this.sendTemplateMessage(EmailMessageTypes.PLAYER_RETRIEVAL, email, {
+            name: name,
+            restorationToken: restorationToken || '',
+            restorationURL: `${this.messages.app.baseURL}?restore=${restorationToken || ''}`,
+        }, locale);
     }
 
-    /* Send a message to the owner of a new room to confirm that the room was created successfully. */
+    /* Send a message to the owner of a new room (in the locale of their request) to confirm that the room was created successfully. */
     async sendRoomCreatedMessage(roomCode, roomLinkRequest) {
-        const { email, name } = roomLinkRequest;
-        let { subject, body } = ROOM_CREATED_TEMPLATE.apply(this);
-        subject = subject.replaceAll(ROOM_PLACEHOLDER, roomCode);
-        body = body.replaceAll(NAME_PLACEHOLDER, name).replaceAll(ROOM_PLACEHOLDER, roomCode);
-        await this.sendMail(email, subject, body);
+        const { email, locale, name } = roomLinkRequest;
+        await this.sendTemplateMessage(EmailMessageTypes.ROOM_CREATED, email, {
+            name: name,
+            roomCode: roomCode,
+            roomURL: `${this.messages.app.baseURL}/p/${roomCode}`,
+        }, locale);
     }
 
-    /* Send a message to a user who requested a new room link to notify them that their request was approved by an admin. */
+    /*
+     * Send a message to a user who requested a new room link (in the locale of their request)
+     * to notify them that their request was approved by an admin.
+     */
     async sendRoomLinkRequestApprovedMessage(roomLinkRequest) {
-        const { email, name, requestID } = roomLinkRequest;
-        let { subject, body } = ROOM_REQUEST_APPROVED_TEMPLATE.apply(this);
-        subject = subject.replaceAll(NAME_PLACEHOLDER, name);
-        body = body.replaceAll(NAME_PLACEHOLDER, name).replaceAll(REQUEST_ID_PLACEHOLDER, requestID);
-        await this.sendMail(email, subject, body);
+        const { email, locale, name, requestID } = roomLinkRequest;
+        await this.sendTemplateMessage(EmailMessageTypes.ROOM_LINK_REQUEST_APPROVED, email, {
+            name: name,
+            requestID: requestID,
+            requestURL: `${this.messages.app.baseURL}?req=${requestID}`,
+        }, locale);
     }
 
-    /* Send a message to the admin email address to notify them that a new room link request was just submitted. */
+    /* Send a message to the admin email address (in the default locale) to notify them that a new room link request was just submitted. */
     async sendRoomLinkRequestCreatedMessage(roomLinkRequest) {
         const { email, name } = roomLinkRequest;
-        let { subject, body } = ROOM_REQUEST_CREATED_TEMPLATE.apply(this);
-        body = body.replaceAll(EMAIL_PLACEHOLDER, email).replaceAll(NAME_PLACEHOLDER, name);
-        await this.sendMail(this.adminEmail, subject, body);
+        await this.sendTemplateMessage(EmailMessageTypes.ROOM_LINK_REQUEST_CREATED, this.adminEmail, {name: name, email: email});
     }
 }
@@ -1,16 +1,14 @@
 import { Player, RoomLinkRequest } from '@dyesoft/alea-core';
 import { describe, expect, jest, test } from '@jest/globals';
-import {
-    ADMIN_EMAIL_PLACEHOLDER,
-    ADMIN_EMAIL_SIGNATURE_PLACEHOLDER,
-    APP_BASE_URL_PLACEHOLDER,
-    APP_NAME_PLACEHOLDER,
-    DEFAULT_EMAIL_SIGNATURE_PLACEHOLDER,
-    EmailTemplates,
-    Mailer,
-    TEST_SMTP_HOST,
-} from './mail.mjs';
-import { TEST_EMAIL_MESSAGES } from './testutils.mjs';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SUPPORTED_LOCALES } from './i18n/index.mjs';
+import { Mailer } from './mail.mjs';
+import { EmailStatus, MailQueue } from './mailqueue.mjs';
+import { FileTransport, MailTransportTypes, MemoryOutbox, TEST_SMTP_HOST } from './mailtransport.mjs';
+import { EmailMessageTypes, EmailTemplateError, textToHTML } from './templates.mjs';
+import { getTestDB, TEST_EMAIL_MESSAGES } from './testutils.mjs';
 
 const TEST_ADMIN_EMAIL = 'admin@example.com';
 
@@ -36,6 +34,34 @@ Best,
 Test App Bot
 `.trimStart();
 
+const EXPECTED_PLAYER_EMAIL_VERIFICATION_EMAIL_BODY = `
+Dear Fred,
+
+We recently received a request to use this email address for your Test App account. If this was you, please use the link below to verify your email address:
+
+https://example.com?verify=verification-token
+
+Your email address will not be added to your account until it has been verified. If you did not make this request, you can safely ignore this email.
+
+Thanks for playing with us!
+
+Best,
+Test App Bot
+`.trimStart();
+
+const EXPECTED_PLAYER_DELETED_EMAIL_BODY = `
+Dear Fred,
+
+Your player account on Test App has been deleted, as you requested. Your name and email address have been removed from our records, and your scores in previous games are no longer associated with you.
+
+If you did not make this request, please contact the administrator at admin@example.com to report potential abuse.
+
+We hope to see you again soon!
+
+Best,
+Test App Bot
+`.trimStart();
+
 const EXPECTED_PLAYER_REGISTERED_EMAIL_BODY = `
 Dear Fred,
 
@@ -54,7 +80,9 @@ Dear Fred,
 
 We recently received a request to restore your previous player account on Test App. If this was you, please use the link below to restore your account:
 
-https://example.com?pid=fred
+https://example.com?restore=restoration-token
+
+This link can only be used once, and will expire soon. If it has expired, you can request a new link at any time.
 
 If you did not make this request, please contact the administrator at admin@example.com to report potential abuse.
 
@@ -116,100 +144,105 @@ const TEST_CONFIG = {
 
 const TEST_MAILER = new Mailer(TEST_CONFIG);
 
-describe('EmailTemplates', () => {
-    describe('apply', () => {
-        describe('return type', () => {
-            test('returns an object with keys `subject` and `body`', () => {
-                const template = new EmailTemplates('', '');
-                const appliedTemplate = template.apply(TEST_MAILER);
-                expect(appliedTemplate).not.toBeNull();
-                expect(appliedTemplate).toBeInstanceOf(Object);
-                expect(appliedTemplate).toHaveProperty('subject');
-                expect(appliedTemplate).toHaveProperty('body');
+describe('Mailer', () => {
+    describe('constructor', () => {
+        test('sets expected fields', () => {
+            const mockTransporter = {};
+            const mailer = new Mailer(TEST_CONFIG, mockTransporter);
+            expect(mailer.adminEmail).toEqual(TEST_CONFIG.admin.email);
+            expect(mailer.smtpConfig).toEqual(TEST_CONFIG.smtp);
+            expect(mailer.messages).toEqual(TEST_CONFIG.messages.email);
+            expect(Object.keys(mailer.templates).sort()).toEqual([...SUPPORTED_LOCALES].sort());
+            Object.values(mailer.templates).forEach(templates => {
+                expect(Object.keys(templates).sort()).toEqual(Object.values(EmailMessageTypes).sort());
             });
+            expect(mailer.transporter).toBe(mockTransporter);
+            expect(mailer.queue).toBeNull();
         });
 
-        describe('subject', () => {
-            test('prepends app name in brackets to subject', () => {
-                const template = new EmailTemplates('Test subject', '');
-                const appliedTemplate = template.apply(TEST_MAILER);
-                expect(appliedTemplate.subject).toEqual('[Test App] Test subject');
-            });
+        test('loads templates from configured template files', () => {
+            const templateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alea-mail-test-'));
+            try {
+                fs.writeFileSync(path.join(templateDir, 'playerRegistered.subject.txt'), 'Hi {{ name }}\n');
+                fs.writeFileSync(path.join(templateDir, 'playerRegistered.html'), '<p>Hi {{name}}</p>');
+                const config = {...TEST_CONFIG, messages: {email: {...TEST_EMAIL_MESSAGES, templateDir: templateDir}}};
+                const rendered = new Mailer(config).templates.en[EmailMessageTypes.PLAYER_REGISTERED].render({name: 'Fred'});
+                expect(rendered.subject).toEqual('Hi Fred');
+                expect(rendered.text).toMatch(/^Dear Fred,/);
+                expect(rendered.html).toEqual('<p>Hi Fred</p>');
+            } finally {
+                fs.rmSync(templateDir, {recursive: true, force: true});
+            }
+        });
 
-            test('substitutes app name for placeholder if present', () => {
-                const template = new EmailTemplates(`Thank you for using ${APP_NAME_PLACEHOLDER}!`, '');
-                const appliedTemplate = template.apply(TEST_MAILER);
-                expect(appliedTemplate.subject).toEqual('[Test App] Thank you for using Test App!');
-            });
+        test('throws error for template with unknown variable', () => {
+            const templateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alea-mail-test-'));
+            try {
+                fs.writeFileSync(path.join(templateDir, 'roomCreated.txt'), 'Your room {{roomcode}} is ready!');
+                const config = {...TEST_CONFIG, messages: {email: {...TEST_EMAIL_MESSAGES, templateDir: templateDir}}};
+                expect(() => new Mailer(config)).toThrow(EmailTemplateError);
+                expect(() => new Mailer(config)).toThrow('unknown variable "roomcode"');
+            } finally {
+                fs.rmSync(templateDir, {recursive: true, force: true});
+            }
         });
+    });
 
-        describe('body', () => {
-            test('substitutes admin email for placeholder if present', () => {
-                const template = new EmailTemplates('', `Contact ${ADMIN_EMAIL_PLACEHOLDER} with any questions.`);
-                const appliedTemplate = template.apply(TEST_MAILER);
-                expect(appliedTemplate.body).toEqual('Contact admin@example.com with any questions.');
-            });
+    describe('new', () => {
+        test('creates transporter from SMTP config', async () => {
+            const mailer = await Mailer.new(TEST_CONFIG);
+            expect(mailer.transporter).not.toBeNull();
+        });
 
-            test('substitutes admin email signature for placeholder if present', () => {
-                const template = new EmailTemplates('', `This is a message to the admin.\n${ADMIN_EMAIL_SIGNATURE_PLACEHOLDER}`);
-                const appliedTemplate = template.apply(TEST_MAILER);
-                expect(appliedTemplate.body).toEqual('This is a message to the admin.\n\nYours,\nTest App Bot\n');
-            });
+        test('creates mail queue if database is provided', async () => {
+            const db = await getTestDB();
+            const config = {...TEST_CONFIG, smtp: {}, mail: {queue: {maxAttempts: 3}}};
+            expect((await Mailer.new(config)).queue).toBeNull();
+            const mailer = await Mailer.new(config, db);
+            expect(mailer.queue).toBeInstanceOf(MailQueue);
+            expect(mailer.queue.db).toBe(db);
+            expect(mailer.queue.mailer).toBe(mailer);
+            expect(mailer.queue.maxAttempts).toEqual(3);
+        });
 
-            test('substitutes app base URL for placeholder if present', () => {
-                const template = new EmailTemplates('', `Visit us at ${APP_BASE_URL_PLACEHOLDER}/about to learn more.`);
-                const appliedTemplate = template.apply(TEST_MAILER);
-                expect(appliedTemplate.body).toEqual('Visit us at https://example.com/about to learn more.');
-            });
+        test('does not create mail queue if disabled', async () => {
+            const db = await getTestDB();
+            const mailer = await Mailer.new({...TEST_CONFIG, smtp: {}, mail: {queue: {enabled: false}}}, db);
+            expect(mailer.queue).toBeNull();
+        });
 
-            test('substitutes app name for placeholder if present', () => {
-                const template = new EmailTemplates('', `Your account has been suspended on ${APP_NAME_PLACEHOLDER}.`);
-                const appliedTemplate = template.apply(TEST_MAILER);
-                expect(appliedTemplate.body).toEqual('Your account has been suspended on Test App.');
-            });
+        test('creates transporter of configured transport type', async () => {
+            const fileMailer = await Mailer.new({...TEST_CONFIG, mail: {transport: {type: MailTransportTypes.FILE, dir: 'test-mail'}}});
+            expect(fileMailer.transporter).toBeInstanceOf(FileTransport);
+            expect(fileMailer.transporter.dir).toEqual('test-mail');
+            expect(fileMailer.transportType).toEqual(MailTransportTypes.FILE);
+            const memoryMailer = await Mailer.new({...TEST_CONFIG, mail: {transport: {type: MailTransportTypes.MEMORY, maxMessages: 5}}});
+            expect(memoryMailer.transporter).toBeInstanceOf(MemoryOutbox);
+            expect(memoryMailer.transporter.maxMessages).toEqual(5);
+        });
 
-            test('substitutes default email signature for placeholder if present', () => {
-                const template = new EmailTemplates('', `This is a message to a user.\n${DEFAULT_EMAIL_SIGNATURE_PLACEHOLDER}`);
-                const appliedTemplate = template.apply(TEST_MAILER);
-                expect(appliedTemplate.body).toEqual('This is a message to a user.\n\nBest,\nTest App Bot\n');
-            });
+        test('does not create transporter or mail queue if transport is disabled', async () => {
+            const db = await getTestDB();
+            const mailer = await Mailer.new({...TEST_CONFIG, mail: {transport: {type: MailTransportTypes.DISABLED}}}, db);
+            expect(mailer.transporter).toBeNull();
+            expect(mailer.queue).toBeNull();
+            expect(mailer.transportType).toEqual(MailTransportTypes.DISABLED);
+        });
 
-            test('substitutes all placeholders as many times as needed', () => {
-                const template = new EmailTemplates(
-                    '',
-                    (
-                        `${APP_NAME_PLACEHOLDER} is located at ${APP_BASE_URL_PLACEHOLDER} and is owned by ${ADMIN_EMAIL_PLACEHOLDER}.\n` +
-                        `Thank you for your interest in ${APP_NAME_PLACEHOLDER}! ${APP_NAME_PLACEHOLDER} wouldn't be the same without you.\n` +
-                        `${DEFAULT_EMAIL_SIGNATURE_PLACEHOLDER}`
-                    )
-                );
-                const appliedTemplate = template.apply(TEST_MAILER);
-                expect(appliedTemplate.body).toEqual((
-                    'Test App is located at https://example.com and is owned by admin@example.com.\n' +
-                    'Thank you for your interest in Test App! Test App wouldn\'t be the same without you.\n' +
-                    '\nBest,\nTest App Bot\n'
-                ));
-            });
+        test('throws error for unsupported transport type', async () => {
+            await expect(Mailer.new({...TEST_CONFIG, mail: {transport: {type: 'pigeon'}}})).rejects.toThrow('Unsupported mail transport type: pigeon');
         });
     });
-});
 
-describe('Mailer', () => {
-    describe('constructor', () => {
-        test('sets expected fields', () => {
-            const mockTransporter = {};
-            const mailer = new Mailer(TEST_CONFIG, mockTransporter);
-            expect(mailer.adminEmail).toEqual(TEST_CONFIG.admin.email);
-            expect(mailer.smtpConfig).toEqual(TEST_CONFIG.smtp);
-            expect(mailer.messages).toEqual(TEST_CONFIG.messages.email);
-            expect(mailer.transporter).toBe(mockTransporter);
+    describe('deliver', () => {
+        test('throws error if uninitialized', async () => {
+            const mailer = new Mailer(TEST_CONFIG);
+            await expect(mailer.deliver(TEST_USER_EMAIL, 'Test subject', 'Test body')).rejects.toThrow('mail transport was not initialized');
         });
-    })
 
-    describe('new', () => {
-        test('creates transporter from SMTP config', async () => {
-            const mailer = await Mailer.new(TEST_CONFIG);
-            expect(mailer.transporter).not.toBeNull();
+        test('throws error if message could not be sent', async () => {
+            const mailer = new Mailer(TEST_CONFIG, {sendMail: jest.fn().mockRejectedValue(new Error('Connection refused'))});
+            await expect(mailer.deliver(TEST_USER_EMAIL, 'Test subject', 'Test body')).rejects.toThrow('Connection refused');
         });
     });
 
@@ -240,6 +273,84 @@ describe('Mailer', () => {
                 text: body,
             });
         });
+
+        test('does not throw error if message could not be sent', async () => {
+            const mailer = new Mailer(TEST_CONFIG, {sendMail: jest.fn().mockRejectedValue(new Error('Connection refused'))});
+            await mailer.sendMail(TEST_USER_EMAIL, 'Test subject', 'Test body');
+        });
+
+        test('adds message to mail queue instead of sending it', async () => {
+            const db = await getTestDB();
+            const mockSendMail = jest.fn();
+            const mailer = new Mailer(TEST_CONFIG, {sendMail: mockSendMail});
+            mailer.queue = new MailQueue(db, mailer);
+            await mailer.sendMail(TEST_USER_EMAIL, 'Test subject', 'Test body', '<p>Test body</p>');
+            expect(mockSendMail).not.toHaveBeenCalled();
+            const emails = await db.emails.getPageOfEmails(1, EmailStatus.PENDING);
+            expect(emails).toHaveLength(1);
+            expect(emails[0]).toEqual(expect.objectContaining({to: TEST_USER_EMAIL, subject: 'Test subject', text: 'Test body', html: '<p>Test body</p>'}));
+        });
+
+        test('does not throw error if message could not be queued', async () => {
+            const mailer = new Mailer(TEST_CONFIG);
+            mailer.queue = {enqueue: jest.fn().mockRejectedValue(new Error('Database unavailable'))};
+            await mailer.sendMail(TEST_USER_EMAIL, 'Test subject', 'Test body');
+            expect(mailer.queue.enqueue).toHaveBeenCalled();
+        });
+
+        test('sends HTML body if provided', async () => {
+            const html = '<p>Test body</p>';
+            const mailer = new Mailer(TEST_CONFIG);
+            const mockSendMail = jest.fn();
+            mailer.transporter = {sendMail: mockSendMail};
+            await mailer.sendMail(TEST_USER_EMAIL, 'Test subject', 'Test body', html);
+            expect(mockSendMail).toHaveBeenCalledWith(expect.objectContaining({text: 'Test body', html: html}));
+        });
+    });
+
+    describe('getOutbox', () => {
+        test('returns outbox if using memory transport', async () => {
+            const mailer = await Mailer.new({...TEST_CONFIG, mail: {transport: {type: MailTransportTypes.MEMORY}}});
+            expect(mailer.getOutbox()).toBe(mailer.transporter);
+            await mailer.sendMail(TEST_USER_EMAIL, 'Test subject', 'Test body');
+            expect(mailer.getOutbox().getLastMessage()).toEqual(expect.objectContaining({
+                from: TEST_CONFIG.smtp.fromAddress,
+                to: TEST_USER_EMAIL,
+                subject: 'Test subject',
+                text: 'Test body',
+            }));
+        });
+
+        test('returns null if not using memory transport', () => {
+            expect(new Mailer(TEST_CONFIG).getOutbox()).toBeNull();
+            expect(new Mailer(TEST_CONFIG, {sendMail: jest.fn()}).getOutbox()).toBeNull();
+        });
+    });
+
+    describe('getTemplateVariables', () => {
+        test('returns common variables with salutation for message type', () => {
+            const mailer = new Mailer(TEST_CONFIG);
+            expect(mailer.getTemplateVariables(EmailMessageTypes.PLAYER_RETRIEVAL)).toEqual({
+                adminEmail: TEST_ADMIN_EMAIL,
+                adminSignature: TEST_EMAIL_MESSAGES.signature.admin,
+                appBaseURL: TEST_EMAIL_MESSAGES.app.baseURL,
+                appName: TEST_EMAIL_MESSAGES.app.name,
+                gameType: TEST_EMAIL_MESSAGES.game.type,
+                salutation: TEST_EMAIL_MESSAGES.player.retrieved.salutation,
+                signature: TEST_EMAIL_MESSAGES.signature.default,
+            });
+            expect(mailer.getTemplateVariables(EmailMessageTypes.ROOM_CREATED).salutation).toEqual('');
+        });
+
+        test('uses messages configured for locale', () => {
+            const messages = {...TEST_EMAIL_MESSAGES, locales: {es: {game: {type: 'juegos'}, player: {retrieved: {salutation: '¡Gracias por jugar!'}}}}};
+            const mailer = new Mailer({...TEST_CONFIG, messages: {email: messages}});
+            const variables = mailer.getTemplateVariables(EmailMessageTypes.PLAYER_RETRIEVAL, 'es');
+            expect(variables.gameType).toEqual('juegos');
+            expect(variables.salutation).toEqual('¡Gracias por jugar!');
+            expect(variables.appName).toEqual(TEST_EMAIL_MESSAGES.app.name);
+            expect(mailer.getTemplateVariables(EmailMessageTypes.PLAYER_RETRIEVAL).gameType).toEqual(TEST_EMAIL_MESSAGES.game.type);
+        });
     });
 
     describe('sendPlayerEmailUpdatedMessage', () => {
@@ -253,6 +364,7 @@ describe('Mailer', () => {
                 to: 'oldfred@example.com',
                 subject: '[Test App] Your email address was changed on Test App',
                 text: EXPECTED_PLAYER_EMAIL_UPDATED_EMAIL_BODY,
+                html: textToHTML(EXPECTED_PLAYER_EMAIL_UPDATED_EMAIL_BODY),
             });
         });
 
@@ -273,6 +385,38 @@ describe('Mailer', () => {
         });
     });
 
+    describe('sendPlayerEmailVerificationMessage', () => {
+        test('sends message with the correct subject and body', async () => {
+            const mailer = new Mailer(TEST_CONFIG);
+            const mockSendMail = jest.fn();
+            mailer.transporter = {sendMail: mockSendMail};
+            await mailer.sendPlayerEmailVerificationMessage('Fred', TEST_USER_EMAIL, 'verification-token');
+            expect(mockSendMail).toHaveBeenCalledWith({
+                from: TEST_CONFIG.smtp.fromAddress,
+                to: TEST_USER_EMAIL,
+                subject: '[Test App] Fred, please verify your email address',
+                text: EXPECTED_PLAYER_EMAIL_VERIFICATION_EMAIL_BODY,
+                html: textToHTML(EXPECTED_PLAYER_EMAIL_VERIFICATION_EMAIL_BODY),
+            });
+        });
+    });
+
+    describe('sendPlayerDeletedMessage', () => {
+        test('sends message with the correct subject and body', async () => {
+            const mailer = new Mailer(TEST_CONFIG);
+            const mockSendMail = jest.fn();
+            mailer.transporter = {sendMail: mockSendMail};
+            await mailer.sendPlayerDeletedMessage(TEST_PLAYER);
+            expect(mockSendMail).toHaveBeenCalledWith({
+                from: TEST_CONFIG.smtp.fromAddress,
+                to: TEST_USER_EMAIL,
+                subject: '[Test App] Your player account was deleted',
+                text: EXPECTED_PLAYER_DELETED_EMAIL_BODY,
+                html: textToHTML(EXPECTED_PLAYER_DELETED_EMAIL_BODY),
+            });
+        });
+    });
+
     describe('sendPlayerRegisteredMessage', () => {
         test('sends message with the correct subject and body', async () => {
             const mailer = new Mailer(TEST_CONFIG);
@@ -284,21 +428,37 @@ describe('Mailer', () => {
                 to: TEST_USER_EMAIL,
                 subject: '[Test App] Welcome to Test App, Fred!',
                 text: EXPECTED_PLAYER_REGISTERED_EMAIL_BODY,
+                html: textToHTML(EXPECTED_PLAYER_REGISTERED_EMAIL_BODY),
             });
         });
     });
 
     describe('sendPlayerRetrievalMessage', () => {
+        test('sends message in locale of player', async () => {
+            const mailer = new Mailer(TEST_CONFIG);
+            const mockSendMail = jest.fn();
+            mailer.transporter = {sendMail: mockSendMail};
+            const player = new Player(TEST_USER_NAME, TEST_USER_EMAIL);
+            player.locale = 'es';
+            await mailer.sendPlayerRetrievalMessage(player, 'restoration-token');
+            expect(mockSendMail).toHaveBeenCalledWith(expect.objectContaining({
+                to: TEST_USER_EMAIL,
+                subject: '[Test App] Fred, aquí tienes tu enlace para restaurar tu jugador',
+                text: expect.stringMatching(/^Hola, Fred:\n/),
+            }));
+        });
+
         test('sends message with the correct subject and body', async () => {
             const mailer = new Mailer(TEST_CONFIG);
             const mockSendMail = jest.fn();
             mailer.transporter = {sendMail: mockSendMail};
-            await mailer.sendPlayerRetrievalMessage(TEST_PLAYER);
+            await mailer.sendPlayerRetrievalMessage(TEST_PLAYER, 'restoration-token');
             expect(mockSendMail).toHaveBeenCalledWith({
                 from: TEST_CONFIG.smtp.fromAddress,
                 to: TEST_USER_EMAIL,
                 subject: '[Test App] Fred, here\'s your player restoration link!',
                 text: EXPECTED_PLAYER_RETRIEVAL_EMAIL_BODY,
+                html: textToHTML(EXPECTED_PLAYER_RETRIEVAL_EMAIL_BODY),
             });
         });
     });
@@ -314,6 +474,7 @@ describe('Mailer', () => {
                 to: TEST_USER_EMAIL,
                 subject: '[Test App] Room TEST created successfully',
                 text: EXPECTED_ROOM_CREATED_EMAIL_BODY,
+                html: textToHTML(EXPECTED_ROOM_CREATED_EMAIL_BODY),
             });
         });
     });
@@ -329,6 +490,7 @@ describe('Mailer', () => {
                 to: TEST_USER_EMAIL,
                 subject: '[Test App] Fred, your room link request has been approved!',
                 text: EXPECTED_ROOM_REQUEST_APPROVED_EMAIL_BODY,
+                html: textToHTML(EXPECTED_ROOM_REQUEST_APPROVED_EMAIL_BODY),
             });
         });
     });
@@ -344,6 +506,7 @@ describe('Mailer', () => {
                 to: TEST_ADMIN_EMAIL,
                 subject: '[Test App] New room link request',
                 text: EXPECTED_ROOM_REQUEST_CREATED_EMAIL_BODY,
+                html: textToHTML(EXPECTED_ROOM_REQUEST_CREATED_EMAIL_BODY),
             });
         });
     });
@@ -0,0 +1,180 @@
+import log from 'log';
+import uuid from 'uuid';
+
+/* Number of milliseconds between checks for queued emails that are due to be delivered. */
+export const DEFAULT_POLL_INTERVAL_MILLIS = 5000;
+
+/* Maximum number of attempts to deliver an email before it is dead-lettered (marked as failed). */
+export const DEFAULT_MAX_ATTEMPTS = 5;
+
+/* Delay before the first retry of an email that could not be delivered; the delay doubles after each failed attempt. */
+export const DEFAULT_INITIAL_BACKOFF_MILLIS = 60 * 1000;
+
+/* Maximum delay between attempts to deliver an email. */
+export const DEFAULT_MAX_BACKOFF_MILLIS = 60 * 60 * 1000;
+
+/* Maximum number of emails delivered each time the queue is processed. */
+export const DEFAULT_BATCH_SIZE = 10;
+
+/*
+ * Number of milliseconds that an email is reserved for the worker attempting to deliver it.
+ * If the worker stops before the attempt completes (e.g., because the server crashed), the email is retried after this delay.
+ */
+export const DEFAULT_LEASE_MILLIS = 5 * 60 * 1000;
+
+/* Delivery status of a queued email. */
+export const EmailStatus = {
+    PENDING: 'pending',
+    SENT: 'sent',
+    FAILED: 'failed',
+};
+
+const logger = log.get('mail:queue');
+
+/*
+ * An outgoing email stored in the mail queue until it is delivered.
+ * The sender's address is not stored; it is added from the SMTP config when the email is delivered.
+ */
+export class QueuedEmail {
+    constructor(to, subject, text, html = null) {
+        this.emailID = uuid.v4();
+        this.to = to;
+        this.subject = subject;
+        this.text = text;
+        this.html = html || null;
+        this.status = EmailStatus.PENDING;
+        this.attempts = 0;
+        this.lastError = null;
+        this.createdTime = new Date();
+        this.nextAttemptTime = this.createdTime;
+        this.sentTime = null;
+        this.failedTime = null;
+    }
+}
+
+/*
+ * Durable queue of outgoing emails, stored in the emails collection of the database and delivered by a background worker.
+ *
+ * Emails that cannot be delivered are retried with exponential backoff. Once an email has been attempted the maximum number
+ * of times, it is dead-lettered: it is marked as failed and kept (with the last error) until an admin retries it.
+ * Each attempt reserves the email in the database first, so multiple servers may safely process the same queue.
+ *
+ * The following config options are supported (all optional):
+ *   pollIntervalMillis: number of milliseconds between checks for emails that are due to be delivered;
+ *   maxAttempts: maximum number of attempts to deliver an email before it is dead-lettered;
+ *   initialBackoffMillis: delay before the first retry of an email, which doubles after each failed attempt;
+ *   maxBackoffMillis: maximum delay between attempts to deliver an email;
+ *   batchSize: maximum number of emails delivered each time the queue is processed;
+ *   leaseMillis: number of milliseconds that an email is reserved while it is being delivered.
+ */
+export class MailQueue {
+    /* Create a new mail queue using the given database, mailer (used to deliver emails), and config. */
+    constructor(db, mailer, config = {}) {
+        this.db = db;
+        this.mailer = mailer;
+        this.pollIntervalMillis = config?.pollIntervalMillis || DEFAULT_POLL_INTERVAL_MILLIS;
+        this.maxAttempts = config?.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+        this.initialBackoffMillis = config?.initialBackoffMillis || DEFAULT_INITIAL_BACKOFF_MILLIS;
+        this.maxBackoffMillis = config?.maxBackoffMillis || DEFAULT_MAX_BACKOFF_MILLIS;
+        this.batchSize = config?.batchSize || DEFAULT_BATCH_SIZE;
+        this.leaseMillis = config?.leaseMillis || DEFAULT_LEASE_MILLIS;
+        this.interval = null;
+        this.processing = null;
+
+        this.processQueue = this.processQueue.bind(this);
+    }
+
+    /* Add an email with the given recipient, subject, plain text body, and optional HTML body to the queue, and return it. */
+    async enqueue(to, subject, text, html = null) {
+        const email = new QueuedEmail(to, subject, text, html);
+        await this.db.emails.create(email);
+        logger.debug(`Queued mail ${email.emailID} to "${to}" with subject "${subject}".`);
+        if (this.interval) {
+            // Deliver the email right away rather than waiting for the next poll.
+            this.processQueue().catch(e => logger.error(`Failed to process mail queue: ${e}`));
+        }
+        return email;
+    }
+
+    /* Return the number of milliseconds to wait before retrying an email that has failed the given number of attempts. */
+    getBackoffMillis(attempts) {
+        const backoffMillis = this.initialBackoffMillis * Math.pow(2, Math.max(attempts - 1, 0));
+        return Math.min(backoffMillis, this.maxBackoffMillis);
+    }
+
+    /* Start the background worker that periodically delivers queued emails. */
+    start() {
+        if (!this.interval) {
+            logger.info(`Starting mail queue worker (poll interval: ${this.pollIntervalMillis} ms).`);
+            this.interval = setInterval(() => {
+                this.processQueue().catch(e => logger.error(`Failed to process mail queue: ${e}`));
+            }, this.pollIntervalMillis);
+        }
+    }
+
+    /* Stop the background worker, waiting for any emails currently being delivered. */
+    async stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+            logger.info('Stopped mail queue worker.');
+        }
+        if (this.processing) {
+            await this.processing;
+        }
+    }
+
+    /*
+     * Attempt to deliver the emails that are due at the given time, and return the number of emails delivered successfully.
+     * If the queue is already being processed, this waits for that run to complete instead of starting another.
+     */
+    async processQueue(now = new Date()) {
+        if (!this.processing) {
+            this.processing = this.deliverDueEmails(now).finally(() => {
+                this.processing = null;
+            });
+        }
+        return await this.processing;
+    }
+
+    /* Attempt to deliver each of the emails that are due at the given time, and return the number of emails delivered successfully. */
+    async deliverDueEmails(now) {
+        const emails = await this.db.emails.getDue(now, this.batchSize);
+        let delivered = 0;
+        for (const email of emails) {
+            if (await this.deliverEmail(email, now)) {
+                delivered++;
+            }
+        }
+        return delivered;
+    }
+
+    /*
+     * Attempt to deliver the given email at the given time, and return true if it was delivered successfully.
+     * The email is skipped if another worker has already reserved it.
+     */
+    async deliverEmail(email, now) {
+        const { emailID, to, subject, text, html } = email;
+        const claimed = await this.db.emails.claimByID(emailID, now, new Date(now.getTime() + this.leaseMillis));
+        if (!claimed) {
+            return false;
+        }
+        const attempts = email.attempts + 1;
+        try {
+            await this.mailer.deliver(to, subject, text, html);
+        } catch (e) {
+            const lastError = `${e.message || e}`;
+            if (attempts >= this.maxAttempts) {
+                logger.error(`Failed to send mail ${emailID} to "${to}" after ${attempts} attempts; giving up: ${lastError}`);
+                await this.db.emails.markFailedByID(emailID, new Date(), lastError);
+            } else {
+                const nextAttemptTime = new Date(now.getTime() + this.getBackoffMillis(attempts));
+                logger.warn(`Failed to send mail ${emailID} to "${to}" (attempt ${attempts}); retrying at ${nextAttemptTime.toISOString()}: ${lastError}`);
+                await this.db.emails.rescheduleByID(emailID, nextAttemptTime, lastError);
+            }
+            return false;
+        }
+        await this.db.emails.markSentByID(emailID, new Date());
+        return true;
+    }
+}
@@ -0,0 +1,241 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { Mailer } from './mail.mjs';
+import {
+    DEFAULT_BATCH_SIZE,
+    DEFAULT_INITIAL_BACKOFF_MILLIS,
+    DEFAULT_LEASE_MILLIS,
+    DEFAULT_MAX_ATTEMPTS,
+    DEFAULT_MAX_BACKOFF_MILLIS,
+    DEFAULT_POLL_INTERVAL_MILLIS,
+    EmailStatus,
+    MailQueue,
+    QueuedEmail,
+} from './mailqueue.mjs';
+import { getTestDB, TEST_EMAIL_MESSAGES } from './testutils.mjs';
+
+const TEST_CONFIG = {
+    admin: {email: 'admin@example.com'},
+    smtp: {fromAddress: 'noreply@example.com'},
+    messages: {email: TEST_EMAIL_MESSAGES},
+};
+
+const TEST_QUEUE_CONFIG = {
+    maxAttempts: 3,
+    initialBackoffMillis: 1000,
+    maxBackoffMillis: 3000,
+};
+
+const TEST_EMAIL = 'fred@example.com';
+
+/* Local stub transporter that records sent messages, failing the given number of times before succeeding. */
+function stubTransporter(failures = 0) {
+    let remainingFailures = failures;
+    return {
+        sendMail: jest.fn(async (message) => {
+            if (remainingFailures > 0) {
+                remainingFailures--;
+                throw new Error('Connection refused');
+            }
+            return {messageId: 'test'};
+        }),
+    };
+}
+
+describe('QueuedEmail', () => {
+    test('constructor', () => {
+        const email = new QueuedEmail(TEST_EMAIL, 'Test subject', 'Test body');
+        expect(email.emailID).toBeDefined();
+        expect(email.to).toEqual(TEST_EMAIL);
+        expect(email.html).toBeNull();
+        expect(email.status).toEqual(EmailStatus.PENDING);
+        expect(email.attempts).toEqual(0);
+        expect(email.nextAttemptTime).toEqual(email.createdTime);
+    });
+});
+
+describe('MailQueue', () => {
+    let db;
+    let mailer;
+    let queue;
+
+    beforeEach(async () => {
+        db = await getTestDB();
+        mailer = new Mailer(TEST_CONFIG, stubTransporter());
+        queue = new MailQueue(db, mailer, TEST_QUEUE_CONFIG);
+        mailer.queue = queue;
+    });
+
+    afterEach(async () => {
+        await queue.stop();
+        await db.close();
+        jest.useRealTimers();
+    });
+
+    /* Return the given time offset by the given number of milliseconds. */
+    function after(time, millis) {
+        return new Date(time.getTime() + millis);
+    }
+
+    describe('constructor', () => {
+        test('uses default config', () => {
+            const queue = new MailQueue(db, mailer);
+            expect(queue.pollIntervalMillis).toEqual(DEFAULT_POLL_INTERVAL_MILLIS);
+            expect(queue.maxAttempts).toEqual(DEFAULT_MAX_ATTEMPTS);
+            expect(queue.initialBackoffMillis).toEqual(DEFAULT_INITIAL_BACKOFF_MILLIS);
+            expect(queue.maxBackoffMillis).toEqual(DEFAULT_MAX_BACKOFF_MILLIS);
+            expect(queue.batchSize).toEqual(DEFAULT_BATCH_SIZE);
+            expect(queue.leaseMillis).toEqual(DEFAULT_LEASE_MILLIS);
+        });
+    });
+
+    describe('enqueue', () => {
+        test('stores pending email without sending it', async () => {
+            const email = await queue.enqueue(TEST_EMAIL, 'Test subject', 'Test body', '<p>Test body</p>');
+            const storedEmail = await db.emails.getByID(email.emailID);
+            expect(storedEmail.to).toEqual(TEST_EMAIL);
+            expect(storedEmail.html).toEqual('<p>Test body</p>');
+            expect(storedEmail.status).toEqual(EmailStatus.PENDING);
+            expect(mailer.transporter.sendMail).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getBackoffMillis', () => {
+        test('doubles after each attempt up to the maximum', () => {
+            expect(queue.getBackoffMillis(1)).toEqual(1000);
+            expect(queue.getBackoffMillis(2)).toEqual(2000);
+            expect(queue.getBackoffMillis(3)).toEqual(3000);
+            expect(queue.getBackoffMillis(10)).toEqual(3000);
+        });
+    });
+
+    describe('processQueue', () => {
+        test('delivers due emails and marks them as sent', async () => {
+            const email = await queue.enqueue(TEST_EMAIL, 'Test subject', 'Test body');
+            expect(await queue.processQueue(after(email.createdTime, 1))).toEqual(1);
+            expect(mailer.transporter.sendMail).toHaveBeenCalledWith({
+                from: TEST_CONFIG.smtp.fromAddress,
+                to: TEST_EMAIL,
+                subject: 'Test subject',
+                text: 'Test body',
+            });
+            const storedEmail = await db.emails.getByID(email.emailID);
+            expect(storedEmail.status).toEqual(EmailStatus.SENT);
+            expect(storedEmail.attempts).toEqual(1);
+            expect(storedEmail.sentTime).not.toBeNull();
+            expect(storedEmail.text).toBeNull();
+        });
+
+        test('does not deliver emails that are not due', async () => {
+            const email = await queue.enqueue(TEST_EMAIL, 'Test subject', 'Test body');
+            expect(await queue.processQueue(after(email.createdTime, -1))).toEqual(0);
+            expect(mailer.transporter.sendMail).not.toHaveBeenCalled();
+        });
+
+        test('retries failed deliveries with exponential backoff', async () => {
+            mailer.transporter = stubTransporter(1);
+            const email = await queue.enqueue(TEST_EMAIL, 'Test subject', 'Test body');
+            const now = after(email.createdTime, 1);
+            expect(await queue.processQueue(now)).toEqual(0);
+
+            let storedEmail = await db.emails.getByID(email.emailID);
+            expect(storedEmail.status).toEqual(EmailStatus.PENDING);
+            expect(storedEmail.attempts).toEqual(1);
+            expect(storedEmail.lastError).toEqual('Connection refused');
+            expect(storedEmail.nextAttemptTime).toEqual(after(now, 1000));
+
+            expect(await queue.processQueue(after(now, 999))).toEqual(0);
+            expect(await queue.processQueue(after(now, 1000))).toEqual(1);
+            storedEmail = await db.emails.getByID(email.emailID);
+            expect(storedEmail.status).toEqual(EmailStatus.SENT);
+            expect(storedEmail.attempts).toEqual(2);
+            expect(mailer.transporter.sendMail).toHaveBeenCalledTimes(2);
+        });
+
+        test('dead-letters email after max attempts', async () => {
+            mailer.transporter = stubTransporter(TEST_QUEUE_CONFIG.maxAttempts);
+            const email = await queue.enqueue(TEST_EMAIL, 'Test subject', 'Test body');
+            let now = after(email.createdTime, 1);
+            for (let i = 0; i < TEST_QUEUE_CONFIG.maxAttempts; i++) {
+                expect(await queue.processQueue(now)).toEqual(0);
+                now = after(now, TEST_QUEUE_CONFIG.maxBackoffMillis);
+            }
+            const storedEmail = await db.emails.getByID(email.emailID);
+            expect(storedEmail.status).toEqual(EmailStatus.FAILED);
+            expect(storedEmail.attempts).toEqual(TEST_QUEUE_CONFIG.maxAttempts);
+            expect(storedEmail.failedTime).not.toBeNull();
+            expect(storedEmail.lastError).toEqual('Connection refused');
+            expect(storedEmail.text).toEqual('Test body');
+
+            expect(await queue.processQueue(after(now, TEST_QUEUE_CONFIG.maxBackoffMillis))).toEqual(0);
+            expect(mailer.transporter.sendMail).toHaveBeenCalledTimes(TEST_QUEUE_CONFIG.maxAttempts);
+        });
+
+        test('delivers retried email', async () => {
+            mailer.transporter = stubTransporter(TEST_QUEUE_CONFIG.maxAttempts);
+            const email = await queue.enqueue(TEST_EMAIL, 'Test subject', 'Test body');
+            let now = after(email.createdTime, 1);
+            for (let i = 0; i < TEST_QUEUE_CONFIG.maxAttempts; i++) {
+                await queue.processQueue(now);
+                now = after(now, TEST_QUEUE_CONFIG.maxBackoffMillis);
+            }
+            expect(await db.emails.retryByID(email.emailID, now)).toBeTruthy();
+            expect(await queue.processQueue(now)).toEqual(1);
+            expect((await db.emails.getByID(email.emailID)).status).toEqual(EmailStatus.SENT);
+        });
+
+        test('fails delivery if mail transport was not initialized', async () => {
+            mailer.transporter = null;
+            const email = await queue.enqueue(TEST_EMAIL, 'Test subject', 'Test body');
+            expect(await queue.processQueue(after(email.createdTime, 1))).toEqual(0);
+            expect((await db.emails.getByID(email.emailID)).lastError).toEqual('mail transport was not initialized successfully');
+        });
+
+        test('skips email reserved by another worker', async () => {
+            const email = await queue.enqueue(TEST_EMAIL, 'Test subject', 'Test body');
+            const now = after(email.createdTime, 1);
+            const otherQueue = new MailQueue(db, mailer, TEST_QUEUE_CONFIG);
+            expect(await db.emails.claimByID(email.emailID, now, after(now, otherQueue.leaseMillis))).toBeTruthy();
+            expect(await queue.deliverEmail(email, now)).toBeFalsy();
+            expect(mailer.transporter.sendMail).not.toHaveBeenCalled();
+        });
+
+        test('retries email after lease expires', async () => {
+            const email = await queue.enqueue(TEST_EMAIL, 'Test subject', 'Test body');
+            const now = after(email.createdTime, 1);
+            await db.emails.claimByID(email.emailID, now, after(now, queue.leaseMillis));
+            expect(await queue.processQueue(after(now, queue.leaseMillis - 1))).toEqual(0);
+            expect(await queue.processQueue(after(now, queue.leaseMillis))).toEqual(1);
+            expect((await db.emails.getByID(email.emailID)).attempts).toEqual(2);
+        });
+
+        test('does not process queue concurrently', async () => {
+            const email = await queue.enqueue(TEST_EMAIL, 'Test subject', 'Test body');
+            const now = after(email.createdTime, 1);
+            const results = await Promise.all([queue.processQueue(now), queue.processQueue(now)]);
+            expect(results).toEqual([1, 1]);
+            expect(mailer.transporter.sendMail).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('start', () => {
+        test('periodically processes queue until stopped', async () => {
+            jest.useFakeTimers();
+            const spy = jest.spyOn(queue, 'processQueue').mockResolvedValue(0);
+            queue.start();
+            jest.advanceTimersByTime(queue.pollIntervalMillis * 2);
+            expect(spy).toHaveBeenCalledTimes(2);
+            await queue.stop();
+            jest.advanceTimersByTime(queue.pollIntervalMillis);
+            expect(spy).toHaveBeenCalledTimes(2);
+        });
+
+        test('delivers enqueued email immediately while running', async () => {
+            jest.useFakeTimers();
+            queue.start();
+            const email = await queue.enqueue(TEST_EMAIL, 'Test subject', 'Test body');
+            await queue.stop();
+            expect(mailer.transporter.sendMail).toHaveBeenCalledTimes(1);
+            expect((await db.emails.getByID(email.emailID)).status).toEqual(EmailStatus.SENT);
+        });
+    });
+});
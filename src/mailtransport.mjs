@@ -0,0 +1,140 @@
+import fs from 'fs';
+import log from 'log';
+import nodemailer from 'nodemailer';
+import path from 'path';
+import uuid from 'uuid';
+
+export const SMTP_PORT = 587;
+
+export const TEST_SMTP_HOST = 'smtp.ethereal.email';
+
+/* Directory where the file transport writes messages if no directory is configured. */
+export const DEFAULT_MAIL_DIR = 'mail';
+
+/* Maximum number of messages kept by the in-memory outbox if no limit is configured. */
+export const DEFAULT_OUTBOX_SIZE = 100;
+
+/* Types of transports that the mailer can use to send messages, configured by mail.transport.type. */
+export const MailTransportTypes = {
+    DISABLED: 'disabled',
+    FILE: 'file',
+    MEMORY: 'memory',
+    SMTP: 'smtp',
+};
+
+export const DEFAULT_MAIL_TRANSPORT_TYPE = MailTransportTypes.SMTP;
+
+const logger = log.get('mail:transport');
+
+/*
+ * Transport that writes each message to a .eml file in a directory instead of sending it, for offline development.
+ * The files contain the full MIME message, so they can be opened by most email clients.
+ */
+export class FileTransport {
+    /* Create a new file transport that writes messages to the given directory (which is created if necessary). */
+    constructor(dir = DEFAULT_MAIL_DIR) {
+        this.dir = dir || DEFAULT_MAIL_DIR;
+        this.streamTransport = nodemailer.createTransport({streamTransport: true, buffer: true, newline: 'unix'});
+    }
+
+    /* Write the given message (using the nodemailer message format) to a new .eml file, and return the path of the file in the result. */
+    async sendMail(message) {
+        const info = await this.streamTransport.sendMail(message);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const messageID = (info.messageId || uuid.v4()).replace(/[^\w.@-]/g, '');
+        const filePath = path.join(this.dir, `${timestamp}-${messageID}.eml`);
+        await fs.promises.mkdir(this.dir, {recursive: true});
+        await fs.promises.writeFile(filePath, info.message);
+        logger.debug(`Wrote mail to "${filePath}".`);
+        return {...info, path: filePath};
+    }
+}
+
+/*
+ * Transport that keeps messages in memory instead of sending them, so that tests (and developers) can inspect them.
+ * Only the most recent messages are kept, up to the given maximum number of messages.
+ */
+export class MemoryOutbox {
+    /* Create a new, empty outbox that keeps up to the given number of messages. */
+    constructor(maxMessages = DEFAULT_OUTBOX_SIZE) {
+        this.maxMessages = maxMessages || DEFAULT_OUTBOX_SIZE;
+        this.messages = [];
+    }
+
+    /* Add the given message (using the nodemailer message format) to the outbox, removing the oldest message if the outbox is full. */
+    async sendMail(message) {
+        const outboxMessage = {
+            messageID: uuid.v4(),
+            from: message.from || null,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            html: message.html || null,
+            sentTime: new Date(),
+        };
+        this.messages.push(outboxMessage);
+        if (this.messages.length > this.maxMessages) {
+            this.messages.shift();
+        }
+        return {messageId: outboxMessage.messageID, envelope: {from: outboxMessage.from, to: [outboxMessage.to]}};
+    }
+
+    /* Return the messages in the outbox (newest first), optionally only those sent to the given address. */
+    getMessages(to = null) {
+        const messages = (to ? this.messages.filter(message => message.to === to) : this.messages);
+        return [...messages].reverse();
+    }
+
+    /* Return the message with the given ID, or null if it is not in the outbox. */
+    getMessageByID(messageID) {
+        return this.messages.find(message => message.messageID === messageID) || null;
+    }
+
+    /* Return the most recent message in the outbox, optionally the most recent message sent to the given address, or null if there is none. */
+    getLastMessage(to = null) {
+        return this.getMessages(to)[0] || null;
+    }
+
+    /* Remove all messages from the outbox. */
+    clear() {
+        this.messages = [];
+    }
+}
+
+/*
+ * Return a new nodemailer SMTP transport using the given SMTP config.
+ * If the configured host is the Ethereal test host, a test account is created (which requires network access).
+ */
+export async function createSMTPTransport(smtpConfig) {
+    smtpConfig = smtpConfig || {};
+    let user, password;
+    if (smtpConfig.host === TEST_SMTP_HOST) {
+        const testAccount = await nodemailer.createTestAccount();
+        user = testAccount.user;
+        password = testAccount.pass;
+    } else {
+        user = smtpConfig.user;
+        password = smtpConfig.password;
+    }
+    return nodemailer.createTransport({
+        host: smtpConfig.host,
+        port: smtpConfig.port || SMTP_PORT,
+        secure: false, // true for 465, false for other ports
+        auth: {
+            user: user,
+            pass: password,
+        },
+    });
+}
+
+/*
+ * Factories for each type of mail transport, invoked with the server config.
+ * Each transport must provide an async sendMail(message) method accepting messages in the nodemailer message format.
+ * The disabled transport is null, so the mailer does not attempt to send any messages.
+ */
+export const MAIL_TRANSPORT_TYPES = {
+    [MailTransportTypes.DISABLED]: (config) => null,
+    [MailTransportTypes.FILE]: (config) => new FileTransport(config.mail?.transport?.dir),
+    [MailTransportTypes.MEMORY]: (config) => new MemoryOutbox(config.mail?.transport?.maxMessages),
+    [MailTransportTypes.SMTP]: (config) => createSMTPTransport(config.smtp),
+};
@@ -0,0 +1,117 @@
+import { describe, expect, test } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    DEFAULT_MAIL_DIR,
+    DEFAULT_OUTBOX_SIZE,
+    FileTransport,
+    MAIL_TRANSPORT_TYPES,
+    MailTransportTypes,
+    MemoryOutbox,
+} from './mailtransport.mjs';
+
+const TEST_MESSAGE = {
+    from: 'noreply@example.com',
+    to: 'fred@example.com',
+    subject: 'Test subject',
+    text: 'Test body',
+    html: '<p>Test body</p>',
+};
+
+describe('FileTransport', () => {
+    test('uses default directory', () => {
+        expect(new FileTransport().dir).toEqual(DEFAULT_MAIL_DIR);
+        expect(new FileTransport(null).dir).toEqual(DEFAULT_MAIL_DIR);
+    });
+
+    test('writes message to .eml file in directory', async () => {
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alea-mail-test-'));
+        try {
+            const dir = path.join(tempDir, 'mail');
+            const info = await new FileTransport(dir).sendMail(TEST_MESSAGE);
+            expect(path.dirname(info.path)).toEqual(dir);
+            expect(info.path).toMatch(/\.eml$/);
+            expect(fs.readdirSync(dir)).toEqual([path.basename(info.path)]);
+            const contents = fs.readFileSync(info.path, 'utf8');
+            expect(contents).toContain('To: fred@example.com');
+            expect(contents).toContain('Subject: Test subject');
+            expect(contents).toContain('Test body');
+            expect(contents).toContain('text/html');
+        } finally {
+            fs.rmSync(tempDir, {recursive: true, force: true});
+        }
+    });
+});
+
+describe('MemoryOutbox', () => {
+    test('constructor', () => {
+        const outbox = new MemoryOutbox();
+        expect(outbox.maxMessages).toEqual(DEFAULT_OUTBOX_SIZE);
+        expect(outbox.messages).toEqual([]);
+        expect(new MemoryOutbox(5).maxMessages).toEqual(5);
+    });
+
+    test('sendMail stores message', async () => {
+        const outbox = new MemoryOutbox();
+        const info = await outbox.sendMail(TEST_MESSAGE);
+        expect(outbox.messages).toHaveLength(1);
+        const message = outbox.messages[0];
+        expect(info.messageId).toEqual(message.messageID);
+        expect(message).toEqual({...TEST_MESSAGE, messageID: expect.any(String), sentTime: expect.any(Date)});
+    });
+
+    test('sendMail removes oldest message if full', async () => {
+        const outbox = new MemoryOutbox(2);
+        await outbox.sendMail({...TEST_MESSAGE, subject: 'First'});
+        await outbox.sendMail({...TEST_MESSAGE, subject: 'Second'});
+        await outbox.sendMail({...TEST_MESSAGE, subject: 'Third'});
+        expect(outbox.messages.map(message => message.subject)).toEqual(['Second', 'Third']);
+    });
+
+    test('getMessages returns newest messages first, optionally filtered by recipient', async () => {
+        const outbox = new MemoryOutbox();
+        await outbox.sendMail({...TEST_MESSAGE, subject: 'First'});
+        await outbox.sendMail({...TEST_MESSAGE, to: 'barney@example.com', subject: 'Second'});
+        await outbox.sendMail({...TEST_MESSAGE, subject: 'Third'});
+        expect(outbox.getMessages().map(message => message.subject)).toEqual(['Third', 'Second', 'First']);
+        expect(outbox.getMessages('fred@example.com').map(message => message.subject)).toEqual(['Third', 'First']);
+        expect(outbox.getMessages('wilma@example.com')).toEqual([]);
+    });
+
+    test('getMessageByID', async () => {
+        const outbox = new MemoryOutbox();
+        const info = await outbox.sendMail(TEST_MESSAGE);
+        expect(outbox.getMessageByID(info.messageId)).toBe(outbox.messages[0]);
+        expect(outbox.getMessageByID('unknown')).toBeNull();
+    });
+
+    test('getLastMessage', async () => {
+        const outbox = new MemoryOutbox();
+        expect(outbox.getLastMessage()).toBeNull();
+        await outbox.sendMail({...TEST_MESSAGE, subject: 'First'});
+        await outbox.sendMail({...TEST_MESSAGE, to: 'barney@example.com', subject: 'Second'});
+        expect(outbox.getLastMessage().subject).toEqual('Second');
+        expect(outbox.getLastMessage('fred@example.com').subject).toEqual('First');
+        expect(outbox.getLastMessage('wilma@example.com')).toBeNull();
+    });
+
+    test('clear', async () => {
+        const outbox = new MemoryOutbox();
+        await outbox.sendMail(TEST_MESSAGE);
+        outbox.clear();
+        expect(outbox.getMessages()).toEqual([]);
+    });
+});
+
+describe('MAIL_TRANSPORT_TYPES', () => {
+    test('creates transport of each type', async () => {
+        const config = {mail: {transport: {dir: 'test-mail', maxMessages: 10}}};
+        expect(await MAIL_TRANSPORT_TYPES[MailTransportTypes.DISABLED](config)).toBeNull();
+        expect(await MAIL_TRANSPORT_TYPES[MailTransportTypes.FILE](config)).toEqual(expect.objectContaining({dir: 'test-mail'}));
+        expect(await MAIL_TRANSPORT_TYPES[MailTransportTypes.MEMORY](config)).toEqual(expect.objectContaining({maxMessages: 10}));
+        const smtpTransport = await MAIL_TRANSPORT_TYPES[MailTransportTypes.SMTP]({smtp: {host: 'localhost', port: 2525}});
+        expect(smtpTransport.options.host).toEqual('localhost');
+        expect(smtpTransport.options.port).toEqual(2525);
+    });
+});
@@ -0,0 +1,213 @@
+import log from 'log';
+import { MILLISECONDS_PER_DAY } from '@dyesoft/alea-core';
+
+/* Number of milliseconds between runs of the maintenance job. */
+export const DEFAULT_INTERVAL_MILLIS = 60 * 60 * 1000;
+
+/* Number of milliseconds without any activity in a room after which the room is archived. */
+export const DEFAULT_ROOM_INACTIVITY_MILLIS = 30 * MILLISECONDS_PER_DAY;
+
+/* Number of milliseconds after an approved room link request is approved after which it expires, unless it has been used to create a room. */
+export const DEFAULT_ROOM_LINK_REQUEST_EXPIRATION_MILLIS = 30 * MILLISECONDS_PER_DAY;
+
+/* Number of milliseconds after a game is abandoned after which it is purged if it was never finished (and is not the current game in its room). */
+export const DEFAULT_ABANDONED_GAME_MILLIS = MILLISECONDS_PER_DAY;
+
+/* Maximum number of reports of previous runs of the maintenance job that are kept in memory. */
+export const DEFAULT_MAX_REPORTS = 10;
+
+const logger = log.get('maintenance');
+
+/* Report of the changes made by a single run of the maintenance job. */
+export class MaintenanceReport {
+    constructor(startedTime = new Date()) {
+        this.startedTime = startedTime;
+        this.finishedTime = null;
+        this.archivedRoomIDs = [];
+        this.expiredRequestIDs = [];
+        this.purgedGameIDs = [];
+        this.errors = [];
+    }
+}
+
+/*
+ * Background job that periodically cleans up the database by archiving inactive rooms, expiring approved room link requests
+ * that were never used to create a room, and purging games that were abandoned (see GameCollection.abandonByID) and never finished.
+ *
+ * Archived rooms are no longer listed with the other rooms, but can still be joined, which restores them.
+ * Each run is summarized in the log, and the reports of the most recent runs are kept in memory (see MaintenanceAPI).
+ * Every change made by the job is safe to repeat, so multiple servers may run the job against the same database.
+ *
+ * The following config options are supported (all optional):
+ *   intervalMillis: number of milliseconds between runs of the job;
+ *   roomInactivityMillis: number of milliseconds without any activity in a room after which the room is archived;
+ *   roomLinkRequestExpirationMillis: number of milliseconds after approval after which an unused room link request expires;
+ *   abandonedGameMillis: number of milliseconds after a game is abandoned after which it is purged (if it is unfinished);
+ *   maxReports: maximum number of reports of previous runs that are kept in memory.
+ */
+export class MaintenanceJob {
+    /* Create a new maintenance job using the given database and config. */
+    constructor(db, config = {}) {
+        this.db = db;
+        this.intervalMillis = config?.intervalMillis || DEFAULT_INTERVAL_MILLIS;
+        this.roomInactivityMillis = config?.roomInactivityMillis || DEFAULT_ROOM_INACTIVITY_MILLIS;
+        this.roomLinkRequestExpirationMillis = config?.roomLinkRequestExpirationMillis || DEFAULT_ROOM_LINK_REQUEST_EXPIRATION_MILLIS;
+        this.abandonedGameMillis = config?.abandonedGameMillis || DEFAULT_ABANDONED_GAME_MILLIS;
+        this.maxReports = config?.maxReports || DEFAULT_MAX_REPORTS;
+        this.interval = null;
+        this.running = null;
+        this.reports = [];
+
+        this.run = this.run.bind(this);
+    }
+
+    /* Start running the job periodically in the background. */
+    start() {
+        if (!this.interval) {
+            logger.info(`Starting maintenance job (interval: ${this.intervalMillis} ms).`);
+            this.interval = setInterval(() => {
+                this.run().catch(e => logger.error(`Failed to run maintenance job: ${e}`));
+            }, this.intervalMillis);
+        }
+    }
+
+    /* Stop running the job in the background, waiting for the current run (if any) to complete. */
+    async stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+            logger.info('Stopped maintenance job.');
+        }
+        if (this.running) {
+            await this.running;
+        }
+    }
+
+    /* Return the reports of the most recent runs of the job (newest first). */
+    getReports() {
+        return [...this.reports].reverse();
+    }
+
+    /*
+     * Run the job as of the given time, and return the report of the run.
+     * If the job is already running, this waits for that run to complete instead of starting another.
+     */
+    async run(now = new Date()) {
+        if (!this.running) {
+            this.running = this.performMaintenance(now).finally(() => {
+                this.running = null;
+            });
+        }
+        return await this.running;
+    }
+
+    /*
+     * Perform each maintenance task as of the given time, and return a report of the changes made.
+     * A task that fails is recorded in the report's errors, and does not prevent the other tasks from running.
+     */
+    async performMaintenance(now) {
+        const report = new MaintenanceReport(now);
+        const tasks = {
+            'archive inactive rooms': this.archiveInactiveRooms,
+            'expire room link requests': this.expireRoomLinkRequests,
+            'purge abandoned games': this.purgeAbandonedGames,
+        };
+        for (const [name, task] of Object.entries(tasks)) {
+            try {
+                await task.call(this, now, report);
+            } catch (e) {
+                logger.error(`Failed to ${name}: ${e}`);
+                report.errors.push(`Failed to ${name}: ${e.message || e}`);
+            }
+        }
+        report.finishedTime = new Date();
+
+        this.reports.push(report);
+        if (this.reports.length > this.maxReports) {
+            this.reports.shift();
+        }
+        logger.info(`Maintenance finished: archived ${report.archivedRoomIDs.length} rooms, expired ${report.expiredRequestIDs.length} room link requests, ` +
+            `purged ${report.purgedGameIDs.length} games (${report.errors.length} errors).`);
+        return report;
+    }
+
+    /*
+     * Return the time of the most recent activity in the given room, or null if a player is currently active in the room.
+     * Activity includes creating (or restoring) the room, creating and finishing games in the room, and connections by players in the room.
+     */
+    async getLastActivityTime(room) {
+        const players = await this.db.players.getByCurrentRoomID(room.roomID);
+        if (players.some(player => player.active)) {
+            return null;
+        }
+        const game = await this.db.games.getLatestByRoomID(room.roomID);
+        const times = [
+            room.createdTime,
+            room.unarchivedTime,
+            game?.createdTime,
+            game?.finishedTime,
+            ...players.map(player => player.lastConnectionTime),
+        ];
+        return new Date(Math.max(...times.filter(time => !!time).map(time => new Date(time).getTime())));
+    }
+
+    /*
+     * Archive each room without any activity since the room inactivity period before the given time.
+     * If an archived room has an unfinished current game, the game is abandoned (so that it is eventually purged).
+     */
+    async archiveInactiveRooms(now, report) {
+        const cutoff = new Date(now.getTime() - this.roomInactivityMillis);
+        const rooms = await this.db.rooms.getOpenCreatedBefore(cutoff);
+        for (const room of rooms) {
+            const lastActivityTime = await this.getLastActivityTime(room);
+            if (!lastActivityTime || lastActivityTime >= cutoff) {
+                continue;
+            }
+            if (room.currentGameID) {
+                const game = await this.db.games.getByID(room.currentGameID);
+                if (!game?.finishedTime) {
+                    await this.db.rooms.setCurrentGameForRoom(room, null);
+                    if (game) {
+                        await this.db.games.abandonByID(game.gameID, now);
+                    }
+                }
+            }
+            await this.db.rooms.archiveByID(room.roomID, now);
+            report.archivedRoomIDs.push(room.roomID);
+            logger.info(`Archived room ${room.roomID} (short code: ${room.roomCode}), inactive since ${lastActivityTime.toISOString()}.`);
+        }
+    }
+
+    /* Expire each approved room link request that was approved before the expiration period before the given time and never used to create a room. */
+    async expireRoomLinkRequests(now, report) {
+        const cutoff = new Date(now.getTime() - this.roomLinkRequestExpirationMillis);
+        const requests = await this.db.roomLinkRequests.getUnredeemedApprovedBefore(cutoff);
+        for (const request of requests) {
+            await this.db.roomLinkRequests.expireByID(request.requestID, now);
+            report.expiredRequestIDs.push(request.requestID);
+            logger.info(`Expired room link request ${request.requestID} for "${request.email}".`);
+        }
+    }
+
+    /*
+     * Delete each unfinished game that was abandoned before the abandoned game period before the given time, unless it is still the current game in its room.
+     * Unfinished games that were never abandoned (including games created before abandoned games were recorded) are kept.
+     * Players' statistics are only updated when games finish, so purging unfinished games does not affect any statistics.
+     */
+    async purgeAbandonedGames(now, report) {
+        const cutoff = new Date(now.getTime() - this.abandonedGameMillis);
+        const games = await this.db.games.getAbandonedBefore(cutoff);
+        for (const game of games) {
+            const room = await this.db.rooms.getByID(game.roomID);
+            if (room?.currentGameID === game.gameID) {
+                continue;
+            }
+            await this.db.games.deleteByID(game.gameID);
+            if (room) {
+                await this.db.rooms.updateFieldsByID(room.roomID, {$pull: {previousGameIDs: game.gameID}});
+            }
+            report.purgedGameIDs.push(game.gameID);
+            logger.info(`Purged abandoned game ${game.gameID} in room ${game.roomID}.`);
+        }
+    }
+}
@@ -0,0 +1,284 @@
+import { MILLISECONDS_PER_DAY, Player, Room, RoomLinkRequest, RoomLinkRequestResolution } from '@dyesoft/alea-core';
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import {
+    DEFAULT_ABANDONED_GAME_MILLIS,
+    DEFAULT_INTERVAL_MILLIS,
+    DEFAULT_MAX_REPORTS,
+    DEFAULT_ROOM_INACTIVITY_MILLIS,
+    DEFAULT_ROOM_LINK_REQUEST_EXPIRATION_MILLIS,
+    MaintenanceJob,
+    MaintenanceReport,
+} from './maintenance.mjs';
+import { getTestDB } from './testutils.mjs';
+
+const TEST_CONFIG = {
+    roomInactivityMillis: 30 * MILLISECONDS_PER_DAY,
+    roomLinkRequestExpirationMillis: 7 * MILLISECONDS_PER_DAY,
+    abandonedGameMillis: MILLISECONDS_PER_DAY,
+    maxReports: 2,
+};
+
+/* Return the time the given number of days before the given time. */
+function daysBefore(time, days) {
+    return new Date(time.getTime() - days * MILLISECONDS_PER_DAY);
+}
+
+/* Return a new game in the given room, created at the given time (and finished or abandoned at the given times, if any). */
+function game(gameID, roomID, createdTime, finishedTime = null, abandonedTime = null) {
+    return {gameID: gameID, roomID: roomID, playerIDs: [], scores: {}, createdTime: createdTime, finishedTime: finishedTime, abandonedTime: abandonedTime};
+}
+
+/* Return a new room created at the given time. */
+function room(roomCode, createdTime) {
+    const room = new Room(roomCode, 'owner');
+    room.createdTime = createdTime;
+    return room;
+}
+
+describe('MaintenanceReport', () => {
+    test('constructor', () => {
+        const startedTime = new Date();
+        const report = new MaintenanceReport(startedTime);
+        expect(report.startedTime).toBe(startedTime);
+        expect(report.finishedTime).toBeNull();
+        expect(report.archivedRoomIDs).toEqual([]);
+        expect(report.expiredRequestIDs).toEqual([]);
+        expect(report.purgedGameIDs).toEqual([]);
+        expect(report.errors).toEqual([]);
+    });
+});
+
+describe('MaintenanceJob', () => {
+    const now = new Date();
+
+    let db;
+    let job;
+
+    beforeEach(async () => {
+        db = await getTestDB();
+        job = new MaintenanceJob(db, TEST_CONFIG);
+    });
+
+    afterEach(async () => {
+        await job.stop();
+        await db.close();
+        jest.useRealTimers();
+    });
+
+    describe('constructor', () => {
+        test('uses default config', () => {
+            const job = new MaintenanceJob(db);
+            expect(job.db).toBe(db);
+            expect(job.intervalMillis).toEqual(DEFAULT_INTERVAL_MILLIS);
+            expect(job.roomInactivityMillis).toEqual(DEFAULT_ROOM_INACTIVITY_MILLIS);
+            expect(job.roomLinkRequestExpirationMillis).toEqual(DEFAULT_ROOM_LINK_REQUEST_EXPIRATION_MILLIS);
+            expect(job.abandonedGameMillis).toEqual(DEFAULT_ABANDONED_GAME_MILLIS);
+            expect(job.maxReports).toEqual(DEFAULT_MAX_REPORTS);
+        });
+
+        test('uses given config', () => {
+            expect(job.roomLinkRequestExpirationMillis).toEqual(TEST_CONFIG.roomLinkRequestExpirationMillis);
+            expect(job.maxReports).toEqual(TEST_CONFIG.maxReports);
+        });
+    });
+
+    describe('archiveInactiveRooms', () => {
+        test('archives rooms without recent activity', async () => {
+            const inactiveRoom = room('OLD', daysBefore(now, 60));
+            const newRoom = room('NEW', daysBefore(now, 1));
+            await db.rooms.createMany([inactiveRoom, newRoom]);
+
+            const report = new MaintenanceReport();
+            await job.archiveInactiveRooms(now, report);
+            expect(report.archivedRoomIDs).toEqual([inactiveRoom.roomID]);
+
+            const archivedRoom = await db.rooms.getByID(inactiveRoom.roomID);
+            expect(archivedRoom.archived).toBeTruthy();
+            expect(archivedRoom.archivedTime).toEqual(now);
+            expect((await db.rooms.getByID(newRoom.roomID)).archived).toBeFalsy();
+        });
+
+        test('does not archive rooms with active players', async () => {
+            const activeRoom = room('TEST', daysBefore(now, 60));
+            const player = new Player('Fred');
+            player.currentRoomID = activeRoom.roomID;
+            player.lastConnectionTime = daysBefore(now, 60);
+            await db.rooms.create(activeRoom);
+            await db.players.create(player);
+
+            const report = new MaintenanceReport();
+            await job.archiveInactiveRooms(now, report);
+            expect(report.archivedRoomIDs).toEqual([]);
+        });
+
+        test('does not archive rooms with recent games, connections, or restorations', async () => {
+            const gameRoom = room('GAME', daysBefore(now, 60));
+            const playerRoom = room('PLAY', daysBefore(now, 60));
+            const restoredRoom = room('REST', daysBefore(now, 60));
+            restoredRoom.unarchivedTime = daysBefore(now, 1);
+            const player = new Player('Fred');
+            player.active = false;
+            player.currentRoomID = playerRoom.roomID;
+            player.lastConnectionTime = daysBefore(now, 1);
+            await db.rooms.createMany([gameRoom, playerRoom, restoredRoom]);
+            await db.players.create(player);
+            await db.games.create(game('game', gameRoom.roomID, daysBefore(now, 40), daysBefore(now, 1)));
+
+            const report = new MaintenanceReport();
+            await job.archiveInactiveRooms(now, report);
+            expect(report.archivedRoomIDs).toEqual([]);
+        });
+
+        test('does not archive rooms that are already archived or closed', async () => {
+            const archivedRoom = room('ARCH', daysBefore(now, 60));
+            archivedRoom.archived = true;
+            const closedRoom = room('SHUT', daysBefore(now, 60));
+            closedRoom.closed = true;
+            await db.rooms.createMany([archivedRoom, closedRoom]);
+
+            const report = new MaintenanceReport();
+            await job.archiveInactiveRooms(now, report);
+            expect(report.archivedRoomIDs).toEqual([]);
+        });
+
+        test('abandons unfinished current game', async () => {
+            const inactiveRoom = room('OLD', daysBefore(now, 60));
+            inactiveRoom.currentGameID = 'game';
+            await db.rooms.create(inactiveRoom);
+            await db.games.create(game('game', inactiveRoom.roomID, daysBefore(now, 59)));
+
+            const report = new MaintenanceReport();
+            await job.archiveInactiveRooms(now, report);
+            expect(report.archivedRoomIDs).toEqual([inactiveRoom.roomID]);
+
+            const archivedRoom = await db.rooms.getByID(inactiveRoom.roomID);
+            expect(archivedRoom.currentGameID).toBeNull();
+            expect(archivedRoom.previousGameIDs).toEqual(['game']);
+            expect((await db.games.getByID('game')).abandonedTime).toEqual(now);
+        });
+    });
+
+    describe('expireRoomLinkRequests', () => {
+        test('expires unredeemed approved requests approved before expiration period', async () => {
+            const oldRequest = new RoomLinkRequest('Fred', 'fred@example.com');
+            oldRequest.resolution = RoomLinkRequestResolution.APPROVED;
+            oldRequest.resolvedTime = daysBefore(now, 10);
+            const newRequest = new RoomLinkRequest('Barney', 'barney@example.com');
+            newRequest.resolution = RoomLinkRequestResolution.APPROVED;
+            newRequest.resolvedTime = daysBefore(now, 1);
+            const redeemedRequest = new RoomLinkRequest('Betty', 'betty@example.com');
+            redeemedRequest.resolution = RoomLinkRequestResolution.APPROVED;
+            redeemedRequest.resolvedTime = daysBefore(now, 10);
+            redeemedRequest.roomID = 'room';
+            const pendingRequest = new RoomLinkRequest('Wilma', 'wilma@example.com');
+            pendingRequest.createdTime = daysBefore(now, 10);
+            await db.roomLinkRequests.createMany([oldRequest, newRequest, redeemedRequest, pendingRequest]);
+
+            const report = new MaintenanceReport();
+            await job.expireRoomLinkRequests(now, report);
+            expect(report.expiredRequestIDs).toEqual([oldRequest.requestID]);
+
+            const expiredRequest = await db.roomLinkRequests.getByID(oldRequest.requestID);
+            expect(expiredRequest.expired).toBeTruthy();
+            expect(expiredRequest.expiredTime).toEqual(now);
+            expect(expiredRequest.resolution).toEqual(RoomLinkRequestResolution.APPROVED);
+        });
+    });
+
+    describe('purgeAbandonedGames', () => {
+        test('deletes abandoned games that are not current and removes them from room history', async () => {
+            const testRoom = room('TEST', daysBefore(now, 10));
+            testRoom.currentGameID = 'current';
+            testRoom.previousGameIDs = ['finished', 'abandoned'];
+            await db.rooms.create(testRoom);
+            await db.games.createMany([
+                game('finished', testRoom.roomID, daysBefore(now, 5), daysBefore(now, 4)),
+                game('abandoned', testRoom.roomID, daysBefore(now, 3), null, daysBefore(now, 2)),
+                game('current', testRoom.roomID, daysBefore(now, 2), null, daysBefore(now, 2)),
+                game('recent', testRoom.roomID, daysBefore(now, 3), null, now),
+            ]);
+
+            const report = new MaintenanceReport();
+            await job.purgeAbandonedGames(now, report);
+            expect(report.purgedGameIDs).toEqual(['abandoned']);
+
+            expect(await db.games.getByID('abandoned')).toBeNull();
+            expect(await db.games.getByID('current')).not.toBeNull();
+            expect(await db.games.getByID('finished')).not.toBeNull();
+            expect(await db.games.getByID('recent')).not.toBeNull();
+            expect((await db.rooms.getByID(testRoom.roomID)).previousGameIDs).toEqual(['finished']);
+        });
+
+        test('keeps unfinished games that were never abandoned', async () => {
+            const testRoom = room('TEST', daysBefore(now, 400));
+            testRoom.previousGameIDs = ['old'];
+            await db.rooms.create(testRoom);
+            await db.games.create({gameID: 'old', roomID: testRoom.roomID, playerIDs: [], scores: {}, createdTime: daysBefore(now, 365), finishedTime: null});
+
+            const report = new MaintenanceReport();
+            await job.purgeAbandonedGames(now, report);
+            expect(report.purgedGameIDs).toEqual([]);
+            expect(await db.games.getByID('old')).not.toBeNull();
+            expect((await db.rooms.getByID(testRoom.roomID)).previousGameIDs).toEqual(['old']);
+        });
+    });
+
+    describe('run', () => {
+        test('runs each task and returns report', async () => {
+            const inactiveRoom = room('OLD', daysBefore(now, 60));
+            inactiveRoom.currentGameID = 'game';
+            await db.rooms.create(inactiveRoom);
+            await db.games.create(game('game', inactiveRoom.roomID, daysBefore(now, 59)));
+
+            const report = await job.run(now);
+            expect(report.startedTime).toBe(now);
+            expect(report.archivedRoomIDs).toEqual([inactiveRoom.roomID]);
+            expect(report.purgedGameIDs).toEqual([]);
+            expect(report.errors).toEqual([]);
+            expect(report.finishedTime).toEqual(expect.any(Date));
+            expect(job.getReports()).toEqual([report]);
+            expect((await db.games.getByID('game')).abandonedTime).toEqual(now);
+
+            /* The game abandoned when the room was archived is purged once the abandoned game period has passed. */
+            const laterReport = await job.run(new Date(now.getTime() + 2 * MILLISECONDS_PER_DAY));
+            expect(laterReport.purgedGameIDs).toEqual(['game']);
+            expect((await db.rooms.getByID(inactiveRoom.roomID)).previousGameIDs).toEqual([]);
+        });
+
+        test('records errors and continues with other tasks', async () => {
+            jest.spyOn(job, 'archiveInactiveRooms').mockRejectedValue(new Error('Connection lost'));
+            const spy = jest.spyOn(job, 'purgeAbandonedGames');
+            const report = await job.run(now);
+            expect(report.errors).toEqual(['Failed to archive inactive rooms: Connection lost']);
+            expect(spy).toHaveBeenCalled();
+        });
+
+        test('does not run concurrently', async () => {
+            const spy = jest.spyOn(job, 'performMaintenance');
+            const [report1, report2] = await Promise.all([job.run(now), job.run(now)]);
+            expect(report1).toBe(report2);
+            expect(spy).toHaveBeenCalledTimes(1);
+        });
+
+        test('keeps maximum number of reports, newest first', async () => {
+            const report1 = await job.run(now);
+            const report2 = await job.run(now);
+            const report3 = await job.run(now);
+            expect(job.getReports()).toEqual([report3, report2]);
+            expect(job.getReports()[1]).not.toBe(report1);
+        });
+    });
+
+    describe('start', () => {
+        test('periodically runs job until stopped', async () => {
+            jest.useFakeTimers();
+            const spy = jest.spyOn(job, 'run').mockResolvedValue(new MaintenanceReport());
+            job.start();
+            jest.advanceTimersByTime(job.intervalMillis * 2);
+            expect(spy).toHaveBeenCalledTimes(2);
+            await job.stop();
+            jest.advanceTimersByTime(job.intervalMillis);
+            expect(spy).toHaveBeenCalledTimes(2);
+        });
+    });
+});
@@ -0,0 +1,12 @@
+import { PubSub } from './pubsub.mjs';
+
+/*
+ * Publish/subscribe backend that delivers messages within a single process.
+ * This is sufficient for a single server instance, and multiple server instances in the same process may share it (e.g., in tests).
+ */
+export class MemoryPubSub extends PubSub {
+    /* Publish the given message to the given channel, delivering it to subscribers immediately. */
+    async publish(channel, message) {
+        this.dispatch(channel, JSON.parse(JSON.stringify(message)));
+    }
+}
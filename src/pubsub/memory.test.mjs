@@ -0,0 +1,29 @@
+import { describe, expect, jest, test } from '@jest/globals';
+import { MemoryPubSub } from './memory.mjs';
+
+const CHANNEL = 'test';
+
+describe('MemoryPubSub', () => {
+    describe('publish', () => {
+        test('delivers copy of message to subscribers', async () => {
+            const pubsub = new MemoryPubSub();
+            const handler = jest.fn();
+            await pubsub.subscribe(CHANNEL, handler);
+
+            const message = {value: 1, nested: {values: [2]}};
+            await pubsub.publish(CHANNEL, message);
+            expect(handler).toHaveBeenCalledTimes(1);
+            expect(handler).toHaveBeenCalledWith(message);
+            expect(handler.mock.calls[0][0]).not.toBe(message);
+        });
+
+        test('does not deliver messages after close', async () => {
+            const pubsub = new MemoryPubSub();
+            const handler = jest.fn();
+            await pubsub.subscribe(CHANNEL, handler);
+            await pubsub.close();
+            await pubsub.publish(CHANNEL, {});
+            expect(handler).not.toHaveBeenCalled();
+        });
+    });
+});
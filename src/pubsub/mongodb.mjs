@@ -0,0 +1,128 @@
+import log from 'log';
+import { sleep } from '../utils.mjs';
+import { PubSub } from './pubsub.mjs';
+
+const DEFAULT_COLLECTION_NAME = 'pubsub';
+
+/* Default maximum size of the capped collection. Old messages are discarded once the collection reaches this size. */
+const DEFAULT_COLLECTION_SIZE_BYTES = 16 * 1024 * 1024;
+
+const RETRY_DELAY_MILLIS = 1000;
+
+const logger = log.get('pubsub:mongodb');
+
+/*
+ * Publish/subscribe backend that shares messages between server instances using a capped collection in a MongoDB database.
+ * Each instance tails the collection with a tailable cursor, so messages are delivered to every instance in insertion order.
+ * Unlike change streams, capped collections do not require MongoDB to run as a replica set.
+ */
+export class MongoPubSub extends PubSub {
+    /*
+     * Create a MongoPubSub using the given capped collection.
+     * NOTE: The static factory method MongoPubSub.new() should typically be used instead of invoking this constructor!
+     */
+    constructor(collection) {
+        super();
+        this.collection = collection;
+        this.closed = false;
+        this.cursor = null;
+        this.lastMessageID = null;
+        this.started = null;
+        this.tailing = null;
+    }
+
+    /*
+     * Return a new MongoPubSub using the given MongoDB database and config (pubsub.collectionName and pubsub.sizeBytes).
+     * The capped collection is created if it does not already exist.
+     */
+    static async new(db, config) {
+        if (!db?.db) {
+            throw new Error('MongoDB pub/sub requires a MongoDB database');
+        }
+        const name = config?.pubsub?.collectionName || DEFAULT_COLLECTION_NAME;
+        if (!await db.db.listCollections({name: name}).hasNext()) {
+            const size = config?.pubsub?.sizeBytes || DEFAULT_COLLECTION_SIZE_BYTES;
+            await db.db.createCollection(name, {capped: true, size: size});
+        }
+        const collection = db.db.collection(name);
+        // A tailable cursor on an empty capped collection is closed immediately, so make sure the collection is never empty.
+        if (!await collection.findOne({})) {
+            await collection.insertOne({channel: null, createdTime: new Date()});
+        }
+        return new MongoPubSub(collection);
+    }
+
+    /*
+     * Register the given handler for the given channel, and start tailing the collection if necessary.
+     * The position to start tailing from is found before the first subscription resolves,
+     * so that every message published after subscribing is delivered.
+     */
+    async subscribe(channel, handler) {
+        await super.subscribe(channel, handler);
+        if (!this.started) {
+            this.started = this.findLatestMessage();
+            this.tailing = this.started.then(() => this.tail());
+        }
+        await this.started;
+    }
+
+    /* Remember the latest message in the collection as the last message seen, so that only later messages are delivered. */
+    async findLatestMessage() {
+        while (!this.closed && !this.lastMessageID) {
+            try {
+                const latest = await this.collection.find({}).sort({$natural: -1}).limit(1).next();
+                this.lastMessageID = latest._id;
+            } catch (e) {
+                logger.error(`Failed to find latest message in pub/sub collection: ${e}`);
+                await sleep(RETRY_DELAY_MILLIS);
+            }
+        }
+    }
+
+    /*
+     * Deliver messages published after the last message seen to subscribers until closed, reopening the cursor whenever it is closed.
+     * Messages are tailed in insertion order without filtering by ID, since IDs generated by different instances are not ordered.
+     * When the cursor is opened, messages up to and including the last message seen are skipped. If the last message seen
+     * has already been discarded from the capped collection, every message in the collection was published after it.
+     */
+    async tail() {
+        while (!this.closed) {
+            try {
+                let skipping = (await this.collection.countDocuments({_id: this.lastMessageID}) > 0);
+                this.cursor = this.collection.find({}, {tailable: true, awaitData: true, noCursorTimeout: true, sort: {$natural: 1}});
+                for await (const doc of this.cursor) {
+                    if (skipping) {
+                        skipping = !doc._id.equals(this.lastMessageID);
+                        continue;
+                    }
+                    this.lastMessageID = doc._id;
+                    if (doc.channel && doc.data) {
+                        this.dispatch(doc.channel, JSON.parse(doc.data));
+                    }
+                }
+            } catch (e) {
+                if (!this.closed) {
+                    logger.error(`Error while tailing pub/sub collection: ${e}`);
+                }
+            }
+            if (!this.closed) {
+                await sleep(RETRY_DELAY_MILLIS);
+            }
+        }
+    }
+
+    /* Publish the given message to the given channel by inserting it into the collection. */
+    async publish(channel, message) {
+        await this.collection.insertOne({channel: channel, data: JSON.stringify(message), createdTime: new Date()});
+    }
+
+    /* Stop tailing the collection. */
+    async close() {
+        this.closed = true;
+        await super.close();
+        if (this.cursor) {
+            await this.cursor.close();
+        }
+        await this.tailing;
+    }
+}
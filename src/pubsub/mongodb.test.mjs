@@ -0,0 +1,125 @@
+import mongodb from 'mongodb';
+const { ObjectId } = mongodb;
+
+import { afterAll, afterEach, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import { MongoDB } from '../database/index.mjs';
+import { sleep } from '../utils.mjs';
+import { MongoPubSub } from './mongodb.mjs';
+
+const CHANNEL = 'test';
+const COLLECTION_NAME = 'pubsub-test';
+const DELIVERY_DELAY_MILLIS = 500;
+const REOPEN_DELAY_MILLIS = 1500;
+
+describe('MongoPubSub', () => {
+    const config = {
+        db: {
+            url: global.__MONGO_URI__,
+        },
+        pubsub: {
+            collectionName: COLLECTION_NAME,
+            sizeBytes: 1024 * 1024,
+        },
+    };
+
+    let db;
+    let pubsubs = [];
+
+    async function newPubSub() {
+        const pubsub = await MongoPubSub.new(db, config);
+        pubsubs.push(pubsub);
+        return pubsub;
+    }
+
+    beforeAll(async () => {
+        db = await MongoDB.new(config);
+    });
+
+    afterEach(async () => {
+        await Promise.all(pubsubs.map(pubsub => pubsub.close()));
+        pubsubs = [];
+    });
+
+    afterAll(async () => {
+        await db.close(true);
+    });
+
+    describe('new', () => {
+        test('creates capped collection', async () => {
+            const pubsub = await newPubSub();
+            expect(pubsub.collection.collectionName).toEqual(COLLECTION_NAME);
+            expect(await pubsub.collection.isCapped()).toBeTruthy();
+        });
+
+        test('throws error for database other than MongoDB', async () => {
+            await expect(async () => await MongoPubSub.new({}, config)).rejects.toThrow(Error);
+        });
+    });
+
+    describe('publish', () => {
+        test('delivers messages to subscribers of all instances in order', async () => {
+            const pubsub1 = await newPubSub();
+            const pubsub2 = await newPubSub();
+            const handler1 = jest.fn();
+            const handler2 = jest.fn();
+            await pubsub1.subscribe(CHANNEL, handler1);
+            await pubsub2.subscribe(CHANNEL, handler2);
+            await pubsub2.subscribe('other', handler2);
+            await sleep(DELIVERY_DELAY_MILLIS);
+
+            await pubsub1.publish(CHANNEL, {value: 1});
+            await pubsub2.publish(CHANNEL, {value: 2});
+            await sleep(DELIVERY_DELAY_MILLIS);
+
+            [handler1, handler2].forEach(handler => {
+                expect(handler).toHaveBeenCalledTimes(2);
+                expect(handler).toHaveBeenNthCalledWith(1, {value: 1});
+                expect(handler).toHaveBeenNthCalledWith(2, {value: 2});
+            });
+        });
+
+        test('delivers messages published right after first subscribing', async () => {
+            const pubsub1 = await newPubSub();
+            const pubsub2 = await newPubSub();
+            const handler1 = jest.fn();
+            const handler2 = jest.fn();
+            await pubsub1.subscribe(CHANNEL, handler1);
+            await pubsub1.publish(CHANNEL, {value: 1});
+            await pubsub2.subscribe(CHANNEL, handler2);
+            await pubsub2.publish(CHANNEL, {value: 2});
+            await sleep(DELIVERY_DELAY_MILLIS);
+
+            expect(handler1).toHaveBeenCalledTimes(2);
+            expect(handler1).toHaveBeenNthCalledWith(1, {value: 1});
+            expect(handler1).toHaveBeenNthCalledWith(2, {value: 2});
+            expect(handler2).toHaveBeenCalledTimes(1);
+            expect(handler2).toHaveBeenCalledWith({value: 2});
+        });
+
+        test('delivers messages with lower IDs exactly once after cursor is reopened', async () => {
+            const pubsub = await newPubSub();
+            const handler = jest.fn();
+            await pubsub.subscribe(CHANNEL, handler);
+            await pubsub.publish(CHANNEL, {value: 1});
+            await sleep(DELIVERY_DELAY_MILLIS);
+
+            await pubsub.cursor.close();
+            await pubsub.collection.insertOne({_id: ObjectId.createFromTime(0), channel: CHANNEL, data: JSON.stringify({value: 2}), createdTime: new Date()});
+            await sleep(REOPEN_DELAY_MILLIS);
+
+            expect(handler).toHaveBeenCalledTimes(2);
+            expect(handler).toHaveBeenNthCalledWith(1, {value: 1});
+            expect(handler).toHaveBeenNthCalledWith(2, {value: 2});
+        });
+
+        test('does not deliver messages published before subscribing', async () => {
+            const pubsub = await newPubSub();
+            await pubsub.publish(CHANNEL, {value: 1});
+
+            const handler = jest.fn();
+            await pubsub.subscribe(CHANNEL, handler);
+            await sleep(DELIVERY_DELAY_MILLIS);
+            expect(handler).not.toHaveBeenCalled();
+        });
+    });
+});
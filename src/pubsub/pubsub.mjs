@@ -0,0 +1,44 @@
+import log from 'log';
+
+const logger = log.get('pubsub');
+
+/*
+ * Base class for publish/subscribe messaging backends, used to share websocket broadcasts and client presence between server instances.
+ * Messages are published to named channels and delivered, in order, to every subscriber to the channel in every server instance
+ * sharing the same backend (including the publishing instance). Messages must be JSON-serializable, and subscribers receive a copy.
+ * Subclasses must implement publish() and may override subscribe() and close().
+ */
+export class PubSub {
+    constructor() {
+        this.subscribers = {};
+    }
+
+    /* Register the given handler to be invoked with each message published to the given channel. */
+    async subscribe(channel, handler) {
+        if (!this.subscribers.hasOwnProperty(channel)) {
+            this.subscribers[channel] = [];
+        }
+        this.subscribers[channel].push(handler);
+    }
+
+    /* Deliver the given message to all subscribers to the given channel in this server instance. */
+    dispatch(channel, message) {
+        (this.subscribers[channel] || []).forEach(handler => {
+            try {
+                handler(message);
+            } catch (e) {
+                logger.error(`Failed to handle message on channel ${channel}: ${e}`);
+            }
+        });
+    }
+
+    /* Publish the given message to the given channel. */
+    async publish(channel, message) {
+        throw new Error('PubSub.publish() is not implemented');
+    }
+
+    /* Stop receiving messages and release any underlying resources. */
+    async close() {
+        this.subscribers = {};
+    }
+}
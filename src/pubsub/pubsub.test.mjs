@@ -0,0 +1,65 @@
+import { describe, expect, jest, test } from '@jest/globals';
+import { PubSub } from './pubsub.mjs';
+
+const CHANNEL = 'test';
+
+describe('PubSub', () => {
+    describe('subscribe', () => {
+        test('adds handler for channel', async () => {
+            const pubsub = new PubSub();
+            const handler = jest.fn();
+            await pubsub.subscribe(CHANNEL, handler);
+            expect(pubsub.subscribers).toEqual({[CHANNEL]: [handler]});
+        });
+    });
+
+    describe('dispatch', () => {
+        test('invokes all handlers for channel', async () => {
+            const pubsub = new PubSub();
+            const handler1 = jest.fn();
+            const handler2 = jest.fn();
+            const otherHandler = jest.fn();
+            await pubsub.subscribe(CHANNEL, handler1);
+            await pubsub.subscribe(CHANNEL, handler2);
+            await pubsub.subscribe('other', otherHandler);
+
+            const message = {value: 1};
+            pubsub.dispatch(CHANNEL, message);
+            expect(handler1).toHaveBeenCalledWith(message);
+            expect(handler2).toHaveBeenCalledWith(message);
+            expect(otherHandler).not.toHaveBeenCalled();
+        });
+
+        test('continues invoking handlers if a handler throws an error', async () => {
+            const pubsub = new PubSub();
+            const handler = jest.fn();
+            await pubsub.subscribe(CHANNEL, () => {
+                throw new Error('failed');
+            });
+            await pubsub.subscribe(CHANNEL, handler);
+            expect(() => pubsub.dispatch(CHANNEL, {})).not.toThrowError();
+            expect(handler).toHaveBeenCalled();
+        });
+
+        test('does nothing if channel has no subscribers', () => {
+            const pubsub = new PubSub();
+            expect(() => pubsub.dispatch(CHANNEL, {})).not.toThrowError();
+        });
+    });
+
+    describe('publish', () => {
+        test('throws error', async () => {
+            const pubsub = new PubSub();
+            await expect(async () => await pubsub.publish(CHANNEL, {})).rejects.toThrow(Error);
+        });
+    });
+
+    describe('close', () => {
+        test('removes all handlers', async () => {
+            const pubsub = new PubSub();
+            await pubsub.subscribe(CHANNEL, jest.fn());
+            await pubsub.close();
+            expect(pubsub.subscribers).toEqual({});
+        });
+    });
+});
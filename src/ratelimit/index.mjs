@@ -0,0 +1,3 @@
+export * from './ratelimit.mjs';
+export * from './memory.mjs';
+export * from './mongodb.mjs';
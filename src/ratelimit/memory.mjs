@@ -0,0 +1,43 @@
+import { getRateLimitWindow, RateLimitStore } from './ratelimit.mjs';
+
+/* Number of hits between sweeps of expired windows, so that the store does not grow without bound. */
+const SWEEP_INTERVAL_HITS = 1000;
+
+/*
+ * Rate limit store that counts hits in memory.
+ * This is sufficient for a single server instance; multiple instances should share a store (e.g., MongoRateLimitStore),
+ * since otherwise each instance enforces its limits independently.
+ */
+export class MemoryRateLimitStore extends RateLimitStore {
+    constructor() {
+        super();
+        this.windows = new Map();
+        this.hitsSinceSweep = 0;
+    }
+
+    /* Record a hit for the given key and return the number of hits in the current window of the given length, and when it resets. */
+    async increment(key, windowMillis) {
+        const now = Date.now();
+        if (++this.hitsSinceSweep >= SWEEP_INTERVAL_HITS) {
+            this.sweep(now);
+        }
+        const { resetTime } = getRateLimitWindow(windowMillis, now);
+        let window = this.windows.get(key);
+        if (!window || window.resetTime <= now) {
+            window = {count: 0, resetTime: resetTime};
+            this.windows.set(key, window);
+        }
+        window.count++;
+        return {count: window.count, resetTime: window.resetTime};
+    }
+
+    /* Remove all windows that have ended before the given time. */
+    sweep(now = Date.now()) {
+        this.hitsSinceSweep = 0;
+        this.windows.forEach((window, key) => {
+            if (window.resetTime <= now) {
+                this.windows.delete(key);
+            }
+        });
+    }
+}
@@ -0,0 +1,42 @@
+import { describe, expect, jest, test } from '@jest/globals';
+import { MemoryRateLimitStore } from './memory.mjs';
+
+const KEY = 'test';
+const WINDOW_MILLIS = 1000;
+
+describe('MemoryRateLimitStore', () => {
+    describe('increment', () => {
+        test('counts hits in current window', async () => {
+            const store = new MemoryRateLimitStore();
+            const first = await store.increment(KEY, WINDOW_MILLIS);
+            const second = await store.increment(KEY, WINDOW_MILLIS);
+            expect(first.count).toEqual(1);
+            expect(second.count).toEqual(2);
+            expect(second.resetTime).toEqual(first.resetTime);
+            expect((await store.increment('other', WINDOW_MILLIS)).count).toEqual(1);
+        });
+
+        test('resets count at end of window', async () => {
+            const store = new MemoryRateLimitStore();
+            const { resetTime } = await store.increment(KEY, WINDOW_MILLIS);
+            const now = jest.spyOn(Date, 'now').mockReturnValue(resetTime);
+            try {
+                expect(await store.increment(KEY, WINDOW_MILLIS)).toEqual({count: 1, resetTime: resetTime + WINDOW_MILLIS});
+            } finally {
+                now.mockRestore();
+            }
+        });
+    });
+
+    describe('sweep', () => {
+        test('removes ended windows', async () => {
+            const store = new MemoryRateLimitStore();
+            const { resetTime } = await store.increment(KEY, WINDOW_MILLIS);
+            await store.increment('other', WINDOW_MILLIS * 1000);
+            store.sweep(resetTime);
+            expect(store.windows.has(KEY)).toBeFalsy();
+            expect(store.windows.has('other')).toBeTruthy();
+            expect(store.hitsSinceSweep).toEqual(0);
+        });
+    });
+});
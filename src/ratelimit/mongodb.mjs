@@ -0,0 +1,51 @@
+import { getRateLimitWindow, RateLimitStore } from './ratelimit.mjs';
+
+const DEFAULT_COLLECTION_NAME = 'rateLimits';
+
+const DUPLICATE_KEY_ERROR_CODE = 11000;
+
+/*
+ * Rate limit store that counts hits in a MongoDB collection, so that limits are shared between server instances.
+ * Each window is stored as a separate document, which MongoDB removes (via a TTL index) once the window has ended.
+ */
+export class MongoRateLimitStore extends RateLimitStore {
+    /*
+     * Create a MongoRateLimitStore using the given collection.
+     * NOTE: The static factory method MongoRateLimitStore.new() should typically be used instead of invoking this constructor!
+     */
+    constructor(collection) {
+        super();
+        this.collection = collection;
+    }
+
+    /*
+     * Return a new MongoRateLimitStore using the given MongoDB database and config (rateLimit.collectionName).
+     * The TTL index used to remove ended windows is created if it does not already exist.
+     */
+    static async new(db, config) {
+        if (typeof db?.db?.collection !== 'function') {
+            throw new Error('MongoDB rate limit store requires a MongoDB database');
+        }
+        const collection = db.db.collection(config?.rateLimit?.collectionName || DEFAULT_COLLECTION_NAME);
+        await collection.createIndex({expireTime: 1}, {expireAfterSeconds: 0});
+        return new MongoRateLimitStore(collection);
+    }
+
+    /* Record a hit for the given key and return the number of hits in the current window of the given length, and when it resets. */
+    async increment(key, windowMillis) {
+        const { windowStart, resetTime } = getRateLimitWindow(windowMillis);
+        const filter = {_id: `${key}:${windowStart}`};
+        const update = {$inc: {count: 1}, $setOnInsert: {expireTime: new Date(resetTime)}};
+        let result;
+        try {
+            result = await this.collection.findOneAndUpdate(filter, update, {upsert: true, returnOriginal: false});
+        } catch (e) {
+            // Concurrent upserts of a new window may conflict, in which case the window now exists and can be updated.
+            if (e.code !== DUPLICATE_KEY_ERROR_CODE) {
+                throw e;
+            }
+            result = await this.collection.findOneAndUpdate(filter, update, {upsert: true, returnOriginal: false});
+        }
+        return {count: result.value.count, resetTime: resetTime};
+    }
+}
@@ -0,0 +1,57 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import { MongoDB } from '../database/index.mjs';
+import { MongoRateLimitStore } from './mongodb.mjs';
+
+const COLLECTION_NAME = 'ratelimit-test';
+const WINDOW_MILLIS = 60 * 1000;
+
+describe('MongoRateLimitStore', () => {
+    const config = {
+        db: {
+            url: global.__MONGO_URI__,
+        },
+        rateLimit: {
+            collectionName: COLLECTION_NAME,
+        },
+    };
+
+    let db;
+
+    beforeAll(async () => {
+        db = await MongoDB.new(config);
+    });
+
+    afterAll(async () => {
+        await db.close(true);
+    });
+
+    describe('new', () => {
+        test('creates TTL index', async () => {
+            const store = await MongoRateLimitStore.new(db, config);
+            expect(store.collection.collectionName).toEqual(COLLECTION_NAME);
+            const indexes = await store.collection.indexes();
+            expect(indexes.find(index => index.key.expireTime)?.expireAfterSeconds).toEqual(0);
+        });
+
+        test('throws error for database other than MongoDB', async () => {
+            await expect(async () => await MongoRateLimitStore.new({}, config)).rejects.toThrow(Error);
+        });
+    });
+
+    describe('increment', () => {
+        test('counts hits shared between instances', async () => {
+            const store1 = await MongoRateLimitStore.new(db, config);
+            const store2 = await MongoRateLimitStore.new(db, config);
+            const first = await store1.increment('shared', WINDOW_MILLIS);
+            const second = await store2.increment('shared', WINDOW_MILLIS);
+            expect(first.count).toEqual(1);
+            expect(second).toEqual({count: 2, resetTime: first.resetTime});
+        });
+
+        test('counts concurrent hits', async () => {
+            const store = await MongoRateLimitStore.new(db, config);
+            const results = await Promise.all([1, 2, 3].map(() => store.increment('concurrent', WINDOW_MILLIS)));
+            expect(results.map(result => result.count).sort()).toEqual([1, 2, 3]);
+        });
+    });
+});
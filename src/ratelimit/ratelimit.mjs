@@ -0,0 +1,126 @@
+import log from 'log';
+import { EventTypes, MILLISECONDS_PER_SECOND } from '@dyesoft/alea-core';
+
+/* Status code used for REST requests and websocket events that exceed a rate limit. */
+export const TOO_MANY_REQUESTS = 429;
+
+/* Name of the rate limit applied to all REST requests. */
+const REQUESTS_LIMIT_NAME = 'requests';
+
+/*
+ * Default rate limits for REST routes (keyed by method and path) that could otherwise be abused.
+ * Both routes send email to arbitrary addresses.
+ */
+export const DEFAULT_ROUTE_LIMITS = {
+    'POST /api/player/retrieve': {limit: 5, windowSeconds: 60 * 60},
+    'POST /api/request': {limit: 5, windowSeconds: 60 * 60},
+};
+
+/* Default rate limits for websocket events (keyed by event type). Joining a room with a code checks the room's password. */
+export const DEFAULT_EVENT_LIMITS = {
+    [EventTypes.JOIN_ROOM_WITH_CODE]: {limit: 10, windowSeconds: 60},
+};
+
+const logger = log.get('ratelimit');
+
+/* Return the start and end (reset) times of the fixed window of the given length containing the given time. */
+export function getRateLimitWindow(windowMillis, now = Date.now()) {
+    const windowStart = now - (now % windowMillis);
+    return {windowStart: windowStart, resetTime: windowStart + windowMillis};
+}
+
+/* Return the rate limit key for the given method and path (e.g., "POST /api/request"), ignoring any trailing slash. */
+export function getRouteKey(method, path) {
+    const normalizedPath = (path.length > 1 ? path.replace(/\/+$/, '') : path);
+    return `${method.toUpperCase()} ${normalizedPath}`;
+}
+
+/*
+ * Base class for storage backends that count hits against rate limits.
+ * Hits are counted in fixed windows, so the count for a key is reset at the end of each window.
+ * Subclasses must implement increment().
+ */
+export class RateLimitStore {
+    /* Record a hit for the given key and return the number of hits in the current window of the given length, and when it resets. */
+    async increment(key, windowMillis) {
+        throw new Error('RateLimitStore.increment() is not implemented');
+    }
+}
+
+/*
+ * Rate limiter that applies the configured limits to REST requests and websocket events using the given store.
+ * Each limit is applied separately per IP address and per player (if the caller has a session),
+ * so a caller is limited once either their IP address or their player exceeds the limit.
+ * Servers behind a reverse proxy should set the server.trustProxy config, so that callers are identified by their own IP address.
+ *
+ * Limits are configured with the rateLimit config, as follows (setting a limit to null disables it):
+ *   requests: the limit for all REST requests (disabled by default);
+ *   routes: limits for specific REST routes, keyed by method and path (see DEFAULT_ROUTE_LIMITS);
+ *   events: limits for websocket events, keyed by event type (see DEFAULT_EVENT_LIMITS).
+ * Each limit has the form {limit: <maximum number of hits>, windowSeconds: <length of the window>}.
+ */
+export class RateLimiter {
+    constructor(store, config = {}) {
+        this.store = store;
+        this.requestLimit = config?.requests || null;
+        this.routeLimits = {};
+        Object.entries({...DEFAULT_ROUTE_LIMITS, ...config?.routes}).forEach(([route, limit]) => {
+            const [method, path] = route.split(' ');
+            this.routeLimits[getRouteKey(method, path)] = limit;
+        });
+        this.eventLimits = {...DEFAULT_EVENT_LIMITS, ...config?.events};
+    }
+
+    /*
+     * Record a hit against the given limit for the given IP address and player ID (either of which may be null).
+     * Returns the number of seconds until the caller may try again if the limit has been exceeded, or 0 otherwise.
+     * If the store fails, the hit is allowed, so that an unavailable store does not take down the server.
+     */
+    async consume(name, limit, ip, playerID) {
+        if (!limit?.limit || !limit?.windowSeconds) {
+            return 0;
+        }
+        const windowMillis = limit.windowSeconds * MILLISECONDS_PER_SECOND;
+        const keys = [];
+        if (ip) {
+            keys.push(`${name}:ip:${ip}`);
+        }
+        if (playerID) {
+            keys.push(`${name}:player:${playerID}`);
+        }
+
+        let results;
+        try {
+            results = await Promise.all(keys.map(key => this.store.increment(key, windowMillis)));
+        } catch (e) {
+            logger.error(`Failed to apply rate limit ${name}: ${e}`);
+            return 0;
+        }
+
+        const now = Date.now();
+        return results.filter(result => result.count > limit.limit).reduce((retryAfter, result) => {
+            return Math.max(retryAfter, Math.ceil((result.resetTime - now) / MILLISECONDS_PER_SECOND), 1);
+        }, 0);
+    }
+
+    /*
+     * Record a REST request with the given method and path from the given IP address and player ID.
+     * Returns the number of seconds until the caller may try again if a limit has been exceeded, or 0 otherwise.
+     */
+    async checkRequest(method, path, ip, playerID) {
+        const routeKey = getRouteKey(method, path);
+        const retryAfters = await Promise.all([
+            this.consume(REQUESTS_LIMIT_NAME, this.requestLimit, ip, playerID),
+            this.consume(routeKey, this.routeLimits[routeKey], ip, playerID),
+        ]);
+        return Math.max(...retryAfters);
+    }
+
+    /*
+     * Record a websocket event of the given type from the given IP address and player ID.
+     * Returns the number of seconds until the caller may try again if the limit has been exceeded, or 0 otherwise.
+     */
+    async checkEvent(eventType, ip, playerID) {
+        return await this.consume(`event:${eventType}`, this.eventLimits[eventType], ip, playerID);
+    }
+}
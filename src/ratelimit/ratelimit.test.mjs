@@ -0,0 +1,123 @@
+import { describe, expect, jest, test } from '@jest/globals';
+import { EventTypes } from '@dyesoft/alea-core';
+import { MemoryRateLimitStore } from './memory.mjs';
+import { getRateLimitWindow, getRouteKey, RateLimiter, RateLimitStore } from './ratelimit.mjs';
+
+const IP = '127.0.0.1';
+const OTHER_IP = '127.0.0.2';
+const PLAYER_ID = 'player';
+
+describe('getRateLimitWindow', () => {
+    test('returns start and reset time of window containing time', () => {
+        expect(getRateLimitWindow(1000, 12345)).toEqual({windowStart: 12000, resetTime: 13000});
+        expect(getRateLimitWindow(1000, 12000)).toEqual({windowStart: 12000, resetTime: 13000});
+    });
+});
+
+describe('getRouteKey', () => {
+    test('combines method and path', () => {
+        expect(getRouteKey('post', '/api/request')).toEqual('POST /api/request');
+    });
+
+    test('ignores trailing slash', () => {
+        expect(getRouteKey('POST', '/api/request/')).toEqual('POST /api/request');
+        expect(getRouteKey('GET', '/')).toEqual('GET /');
+    });
+});
+
+describe('RateLimitStore', () => {
+    test('increment is not implemented', async () => {
+        await expect(async () => await new RateLimitStore().increment('key', 1000)).rejects.toThrow(Error);
+    });
+});
+
+describe('RateLimiter', () => {
+    const config = {
+        requests: {limit: 3, windowSeconds: 60},
+        routes: {
+            'POST /api/test': {limit: 1, windowSeconds: 60},
+            'POST /api/request': null,
+        },
+        events: {
+            [EventTypes.JOIN_ROOM]: {limit: 1, windowSeconds: 60},
+        },
+    };
+
+    describe('constructor', () => {
+        test('default limits', () => {
+            const limiter = new RateLimiter(new MemoryRateLimitStore());
+            expect(limiter.requestLimit).toBeNull();
+            expect(limiter.routeLimits['POST /api/player/retrieve']).toEqual({limit: 5, windowSeconds: 3600});
+            expect(limiter.routeLimits['POST /api/request']).toEqual({limit: 5, windowSeconds: 3600});
+            expect(limiter.eventLimits[EventTypes.JOIN_ROOM_WITH_CODE]).toEqual({limit: 10, windowSeconds: 60});
+        });
+
+        test('configured limits', () => {
+            const limiter = new RateLimiter(new MemoryRateLimitStore(), config);
+            expect(limiter.requestLimit).toEqual(config.requests);
+            expect(limiter.routeLimits['POST /api/test']).toEqual(config.routes['POST /api/test']);
+            expect(limiter.routeLimits['POST /api/request']).toBeNull();
+            expect(limiter.eventLimits[EventTypes.JOIN_ROOM]).toEqual(config.events[EventTypes.JOIN_ROOM]);
+        });
+    });
+
+    describe('checkRequest', () => {
+        test('allows requests within route limit', async () => {
+            const limiter = new RateLimiter(new MemoryRateLimitStore(), config);
+            expect(await limiter.checkRequest('POST', '/api/test', IP, null)).toEqual(0);
+        });
+
+        test('limits requests exceeding route limit by IP', async () => {
+            const limiter = new RateLimiter(new MemoryRateLimitStore(), config);
+            await limiter.checkRequest('POST', '/api/test', IP, null);
+            const retryAfter = await limiter.checkRequest('POST', '/api/test/', IP, null);
+            expect(retryAfter).toBeGreaterThan(0);
+            expect(retryAfter).toBeLessThanOrEqual(60);
+            expect(await limiter.checkRequest('POST', '/api/test', OTHER_IP, null)).toEqual(0);
+        });
+
+        test('limits requests exceeding route limit by player', async () => {
+            const limiter = new RateLimiter(new MemoryRateLimitStore(), config);
+            await limiter.checkRequest('POST', '/api/test', IP, PLAYER_ID);
+            expect(await limiter.checkRequest('POST', '/api/test', OTHER_IP, PLAYER_ID)).toBeGreaterThan(0);
+        });
+
+        test('limits requests exceeding limit for all requests', async () => {
+            const limiter = new RateLimiter(new MemoryRateLimitStore(), config);
+            for (let i = 0; i < 3; i++) {
+                expect(await limiter.checkRequest('GET', `/api/test/${i}`, IP, null)).toEqual(0);
+            }
+            expect(await limiter.checkRequest('GET', '/api/other', IP, null)).toBeGreaterThan(0);
+        });
+
+        test('does not limit routes with disabled limit', async () => {
+            const limiter = new RateLimiter(new MemoryRateLimitStore(), {routes: {'POST /api/request': null}});
+            for (let i = 0; i < 10; i++) {
+                expect(await limiter.checkRequest('POST', '/api/request', IP, null)).toEqual(0);
+            }
+        });
+
+        test('allows requests if store fails', async () => {
+            const store = new MemoryRateLimitStore();
+            store.increment = jest.fn().mockRejectedValue(new Error('failed'));
+            const limiter = new RateLimiter(store, config);
+            await limiter.checkRequest('POST', '/api/test', IP, null);
+            expect(await limiter.checkRequest('POST', '/api/test', IP, null)).toEqual(0);
+        });
+    });
+
+    describe('checkEvent', () => {
+        test('limits events exceeding event limit', async () => {
+            const limiter = new RateLimiter(new MemoryRateLimitStore(), config);
+            expect(await limiter.checkEvent(EventTypes.JOIN_ROOM, IP, PLAYER_ID)).toEqual(0);
+            expect(await limiter.checkEvent(EventTypes.JOIN_ROOM, IP, PLAYER_ID)).toBeGreaterThan(0);
+        });
+
+        test('does not limit events without limit', async () => {
+            const limiter = new RateLimiter(new MemoryRateLimitStore(), config);
+            for (let i = 0; i < 5; i++) {
+                expect(await limiter.checkEvent(EventTypes.LEAVE_ROOM, IP, PLAYER_ID)).toEqual(0);
+            }
+        });
+    });
+});
@@ -0,0 +1,109 @@
+/*
+ * Roles that a player may have in a room. The owner and host roles follow the room's ownerPlayerID and hostPlayerID,
+ * while the other roles are granted by the owner (see GRANTABLE_ROOM_ROLES). Players in the room without a granted role have the player role.
+ */
+export const RoomRoles = {
+    OWNER: 'owner',
+    HOST: 'host',
+    CO_HOST: 'co_host',
+    PLAYER: 'player',
+    SPECTATOR: 'spectator',
+};
+
+/* Roles in order of rank, from highest to lowest (see outranksPlayer). */
+const ROOM_ROLE_RANKING = Object.values(RoomRoles);
+
+/* Roles that the owner of a room may grant to (or revoke from) other players in the room. */
+export const GRANTABLE_ROOM_ROLES = new Set([
+    RoomRoles.CO_HOST,
+    RoomRoles.SPECTATOR,
+]);
+
+/* Actions in a room that are restricted to players whose roles have the corresponding permission. */
+export const RoomPermissions = {
+    ABANDON_GAME: 'abandon_game',
+    DELETE_CHAT_MESSAGES: 'delete_chat_messages',
+    END_GAME: 'end_game',
+    KICK_PLAYER: 'kick_player',
+    MODERATE: 'moderate',
+    REASSIGN_HOST: 'reassign_host',
+};
+
+const ALL_ROOM_PERMISSIONS = Object.values(RoomPermissions);
+
+/*
+ * Default permission matrix for rooms, mapping each role to its permissions.
+ * Rooms may override the permissions of any role except the owner, who always has every permission (see getRolePermissions).
+ */
+export const DEFAULT_ROLE_PERMISSIONS = {
+    [RoomRoles.OWNER]: ALL_ROOM_PERMISSIONS,
+    [RoomRoles.HOST]: ALL_ROOM_PERMISSIONS,
+    [RoomRoles.CO_HOST]: [
+        RoomPermissions.ABANDON_GAME,
+        RoomPermissions.DELETE_CHAT_MESSAGES,
+        RoomPermissions.END_GAME,
+        RoomPermissions.KICK_PLAYER,
+        RoomPermissions.MODERATE,
+    ],
+    [RoomRoles.PLAYER]: [],
+    [RoomRoles.SPECTATOR]: [],
+};
+
+/* Return true if the given value is one of the room roles. */
+export function isValidRoomRole(role) {
+    return Object.values(RoomRoles).includes(role);
+}
+
+/* Return true if the given value is one of the room permissions. */
+export function isValidRoomPermission(permission) {
+    return ALL_ROOM_PERMISSIONS.includes(permission);
+}
+
+/*
+ * Return the roles of the given player in the given room, in order of precedence.
+ * A player may have several roles (e.g., the owner may also be the host), and players who are not in the room have no roles.
+ */
+export function getPlayerRoles(room, playerID) {
+    const roles = [];
+    if (playerID === room.ownerPlayerID) {
+        roles.push(RoomRoles.OWNER);
+    }
+    if (playerID === room.hostPlayerID) {
+        roles.push(RoomRoles.HOST);
+    }
+    if (room.playerIDs.includes(playerID)) {
+        roles.push(room.playerRoles?.[playerID] || RoomRoles.PLAYER);
+    }
+    return roles;
+}
+
+/* Return true if the given player has the given role in the given room (see getPlayerRoles). */
+export function hasRoomRole(room, playerID, role) {
+    return getPlayerRoles(room, playerID).includes(role);
+}
+
+/* Return the permissions of the given role in the given room, using the room's rolePermissions if it overrides the default permission matrix. */
+export function getRolePermissions(room, role) {
+    if (role !== RoomRoles.OWNER && room.rolePermissions?.hasOwnProperty(role)) {
+        return room.rolePermissions[role];
+    }
+    return DEFAULT_ROLE_PERMISSIONS[role] || [];
+}
+
+/* Return true if any of the given player's roles in the given room has the given permission. */
+export function hasRoomPermission(room, playerID, permission) {
+    return getPlayerRoles(room, playerID).some(role => getRolePermissions(room, role).includes(permission));
+}
+
+/* Return the rank of the given player's highest role in the given room (lower is higher), or the lowest rank if the player has no roles. */
+function getHighestRoleRank(room, playerID) {
+    return Math.min(ROOM_ROLE_RANKING.length, ...getPlayerRoles(room, playerID).map(role => ROOM_ROLE_RANKING.indexOf(role)));
+}
+
+/*
+ * Return true if the highest role of the given player in the given room ranks strictly above the highest role of the target player.
+ * Players may only kick or moderate players that they outrank (e.g., co-hosts may not kick the host or other co-hosts).
+ */
+export function outranksPlayer(room, playerID, targetPlayerID) {
+    return getHighestRoleRank(room, playerID) < getHighestRoleRank(room, targetPlayerID);
+}
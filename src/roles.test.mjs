@@ -0,0 +1,174 @@
+import { Room } from '@dyesoft/alea-core';
+import { describe, expect, test } from '@jest/globals';
+import {
+    DEFAULT_ROLE_PERMISSIONS,
+    getPlayerRoles,
+    getRolePermissions,
+    hasRoomPermission,
+    hasRoomRole,
+    isValidRoomPermission,
+    isValidRoomRole,
+    outranksPlayer,
+    RoomPermissions,
+    RoomRoles,
+} from './roles.mjs';
+
+const OWNER_PLAYER_ID = 'owner';
+const HOST_PLAYER_ID = 'host';
+const PLAYER_ID = 'player';
+
+/* Return a new room with an owner, a different host, and one other player. */
+function getTestRoom() {
+    const room = new Room('TEST', OWNER_PLAYER_ID);
+    room.hostPlayerID = HOST_PLAYER_ID;
+    room.playerIDs.push(HOST_PLAYER_ID, PLAYER_ID);
+    return room;
+}
+
+describe('isValidRoomRole', () => {
+    test('valid roles', () => {
+        Object.values(RoomRoles).forEach(role => expect(isValidRoomRole(role)).toBeTruthy());
+    });
+
+    test('invalid roles', () => {
+        expect(isValidRoomRole('admin')).toBeFalsy();
+        expect(isValidRoomRole(undefined)).toBeFalsy();
+    });
+});
+
+describe('isValidRoomPermission', () => {
+    test('valid permissions', () => {
+        Object.values(RoomPermissions).forEach(permission => expect(isValidRoomPermission(permission)).toBeTruthy());
+    });
+
+    test('invalid permissions', () => {
+        expect(isValidRoomPermission('close_room')).toBeFalsy();
+        expect(isValidRoomPermission(null)).toBeFalsy();
+    });
+});
+
+describe('getPlayerRoles', () => {
+    test('owner who is also host', () => {
+        const room = new Room('TEST', OWNER_PLAYER_ID);
+        expect(getPlayerRoles(room, OWNER_PLAYER_ID)).toEqual([RoomRoles.OWNER, RoomRoles.HOST, RoomRoles.PLAYER]);
+    });
+
+    test('host', () => {
+        expect(getPlayerRoles(getTestRoom(), HOST_PLAYER_ID)).toEqual([RoomRoles.HOST, RoomRoles.PLAYER]);
+    });
+
+    test('player with granted role', () => {
+        const room = getTestRoom();
+        room.playerRoles = {[PLAYER_ID]: RoomRoles.CO_HOST};
+        expect(getPlayerRoles(room, PLAYER_ID)).toEqual([RoomRoles.CO_HOST]);
+    });
+
+    test('player without granted role', () => {
+        expect(getPlayerRoles(getTestRoom(), PLAYER_ID)).toEqual([RoomRoles.PLAYER]);
+    });
+
+    test('player not in room', () => {
+        const room = getTestRoom();
+        room.playerRoles = {other: RoomRoles.CO_HOST};
+        expect(getPlayerRoles(room, 'other')).toEqual([]);
+    });
+});
+
+describe('hasRoomRole', () => {
+    test('matches any role of player', () => {
+        const room = getTestRoom();
+        room.hostPlayerID = OWNER_PLAYER_ID;
+        room.playerRoles = {[PLAYER_ID]: RoomRoles.SPECTATOR};
+        expect(hasRoomRole(room, OWNER_PLAYER_ID, RoomRoles.HOST)).toBeTruthy();
+        expect(hasRoomRole(room, PLAYER_ID, RoomRoles.SPECTATOR)).toBeTruthy();
+        expect(hasRoomRole(room, PLAYER_ID, RoomRoles.PLAYER)).toBeFalsy();
+    });
+
+    test('player not in room has no roles', () => {
+        const room = getTestRoom();
+        room.playerRoles = {other: RoomRoles.SPECTATOR};
+        expect(hasRoomRole(room, 'other', RoomRoles.SPECTATOR)).toBeFalsy();
+    });
+});
+
+describe('getRolePermissions', () => {
+    test('default permissions', () => {
+        const room = getTestRoom();
+        Object.values(RoomRoles).forEach(role => expect(getRolePermissions(room, role)).toEqual(DEFAULT_ROLE_PERMISSIONS[role]));
+    });
+
+    test('room overrides default permissions', () => {
+        const room = getTestRoom();
+        room.rolePermissions = {[RoomRoles.PLAYER]: [RoomPermissions.END_GAME]};
+        expect(getRolePermissions(room, RoomRoles.PLAYER)).toEqual([RoomPermissions.END_GAME]);
+        expect(getRolePermissions(room, RoomRoles.CO_HOST)).toEqual(DEFAULT_ROLE_PERMISSIONS[RoomRoles.CO_HOST]);
+    });
+
+    test('owner permissions cannot be overridden', () => {
+        const room = getTestRoom();
+        room.rolePermissions = {[RoomRoles.OWNER]: []};
+        expect(getRolePermissions(room, RoomRoles.OWNER)).toEqual(Object.values(RoomPermissions));
+    });
+
+    test('unknown role has no permissions', () => {
+        expect(getRolePermissions(getTestRoom(), 'admin')).toEqual([]);
+    });
+});
+
+describe('hasRoomPermission', () => {
+    test('owner has all permissions', () => {
+        const room = getTestRoom();
+        Object.values(RoomPermissions).forEach(permission => expect(hasRoomPermission(room, OWNER_PLAYER_ID, permission)).toBeTruthy());
+    });
+
+    test('co-host may kick players but not reassign host', () => {
+        const room = getTestRoom();
+        room.playerRoles = {[PLAYER_ID]: RoomRoles.CO_HOST};
+        expect(hasRoomPermission(room, PLAYER_ID, RoomPermissions.KICK_PLAYER)).toBeTruthy();
+        expect(hasRoomPermission(room, PLAYER_ID, RoomPermissions.REASSIGN_HOST)).toBeFalsy();
+    });
+
+    test('uses permissions of any role', () => {
+        const room = getTestRoom();
+        room.rolePermissions = {[RoomRoles.HOST]: [], [RoomRoles.PLAYER]: [RoomPermissions.ABANDON_GAME]};
+        expect(hasRoomPermission(room, HOST_PLAYER_ID, RoomPermissions.ABANDON_GAME)).toBeTruthy();
+        expect(hasRoomPermission(room, HOST_PLAYER_ID, RoomPermissions.KICK_PLAYER)).toBeFalsy();
+    });
+
+    test('player not in room has no permissions', () => {
+        expect(hasRoomPermission(getTestRoom(), 'other', RoomPermissions.MODERATE)).toBeFalsy();
+    });
+});
+
+describe('outranksPlayer', () => {
+    test('owner outranks host and players', () => {
+        const room = getTestRoom();
+        expect(outranksPlayer(room, OWNER_PLAYER_ID, HOST_PLAYER_ID)).toBeTruthy();
+        expect(outranksPlayer(room, OWNER_PLAYER_ID, PLAYER_ID)).toBeTruthy();
+        expect(outranksPlayer(room, HOST_PLAYER_ID, OWNER_PLAYER_ID)).toBeFalsy();
+    });
+
+    test('co-host outranks players but not host or other co-hosts', () => {
+        const room = getTestRoom();
+        room.playerIDs.push('other', 'spectator');
+        room.playerRoles = {[PLAYER_ID]: RoomRoles.CO_HOST, other: RoomRoles.CO_HOST, spectator: RoomRoles.SPECTATOR};
+        expect(outranksPlayer(room, PLAYER_ID, 'spectator')).toBeTruthy();
+        expect(outranksPlayer(room, PLAYER_ID, HOST_PLAYER_ID)).toBeFalsy();
+        expect(outranksPlayer(room, PLAYER_ID, 'other')).toBeFalsy();
+    });
+
+    test('uses highest role of each player', () => {
+        const room = getTestRoom();
+        room.hostPlayerID = OWNER_PLAYER_ID;
+        room.playerRoles = {[OWNER_PLAYER_ID]: RoomRoles.SPECTATOR};
+        expect(outranksPlayer(room, OWNER_PLAYER_ID, PLAYER_ID)).toBeTruthy();
+        expect(outranksPlayer(room, PLAYER_ID, OWNER_PLAYER_ID)).toBeFalsy();
+    });
+
+    test('players in room outrank players not in room', () => {
+        const room = getTestRoom();
+        expect(outranksPlayer(room, PLAYER_ID, 'other')).toBeTruthy();
+        expect(outranksPlayer(room, 'other', PLAYER_ID)).toBeFalsy();
+        expect(outranksPlayer(room, 'other', 'unknown')).toBeFalsy();
+    });
+});
@@ -6,23 +6,64 @@ import fs from 'fs';
 import http from 'http';
 import https from 'https';
 import log from 'log';
-import { apiErrorHandler, apiRequestLogHandler, apiResponseLogHandler } from './api/common.mjs';
+import { apiErrorHandler, apiLocaleHandler, apiRateLimitHandler, apiRequestLogHandler, apiResponseLogHandler } from './api/common.mjs';
+import EmailAPI from './api/email.mjs';
 import GameAPI from './api/game.mjs';
+import MaintenanceAPI from './api/maintenance.mjs';
+import { generateOpenAPIDocument } from './api/openapi.mjs';
+import OutboxAPI from './api/outbox.mjs';
 import PlayerAPI from './api/player.mjs';
 import RoomAPI from './api/room.mjs';
 import RoomLinkRequestAPI from './api/roomLinkRequest.mjs';
 import StatusAPI from './api/status.mjs';
-import { MongoDB } from './database/index.mjs';
+import { MemoryDB, MongoDB, SQLiteDB } from './database/index.mjs';
 import { Mailer } from './mail.mjs';
+import { MaintenanceJob } from './maintenance.mjs';
+import { MemoryPubSub, MongoPubSub } from './pubsub/index.mjs';
+import { MemoryRateLimitStore, MongoRateLimitStore, RateLimiter } from './ratelimit/index.mjs';
+import { SessionManager } from './session.mjs';
 import { WebsocketServer } from './websockets.mjs';
 
+const DEFAULT_DB_TYPE = 'mongodb';
+
 const DEFAULT_PORT = 3456;
 
+const DEFAULT_PUBSUB_TYPE = 'memory';
+
+const DEFAULT_RATE_LIMIT_STORE_TYPE = 'memory';
+
+const OPENAPI_PATH = '/api/openapi.json';
+
+const DB_TYPES = {
+    memory: (config) => MemoryDB.new(config),
+    mongodb: (config) => MongoDB.new(config),
+    sqlite: (config) => SQLiteDB.new(config),
+};
+
+const PUBSUB_TYPES = {
+    memory: (config, db) => new MemoryPubSub(),
+    mongodb: (config, db) => MongoPubSub.new(db, config),
+};
+
+const RATE_LIMIT_STORE_TYPES = {
+    memory: (config, db) => new MemoryRateLimitStore(),
+    mongodb: (config, db) => MongoRateLimitStore.new(db, config),
+};
+
+/* Return true if the server is running in production (i.e., the NODE_ENV environment variable is "production"). */
+function isProduction() {
+    return process.env.NODE_ENV === 'production';
+}
+
 const DEFAULT_ROUTES = {
-    game: (server) => new GameAPI(server.db, server.wss, server.config.game?.maxPlayersPerGame),
-    player: (server) => new PlayerAPI(server.db, server.wss, server.mailer),
-    request: (server) => new RoomLinkRequestAPI(server.db, server.mailer),
-    room: (server) => new RoomAPI(server.db, server.wss, server.mailer, server.config.admin?.playerIDs),
+    email: (server) => new EmailAPI(server.db, server.config.admin?.playerIDs, server.sessions),
+    game: (server) => new GameAPI(server.db, server.wss, server.config.game?.maxPlayersPerGame, server.config.admin?.playerIDs, server.sessions),
+    maintenance: (server) => new MaintenanceAPI(server.maintenance, server.config.admin?.playerIDs, server.sessions),
+    /* The outbox routes are only available for development, when the mailer keeps sent messages in memory. */
+    outbox: (server) => (!isProduction() && server.mailer?.getOutbox?.() ? new OutboxAPI(server.mailer.getOutbox()) : null),
+    player: (server) => new PlayerAPI(server.db, server.wss, server.mailer, server.sessions, server.config.player),
+    request: (server) => new RoomLinkRequestAPI(server.db, server.mailer, server.config.admin?.playerIDs, server.sessions),
+    room: (server) => new RoomAPI(server.db, server.wss, server.mailer, server.config.admin?.playerIDs, server.sessions),
     status: (server) => new StatusAPI(server.db, server.config.packageVersion),
 };
 
@@ -35,14 +76,23 @@ export default class Server {
      * Create a new server using the given configuration and resources.
      * NOTE: The static factory method Server.new() should typically be used instead of invoking this constructor!
      */
-    constructor(config, db, mailer, wss, routes = {}) {
+    constructor(config, db, mailer, wss, routes = {}, rateLimiter = null) {
         this.config = config || {};
         this.db = db;
         this.mailer = mailer;
         this.wss = wss;
+        this.sessions = new SessionManager(this.config.session);
+        this.maintenance = new MaintenanceJob(db, this.config.maintenance);
+        this.rateLimiter = rateLimiter || new RateLimiter(new MemoryRateLimitStore(), this.config.rateLimit);
         this.logRequests = this.config.server?.logRequests ?? false;
         this.port = this.config.server?.port || DEFAULT_PORT;
+        /*
+         * Clients are identified by IP address (e.g., for rate limits), so servers behind a reverse proxy or load balancer
+         * must trust the proxy to use the client's address from the X-Forwarded-For header (see the "trust proxy" setting of express).
+         */
+        this.trustProxy = this.config.server?.trustProxy ?? false;
         this.app = express();
+        this.app.set('trust proxy', this.trustProxy);
 
         if (this.config.ssl?.certPath && this.config.ssl?.keyPath) {
             const serverOptions = {
@@ -62,7 +112,11 @@ export default class Server {
             this.app.use(apiRequestLogHandler(requestLogger));
         }
 
+        this.app.use(apiLocaleHandler());
+        this.app.use(apiRateLimitHandler(this.rateLimiter, this.sessions));
+
         this.routes = {...DEFAULT_ROUTES, ...routes || {}};
+        this.routeDefinitions = {};
         Object.entries(this.routes).forEach(([path, routeFactory]) => {
             if (path.startsWith('/')) {
                 path = path.substring(1);
@@ -72,12 +126,16 @@ export default class Server {
                 const routeDef = routeFactory(this);
                 if (routeDef) {
                     this.app.use(path, routeDef.getRouter());
+                    this.routeDefinitions[path] = routeDef;
                 }
             } catch (e) {
                 logger.error(`Failed to initialize ${path} routes: ${e}`);
             }
         });
 
+        this.openAPIDocument = generateOpenAPIDocument(this.routeDefinitions, {version: this.config.packageVersion});
+        this.app.get(OPENAPI_PATH, (req, res) => res.json(this.openAPIDocument));
+
         this.app.use(apiErrorHandler);
 
         if (this.logRequests) {
@@ -87,33 +145,63 @@ export default class Server {
         this.app.ws('/api/ws', this.wss.handleWebsocket);
     }
 
-    /* Return a new Server using the given config and optional database, mailer, websocket server, and override routes. */
+    /*
+     * Return a new Server using the given config and optional database, mailer, websocket server, and override routes.
+     * Unless a mailer is provided, the mailer queues outgoing emails in the database (see MailQueue).
+     * The REST API and the websocket server (unless one is provided) share a rate limiter using the configured store.
+     */
     static async new(config, db = null, mailer = null, wss = null, routes = {}) {
         config = config || {};
         if (!db) {
-            db = await MongoDB.new(config);
+            const dbType = config.db?.type || DEFAULT_DB_TYPE;
+            const dbFactory = DB_TYPES[dbType];
+            if (!dbFactory) {
+                throw new Error(`Unsupported database type: ${dbType}`);
+            }
+            db = await dbFactory(config);
         }
         if (!mailer) {
-            mailer = await Mailer.new(config);
+            mailer = await Mailer.new(config, db);
         }
+        const storeType = config.rateLimit?.storeType || DEFAULT_RATE_LIMIT_STORE_TYPE;
+        const storeFactory = RATE_LIMIT_STORE_TYPES[storeType];
+        if (!storeFactory) {
+            throw new Error(`Unsupported rate limit store type: ${storeType}`);
+        }
+        const rateLimiter = new RateLimiter(await storeFactory(config, db), config.rateLimit);
         if (!wss) {
-            wss = new WebsocketServer(db, config);
+            const pubsubType = config.pubsub?.type || DEFAULT_PUBSUB_TYPE;
+            const pubsubFactory = PUBSUB_TYPES[pubsubType];
+            if (!pubsubFactory) {
+                throw new Error(`Unsupported pub/sub type: ${pubsubType}`);
+            }
+            wss = new WebsocketServer(db, config, await pubsubFactory(config, db), rateLimiter);
         }
-        return new Server(config, db, mailer, wss, routes);
+        return new Server(config, db, mailer, wss, routes, rateLimiter);
     }
 
-    /* Run the server on the configured port. */
+    /*
+     * Run the server on the configured port, and start delivering queued emails (if the mailer uses a mail queue).
+     * The maintenance job is also scheduled, unless it is disabled in the config.
+     */
     run() {
         if (!this.server.listening) {
             this.server.listen(this.port);
         }
+        this.mailer?.queue?.start();
+        if (this.config.maintenance?.enabled !== false) {
+            this.maintenance.start();
+        }
     }
 
-    /* Stop the server and close the connection to the database. */
+    /* Stop the server, the mail queue worker, and the maintenance job, and close the connections to the pub/sub backend and the database. */
     async stop() {
         if (this.server.listening) {
             await this.server.close();
         }
+        await this.mailer?.queue?.stop();
+        await this.maintenance.stop();
+        await this.wss.close();
         await this.db.close();
     }
 }
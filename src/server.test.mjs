@@ -1,17 +1,29 @@
-import { afterEach, describe, expect, jest, test } from '@jest/globals';
-import { TEST_SMTP_HOST } from './mail.mjs';
+import { afterAll, afterEach, describe, expect, jest, test } from '@jest/globals';
+import request from 'supertest';
+import OutboxAPI from './api/outbox.mjs';
+import { MemoryDB, SQLiteDB } from './database/index.mjs';
+import { MemoryOutbox, TEST_SMTP_HOST } from './mailtransport.mjs';
+import { MaintenanceJob } from './maintenance.mjs';
+import { MemoryPubSub } from './pubsub/index.mjs';
+import { MemoryRateLimitStore, RateLimiter } from './ratelimit/index.mjs';
 import Server from './server.mjs';
 
 describe('Server', () => {
     // NOTE: The /api prefix will be added by the constructor.
     const expectedDefaultRoutes = [
+        'email',
         'game',
+        'maintenance',
+        'outbox',
         'player',
         'request',
         'room',
         'status',
     ];
 
+    // The outbox routes are only initialized if the mailer uses the in-memory transport.
+    const expectedRouteDefinitions = expectedDefaultRoutes.filter(path => path !== 'outbox').map(path => `/api/${path}`);
+
     describe('constructor', () => {
         test('sets expected fields', () => {
             const config = {};
@@ -25,11 +37,29 @@ describe('Server', () => {
             expect(server.db).toBe(mockDB);
             expect(server.mailer).toBe(mockMailer);
             expect(server.wss).toBe(mockWSS);
+            expect(server.sessions).toBeDefined();
+            expect(server.maintenance).toBeInstanceOf(MaintenanceJob);
+            expect(server.maintenance.db).toBe(mockDB);
+            expect(server.rateLimiter).toBeInstanceOf(RateLimiter);
             expect(server.logRequests).toBeDefined();
             expect(server.port).toBeDefined();
+            expect(server.trustProxy).toBeFalsy();
             expect(server.app).toBeDefined();
+            expect(server.app.get('trust proxy')).toBeFalsy();
             expect(Object.keys(server.routes)).toEqual(expectedDefaultRoutes);
         });
+
+        test('trusts proxy if configured', () => {
+            const config = {server: {trustProxy: 'loopback'}};
+            const mockWSS = {
+                handleWebsocket: jest.fn(),
+            };
+            const server = new Server(config, {}, {}, mockWSS);
+            expect(server.trustProxy).toEqual('loopback');
+            expect(server.app.get('trust proxy')).toEqual('loopback');
+            expect(server.app.get('trust proxy fn')('127.0.0.1')).toBeTruthy();
+            expect(server.app.get('trust proxy fn')('203.0.113.1')).toBeFalsy();
+        });
     });
 
     describe('new', () => {
@@ -38,6 +68,7 @@ describe('Server', () => {
         };
 
         const mockWSS = {
+            close: jest.fn(),
             handleWebsocket: jest.fn(),
         };
 
@@ -90,6 +121,65 @@ describe('Server', () => {
             expect(Object.keys(server.routes)).toEqual(expectedDefaultRoutes);
         });
 
+        test('with in-memory database type in config', async () => {
+            const config = {
+                db: {type: 'memory'},
+            };
+            server = await Server.new(config, null, {}, mockWSS);
+            expect(server.db).toBeInstanceOf(MemoryDB);
+        });
+
+        test('with SQLite database type in config', async () => {
+            const config = {
+                db: {
+                    type: 'sqlite',
+                    path: ':memory:',
+                },
+            };
+            server = await Server.new(config, null, {}, mockWSS);
+            expect(server.db).toBeInstanceOf(SQLiteDB);
+        });
+
+        test('throws error for unsupported database type in config', async () => {
+            const config = {
+                db: {type: 'unknown'},
+            };
+            await expect(async () => await Server.new(config, null, {}, mockWSS)).rejects.toThrow(Error);
+        });
+
+        test('with in-memory pub/sub type in config', async () => {
+            const config = {
+                db: {type: 'memory'},
+                pubsub: {type: 'memory'},
+            };
+            server = await Server.new(config, null, {});
+            expect(server.wss.pubsub).toBeInstanceOf(MemoryPubSub);
+        });
+
+        test('throws error for unsupported pub/sub type in config', async () => {
+            const config = {
+                pubsub: {type: 'unknown'},
+            };
+            await expect(async () => await Server.new(config, mockDB, {})).rejects.toThrow(Error);
+        });
+
+        test('with in-memory rate limit store type in config', async () => {
+            const config = {
+                db: {type: 'memory'},
+                rateLimit: {storeType: 'memory'},
+            };
+            server = await Server.new(config, null, {});
+            expect(server.rateLimiter.store).toBeInstanceOf(MemoryRateLimitStore);
+            expect(server.wss.rateLimiter).toBe(server.rateLimiter);
+        });
+
+        test('throws error for unsupported rate limit store type in config', async () => {
+            const config = {
+                rateLimit: {storeType: 'unknown'},
+            };
+            await expect(async () => await Server.new(config, mockDB, {}, mockWSS)).rejects.toThrow(Error);
+        });
+
         test('additional custom routes', async () => {
             const mockRouteDef = {
                 getRouter: jest.fn().mockReturnValue({}),
@@ -118,12 +208,64 @@ describe('Server', () => {
         });
     });
 
+    describe('outbox routes', () => {
+        const mockWSS = {
+            close: jest.fn(),
+            handleWebsocket: jest.fn(),
+        };
+        const outbox = new MemoryOutbox();
+        const mockMailer = {getOutbox: () => outbox};
+        const nodeEnv = process.env.NODE_ENV;
+
+        afterEach(() => {
+            process.env.NODE_ENV = nodeEnv;
+        });
+
+        test('initialized if mailer has an outbox', async () => {
+            await outbox.sendMail({to: 'test@example.com', subject: 'Test subject', text: 'Test body'});
+            const server = new Server({}, {}, mockMailer, mockWSS);
+            expect(server.routeDefinitions['/api/outbox']).toBeInstanceOf(OutboxAPI);
+            const response = await request(server.app).get('/api/outbox');
+            expect(response.status).toEqual(200);
+            expect(response.body.messages).toHaveLength(1);
+        });
+
+        test('not initialized in production', () => {
+            process.env.NODE_ENV = 'production';
+            const server = new Server({}, {}, mockMailer, mockWSS);
+            expect(server.routeDefinitions['/api/outbox']).toBeUndefined();
+        });
+    });
+
+    describe('OpenAPI document', () => {
+        test('served for default routes', async () => {
+            const mockWSS = {
+                close: jest.fn(),
+                handleWebsocket: jest.fn(),
+            };
+            const server = new Server({packageVersion: '1.2.3'}, {}, {}, mockWSS);
+            expect(Object.keys(server.routeDefinitions)).toEqual(expectedRouteDefinitions);
+            const response = await request(server.app).get('/api/openapi.json');
+            expect(response.status).toEqual(200);
+            expect(response.body.openapi).toBeDefined();
+            expect(response.body.info.version).toEqual('1.2.3');
+            expect(response.body.paths['/api/game/{gameID}'].get).toBeDefined();
+            expect(response.body.paths['/api/room/{roomID}/leaderboard'].get).toBeDefined();
+            expect(response.body.components.schemas.Error).toBeDefined();
+        });
+    });
+
     describe('run', () => {
         const mockWSS = {
+            close: jest.fn(),
             handleWebsocket: jest.fn(),
         };
         const server = new Server({}, {}, {}, mockWSS);
 
+        afterAll(async () => {
+            await server.maintenance.stop();
+        });
+
         test('starts server listening on configured port', () => {
             const mockHTTPServer = {
                 listening: false,
@@ -143,10 +285,34 @@ describe('Server', () => {
             server.run();
             expect(mockHTTPServer.listen).not.toHaveBeenCalled();
         });
+
+        test('starts mail queue worker', () => {
+            const mockQueue = {start: jest.fn()};
+            const server = new Server({maintenance: {enabled: false}}, {}, {queue: mockQueue}, mockWSS);
+            server.server = {listening: true, listen: jest.fn()};
+            server.run();
+            expect(mockQueue.start).toHaveBeenCalled();
+        });
+
+        test('starts maintenance job', async () => {
+            const server = new Server({}, {}, {}, mockWSS);
+            server.server = {listening: true, listen: jest.fn()};
+            server.run();
+            expect(server.maintenance.interval).not.toBeNull();
+            await server.maintenance.stop();
+        });
+
+        test('does not start maintenance job if disabled', () => {
+            const server = new Server({maintenance: {enabled: false}}, {}, {}, mockWSS);
+            server.server = {listening: true, listen: jest.fn()};
+            server.run();
+            expect(server.maintenance.interval).toBeNull();
+        });
     });
 
     describe('stop', () => {
         const mockWSS = {
+            close: jest.fn(),
             handleWebsocket: jest.fn(),
         };
 
@@ -162,6 +328,7 @@ describe('Server', () => {
             server.server = mockHTTPServer;
             await server.stop();
             expect(mockHTTPServer.close).toHaveBeenCalled();
+            expect(mockWSS.close).toHaveBeenCalled();
             expect(mockDB.close).toHaveBeenCalled();
         });
 
@@ -179,5 +346,21 @@ describe('Server', () => {
             expect(mockHTTPServer.close).not.toHaveBeenCalled();
             expect(mockDB.close).toHaveBeenCalled();
         });
+
+        test('stops mail queue worker', async () => {
+            const mockQueue = {stop: jest.fn()};
+            const server = new Server({}, {close: jest.fn()}, {queue: mockQueue}, mockWSS);
+            server.server = {listening: false};
+            await server.stop();
+            expect(mockQueue.stop).toHaveBeenCalled();
+        });
+
+        test('stops maintenance job', async () => {
+            const server = new Server({}, {close: jest.fn()}, {}, mockWSS);
+            server.server = {listening: false};
+            server.maintenance.start();
+            await server.stop();
+            expect(server.maintenance.interval).toBeNull();
+        });
     });
 });
@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import log from 'log';
+import { MILLISECONDS_PER_DAY } from '@dyesoft/alea-core';
+
+export const AUTHORIZATION_HEADER = 'authorization';
+export const BEARER_PREFIX = 'Bearer ';
+
+const DEFAULT_SESSION_EXPIRATION_MILLIS = 30 * MILLISECONDS_PER_DAY;
+
+const SIGNATURE_ALGORITHM = 'sha256';
+const SECRET_TOKEN_BYTES = 32;
+const TOKEN_SEPARATOR = '.';
+
+const logger = log.get('session');
+
+/*
+ * Fallback signing secret used when no secret is configured.
+ * The secret is shared by all session managers in the process, so tokens issued by the API can be verified by the websocket server.
+ * Tokens signed with this secret do not survive a server restart.
+ */
+let fallbackSecret = null;
+
+function getFallbackSecret() {
+    if (!fallbackSecret) {
+        logger.warn('No session secret configured; generating a random secret. Sessions will not persist across restarts.');
+        fallbackSecret = crypto.randomBytes(32).toString('hex');
+    }
+    return fallbackSecret;
+}
+
+/* Encode the given string as base64url. */
+function encode(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+/* Decode the given base64url-encoded string. */
+function decode(value) {
+    return Buffer.from(value, 'base64url').toString();
+}
+
+/*
+ * Return a new random token for one-time use (e.g., in an email verification link).
+ * Only the hash of the token (see hashSecretToken) should be stored, so that the token cannot be recovered from stored data.
+ */
+export function generateSecretToken() {
+    return crypto.randomBytes(SECRET_TOKEN_BYTES).toString('base64url');
+}
+
+/* Return the hash of the given one-time token, which is used to store and look up the token. */
+export function hashSecretToken(token) {
+    return crypto.createHash(SIGNATURE_ALGORITHM).update(token).digest('hex');
+}
+
+/* Session manager that issues and verifies signed session tokens identifying players. */
+export class SessionManager {
+    /* Create a new session manager using the given session config (secret and expiration). */
+    constructor(config = {}) {
+        this.secret = config?.secret || getFallbackSecret();
+        this.expirationMillis = config?.expirationMillis ?? DEFAULT_SESSION_EXPIRATION_MILLIS;
+    }
+
+    /* Return the signature for the given encoded token payload. */
+    sign(encodedPayload) {
+        return crypto.createHmac(SIGNATURE_ALGORITHM, this.secret).update(encodedPayload).digest('base64url');
+    }
+
+    /* Return a new signed session token for the player with the given ID. */
+    createToken(playerID) {
+        const issuedTime = Date.now();
+        const payload = {playerID: playerID, issuedTime: issuedTime, expirationTime: issuedTime + this.expirationMillis};
+        const encodedPayload = encode(JSON.stringify(payload));
+        return `${encodedPayload}${TOKEN_SEPARATOR}${this.sign(encodedPayload)}`;
+    }
+
+    /*
+     * Verify the given session token and return the ID of the player it identifies.
+     * If the token is missing, malformed, incorrectly signed, or expired, null is returned.
+     */
+    verifyToken(token) {
+        if (!token || typeof token !== 'string') {
+            return null;
+        }
+        const parts = token.split(TOKEN_SEPARATOR);
+        if (parts.length !== 2) {
+            return null;
+        }
+        const [encodedPayload, signature] = parts;
+        const expectedSignature = Buffer.from(this.sign(encodedPayload));
+        const actualSignature = Buffer.from(signature);
+        if (actualSignature.length !== expectedSignature.length || !crypto.timingSafeEqual(actualSignature, expectedSignature)) {
+            return null;
+        }
+        let payload;
+        try {
+            payload = JSON.parse(decode(encodedPayload));
+        } catch (e) {
+            return null;
+        }
+        if (!payload?.playerID || !(payload.expirationTime > Date.now())) {
+            return null;
+        }
+        return payload.playerID;
+    }
+
+    /* Return the session token provided in the Authorization header of the given HTTP request, if any. */
+    getRequestToken(req) {
+        const header = req?.headers?.[AUTHORIZATION_HEADER];
+        if (header?.startsWith(BEARER_PREFIX)) {
+            return header.substring(BEARER_PREFIX.length).trim();
+        }
+        return null;
+    }
+}
@@ -0,0 +1,98 @@
+import { describe, expect, jest, test } from '@jest/globals';
+import { AUTHORIZATION_HEADER, BEARER_PREFIX, generateSecretToken, hashSecretToken, SessionManager } from './session.mjs';
+
+const PLAYER_ID = 'player';
+const SECRET = 'test-secret';
+
+describe('generateSecretToken', () => {
+    test('returns distinct URL-safe tokens', () => {
+        const token = generateSecretToken();
+        expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+        expect(generateSecretToken()).not.toEqual(token);
+    });
+});
+
+describe('hashSecretToken', () => {
+    test('returns consistent hash that differs from token', () => {
+        const token = generateSecretToken();
+        expect(hashSecretToken(token)).toEqual(hashSecretToken(token));
+        expect(hashSecretToken(token)).not.toEqual(token);
+        expect(hashSecretToken(token)).not.toEqual(hashSecretToken(generateSecretToken()));
+    });
+});
+
+describe('SessionManager', () => {
+    describe('constructor', () => {
+        test('with config', () => {
+            const config = {secret: SECRET, expirationMillis: 1000};
+            const sessions = new SessionManager(config);
+            expect(sessions.secret).toEqual(SECRET);
+            expect(sessions.expirationMillis).toEqual(config.expirationMillis);
+        });
+
+        test('without config uses shared fallback secret', () => {
+            const sessions1 = new SessionManager();
+            const sessions2 = new SessionManager({});
+            expect(sessions1.secret).toBeDefined();
+            expect(sessions1.secret).toEqual(sessions2.secret);
+            expect(sessions1.expirationMillis).toBeGreaterThan(0);
+        });
+    });
+
+    describe('createToken', () => {
+        test('returns token that can be verified', () => {
+            const sessions = new SessionManager({secret: SECRET});
+            const token = sessions.createToken(PLAYER_ID);
+            expect(token).toBeDefined();
+            expect(sessions.verifyToken(token)).toEqual(PLAYER_ID);
+        });
+    });
+
+    describe('verifyToken', () => {
+        const sessions = new SessionManager({secret: SECRET});
+
+        test.each([
+            [undefined],
+            [null],
+            [''],
+            [42],
+            ['foo'],
+            ['foo.bar.baz'],
+        ])('returns null for missing or malformed token (%p)', (token) => {
+            expect(sessions.verifyToken(token)).toBeNull();
+        });
+
+        test('returns null for token signed with a different secret', () => {
+            const token = new SessionManager({secret: 'other-secret'}).createToken(PLAYER_ID);
+            expect(sessions.verifyToken(token)).toBeNull();
+        });
+
+        test('returns null for token with tampered payload', () => {
+            const [, signature] = sessions.createToken(PLAYER_ID).split('.');
+            const otherPayload = sessions.createToken('other-player').split('.')[0];
+            expect(sessions.verifyToken(`${otherPayload}.${signature}`)).toBeNull();
+        });
+
+        test('returns null for expired token', () => {
+            const token = sessions.createToken(PLAYER_ID);
+            jest.spyOn(Date, 'now').mockReturnValue(Date.now() + sessions.expirationMillis + 1);
+            expect(sessions.verifyToken(token)).toBeNull();
+            jest.restoreAllMocks();
+        });
+    });
+
+    describe('getRequestToken', () => {
+        const sessions = new SessionManager({secret: SECRET});
+
+        test('returns bearer token from authorization header', () => {
+            const req = {headers: {[AUTHORIZATION_HEADER]: `${BEARER_PREFIX}token`}};
+            expect(sessions.getRequestToken(req)).toEqual('token');
+        });
+
+        test('returns null if authorization header missing or not a bearer token', () => {
+            expect(sessions.getRequestToken({headers: {}})).toBeNull();
+            expect(sessions.getRequestToken({headers: {[AUTHORIZATION_HEADER]: 'Basic foo'}})).toBeNull();
+            expect(sessions.getRequestToken(null)).toBeNull();
+        });
+    });
+});
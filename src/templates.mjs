@@ -0,0 +1,249 @@
+import fs from 'fs';
+import path from 'path';
+import { CATALOGS, DEFAULT_LOCALE, SUPPORTED_LOCALES } from './i18n/index.mjs';
+
+/*
+ * Email templates use {{variable}} placeholders (whitespace inside the braces is allowed, e.g., {{ name }}).
+ * Variable names may only contain letters, digits, and underscores, and must start with a letter.
+ */
+const VARIABLE_PATTERN = /{{\s*([A-Za-z][A-Za-z0-9_]*)\s*}}/g;
+
+/* Pattern matching anything that looks like a placeholder, used to find malformed placeholders (e.g., {{first name}}). */
+const PLACEHOLDER_PATTERN = /{{(.*?)}}/g;
+
+const URL_PATTERN = /https?:\/\/[^\s<]+[^\s<.,;:!?)'"]/g;
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+};
+
+/* File names (in the template directory) of the parts of each message's templates, where %s is the message type. */
+const TEMPLATE_FILE_NAMES = {
+    subject: '%s.subject.txt',
+    text: '%s.txt',
+    html: '%s.html',
+};
+
+/* Types of email messages sent by the mailer. The type is used as the key for a message's templates in the config. */
+export const EmailMessageTypes = {
+    PLAYER_DELETED: 'playerDeleted',
+    PLAYER_EMAIL_UPDATED: 'playerEmailUpdated',
+    PLAYER_EMAIL_VERIFICATION: 'playerEmailVerification',
+    PLAYER_REGISTERED: 'playerRegistered',
+    PLAYER_RETRIEVAL: 'playerRetrieval',
+    ROOM_CREATED: 'roomCreated',
+    ROOM_LINK_REQUEST_APPROVED: 'roomLinkRequestApproved',
+    ROOM_LINK_REQUEST_CREATED: 'roomLinkRequestCreated',
+};
+
+/* Variables available to the templates of every message type (see Mailer.getTemplateVariables). */
+export const COMMON_TEMPLATE_VARIABLES = [
+    'adminEmail',
+    'adminSignature',
+    'appBaseURL',
+    'appName',
+    'gameType',
+    'salutation',
+    'signature',
+];
+
+/* Variables available to the templates of each message type, in addition to the common variables. */
+export const MESSAGE_TEMPLATE_VARIABLES = {
+    [EmailMessageTypes.PLAYER_DELETED]: ['name'],
+    [EmailMessageTypes.PLAYER_EMAIL_UPDATED]: ['name', 'email'],
+    [EmailMessageTypes.PLAYER_EMAIL_VERIFICATION]: ['name', 'verificationToken', 'verificationURL'],
+    [EmailMessageTypes.PLAYER_REGISTERED]: ['name'],
+    [EmailMessageTypes.PLAYER_RETRIEVAL]: ['name', 'restorationToken', 'restorationURL'],
+    [EmailMessageTypes.ROOM_CREATED]: ['name', 'roomCode', 'roomURL'],
+    [EmailMessageTypes.ROOM_LINK_REQUEST_APPROVED]: ['name', 'requestID', 'requestURL'],
+    [EmailMessageTypes.ROOM_LINK_REQUEST_CREATED]: ['name', 'email'],
+};
+
+/* Error thrown when an email template cannot be loaded or references a variable that is not available. */
+export class EmailTemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'EmailTemplateError';
+    }
+}
+
+/* Escape the given text for use in HTML. */
+export function escapeHTML(text) {
+    return text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/*
+ * Convert the given plain text to simple HTML, for messages without an HTML template.
+ * Blank lines separate paragraphs, other line breaks are preserved, and URLs are converted to links.
+ */
+export function textToHTML(text) {
+    const paragraphs = text.trim().split(/\n\s*\n/).map(paragraph => {
+        const html = escapeHTML(paragraph).replace(URL_PATTERN, url => `<a href="${url}">${url}</a>`).replaceAll('\n', '<br>\n');
+        return `<p>${html}</p>`;
+    });
+    return `<html>\n<body>\n${paragraphs.join('\n')}\n</body>\n</html>\n`;
+}
+
+/* Return the names of the variables referenced by the given template. */
+export function getTemplateVariables(template) {
+    return [...new Set([...template.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+/* Render the given template by replacing its placeholders with the given variables, applying the given escape function to each value. */
+export function renderTemplate(template, variables, escape = (value) => value) {
+    return template.replace(VARIABLE_PATTERN, (_, name) => escape(`${variables[name] ?? ''}`));
+}
+
+/*
+ * The templates (subject, plain text, and optional HTML) for a single type of email message.
+ * If there is no HTML template, the HTML part of the message is generated from the plain text (see textToHTML).
+ */
+export class EmailTemplates {
+    /* Create email templates using the given subject, plain text, and HTML templates. */
+    constructor(subjectTemplate, textTemplate, htmlTemplate = null) {
+        this.subjectTemplate = subjectTemplate;
+        this.textTemplate = textTemplate;
+        this.htmlTemplate = htmlTemplate || null;
+    }
+
+    /*
+     * Check that the templates only reference the given variables and contain no malformed placeholders.
+     * Throws an EmailTemplateError describing the first problem found, prefixed with the given name of the templates.
+     */
+    validate(variableNames, name = 'Email') {
+        const allowedVariables = new Set(variableNames);
+        Object.entries({subject: this.subjectTemplate, text: this.textTemplate, html: this.htmlTemplate}).forEach(([part, template]) => {
+            if (template === null) {
+                return;
+            }
+            if (typeof template !== 'string') {
+                throw new EmailTemplateError(`${name} ${part} template must be a string`);
+            }
+            [...template.matchAll(PLACEHOLDER_PATTERN)].forEach(([placeholder]) => {
+                if (!placeholder.match(new RegExp(`^${VARIABLE_PATTERN.source}$`))) {
+                    throw new EmailTemplateError(`${name} ${part} template contains invalid placeholder "${placeholder}"`);
+                }
+            });
+            getTemplateVariables(template).forEach(variable => {
+                if (!allowedVariables.has(variable)) {
+                    throw new EmailTemplateError(
+                        `${name} ${part} template references unknown variable "${variable}" (available variables: ${variableNames.join(', ')})`
+                    );
+                }
+            });
+        });
+    }
+
+    /*
+     * Render the templates using the given variables.
+     * The return value is an object containing the subject, plain text, and HTML of the email.
+     * Values are escaped when rendering the HTML template; the subject is collapsed to a single line.
+     */
+    render(variables) {
+        const text = renderTemplate(this.textTemplate, variables);
+        return {
+            subject: renderTemplate(this.subjectTemplate, variables).replace(/\s*\n\s*/g, ' ').trim(),
+            text: text,
+            html: (this.htmlTemplate === null ? textToHTML(text) : renderTemplate(this.htmlTemplate, variables, escapeHTML)),
+        };
+    }
+}
+
+/*
+ * Return the default templates for each message type in the given locale, built from the email messages in its catalog.
+ * Message types without messages in the locale's catalog use the messages of the default locale.
+ */
+export function getDefaultEmailTemplates(locale = DEFAULT_LOCALE) {
+    let templates = {};
+    Object.values(EmailMessageTypes).forEach(messageType => {
+        const messages = CATALOGS[locale]?.emails?.[messageType] || CATALOGS[DEFAULT_LOCALE].emails[messageType];
+        templates[messageType] = new EmailTemplates(messages.subject, messages.text);
+    });
+    return templates;
+}
+
+/* Default templates for each message type in the default locale, used for any message types (or parts) without configured template files. */
+export const DEFAULT_EMAIL_TEMPLATES = getDefaultEmailTemplates(DEFAULT_LOCALE);
+
+/* Read the template file at the given path (relative to the given directory, if any), or return null if there is no path. */
+function readTemplateFile(filePath, templateDir, name) {
+    if (!filePath) {
+        return null;
+    }
+    const resolvedPath = (templateDir ? path.resolve(templateDir, filePath) : filePath);
+    try {
+        return fs.readFileSync(resolvedPath, 'utf8');
+    } catch (e) {
+        throw new EmailTemplateError(`Failed to read ${name} template file "${resolvedPath}": ${e.message}`);
+    }
+}
+
+/* Return the path of the conventionally named template file for the given message type and part, if it exists. */
+function findTemplateFile(templateDir, messageType, part) {
+    if (!templateDir) {
+        return null;
+    }
+    const filePath = path.resolve(templateDir, TEMPLATE_FILE_NAMES[part].replace('%s', messageType));
+    return (fs.existsSync(filePath) ? filePath : null);
+}
+
+/*
+ * Load the templates for every message type in the given locale using the given email messages config,
+ * and return them keyed by message type.
+ *
+ * Templates are loaded from files configured per deployment, as follows:
+ *   templateDir: directory containing template files named <messageType>.subject.txt, <messageType>.txt, and <messageType>.html;
+ *   templates: paths of the template files for specific message types (relative to templateDir, if set),
+ *     e.g., {"playerRegistered": {"subject": "welcome.subject.txt", "text": "welcome.txt", "html": "welcome.html"}}.
+ * Templates for locales other than the default locale are loaded from the <locale> subdirectory of templateDir (e.g., es/),
+ * and from the paths configured in locales.<locale>.templates (relative to templateDir, if set).
+ * Any part of a message without a template file uses the default template for the locale (see getDefaultEmailTemplates).
+ * If the default HTML template is used with a custom plain text template, the HTML is generated from the plain text.
+ *
+ * Throws an EmailTemplateError if a template file cannot be read, or if a template references a variable that is not available.
+ */
+export function loadEmailTemplates(config = {}, locale = DEFAULT_LOCALE) {
+    const isDefaultLocale = (locale === DEFAULT_LOCALE);
+    const templateDir = config?.templateDir || null;
+    const localeDir = (templateDir && !isDefaultLocale ? path.join(templateDir, locale) : templateDir);
+    const templateFiles = (isDefaultLocale ? config?.templates : config?.locales?.[locale]?.templates) || {};
+    Object.keys(templateFiles).forEach(messageType => {
+        if (!MESSAGE_TEMPLATE_VARIABLES[messageType]) {
+            throw new EmailTemplateError(`Unknown email message type "${messageType}" in templates config`);
+        }
+    });
+
+    let templates = {};
+    Object.entries(getDefaultEmailTemplates(locale)).forEach(([messageType, defaultTemplates]) => {
+        const name = `Email message ${messageType}${isDefaultLocale ? '' : ` (${locale})`}`;
+        const parts = {};
+        Object.keys(TEMPLATE_FILE_NAMES).forEach(part => {
+            const filePath = templateFiles[messageType]?.[part] || findTemplateFile(localeDir, messageType, part);
+            parts[part] = readTemplateFile(filePath, templateDir, `${messageType} ${part}`);
+        });
+        const textTemplate = parts.text ?? defaultTemplates.textTemplate;
+        const htmlTemplate = parts.html ?? (parts.text === null ? defaultTemplates.htmlTemplate : null);
+        const messageTemplates = new EmailTemplates(parts.subject?.trim() ?? defaultTemplates.subjectTemplate, textTemplate, htmlTemplate);
+        messageTemplates.validate([...COMMON_TEMPLATE_VARIABLES, ...MESSAGE_TEMPLATE_VARIABLES[messageType]], name);
+        templates[messageType] = messageTemplates;
+    });
+    return templates;
+}
+
+/*
+ * Load the templates for every message type in every supported locale using the given email messages config (see loadEmailTemplates),
+ * and return them keyed by locale and then by message type.
+ * Throws an EmailTemplateError if the config includes an unsupported locale.
+ */
+export function loadLocalizedEmailTemplates(config = {}) {
+    Object.keys(config?.locales || {}).forEach(locale => {
+        if (!SUPPORTED_LOCALES.includes(locale)) {
+            throw new EmailTemplateError(`Unsupported locale "${locale}" in email messages config`);
+        }
+    });
+    return Object.fromEntries(SUPPORTED_LOCALES.map(locale => [locale, loadEmailTemplates(config, locale)]));
+}
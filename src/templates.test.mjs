@@ -0,0 +1,236 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+import { SUPPORTED_LOCALES } from './i18n/index.mjs';
+import {
+    COMMON_TEMPLATE_VARIABLES,
+    DEFAULT_EMAIL_TEMPLATES,
+    EmailMessageTypes,
+    EmailTemplateError,
+    EmailTemplates,
+    escapeHTML,
+    getDefaultEmailTemplates,
+    getTemplateVariables,
+    loadEmailTemplates,
+    loadLocalizedEmailTemplates,
+    MESSAGE_TEMPLATE_VARIABLES,
+    renderTemplate,
+    textToHTML,
+} from './templates.mjs';
+
+const TEST_VARIABLES = {
+    appName: 'Test App',
+    appBaseURL: 'https://example.com',
+    name: 'Fred & Barney',
+};
+
+describe('escapeHTML', () => {
+    test('escapes special characters', () => {
+        expect(escapeHTML(`<a href="x">Fred & Barney's</a>`)).toEqual('&lt;a href=&quot;x&quot;&gt;Fred &amp; Barney&#39;s&lt;/a&gt;');
+    });
+});
+
+describe('textToHTML', () => {
+    test('converts paragraphs, line breaks, and links', () => {
+        const html = textToHTML('Dear Fred,\n\nVisit https://example.com?req=1.\n\nBest,\nBot & Co\n');
+        expect(html).toEqual(
+            '<html>\n<body>\n' +
+            '<p>Dear Fred,</p>\n' +
+            '<p>Visit <a href="https://example.com?req=1">https://example.com?req=1</a>.</p>\n' +
+            '<p>Best,<br>\nBot &amp; Co</p>\n' +
+            '</body>\n</html>\n'
+        );
+    });
+});
+
+describe('getTemplateVariables', () => {
+    test('returns unique variable names', () => {
+        expect(getTemplateVariables('{{name}} at {{ appName }} ({{name}})')).toEqual(['name', 'appName']);
+    });
+});
+
+describe('renderTemplate', () => {
+    test('substitutes all variables as many times as needed', () => {
+        expect(renderTemplate('{{appName}} is located at {{ appBaseURL }}. Thank you for using {{appName}}!', TEST_VARIABLES)).toEqual(
+            'Test App is located at https://example.com. Thank you for using Test App!'
+        );
+    });
+
+    test('substitutes empty string for missing values', () => {
+        expect(renderTemplate('Hello {{name}}!', {name: null})).toEqual('Hello !');
+    });
+
+    test('applies escape function to values', () => {
+        expect(renderTemplate('<b>{{name}}</b>', TEST_VARIABLES, escapeHTML)).toEqual('<b>Fred &amp; Barney</b>');
+    });
+});
+
+describe('EmailTemplates', () => {
+    describe('render', () => {
+        test('returns subject, text, and HTML', () => {
+            const templates = new EmailTemplates('[{{appName}}] Hi', 'Hi {{name}}', '<p>Hi {{name}}</p>');
+            expect(templates.render(TEST_VARIABLES)).toEqual({
+                subject: '[Test App] Hi',
+                text: 'Hi Fred & Barney',
+                html: '<p>Hi Fred &amp; Barney</p>',
+            });
+        });
+
+        test('generates HTML from text if there is no HTML template', () => {
+            const templates = new EmailTemplates('Hi', 'Hi {{name}}');
+            expect(templates.render(TEST_VARIABLES).html).toEqual(textToHTML('Hi Fred & Barney'));
+        });
+
+        test('collapses subject to a single line', () => {
+            const templates = new EmailTemplates('Hi\n{{name}}\n', '');
+            expect(templates.render(TEST_VARIABLES).subject).toEqual('Hi Fred & Barney');
+        });
+    });
+
+    describe('validate', () => {
+        test('accepts templates referencing available variables', () => {
+            const templates = new EmailTemplates('{{appName}}', '{{name}}', '{{ name }}');
+            expect(() => templates.validate(['appName', 'name'])).not.toThrow();
+        });
+
+        test('throws error for unknown variable', () => {
+            const templates = new EmailTemplates('{{appName}}', '{{nmae}}');
+            expect(() => templates.validate(['appName', 'name'], 'Test')).toThrow(
+                new EmailTemplateError('Test text template references unknown variable "nmae" (available variables: appName, name)')
+            );
+        });
+
+        test('throws error for invalid placeholder', () => {
+            const templates = new EmailTemplates('Hi', 'Hi', '<p>{{first name}}</p>');
+            expect(() => templates.validate(['name'], 'Test')).toThrow(
+                new EmailTemplateError('Test html template contains invalid placeholder "{{first name}}"')
+            );
+        });
+    });
+});
+
+describe('DEFAULT_EMAIL_TEMPLATES', () => {
+    test('defines valid templates for every message type', () => {
+        Object.values(EmailMessageTypes).forEach(messageType => {
+            const templates = DEFAULT_EMAIL_TEMPLATES[messageType];
+            expect(templates).toBeInstanceOf(EmailTemplates);
+            expect(() => templates.validate([...COMMON_TEMPLATE_VARIABLES, ...MESSAGE_TEMPLATE_VARIABLES[messageType]])).not.toThrow();
+        });
+    });
+});
+
+describe('getDefaultEmailTemplates', () => {
+    test('defines valid templates for every message type in every supported locale', () => {
+        SUPPORTED_LOCALES.forEach(locale => {
+            const defaultTemplates = getDefaultEmailTemplates(locale);
+            Object.values(EmailMessageTypes).forEach(messageType => {
+                const templates = defaultTemplates[messageType];
+                expect(templates).toBeInstanceOf(EmailTemplates);
+                expect(() => templates.validate([...COMMON_TEMPLATE_VARIABLES, ...MESSAGE_TEMPLATE_VARIABLES[messageType]])).not.toThrow();
+            });
+        });
+    });
+
+    test('returns templates translated for locale', () => {
+        expect(getDefaultEmailTemplates('es')[EmailMessageTypes.PLAYER_REGISTERED].subjectTemplate).toEqual(
+            '[{{appName}}] ¡Te damos la bienvenida a {{appName}}, {{name}}!'
+        );
+    });
+
+    test('falls back to default locale for unknown locale', () => {
+        expect(getDefaultEmailTemplates('xx')).toEqual(DEFAULT_EMAIL_TEMPLATES);
+    });
+});
+
+describe('loadEmailTemplates', () => {
+    let templateDir;
+
+    beforeEach(() => {
+        templateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alea-templates-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(templateDir, {recursive: true, force: true});
+    });
+
+    test('returns default templates without config', () => {
+        expect(loadEmailTemplates()).toEqual(DEFAULT_EMAIL_TEMPLATES);
+    });
+
+    test('loads conventionally named files from template directory', () => {
+        fs.writeFileSync(path.join(templateDir, 'roomCreated.subject.txt'), 'Room {{roomCode}} is ready\n');
+        fs.writeFileSync(path.join(templateDir, 'roomCreated.txt'), 'Visit {{roomURL}}');
+        const templates = loadEmailTemplates({templateDir: templateDir});
+        expect(templates[EmailMessageTypes.ROOM_CREATED]).toEqual(new EmailTemplates('Room {{roomCode}} is ready', 'Visit {{roomURL}}'));
+        expect(templates[EmailMessageTypes.PLAYER_REGISTERED]).toEqual(DEFAULT_EMAIL_TEMPLATES[EmailMessageTypes.PLAYER_REGISTERED]);
+    });
+
+    test('loads configured files relative to template directory', () => {
+        fs.writeFileSync(path.join(templateDir, 'welcome.html'), '<h1>Welcome, {{name}}!</h1>');
+        const templates = loadEmailTemplates({
+            templateDir: templateDir,
+            templates: {
+                [EmailMessageTypes.PLAYER_REGISTERED]: {html: 'welcome.html'},
+            },
+        });
+        const defaultTemplates = DEFAULT_EMAIL_TEMPLATES[EmailMessageTypes.PLAYER_REGISTERED];
+        expect(templates[EmailMessageTypes.PLAYER_REGISTERED]).toEqual(
+            new EmailTemplates(defaultTemplates.subjectTemplate, defaultTemplates.textTemplate, '<h1>Welcome, {{name}}!</h1>')
+        );
+    });
+
+    test('loads templates for locale from locale subdirectory and locale config', () => {
+        fs.mkdirSync(path.join(templateDir, 'es'));
+        fs.writeFileSync(path.join(templateDir, 'es', 'roomCreated.txt'), 'Visita {{roomURL}}');
+        fs.writeFileSync(path.join(templateDir, 'bienvenida.txt'), 'Hola, {{name}}');
+        const config = {
+            templateDir: templateDir,
+            locales: {
+                es: {templates: {[EmailMessageTypes.PLAYER_REGISTERED]: {text: 'bienvenida.txt'}}},
+            },
+        };
+        const templates = loadEmailTemplates(config, 'es');
+        const defaultTemplates = getDefaultEmailTemplates('es');
+        expect(templates[EmailMessageTypes.ROOM_CREATED]).toEqual(
+            new EmailTemplates(defaultTemplates[EmailMessageTypes.ROOM_CREATED].subjectTemplate, 'Visita {{roomURL}}')
+        );
+        expect(templates[EmailMessageTypes.PLAYER_REGISTERED].textTemplate).toEqual('Hola, {{name}}');
+        expect(templates[EmailMessageTypes.PLAYER_RETRIEVAL]).toEqual(defaultTemplates[EmailMessageTypes.PLAYER_RETRIEVAL]);
+        expect(loadEmailTemplates(config)).toEqual(DEFAULT_EMAIL_TEMPLATES);
+    });
+
+    test('throws error for missing template file', () => {
+        const config = {templateDir: templateDir, templates: {[EmailMessageTypes.PLAYER_REGISTERED]: {text: 'missing.txt'}}};
+        expect(() => loadEmailTemplates(config)).toThrow(EmailTemplateError);
+    });
+
+    test('throws error for unknown message type', () => {
+        expect(() => loadEmailTemplates({templates: {unknown: {}}})).toThrow(
+            new EmailTemplateError('Unknown email message type "unknown" in templates config')
+        );
+    });
+
+    test('throws error for variable not available to message type', () => {
+        fs.writeFileSync(path.join(templateDir, 'playerRegistered.txt'), 'Your room is {{roomCode}}');
+        expect(() => loadEmailTemplates({templateDir: templateDir})).toThrow(
+            /^Email message playerRegistered text template references unknown variable "roomCode"/
+        );
+    });
+});
+
+describe('loadLocalizedEmailTemplates', () => {
+    test('returns templates for every supported locale', () => {
+        const templates = loadLocalizedEmailTemplates();
+        expect(Object.keys(templates).sort()).toEqual([...SUPPORTED_LOCALES].sort());
+        SUPPORTED_LOCALES.forEach(locale => {
+            expect(templates[locale]).toEqual(getDefaultEmailTemplates(locale));
+        });
+    });
+
+    test('throws error for unsupported locale', () => {
+        expect(() => loadLocalizedEmailTemplates({locales: {xx: {}}})).toThrow(
+            new EmailTemplateError('Unsupported locale "xx" in email messages config')
+        );
+    });
+});
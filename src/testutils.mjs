@@ -1,5 +1,6 @@
-import { MongoDB } from './database/index.mjs';
-import { Mailer, TEST_SMTP_HOST } from './mail.mjs';
+import { MemoryDB } from './database/index.mjs';
+import { Mailer } from './mail.mjs';
+import { MailTransportTypes } from './mailtransport.mjs';
 
 export const TEST_DB_NAME = 'test';
 
@@ -12,6 +13,9 @@ export const TEST_EMAIL_MESSAGES = {
         type: 'test games',
     },
     player: {
+        deleted: {
+            salutation: 'We hope to see you again soon!',
+        },
         emailUpdated: {
             salutation: 'Happy gaming!',
         },
@@ -34,19 +38,14 @@ export const TEST_EMAIL_MESSAGES = {
 };
 
 export async function getTestDB() {
-    const config = {
-        db: {
-            name: TEST_DB_NAME,
-            url: global.__MONGO_URI__,
-        },
-    };
-    return await MongoDB.new(config);
+    return await MemoryDB.new();
 }
 
 export async function getTestMailer() {
     const config = {
         admin: {},
-        smtp: {host: TEST_SMTP_HOST},
+        smtp: {fromAddress: 'noreply@example.com'},
+        mail: {transport: {type: MailTransportTypes.MEMORY}},
         messages: {email: TEST_EMAIL_MESSAGES},
     };
     return await Mailer.new(config);
@@ -1,8 +1,12 @@
 import bcrypt from 'bcryptjs';
 import log from 'log';
+import uuid from 'uuid';
 import WebSocket from 'ws';
 import {
+    EventContext,
     EventTypes,
+    getCurrentChampion,
+    getCurrentPlaces,
     MAX_KICK_DURATION_SECONDS,
     MILLISECONDS_PER_SECOND,
     PlayerStatsKeys,
@@ -11,37 +15,138 @@ import {
     StatusCodes,
     WebsocketEvent,
 } from '@dyesoft/alea-core';
+import { ChatMessage, DEFAULT_CHAT_HISTORY_SIZE, DEFAULT_MAX_CHAT_MESSAGE_LENGTH } from './chat.mjs';
+import { applyUpdates, cloneDocument, getUpdatedFields } from './database/document/operators.mjs';
+import { DEFAULT_LOCALE, ErrorCodes, negotiateLocale, translate } from './i18n/index.mjs';
+import { MemoryPubSub } from './pubsub/index.mjs';
+import { MemoryRateLimitStore, RateLimiter, TOO_MANY_REQUESTS } from './ratelimit/index.mjs';
+import {
+    GRANTABLE_ROOM_ROLES,
+    hasRoomPermission,
+    hasRoomRole,
+    isValidRoomPermission,
+    isValidRoomRole,
+    outranksPlayer,
+    RoomPermissions,
+    RoomRoles,
+} from './roles.mjs';
+import { SessionManager } from './session.mjs';
 
 export const NO_ROOM_KEY = 'NO_ROOM';
 
+/* Websocket event types defined by the server (in addition to the event types defined by alea-core). */
+export const ServerEventTypes = {
+    /* connection events */
+    ROOM_SNAPSHOT: 'room_snapshot',
+    /* chat events (see handleSendChatMessage) */
+    CHAT_HISTORY: 'chat_history',
+    CHAT_MESSAGE_DELETED: 'chat_message_deleted',
+    CHAT_MESSAGE_EDITED: 'chat_message_edited',
+    CHAT_MESSAGE_SENT: 'chat_message_sent',
+    DELETE_CHAT_MESSAGE: 'delete_chat_message',
+    EDIT_CHAT_MESSAGE: 'edit_chat_message',
+    HOST_DELETED_CHAT_MESSAGE: 'host_deleted_chat_message',
+    SEND_CHAT_MESSAGE: 'send_chat_message',
+    /* game events */
+    GAME_ACTION: 'game_action',
+    GAME_STATE_CHANGED: 'game_state_changed',
+    /* room management events (sent when the room owner updates the room, see RoomAPI) */
+    ROOM_CLOSED: 'room_closed',
+    ROOM_CODE_CHANGED: 'room_code_changed',
+    ROOM_OWNER_CHANGED: 'room_owner_changed',
+    ROOM_PASSWORD_CHANGED: 'room_password_changed',
+    /* host-only events */
+    END_GAME: 'end_game',
+    /* moderation events (see RoomPermissions.MODERATE) */
+    BAN_PLAYER: 'ban_player',
+    GET_KICKED_PLAYERS: 'get_kicked_players',
+    HOST_BANNED_PLAYER: 'host_banned_player',
+    HOST_LIFTED_KICK: 'host_lifted_kick',
+    HOST_MUTED_PLAYER: 'host_muted_player',
+    HOST_UNMUTED_PLAYER: 'host_unmuted_player',
+    KICKED_PLAYERS: 'kicked_players',
+    LIFT_KICK: 'lift_kick',
+    MUTE_PLAYER: 'mute_player',
+    UNMUTE_PLAYER: 'unmute_player',
+    /* role events (owner only, see roles.mjs) */
+    GRANT_ROLE: 'grant_role',
+    REVOKE_ROLE: 'revoke_role',
+    ROLE_GRANTED: 'role_granted',
+    ROLE_PERMISSIONS_CHANGED: 'role_permissions_changed',
+    ROLE_REVOKED: 'role_revoked',
+    SET_ROLE_PERMISSIONS: 'set_role_permissions',
+};
+
+const DEFAULT_EVENT_LOG_SIZE = 100;
+
+/* Pub/sub channel used to share broadcasts and client presence between server instances. */
+const PUBSUB_CHANNEL = 'websockets';
+
+/* Types of messages shared between server instances via the pub/sub channel. */
+const PubSubMessageTypes = {
+    BROADCAST: 'broadcast',
+    CLIENT_CONNECTED: 'client_connected',
+    CLIENT_DISCONNECTED: 'client_disconnected',
+    CLIENT_MOVED: 'client_moved',
+    PRESENCE_REQUEST: 'presence_request',
+};
+
 const DEFAULT_PING_INTERVAL_MILLIS = 30 * MILLISECONDS_PER_SECOND;
 const PING_MESSAGE = 'alea-ping';
 
-const DEFAULT_REASSIGNMENT_CHECK_DELAY_MILLIS = 5 * MILLISECONDS_PER_SECOND;
+/* Number of consecutive pings a client may fail to answer before its websocket is considered dead and terminated. */
+const DEFAULT_MAX_MISSED_PONGS = 2;
 
-const FAILED_TO_GET_PLAYERS_MESSAGE = 'failed to get players';
-const GAME_NOT_ACTIVE_IN_ROOM_MESSAGE = 'game not active in room';
-const INVALID_DURATION_MESSAGE = 'invalid duration';
-const INVALID_PASSWORD_MESSAGE = 'invalid password';
-const MAX_PLAYERS_EXCEEDED_MESSAGE = 'max players exceeded';
-const PLAYER_NOT_IN_GAME_MESSAGE = 'player not in game';
-const PLAYER_NOT_IN_ROOM_MESSAGE = 'player not in room';
-const PLAYER_KICKED_FROM_ROOM_MESSAGE = 'player was kicked from room';
+/*
+ * Number of ping intervals that a player's presence on another server instance lasts unless that instance refreshes it (see checkHeartbeat).
+ * This keeps players from appearing connected forever if their server instance stops without announcing that they disconnected.
+ */
+const REMOTE_PRESENCE_TTL_PING_INTERVALS = 3;
 
-const MISSING_GAME_ID_MESSAGE = 'missing game ID';
-const MISSING_PLAYER_ID_MESSAGE = 'missing player ID';
-const MISSING_ROOM_CODE_MESSAGE = 'missing room code';
-const MISSING_ROOM_ID_MESSAGE = 'missing room ID';
+const DEFAULT_REASSIGNMENT_CHECK_DELAY_MILLIS = 5 * MILLISECONDS_PER_SECOND;
 
-const PERMISSION_ABANDON_GAME_MESSAGE = 'only the host may abandon games';
-const PERMISSION_KICK_PLAYER_MESSAGE = 'only the host may kick players';
+/* Maximum number of times a game action is re-validated against the latest game state after a concurrent update. */
+const MAX_GAME_ACTION_ATTEMPTS = 3;
 
-const GAME_NOT_FOUND_MESSAGE = 'game not found';
-const PLAYER_NOT_FOUND_MESSAGE = 'player not found';
-const ROOM_NOT_FOUND_MESSAGE = 'room not found';
+/* Event types whose payload player ID identifies the target of the event rather than the player sending it. */
+const TARGET_PLAYER_EVENT_TYPES = new Set([
+    EventTypes.KICK_PLAYER,
+    ServerEventTypes.BAN_PLAYER,
+    ServerEventTypes.LIFT_KICK,
+    ServerEventTypes.MUTE_PLAYER,
+    ServerEventTypes.UNMUTE_PLAYER,
+    ServerEventTypes.GRANT_ROLE,
+    ServerEventTypes.REVOKE_ROLE,
+]);
 
 const logger = log.get('ws');
 
+/*
+ * Return the expiration time (in milliseconds since the epoch) of a kick or mute lasting the given number of seconds,
+ * or null if the duration is zero (i.e., the kick or mute lasts until it is lifted).
+ * Returns undefined if the duration is not a number of seconds between zero and MAX_KICK_DURATION_SECONDS.
+ */
+export function getExpirationForDuration(duration, now = Date.now()) {
+    const durationInSeconds = parseInt(duration);
+    if (isNaN(durationInSeconds) || durationInSeconds < 0 || durationInSeconds > MAX_KICK_DURATION_SECONDS) {
+        return undefined;
+    }
+    return (durationInSeconds > 0 ? now + (durationInSeconds * MILLISECONDS_PER_SECOND) : null);
+}
+
+/*
+ * Error thrown by game action handlers to reject an invalid game action.
+ * The error message, status, and error code are sent to the client that attempted the action.
+ * Game action handlers are responsible for localizing their own messages (e.g., using the player's locale).
+ */
+export class GameActionError extends Error {
+    constructor(message, status = StatusCodes.BAD_REQUEST, code = ErrorCodes.GAME_ACTION_REJECTED) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
 /* Logging adapter that maintains a separate logger instance for each room. */
 export class RoomLogger {
     /* Create a RoomLogger using the given database connection to fetch rooms. */
@@ -81,24 +186,103 @@ export class RoomLogger {
     }
 }
 
-/* Server for managing websocket connections and handling websocket events. */
+/*
+ * Bounded log of the events broadcast to each room, used to replay missed events to reconnecting clients.
+ * Each event is assigned a sequence number, which increases by one with each event broadcast to the same room.
+ * Sequence numbers are only meaningful within a single log, so each event also includes the log's unique ID (eventLogID).
+ */
+export class RoomEventLog {
+    /* Create a RoomEventLog that retains up to the given number of events for each room. */
+    constructor(maxEventsPerRoom = DEFAULT_EVENT_LOG_SIZE) {
+        this.logID = uuid.v4();
+        this.maxEventsPerRoom = maxEventsPerRoom;
+        this.rooms = {};
+    }
+
+    /* Return the sequence number of the latest event broadcast to the given room, or 0 if there is none. */
+    getLatestSequence(roomID) {
+        return this.rooms[roomID]?.sequence || 0;
+    }
+
+    /* Append the given event to the log for the given room. Returns the event serialized as JSON, including its sequence number and log ID. */
+    append(roomID, event) {
+        if (!this.rooms.hasOwnProperty(roomID)) {
+            this.rooms[roomID] = {sequence: 0, events: []};
+        }
+        const log = this.rooms[roomID];
+        log.sequence++;
+        const jsonEvent = JSON.stringify({...event, sequence: log.sequence, eventLogID: this.logID});
+        log.events.push({sequence: log.sequence, jsonEvent: jsonEvent});
+        if (log.events.length > this.maxEventsPerRoom) {
+            log.events.splice(0, log.events.length - this.maxEventsPerRoom);
+        }
+        return jsonEvent;
+    }
+
+    /*
+     * Return the events (serialized as JSON) broadcast to the given room after the event with the given sequence number, in order.
+     * Returns null if any of those events are no longer retained or the sequence number is unknown (e.g., after a server restart).
+     */
+    getEventsSince(roomID, sequence) {
+        const latestSequence = this.getLatestSequence(roomID);
+        if (sequence > latestSequence) {
+            return null;
+        }
+        if (sequence === latestSequence) {
+            return [];
+        }
+        const events = this.rooms[roomID].events;
+        if (!events.length || events[0].sequence > sequence + 1) {
+            return null;
+        }
+        return events.filter(event => event.sequence > sequence).map(event => event.jsonEvent);
+    }
+}
+
+/*
+ * Server for managing websocket connections and handling websocket events.
+ * Multiple instances of the server (e.g., behind a load balancer) may share broadcasts and client presence using a common pub/sub backend.
+ * Each instance only holds the websockets of its own clients, and all other shared state lives in the database.
+ */
 export class WebsocketServer {
-    /* Create a WebsocketServer using the given database connection. */
-    constructor(db, config = {}) {
+    /*
+     * Create a WebsocketServer using the given database connection, config, pub/sub backend (in-process by default),
+     * and rate limiter (using the rateLimit config and an in-memory store by default).
+     */
+    constructor(db, config = {}, pubsub = null, rateLimiter = null) {
         this.db = db;
+        this.instanceID = uuid.v4();
+        this.pubsub = pubsub || new MemoryPubSub();
+        this.rateLimiter = rateLimiter || new RateLimiter(new MemoryRateLimitStore(), config?.rateLimit);
+        this.sessions = new SessionManager(config?.session);
         this.logEvents = config?.websocket?.logEvents ?? false;
         this.maxPlayersPerGame = config?.game?.maxPlayersPerGame || null;
         this.pingIntervalMillis = config?.websocket?.pingIntervalMillis ?? DEFAULT_PING_INTERVAL_MILLIS;
+        this.maxMissedPongs = config?.websocket?.maxMissedPongs ?? DEFAULT_MAX_MISSED_PONGS;
+        this.remotePresenceTTLMillis = this.pingIntervalMillis * REMOTE_PRESENCE_TTL_PING_INTERVALS;
         this.reassignmentCheckDelayMillis = config?.websocket?.reassignmentCheckDelayMillis ?? DEFAULT_REASSIGNMENT_CHECK_DELAY_MILLIS;
+        this.chatHistorySize = config?.chat?.historySize || DEFAULT_CHAT_HISTORY_SIZE;
+        this.maxChatMessageLength = config?.chat?.maxMessageLength || DEFAULT_MAX_CHAT_MESSAGE_LENGTH;
         this.roomLogger = new RoomLogger(db);
+        this.eventLog = new RoomEventLog(config?.websocket?.eventLogSize ?? DEFAULT_EVENT_LOG_SIZE);
         this.connectedClients = {};
-        this.pingHandlers = {};
+        this.remoteClientInstanceIDs = new Map();
+        this.pingHandlers = new Map();
+        this.missedPongs = new Map();
         this.playerNames = {};
+        this.sessionPlayerIDs = new Map();
+        this.clientLocales = new Map();
+        this.gameActionHandlers = {};
 
         this.eventHandlers = {
             /* connection events */
             [EventTypes.CLIENT_CONNECT]: this.handleClientConnect.bind(this),
+            /* chat events */
+            [ServerEventTypes.DELETE_CHAT_MESSAGE]: this.handleDeleteChatMessage.bind(this),
+            [ServerEventTypes.EDIT_CHAT_MESSAGE]: this.handleEditChatMessage.bind(this),
+            [ServerEventTypes.SEND_CHAT_MESSAGE]: this.handleSendChatMessage.bind(this),
             /* game events */
+            [ServerEventTypes.GAME_ACTION]: this.handleGameAction.bind(this),
             [EventTypes.GAME_CREATION_FAILED]: this.handleGameCreationFailed.bind(this),
             [EventTypes.GAME_SETTINGS_CHANGED]: this.handleGameSettingsChanged.bind(this),
             /* room events */
@@ -112,48 +296,185 @@ export class WebsocketServer {
             [EventTypes.STOP_SPECTATING]: this.handleStopSpectating.bind(this),
             /* host-only events */
             [EventTypes.ABANDON_GAME]: this.handleAbandonGame.bind(this),
+            [ServerEventTypes.END_GAME]: this.handleEndGame.bind(this),
             [EventTypes.KICK_PLAYER]: this.handleKickPlayer.bind(this),
+            /* moderation events */
+            [ServerEventTypes.BAN_PLAYER]: this.handleBanPlayer.bind(this),
+            [ServerEventTypes.GET_KICKED_PLAYERS]: this.handleGetKickedPlayers.bind(this),
+            [ServerEventTypes.LIFT_KICK]: this.handleLiftKick.bind(this),
+            [ServerEventTypes.MUTE_PLAYER]: this.handleMutePlayer.bind(this),
+            [ServerEventTypes.UNMUTE_PLAYER]: this.handleUnmutePlayer.bind(this),
+            /* role events */
+            [ServerEventTypes.GRANT_ROLE]: this.handleGrantRole.bind(this),
+            [ServerEventTypes.REVOKE_ROLE]: this.handleRevokeRole.bind(this),
+            [ServerEventTypes.SET_ROLE_PERMISSIONS]: this.handleSetRolePermissions.bind(this),
+        };
+
+        this.pubsubHandlers = {
+            [PubSubMessageTypes.BROADCAST]: this.handleRemoteBroadcast.bind(this),
+            [PubSubMessageTypes.CLIENT_CONNECTED]: this.handleRemoteClientConnected.bind(this),
+            [PubSubMessageTypes.CLIENT_DISCONNECTED]: this.handleRemoteClientDisconnected.bind(this),
+            [PubSubMessageTypes.CLIENT_MOVED]: this.handleRemoteClientMoved.bind(this),
+            [PubSubMessageTypes.PRESENCE_REQUEST]: this.handleRemotePresenceRequest.bind(this),
         };
 
+        this.handlePubSubMessage = this.handlePubSubMessage.bind(this);
         this.handleWebsocket = this.handleWebsocket.bind(this);
+
+        /* Ask the other server instances which players are connected to them, since this instance may have started after they connected. */
+        this.pubsub.subscribe(PUBSUB_CHANNEL, this.handlePubSubMessage)
+            .then(() => this.publish(PubSubMessageTypes.PRESENCE_REQUEST, {}))
+            .catch(e => logger.error(`Failed to subscribe to pub/sub channel: ${e}`));
+    }
+
+    /* Stop sharing broadcasts and client presence with other server instances. */
+    async close() {
+        await this.pubsub.close();
+    }
+
+    /*
+     * Register a handler for game actions of the given type. This is the extension point for game engines,
+     * which should register a handler (typically in a subclass constructor) for each type of action players may take.
+     * The handler is called with the persisted game, the action from the GAME_ACTION event's payload,
+     * and an object containing the player taking the action and the room.
+     * It should validate the action against the game and return MongoDB-style updates to apply to the game
+     * (or null if the action has no effect), or throw a GameActionError to reject the action.
+     * NOTE: The handler may be called again with the latest game state if the game is updated concurrently,
+     * so it should not have any side effects!
+     */
+    registerGameActionHandler(actionType, handler) {
+        this.gameActionHandlers[actionType] = handler;
     }
 
-    /* Associate the given websocket client connection with the given room ID and player ID. */
+    /*
+     * Associate the given websocket client connection with the given room ID and player ID.
+     * A player may have several concurrent connections (e.g., from multiple devices or browser tabs), so any other connections for the player are kept.
+     */
     addClient(roomID, playerID, ws) {
         if (!this.connectedClients.hasOwnProperty(roomID)) {
             this.connectedClients[roomID] = {};
         }
-        this.connectedClients[roomID][playerID] = ws;
+        const clients = this.connectedClients[roomID][playerID] || [];
+        if (!clients.includes(ws)) {
+            this.connectedClients[roomID][playerID] = [...clients, ws];
+        }
         if (roomID !== NO_ROOM_KEY) {
-            this.removeClient(NO_ROOM_KEY, playerID);
+            this.removeClient(NO_ROOM_KEY, playerID, ws);
         }
     }
 
-    /* Remove the websocket client connection associated with the given room ID and player ID, if any. */
-    removeClient(roomID, playerID) {
-        let client = null;
-        if (this.connectedClients.hasOwnProperty(roomID)) {
-            client = this.connectedClients[roomID][playerID];
-            delete this.connectedClients[roomID][playerID];
-            if (!Object.keys(this.connectedClients[roomID]).length) {
-                delete this.connectedClients[roomID];
+    /*
+     * Remove the given websocket client connection associated with the given room ID and player ID, if present.
+     * If no websocket is given, all of the player's connections associated with the room ID are removed.
+     * Returns an array of the removed websockets.
+     */
+    removeClient(roomID, playerID, ws = null) {
+        const clients = this.getPlayerClients(roomID, playerID);
+        const removed = (ws ? clients.filter(client => client === ws) : clients);
+        if (removed.length) {
+            const remaining = clients.filter(client => !removed.includes(client));
+            if (remaining.length) {
+                this.connectedClients[roomID][playerID] = remaining;
+            } else {
+                delete this.connectedClients[roomID][playerID];
+                if (!Object.keys(this.connectedClients[roomID]).length) {
+                    delete this.connectedClients[roomID];
+                }
             }
         }
-        return client;
+        return removed;
     }
 
     /*
      * Return all websocket client connections for the given room ID.
-     * The return value is an object with player IDs as keys and websockets as values.
+     * The return value is an object with player IDs as keys and arrays of websockets as values.
      */
     getClients(roomID) {
         return this.connectedClients[roomID] || {};
     }
 
-    /* Return the websocket client connection for the given room ID and player ID, or null if there is none. */
+    /* Return all websocket client connections for the given room ID and player ID, in the order they were added. */
+    getPlayerClients(roomID, playerID) {
+        return this.getClients(roomID)[playerID] || [];
+    }
+
+    /* Return true if the given websocket is one of the client connections for the given room ID and player ID. */
+    hasClient(roomID, playerID, ws) {
+        return this.getPlayerClients(roomID, playerID).includes(ws);
+    }
+
+    /* Return true if the given player has any websocket client connections to this server instance, whether or not they are in a room. */
+    hasLocalClients(playerID) {
+        return Object.values(this.connectedClients).some(clients => clients[playerID]?.length > 0);
+    }
+
+    /* Return the IDs of the players with websocket client connections to this server instance, whether or not they are in a room. */
+    getLocalPlayerIDs() {
+        return [...new Set(Object.values(this.connectedClients).flatMap(clients => Object.keys(clients).filter(playerID => clients[playerID].length > 0)))];
+    }
+
+    /*
+     * Return true if the given player is connected to another server instance whose presence for the player has not expired
+     * (see handleRemoteClientConnected). Expired presence is forgotten.
+     */
+    hasRemoteClients(playerID) {
+        const instanceIDs = this.remoteClientInstanceIDs.get(playerID);
+        if (!instanceIDs) {
+            return false;
+        }
+        const now = Date.now();
+        instanceIDs.forEach((expiration, instanceID) => {
+            if (expiration <= now) {
+                instanceIDs.delete(instanceID);
+            }
+        });
+        if (!instanceIDs.size) {
+            this.remoteClientInstanceIDs.delete(playerID);
+            return false;
+        }
+        return true;
+    }
+
+    /* Return true if the given player is connected to this server instance or another server instance (see hasRemoteClients). */
+    isPlayerConnected(playerID) {
+        return this.hasLocalClients(playerID) || this.hasRemoteClients(playerID);
+    }
+
+    /* Move all websocket client connections for the given player (if any) from one room ID to another, and return the moved websockets. */
+    moveClient(fromRoomID, toRoomID, playerID) {
+        const clients = this.removeClient(fromRoomID, playerID);
+        clients.forEach(ws => this.addClient(toRoomID, playerID, ws));
+        return clients;
+    }
+
+    /*
+     * Move the websocket client connections for the given players (if any) out of the given room,
+     * on this server instance and on all other server instances (e.g., when players are kicked or the room is closed).
+     */
+    evictClients(roomID, playerIDs) {
+        playerIDs.forEach(playerID => {
+            this.moveClient(roomID, NO_ROOM_KEY, playerID);
+            this.publish(PubSubMessageTypes.CLIENT_MOVED, {fromRoomID: roomID, playerID: playerID, toRoomID: NO_ROOM_KEY});
+        });
+    }
+
+    /*
+     * Return the most recent websocket client connection for the given room ID and player ID, or null if there is none.
+     * Use getPlayerClients to get all of the player's connections.
+     */
     getClient(roomID, playerID) {
-        const clients = this.getClients(roomID);
-        return clients[playerID] || null;
+        const clients = this.getPlayerClients(roomID, playerID);
+        return (clients.length ? clients[clients.length - 1] : null);
+    }
+
+    /* Return the locale used for messages sent to the given websocket (see handleWebsocket and handleClientConnect). */
+    getClientLocale(ws) {
+        return this.clientLocales.get(ws) || DEFAULT_LOCALE;
+    }
+
+    /* Return the ID of the player whose session is associated with the given websocket, or null if there is none. */
+    getSessionPlayerID(ws) {
+        return this.sessionPlayerIDs.get(ws) || null;
     }
 
     /* Return the cached name of the player with the given ID, or the ID itself if the name is not cached. */
@@ -161,8 +482,52 @@ export class WebsocketServer {
         return this.playerNames[playerID] || playerID;
     }
 
+    /* Return true if the given player is currently kicked from the given room (see handleKickPlayer). The room's owner is never kicked. */
+    isPlayerKicked(room, playerID) {
+        if (!room.kickedPlayerIDs?.hasOwnProperty(playerID) || playerID === room.ownerPlayerID) {
+            return false;
+        }
+        const expiration = room.kickedPlayerIDs[playerID];
+        return (expiration === null || Date.now() < expiration);
+    }
+
+    /*
+     * Return true if the given player is currently muted in the given room, and so may not send or edit chat messages.
+     * Muted players are recorded in the room's mutedPlayerIDs the same way as kicked players (player ID to expiration time, or null if indefinite).
+     * The room's owner is never muted.
+     */
+    isPlayerMuted(room, playerID) {
+        if (!room.mutedPlayerIDs?.hasOwnProperty(playerID) || playerID === room.ownerPlayerID) {
+            return false;
+        }
+        const expiration = room.mutedPlayerIDs[playerID];
+        return (expiration === null || Date.now() < expiration);
+    }
+
+    /* Return the ID of the player associated with the given websocket client connection in the given room, or null if there is none. */
+    getClientPlayerID(roomID, ws) {
+        const entry = Object.entries(this.getClients(roomID)).find(([, clients]) => clients.includes(ws));
+        return (entry ? entry[0] : null);
+    }
+
+    /*
+     * Return true if the given websocket is a client connection in the given room for a player whose roles have the given permission
+     * in the room's permission matrix (see hasRoomPermission).
+     */
+    clientHasPermission(room, ws, permission) {
+        const playerID = this.getClientPlayerID(room.roomID, ws);
+        return (playerID !== null && hasRoomPermission(room, playerID, permission));
+    }
+
+    /* Return true if the given websocket is a client connection in the given room for a player who outranks the given player (see outranksPlayer). */
+    clientOutranksPlayer(room, ws, playerID) {
+        const clientPlayerID = this.getClientPlayerID(room.roomID, ws);
+        return (clientPlayerID !== null && outranksPlayer(room, clientPlayerID, playerID));
+    }
+
     /*
-     * Broadcast the given event to all clients connected to the room given in the event payload.
+     * Broadcast the given event to all clients connected to the room given in the event payload,
+     * including clients connected to other server instances.
      * If originatingPlayerID is provided, the event is not sent to that player's websocket.
      */
     broadcast(event, originatingPlayerID) {
@@ -171,8 +536,17 @@ export class WebsocketServer {
             logger.error(`Unknown room ID for ${event.eventType} event; skipping broadcast.`);
             return;
         }
+        this.sendToRoom(roomID, event, originatingPlayerID);
+        this.publish(PubSubMessageTypes.BROADCAST, {event: event, originatingPlayerID: originatingPlayerID || null});
+    }
 
-        let jsonEvent;
+    /*
+     * Send the given event to the clients of this server instance that are connected to the given room.
+     * The event is recorded in the room's event log and sent with its sequence number, so that it can be replayed to reconnecting clients.
+     * If originatingPlayerID is provided, the event is not sent to that player's websocket.
+     */
+    sendToRoom(roomID, event, originatingPlayerID) {
+        const jsonEvent = this.eventLog.append(roomID, event);
         const clients = Object.entries(this.getClients(roomID));
         if (clients) {
             if (this.logEvents) {
@@ -181,28 +555,106 @@ export class WebsocketServer {
                 this.roomLogger.info(roomID, `Broadcast: <=== ${event.eventType}${player}`);
             }
             // Rotate array to randomize order in which clients receive events (to ensure fairness).
-            rotate(clients, randomIndex(clients)).forEach(([playerID, ws]) => {
+            rotate(clients, randomIndex(clients)).forEach(([playerID, sockets]) => {
                 if (!originatingPlayerID || playerID !== originatingPlayerID) {
-                    if (!jsonEvent) {
-                        jsonEvent = JSON.stringify(event);
-                    }
-                    try {
-                        if (ws.readyState === WebSocket.OPEN) {
-                            ws.send(jsonEvent);
+                    sockets.forEach(ws => {
+                        try {
+                            if (ws.readyState === WebSocket.OPEN) {
+                                ws.send(jsonEvent);
+                            }
+                        } catch (e) {
+                            this.roomLogger.error(roomID, `Failed to send ${event.eventType} event to player ${playerID}: ${e}`);
                         }
-                    } catch (e) {
-                        this.roomLogger.error(roomID, `Failed to send ${event.eventType} event to player ${playerID}: ${e}`);
-                    }
+                    });
                 }
             });
         }
     }
 
+    /* Publish a message of the given type to the other server instances sharing this server's pub/sub backend. */
+    publish(messageType, data) {
+        const message = {...data, messageType: messageType, instanceID: this.instanceID};
+        this.pubsub.publish(PUBSUB_CHANNEL, message).catch(e => logger.error(`Failed to publish ${messageType} message: ${e}`));
+    }
+
+    /*
+     * Announce to the other server instances that the given player is connected to this instance.
+     * The presence expires unless announced again before the remote presence TTL passes (see hasRemoteClients).
+     */
+    publishPresence(playerID) {
+        this.publish(PubSubMessageTypes.CLIENT_CONNECTED, {playerID: playerID, playerName: this.getPlayerName(playerID), ttlMillis: this.remotePresenceTTLMillis});
+    }
+
+    /* Handler for messages received from the pub/sub channel. Delegates to specific handlers for messages from other server instances. */
+    handlePubSubMessage(message) {
+        if (message.instanceID === this.instanceID) {
+            return;
+        }
+        if (this.pubsubHandlers.hasOwnProperty(message.messageType)) {
+            this.pubsubHandlers[message.messageType](message);
+        } else {
+            logger.info(`Ignoring pub/sub message with unknown type: ${message.messageType}`);
+        }
+    }
+
+    /* Handler for events broadcast by other server instances. */
+    handleRemoteBroadcast(message) {
+        const { event, originatingPlayerID } = message;
+        const roomID = event.payload?.context?.roomID || event.payload?.roomID;
+        this.sendToRoom(roomID, event, originatingPlayerID);
+    }
+
+    /*
+     * Handler for players connecting to other server instances, or those instances refreshing the players' presence (see publishPresence).
+     * The player may also be connected to this instance (e.g., from another device), so the player is only marked inactive
+     * when their last websocket closes on every instance (see handleRemoteClientDisconnected).
+     * The player's presence on the other instance expires after the TTL given in the message (or this instance's TTL if none is given).
+     */
+    handleRemoteClientConnected(message) {
+        const { instanceID, playerID, playerName, ttlMillis } = message;
+        this.playerNames[playerID] = playerName;
+        if (!this.remoteClientInstanceIDs.has(playerID)) {
+            this.remoteClientInstanceIDs.set(playerID, new Map());
+        }
+        this.remoteClientInstanceIDs.get(playerID).set(instanceID, Date.now() + (ttlMillis ?? this.remotePresenceTTLMillis));
+    }
+
+    /* Handler for the last websocket for a player closing on another server instance. */
+    handleRemoteClientDisconnected(message) {
+        const { instanceID, playerID } = message;
+        const instanceIDs = this.remoteClientInstanceIDs.get(playerID);
+        if (instanceIDs) {
+            instanceIDs.delete(instanceID);
+            if (!instanceIDs.size) {
+                this.remoteClientInstanceIDs.delete(playerID);
+            }
+        }
+    }
+
+    /* Handler for other server instances starting up. The players connected to this instance are announced to the other instances. */
+    handleRemotePresenceRequest() {
+        this.getLocalPlayerIDs().forEach(playerID => this.publishPresence(playerID));
+    }
+
+    /* Handler for players being moved between rooms by other server instances (e.g., when kicked from a room). */
+    handleRemoteClientMoved(message) {
+        const { fromRoomID, playerID, toRoomID } = message;
+        this.moveClient(fromRoomID, toRoomID, playerID);
+    }
+
     /*
      * Handler for all websocket events. Handles message, ping, pong, and close events.
      * Delegates to specific event handlers for known event types.
+     * A session token may be provided in the `token` query parameter when the websocket is opened.
+     * Error messages are localized using the Accept-Language header of the request until the player connects (see handleClientConnect).
      */
     handleWebsocket(ws, req) {
+        const sessionPlayerID = this.sessions.verifyToken(req?.query?.token);
+        if (sessionPlayerID) {
+            this.sessionPlayerIDs.set(ws, sessionPlayerID);
+        }
+        this.clientLocales.set(ws, negotiateLocale(req?.headers?.['accept-language']));
+
         ws.on('message', async (msg) => {
             let event;
             try {
@@ -221,13 +673,19 @@ export class WebsocketServer {
                     const roomID = event.payload?.context?.roomID || event.payload?.roomID || NO_ROOM_KEY;
                     this.roomLogger.info(roomID, message);
                 }
+                if (!this.authenticateEvent(ws, event)) {
+                    return;
+                }
                 const handler = this.eventHandlers[eventType];
                 try {
+                    if (!await this.checkRateLimit(ws, req, event)) {
+                        return;
+                    }
                     await handler(ws, event);
                 } catch (e) {
                     logger.error(`Caught unexpected error while handling ${eventType} event: ${e}`);
                     if (ws.readyState === WebSocket.OPEN) {
-                        const payload = {eventType: eventType, error: e.message, status: StatusCodes.INTERNAL_SERVER_ERROR};
+                        const payload = {eventType: eventType, error: e.message, status: StatusCodes.INTERNAL_SERVER_ERROR, code: ErrorCodes.INTERNAL_SERVER_ERROR};
                         ws.send(JSON.stringify(new WebsocketEvent(EventTypes.ERROR, payload)));
                     }
                 }
@@ -249,48 +707,169 @@ export class WebsocketServer {
 
         ws.on('pong', (data) => {
             logger.debug(`Received pong from client: ${data}`);
+            this.missedPongs.delete(ws);
         });
 
         ws.on('close', (code, reason) => {
             logger.debug(`Websocket closed: ${reason} (${code})`);
-            if (this.pingHandlers.hasOwnProperty(ws)) {
+            if (this.pingHandlers.has(ws)) {
                 logger.debug('Removing ping handler.');
-                const interval = this.pingHandlers[ws];
-                clearInterval(interval);
-                delete this.pingHandlers[ws];
+                clearInterval(this.pingHandlers.get(ws));
+                this.pingHandlers.delete(ws);
             } else {
                 logger.debug('Ping handler not found; skipping.');
             }
+            this.missedPongs.delete(ws);
+            this.sessionPlayerIDs.delete(ws);
+            this.clientLocales.delete(ws);
             Object.entries(this.connectedClients).forEach(([roomID, clients]) => {
-                Object.entries(clients).forEach(([playerID, socket]) => {
-                    if (socket === ws) {
-                        this.db.players.updateByID(playerID, {active: false, currentRoomID: null}).then(() => {
-                            this.roomLogger.info(roomID, `${this.getPlayerName(playerID)} went inactive.`);
-                            const payload = {roomID: roomID, playerID: playerID};
-                            this.broadcast(new WebsocketEvent(EventTypes.PLAYER_WENT_INACTIVE, payload));
-                            this.removeClient(roomID, playerID);
-                            this.reassignRoomHostIfNecessary(roomID, playerID);
-                        }).catch(e => this.roomLogger.error(roomID, `Failed to mark player ${playerID} as inactive: ${e}`));
+                Object.entries(clients).forEach(([playerID, sockets]) => {
+                    if (sockets.includes(ws)) {
+                        this.removeClient(roomID, playerID, ws);
+                        this.handleClientDisconnected(roomID, playerID);
                     }
                 });
             });
         });
     }
 
+    /*
+     * Start periodically pinging the given websocket for the given player to check that the client is still alive (see checkHeartbeat).
+     * Any previous heartbeat for the websocket is replaced.
+     */
+    startHeartbeat(ws, playerID) {
+        clearInterval(this.pingHandlers.get(ws));
+        this.missedPongs.delete(ws);
+        this.pingHandlers.set(ws, setInterval(() => this.checkHeartbeat(ws, playerID), this.pingIntervalMillis));
+    }
+
+    /*
+     * Ping the given websocket for the given player, counting the ping as missed until the client answers with a pong,
+     * and refresh the player's presence on the other server instances (see publishPresence).
+     * If the client has already missed the maximum number of pongs in a row (e.g., because the connection is half-open),
+     * the websocket is terminated instead, which closes it as usual (marking the player inactive and reassigning the room host if necessary).
+     * Setting the maximum number of missed pongs to zero disables terminating websockets.
+     */
+    checkHeartbeat(ws, playerID) {
+        const missedPongs = this.missedPongs.get(ws) || 0;
+        if (this.maxMissedPongs > 0 && missedPongs >= this.maxMissedPongs) {
+            logger.info(`Terminating websocket for ${this.getPlayerName(playerID)} after ${missedPongs} missed pongs.`);
+            try {
+                ws.terminate();
+            } catch (e) {
+                logger.error(`Unexpected error while terminating websocket: ${e}`);
+            }
+            return;
+        }
+        logger.debug(`Pinging websocket for ${this.getPlayerName(playerID)}...`);
+        try {
+            if (ws.readyState === WebSocket.OPEN) {
+                this.missedPongs.set(ws, missedPongs + 1);
+                ws.ping(PING_MESSAGE);
+                this.publishPresence(playerID);
+            }
+        } catch (e) {
+            logger.error(`Unexpected error while pinging websocket: ${e}`);
+        }
+    }
+
+    /*
+     * Handle one of the given player's websockets closing after it was associated with the given room ID.
+     * The player is only marked inactive (and removed from the room) once their last websocket on any server instance has closed.
+     */
+    handleClientDisconnected(roomID, playerID) {
+        if (this.hasLocalClients(playerID)) {
+            this.roomLogger.info(roomID, `${this.getPlayerName(playerID)} closed a connection but is still connected.`);
+            return;
+        }
+        this.publish(PubSubMessageTypes.CLIENT_DISCONNECTED, {playerID: playerID});
+        if (this.isPlayerConnected(playerID)) {
+            this.roomLogger.info(roomID, `${this.getPlayerName(playerID)} closed a connection but is still connected to another server.`);
+            return;
+        }
+        this.db.players.updateByID(playerID, {active: false, currentRoomID: null}).then(() => {
+            this.roomLogger.info(roomID, `${this.getPlayerName(playerID)} went inactive.`);
+            const payload = {roomID: roomID, playerID: playerID};
+            this.broadcast(new WebsocketEvent(EventTypes.PLAYER_WENT_INACTIVE, payload));
+            this.reassignRoomHostIfNecessary(roomID, playerID);
+        }).catch(e => this.roomLogger.error(roomID, `Failed to mark player ${playerID} as inactive: ${e}`));
+    }
+
     /*
      * Handle an error that occurred while attempting to process a websocket event.
-     * The error is logged and sent to the originating client websocket as an ERROR event.
+     * The error is identified by the given error code (see ErrorCodes), and its message is localized for the client
+     * using the given message parameters (see getClientLocale).
+     */
+    handleError(ws, event, code, status, params = {}) {
+        this.sendErrorEvent(ws, event, translate(this.getClientLocale(ws), 'websocketErrors', code, params), status, code);
+    }
+
+    /*
+     * Log the given error message, status, and error code for the given websocket event,
+     * and send them to the originating client websocket as an ERROR event.
      */
-    handleError(ws, event, message, status) {
-        logger.error(`Error handling ${event.eventType} event: ${message} (${status})`);
+    sendErrorEvent(ws, event, message, status, code) {
+        logger.error(`Error handling ${event.eventType} event: ${message} (${status}, ${code})`);
         if (this.logEvents) {
             const message = `Error: ${event.source} <--- ${event.eventType}, status: ${status}`;
             const roomID = event.payload?.context?.roomID || event.payload?.roomID || NO_ROOM_KEY;
             this.roomLogger.info(roomID, message);
         }
         if (ws.readyState === WebSocket.OPEN) {
-            ws.send(JSON.stringify(new WebsocketEvent(EventTypes.ERROR, {eventType: event.eventType, error: message, status: status})));
+            ws.send(JSON.stringify(new WebsocketEvent(EventTypes.ERROR, {eventType: event.eventType, error: message, status: status, code: code})));
+        }
+    }
+
+    /*
+     * Apply the rate limit for the given event's type to the IP address of the given request and the player of the given websocket's session.
+     * If the limit has been exceeded, an ERROR event is sent to the client, and false is returned.
+     */
+    async checkRateLimit(ws, req, event) {
+        const retryAfter = await this.rateLimiter.checkEvent(event.eventType, req?.ip, this.sessionPlayerIDs.get(ws));
+        if (retryAfter) {
+            this.handleError(ws, event, ErrorCodes.RATE_LIMITED, TOO_MANY_REQUESTS);
+            return false;
+        }
+        return true;
+    }
+
+    /*
+     * Authenticate a websocket event using the session associated with the given websocket.
+     * A CLIENT_CONNECT event may include a session token, which establishes the session for the websocket if it is valid.
+     * The player ID in the event's context (or payload) is then set to the session's player ID,
+     * unless the event targets another player (e.g., KICK_PLAYER).
+     * If the event cannot be authenticated, an ERROR event is sent to the client, and false is returned.
+     */
+    authenticateEvent(ws, event) {
+        if (!event.payload) {
+            event.payload = {};
+        }
+
+        if (event.eventType === EventTypes.CLIENT_CONNECT && event.payload.sessionToken) {
+            const playerID = this.sessions.verifyToken(event.payload.sessionToken);
+            delete event.payload.sessionToken;
+            if (!playerID) {
+                this.handleError(ws, event, ErrorCodes.INVALID_SESSION, StatusCodes.UNAUTHORIZED);
+                return false;
+            }
+            this.sessionPlayerIDs.set(ws, playerID);
+        }
+
+        const sessionPlayerID = this.getSessionPlayerID(ws);
+        if (!sessionPlayerID) {
+            this.handleError(ws, event, ErrorCodes.MISSING_SESSION, StatusCodes.UNAUTHORIZED);
+            return false;
         }
+
+        if (!TARGET_PLAYER_EVENT_TYPES.has(event.eventType)) {
+            const context = event.payload.context || event.payload;
+            if (context.playerID && context.playerID !== sessionPlayerID) {
+                this.handleError(ws, event, ErrorCodes.SESSION_PLAYER_MISMATCH, StatusCodes.FORBIDDEN);
+                return false;
+            }
+            context.playerID = sessionPlayerID;
+        }
+        return true;
     }
 
     /*
@@ -300,13 +879,13 @@ export class WebsocketServer {
      */
     async validateGameByID(ws, event, gameID) {
         if (!gameID) {
-            this.handleError(ws, event, MISSING_GAME_ID_MESSAGE, StatusCodes.BAD_REQUEST);
+            this.handleError(ws, event, ErrorCodes.MISSING_GAME_ID, StatusCodes.BAD_REQUEST);
             return null;
         }
 
         const game = await this.db.games.getByID(gameID);
         if (!game) {
-            this.handleError(ws, event, GAME_NOT_FOUND_MESSAGE, StatusCodes.NOT_FOUND);
+            this.handleError(ws, event, ErrorCodes.GAME_NOT_FOUND, StatusCodes.NOT_FOUND);
         }
         return game;
     }
@@ -318,49 +897,56 @@ export class WebsocketServer {
      */
     async validatePlayerByID(ws, event, playerID) {
         if (!playerID) {
-            this.handleError(ws, event, MISSING_PLAYER_ID_MESSAGE, StatusCodes.BAD_REQUEST);
+            this.handleError(ws, event, ErrorCodes.MISSING_PLAYER_ID, StatusCodes.BAD_REQUEST);
             return null;
         }
 
         const player = await this.db.players.getByID(playerID);
-        if (!player) {
-            this.handleError(ws, event, PLAYER_NOT_FOUND_MESSAGE, StatusCodes.NOT_FOUND);
+        if (!player || player.deleted) {
+            this.handleError(ws, event, ErrorCodes.PLAYER_NOT_FOUND, StatusCodes.NOT_FOUND);
+            return null;
         }
         return player;
     }
 
     /*
      * Validate the room code provided in the payload of a websocket event.
-     * If the room code is valid and the room exists in the database, the room entity from the database is returned.
+     * If the room code is valid and the room exists in the database (and is not closed), the room entity from the database is returned.
      * If the room code is invalid, an ERROR event is sent to the client, and null is returned.
      */
     async validateRoomByCode(ws, event, roomCode) {
         if (!roomCode) {
-            this.handleError(ws, event, MISSING_ROOM_CODE_MESSAGE, StatusCodes.BAD_REQUEST);
+            this.handleError(ws, event, ErrorCodes.MISSING_ROOM_CODE, StatusCodes.BAD_REQUEST);
             return null;
         }
 
         const room = await this.db.rooms.getByRoomCode(roomCode);
         if (!room) {
-            this.handleError(ws, event, ROOM_NOT_FOUND_MESSAGE, StatusCodes.NOT_FOUND);
+            this.handleError(ws, event, ErrorCodes.ROOM_NOT_FOUND, StatusCodes.NOT_FOUND);
+        } else if (room.closed) {
+            this.handleError(ws, event, ErrorCodes.ROOM_CLOSED, StatusCodes.CONFLICT);
+            return null;
         }
         return room;
     }
 
     /*
      * Validate the room ID provided in the payload of a websocket event.
-     * If the room ID is valid and the room exists in the database, the room entity from the database is returned.
+     * If the room ID is valid and the room exists in the database (and is not closed), the room entity from the database is returned.
      * If the room ID is invalid, an ERROR event is sent to the client, and null is returned.
      */
     async validateRoomByID(ws, event, roomID) {
         if (!roomID) {
-            this.handleError(ws, event, MISSING_ROOM_ID_MESSAGE, StatusCodes.BAD_REQUEST);
+            this.handleError(ws, event, ErrorCodes.MISSING_ROOM_ID, StatusCodes.BAD_REQUEST);
             return null;
         }
 
         const room = await this.db.rooms.getByID(roomID);
         if (!room) {
-            this.handleError(ws, event, ROOM_NOT_FOUND_MESSAGE, StatusCodes.NOT_FOUND);
+            this.handleError(ws, event, ErrorCodes.ROOM_NOT_FOUND, StatusCodes.NOT_FOUND);
+        } else if (room.closed) {
+            this.handleError(ws, event, ErrorCodes.ROOM_CLOSED, StatusCodes.CONFLICT);
+            return null;
         }
         return room;
     }
@@ -383,7 +969,7 @@ export class WebsocketServer {
         }
 
         if (checkPlayerInRoom && (!room.playerIDs.includes(playerID) || player.currentRoomID !== roomID)) {
-            this.handleError(ws, event, PLAYER_NOT_IN_ROOM_MESSAGE, StatusCodes.BAD_REQUEST);
+            this.handleError(ws, event, ErrorCodes.PLAYER_NOT_IN_ROOM, StatusCodes.BAD_REQUEST);
             return errorResult;
         }
 
@@ -421,18 +1007,80 @@ export class WebsocketServer {
         }
 
         if (room.currentGameID !== gameID || game.roomID !== room.roomID) {
-            this.handleError(ws, event, GAME_NOT_ACTIVE_IN_ROOM_MESSAGE, StatusCodes.BAD_REQUEST);
+            this.handleError(ws, event, ErrorCodes.GAME_NOT_ACTIVE, StatusCodes.BAD_REQUEST);
             return errorResult;
         }
 
         if (checkPlayerInGame && !game.playerIDs.includes(player.playerID)) {
-            this.handleError(ws, event, PLAYER_NOT_IN_GAME_MESSAGE, StatusCodes.BAD_REQUEST);
+            this.handleError(ws, event, ErrorCodes.PLAYER_NOT_IN_GAME, StatusCodes.BAD_REQUEST);
             return errorResult;
         }
 
         return {game, player, room};
     }
 
+    /*
+     * Validate the context of a chat event (see validateRoomEventContext). The player must be in the room and must not be kicked from it.
+     * If the context is valid, an object is returned containing the player and room entities from the database.
+     * If the context is invalid, an ERROR event is sent to the client, and the returned object will have its fields set to null.
+     */
+    async validateChatEventContext(ws, event) {
+        const errorResult = {player: null, room: null};
+        const { player, room } = await this.validateRoomEventContext(ws, event);
+        if (!player) {
+            return errorResult;
+        }
+
+        if (this.isPlayerKicked(room, player.playerID)) {
+            this.handleError(ws, event, ErrorCodes.PLAYER_KICKED_FROM_ROOM, StatusCodes.FORBIDDEN);
+            return errorResult;
+        }
+
+        if (!room.playerIDs.includes(player.playerID) || player.currentRoomID !== room.roomID) {
+            this.handleError(ws, event, ErrorCodes.PLAYER_NOT_IN_ROOM, StatusCodes.BAD_REQUEST);
+            return errorResult;
+        }
+
+        return {player, room};
+    }
+
+    /*
+     * Validate the text of a chat message provided in the payload of a websocket event.
+     * If the text is valid, it is returned without leading and trailing whitespace.
+     * If the text is missing or longer than the maximum message length, an ERROR event is sent to the client, and null is returned.
+     */
+    validateChatMessageText(ws, event, text) {
+        const trimmedText = (typeof text === 'string' ? text.trim() : '');
+        if (!trimmedText) {
+            this.handleError(ws, event, ErrorCodes.MISSING_CHAT_MESSAGE_TEXT, StatusCodes.BAD_REQUEST);
+            return null;
+        }
+        if (trimmedText.length > this.maxChatMessageLength) {
+            this.handleError(ws, event, ErrorCodes.CHAT_MESSAGE_TOO_LONG, StatusCodes.BAD_REQUEST, {maxLength: this.maxChatMessageLength});
+            return null;
+        }
+        return trimmedText;
+    }
+
+    /*
+     * Validate the chat message ID provided in the payload of a websocket event.
+     * If the message ID is valid and the message exists in the given room, the message entity from the database is returned.
+     * If the message ID is invalid, an ERROR event is sent to the client, and null is returned.
+     */
+    async validateChatMessageByID(ws, event, messageID, room) {
+        if (!messageID) {
+            this.handleError(ws, event, ErrorCodes.MISSING_CHAT_MESSAGE_ID, StatusCodes.BAD_REQUEST);
+            return null;
+        }
+
+        const message = await this.db.chatMessages.getByID(messageID);
+        if (!message || message.roomID !== room.roomID) {
+            this.handleError(ws, event, ErrorCodes.CHAT_MESSAGE_NOT_FOUND, StatusCodes.NOT_FOUND);
+            return null;
+        }
+        return message;
+    }
+
     /*
      * Validate that the configured player limit has not been exceeded for the given game.
      * If the game is valid with respect to the player limit, true is returned.
@@ -444,12 +1092,12 @@ export class WebsocketServer {
             players = await this.db.players.getByIDs(game.playerIDs);
         } catch (e) {
             this.roomLogger.error(game.roomID, `Failed to get players in game ${game.gameID}: ${e}`);
-            this.handleError(ws, event, FAILED_TO_GET_PLAYERS_MESSAGE, StatusCodes.INTERNAL_SERVER_ERROR);
+            this.handleError(ws, event, ErrorCodes.FAILED_TO_GET_PLAYERS, StatusCodes.INTERNAL_SERVER_ERROR);
             return false;
         }
         const numPlayers = players.filter(player => player.active && player.currentRoomID === game.roomID && !player.spectating).length;
         if (this.maxPlayersPerGame && this.maxPlayersPerGame > 0 && numPlayers >= this.maxPlayersPerGame) {
-            this.handleError(ws, event, MAX_PLAYERS_EXCEEDED_MESSAGE, StatusCodes.BAD_REQUEST);
+            this.handleError(ws, event, ErrorCodes.MAX_PLAYERS_EXCEEDED, StatusCodes.BAD_REQUEST);
             return false;
         }
         return true;
@@ -462,7 +1110,7 @@ export class WebsocketServer {
             players = await this.db.players.getByIDs(room.playerIDs);
         } catch (e) {
             this.roomLogger.error(room.roomID, `Failed to get players in room: ${e}`);
-            this.handleError(ws, event, FAILED_TO_GET_PLAYERS_MESSAGE, StatusCodes.INTERNAL_SERVER_ERROR);
+            this.handleError(ws, event, ErrorCodes.FAILED_TO_GET_PLAYERS, StatusCodes.INTERNAL_SERVER_ERROR);
             return null;
         }
         let newPlayers = {[player.playerID]: player};
@@ -474,31 +1122,104 @@ export class WebsocketServer {
         return newPlayers;
     }
 
-    /* Handler for CLIENT_CONNECT events. */
-    async handleClientConnect(ws, event) {
-        let { playerID, roomID } = event.payload || {};
+    /*
+     * Send the events broadcast to the given room after the given sequence number (from the event log with the given ID) to the given websocket.
+     * Returns false (without sending anything) if the missed events are no longer available.
+     */
+    replayMissedEvents(ws, roomID, lastSequence, eventLogID) {
+        if (eventLogID && eventLogID !== this.eventLog.logID) {
+            return false;
+        }
+        const events = this.eventLog.getEventsSince(roomID, lastSequence);
+        if (!events) {
+            return false;
+        }
+        this.roomLogger.debug(roomID, `Replaying ${events.length} missed events since ${lastSequence}.`);
+        events.forEach(jsonEvent => {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(jsonEvent);
+            }
+        });
+        return true;
+    }
 
-        const player = await this.validatePlayerByID(ws, event, playerID);
-        if (!player) {
+    /*
+     * Send a ROOM_SNAPSHOT event containing the current state of the given room, its current game, its players, and its chat history to the given websocket.
+     * The snapshot's sequence number is read after the state is fetched, so the snapshot reflects at least every event up to that number.
+     */
+    async sendRoomSnapshot(ws, roomID, players) {
+        const room = await this.db.rooms.getByID(roomID);
+        const game = (room?.currentGameID ? await this.db.games.getByID(room.currentGameID) : null);
+        const chatMessages = await this.db.chatMessages.getHistoryByRoomID(roomID, this.chatHistorySize);
+        const payload = {
+            roomID: roomID,
+            sequence: this.eventLog.getLatestSequence(roomID),
+            eventLogID: this.eventLog.logID,
+            room: room,
+            game: game,
+            players: players,
+            chatMessages: chatMessages,
+        };
+        this.roomLogger.debug(roomID, `Sending snapshot at ${payload.sequence}.`);
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(new WebsocketEvent(ServerEventTypes.ROOM_SNAPSHOT, payload)));
+        }
+    }
+
+    /*
+     * Send a CHAT_HISTORY event containing the most recent chat messages in the given room (oldest first) to the given websocket.
+     * Messages sent while the history is fetched may be both broadcast to the client and included in the history,
+     * so clients should ignore messages with IDs they have already seen.
+     */
+    async sendChatHistory(ws, roomID) {
+        let messages;
+        try {
+            messages = await this.db.chatMessages.getHistoryByRoomID(roomID, this.chatHistorySize);
+        } catch (e) {
+            this.roomLogger.error(roomID, `Failed to get chat history: ${e}`);
             return;
         }
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(new WebsocketEvent(ServerEventTypes.CHAT_HISTORY, {roomID: roomID, messages: messages})));
+        }
+    }
+
+    /*
+     * Handler for CLIENT_CONNECT events.
+     * A reconnecting client may provide the sequence number and log ID of the last event it received from its room (lastSequence and eventLogID),
+     * in which case any events it missed are replayed, or a snapshot of the room is sent if the missed events are no longer available.
+     */
+    async handleClientConnect(ws, event) {
+        let { eventLogID, lastSequence, playerID, roomID } = event.payload || {};
+
+        const player = await this.validatePlayerByID(ws, event, playerID);
+        if (!player) {
+            return;
+        }
+        if (player.locale) {
+            this.clientLocales.set(ws, player.locale);
+        }
 
         let room;
         if (roomID) {
             room = await this.db.rooms.getByID(roomID);
             if (!room) {
-                this.handleError(ws, event, ROOM_NOT_FOUND_MESSAGE, StatusCodes.NOT_FOUND);
+                this.handleError(ws, event, ErrorCodes.ROOM_NOT_FOUND, StatusCodes.NOT_FOUND);
+                return;
+            }
+            if (room.closed) {
+                this.handleError(ws, event, ErrorCodes.ROOM_CLOSED, StatusCodes.CONFLICT);
                 return;
             }
             if (room.kickedPlayerIDs.hasOwnProperty(playerID)) {
-                const expiration = room.kickedPlayerIDs[playerID];
-                if ((expiration === null || Date.now() < expiration) && playerID !== room.ownerPlayerID) {
-                    this.handleError(ws, event, PLAYER_KICKED_FROM_ROOM_MESSAGE, StatusCodes.CONFLICT);
+                if (this.isPlayerKicked(room, playerID)) {
+                    this.handleError(ws, event, ErrorCodes.PLAYER_KICKED_FROM_ROOM, StatusCodes.CONFLICT);
                     return;
                 }
                 this.roomLogger.info(roomID, `Removing ${this.getPlayerName(playerID)} from kicked players.`);
                 await this.db.rooms.removePlayerFromKickedPlayersInRoom(roomID, playerID);
             }
+            await this.restoreArchivedRoom(room);
         } else {
             roomID = NO_ROOM_KEY;
         }
@@ -517,28 +1238,189 @@ export class WebsocketServer {
 
         this.roomLogger.info(roomID, `${player.name} connected.`);
         this.addClient(roomID, playerID, ws);
+        if (room && player.currentRoomID && player.currentRoomID !== room.roomID) {
+            // The player's other connections follow the player to the new room.
+            this.moveClient(player.currentRoomID, room.roomID, playerID);
+        }
         this.playerNames[playerID] = player.name;
+        this.publishPresence(playerID);
 
-        this.pingHandlers[ws] = setInterval(() => {
-            logger.debug(`Pinging websocket for ${this.getPlayerName(playerID)}...`);
-            try {
-                if (ws.readyState === WebSocket.OPEN) {
-                    ws.ping(PING_MESSAGE);
-                }
-            } catch (e) {
-                logger.error(`Unexpected error while pinging websocket: ${e}`);
-            }
-        }, this.pingIntervalMillis);
+        /* NOTE: missed events must be replayed before awaiting anything else, so that no new events are sent to the client first. */
+        const resuming = (!!room && Number.isInteger(lastSequence));
+        const replayed = (resuming && this.replayMissedEvents(ws, roomID, lastSequence, eventLogID));
+
+        this.startHeartbeat(ws, playerID);
 
         if (room) {
             const players = await this.getAllPlayersInRoom(ws, event, player, room);
             if (!players) {
                 return;
             }
+            if (resuming && !replayed) {
+                await this.sendRoomSnapshot(ws, roomID, players);
+            } else if (!resuming) {
+                await this.sendChatHistory(ws, roomID);
+            }
             this.broadcast(new WebsocketEvent(EventTypes.PLAYER_WENT_ACTIVE, {roomID: room.roomID, playerID: playerID, players: players}));
         }
     }
 
+    /*
+     * Handler for SEND_CHAT_MESSAGE events. The message is stored in the room's chat history, which is pruned to the configured history size,
+     * and broadcast to all players in the room (including the sender) as a CHAT_MESSAGE_SENT event.
+     */
+    async handleSendChatMessage(ws, event) {
+        const { player, room } = await this.validateChatEventContext(ws, event);
+        if (!player) {
+            return;
+        }
+        if (this.isPlayerMuted(room, player.playerID)) {
+            this.handleError(ws, event, ErrorCodes.PLAYER_MUTED_IN_ROOM, StatusCodes.FORBIDDEN);
+            return;
+        }
+        const text = this.validateChatMessageText(ws, event, event.payload.text);
+        if (text === null) {
+            return;
+        }
+        const message = new ChatMessage(room.roomID, player.playerID, text);
+        try {
+            await this.db.chatMessages.create(message);
+            await this.db.chatMessages.pruneHistoryByRoomID(room.roomID, this.chatHistorySize);
+        } catch (e) {
+            this.roomLogger.error(room.roomID, `Failed to save chat message from player ${player.playerID}: ${e}`);
+            return;
+        }
+        this.roomLogger.debug(room.roomID, `${player.name} sent chat message ${message.messageID}.`);
+        this.broadcast(new WebsocketEvent(ServerEventTypes.CHAT_MESSAGE_SENT, {roomID: room.roomID, message: message}));
+    }
+
+    /* Handler for EDIT_CHAT_MESSAGE events. Players may only edit their own messages, and not while they are muted. */
+    async handleEditChatMessage(ws, event) {
+        const { player, room } = await this.validateChatEventContext(ws, event);
+        if (!player) {
+            return;
+        }
+        if (this.isPlayerMuted(room, player.playerID)) {
+            this.handleError(ws, event, ErrorCodes.PLAYER_MUTED_IN_ROOM, StatusCodes.FORBIDDEN);
+            return;
+        }
+        const message = await this.validateChatMessageByID(ws, event, event.payload.messageID, room);
+        if (!message) {
+            return;
+        }
+        if (message.playerID !== player.playerID) {
+            this.handleError(ws, event, ErrorCodes.CHAT_MESSAGE_AUTHOR_REQUIRED, StatusCodes.FORBIDDEN);
+            return;
+        }
+        const text = this.validateChatMessageText(ws, event, event.payload.text);
+        if (text === null) {
+            return;
+        }
+        const editedTime = new Date();
+        try {
+            await this.db.chatMessages.editByID(message.messageID, text, editedTime);
+        } catch (e) {
+            this.roomLogger.error(room.roomID, `Failed to edit chat message ${message.messageID}: ${e}`);
+            return;
+        }
+        this.roomLogger.debug(room.roomID, `${player.name} edited chat message ${message.messageID}.`);
+        const payload = {roomID: room.roomID, message: {...message, text: text, editedTime: editedTime}};
+        this.broadcast(new WebsocketEvent(ServerEventTypes.CHAT_MESSAGE_EDITED, payload));
+    }
+
+    /*
+     * Handler for DELETE_CHAT_MESSAGE events. Players may delete their own messages (even while muted),
+     * and players with permission to delete chat messages (e.g., the host) may delete any message, in which case a HOST_DELETED_CHAT_MESSAGE event is broadcast instead of CHAT_MESSAGE_DELETED.
+     */
+    async handleDeleteChatMessage(ws, event) {
+        const { player, room } = await this.validateChatEventContext(ws, event);
+        if (!player) {
+            return;
+        }
+        const message = await this.validateChatMessageByID(ws, event, event.payload.messageID, room);
+        if (!message) {
+            return;
+        }
+        const isAuthor = (message.playerID === player.playerID);
+        if (!isAuthor && !this.clientHasPermission(room, ws, RoomPermissions.DELETE_CHAT_MESSAGES)) {
+            this.handleError(ws, event, ErrorCodes.HOST_REQUIRED_TO_DELETE_CHAT_MESSAGE, StatusCodes.FORBIDDEN);
+            return;
+        }
+        try {
+            await this.db.chatMessages.deleteByID(message.messageID);
+        } catch (e) {
+            this.roomLogger.error(room.roomID, `Failed to delete chat message ${message.messageID}: ${e}`);
+            return;
+        }
+        const payload = {roomID: room.roomID, playerID: player.playerID, messageID: message.messageID};
+        if (isAuthor) {
+            this.roomLogger.debug(room.roomID, `${player.name} deleted chat message ${message.messageID}.`);
+            this.broadcast(new WebsocketEvent(ServerEventTypes.CHAT_MESSAGE_DELETED, payload));
+        } else {
+            this.roomLogger.info(room.roomID, `Host deleted chat message ${message.messageID} from ${this.getPlayerName(message.playerID)}.`);
+            this.broadcast(new WebsocketEvent(ServerEventTypes.HOST_DELETED_CHAT_MESSAGE, payload));
+        }
+    }
+
+    /*
+     * Handler for GAME_ACTION events. The action is validated by the registered handler for its type,
+     * and the resulting updates are applied to the game only if the game has not been updated in the meantime.
+     * The changed fields of the game are then broadcast to all players in the room as a GAME_STATE_CHANGED event.
+     */
+    async handleGameAction(ws, event) {
+        const { action } = event.payload;
+        if (!action?.actionType) {
+            this.handleError(ws, event, ErrorCodes.MISSING_GAME_ACTION, StatusCodes.BAD_REQUEST);
+            return;
+        }
+        if (!this.gameActionHandlers.hasOwnProperty(action.actionType)) {
+            this.handleError(ws, event, ErrorCodes.UNKNOWN_GAME_ACTION, StatusCodes.BAD_REQUEST);
+            return;
+        }
+        let { game, player, room } = await this.validateGameEventContext(ws, event, true, true);
+        if (!game) {
+            return;
+        }
+        const handler = this.gameActionHandlers[action.actionType];
+        for (let attempt = 0; attempt < MAX_GAME_ACTION_ATTEMPTS; attempt++) {
+            if (game.finishedTime) {
+                this.handleError(ws, event, ErrorCodes.GAME_ALREADY_FINISHED, StatusCodes.BAD_REQUEST);
+                return;
+            }
+            let updates;
+            try {
+                updates = await handler(game, action, {player, room});
+            } catch (e) {
+                if (e instanceof GameActionError) {
+                    this.sendErrorEvent(ws, event, e.message, e.status, e.code);
+                    return;
+                }
+                throw e;
+            }
+            if (!updates || !Object.keys(updates).length) {
+                return;
+            }
+            const stateVersion = game.stateVersion || 0;
+            if (await this.db.games.updateGameState(game.gameID, stateVersion, updates)) {
+                /* The update only applies to the version of the game that was validated, so it can be replayed locally. */
+                const newGame = applyUpdates(cloneDocument(game), updates);
+                this.roomLogger.debug(room.roomID, `${player.name} took ${action.actionType} action in game ${game.gameID}.`);
+                this.broadcast(new WebsocketEvent(ServerEventTypes.GAME_STATE_CHANGED, {
+                    context: EventContext.fromGame(game, player.playerID),
+                    actionType: action.actionType,
+                    stateVersion: stateVersion + 1,
+                    changes: getUpdatedFields(newGame, updates),
+                }));
+                return;
+            }
+            game = await this.validateGameByID(ws, event, game.gameID);
+            if (!game) {
+                return;
+            }
+        }
+        this.handleError(ws, event, ErrorCodes.GAME_STATE_CONFLICT, StatusCodes.CONFLICT);
+    }
+
     /* Handler for GAME_CREATION_FAILED events. */
     async handleGameCreationFailed(ws, event) {
         this.roomLogger.info(event.payload.roomID, 'New game creation failed.');
@@ -558,6 +1440,10 @@ export class WebsocketServer {
         if (!player) {
             return;
         }
+        if (!this.clientHasPermission(room, ws, RoomPermissions.REASSIGN_HOST)) {
+            this.handleError(ws, event, ErrorCodes.HOST_REQUIRED_TO_REASSIGN_ROOM_HOST, StatusCodes.FORBIDDEN);
+            return;
+        }
         if (room.hostPlayerID !== newHostPlayerID) {
             await this.db.rooms.updateByID(roomID, {hostPlayerID: newHostPlayerID});
             this.roomLogger.info(roomID, `Reassigning host to ${this.getPlayerName(newHostPlayerID)}.`);
@@ -573,7 +1459,7 @@ export class WebsocketServer {
         }
         if (room.passwordHash && player.currentRoomID !== room.roomID) {
             /* Require player to already be in the room if the room is password-protected. */
-            this.handleError(ws, event, PLAYER_NOT_IN_ROOM_MESSAGE, StatusCodes.BAD_REQUEST);
+            this.handleError(ws, event, ErrorCodes.PLAYER_NOT_IN_ROOM, StatusCodes.BAD_REQUEST);
             return;
         }
         await this.joinRoom(player, room, ws, event);
@@ -591,7 +1477,7 @@ export class WebsocketServer {
             return;
         }
         if (room.passwordHash && !bcrypt.compareSync(password || '', room.passwordHash)) {
-            this.handleError(ws, event, INVALID_PASSWORD_MESSAGE, StatusCodes.UNAUTHORIZED);
+            this.handleError(ws, event, ErrorCodes.INVALID_PASSWORD, StatusCodes.UNAUTHORIZED);
             return;
         }
         if (!event.payload.roomID) {
@@ -614,17 +1500,21 @@ export class WebsocketServer {
             return;
         }
         this.roomLogger.info(room.roomID, `${this.getPlayerName(player.playerID)} left room.`);
-        this.removeClient(room.roomID, player.playerID);
+        this.moveClient(room.roomID, NO_ROOM_KEY, player.playerID);
         this.addClient(NO_ROOM_KEY, player.playerID, ws);
     }
 
-    /* Handler for JOIN_GAME events. */
+    /* Handler for JOIN_GAME events. Players with the spectator role may only join games as spectators. */
     async handleJoinGame(ws, event) {
         const { game, player, room } = await this.validateGameEventContext(ws, event, true, false);
         if (!game) {
             return;
         }
         if (!player.spectating) {
+            if (hasRoomRole(room, player.playerID, RoomRoles.SPECTATOR)) {
+                this.handleError(ws, event, ErrorCodes.PLAYER_HAS_SPECTATOR_ROLE, StatusCodes.FORBIDDEN);
+                return;
+            }
             if (!await this.validatePlayerLimitForGame(ws, event, game)) {
                 return;
             }
@@ -659,20 +1549,24 @@ export class WebsocketServer {
         this.broadcast(new WebsocketEvent(EventTypes.PLAYER_STARTED_SPECTATING, event.payload));
     }
 
-    /* Handler for STOP_SPECTATING events. */
+    /* Handler for STOP_SPECTATING events. Players with the spectator role may not stop spectating. */
     async handleStopSpectating(ws, event) {
         const { player, room } = await this.validateRoomEventContext(ws, event, true);
         if (!player) {
             return;
         }
+        if (hasRoomRole(room, player.playerID, RoomRoles.SPECTATOR)) {
+            this.handleError(ws, event, ErrorCodes.PLAYER_HAS_SPECTATOR_ROLE, StatusCodes.FORBIDDEN);
+            return;
+        }
         if (event.payload?.gameID) {
             const game = await this.db.games.getByID(event.payload.gameID);
             if (!game) {
-                this.handleError(ws, event, GAME_NOT_FOUND_MESSAGE, StatusCodes.NOT_FOUND);
+                this.handleError(ws, event, ErrorCodes.GAME_NOT_FOUND, StatusCodes.NOT_FOUND);
                 return;
             }
             if (!game.playerIDs.includes(player.playerID)) {
-                this.handleError(ws, event, PLAYER_NOT_IN_GAME_MESSAGE, StatusCodes.BAD_REQUEST);
+                this.handleError(ws, event, ErrorCodes.PLAYER_NOT_IN_GAME, StatusCodes.BAD_REQUEST);
                 return;
             }
             if (!await this.validatePlayerLimitForGame(ws, event, game)) {
@@ -695,13 +1589,13 @@ export class WebsocketServer {
         if (!room) {
             return;
         }
-        const hostWS = this.getClient(room.roomID, room.hostPlayerID);
-        if (!hostWS || ws !== hostWS) {
-            this.handleError(ws, event, PERMISSION_ABANDON_GAME_MESSAGE, StatusCodes.FORBIDDEN);
+        if (!this.clientHasPermission(room, ws, RoomPermissions.ABANDON_GAME)) {
+            this.handleError(ws, event, ErrorCodes.HOST_REQUIRED_TO_ABANDON_GAME, StatusCodes.FORBIDDEN);
             return;
         }
         try {
             await this.db.rooms.setCurrentGameForRoom(room, null);
+            await this.db.games.abandonByID(game.gameID, new Date());
         } catch (e) {
             this.roomLogger.error(room.roomID, `Failed to abandon game: ${e}`);
             return;
@@ -710,6 +1604,32 @@ export class WebsocketServer {
         this.broadcast(new WebsocketEvent(EventTypes.HOST_ABANDONED_GAME, event.payload));
     }
 
+    /* Handler for END_GAME events. */
+    async handleEndGame(ws, event) {
+        const { game, room } = await this.validateGameEventContext(ws, event, false, false);
+        if (!room) {
+            return;
+        }
+        if (!this.clientHasPermission(room, ws, RoomPermissions.END_GAME)) {
+            this.handleError(ws, event, ErrorCodes.HOST_REQUIRED_TO_END_GAME, StatusCodes.FORBIDDEN);
+            return;
+        }
+        if (game.finishedTime) {
+            this.handleError(ws, event, ErrorCodes.GAME_ALREADY_FINISHED, StatusCodes.BAD_REQUEST);
+            return;
+        }
+        let result;
+        try {
+            result = await this.finishGame(game, room);
+        } catch (e) {
+            this.roomLogger.error(room.roomID, `Failed to end game ${game.gameID}: ${e}`);
+            return;
+        }
+        if (!result) {
+            this.handleError(ws, event, ErrorCodes.GAME_STATE_CONFLICT, StatusCodes.CONFLICT);
+        }
+    }
+
     /* Handler for KICK_PLAYER events. */
     async handleKickPlayer(ws, event) {
         const { player, room } = await this.validateRoomEventContext(ws, event, true);
@@ -717,22 +1637,21 @@ export class WebsocketServer {
             return;
         }
         if (room.kickedPlayerIDs.hasOwnProperty(player.playerID)) {
-            this.handleError(ws, event, PLAYER_KICKED_FROM_ROOM_MESSAGE, StatusCodes.BAD_REQUEST);
+            this.handleError(ws, event, ErrorCodes.PLAYER_KICKED_FROM_ROOM, StatusCodes.BAD_REQUEST);
             return;
         }
-        const hostWS = this.getClient(room.roomID, room.hostPlayerID);
-        if (!hostWS || ws !== hostWS) {
-            this.handleError(ws, event, PERMISSION_KICK_PLAYER_MESSAGE, StatusCodes.FORBIDDEN);
+        if (!this.clientHasPermission(room, ws, RoomPermissions.KICK_PLAYER)) {
+            this.handleError(ws, event, ErrorCodes.HOST_REQUIRED_TO_KICK_PLAYER, StatusCodes.FORBIDDEN);
             return;
         }
-        let expiration = null;
-        let durationInSeconds = parseInt(event.payload?.duration);
-        if (isNaN(durationInSeconds) || durationInSeconds < 0 || durationInSeconds > MAX_KICK_DURATION_SECONDS) {
-            this.handleError(ws, event, INVALID_DURATION_MESSAGE, StatusCodes.BAD_REQUEST);
+        if (!this.clientOutranksPlayer(room, ws, player.playerID)) {
+            this.handleError(ws, event, ErrorCodes.MODERATOR_OUTRANKED_BY_PLAYER, StatusCodes.FORBIDDEN);
             return;
         }
-        if (durationInSeconds > 0) {
-            expiration = Date.now() + (durationInSeconds * 1000);
+        const expiration = getExpirationForDuration(event.payload?.duration);
+        if (expiration === undefined) {
+            this.handleError(ws, event, ErrorCodes.INVALID_DURATION, StatusCodes.BAD_REQUEST);
+            return;
         }
         try {
             await this.db.rooms.updateByID(room.roomID, {[`kickedPlayerIDs.${player.playerID}`]: expiration});
@@ -744,10 +1663,320 @@ export class WebsocketServer {
         this.roomLogger.info(room.roomID, `Host kicked ${this.getPlayerName(player.playerID)} ${expiration === null ? 'indefinitely' : 'until ' + new Date(expiration).toLocaleString()}.`);
         /* NOTE: order matters here - need to broadcast before removing the player's websocket from the room */
         this.broadcast(new WebsocketEvent(EventTypes.HOST_KICKED_PLAYER, event.payload));
-        const playerWS = this.removeClient(room.roomID, player.playerID);
-        if (playerWS) {
-            this.addClient(NO_ROOM_KEY, player.playerID, playerWS);
+        this.evictClients(room.roomID, [player.playerID]);
+    }
+
+    /*
+     * Validate the context of a moderation event, which targets the player given in the event's payload (see validateRoomEventContext).
+     * The event must come from a player with permission to moderate the room (see clientHasPermission) who outranks the target player.
+     * If the context is valid, an object is returned containing the target player and room entities from the database.
+     * If the context is invalid, an ERROR event is sent to the client, and the returned object will have its fields set to null.
+     */
+    async validateModerationEventContext(ws, event) {
+        const errorResult = {player: null, room: null};
+        const { player, room } = await this.validateRoomEventContext(ws, event);
+        if (!player) {
+            return errorResult;
+        }
+        if (!this.clientHasPermission(room, ws, RoomPermissions.MODERATE)) {
+            this.handleError(ws, event, ErrorCodes.HOST_OR_OWNER_REQUIRED_TO_MODERATE, StatusCodes.FORBIDDEN);
+            return errorResult;
+        }
+        if (!this.clientOutranksPlayer(room, ws, player.playerID)) {
+            this.handleError(ws, event, ErrorCodes.MODERATOR_OUTRANKED_BY_PLAYER, StatusCodes.FORBIDDEN);
+            return errorResult;
+        }
+        return {player, room};
+    }
+
+    /* Handler for BAN_PLAYER events. The target player does not need to be in the room (e.g., if they already left). */
+    async handleBanPlayer(ws, event) {
+        const { player, room } = await this.validateModerationEventContext(ws, event);
+        if (!player) {
+            return;
+        }
+        try {
+            await this.banPlayer(room, player);
+        } catch (e) {
+            this.roomLogger.error(room.roomID, `Failed to ban player ${player.playerID}: ${e}`);
+        }
+    }
+
+    /* Handler for GET_KICKED_PLAYERS events. The currently kicked players are sent only to the requesting client, as a KICKED_PLAYERS event. */
+    async handleGetKickedPlayers(ws, event) {
+        const room = await this.validateRoomByID(ws, event, event.payload?.roomID);
+        if (!room) {
+            return;
+        }
+        if (!this.clientHasPermission(room, ws, RoomPermissions.MODERATE)) {
+            this.handleError(ws, event, ErrorCodes.HOST_OR_OWNER_REQUIRED_TO_MODERATE, StatusCodes.FORBIDDEN);
+            return;
+        }
+        let kickedPlayers;
+        try {
+            kickedPlayers = await this.getKickedPlayers(room);
+        } catch (e) {
+            this.roomLogger.error(room.roomID, `Failed to get kicked players: ${e}`);
+            this.handleError(ws, event, ErrorCodes.FAILED_TO_GET_PLAYERS, StatusCodes.INTERNAL_SERVER_ERROR);
+            return;
+        }
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(new WebsocketEvent(ServerEventTypes.KICKED_PLAYERS, {roomID: room.roomID, kickedPlayers: kickedPlayers})));
+        }
+    }
+
+    /* Handler for LIFT_KICK events. */
+    async handleLiftKick(ws, event) {
+        const { player, room } = await this.validateModerationEventContext(ws, event);
+        if (!player) {
+            return;
+        }
+        if (!room.kickedPlayerIDs.hasOwnProperty(player.playerID)) {
+            this.handleError(ws, event, ErrorCodes.PLAYER_NOT_KICKED_FROM_ROOM, StatusCodes.NOT_FOUND);
+            return;
+        }
+        try {
+            await this.liftKick(room, player.playerID);
+        } catch (e) {
+            this.roomLogger.error(room.roomID, `Failed to lift kick of player ${player.playerID}: ${e}`);
+        }
+    }
+
+    /* Handler for MUTE_PLAYER events. The duration is given in seconds, as for KICK_PLAYER events, and replaces any existing mute. */
+    async handleMutePlayer(ws, event) {
+        const { player, room } = await this.validateModerationEventContext(ws, event);
+        if (!player) {
+            return;
+        }
+        const expiration = getExpirationForDuration(event.payload?.duration);
+        if (expiration === undefined) {
+            this.handleError(ws, event, ErrorCodes.INVALID_DURATION, StatusCodes.BAD_REQUEST);
+            return;
+        }
+        try {
+            await this.mutePlayer(room, player.playerID, expiration);
+        } catch (e) {
+            this.roomLogger.error(room.roomID, `Failed to mute player ${player.playerID}: ${e}`);
+        }
+    }
+
+    /* Handler for UNMUTE_PLAYER events. */
+    async handleUnmutePlayer(ws, event) {
+        const { player, room } = await this.validateModerationEventContext(ws, event);
+        if (!player) {
+            return;
+        }
+        if (!room.mutedPlayerIDs?.hasOwnProperty(player.playerID)) {
+            this.handleError(ws, event, ErrorCodes.PLAYER_NOT_MUTED_IN_ROOM, StatusCodes.NOT_FOUND);
+            return;
+        }
+        try {
+            await this.unmutePlayer(room, player.playerID);
+        } catch (e) {
+            this.roomLogger.error(room.roomID, `Failed to unmute player ${player.playerID}: ${e}`);
+        }
+    }
+
+    /*
+     * Validate the context of a role event (see validateRoomEventContext). Roles may only be managed by the owner of the room.
+     * If the context is valid, an object is returned containing the player (the target player, for GRANT_ROLE and REVOKE_ROLE events) and room entities from the database.
+     * If the context is invalid, an ERROR event is sent to the client, and the returned object will have its fields set to null.
+     */
+    async validateRoleEventContext(ws, event, checkPlayerInRoom = false) {
+        const errorResult = {player: null, room: null};
+        const { player, room } = await this.validateRoomEventContext(ws, event, checkPlayerInRoom);
+        if (!player) {
+            return errorResult;
+        }
+        if (!this.hasClient(room.roomID, room.ownerPlayerID, ws)) {
+            this.handleError(ws, event, ErrorCodes.OWNER_REQUIRED_TO_MANAGE_ROLES, StatusCodes.FORBIDDEN);
+            return errorResult;
+        }
+        return {player, room};
+    }
+
+    /*
+     * Handler for GRANT_ROLE events. The target player must be in the room, and any role previously granted to the player is replaced.
+     * Players granted the spectator role start spectating, and may not stop spectating until the role is revoked (see handleStopSpectating).
+     */
+    async handleGrantRole(ws, event) {
+        const { player, room } = await this.validateRoleEventContext(ws, event, true);
+        if (!player) {
+            return;
+        }
+        const role = event.payload.role;
+        if (!GRANTABLE_ROOM_ROLES.has(role)) {
+            this.handleError(ws, event, ErrorCodes.INVALID_ROOM_ROLE, StatusCodes.BAD_REQUEST);
+            return;
+        }
+        try {
+            await this.db.rooms.setPlayerRoleInRoom(room.roomID, player.playerID, role);
+        } catch (e) {
+            this.roomLogger.error(room.roomID, `Failed to grant role ${role} to player ${player.playerID}: ${e}`);
+            return;
+        }
+        this.roomLogger.info(room.roomID, `Granted role ${role} to ${this.getPlayerName(player.playerID)}.`);
+        this.broadcast(new WebsocketEvent(ServerEventTypes.ROLE_GRANTED, {roomID: room.roomID, playerID: player.playerID, role: role}));
+        if (role === RoomRoles.SPECTATOR && !player.spectating) {
+            try {
+                await this.db.players.updateByID(player.playerID, {spectating: true});
+            } catch (e) {
+                this.roomLogger.error(room.roomID, `Failed to start spectating for player ${player.playerID}: ${e}`);
+                return;
+            }
+            this.roomLogger.info(room.roomID, `${this.getPlayerName(player.playerID)} started spectating.`);
+            this.broadcast(new WebsocketEvent(EventTypes.PLAYER_STARTED_SPECTATING, {roomID: room.roomID, playerID: player.playerID}));
+        }
+    }
+
+    /* Handler for REVOKE_ROLE events. The target player reverts to the player role (see getPlayerRoles). */
+    async handleRevokeRole(ws, event) {
+        const { player, room } = await this.validateRoleEventContext(ws, event);
+        if (!player) {
+            return;
         }
+        if (!room.playerRoles?.hasOwnProperty(player.playerID)) {
+            this.handleError(ws, event, ErrorCodes.PLAYER_HAS_NO_ROLE_IN_ROOM, StatusCodes.NOT_FOUND);
+            return;
+        }
+        const role = room.playerRoles[player.playerID];
+        try {
+            await this.db.rooms.removePlayerRoleInRoom(room.roomID, player.playerID);
+        } catch (e) {
+            this.roomLogger.error(room.roomID, `Failed to revoke role ${role} from player ${player.playerID}: ${e}`);
+            return;
+        }
+        this.roomLogger.info(room.roomID, `Revoked role ${role} from ${this.getPlayerName(player.playerID)}.`);
+        this.broadcast(new WebsocketEvent(ServerEventTypes.ROLE_REVOKED, {roomID: room.roomID, playerID: player.playerID, role: role}));
+    }
+
+    /*
+     * Handler for SET_ROLE_PERMISSIONS events, which replace the permissions of a role in the room's permission matrix.
+     * The permissions of the owner role cannot be changed, so that the owner can always manage the room.
+     */
+    async handleSetRolePermissions(ws, event) {
+        const { room } = await this.validateRoleEventContext(ws, event);
+        if (!room) {
+            return;
+        }
+        const { permissions, role } = event.payload;
+        if (!isValidRoomRole(role) || role === RoomRoles.OWNER) {
+            this.handleError(ws, event, ErrorCodes.INVALID_ROOM_ROLE, StatusCodes.BAD_REQUEST);
+            return;
+        }
+        if (!Array.isArray(permissions) || !permissions.every(isValidRoomPermission)) {
+            this.handleError(ws, event, ErrorCodes.INVALID_ROOM_PERMISSIONS, StatusCodes.BAD_REQUEST);
+            return;
+        }
+        const uniquePermissions = [...new Set(permissions)];
+        try {
+            await this.db.rooms.setRolePermissionsInRoom(room.roomID, role, uniquePermissions);
+        } catch (e) {
+            this.roomLogger.error(room.roomID, `Failed to set permissions for role ${role}: ${e}`);
+            return;
+        }
+        this.roomLogger.info(room.roomID, `Set permissions for role ${role}: ${uniquePermissions.join(', ') || 'none'}.`);
+        this.broadcast(new WebsocketEvent(ServerEventTypes.ROLE_PERMISSIONS_CHANGED, {roomID: room.roomID, role: role, permissions: uniquePermissions}));
+    }
+
+    /*
+     * Return the players currently kicked from the given room, including players who are banned (i.e., kicked indefinitely).
+     * Each entry contains the player's ID and name, the expiration time of the kick (or null if it never expires), and whether the player is banned.
+     */
+    async getKickedPlayers(room) {
+        const playerIDs = Object.keys(room.kickedPlayerIDs || {}).filter(playerID => this.isPlayerKicked(room, playerID));
+        const players = (playerIDs.length ? await this.db.players.getByIDs(playerIDs) : []);
+        return playerIDs.map(playerID => {
+            const expiration = room.kickedPlayerIDs[playerID];
+            const name = players.find(player => player.playerID === playerID)?.name || null;
+            return {playerID: playerID, name: name, expiration: expiration, banned: (expiration === null)};
+        });
+    }
+
+    /*
+     * Ban the given player from the given room, by kicking them indefinitely (until the kick is lifted),
+     * and broadcast a HOST_BANNED_PLAYER event to the room. The player's websockets are then removed from the room.
+     */
+    async banPlayer(room, player) {
+        await this.db.rooms.updateByID(room.roomID, {[`kickedPlayerIDs.${player.playerID}`]: null});
+        if (player.currentRoomID === room.roomID) {
+            await this.db.players.updateByID(player.playerID, {currentRoomID: null});
+        }
+        this.roomLogger.info(room.roomID, `Banned ${this.getPlayerName(player.playerID)}.`);
+        /* NOTE: order matters here - need to broadcast before removing the player's websocket from the room */
+        this.broadcast(new WebsocketEvent(ServerEventTypes.HOST_BANNED_PLAYER, {roomID: room.roomID, playerID: player.playerID}));
+        this.evictClients(room.roomID, [player.playerID]);
+    }
+
+    /* Allow the given player, who was kicked (or banned) from the given room, to rejoin it, and broadcast a HOST_LIFTED_KICK event to the room. */
+    async liftKick(room, playerID) {
+        await this.db.rooms.removePlayerFromKickedPlayersInRoom(room.roomID, playerID);
+        this.roomLogger.info(room.roomID, `Lifted kick of ${this.getPlayerName(playerID)}.`);
+        this.broadcast(new WebsocketEvent(ServerEventTypes.HOST_LIFTED_KICK, {roomID: room.roomID, playerID: playerID}));
+    }
+
+    /*
+     * Mute the given player in the given room until the given expiration time (or indefinitely if the expiration is null),
+     * and broadcast a HOST_MUTED_PLAYER event to the room. Muted players remain in the room, but may not send or edit chat messages.
+     */
+    async mutePlayer(room, playerID, expiration) {
+        await this.db.rooms.setPlayerMutedInRoom(room.roomID, playerID, expiration);
+        this.roomLogger.info(room.roomID, `Muted ${this.getPlayerName(playerID)} ${expiration === null ? 'indefinitely' : 'until ' + new Date(expiration).toLocaleString()}.`);
+        this.broadcast(new WebsocketEvent(ServerEventTypes.HOST_MUTED_PLAYER, {roomID: room.roomID, playerID: playerID, expiration: expiration}));
+    }
+
+    /* Unmute the given player in the given room, and broadcast a HOST_UNMUTED_PLAYER event to the room. */
+    async unmutePlayer(room, playerID) {
+        await this.db.rooms.removePlayerFromMutedPlayersInRoom(room.roomID, playerID);
+        this.roomLogger.info(room.roomID, `Unmuted ${this.getPlayerName(playerID)}.`);
+        this.broadcast(new WebsocketEvent(ServerEventTypes.HOST_UNMUTED_PLAYER, {roomID: room.roomID, playerID: playerID}));
+    }
+
+    /*
+     * Finish the given game (the current game in the given room), recording the final results.
+     * The game is marked as finished, each player's stats are updated with their final score,
+     * the room's current champion and winning streak are updated, and a GAME_ENDED event is broadcast to the room.
+     * Returns the payload of the GAME_ENDED event, or null if the game was updated concurrently (in which case nothing is recorded).
+     */
+    async finishGame(game, room) {
+        const finishedTime = new Date();
+        if (!await this.db.games.updateGameState(game.gameID, game.stateVersion || 0, {$set: {finishedTime: finishedTime}})) {
+            return null;
+        }
+
+        // Players whose records are missing are left out of the results, rather than failing to finish the game.
+        const players = (await Promise.all(game.playerIDs.map(playerID => this.db.players.getByID(playerID)))).filter(player => !!player);
+        const places = getCurrentPlaces(game, players);
+        const placeNames = Object.keys(places);
+        const winners = (placeNames.length ? places[placeNames[0]] : []);
+        const currentChampion = (placeNames.length ? getCurrentChampion(places) : null);
+        await Promise.all(Object.values(places).flat().map(async ({ playerID, score }) => {
+            const player = players.find(player => player.playerID === playerID);
+            if (!player) {
+                return;
+            }
+            await this.db.players.incrementStat(playerID, PlayerStatsKeys.OVERALL_SCORE, score);
+            if (winners.some(winner => winner.playerID === playerID)) {
+                await this.db.players.incrementStat(playerID, PlayerStatsKeys.GAMES_WON);
+            }
+            if (score > (player.stats?.[PlayerStatsKeys.HIGHEST_GAME_SCORE] || 0)) {
+                await this.db.players.setStat(playerID, PlayerStatsKeys.HIGHEST_GAME_SCORE, score);
+            }
+        }));
+
+        await this.db.rooms.setCurrentGameForRoom(room, null, currentChampion);
+        const newRoom = await this.db.rooms.getByID(room.roomID);
+        const payload = {
+            roomID: room.roomID,
+            gameID: game.gameID,
+            finishedTime: finishedTime,
+            places: places,
+            currentChampion: newRoom.currentChampion,
+            currentWinningStreak: newRoom.currentWinningStreak,
+        };
+        this.roomLogger.info(room.roomID, `Game ${game.gameID} ended${currentChampion ? ` (winner: ${this.getPlayerName(currentChampion)})` : ''}.`);
+        this.broadcast(new WebsocketEvent(EventTypes.GAME_ENDED, payload));
+        return payload;
     }
 
     /*
@@ -788,17 +2017,26 @@ export class WebsocketServer {
         }, this.reassignmentCheckDelayMillis);
     }
 
+    /* Restore the given room if it was archived for inactivity (see MaintenanceJob), since a player is using it again. */
+    async restoreArchivedRoom(room) {
+        if (room.archived) {
+            this.roomLogger.info(room.roomID, 'Restoring archived room.');
+            await this.db.rooms.unarchiveByID(room.roomID, new Date());
+            room.archived = false;
+        }
+    }
+
     /* Validate and process a request for the given player to join the given room. */
     async joinRoom(player, room, ws, event) {
         if (room.kickedPlayerIDs.hasOwnProperty(player.playerID)) {
-            const expiration = room.kickedPlayerIDs[player.playerID];
-            if ((expiration === null || Date.now() < expiration) && player.playerID !== room.ownerPlayerID) {
-                this.handleError(ws, event, PLAYER_KICKED_FROM_ROOM_MESSAGE, StatusCodes.CONFLICT);
+            if (this.isPlayerKicked(room, player.playerID)) {
+                this.handleError(ws, event, ErrorCodes.PLAYER_KICKED_FROM_ROOM, StatusCodes.CONFLICT);
                 return;
             }
             this.roomLogger.info(room.roomID, `Removing ${this.getPlayerName(player.playerID)} from kicked players.`);
             await this.db.rooms.removePlayerFromKickedPlayersInRoom(room.roomID, player.playerID);
         }
+        await this.restoreArchivedRoom(room);
         if (player.currentRoomID !== room.roomID) {
             await this.db.players.updateByID(player.playerID, {currentRoomID: room.roomID});
             if (player.currentRoomID) {
@@ -812,18 +2050,24 @@ export class WebsocketServer {
         this.roomLogger.info(room.roomID, `${player.name} joined room.`);
         this.addClient(room.roomID, player.playerID, ws);
         if (player.currentRoomID && player.currentRoomID !== room.roomID) {
-            this.removeClient(player.currentRoomID, player.playerID);
+            // The player's other connections follow the player to the new room.
+            this.moveClient(player.currentRoomID, room.roomID, player.playerID);
         }
         let players = await this.getAllPlayersInRoom(ws, event, player, room);
         if (!players) {
             return;
         }
-        if (!player.spectating && this.maxPlayersPerGame && this.maxPlayersPerGame > 0 &&
+        if (!player.spectating && hasRoomRole(room, player.playerID, RoomRoles.SPECTATOR)) {
+            this.roomLogger.info(room.roomID, `${player.name} has the spectator role and is becoming a spectator.`);
+            await this.db.players.updateByID(player.playerID, {spectating: true});
+            players[player.playerID].spectating = true;
+        } else if (!player.spectating && this.maxPlayersPerGame && this.maxPlayersPerGame > 0 &&
                 Object.values(players).filter(player => player.active && !player.spectating).length > this.maxPlayersPerGame) {
             this.roomLogger.info(room.roomID, `Room is full. ${player.name} is becoming a spectator.`);
             await this.db.players.updateByID(player.playerID, {spectating: true});
             players[player.playerID].spectating = true;
         }
         this.broadcast(new WebsocketEvent(EventTypes.PLAYER_JOINED_ROOM, {roomID: room.roomID, playerID: player.playerID, players: players}));
+        await this.sendChatHistory(ws, room.roomID);
     }
 }
@@ -3,6 +3,7 @@ import {
     EventContext,
     EventTypes,
     Game,
+    MAX_KICK_DURATION_SECONDS,
     MILLISECONDS_PER_DAY,
     Player,
     PlayerStatsKeys,
@@ -11,9 +12,21 @@ import {
     WebsocketEvent,
 } from '@dyesoft/alea-core';
 import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { ChatMessage } from './chat.mjs';
+import { ErrorCodes } from './i18n/index.mjs';
+import { MemoryPubSub } from './pubsub/index.mjs';
+import { RoomPermissions, RoomRoles } from './roles.mjs';
 import { getTestDB } from './testutils.mjs';
 import { sleep } from './utils.mjs';
-import { NO_ROOM_KEY, RoomLogger, WebsocketServer } from './websockets.mjs';
+import {
+    GameActionError,
+    getExpirationForDuration,
+    NO_ROOM_KEY,
+    RoomEventLog,
+    RoomLogger,
+    ServerEventTypes,
+    WebsocketServer,
+} from './websockets.mjs';
 
 const SLEEP_DELAY_MILLIS = 50;
 
@@ -118,6 +131,57 @@ describe('RoomLogger', () => {
     });
 });
 
+describe('RoomEventLog', () => {
+    const event = new WebsocketEvent(EventTypes.GAME_SETTINGS_CHANGED, {roomID: ROOM_ID});
+
+    describe('append', () => {
+        test('assigns increasing sequence numbers to events for each room', () => {
+            const eventLog = new RoomEventLog();
+            const eventLogID = eventLog.logID;
+            expect(eventLog.getLatestSequence(ROOM_ID)).toEqual(0);
+            expect(eventLog.append(ROOM_ID, event)).toEqual(JSON.stringify({...event, sequence: 1, eventLogID}));
+            expect(eventLog.append(ROOM_ID, event)).toEqual(JSON.stringify({...event, sequence: 2, eventLogID}));
+            expect(eventLog.append('other-room', event)).toEqual(JSON.stringify({...event, sequence: 1, eventLogID}));
+            expect(eventLog.getLatestSequence(ROOM_ID)).toEqual(2);
+        });
+
+        test('retains up to the maximum number of events for each room', () => {
+            const eventLog = new RoomEventLog(2);
+            [1, 2, 3].forEach(_ => eventLog.append(ROOM_ID, event));
+            expect(eventLog.rooms[ROOM_ID].events.map(event => event.sequence)).toEqual([2, 3]);
+        });
+    });
+
+    describe('getEventsSince', () => {
+        let eventLog;
+
+        beforeEach(() => {
+            eventLog = new RoomEventLog(2);
+            [1, 2, 3].forEach(_ => eventLog.append(ROOM_ID, event));
+        });
+
+        test('returns events after the given sequence number', () => {
+            const eventLogID = eventLog.logID;
+            expect(eventLog.getEventsSince(ROOM_ID, 1)).toEqual([2, 3].map(sequence => JSON.stringify({...event, sequence, eventLogID})));
+            expect(eventLog.getEventsSince(ROOM_ID, 2)).toEqual([JSON.stringify({...event, sequence: 3, eventLogID})]);
+        });
+
+        test('returns empty array if there are no newer events', () => {
+            expect(eventLog.getEventsSince(ROOM_ID, 3)).toEqual([]);
+            expect(eventLog.getEventsSince('other-room', 0)).toEqual([]);
+        });
+
+        test('returns null if missed events are no longer retained', () => {
+            expect(eventLog.getEventsSince(ROOM_ID, 0)).toBeNull();
+        });
+
+        test('returns null if sequence number is unknown', () => {
+            expect(eventLog.getEventsSince(ROOM_ID, 4)).toBeNull();
+            expect(eventLog.getEventsSince('other-room', 1)).toBeNull();
+        });
+    });
+});
+
 function getMockWebsocket(open = true) {
     return {
         readyState: (open ? WebSocket.OPEN : WebSocket.CLOSED),
@@ -131,9 +195,9 @@ function expectWebsocketEvent(ws, event) {
     expect(ws.send).toHaveBeenCalledWith(JSON.stringify(event));
 }
 
-function expectWebsocketErrorEvent(ws, event, message, status) {
-    const expectedErrorEvent = new WebsocketEvent(EventTypes.ERROR, {eventType: event.eventType, error: message, status: status});
-    expectWebsocketEvent(ws, expectedErrorEvent);
+function expectWebsocketErrorEvent(ws, event, message, status, code = expect.any(String)) {
+    const sentEvents = ws.send.mock.calls.map(([data]) => JSON.parse(data));
+    expect(sentEvents).toContainEqual({eventType: EventTypes.ERROR, payload: {eventType: event.eventType, error: message, status: status, code: code}});
 }
 
 async function expectMissingGameIDEvent(wss, eventType, payload) {
@@ -208,6 +272,26 @@ function yesterday() {
     return Date.now() - MILLISECONDS_PER_DAY;
 }
 
+describe('getExpirationForDuration', () => {
+    const now = Date.now();
+
+    test('invalid duration', () => {
+        expect(getExpirationForDuration(undefined, now)).toBeUndefined();
+        expect(getExpirationForDuration('abc', now)).toBeUndefined();
+        expect(getExpirationForDuration(-1, now)).toBeUndefined();
+        expect(getExpirationForDuration(MAX_KICK_DURATION_SECONDS + 1, now)).toBeUndefined();
+    });
+
+    test('zero duration never expires', () => {
+        expect(getExpirationForDuration(0, now)).toBeNull();
+    });
+
+    test('positive duration', () => {
+        expect(getExpirationForDuration(60, now)).toEqual(now + 60000);
+        expect(getExpirationForDuration('60', now)).toEqual(now + 60000);
+    });
+});
+
 describe('WebsocketServer', () => {
     let db;
     let wss;
@@ -230,7 +314,8 @@ describe('WebsocketServer', () => {
 
     afterEach(async () => {
         jest.restoreAllMocks();
-        Object.values(wss.pingHandlers).forEach(clearInterval);
+        wss.pingHandlers.forEach(clearInterval);
+        await db.chatMessages.truncate(true);
         await db.games.truncate(true);
         await db.players.truncate(true);
         await db.rooms.truncate(true);
@@ -244,7 +329,12 @@ describe('WebsocketServer', () => {
         const expectedEventTypes = [
             /* connection events */
             EventTypes.CLIENT_CONNECT,
+            /* chat events */
+            ServerEventTypes.DELETE_CHAT_MESSAGE,
+            ServerEventTypes.EDIT_CHAT_MESSAGE,
+            ServerEventTypes.SEND_CHAT_MESSAGE,
             /* game events */
+            ServerEventTypes.GAME_ACTION,
             EventTypes.GAME_CREATION_FAILED,
             EventTypes.GAME_SETTINGS_CHANGED,
             /* room events */
@@ -258,7 +348,18 @@ describe('WebsocketServer', () => {
             EventTypes.STOP_SPECTATING,
             /* host-only events */
             EventTypes.ABANDON_GAME,
+            ServerEventTypes.END_GAME,
             EventTypes.KICK_PLAYER,
+            /* moderation events */
+            ServerEventTypes.BAN_PLAYER,
+            ServerEventTypes.GET_KICKED_PLAYERS,
+            ServerEventTypes.LIFT_KICK,
+            ServerEventTypes.MUTE_PLAYER,
+            ServerEventTypes.UNMUTE_PLAYER,
+            /* role events */
+            ServerEventTypes.GRANT_ROLE,
+            ServerEventTypes.REVOKE_ROLE,
+            ServerEventTypes.SET_ROLE_PERMISSIONS,
         ];
 
         test('with db and config', () => {
@@ -266,34 +367,78 @@ describe('WebsocketServer', () => {
             const maxPlayers = 5;
             const reassignmentCheckMillis = 1000;
             const config = {
+                chat: {
+                    historySize: 20,
+                    maxMessageLength: 200,
+                },
                 game: {
                     maxPlayersPerGame: maxPlayers,
                 },
                 websocket: {
+                    eventLogSize: 10,
                     logEvents: true,
+                    maxMissedPongs: 3,
+                    pingIntervalMillis: 1000,
                     reassignmentCheckDelayMillis: reassignmentCheckMillis,
                 },
             };
-            const wss = new WebsocketServer(mockDB, config);
+            const mockPubSub = {
+                subscribe: jest.fn().mockResolvedValue(),
+            };
+            const wss = new WebsocketServer(mockDB, config, mockPubSub);
             expect(wss.db).toBe(mockDB);
+            expect(wss.instanceID).toBeDefined();
+            expect(wss.pubsub).toBe(mockPubSub);
+            expect(mockPubSub.subscribe).toHaveBeenCalledWith('websockets', wss.handlePubSubMessage);
             expect(wss.logEvents).toBeTruthy();
             expect(wss.maxPlayersPerGame).toEqual(maxPlayers);
             expect(wss.reassignmentCheckDelayMillis).toEqual(reassignmentCheckMillis);
+            expect(wss.pingIntervalMillis).toEqual(1000);
+            expect(wss.maxMissedPongs).toEqual(3);
+            expect(wss.remotePresenceTTLMillis).toEqual(3000);
+            expect(wss.missedPongs.size).toEqual(0);
+            expect(wss.chatHistorySize).toEqual(20);
+            expect(wss.maxChatMessageLength).toEqual(200);
             expect(wss.roomLogger).toBeDefined();
+            expect(wss.eventLog.maxEventsPerRoom).toEqual(10);
             expect(wss.connectedClients).toEqual({});
-            expect(wss.pingHandlers).toEqual({});
+            expect(wss.remoteClientInstanceIDs.size).toEqual(0);
+            expect(wss.pingHandlers.size).toEqual(0);
             expect(wss.playerNames).toEqual({});
+            expect(wss.sessions).toBeDefined();
+            expect(wss.sessionPlayerIDs.size).toEqual(0);
+            expect(wss.gameActionHandlers).toEqual({});
 
             const eventTypes = Object.keys(wss.eventHandlers);
             expect(eventTypes).toHaveLength(expectedEventTypes.length);
             expect(eventTypes.sort()).toEqual(expectedEventTypes.sort());
         });
+
+        test('uses in-process pub/sub by default', () => {
+            expect(wss.pubsub).toBeInstanceOf(MemoryPubSub);
+        });
+    });
+
+    describe('close', () => {
+        test('closes pub/sub', async () => {
+            const spy = jest.spyOn(wss.pubsub, 'close');
+            await wss.close();
+            expect(spy).toHaveBeenCalled();
+        });
+    });
+
+    describe('registerGameActionHandler', () => {
+        test('adds handler for action type', () => {
+            const handler = jest.fn();
+            wss.registerGameActionHandler('buzz', handler);
+            expect(wss.gameActionHandlers).toEqual({buzz: handler});
+        });
     });
 
     describe('addClient', () => {
         test('creates cache for room if not present', () => {
             expect(wss.connectedClients[ROOM_ID]).not.toBeDefined();
-            wss.addClient(ROOM_ID, PLAYER_ID, null);
+            wss.addClient(ROOM_ID, PLAYER_ID, {});
             expect(wss.connectedClients[ROOM_ID]).toBeDefined();
         });
 
@@ -311,27 +456,53 @@ describe('WebsocketServer', () => {
             expect(wss.getClient(ROOM_ID, PLAYER_ID)).toEqual(mockWS);
             expect(wss.getClient(NO_ROOM_KEY, PLAYER_ID)).toBeNull();
         });
+
+        test('keeps other websockets for player', () => {
+            const mockWS1 = {};
+            const mockWS2 = {};
+            const lobbyWS = {};
+            wss.addClient(NO_ROOM_KEY, PLAYER_ID, lobbyWS);
+            wss.addClient(ROOM_ID, PLAYER_ID, mockWS1);
+            wss.addClient(ROOM_ID, PLAYER_ID, mockWS2);
+            wss.addClient(ROOM_ID, PLAYER_ID, mockWS1);
+            expect(wss.getPlayerClients(ROOM_ID, PLAYER_ID)).toEqual([mockWS1, mockWS2]);
+            expect(wss.getPlayerClients(NO_ROOM_KEY, PLAYER_ID)).toEqual([lobbyWS]);
+        });
     });
 
     describe('removeClient', () => {
         test('does nothing if player not present in room cache', () => {
-            const ws = wss.removeClient(ROOM_ID, PLAYER_ID);
-            expect(ws).toBeNull();
+            const removed = wss.removeClient(ROOM_ID, PLAYER_ID);
+            expect(removed).toEqual([]);
         });
 
-        test('removes websocket for player from room cache if present', () => {
-            const mockWS = {};
-            wss.addClient(ROOM_ID, PLAYER_ID, mockWS);
-            expect(wss.getClient(ROOM_ID, PLAYER_ID)).toEqual(mockWS);
-            const ws = wss.removeClient(ROOM_ID, PLAYER_ID);
-            expect(ws).toBe(mockWS);
+        test('removes websockets for player from room cache if present', () => {
+            const mockWS1 = {};
+            const mockWS2 = {};
+            wss.addClient(ROOM_ID, PLAYER_ID, mockWS1);
+            wss.addClient(ROOM_ID, PLAYER_ID, mockWS2);
+            expect(wss.getClient(ROOM_ID, PLAYER_ID)).toEqual(mockWS2);
+            const removed = wss.removeClient(ROOM_ID, PLAYER_ID);
+            expect(removed).toEqual([mockWS1, mockWS2]);
             expect(wss.getClient(ROOM_ID, PLAYER_ID)).toBeNull();
         });
 
+        test('removes only given websocket for player if provided', () => {
+            const mockWS1 = {};
+            const mockWS2 = {};
+            wss.addClient(ROOM_ID, PLAYER_ID, mockWS1);
+            wss.addClient(ROOM_ID, PLAYER_ID, mockWS2);
+            const removed = wss.removeClient(ROOM_ID, PLAYER_ID, mockWS2);
+            expect(removed).toEqual([mockWS2]);
+            expect(wss.getPlayerClients(ROOM_ID, PLAYER_ID)).toEqual([mockWS1]);
+            expect(wss.removeClient(ROOM_ID, PLAYER_ID, mockWS2)).toEqual([]);
+        });
+
         test('removes cache for room if empty', () => {
-            wss.addClient(ROOM_ID, PLAYER_ID, null);
+            const mockWS = {};
+            wss.addClient(ROOM_ID, PLAYER_ID, mockWS);
             expect(wss.connectedClients[ROOM_ID]).toBeDefined();
-            wss.removeClient(ROOM_ID, PLAYER_ID);
+            wss.removeClient(ROOM_ID, PLAYER_ID, mockWS);
             expect(wss.connectedClients[ROOM_ID]).not.toBeDefined();
         });
     });
@@ -340,7 +511,7 @@ describe('WebsocketServer', () => {
         test('returns cache for room if present', () => {
             const mockWS = {};
             wss.addClient(ROOM_ID, PLAYER_ID, mockWS);
-            expect(wss.getClients(ROOM_ID)).toEqual({[PLAYER_ID]: mockWS});
+            expect(wss.getClients(ROOM_ID)).toEqual({[PLAYER_ID]: [mockWS]});
         });
 
         test('returns empty cache if not present', () => {
@@ -348,6 +519,108 @@ describe('WebsocketServer', () => {
         });
     });
 
+    describe('moveClient', () => {
+        test('moves websockets for player between rooms', () => {
+            const mockWS1 = getMockWebsocket();
+            const mockWS2 = getMockWebsocket();
+            wss.addClient(ROOM_ID, PLAYER_ID, mockWS1);
+            wss.addClient(ROOM_ID, PLAYER_ID, mockWS2);
+            expect(wss.moveClient(ROOM_ID, NO_ROOM_KEY, PLAYER_ID)).toEqual([mockWS1, mockWS2]);
+            expect(wss.getClient(ROOM_ID, PLAYER_ID)).toBeNull();
+            expect(wss.getPlayerClients(NO_ROOM_KEY, PLAYER_ID)).toEqual([mockWS1, mockWS2]);
+        });
+
+        test('does nothing if player not present in room cache', () => {
+            expect(wss.moveClient(ROOM_ID, NO_ROOM_KEY, PLAYER_ID)).toEqual([]);
+            expect(wss.getClients(NO_ROOM_KEY)).toEqual({});
+        });
+    });
+
+    describe('hasClient', () => {
+        test('returns true only if websocket is associated with player in room', () => {
+            const mockWS = {};
+            wss.addClient(ROOM_ID, PLAYER_ID, mockWS);
+            expect(wss.hasClient(ROOM_ID, PLAYER_ID, mockWS)).toBeTruthy();
+            expect(wss.hasClient(ROOM_ID, PLAYER_ID, {})).toBeFalsy();
+            expect(wss.hasClient(ROOM_ID, OTHER_PLAYER_ID, mockWS)).toBeFalsy();
+            expect(wss.hasClient(NO_ROOM_KEY, PLAYER_ID, mockWS)).toBeFalsy();
+        });
+    });
+
+    describe('isPlayerConnected', () => {
+        test('returns true if player has websockets on this server instance', () => {
+            expect(wss.isPlayerConnected(PLAYER_ID)).toBeFalsy();
+            wss.addClient(NO_ROOM_KEY, PLAYER_ID, {});
+            expect(wss.isPlayerConnected(PLAYER_ID)).toBeTruthy();
+        });
+
+        test('returns true if player is connected to another server instance', () => {
+            wss.handlePubSubMessage({messageType: 'client_connected', instanceID: 'other', playerID: PLAYER_ID, playerName: PLAYER_NAME});
+            expect(wss.isPlayerConnected(PLAYER_ID)).toBeTruthy();
+            wss.handlePubSubMessage({messageType: 'client_disconnected', instanceID: 'other', playerID: PLAYER_ID});
+            expect(wss.isPlayerConnected(PLAYER_ID)).toBeFalsy();
+        });
+
+        test('returns false once presence on another server instance expires', () => {
+            const now = Date.now();
+            const spy = jest.spyOn(Date, 'now').mockReturnValue(now);
+            wss.handlePubSubMessage({messageType: 'client_connected', instanceID: 'other', playerID: PLAYER_ID, playerName: PLAYER_NAME, ttlMillis: 1000});
+            spy.mockReturnValue(now + 999);
+            expect(wss.isPlayerConnected(PLAYER_ID)).toBeTruthy();
+            spy.mockReturnValue(now + 1000);
+            expect(wss.isPlayerConnected(PLAYER_ID)).toBeFalsy();
+            expect(wss.remoteClientInstanceIDs.has(PLAYER_ID)).toBeFalsy();
+        });
+
+        test('learns about players connected to existing server instances on startup', async () => {
+            const pubsub = new MemoryPubSub();
+            const wss1 = new WebsocketServer(db, {}, pubsub);
+            wss1.addClient(ROOM_ID, PLAYER_ID, getMockWebsocket());
+            wss1.playerNames[PLAYER_ID] = PLAYER_NAME;
+
+            const wss2 = new WebsocketServer(db, {}, pubsub);
+            await sleep(SLEEP_DELAY_MILLIS);  // Wait for subscription to pub/sub channel
+            expect(wss2.isPlayerConnected(PLAYER_ID)).toBeTruthy();
+            expect(wss2.getPlayerName(PLAYER_ID)).toEqual(PLAYER_NAME);
+            expect(wss2.isPlayerConnected(OTHER_PLAYER_ID)).toBeFalsy();
+        });
+    });
+
+    describe('evictClients', () => {
+        test('moves websockets for players out of room and notifies other server instances', () => {
+            const mockWS = getMockWebsocket();
+            const otherWS = getMockWebsocket();
+            wss.addClient(ROOM_ID, PLAYER_ID, mockWS);
+            wss.addClient(ROOM_ID, 'other', otherWS);
+            const spy = jest.spyOn(wss.pubsub, 'publish');
+            wss.evictClients(ROOM_ID, [PLAYER_ID, 'other', 'unknown']);
+            expect(wss.getClients(ROOM_ID)).toEqual({});
+            expect(wss.getClient(NO_ROOM_KEY, PLAYER_ID)).toBe(mockWS);
+            expect(wss.getClient(NO_ROOM_KEY, 'other')).toBe(otherWS);
+            expect(spy).toHaveBeenCalledTimes(3);
+            expect(spy).toHaveBeenCalledWith('websockets', expect.objectContaining({messageType: 'client_moved', fromRoomID: ROOM_ID, playerID: PLAYER_ID, toRoomID: NO_ROOM_KEY}));
+        });
+    });
+
+    describe('handlePubSubMessage', () => {
+        test('ignores messages from the same server instance', () => {
+            const spy = jest.spyOn(wss, 'sendToRoom');
+            wss.handlePubSubMessage({messageType: 'broadcast', instanceID: wss.instanceID, event: {payload: {roomID: ROOM_ID}}});
+            expect(spy).not.toHaveBeenCalled();
+        });
+
+        test('ignores messages with unknown type', () => {
+            expect(() => wss.handlePubSubMessage({messageType: 'unknown', instanceID: 'other'})).not.toThrowError();
+        });
+
+        test('moves websocket for player when moved by other server instance', () => {
+            const mockWS = getMockWebsocket();
+            wss.addClient(ROOM_ID, PLAYER_ID, mockWS);
+            wss.handlePubSubMessage({messageType: 'client_moved', instanceID: 'other', fromRoomID: ROOM_ID, playerID: PLAYER_ID, toRoomID: NO_ROOM_KEY});
+            expect(wss.getClient(NO_ROOM_KEY, PLAYER_ID)).toBe(mockWS);
+        });
+    });
+
     describe('getClient', () => {
         test('returns websocket for player if present in room cache', () => {
             const mockWS = {};
@@ -360,6 +633,18 @@ describe('WebsocketServer', () => {
         });
     });
 
+    describe('getSessionPlayerID', () => {
+        test('returns player ID if session associated with websocket', () => {
+            const mockWS = {};
+            wss.sessionPlayerIDs.set(mockWS, PLAYER_ID);
+            expect(wss.getSessionPlayerID(mockWS)).toEqual(PLAYER_ID);
+        });
+
+        test('returns null if no session associated with websocket', () => {
+            expect(wss.getSessionPlayerID({})).toBeNull();
+        });
+    });
+
     describe('getPlayerName', () => {
         test('returns player name if present in cache', () => {
             wss.playerNames[PLAYER_ID] = PLAYER_NAME;
@@ -387,7 +672,39 @@ describe('WebsocketServer', () => {
 
             wss.broadcast(event);
             expect(mockWS.send).toHaveBeenCalledTimes(2);
-            expectWebsocketEvent(mockWS, event);
+            expectWebsocketEvent(mockWS, {...event, sequence: 1, eventLogID: wss.eventLog.logID});
+        });
+
+        test('records event in event log for room', () => {
+            wss.broadcast(event);
+            wss.broadcast(event);
+            expect(wss.eventLog.getLatestSequence(ROOM_ID)).toEqual(2);
+            expect(wss.eventLog.getEventsSince(ROOM_ID, 1)).toEqual([JSON.stringify({...event, sequence: 2, eventLogID: wss.eventLog.logID})]);
+        });
+
+        test('sends event to clients connected to other server instances', () => {
+            const pubsub = new MemoryPubSub();
+            const wss1 = new WebsocketServer(db, {}, pubsub);
+            const wss2 = new WebsocketServer(db, {}, pubsub);
+            const mockWS1 = getMockWebsocket();
+            const mockWS2 = getMockWebsocket();
+            wss1.addClient(ROOM_ID, PLAYER_ID, mockWS1);
+            wss2.addClient(ROOM_ID, OTHER_PLAYER_ID, mockWS2);
+
+            wss1.broadcast(event, PLAYER_ID);
+            expect(mockWS1.send).not.toHaveBeenCalled();
+            expectWebsocketEvent(mockWS2, {...event, sequence: 1, eventLogID: wss2.eventLog.logID});
+        });
+
+        test('sends event to all websockets for each player', () => {
+            const mockWS1 = getMockWebsocket();
+            const mockWS2 = getMockWebsocket();
+            wss.addClient(ROOM_ID, PLAYER_ID, mockWS1);
+            wss.addClient(ROOM_ID, PLAYER_ID, mockWS2);
+
+            wss.broadcast(event);
+            expect(mockWS1.send).toHaveBeenCalledTimes(1);
+            expect(mockWS2.send).toHaveBeenCalledTimes(1);
         });
 
         test('skips sending event to originating player if provided', () => {
@@ -432,7 +749,32 @@ describe('WebsocketServer', () => {
             expect(handlers.close).toBeDefined();
         });
 
+        test('associates session with websocket if valid token provided in request', () => {
+            const ws = getMockWebsocket();
+            ws.on = jest.fn();
+            wss.handleWebsocket(ws, {query: {token: wss.sessions.createToken(PLAYER_ID)}});
+            expect(wss.getSessionPlayerID(ws)).toEqual(PLAYER_ID);
+        });
+
+        test('negotiates locale of websocket from Accept-Language header of request', () => {
+            const ws = getMockWebsocket();
+            ws.on = jest.fn();
+            wss.handleWebsocket(ws, {headers: {'accept-language': 'es-MX,es;q=0.9,en;q=0.8'}});
+            expect(wss.getClientLocale(ws)).toEqual('es');
+        });
+
+        test('does not associate session with websocket if token invalid', () => {
+            const ws = getMockWebsocket();
+            ws.on = jest.fn();
+            wss.handleWebsocket(ws, {query: {token: 'invalid'}});
+            expect(wss.getSessionPlayerID(ws)).toBeNull();
+        });
+
         describe('message handler', () => {
+            beforeEach(() => {
+                wss.sessionPlayerIDs.set(mockWS, PLAYER_ID);
+            });
+
             test('does nothing if message cannot be parsed', async () => {
                 await expect(async () => await handlers.message({})).resolves;
                 expect(mockWS.send).not.toHaveBeenCalled();
@@ -451,7 +793,46 @@ describe('WebsocketServer', () => {
                 wss.eventHandlers[eventType] = mockHandler;
 
                 await handlers.message(JSON.stringify(event));
-                expect(mockHandler).toHaveBeenCalledWith(mockWS, event);
+                expect(mockHandler).toHaveBeenCalledWith(mockWS, new WebsocketEvent(eventType, {playerID: PLAYER_ID}));
+            });
+
+            test('sends error event to client and does not invoke handler if event not authenticated', async () => {
+                const eventType = EventTypes.ERROR;
+                const event = new WebsocketEvent(eventType);
+                const mockHandler = jest.fn();
+                wss.eventHandlers[eventType] = mockHandler;
+                wss.sessionPlayerIDs.delete(mockWS);
+
+                await handlers.message(JSON.stringify(event));
+                expect(mockHandler).not.toHaveBeenCalled();
+                expectWebsocketErrorEvent(mockWS, new WebsocketEvent(eventType, {}), 'missing session', StatusCodes.UNAUTHORIZED);
+            });
+
+            test('sends error event to client and does not invoke handler if event exceeds rate limit', async () => {
+                const eventType = EventTypes.JOIN_ROOM_WITH_CODE;
+                const event = new WebsocketEvent(eventType, {playerID: PLAYER_ID});
+                const mockHandler = jest.fn();
+                wss.eventHandlers[eventType] = mockHandler;
+                wss.rateLimiter.eventLimits[eventType] = {limit: 1, windowSeconds: 60};
+
+                await handlers.message(JSON.stringify(event));
+                expect(mockHandler).toHaveBeenCalledTimes(1);
+                await handlers.message(JSON.stringify(event));
+                expect(mockHandler).toHaveBeenCalledTimes(1);
+                expectWebsocketErrorEvent(mockWS, event, 'too many requests', 429);
+            });
+
+            test('sends error event to client and does not invoke handler if rate limit check throws error', async () => {
+                const eventType = EventTypes.ERROR;
+                const event = new WebsocketEvent(eventType);
+                const errorMessage = 'test error';
+                const mockHandler = jest.fn();
+                wss.eventHandlers[eventType] = mockHandler;
+                jest.spyOn(wss.rateLimiter, 'checkEvent').mockRejectedValue(new Error(errorMessage));
+
+                await handlers.message(JSON.stringify(event));
+                expect(mockHandler).not.toHaveBeenCalled();
+                expectWebsocketErrorEvent(mockWS, event, errorMessage, StatusCodes.INTERNAL_SERVER_ERROR);
             });
 
             test('sends error event to client if handler throws error and websocket in OPEN state', async () => {
@@ -494,6 +875,12 @@ describe('WebsocketServer', () => {
             test('logs pong data', () => {
                 expect(() => handlers.pong('Test pong')).not.toThrowError();
             });
+
+            test('resets missed pongs for websocket', () => {
+                wss.missedPongs.set(mockWS, 1);
+                handlers.pong('alea-ping');
+                expect(wss.missedPongs.has(mockWS)).toBeFalsy();
+            });
         });
 
         describe('close handler', () => {
@@ -501,12 +888,36 @@ describe('WebsocketServer', () => {
             const reason = 'Websocket closed by client';
 
             test('removes ping handler for websocket if present', () => {
-                const pingHandler = {};
-                wss.pingHandlers[mockWS] = pingHandler;
-                expect(wss.pingHandlers[mockWS]).toEqual(pingHandler);
+                const pingHandler = setInterval(() => {}, 1000);
+                wss.pingHandlers.set(mockWS, pingHandler);
+                expect(wss.pingHandlers.get(mockWS)).toEqual(pingHandler);
+
+                handlers.close(code, reason);
+                expect(wss.pingHandlers.has(mockWS)).toBeFalsy();
+            });
+
+            test('marks player inactive when websocket is terminated after missed pongs', async () => {
+                const player = new Player(PLAYER_NAME);
+                player.currentRoomID = ROOM_ID;
+                await db.players.create(player);
+                wss.addClient(ROOM_ID, player.playerID, mockWS);
+                mockWS.terminate = jest.fn(() => handlers.close(1006, ''));
+                wss.missedPongs.set(mockWS, wss.maxMissedPongs);
 
+                wss.checkHeartbeat(mockWS, player.playerID);
+                await sleep(SLEEP_DELAY_MILLIS);  // Wait for asynchronous updates
+                expect(mockWS.terminate).toHaveBeenCalled();
+                expect(wss.missedPongs.has(mockWS)).toBeFalsy();
+                expect(wss.getClient(ROOM_ID, player.playerID)).toBeNull();
+
+                const newPlayer = await db.players.getByID(player.playerID);
+                expect(newPlayer.active).toBeFalsy();
+            });
+
+            test('removes session for websocket if present', () => {
+                wss.sessionPlayerIDs.set(mockWS, PLAYER_ID);
                 handlers.close(code, reason);
-                expect(wss.pingHandlers[mockWS]).not.toBeDefined();
+                expect(wss.getSessionPlayerID(mockWS)).toBeNull();
             });
 
             test('updates player in DB and broadcasts event to all players in room', async () => {
@@ -530,6 +941,41 @@ describe('WebsocketServer', () => {
                 expect(spy).toHaveBeenCalledWith(expectedEvent);
             });
 
+            test('does not mark player inactive while other websockets for player are open', async () => {
+                const player = new Player(PLAYER_NAME);
+                player.currentRoomID = ROOM_ID;
+                await db.players.create(player);
+                const otherWS = getMockWebsocket();
+                wss.addClient(ROOM_ID, player.playerID, mockWS);
+                wss.addClient(ROOM_ID, player.playerID, otherWS);
+
+                const spy = jest.spyOn(wss, 'broadcast');
+                handlers.close(code, reason);
+                await sleep(SLEEP_DELAY_MILLIS);  // Wait for asynchronous updates
+                expect(wss.getPlayerClients(ROOM_ID, player.playerID)).toEqual([otherWS]);
+
+                const newPlayer = await db.players.getByID(player.playerID);
+                expect(newPlayer.active).toBeTruthy();
+                expect(newPlayer.currentRoomID).toEqual(ROOM_ID);
+                expect(spy).not.toHaveBeenCalled();
+            });
+
+            test('does not mark player inactive while player is connected to other server instances', async () => {
+                const player = new Player(PLAYER_NAME);
+                player.currentRoomID = ROOM_ID;
+                await db.players.create(player);
+                wss.addClient(ROOM_ID, player.playerID, mockWS);
+                wss.handleRemoteClientConnected({instanceID: 'other', playerID: player.playerID, playerName: player.name});
+
+                const spy = jest.spyOn(wss.pubsub, 'publish');
+                handlers.close(code, reason);
+                await sleep(SLEEP_DELAY_MILLIS);  // Wait for asynchronous updates
+                expect(spy).toHaveBeenCalledWith('websockets', expect.objectContaining({messageType: 'client_disconnected', playerID: player.playerID}));
+
+                const newPlayer = await db.players.getByID(player.playerID);
+                expect(newPlayer.active).toBeTruthy();
+            });
+
             test('reassigns room host if player was host', async () => {
                 const player = new Player(PLAYER_NAME);
                 await db.players.create(player);
@@ -547,19 +993,155 @@ describe('WebsocketServer', () => {
         });
     });
 
+    describe('startHeartbeat', () => {
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('periodically checks heartbeat for websocket', () => {
+            jest.useFakeTimers();
+            const mockWS = getMockWebsocket();
+            const spy = jest.spyOn(wss, 'checkHeartbeat');
+            wss.startHeartbeat(mockWS, PLAYER_ID);
+            jest.advanceTimersByTime(wss.pingIntervalMillis * 2);
+            expect(spy).toHaveBeenCalledTimes(2);
+            expect(spy).toHaveBeenCalledWith(mockWS, PLAYER_ID);
+            clearInterval(wss.pingHandlers.get(mockWS));
+        });
+
+        test('replaces previous heartbeat for websocket', () => {
+            jest.useFakeTimers();
+            const mockWS = getMockWebsocket();
+            const spy = jest.spyOn(wss, 'checkHeartbeat');
+            wss.startHeartbeat(mockWS, PLAYER_ID);
+            wss.missedPongs.set(mockWS, 1);
+            wss.startHeartbeat(mockWS, PLAYER_ID);
+            expect(wss.missedPongs.has(mockWS)).toBeFalsy();
+            jest.advanceTimersByTime(wss.pingIntervalMillis);
+            expect(spy).toHaveBeenCalledTimes(1);
+            clearInterval(wss.pingHandlers.get(mockWS));
+        });
+    });
+
+    describe('checkHeartbeat', () => {
+        test('pings websocket and counts missed pong', () => {
+            const mockWS = getMockWebsocket();
+            wss.checkHeartbeat(mockWS, PLAYER_ID);
+            expect(mockWS.ping).toHaveBeenCalledWith('alea-ping');
+            expect(wss.missedPongs.get(mockWS)).toEqual(1);
+            wss.checkHeartbeat(mockWS, PLAYER_ID);
+            expect(wss.missedPongs.get(mockWS)).toEqual(2);
+        });
+
+        test('refreshes presence of player on other server instances', () => {
+            const mockWS = getMockWebsocket();
+            const spy = jest.spyOn(wss.pubsub, 'publish');
+            wss.checkHeartbeat(mockWS, PLAYER_ID);
+            expect(spy).toHaveBeenCalledWith('websockets', expect.objectContaining({
+                messageType: 'client_connected',
+                playerID: PLAYER_ID,
+                ttlMillis: wss.remotePresenceTTLMillis,
+            }));
+        });
+
+        test('does not ping websocket if not in OPEN state', () => {
+            const mockWS = getMockWebsocket(false);
+            wss.checkHeartbeat(mockWS, PLAYER_ID);
+            expect(mockWS.ping).not.toHaveBeenCalled();
+            expect(wss.missedPongs.has(mockWS)).toBeFalsy();
+        });
+
+        test('terminates websocket after maximum number of missed pongs', () => {
+            const mockWS = {...getMockWebsocket(), terminate: jest.fn()};
+            for (let i = 0; i < wss.maxMissedPongs; i++) {
+                wss.checkHeartbeat(mockWS, PLAYER_ID);
+            }
+            expect(mockWS.terminate).not.toHaveBeenCalled();
+            wss.checkHeartbeat(mockWS, PLAYER_ID);
+            expect(mockWS.terminate).toHaveBeenCalled();
+            expect(mockWS.ping).toHaveBeenCalledTimes(wss.maxMissedPongs);
+        });
+
+        test('never terminates websocket if maximum number of missed pongs is zero', () => {
+            const wss = new WebsocketServer(db, {websocket: {maxMissedPongs: 0}});
+            const mockWS = {...getMockWebsocket(), terminate: jest.fn()};
+            wss.missedPongs.set(mockWS, 10);
+            wss.checkHeartbeat(mockWS, PLAYER_ID);
+            expect(mockWS.terminate).not.toHaveBeenCalled();
+            expect(mockWS.ping).toHaveBeenCalled();
+        });
+    });
+
+    describe('authenticateEvent', () => {
+        test('sends error response if no session associated with websocket', () => {
+            const mockWS = getMockWebsocket();
+            const event = new WebsocketEvent(EventTypes.JOIN_ROOM, {playerID: PLAYER_ID, roomID: ROOM_ID});
+            expect(wss.authenticateEvent(mockWS, event)).toBeFalsy();
+            expectWebsocketErrorEvent(mockWS, event, 'missing session', StatusCodes.UNAUTHORIZED);
+        });
+
+        test('sends error response if session token in CLIENT_CONNECT event is invalid', () => {
+            const mockWS = getMockWebsocket();
+            const event = new WebsocketEvent(EventTypes.CLIENT_CONNECT, {playerID: PLAYER_ID, sessionToken: 'invalid'});
+            expect(wss.authenticateEvent(mockWS, event)).toBeFalsy();
+            expectWebsocketErrorEvent(mockWS, event, 'invalid session token', StatusCodes.UNAUTHORIZED);
+            expect(wss.getSessionPlayerID(mockWS)).toBeNull();
+        });
+
+        test('associates session with websocket if session token in CLIENT_CONNECT event is valid', () => {
+            const mockWS = getMockWebsocket();
+            const event = new WebsocketEvent(EventTypes.CLIENT_CONNECT, {sessionToken: wss.sessions.createToken(PLAYER_ID)});
+            expect(wss.authenticateEvent(mockWS, event)).toBeTruthy();
+            expect(wss.getSessionPlayerID(mockWS)).toEqual(PLAYER_ID);
+            expect(event.payload).toEqual({playerID: PLAYER_ID});
+        });
+
+        test('sends error response if player ID does not match session', () => {
+            const mockWS = getMockWebsocket();
+            wss.sessionPlayerIDs.set(mockWS, PLAYER_ID);
+            const event = new WebsocketEvent(EventTypes.ABANDON_GAME, {context: new EventContext(ROOM_ID, GAME_ID, OTHER_PLAYER_ID)});
+            expect(wss.authenticateEvent(mockWS, event)).toBeFalsy();
+            expectWebsocketErrorEvent(mockWS, event, 'player does not match session', StatusCodes.FORBIDDEN);
+        });
+
+        test('sets player ID in context from session', () => {
+            const mockWS = getMockWebsocket();
+            wss.sessionPlayerIDs.set(mockWS, PLAYER_ID);
+            const event = new WebsocketEvent(EventTypes.ABANDON_GAME, {context: new EventContext(ROOM_ID, GAME_ID)});
+            expect(wss.authenticateEvent(mockWS, event)).toBeTruthy();
+            expect(event.payload.context.playerID).toEqual(PLAYER_ID);
+        });
+
+        test('does not modify target player ID for events targeting another player', () => {
+            const mockWS = getMockWebsocket();
+            wss.sessionPlayerIDs.set(mockWS, PLAYER_ID);
+            const event = new WebsocketEvent(EventTypes.KICK_PLAYER, {playerID: OTHER_PLAYER_ID, roomID: ROOM_ID});
+            expect(wss.authenticateEvent(mockWS, event)).toBeTruthy();
+            expect(event.payload.playerID).toEqual(OTHER_PLAYER_ID);
+            expect(mockWS.send).not.toHaveBeenCalled();
+        });
+    });
+
     describe('handleError', () => {
         test('sends error event to websocket if in OPEN state', () => {
             const mockWS = getMockWebsocket();
             const event = new WebsocketEvent(EventTypes.GAME_SETTINGS_CHANGED);
-            const message = 'test error';
-            const status = StatusCodes.INTERNAL_SERVER_ERROR;
-            wss.handleError(mockWS, event, message, status);
-            expectWebsocketErrorEvent(mockWS, event, message, status);
+            const status = StatusCodes.NOT_FOUND;
+            wss.handleError(mockWS, event, ErrorCodes.ROOM_NOT_FOUND, status);
+            expectWebsocketErrorEvent(mockWS, event, 'room not found', status, ErrorCodes.ROOM_NOT_FOUND);
+        });
+
+        test('localizes error message using locale of websocket', () => {
+            const mockWS = getMockWebsocket();
+            const event = new WebsocketEvent(EventTypes.GAME_SETTINGS_CHANGED);
+            wss.clientLocales.set(mockWS, 'es');
+            wss.handleError(mockWS, event, ErrorCodes.ROOM_NOT_FOUND, StatusCodes.NOT_FOUND);
+            expectWebsocketErrorEvent(mockWS, event, 'no se encontró la sala', StatusCodes.NOT_FOUND, ErrorCodes.ROOM_NOT_FOUND);
         });
 
         test('does nothing if websocket not in OPEN state', () => {
             const mockWS = getMockWebsocket(false);
-            wss.handleError(mockWS, new WebsocketEvent(), 'test error', StatusCodes.INTERNAL_SERVER_ERROR);
+            wss.handleError(mockWS, new WebsocketEvent(), ErrorCodes.ROOM_NOT_FOUND, StatusCodes.NOT_FOUND);
             expect(mockWS.send).not.toHaveBeenCalled();
         });
     });
@@ -619,6 +1201,17 @@ describe('WebsocketServer', () => {
             expectWebsocketErrorEvent(mockWS, event, 'player not found', StatusCodes.NOT_FOUND);
         });
 
+        test('sends error response if player was deleted', async () => {
+            const player = new Player(PLAYER_NAME);
+            await db.players.create(player);
+            await db.players.anonymizeByID(player.playerID, 'Deleted Player');
+
+            const mockWS = getMockWebsocket();
+            const returnedPlayer = await wss.validatePlayerByID(mockWS, event, player.playerID);
+            expect(returnedPlayer).toBeNull();
+            expectWebsocketErrorEvent(mockWS, event, 'player not found', StatusCodes.NOT_FOUND);
+        });
+
         test('returns player if found', async () => {
             const player = new Player(PLAYER_NAME);
             await db.players.create(player);
@@ -661,6 +1254,17 @@ describe('WebsocketServer', () => {
             expect(returnedRoom).toEqual(room);
             expect(mockWS.send).not.toHaveBeenCalled();
         });
+
+        test('sends error response if room is closed', async () => {
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            room.closed = true;
+            await db.rooms.create(room);
+
+            const mockWS = getMockWebsocket();
+            const returnedRoom = await wss.validateRoomByCode(mockWS, event, room.roomCode);
+            expect(returnedRoom).toBeNull();
+            expectWebsocketErrorEvent(mockWS, event, 'room is closed', StatusCodes.CONFLICT);
+        });
     });
 
     describe('validateRoomByID', () => {
@@ -694,6 +1298,17 @@ describe('WebsocketServer', () => {
             expect(returnedRoom).toEqual(room);
             expect(mockWS.send).not.toHaveBeenCalled();
         });
+
+        test('sends error response if room is closed', async () => {
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            room.closed = true;
+            await db.rooms.create(room);
+
+            const mockWS = getMockWebsocket();
+            const returnedRoom = await wss.validateRoomByID(mockWS, event, room.roomID);
+            expect(returnedRoom).toBeNull();
+            expectWebsocketErrorEvent(mockWS, event, 'room is closed', StatusCodes.CONFLICT);
+        });
     });
 
     describe('validatePlayerAndRoomByID', () => {
@@ -916,20 +1531,43 @@ describe('WebsocketServer', () => {
             await expectRoomNotFoundEvent(wss, eventType, {playerID: player.playerID, roomID: ROOM_ID});
         });
 
-        test('sends error response if player currently kicked from room', async () => {
+        test('sends error response if room is closed', async () => {
             const player = new Player(PLAYER_NAME);
             const room = new Room(ROOM_CODE, PLAYER_ID);
-            room.kickedPlayerIDs[player.playerID] = tomorrow();  // Kicked for 1 day
+            room.closed = true;
             await db.players.create(player);
             await db.rooms.create(room);
 
             const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
             const mockWS = getMockWebsocket();
             await wss.handleClientConnect(mockWS, event);
-            expectWebsocketErrorEvent(mockWS, event, 'player was kicked from room', StatusCodes.CONFLICT);
+            expectWebsocketErrorEvent(mockWS, event, 'room is closed', StatusCodes.CONFLICT);
         });
 
-        test('removes player from kicked players in room if expiration is in the past', async () => {
+        test('sends error response if player currently kicked from room', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            room.kickedPlayerIDs[player.playerID] = tomorrow();  // Kicked for 1 day
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const mockWS = getMockWebsocket();
+            await wss.handleClientConnect(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'player was kicked from room', StatusCodes.CONFLICT);
+        });
+
+        test("uses player's locale for websocket", async () => {
+            const player = new Player(PLAYER_NAME);
+            player.locale = 'es';
+            await db.players.create(player);
+
+            const mockWS = getMockWebsocket();
+            await wss.handleClientConnect(mockWS, new WebsocketEvent(eventType, {playerID: player.playerID}));
+            expect(wss.getClientLocale(mockWS)).toEqual('es');
+        });
+
+        test('removes player from kicked players in room if expiration is in the past', async () => {
             const player = new Player(PLAYER_NAME);
             const room = new Room(ROOM_CODE, PLAYER_ID);
             room.kickedPlayerIDs[player.playerID] = yesterday();  // Kick expired 1 day ago
@@ -944,6 +1582,22 @@ describe('WebsocketServer', () => {
             expect(newRoom.kickedPlayerIDs[player.playerID]).not.toBeDefined();
         });
 
+        test('restores archived room', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            await db.players.create(player);
+            await db.rooms.create(room);
+            await db.rooms.archiveByID(room.roomID, new Date());
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const mockWS = getMockWebsocket();
+            await wss.handleClientConnect(mockWS, event);
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.archived).toBeFalsy();
+            expect(newRoom.unarchivedTime).toBeTruthy();
+        });
+
         test('removes player from previous room if present', async () => {
             const player = new Player(PLAYER_NAME);
             const otherRoom = new Room('ROOM', player.playerID);
@@ -976,7 +1630,7 @@ describe('WebsocketServer', () => {
             await wss.handleClientConnect(mockWS, event);
             expect(wss.getClient(room.roomID, player.playerID)).toBe(mockWS);
             expect(wss.playerNames[player.playerID]).toEqual(player.name);
-            expect(wss.pingHandlers[mockWS]).toBeDefined();
+            expect(wss.pingHandlers.get(mockWS)).toBeDefined();
 
             const newPlayer = await db.players.getByID(player.playerID);
             expect(newPlayer.active).toBeTruthy();
@@ -989,6 +1643,106 @@ describe('WebsocketServer', () => {
             expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.PLAYER_WENT_ACTIVE, {roomID: room.roomID, playerID: player.playerID, players: {[player.playerID]: player}}));
         });
 
+        test('success - replays missed events to reconnecting client', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, player.playerID);
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const missedEvent = new WebsocketEvent(EventTypes.GAME_SETTINGS_CHANGED, {roomID: room.roomID});
+            [1, 2, 3].forEach(_ => wss.broadcast(missedEvent));
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, lastSequence: 1});
+            const mockWS = getMockWebsocket();
+            await wss.handleClientConnect(mockWS, event);
+            expect(mockWS.send).toHaveBeenCalledTimes(3);
+            const eventLogID = wss.eventLog.logID;
+            expect(mockWS.send).toHaveBeenNthCalledWith(1, JSON.stringify({...missedEvent, sequence: 2, eventLogID}));
+            expect(mockWS.send).toHaveBeenNthCalledWith(2, JSON.stringify({...missedEvent, sequence: 3, eventLogID}));
+            expect(JSON.parse(mockWS.send.mock.calls[2][0]).eventType).toEqual(EventTypes.PLAYER_WENT_ACTIVE);
+        });
+
+        test('success - sends snapshot to reconnecting client if missed events are not available', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, player.playerID);
+            const game = new Game(room.roomID, [player.playerID]);
+            room.currentGameID = game.gameID;
+            const message = new ChatMessage(room.roomID, player.playerID, 'Hello');
+            await db.games.create(game);
+            await db.players.create(player);
+            await db.rooms.create(room);
+            await db.chatMessages.create(message);
+
+            wss.eventLog.maxEventsPerRoom = 1;
+            [1, 2, 3].forEach(_ => wss.broadcast(new WebsocketEvent(EventTypes.GAME_SETTINGS_CHANGED, {roomID: room.roomID})));
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, lastSequence: 1});
+            const mockWS = getMockWebsocket();
+            await wss.handleClientConnect(mockWS, event);
+            expect(mockWS.send).toHaveBeenCalledTimes(2);
+
+            const newPlayer = await db.players.getByID(player.playerID);
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expectWebsocketEvent(mockWS, new WebsocketEvent(ServerEventTypes.ROOM_SNAPSHOT, {
+                roomID: room.roomID,
+                sequence: 3,
+                eventLogID: wss.eventLog.logID,
+                room: newRoom,
+                game: game,
+                players: {[player.playerID]: newPlayer},
+                chatMessages: [message],
+            }));
+        });
+
+        test('success - sends snapshot to client reconnecting from another event log', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, player.playerID);
+            await db.players.create(player);
+            await db.rooms.create(room);
+            wss.broadcast(new WebsocketEvent(EventTypes.GAME_SETTINGS_CHANGED, {roomID: room.roomID}));
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, lastSequence: 0, eventLogID: 'other-log'});
+            const mockWS = getMockWebsocket();
+            await wss.handleClientConnect(mockWS, event);
+            expect(mockWS.send).toHaveBeenCalledTimes(2);
+            expect(JSON.parse(mockWS.send.mock.calls[0][0]).eventType).toEqual(ServerEventTypes.ROOM_SNAPSHOT);
+        });
+
+        test('success - keeps websocket for player on other server instances', async () => {
+            const player = new Player(PLAYER_NAME);
+            await db.players.create(player);
+
+            const otherWSS = new WebsocketServer(db, {}, wss.pubsub);
+            const otherWS = getMockWebsocket();
+            otherWSS.addClient(ROOM_ID, player.playerID, otherWS);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID});
+            const mockWS = getMockWebsocket();
+            await wss.handleClientConnect(mockWS, event);
+            expect(wss.getClient(NO_ROOM_KEY, player.playerID)).toBe(mockWS);
+            expect(otherWSS.getClient(ROOM_ID, player.playerID)).toBe(otherWS);
+            expect(otherWSS.getPlayerName(player.playerID)).toEqual(player.name);
+            expect(otherWSS.isPlayerConnected(player.playerID)).toBeTruthy();
+        });
+
+        test('success - keeps other websockets for player', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, player.playerID);
+            player.currentRoomID = room.roomID;
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const mockWS1 = getMockWebsocket();
+            const mockWS2 = getMockWebsocket();
+            await wss.handleClientConnect(mockWS1, event);
+            await wss.handleClientConnect(mockWS2, event);
+            expect(wss.getPlayerClients(room.roomID, player.playerID)).toEqual([mockWS1, mockWS2]);
+            expect(wss.pingHandlers.get(mockWS1)).toBeDefined();
+            expect(wss.pingHandlers.get(mockWS2)).toBeDefined();
+            expect(wss.pingHandlers.get(mockWS1)).not.toBe(wss.pingHandlers.get(mockWS2));
+        });
+
         test('success - without room', async () => {
             const player = new Player(PLAYER_NAME);
             player.active = false;
@@ -1001,7 +1755,7 @@ describe('WebsocketServer', () => {
             await wss.handleClientConnect(mockWS, event);
             expect(wss.getClient(NO_ROOM_KEY, player.playerID)).toBe(mockWS);
             expect(wss.playerNames[player.playerID]).toEqual(player.name);
-            expect(wss.pingHandlers[mockWS]).toBeDefined();
+            expect(wss.pingHandlers.get(mockWS)).toBeDefined();
 
             const newPlayer = await db.players.getByID(player.playerID);
             expect(newPlayer.active).toBeTruthy();
@@ -1012,313 +1766,474 @@ describe('WebsocketServer', () => {
         });
     });
 
-    describe('handleGameCreationFailed', () => {
-        const eventType = EventTypes.GAME_CREATION_FAILED;
+    describe('handleSendChatMessage', () => {
+        const eventType = ServerEventTypes.SEND_CHAT_MESSAGE;
 
-        test('broadcasts event to all players in room', async () => {
-            const spy = jest.spyOn(wss, 'broadcast');
-            const event = new WebsocketEvent(eventType, {roomID: ROOM_ID, error: 'failed to create game'});
-            await wss.handleGameCreationFailed(getMockWebsocket(), event);
-            expect(spy).toHaveBeenCalledWith(event);
+        test('sends error response if room ID missing', async () => {
+            const player = new Player(PLAYER_NAME);
+            await db.players.create(player);
+            await expectMissingRoomIDEvent(wss, eventType, {playerID: player.playerID, text: 'Hello'});
         });
-    });
-
-    describe('handleGameSettingsChanged', () => {
-        const eventType = EventTypes.GAME_SETTINGS_CHANGED;
 
-        test('broadcasts event to all players in room', async () => {
-            const spy = jest.spyOn(wss, 'broadcast');
-            const event = new WebsocketEvent(eventType, {roomID: ROOM_ID, mode: 'random'});
-            await wss.handleGameSettingsChanged(getMockWebsocket(), event);
-            expect(spy).toHaveBeenCalledWith(event);
+        test('sends error response if player not in room', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            await db.players.create(player);
+            await db.rooms.create(room);
+            await expectPlayerNotInRoomEvent(wss, eventType, {playerID: player.playerID, roomID: room.roomID, text: 'Hello'});
         });
-    });
-
-    describe('handleReassignRoomHost', () => {
-        const eventType = EventTypes.REASSIGN_ROOM_HOST;
 
-        test('sends error response if new host player ID missing', async () => {
-            await expectMissingPlayerIDEvent(wss, eventType);
-        });
+        test('sends error response if player kicked from room', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            player.currentRoomID = room.roomID;
+            room.playerIDs.push(player.playerID);
+            room.kickedPlayerIDs[player.playerID] = tomorrow();
+            await db.players.create(player);
+            await db.rooms.create(room);
 
-        test('sends error response if player not found', async () => {
-            await expectPlayerNotFoundEvent(wss, eventType, {newHostPlayerID: PLAYER_ID});
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, text: 'Hello'});
+            const mockWS = getMockWebsocket();
+            await wss.handleSendChatMessage(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'player was kicked from room', StatusCodes.FORBIDDEN, ErrorCodes.PLAYER_KICKED_FROM_ROOM);
+            expect(await db.chatMessages.count()).toEqual(0);
         });
 
-        test('sends error response if room ID missing', async () => {
+        test('sends error response if player muted in room', async () => {
             const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            player.currentRoomID = room.roomID;
+            room.playerIDs.push(player.playerID);
+            room.mutedPlayerIDs = {[player.playerID]: null};
             await db.players.create(player);
-            await expectMissingRoomIDEvent(wss, eventType, {newHostPlayerID: player.playerID});
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, text: 'Hello'});
+            const mockWS = getMockWebsocket();
+            await wss.handleSendChatMessage(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'player is muted in room', StatusCodes.FORBIDDEN, ErrorCodes.PLAYER_MUTED_IN_ROOM);
+            expect(await db.chatMessages.count()).toEqual(0);
         });
 
-        test('sends error response if room not found', async () => {
+        test('sends error response if text missing', async () => {
             const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, player.playerID);
+            player.currentRoomID = room.roomID;
             await db.players.create(player);
-            await expectRoomNotFoundEvent(wss, eventType, {newHostPlayerID: player.playerID, roomID: ROOM_ID});
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, text: '   '});
+            const mockWS = getMockWebsocket();
+            await wss.handleSendChatMessage(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'missing chat message text', StatusCodes.BAD_REQUEST, ErrorCodes.MISSING_CHAT_MESSAGE_TEXT);
         });
 
-        test('sends error response if player not in room', async () => {
+        test('sends error response if text too long', async () => {
             const player = new Player(PLAYER_NAME);
-            const room = new Room(ROOM_CODE, PLAYER_ID);
+            const room = new Room(ROOM_CODE, player.playerID);
+            player.currentRoomID = room.roomID;
             await db.players.create(player);
             await db.rooms.create(room);
-            await expectPlayerNotInRoomEvent(wss, eventType, {newHostPlayerID: player.playerID, roomID: room.roomID});
+            wss.maxChatMessageLength = 5;
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, text: 'Hello!'});
+            const mockWS = getMockWebsocket();
+            await wss.handleSendChatMessage(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'chat message is too long (maximum 5 characters)', StatusCodes.BAD_REQUEST, ErrorCodes.CHAT_MESSAGE_TOO_LONG);
+            expect(await db.chatMessages.count()).toEqual(0);
         });
 
-        test('success - reassigns room host', async () => {
+        test('success - message saved and broadcast to room', async () => {
             const player = new Player(PLAYER_NAME);
             const room = new Room(ROOM_CODE, player.playerID);
             player.currentRoomID = room.roomID;
-            room.hostPlayerID = PLAYER_ID;
             await db.players.create(player);
             await db.rooms.create(room);
 
             const spy = jest.spyOn(wss, 'broadcast');
-            const event = new WebsocketEvent(eventType, {newHostPlayerID: player.playerID, roomID: room.roomID});
-            await wss.handleReassignRoomHost(getMockWebsocket(), event);
-
-            const newRoom = await db.rooms.getByID(room.roomID);
-            expect(newRoom.hostPlayerID).toEqual(player.playerID);
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, text: '  Hello!  '});
+            const mockWS = getMockWebsocket();
+            await wss.handleSendChatMessage(mockWS, event);
+            expect(mockWS.send).not.toHaveBeenCalled();
 
-            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.ROOM_HOST_REASSIGNED, event.payload));
+            const messages = await db.chatMessages.getHistoryByRoomID(room.roomID, 10);
+            expect(messages).toHaveLength(1);
+            expect(messages[0].playerID).toEqual(player.playerID);
+            expect(messages[0].text).toEqual('Hello!');
+            expect(messages[0].editedTime).toBeNull();
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.CHAT_MESSAGE_SENT, {roomID: room.roomID, message: messages[0]}));
         });
 
-        test('success - player is already host', async () => {
+        test('success - keeps bounded history', async () => {
             const player = new Player(PLAYER_NAME);
             const room = new Room(ROOM_CODE, player.playerID);
             player.currentRoomID = room.roomID;
+            const oldMessage = new ChatMessage(room.roomID, player.playerID, 'First');
+            oldMessage.createdTime = new Date(Date.now() - 1000);
             await db.players.create(player);
             await db.rooms.create(room);
+            await db.chatMessages.create(oldMessage);
+            wss.chatHistorySize = 1;
 
-            const spy = jest.spyOn(wss, 'broadcast');
-            const event = new WebsocketEvent(eventType, {newHostPlayerID: player.playerID, roomID: room.roomID});
-            await wss.handleReassignRoomHost(getMockWebsocket(), event);
-
-            const newRoom = await db.rooms.getByID(room.roomID);
-            expect(newRoom).toEqual(room);
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, text: 'Second'});
+            await wss.handleSendChatMessage(getMockWebsocket(), event);
 
-            expect(spy).not.toHaveBeenCalled();
+            const messages = await db.chatMessages.getHistoryByRoomID(room.roomID, 10);
+            expect(messages.map(message => message.text)).toEqual(['Second']);
         });
     });
 
-    describe('handleJoinRoom', () => {
-        const eventType = EventTypes.JOIN_ROOM;
+    describe('handleEditChatMessage', () => {
+        const eventType = ServerEventTypes.EDIT_CHAT_MESSAGE;
 
-        test('sends error response if player ID missing', async () => {
-            await expectMissingPlayerIDEvent(wss, eventType);
-        });
+        test('sends error response if message ID missing', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, player.playerID);
+            player.currentRoomID = room.roomID;
+            await db.players.create(player);
+            await db.rooms.create(room);
 
-        test('sends error response if player not found', async () => {
-            await expectPlayerNotFoundEvent(wss, eventType, {playerID: PLAYER_ID});
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, text: 'Edited'});
+            const mockWS = getMockWebsocket();
+            await wss.handleEditChatMessage(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'missing chat message ID', StatusCodes.BAD_REQUEST, ErrorCodes.MISSING_CHAT_MESSAGE_ID);
         });
 
-        test('sends error response if room ID missing', async () => {
+        test('sends error response if message not found in room', async () => {
             const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, player.playerID);
+            player.currentRoomID = room.roomID;
+            const message = new ChatMessage('other-room', player.playerID, 'Hello');
             await db.players.create(player);
-            await expectMissingRoomIDEvent(wss, eventType, {playerID: player.playerID});
+            await db.rooms.create(room);
+            await db.chatMessages.create(message);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, messageID: message.messageID, text: 'Edited'});
+            const mockWS = getMockWebsocket();
+            await wss.handleEditChatMessage(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'chat message not found', StatusCodes.NOT_FOUND, ErrorCodes.CHAT_MESSAGE_NOT_FOUND);
         });
 
-        test('sends error response if room not found', async () => {
+        test('sends error response if player is not the author', async () => {
             const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, player.playerID);
+            player.currentRoomID = room.roomID;
+            const message = new ChatMessage(room.roomID, OTHER_PLAYER_ID, 'Hello');
             await db.players.create(player);
-            await expectRoomNotFoundEvent(wss, eventType, {playerID: player.playerID, roomID: ROOM_ID});
+            await db.rooms.create(room);
+            await db.chatMessages.create(message);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, messageID: message.messageID, text: 'Edited'});
+            const mockWS = getMockWebsocket();
+            wss.addClient(room.roomID, player.playerID, mockWS);
+            await wss.handleEditChatMessage(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'only the author may edit a chat message', StatusCodes.FORBIDDEN, ErrorCodes.CHAT_MESSAGE_AUTHOR_REQUIRED);
+            expect((await db.chatMessages.getByID(message.messageID)).text).toEqual('Hello');
         });
 
-        test('sends error response if room is password-protected and player has not previously joined', async () => {
+        test('sends error response if player muted in room', async () => {
             const player = new Player(PLAYER_NAME);
-            const room = new Room(ROOM_CODE, PLAYER_ID, 'test-password');
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            player.currentRoomID = room.roomID;
+            room.playerIDs.push(player.playerID);
+            room.mutedPlayerIDs = {[player.playerID]: tomorrow()};
+            const message = new ChatMessage(room.roomID, player.playerID, 'Hello');
             await db.players.create(player);
             await db.rooms.create(room);
-            await expectPlayerNotInRoomEvent(wss, eventType, {playerID: player.playerID, roomID: room.roomID});
+            await db.chatMessages.create(message);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, messageID: message.messageID, text: 'Edited'});
+            const mockWS = getMockWebsocket();
+            await wss.handleEditChatMessage(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'player is muted in room', StatusCodes.FORBIDDEN, ErrorCodes.PLAYER_MUTED_IN_ROOM);
         });
 
-        test('success - player joins room', async () => {
+        test('success - message edited and broadcast to room', async () => {
             const player = new Player(PLAYER_NAME);
-            const room = new Room(ROOM_CODE, PLAYER_ID);
-            room.playerIDs = [];
+            const room = new Room(ROOM_CODE, player.playerID);
+            player.currentRoomID = room.roomID;
+            const message = new ChatMessage(room.roomID, player.playerID, 'Hello');
             await db.players.create(player);
             await db.rooms.create(room);
+            await db.chatMessages.create(message);
 
-            expect(wss.getClient(room.roomID, player.playerID)).toBeNull();
             const spy = jest.spyOn(wss, 'broadcast');
-            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, messageID: message.messageID, text: 'Edited'});
             const mockWS = getMockWebsocket();
-            await wss.handleJoinRoom(mockWS, event);
-            expect(wss.getClient(room.roomID, player.playerID)).toBe(mockWS);
-
-            const newPlayer = await db.players.getByID(player.playerID);
-            expect(newPlayer.currentRoomID).toEqual(room.roomID);
-
-            const newRoom = await db.rooms.getByID(room.roomID);
-            expect(newRoom.playerIDs).toEqual([player.playerID]);
+            await wss.handleEditChatMessage(mockWS, event);
+            expect(mockWS.send).not.toHaveBeenCalled();
 
-            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.PLAYER_JOINED_ROOM, {roomID: room.roomID, playerID: player.playerID, players: {[player.playerID]: newPlayer}}));
+            const newMessage = await db.chatMessages.getByID(message.messageID);
+            expect(newMessage.text).toEqual('Edited');
+            expect(newMessage.editedTime).toBeTruthy();
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.CHAT_MESSAGE_EDITED, {roomID: room.roomID, message: newMessage}));
         });
     });
 
-    describe('handleJoinRoomWithCode', () => {
-        const eventType = EventTypes.JOIN_ROOM_WITH_CODE;
-
-        test('sends error response if player ID missing', async () => {
-            await expectMissingPlayerIDEvent(wss, eventType);
-        });
-
-        test('sends error response if player not found', async () => {
-            await expectPlayerNotFoundEvent(wss, eventType, {playerID: PLAYER_ID});
-        });
+    describe('handleDeleteChatMessage', () => {
+        const eventType = ServerEventTypes.DELETE_CHAT_MESSAGE;
 
-        test('sends error response if room code missing', async () => {
+        test('sends error response if player is neither the author nor the host', async () => {
             const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            player.currentRoomID = room.roomID;
+            room.playerIDs.push(player.playerID);
+            const message = new ChatMessage(room.roomID, OTHER_PLAYER_ID, 'Hello');
             await db.players.create(player);
-            await expectMissingRoomIDEvent(wss, eventType, {playerID: player.playerID}, 'missing room code');
-        });
+            await db.rooms.create(room);
+            await db.chatMessages.create(message);
 
-        test('sends error response if room not found', async () => {
-            const player = new Player(PLAYER_NAME);
-            await db.players.create(player);
-            await expectRoomNotFoundEvent(wss, eventType, {playerID: player.playerID, roomCode: ROOM_ID});
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, messageID: message.messageID});
+            const mockWS = getMockWebsocket();
+            wss.addClient(room.roomID, player.playerID, mockWS);
+            await wss.handleDeleteChatMessage(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'only the host may delete chat messages from other players', StatusCodes.FORBIDDEN,
+                ErrorCodes.HOST_REQUIRED_TO_DELETE_CHAT_MESSAGE);
+            expect(await db.chatMessages.getByID(message.messageID)).not.toBeNull();
         });
 
-        test('sends error response if room is password-protected and password is incorrect', async () => {
+        test('success - player deletes own message while muted', async () => {
             const player = new Player(PLAYER_NAME);
-            const room = new Room(ROOM_CODE, PLAYER_ID, 'test-password');
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            player.currentRoomID = room.roomID;
+            room.playerIDs.push(player.playerID);
+            room.mutedPlayerIDs = {[player.playerID]: null};
+            const message = new ChatMessage(room.roomID, player.playerID, 'Hello');
             await db.players.create(player);
             await db.rooms.create(room);
+            await db.chatMessages.create(message);
 
-            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomCode: room.roomCode, password: 'wrong'});
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, messageID: message.messageID});
             const mockWS = getMockWebsocket();
-            await wss.handleJoinRoomWithCode(mockWS, event);
-            expectWebsocketErrorEvent(mockWS, event, 'invalid password', StatusCodes.UNAUTHORIZED);
+            await wss.handleDeleteChatMessage(mockWS, event);
+            expect(mockWS.send).not.toHaveBeenCalled();
+            expect(await db.chatMessages.getByID(message.messageID)).toBeNull();
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.CHAT_MESSAGE_DELETED, {
+                roomID: room.roomID,
+                playerID: player.playerID,
+                messageID: message.messageID,
+            }));
         });
 
-        test('success - player joins password-protected room', async () => {
-            const password = 'secret';
+        test("success - host deletes another player's message", async () => {
             const player = new Player(PLAYER_NAME);
-            const room = new Room(ROOM_CODE, PLAYER_ID, password);
-            room.playerIDs = [];
+            const room = new Room(ROOM_CODE, player.playerID);
+            player.currentRoomID = room.roomID;
+            const message = new ChatMessage(room.roomID, OTHER_PLAYER_ID, 'Hello');
             await db.players.create(player);
             await db.rooms.create(room);
+            await db.chatMessages.create(message);
 
-            expect(wss.getClient(room.roomID, player.playerID)).toBeNull();
             const spy = jest.spyOn(wss, 'broadcast');
-            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomCode: room.roomCode, password: password});
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, messageID: message.messageID});
             const mockWS = getMockWebsocket();
-            await wss.handleJoinRoomWithCode(mockWS, event);
-            expect(wss.getClient(room.roomID, player.playerID)).toBe(mockWS);
-
-            const newPlayer = await db.players.getByID(player.playerID);
-            expect(newPlayer.currentRoomID).toEqual(room.roomID);
-
-            const newRoom = await db.rooms.getByID(room.roomID);
-            expect(newRoom.playerIDs).toEqual([player.playerID]);
-
-            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.PLAYER_JOINED_ROOM, {roomID: room.roomID, playerID: player.playerID, players: {[player.playerID]: newPlayer}}));
+            wss.addClient(room.roomID, player.playerID, mockWS);
+            await wss.handleDeleteChatMessage(mockWS, event);
+            expect(mockWS.send).toHaveBeenCalledTimes(1);
+            expect(JSON.parse(mockWS.send.mock.calls[0][0]).eventType).toEqual(ServerEventTypes.HOST_DELETED_CHAT_MESSAGE);
+            expect(await db.chatMessages.getByID(message.messageID)).toBeNull();
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.HOST_DELETED_CHAT_MESSAGE, {
+                roomID: room.roomID,
+                playerID: player.playerID,
+                messageID: message.messageID,
+            }));
         });
+    });
 
-        test('success - player joins room with no password protection', async () => {
+    describe('handleGameAction', () => {
+        const eventType = ServerEventTypes.GAME_ACTION;
+        const actionType = 'score';
+
+        async function createGame(gameFields = {}) {
             const player = new Player(PLAYER_NAME);
-            const room = new Room(ROOM_CODE, PLAYER_ID);
-            room.playerIDs = [];
+            const room = new Room(ROOM_CODE, player.playerID);
+            const game = new Game(room.roomID, [player.playerID]);
+            Object.assign(game, gameFields);
+            player.currentRoomID = room.roomID;
+            room.currentGameID = game.gameID;
+            await db.games.create(game);
             await db.players.create(player);
             await db.rooms.create(room);
+            return {game, player, room};
+        }
 
-            expect(wss.getClient(room.roomID, player.playerID)).toBeNull();
-            const spy = jest.spyOn(wss, 'broadcast');
-            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomCode: room.roomCode});
-            const mockWS = getMockWebsocket();
-            await wss.handleJoinRoomWithCode(mockWS, event);
-            expect(wss.getClient(room.roomID, player.playerID)).toBe(mockWS);
-
-            const newPlayer = await db.players.getByID(player.playerID);
-            expect(newPlayer.currentRoomID).toEqual(room.roomID);
+        function actionEvent(game, player, action) {
+            return new WebsocketEvent(eventType, {context: EventContext.fromGame(game, player.playerID), action: action});
+        }
 
-            const newRoom = await db.rooms.getByID(room.roomID);
-            expect(newRoom.playerIDs).toEqual([player.playerID]);
+        function scoreHandler(game, action, { player }) {
+            if (action.value <= 0) {
+                throw new GameActionError('invalid value');
+            }
+            return {$inc: {[`scores.${player.playerID}`]: action.value}};
+        }
 
-            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.PLAYER_JOINED_ROOM, {roomID: room.roomID, playerID: player.playerID, players: {[player.playerID]: newPlayer}}));
+        beforeEach(() => {
+            wss.registerGameActionHandler(actionType, scoreHandler);
         });
-    });
 
-    describe('handleLeaveRoom', () => {
-        const eventType = EventTypes.LEAVE_ROOM;
+        test('sends error response if action missing', async () => {
+            const event = new WebsocketEvent(eventType, {context: new EventContext(ROOM_ID, GAME_ID, PLAYER_ID)});
+            const mockWS = getMockWebsocket();
+            await wss.handleGameAction(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'missing game action', StatusCodes.BAD_REQUEST);
+        });
 
-        test('sends error response if player ID missing', async () => {
-            await expectMissingPlayerIDEvent(wss, eventType);
+        test('sends error response if action type unknown', async () => {
+            const { game, player } = await createGame();
+            const event = actionEvent(game, player, {actionType: 'unknown'});
+            const mockWS = getMockWebsocket();
+            await wss.handleGameAction(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'unknown game action', StatusCodes.BAD_REQUEST);
         });
 
-        test('sends error response if player not found', async () => {
-            await expectPlayerNotFoundEvent(wss, eventType, {playerID: PLAYER_ID});
+        test('sends error response if player not in game', async () => {
+            const { game, player } = await createGame({playerIDs: []});
+            const event = actionEvent(game, player, {actionType: actionType, value: 200});
+            const mockWS = getMockWebsocket();
+            await wss.handleGameAction(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'player not in game', StatusCodes.BAD_REQUEST);
         });
 
-        test('sends error response if room ID missing', async () => {
-            const player = new Player(PLAYER_NAME);
-            await db.players.create(player);
-            await expectMissingRoomIDEvent(wss, eventType, {playerID: player.playerID});
+        test('sends error response if game has finished', async () => {
+            const { game, player } = await createGame({finishedTime: new Date()});
+            const event = actionEvent(game, player, {actionType: actionType, value: 200});
+            const mockWS = getMockWebsocket();
+            await wss.handleGameAction(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'game has finished', StatusCodes.BAD_REQUEST);
         });
 
-        test('sends error response if room not found', async () => {
-            const player = new Player(PLAYER_NAME);
-            await db.players.create(player);
-            await expectRoomNotFoundEvent(wss, eventType, {playerID: player.playerID, roomID: ROOM_ID});
+        test('sends error response without updating game if action rejected by handler', async () => {
+            const { game, player } = await createGame();
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = actionEvent(game, player, {actionType: actionType, value: -200});
+            const mockWS = getMockWebsocket();
+            await wss.handleGameAction(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'invalid value', StatusCodes.BAD_REQUEST, ErrorCodes.GAME_ACTION_REJECTED);
+            expect(spy).not.toHaveBeenCalled();
+
+            const newGame = await db.games.getByID(game.gameID);
+            expect(newGame).toEqual(game);
         });
 
-        test('sends error response if player not in room', async () => {
-            const player = new Player(PLAYER_NAME);
-            const room = new Room(ROOM_CODE, PLAYER_ID);
-            await db.players.create(player);
-            await db.rooms.create(room);
-            await expectPlayerNotInRoomEvent(wss, eventType, {playerID: player.playerID, roomID: room.roomID});
+        test('does nothing if handler returns no updates', async () => {
+            const { game, player } = await createGame();
+            wss.registerGameActionHandler(actionType, () => null);
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = actionEvent(game, player, {actionType: actionType});
+            const mockWS = getMockWebsocket();
+            await wss.handleGameAction(mockWS, event);
+            expect(mockWS.send).not.toHaveBeenCalled();
+            expect(spy).not.toHaveBeenCalled();
+            expect(await db.games.getByID(game.gameID)).toEqual(game);
         });
 
-        test('success - player leaves room', async () => {
-            const player = new Player(PLAYER_NAME);
-            const room = new Room(ROOM_CODE, player.playerID);
-            player.currentRoomID = room.roomID;
-            await db.players.create(player);
-            await db.rooms.create(room);
+        test('re-validates action if game updated concurrently', async () => {
+            const { game, player } = await createGame();
+            const handler = jest.fn(scoreHandler);
+            wss.registerGameActionHandler(actionType, handler);
+            const updateGameState = db.games.updateGameState;
+            jest.spyOn(db.games, 'updateGameState').mockImplementationOnce(async (gameID, stateVersion, updates) => {
+                await updateGameState(gameID, stateVersion, {$set: {[`scores.${player.playerID}`]: 1000}});
+                return await updateGameState(gameID, stateVersion, updates);
+            });
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = actionEvent(game, player, {actionType: actionType, value: 200});
+            const mockWS = getMockWebsocket();
+            await wss.handleGameAction(mockWS, event);
+            expect(handler).toHaveBeenCalledTimes(2);
+            expect(mockWS.send).not.toHaveBeenCalled();
 
+            const newGame = await db.games.getByID(game.gameID);
+            expect(newGame.scores[player.playerID]).toEqual(1200);
+            expect(newGame.stateVersion).toEqual(2);
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.GAME_STATE_CHANGED, {
+                context: EventContext.fromGame(game, player.playerID),
+                actionType: actionType,
+                stateVersion: 2,
+                changes: {[`scores.${player.playerID}`]: 1200},
+            }));
+        });
+
+        test('sends error response if game repeatedly updated concurrently', async () => {
+            const { game, player } = await createGame();
+            jest.spyOn(db.games, 'updateGameState').mockResolvedValue(false);
             const spy = jest.spyOn(wss, 'broadcast');
-            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const event = actionEvent(game, player, {actionType: actionType, value: 200});
             const mockWS = getMockWebsocket();
-            wss.connectedClients[room.roomID] = {[player.playerID]: mockWS};
-            await wss.handleLeaveRoom(mockWS, event);
-            expect(wss.getClient(room.roomID, player.playerID)).toBeNull();
-            expect(wss.getClient(NO_ROOM_KEY, player.playerID)).toBe(mockWS);
+            await wss.handleGameAction(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'game state changed during action', StatusCodes.CONFLICT);
+            expect(spy).not.toHaveBeenCalled();
+        });
 
-            const newPlayer = await db.players.getByID(player.playerID);
-            expect(newPlayer.currentRoomID).toBeNull();
+        test('success - applies updates and broadcasts changes', async () => {
+            const { game, player, room } = await createGame();
+            const handler = jest.fn(scoreHandler);
+            wss.registerGameActionHandler(actionType, handler);
+            const spy = jest.spyOn(wss, 'broadcast');
+            const action = {actionType: actionType, value: 200};
+            const event = actionEvent(game, player, action);
+            const mockWS = getMockWebsocket();
+            await wss.handleGameAction(mockWS, event);
+            expect(mockWS.send).not.toHaveBeenCalled();
+            expect(handler).toHaveBeenCalledWith(game, action, {player, room});
 
-            const newRoom = await db.rooms.getByID(room.roomID);
-            expect(newRoom.playerIDs).toEqual([]);
+            const newGame = await db.games.getByID(game.gameID);
+            expect(newGame.scores[player.playerID]).toEqual(200);
+            expect(newGame.stateVersion).toEqual(1);
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.GAME_STATE_CHANGED, {
+                context: EventContext.fromGame(game, player.playerID),
+                actionType: actionType,
+                stateVersion: 1,
+                changes: {[`scores.${player.playerID}`]: 200},
+            }));
+        });
+    });
 
-            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(
-                EventTypes.PLAYER_LEFT_ROOM,
-                {roomID: player.currentRoomID, playerID: player.playerID, newHostPlayerID: null}
-            ));
+    describe('handleGameCreationFailed', () => {
+        const eventType = EventTypes.GAME_CREATION_FAILED;
+
+        test('broadcasts event to all players in room', async () => {
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = new WebsocketEvent(eventType, {roomID: ROOM_ID, error: 'failed to create game'});
+            await wss.handleGameCreationFailed(getMockWebsocket(), event);
+            expect(spy).toHaveBeenCalledWith(event);
         });
     });
 
-    describe('handleJoinGame', () => {
-        const eventType = EventTypes.JOIN_GAME;
+    describe('handleGameSettingsChanged', () => {
+        const eventType = EventTypes.GAME_SETTINGS_CHANGED;
 
-        test('sends error response if player ID missing', async () => {
+        test('broadcasts event to all players in room', async () => {
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = new WebsocketEvent(eventType, {roomID: ROOM_ID, mode: 'random'});
+            await wss.handleGameSettingsChanged(getMockWebsocket(), event);
+            expect(spy).toHaveBeenCalledWith(event);
+        });
+    });
+
+    describe('handleReassignRoomHost', () => {
+        const eventType = EventTypes.REASSIGN_ROOM_HOST;
+
+        test('sends error response if new host player ID missing', async () => {
             await expectMissingPlayerIDEvent(wss, eventType);
         });
 
         test('sends error response if player not found', async () => {
-            await expectPlayerNotFoundEvent(wss, eventType, {context: {playerID: PLAYER_ID}});
+            await expectPlayerNotFoundEvent(wss, eventType, {newHostPlayerID: PLAYER_ID});
         });
 
         test('sends error response if room ID missing', async () => {
             const player = new Player(PLAYER_NAME);
             await db.players.create(player);
-            await expectMissingRoomIDEvent(wss, eventType, {context: {playerID: player.playerID}});
+            await expectMissingRoomIDEvent(wss, eventType, {newHostPlayerID: player.playerID});
         });
 
         test('sends error response if room not found', async () => {
             const player = new Player(PLAYER_NAME);
             await db.players.create(player);
-            await expectRoomNotFoundEvent(wss, eventType, {context: {playerID: player.playerID, roomID: ROOM_ID}});
+            await expectRoomNotFoundEvent(wss, eventType, {newHostPlayerID: player.playerID, roomID: ROOM_ID});
         });
 
         test('sends error response if player not in room', async () => {
@@ -1326,83 +2241,70 @@ describe('WebsocketServer', () => {
             const room = new Room(ROOM_CODE, PLAYER_ID);
             await db.players.create(player);
             await db.rooms.create(room);
-            await expectPlayerNotInRoomEvent(wss, eventType, {context: {playerID: player.playerID, roomID: room.roomID}});
+            await expectPlayerNotInRoomEvent(wss, eventType, {newHostPlayerID: player.playerID, roomID: room.roomID});
         });
 
-        test('sends error response if game ID missing', async () => {
+        test('sends error response if request does not come from player with permission', async () => {
             const player = new Player(PLAYER_NAME);
-            const room = new Room(ROOM_CODE, player.playerID);
+            const room = new Room(ROOM_CODE, 'owner');
+            room.playerIDs.push(player.playerID, PLAYER_ID);
+            room.playerRoles = {[PLAYER_ID]: RoomRoles.CO_HOST};
             player.currentRoomID = room.roomID;
             await db.players.create(player);
             await db.rooms.create(room);
 
-            const event = new WebsocketEvent(eventType, {context: {playerID: player.playerID, roomID: room.roomID}});
-            const mockWS = getMockWebsocket();
-            await wss.handleJoinGame(mockWS, event);
-            expectWebsocketErrorEvent(mockWS, event, 'missing game ID', StatusCodes.BAD_REQUEST);
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = new WebsocketEvent(eventType, {newHostPlayerID: player.playerID, roomID: room.roomID});
+            const coHostWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [coHostWS]};
+            await wss.handleReassignRoomHost(coHostWS, event);
+            expectWebsocketErrorEvent(coHostWS, event, 'only the host may reassign the room host', StatusCodes.FORBIDDEN);
+            expect(spy).not.toHaveBeenCalled();
         });
 
-        test('sends error response if game not found', async () => {
+        test('success - reassigns room host', async () => {
             const player = new Player(PLAYER_NAME);
             const room = new Room(ROOM_CODE, player.playerID);
             player.currentRoomID = room.roomID;
+            room.hostPlayerID = PLAYER_ID;
             await db.players.create(player);
             await db.rooms.create(room);
-            await expectGameNotFoundEvent(wss, eventType, {context: new EventContext(room.roomID, GAME_ID, player.playerID)});
-        });
 
-        test('sends error response if max players exceeded', async () => {
-            const player1 = new Player('Fred');
-            const player2 = new Player('Barney');
-            const player3 = new Player('Betty');
-            const room = new Room(ROOM_CODE, PLAYER_ID);
-            const game = new Game(room.roomID, [player1.playerID, player2.playerID]);
-            player1.currentRoomID = room.roomID;
-            player2.currentRoomID = room.roomID;
-            player3.currentRoomID = room.roomID;
-            room.currentGameID = game.gameID;
-            room.playerIDs = [player1.playerID, player2.playerID, player3.playerID];
-            await db.games.create(game);
-            await db.players.createMany([player1, player2, player3]);
-            await db.rooms.create(room);
-            await expectMaxPlayersExceededEvent(wss, eventType, {context: new EventContext(room.roomID, game.gameID, player3.playerID)});
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = new WebsocketEvent(eventType, {newHostPlayerID: player.playerID, roomID: room.roomID});
+            const hostWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [hostWS]};
+            await wss.handleReassignRoomHost(hostWS, event);
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.hostPlayerID).toEqual(player.playerID);
+
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.ROOM_HOST_REASSIGNED, event.payload));
         });
 
-        test.each([
-            [true],
-            [false],
-        ])('success - player joins game (spectating = %p)', async (spectating) => {
-            const player = new Player(PLAYER_NAME, null, spectating);
+        test('success - player is already host', async () => {
+            const player = new Player(PLAYER_NAME);
             const room = new Room(ROOM_CODE, player.playerID);
-            const game = new Game(room.roomID);
             player.currentRoomID = room.roomID;
-            room.currentGameID = game.gameID;
-            await db.games.create(game);
             await db.players.create(player);
             await db.rooms.create(room);
 
             const spy = jest.spyOn(wss, 'broadcast');
-            const event = new WebsocketEvent(eventType, {context: new EventContext(room.roomID, game.gameID, player.playerID)});
+            const event = new WebsocketEvent(eventType, {newHostPlayerID: player.playerID, roomID: room.roomID});
             const mockWS = getMockWebsocket();
-            await wss.handleJoinGame(mockWS, event);
-            expect(wss.getClient(room.roomID, player.playerID)).toBe(mockWS);
-
-            const newGame = await db.games.getByID(game.gameID);
-            expect(newGame.playerIDs).toEqual([player.playerID]);
-            expect(newGame.scores[player.playerID]).toEqual(0);
+            wss.connectedClients[room.roomID] = {[player.playerID]: [mockWS]};
+            await wss.handleReassignRoomHost(mockWS, event);
+            expect(mockWS.send).not.toHaveBeenCalled();
 
-            const newPlayer = await db.players.getByID(player.playerID);
-            expect(newPlayer.stats[PlayerStatsKeys.GAMES_PLAYED]).toEqual(1);
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom).toEqual(room);
 
-            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(
-                EventTypes.PLAYER_JOINED,
-                {roomID: room.roomID, player: {...player, score: 0}},
-            ));
+            expect(spy).not.toHaveBeenCalled();
         });
     });
 
-    describe('handleStartSpectating', () => {
-        const eventType = EventTypes.START_SPECTATING;
+    describe('handleJoinRoom', () => {
+        const eventType = EventTypes.JOIN_ROOM;
 
         test('sends error response if player ID missing', async () => {
             await expectMissingPlayerIDEvent(wss, eventType);
@@ -1418,34 +2320,46 @@ describe('WebsocketServer', () => {
             await expectMissingRoomIDEvent(wss, eventType, {playerID: player.playerID});
         });
 
-        test('sends error response if player not in room', async () => {
+        test('sends error response if room not found', async () => {
             const player = new Player(PLAYER_NAME);
-            const room = new Room(ROOM_CODE, PLAYER_ID);
+            await db.players.create(player);
+            await expectRoomNotFoundEvent(wss, eventType, {playerID: player.playerID, roomID: ROOM_ID});
+        });
+
+        test('sends error response if room is password-protected and player has not previously joined', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID, 'test-password');
             await db.players.create(player);
             await db.rooms.create(room);
             await expectPlayerNotInRoomEvent(wss, eventType, {playerID: player.playerID, roomID: room.roomID});
         });
 
-        test('success - player starts spectating', async () => {
+        test('success - player joins room', async () => {
             const player = new Player(PLAYER_NAME);
-            const room = new Room(ROOM_CODE, player.playerID);
-            player.currentRoomID = room.roomID;
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            room.playerIDs = [];
             await db.players.create(player);
             await db.rooms.create(room);
 
+            expect(wss.getClient(room.roomID, player.playerID)).toBeNull();
             const spy = jest.spyOn(wss, 'broadcast');
             const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
-            await wss.handleStartSpectating(getMockWebsocket(), event);
+            const mockWS = getMockWebsocket();
+            await wss.handleJoinRoom(mockWS, event);
+            expect(wss.getClient(room.roomID, player.playerID)).toBe(mockWS);
 
             const newPlayer = await db.players.getByID(player.playerID);
-            expect(newPlayer.spectating).toBeTruthy();
+            expect(newPlayer.currentRoomID).toEqual(room.roomID);
 
-            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.PLAYER_STARTED_SPECTATING, event.payload));
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.playerIDs).toEqual([player.playerID]);
+
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.PLAYER_JOINED_ROOM, {roomID: room.roomID, playerID: player.playerID, players: {[player.playerID]: newPlayer}}));
         });
     });
 
-    describe('handleStopSpectating', () => {
-        const eventType = EventTypes.STOP_SPECTATING;
+    describe('handleJoinRoomWithCode', () => {
+        const eventType = EventTypes.JOIN_ROOM_WITH_CODE;
 
         test('sends error response if player ID missing', async () => {
             await expectMissingPlayerIDEvent(wss, eventType);
@@ -1455,292 +2369,1364 @@ describe('WebsocketServer', () => {
             await expectPlayerNotFoundEvent(wss, eventType, {playerID: PLAYER_ID});
         });
 
-        test('sends error response if room ID missing', async () => {
+        test('sends error response if room code missing', async () => {
             const player = new Player(PLAYER_NAME);
             await db.players.create(player);
-            await expectMissingRoomIDEvent(wss, eventType, {playerID: player.playerID});
+            await expectMissingRoomIDEvent(wss, eventType, {playerID: player.playerID}, 'missing room code');
         });
 
         test('sends error response if room not found', async () => {
             const player = new Player(PLAYER_NAME);
             await db.players.create(player);
-            await expectRoomNotFoundEvent(wss, eventType, {playerID: player.playerID, roomID: ROOM_ID});
+            await expectRoomNotFoundEvent(wss, eventType, {playerID: player.playerID, roomCode: ROOM_ID});
         });
 
-        test('sends error response if player not in room', async () => {
+        test('sends error response if room is password-protected and password is incorrect', async () => {
             const player = new Player(PLAYER_NAME);
-            const room = new Room(ROOM_CODE, PLAYER_ID);
+            const room = new Room(ROOM_CODE, PLAYER_ID, 'test-password');
             await db.players.create(player);
             await db.rooms.create(room);
-            await expectPlayerNotInRoomEvent(wss, eventType, {playerID: player.playerID, roomID: room.roomID});
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomCode: room.roomCode, password: 'wrong'});
+            const mockWS = getMockWebsocket();
+            await wss.handleJoinRoomWithCode(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'invalid password', StatusCodes.UNAUTHORIZED);
         });
 
-        test('sends error response if game not found', async () => {
+        test('success - player joins password-protected room', async () => {
+            const password = 'secret';
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID, password);
+            room.playerIDs = [];
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            expect(wss.getClient(room.roomID, player.playerID)).toBeNull();
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomCode: room.roomCode, password: password});
+            const mockWS = getMockWebsocket();
+            await wss.handleJoinRoomWithCode(mockWS, event);
+            expect(wss.getClient(room.roomID, player.playerID)).toBe(mockWS);
+
+            const newPlayer = await db.players.getByID(player.playerID);
+            expect(newPlayer.currentRoomID).toEqual(room.roomID);
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.playerIDs).toEqual([player.playerID]);
+
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.PLAYER_JOINED_ROOM, {roomID: room.roomID, playerID: player.playerID, players: {[player.playerID]: newPlayer}}));
+        });
+
+        test('success - player joins room with no password protection', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            room.playerIDs = [];
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            expect(wss.getClient(room.roomID, player.playerID)).toBeNull();
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomCode: room.roomCode});
+            const mockWS = getMockWebsocket();
+            await wss.handleJoinRoomWithCode(mockWS, event);
+            expect(wss.getClient(room.roomID, player.playerID)).toBe(mockWS);
+
+            const newPlayer = await db.players.getByID(player.playerID);
+            expect(newPlayer.currentRoomID).toEqual(room.roomID);
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.playerIDs).toEqual([player.playerID]);
+
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.PLAYER_JOINED_ROOM, {roomID: room.roomID, playerID: player.playerID, players: {[player.playerID]: newPlayer}}));
+        });
+    });
+
+    describe('handleLeaveRoom', () => {
+        const eventType = EventTypes.LEAVE_ROOM;
+
+        test('sends error response if player ID missing', async () => {
+            await expectMissingPlayerIDEvent(wss, eventType);
+        });
+
+        test('sends error response if player not found', async () => {
+            await expectPlayerNotFoundEvent(wss, eventType, {playerID: PLAYER_ID});
+        });
+
+        test('sends error response if room ID missing', async () => {
+            const player = new Player(PLAYER_NAME);
+            await db.players.create(player);
+            await expectMissingRoomIDEvent(wss, eventType, {playerID: player.playerID});
+        });
+
+        test('sends error response if room not found', async () => {
+            const player = new Player(PLAYER_NAME);
+            await db.players.create(player);
+            await expectRoomNotFoundEvent(wss, eventType, {playerID: player.playerID, roomID: ROOM_ID});
+        });
+
+        test('sends error response if player not in room', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            await db.players.create(player);
+            await db.rooms.create(room);
+            await expectPlayerNotInRoomEvent(wss, eventType, {playerID: player.playerID, roomID: room.roomID});
+        });
+
+        test('success - player leaves room', async () => {
             const player = new Player(PLAYER_NAME);
             const room = new Room(ROOM_CODE, player.playerID);
             player.currentRoomID = room.roomID;
             await db.players.create(player);
             await db.rooms.create(room);
-            await expectGameNotFoundEvent(wss, eventType, {gameID: GAME_ID, playerID: player.playerID, roomID: room.roomID});
+
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const mockWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[player.playerID]: [mockWS]};
+            await wss.handleLeaveRoom(mockWS, event);
+            expect(wss.getClient(room.roomID, player.playerID)).toBeNull();
+            expect(wss.getClient(NO_ROOM_KEY, player.playerID)).toBe(mockWS);
+
+            const newPlayer = await db.players.getByID(player.playerID);
+            expect(newPlayer.currentRoomID).toBeNull();
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.playerIDs).toEqual([]);
+
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(
+                EventTypes.PLAYER_LEFT_ROOM,
+                {roomID: player.currentRoomID, playerID: player.playerID, newHostPlayerID: null}
+            ));
         });
+    });
 
-        test('sends error response if player not in game', async () => {
-            const game = new Game(ROOM_ID);
+    describe('handleJoinGame', () => {
+        const eventType = EventTypes.JOIN_GAME;
+
+        test('sends error response if player ID missing', async () => {
+            await expectMissingPlayerIDEvent(wss, eventType);
+        });
+
+        test('sends error response if player not found', async () => {
+            await expectPlayerNotFoundEvent(wss, eventType, {context: {playerID: PLAYER_ID}});
+        });
+
+        test('sends error response if room ID missing', async () => {
+            const player = new Player(PLAYER_NAME);
+            await db.players.create(player);
+            await expectMissingRoomIDEvent(wss, eventType, {context: {playerID: player.playerID}});
+        });
+
+        test('sends error response if room not found', async () => {
+            const player = new Player(PLAYER_NAME);
+            await db.players.create(player);
+            await expectRoomNotFoundEvent(wss, eventType, {context: {playerID: player.playerID, roomID: ROOM_ID}});
+        });
+
+        test('sends error response if player not in room', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            await db.players.create(player);
+            await db.rooms.create(room);
+            await expectPlayerNotInRoomEvent(wss, eventType, {context: {playerID: player.playerID, roomID: room.roomID}});
+        });
+
+        test('sends error response if game ID missing', async () => {
             const player = new Player(PLAYER_NAME);
             const room = new Room(ROOM_CODE, player.playerID);
             player.currentRoomID = room.roomID;
-            await db.games.create(game);
             await db.players.create(player);
             await db.rooms.create(room);
 
-            const event = new WebsocketEvent(eventType, {gameID: game.gameID, playerID: player.playerID, roomID: room.roomID});
+            const event = new WebsocketEvent(eventType, {context: {playerID: player.playerID, roomID: room.roomID}});
             const mockWS = getMockWebsocket();
-            await wss.handleStopSpectating(mockWS, event);
-            expectWebsocketErrorEvent(mockWS, event, 'player not in game', StatusCodes.BAD_REQUEST);
+            await wss.handleJoinGame(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'missing game ID', StatusCodes.BAD_REQUEST);
+        });
+
+        test('sends error response if game not found', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, player.playerID);
+            player.currentRoomID = room.roomID;
+            await db.players.create(player);
+            await db.rooms.create(room);
+            await expectGameNotFoundEvent(wss, eventType, {context: new EventContext(room.roomID, GAME_ID, player.playerID)});
         });
 
         test('sends error response if max players exceeded', async () => {
             const player1 = new Player('Fred');
             const player2 = new Player('Barney');
             const player3 = new Player('Betty');
-            const room = new Room(ROOM_CODE, player3.playerID);
-            const game = new Game(room.roomID, [player1.playerID, player2.playerID, player3.playerID]);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            const game = new Game(room.roomID, [player1.playerID, player2.playerID]);
             player1.currentRoomID = room.roomID;
             player2.currentRoomID = room.roomID;
             player3.currentRoomID = room.roomID;
+            room.currentGameID = game.gameID;
+            room.playerIDs = [player1.playerID, player2.playerID, player3.playerID];
             await db.games.create(game);
             await db.players.createMany([player1, player2, player3]);
             await db.rooms.create(room);
-            await expectMaxPlayersExceededEvent(wss, eventType, {roomID: room.roomID, gameID: game.gameID, playerID: player3.playerID});
+            await expectMaxPlayersExceededEvent(wss, eventType, {context: new EventContext(room.roomID, game.gameID, player3.playerID)});
         });
 
-        test('success - player stops spectating in game', async () => {
-            const player = new Player(PLAYER_NAME, null, true);
+        test('sends error response if player with spectator role is not spectating', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            const game = new Game(room.roomID);
+            player.currentRoomID = room.roomID;
+            room.currentGameID = game.gameID;
+            room.playerIDs.push(player.playerID);
+            room.playerRoles = {[player.playerID]: RoomRoles.SPECTATOR};
+            await db.games.create(game);
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {context: new EventContext(room.roomID, game.gameID, player.playerID)});
+            const mockWS = getMockWebsocket();
+            await wss.handleJoinGame(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'players with the spectator role may only spectate', StatusCodes.FORBIDDEN);
+            expect((await db.games.getByID(game.gameID)).playerIDs).toEqual([]);
+        });
+
+        test.each([
+            [true],
+            [false],
+        ])('success - player joins game (spectating = %p)', async (spectating) => {
+            const player = new Player(PLAYER_NAME, null, spectating);
             const room = new Room(ROOM_CODE, player.playerID);
-            const game = new Game(room.roomID, [player.playerID]);
+            const game = new Game(room.roomID);
             player.currentRoomID = room.roomID;
+            room.currentGameID = game.gameID;
             await db.games.create(game);
             await db.players.create(player);
             await db.rooms.create(room);
 
             const spy = jest.spyOn(wss, 'broadcast');
-            const event = new WebsocketEvent(eventType, {gameID: game.gameID, playerID: player.playerID, roomID: room.roomID});
+            const event = new WebsocketEvent(eventType, {context: new EventContext(room.roomID, game.gameID, player.playerID)});
             const mockWS = getMockWebsocket();
-            await wss.handleStopSpectating(mockWS, event);
+            await wss.handleJoinGame(mockWS, event);
+            expect(wss.getClient(room.roomID, player.playerID)).toBe(mockWS);
+
+            const newGame = await db.games.getByID(game.gameID);
+            expect(newGame.playerIDs).toEqual([player.playerID]);
+            expect(newGame.scores[player.playerID]).toEqual(0);
 
             const newPlayer = await db.players.getByID(player.playerID);
-            expect(newPlayer.spectating).toBeFalsy();
+            expect(newPlayer.stats[PlayerStatsKeys.GAMES_PLAYED]).toEqual(1);
+
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(
+                EventTypes.PLAYER_JOINED,
+                {roomID: room.roomID, player: {...player, score: 0}},
+            ));
+        });
+    });
+
+    describe('handleStartSpectating', () => {
+        const eventType = EventTypes.START_SPECTATING;
+
+        test('sends error response if player ID missing', async () => {
+            await expectMissingPlayerIDEvent(wss, eventType);
+        });
+
+        test('sends error response if player not found', async () => {
+            await expectPlayerNotFoundEvent(wss, eventType, {playerID: PLAYER_ID});
+        });
+
+        test('sends error response if room ID missing', async () => {
+            const player = new Player(PLAYER_NAME);
+            await db.players.create(player);
+            await expectMissingRoomIDEvent(wss, eventType, {playerID: player.playerID});
+        });
+
+        test('sends error response if player not in room', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            await db.players.create(player);
+            await db.rooms.create(room);
+            await expectPlayerNotInRoomEvent(wss, eventType, {playerID: player.playerID, roomID: room.roomID});
+        });
+
+        test('success - player starts spectating', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, player.playerID);
+            player.currentRoomID = room.roomID;
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            await wss.handleStartSpectating(getMockWebsocket(), event);
+
+            const newPlayer = await db.players.getByID(player.playerID);
+            expect(newPlayer.spectating).toBeTruthy();
+
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.PLAYER_STARTED_SPECTATING, event.payload));
+        });
+    });
+
+    describe('handleStopSpectating', () => {
+        const eventType = EventTypes.STOP_SPECTATING;
+
+        test('sends error response if player ID missing', async () => {
+            await expectMissingPlayerIDEvent(wss, eventType);
+        });
+
+        test('sends error response if player not found', async () => {
+            await expectPlayerNotFoundEvent(wss, eventType, {playerID: PLAYER_ID});
+        });
+
+        test('sends error response if room ID missing', async () => {
+            const player = new Player(PLAYER_NAME);
+            await db.players.create(player);
+            await expectMissingRoomIDEvent(wss, eventType, {playerID: player.playerID});
+        });
+
+        test('sends error response if room not found', async () => {
+            const player = new Player(PLAYER_NAME);
+            await db.players.create(player);
+            await expectRoomNotFoundEvent(wss, eventType, {playerID: player.playerID, roomID: ROOM_ID});
+        });
+
+        test('sends error response if player not in room', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            await db.players.create(player);
+            await db.rooms.create(room);
+            await expectPlayerNotInRoomEvent(wss, eventType, {playerID: player.playerID, roomID: room.roomID});
+        });
+
+        test('sends error response if game not found', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, player.playerID);
+            player.currentRoomID = room.roomID;
+            await db.players.create(player);
+            await db.rooms.create(room);
+            await expectGameNotFoundEvent(wss, eventType, {gameID: GAME_ID, playerID: player.playerID, roomID: room.roomID});
+        });
+
+        test('sends error response if player not in game', async () => {
+            const game = new Game(ROOM_ID);
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, player.playerID);
+            player.currentRoomID = room.roomID;
+            await db.games.create(game);
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {gameID: game.gameID, playerID: player.playerID, roomID: room.roomID});
+            const mockWS = getMockWebsocket();
+            await wss.handleStopSpectating(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'player not in game', StatusCodes.BAD_REQUEST);
+        });
+
+        test('sends error response if max players exceeded', async () => {
+            const player1 = new Player('Fred');
+            const player2 = new Player('Barney');
+            const player3 = new Player('Betty');
+            const room = new Room(ROOM_CODE, player3.playerID);
+            const game = new Game(room.roomID, [player1.playerID, player2.playerID, player3.playerID]);
+            player1.currentRoomID = room.roomID;
+            player2.currentRoomID = room.roomID;
+            player3.currentRoomID = room.roomID;
+            await db.games.create(game);
+            await db.players.createMany([player1, player2, player3]);
+            await db.rooms.create(room);
+            await expectMaxPlayersExceededEvent(wss, eventType, {roomID: room.roomID, gameID: game.gameID, playerID: player3.playerID});
+        });
+
+        test('sends error response if player has spectator role', async () => {
+            const player = new Player(PLAYER_NAME, null, true);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            player.currentRoomID = room.roomID;
+            room.playerIDs.push(player.playerID);
+            room.playerRoles = {[player.playerID]: RoomRoles.SPECTATOR};
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const mockWS = getMockWebsocket();
+            await wss.handleStopSpectating(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'players with the spectator role may only spectate', StatusCodes.FORBIDDEN);
+            expect((await db.players.getByID(player.playerID)).spectating).toBeTruthy();
+        });
+
+        test('success - player stops spectating in game', async () => {
+            const player = new Player(PLAYER_NAME, null, true);
+            const room = new Room(ROOM_CODE, player.playerID);
+            const game = new Game(room.roomID, [player.playerID]);
+            player.currentRoomID = room.roomID;
+            await db.games.create(game);
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = new WebsocketEvent(eventType, {gameID: game.gameID, playerID: player.playerID, roomID: room.roomID});
+            const mockWS = getMockWebsocket();
+            await wss.handleStopSpectating(mockWS, event);
+
+            const newPlayer = await db.players.getByID(player.playerID);
+            expect(newPlayer.spectating).toBeFalsy();
+
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.PLAYER_STOPPED_SPECTATING, {roomID: room.roomID, playerID: player.playerID}));
+        });
+
+        test('success - player stops spectating without game (in lobby)', async () => {
+            const player = new Player(PLAYER_NAME, null, true);
+            const room = new Room(ROOM_CODE, player.playerID);
+            player.currentRoomID = room.roomID;
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            await wss.handleStopSpectating(getMockWebsocket(), event);
+
+            const newPlayer = await db.players.getByID(player.playerID);
+            expect(newPlayer.spectating).toBeFalsy();
+
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.PLAYER_STOPPED_SPECTATING, event.payload));
+        });
+    });
+
+    describe('handleAbandonGame', () => {
+        const eventType = EventTypes.ABANDON_GAME;
+
+        test('sends error response if player ID missing', async () => {
+            await expectMissingPlayerIDEvent(wss, eventType);
+        });
+
+        test('sends error response if player not found', async () => {
+            await expectPlayerNotFoundEvent(wss, eventType, {context: {playerID: PLAYER_ID}});
+        });
+
+        test('sends error response if room ID missing', async () => {
+            const player = new Player(PLAYER_NAME);
+            await db.players.create(player);
+            await expectMissingRoomIDEvent(wss, eventType, {context: {playerID: player.playerID}});
+        });
+
+        test('sends error response if room not found', async () => {
+            const player = new Player(PLAYER_NAME);
+            await db.players.create(player);
+            await expectRoomNotFoundEvent(wss, eventType, {context: {playerID: player.playerID, roomID: ROOM_ID}});
+        });
+
+        test('sends error response if game ID missing', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            await db.players.create(player);
+            await db.rooms.create(room);
+            await expectMissingGameIDEvent(wss, eventType, {context: {playerID: player.playerID, roomID: room.roomID}});
+        });
+
+        test('sends error response if game not found', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            await db.players.create(player);
+            await db.rooms.create(room);
+            await expectGameNotFoundEvent(wss, eventType, {context: new EventContext(room.roomID, GAME_ID, player.playerID)});
+        });
+
+        test('sends error response if request does not come from host', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, player.playerID);
+            const game = new Game(room.roomID, [player.playerID]);
+            player.currentRoomID = room.roomID;
+            room.currentGameID = game.gameID;
+            room.hostPlayerID = player.playerID;
+            await db.games.create(game);
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {context: new EventContext(room.roomID, game.gameID, player.playerID)});
+            const mockWS = getMockWebsocket();
+            await wss.handleAbandonGame(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'only the host may abandon games', StatusCodes.FORBIDDEN);
+        });
+
+        test('success - host abandons game', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, player.playerID);
+            const game = new Game(room.roomID, [player.playerID]);
+            player.currentRoomID = room.roomID;
+            room.currentGameID = game.gameID;
+            room.hostPlayerID = player.playerID;
+            await db.games.create(game);
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = new WebsocketEvent(eventType, {context: new EventContext(room.roomID, game.gameID, player.playerID)});
+            const mockWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[player.playerID]: [mockWS]};
+            await wss.handleAbandonGame(mockWS, event);
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.currentGameID).toBeNull();
+
+            const newGame = await db.games.getByID(game.gameID);
+            expect(newGame.abandonedTime).toBeTruthy();
+
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.HOST_ABANDONED_GAME, event.payload));
+        });
+
+        test('success - co-host abandons game', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, 'owner');
+            const game = new Game(room.roomID, [player.playerID]);
+            player.currentRoomID = room.roomID;
+            room.currentGameID = game.gameID;
+            room.playerIDs.push(player.playerID);
+            room.playerRoles = {[player.playerID]: RoomRoles.CO_HOST};
+            await db.games.create(game);
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {context: new EventContext(room.roomID, game.gameID, player.playerID)});
+            const mockWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[player.playerID]: [mockWS]};
+            await wss.handleAbandonGame(mockWS, event);
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.currentGameID).toBeNull();
+        });
+    });
+
+    describe('handleEndGame', () => {
+        const eventType = ServerEventTypes.END_GAME;
+
+        async function createGame(gameFields = {}) {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, player.playerID);
+            const game = new Game(room.roomID, [player.playerID]);
+            Object.assign(game, gameFields);
+            player.currentRoomID = room.roomID;
+            room.currentGameID = game.gameID;
+            await db.games.create(game);
+            await db.players.create(player);
+            await db.rooms.create(room);
+            return {game, player, room};
+        }
+
+        test('sends error response if game not found', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            await db.players.create(player);
+            await db.rooms.create(room);
+            await expectGameNotFoundEvent(wss, eventType, {context: new EventContext(room.roomID, GAME_ID, player.playerID)});
+        });
+
+        test('sends error response if request does not come from host', async () => {
+            const { game, player } = await createGame();
+            const event = new WebsocketEvent(eventType, {context: EventContext.fromGame(game, player.playerID)});
+            const mockWS = getMockWebsocket();
+            await wss.handleEndGame(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'only the host may end games', StatusCodes.FORBIDDEN);
+        });
+
+        test('sends error response if game has finished', async () => {
+            const { game, player, room } = await createGame({finishedTime: new Date()});
+            const event = new WebsocketEvent(eventType, {context: EventContext.fromGame(game, player.playerID)});
+            const mockWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[player.playerID]: [mockWS]};
+            await wss.handleEndGame(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'game has finished', StatusCodes.BAD_REQUEST);
+        });
+
+        test('sends error response if game updated concurrently', async () => {
+            const { game, player, room } = await createGame();
+            jest.spyOn(db.games, 'updateGameState').mockResolvedValue(false);
+            const event = new WebsocketEvent(eventType, {context: EventContext.fromGame(game, player.playerID)});
+            const mockWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[player.playerID]: [mockWS]};
+            await wss.handleEndGame(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'game state changed during action', StatusCodes.CONFLICT);
+        });
+
+        test('success - host ends game', async () => {
+            const { game, player, room } = await createGame();
+            const spy = jest.spyOn(wss, 'finishGame');
+            const event = new WebsocketEvent(eventType, {context: EventContext.fromGame(game, player.playerID)});
+            const mockWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[player.playerID]: [mockWS]};
+            await wss.handleEndGame(mockWS, event);
+            expect(spy).toHaveBeenCalledWith(game, room);
+
+            const newGame = await db.games.getByID(game.gameID);
+            expect(newGame.finishedTime).not.toBeNull();
+        });
+    });
+
+    describe('handleKickPlayer', () => {
+        const eventType = EventTypes.KICK_PLAYER;
+
+        test('sends error response if player ID missing', async () => {
+            await expectMissingPlayerIDEvent(wss, eventType);
+        });
+
+        test('sends error response if player not found', async () => {
+            await expectPlayerNotFoundEvent(wss, eventType, {playerID: PLAYER_ID});
+        });
+
+        test('sends error response if room ID missing', async () => {
+            const player = new Player(PLAYER_NAME);
+            await db.players.create(player);
+            await expectMissingRoomIDEvent(wss, eventType, {playerID: player.playerID});
+        });
+
+        test('sends error response if room not found', async () => {
+            const player = new Player(PLAYER_NAME);
+            await db.players.create(player);
+            await expectRoomNotFoundEvent(wss, eventType, {playerID: player.playerID, roomID: ROOM_ID});
+        });
+
+        test('sends error response if request does not come from host', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, player.playerID);
+            player.currentRoomID = room.roomID;
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const mockWS = getMockWebsocket();
+            await wss.handleKickPlayer(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'only the host may kick players', StatusCodes.FORBIDDEN);
+        });
+
+        test('sends error response if player not in room', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            room.hostPlayerID = PLAYER_ID;
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const mockWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [mockWS]};
+            await wss.handleKickPlayer(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'player not in room', StatusCodes.BAD_REQUEST);
+        });
+
+        test('sends error response if player already kicked from room', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, player.playerID);
+            player.currentRoomID = room.roomID;
+            room.hostPlayerID = PLAYER_ID;
+            room.kickedPlayerIDs[player.playerID] = tomorrow();
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const mockWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [mockWS]};
+            await wss.handleKickPlayer(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'player was kicked from room', StatusCodes.BAD_REQUEST);
+        });
+
+        test('sends error response if duration invalid', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            room.playerIDs.push(player.playerID);
+            player.currentRoomID = room.roomID;
+            room.hostPlayerID = PLAYER_ID;
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, duration: -1});
+            const mockWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [mockWS]};
+            await wss.handleKickPlayer(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'invalid duration', StatusCodes.BAD_REQUEST);
+        });
+
+        test('success - host kicks player from room', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            room.playerIDs.push(player.playerID);
+            player.currentRoomID = room.roomID;
+            room.hostPlayerID = PLAYER_ID;
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, duration: 60});
+            const hostWS = getMockWebsocket();
+            const otherHostWS = getMockWebsocket();
+            const playerWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {
+                [PLAYER_ID]: [hostWS, otherHostWS],
+                [player.playerID]: [playerWS],
+            };
+            await wss.handleKickPlayer(hostWS, event);
+            expect(wss.getClient(room.roomID, player.playerID)).toBeNull();
+            expect(wss.getPlayerClients(room.roomID, PLAYER_ID)).toEqual([hostWS, otherHostWS]);
+            expect(wss.getClient(NO_ROOM_KEY, player.playerID)).toBe(playerWS);
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.kickedPlayerIDs[player.playerID]).toBeDefined();
+
+            const newPlayer = await db.players.getByID(player.playerID);
+            expect(newPlayer.currentRoomID).toBeNull();
+
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.HOST_KICKED_PLAYER, event.payload));
+        });
+
+        test('sends error response if room permissions do not allow co-hosts to kick players', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, player.playerID);
+            player.currentRoomID = room.roomID;
+            room.playerIDs.push(PLAYER_ID);
+            room.playerRoles = {[PLAYER_ID]: RoomRoles.CO_HOST};
+            room.rolePermissions = {[RoomRoles.CO_HOST]: [RoomPermissions.MODERATE]};
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, duration: 60});
+            const coHostWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [coHostWS]};
+            await wss.handleKickPlayer(coHostWS, event);
+            expectWebsocketErrorEvent(coHostWS, event, 'only the host may kick players', StatusCodes.FORBIDDEN);
+        });
+
+        test('sends error response if co-host kicks host', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, 'owner');
+            player.currentRoomID = room.roomID;
+            room.hostPlayerID = player.playerID;
+            room.playerIDs.push(player.playerID, PLAYER_ID);
+            room.playerRoles = {[PLAYER_ID]: RoomRoles.CO_HOST};
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, duration: 60});
+            const coHostWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [coHostWS]};
+            await wss.handleKickPlayer(coHostWS, event);
+            expectWebsocketErrorEvent(coHostWS, event, 'may not kick or moderate a player whose role is equal to or above your own', StatusCodes.FORBIDDEN);
+            expect((await db.rooms.getByID(room.roomID)).kickedPlayerIDs).toEqual({});
+        });
+
+        test('sends error response if co-host kicks another co-host', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, 'owner');
+            player.currentRoomID = room.roomID;
+            room.playerIDs.push(player.playerID, PLAYER_ID);
+            room.playerRoles = {[player.playerID]: RoomRoles.CO_HOST, [PLAYER_ID]: RoomRoles.CO_HOST};
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, duration: 60});
+            const coHostWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [coHostWS]};
+            await wss.handleKickPlayer(coHostWS, event);
+            expectWebsocketErrorEvent(coHostWS, event, 'may not kick or moderate a player whose role is equal to or above your own', StatusCodes.FORBIDDEN);
+        });
+
+        test('success - co-host kicks player from room', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, 'owner');
+            player.currentRoomID = room.roomID;
+            room.playerIDs.push(player.playerID, PLAYER_ID);
+            room.playerRoles = {[PLAYER_ID]: RoomRoles.CO_HOST};
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, duration: 0});
+            const coHostWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [coHostWS]};
+            await wss.handleKickPlayer(coHostWS, event);
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.kickedPlayerIDs).toEqual({[player.playerID]: null});
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.HOST_KICKED_PLAYER, event.payload));
+        });
+    });
+
+    describe('handleBanPlayer', () => {
+        const eventType = ServerEventTypes.BAN_PLAYER;
+
+        test('sends error response if player ID missing', async () => {
+            await expectMissingPlayerIDEvent(wss, eventType);
+        });
+
+        test('sends error response if room not found', async () => {
+            const player = new Player(PLAYER_NAME);
+            await db.players.create(player);
+            await expectRoomNotFoundEvent(wss, eventType, {playerID: player.playerID, roomID: ROOM_ID});
+        });
+
+        test('sends error response if request does not come from host or owner', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const mockWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[player.playerID]: [mockWS]};
+            await wss.handleBanPlayer(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'only the host or owner may moderate the room', StatusCodes.FORBIDDEN);
+        });
+
+        test('sends error response if co-host bans host', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, 'owner');
+            room.hostPlayerID = player.playerID;
+            room.playerIDs.push(player.playerID, PLAYER_ID);
+            room.playerRoles = {[PLAYER_ID]: RoomRoles.CO_HOST};
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const coHostWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [coHostWS]};
+            await wss.handleBanPlayer(coHostWS, event);
+            expectWebsocketErrorEvent(coHostWS, event, 'may not kick or moderate a player whose role is equal to or above your own', StatusCodes.FORBIDDEN);
+            expect((await db.rooms.getByID(room.roomID)).kickedPlayerIDs).toEqual({});
+        });
+
+        test('success - owner bans player who is not in room', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            room.hostPlayerID = 'host';
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const ownerWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [ownerWS]};
+            await wss.handleBanPlayer(ownerWS, event);
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.kickedPlayerIDs).toEqual({[player.playerID]: null});
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.HOST_BANNED_PLAYER, {roomID: room.roomID, playerID: player.playerID}));
+        });
+
+        test('success - host bans player in room', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, 'owner');
+            room.hostPlayerID = PLAYER_ID;
+            player.currentRoomID = room.roomID;
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const hostWS = getMockWebsocket();
+            const playerWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {
+                [PLAYER_ID]: [hostWS],
+                [player.playerID]: [playerWS],
+            };
+            await wss.handleBanPlayer(hostWS, event);
+            expect(wss.getClient(room.roomID, player.playerID)).toBeNull();
+            expect(wss.getClient(NO_ROOM_KEY, player.playerID)).toBe(playerWS);
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.kickedPlayerIDs).toEqual({[player.playerID]: null});
+
+            const newPlayer = await db.players.getByID(player.playerID);
+            expect(newPlayer.currentRoomID).toBeNull();
+        });
+    });
+
+    describe('handleGetKickedPlayers', () => {
+        const eventType = ServerEventTypes.GET_KICKED_PLAYERS;
+
+        test('sends error response if room ID missing', async () => {
+            await expectMissingRoomIDEvent(wss, eventType);
+        });
+
+        test('sends error response if request does not come from host or owner', async () => {
+            const room = new Room(ROOM_CODE, 'owner');
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {roomID: room.roomID});
+            const mockWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [mockWS]};
+            await wss.handleGetKickedPlayers(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'only the host or owner may moderate the room', StatusCodes.FORBIDDEN);
+        });
+
+        test('sends kicked players to requesting client', async () => {
+            const kickedPlayer = new Player(PLAYER_NAME);
+            const bannedPlayer = new Player('Banned');
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            room.kickedPlayerIDs = {[kickedPlayer.playerID]: tomorrow(), [bannedPlayer.playerID]: null, expired: yesterday()};
+            await db.players.create(kickedPlayer);
+            await db.players.create(bannedPlayer);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {roomID: room.roomID});
+            const ownerWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [ownerWS]};
+            await wss.handleGetKickedPlayers(ownerWS, event);
+            expectWebsocketEvent(ownerWS, new WebsocketEvent(ServerEventTypes.KICKED_PLAYERS, {
+                roomID: room.roomID,
+                kickedPlayers: [
+                    {playerID: kickedPlayer.playerID, name: PLAYER_NAME, expiration: room.kickedPlayerIDs[kickedPlayer.playerID], banned: false},
+                    {playerID: bannedPlayer.playerID, name: 'Banned', expiration: null, banned: true},
+                ],
+            }));
+        });
+    });
+
+    describe('handleLiftKick', () => {
+        const eventType = ServerEventTypes.LIFT_KICK;
+
+        test('sends error response if player ID missing', async () => {
+            await expectMissingPlayerIDEvent(wss, eventType);
+        });
+
+        test('sends error response if request does not come from host or owner', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, 'owner');
+            room.kickedPlayerIDs[player.playerID] = null;
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const mockWS = getMockWebsocket();
+            await wss.handleLiftKick(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'only the host or owner may moderate the room', StatusCodes.FORBIDDEN);
+        });
+
+        test('sends error response if player not kicked', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const ownerWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [ownerWS]};
+            await wss.handleLiftKick(ownerWS, event);
+            expectWebsocketErrorEvent(ownerWS, event, 'player is not kicked from room', StatusCodes.NOT_FOUND);
+        });
+
+        test('success - host lifts kick', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, 'owner');
+            room.hostPlayerID = PLAYER_ID;
+            room.kickedPlayerIDs[player.playerID] = null;
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const hostWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [hostWS]};
+            await wss.handleLiftKick(hostWS, event);
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.kickedPlayerIDs).toEqual({});
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.HOST_LIFTED_KICK, {roomID: room.roomID, playerID: player.playerID}));
+        });
+    });
+
+    describe('handleMutePlayer', () => {
+        const eventType = ServerEventTypes.MUTE_PLAYER;
+
+        test('sends error response if player ID missing', async () => {
+            await expectMissingPlayerIDEvent(wss, eventType);
+        });
+
+        test('sends error response if request does not come from host or owner', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, 'owner');
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, duration: 0});
+            const mockWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[player.playerID]: [mockWS]};
+            await wss.handleMutePlayer(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'only the host or owner may moderate the room', StatusCodes.FORBIDDEN);
+        });
+
+        test('sends error response if duration invalid', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, duration: -1});
+            const ownerWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [ownerWS]};
+            await wss.handleMutePlayer(ownerWS, event);
+            expectWebsocketErrorEvent(ownerWS, event, 'invalid duration', StatusCodes.BAD_REQUEST);
+        });
+
+        test('sends error response if host mutes owner', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, player.playerID);
+            room.hostPlayerID = PLAYER_ID;
+            await db.players.create(player);
+            await db.rooms.create(room);
 
-            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.PLAYER_STOPPED_SPECTATING, {roomID: room.roomID, playerID: player.playerID}));
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, duration: 60});
+            const hostWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [hostWS]};
+            await wss.handleMutePlayer(hostWS, event);
+            expectWebsocketErrorEvent(hostWS, event, 'may not kick or moderate a player whose role is equal to or above your own', StatusCodes.FORBIDDEN);
         });
 
-        test('success - player stops spectating without game (in lobby)', async () => {
-            const player = new Player(PLAYER_NAME, null, true);
-            const room = new Room(ROOM_CODE, player.playerID);
-            player.currentRoomID = room.roomID;
+        test('success - host mutes player', async () => {
+            const now = Date.now();
+            jest.spyOn(Date, 'now').mockReturnValue(now);
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, 'owner');
+            room.hostPlayerID = PLAYER_ID;
             await db.players.create(player);
             await db.rooms.create(room);
 
             const spy = jest.spyOn(wss, 'broadcast');
-            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
-            await wss.handleStopSpectating(getMockWebsocket(), event);
-
-            const newPlayer = await db.players.getByID(player.playerID);
-            expect(newPlayer.spectating).toBeFalsy();
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, duration: 60});
+            const hostWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [hostWS]};
+            await wss.handleMutePlayer(hostWS, event);
 
-            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.PLAYER_STOPPED_SPECTATING, event.payload));
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.mutedPlayerIDs).toEqual({[player.playerID]: now + 60000});
+            expect(wss.isPlayerMuted(newRoom, player.playerID)).toBeTruthy();
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.HOST_MUTED_PLAYER, {roomID: room.roomID, playerID: player.playerID, expiration: now + 60000}));
         });
     });
 
-    describe('handleAbandonGame', () => {
-        const eventType = EventTypes.ABANDON_GAME;
+    describe('handleUnmutePlayer', () => {
+        const eventType = ServerEventTypes.UNMUTE_PLAYER;
 
         test('sends error response if player ID missing', async () => {
             await expectMissingPlayerIDEvent(wss, eventType);
         });
 
-        test('sends error response if player not found', async () => {
-            await expectPlayerNotFoundEvent(wss, eventType, {context: {playerID: PLAYER_ID}});
+        test('sends error response if request does not come from host or owner', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, 'owner');
+            room.mutedPlayerIDs = {[player.playerID]: null};
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const mockWS = getMockWebsocket();
+            await wss.handleUnmutePlayer(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'only the host or owner may moderate the room', StatusCodes.FORBIDDEN);
         });
 
-        test('sends error response if room ID missing', async () => {
+        test('sends error response if player not muted', async () => {
             const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
             await db.players.create(player);
-            await expectMissingRoomIDEvent(wss, eventType, {context: {playerID: player.playerID}});
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const ownerWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [ownerWS]};
+            await wss.handleUnmutePlayer(ownerWS, event);
+            expectWebsocketErrorEvent(ownerWS, event, 'player is not muted in room', StatusCodes.NOT_FOUND);
         });
 
-        test('sends error response if room not found', async () => {
+        test('success - owner unmutes player', async () => {
             const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            room.mutedPlayerIDs = {[player.playerID]: null};
             await db.players.create(player);
-            await expectRoomNotFoundEvent(wss, eventType, {context: {playerID: player.playerID, roomID: ROOM_ID}});
+            await db.rooms.create(room);
+
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const ownerWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [ownerWS]};
+            await wss.handleUnmutePlayer(ownerWS, event);
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.mutedPlayerIDs).toEqual({});
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.HOST_UNMUTED_PLAYER, {roomID: room.roomID, playerID: player.playerID}));
         });
+    });
 
-        test('sends error response if game ID missing', async () => {
+    describe('handleGrantRole', () => {
+        const eventType = ServerEventTypes.GRANT_ROLE;
+
+        test('sends error response if player ID missing', async () => {
+            await expectMissingPlayerIDEvent(wss, eventType);
+        });
+
+        test('sends error response if player not in room', async () => {
             const player = new Player(PLAYER_NAME);
             const room = new Room(ROOM_CODE, PLAYER_ID);
             await db.players.create(player);
             await db.rooms.create(room);
-            await expectMissingGameIDEvent(wss, eventType, {context: {playerID: player.playerID, roomID: room.roomID}});
+            await expectPlayerNotInRoomEvent(wss, eventType, {playerID: player.playerID, roomID: room.roomID, role: RoomRoles.CO_HOST});
         });
 
-        test('sends error response if game not found', async () => {
+        test('sends error response if request does not come from owner', async () => {
             const player = new Player(PLAYER_NAME);
-            const room = new Room(ROOM_CODE, PLAYER_ID);
+            const room = new Room(ROOM_CODE, 'owner');
+            room.hostPlayerID = PLAYER_ID;
+            room.playerIDs.push(player.playerID, PLAYER_ID);
+            player.currentRoomID = room.roomID;
             await db.players.create(player);
             await db.rooms.create(room);
-            await expectGameNotFoundEvent(wss, eventType, {context: new EventContext(room.roomID, GAME_ID, player.playerID)});
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, role: RoomRoles.CO_HOST});
+            const hostWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [hostWS]};
+            await wss.handleGrantRole(hostWS, event);
+            expectWebsocketErrorEvent(hostWS, event, 'only the owner may manage roles', StatusCodes.FORBIDDEN);
         });
 
-        test('sends error response if request does not come from host', async () => {
+        test('sends error response if role cannot be granted', async () => {
             const player = new Player(PLAYER_NAME);
-            const room = new Room(ROOM_CODE, player.playerID);
-            const game = new Game(room.roomID, [player.playerID]);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            room.playerIDs.push(player.playerID);
             player.currentRoomID = room.roomID;
-            room.currentGameID = game.gameID;
-            room.hostPlayerID = player.playerID;
-            await db.games.create(game);
             await db.players.create(player);
             await db.rooms.create(room);
 
-            const event = new WebsocketEvent(eventType, {context: new EventContext(room.roomID, game.gameID, player.playerID)});
-            const mockWS = getMockWebsocket();
-            await wss.handleAbandonGame(mockWS, event);
-            expectWebsocketErrorEvent(mockWS, event, 'only the host may abandon games', StatusCodes.FORBIDDEN);
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, role: RoomRoles.OWNER});
+            const ownerWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [ownerWS]};
+            await wss.handleGrantRole(ownerWS, event);
+            expectWebsocketErrorEvent(ownerWS, event, 'invalid role', StatusCodes.BAD_REQUEST);
         });
 
-        test('success - host abandons game', async () => {
+        test('success - owner grants role', async () => {
             const player = new Player(PLAYER_NAME);
-            const room = new Room(ROOM_CODE, player.playerID);
-            const game = new Game(room.roomID, [player.playerID]);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            room.playerIDs.push(player.playerID);
             player.currentRoomID = room.roomID;
-            room.currentGameID = game.gameID;
-            room.hostPlayerID = player.playerID;
-            await db.games.create(game);
             await db.players.create(player);
             await db.rooms.create(room);
 
             const spy = jest.spyOn(wss, 'broadcast');
-            const event = new WebsocketEvent(eventType, {context: new EventContext(room.roomID, game.gameID, player.playerID)});
-            const mockWS = getMockWebsocket();
-            wss.connectedClients[room.roomID] = {[player.playerID]: mockWS};
-            await wss.handleAbandonGame(mockWS, event);
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, role: RoomRoles.CO_HOST});
+            const ownerWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [ownerWS]};
+            await wss.handleGrantRole(ownerWS, event);
 
             const newRoom = await db.rooms.getByID(room.roomID);
-            expect(newRoom.currentGameID).toBeNull();
+            expect(newRoom.playerRoles).toEqual({[player.playerID]: RoomRoles.CO_HOST});
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.ROLE_GRANTED, {roomID: room.roomID, playerID: player.playerID, role: RoomRoles.CO_HOST}));
+        });
 
-            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.HOST_ABANDONED_GAME, event.payload));
+        test('success - owner grants spectator role to player who is not spectating', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            room.playerIDs.push(player.playerID);
+            player.currentRoomID = room.roomID;
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, role: RoomRoles.SPECTATOR});
+            const ownerWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [ownerWS]};
+            await wss.handleGrantRole(ownerWS, event);
+
+            expect((await db.rooms.getByID(room.roomID)).playerRoles).toEqual({[player.playerID]: RoomRoles.SPECTATOR});
+            expect((await db.players.getByID(player.playerID)).spectating).toBeTruthy();
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.PLAYER_STARTED_SPECTATING, {roomID: room.roomID, playerID: player.playerID}));
         });
     });
 
-    describe('handleKickPlayer', () => {
-        const eventType = EventTypes.KICK_PLAYER;
+    describe('handleRevokeRole', () => {
+        const eventType = ServerEventTypes.REVOKE_ROLE;
 
         test('sends error response if player ID missing', async () => {
             await expectMissingPlayerIDEvent(wss, eventType);
         });
 
-        test('sends error response if player not found', async () => {
-            await expectPlayerNotFoundEvent(wss, eventType, {playerID: PLAYER_ID});
+        test('sends error response if request does not come from owner', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, 'owner');
+            room.playerRoles = {[player.playerID]: RoomRoles.CO_HOST};
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const mockWS = getMockWebsocket();
+            await wss.handleRevokeRole(mockWS, event);
+            expectWebsocketErrorEvent(mockWS, event, 'only the owner may manage roles', StatusCodes.FORBIDDEN);
         });
 
-        test('sends error response if room ID missing', async () => {
+        test('sends error response if player has no role', async () => {
             const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
             await db.players.create(player);
-            await expectMissingRoomIDEvent(wss, eventType, {playerID: player.playerID});
+            await db.rooms.create(room);
+
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const ownerWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [ownerWS]};
+            await wss.handleRevokeRole(ownerWS, event);
+            expectWebsocketErrorEvent(ownerWS, event, 'player has no role in room', StatusCodes.NOT_FOUND);
         });
 
-        test('sends error response if room not found', async () => {
+        test('success - owner revokes role', async () => {
             const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            room.playerRoles = {[player.playerID]: RoomRoles.CO_HOST};
             await db.players.create(player);
-            await expectRoomNotFoundEvent(wss, eventType, {playerID: player.playerID, roomID: ROOM_ID});
+            await db.rooms.create(room);
+
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
+            const ownerWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[PLAYER_ID]: [ownerWS]};
+            await wss.handleRevokeRole(ownerWS, event);
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.playerRoles).toEqual({});
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.ROLE_REVOKED, {roomID: room.roomID, playerID: player.playerID, role: RoomRoles.CO_HOST}));
         });
+    });
 
-        test('sends error response if request does not come from host', async () => {
+    describe('handleSetRolePermissions', () => {
+        const eventType = ServerEventTypes.SET_ROLE_PERMISSIONS;
+
+        test('sends error response if request does not come from owner', async () => {
             const player = new Player(PLAYER_NAME);
-            const room = new Room(ROOM_CODE, player.playerID);
-            player.currentRoomID = room.roomID;
+            const room = new Room(ROOM_CODE, 'owner');
+            room.hostPlayerID = player.playerID;
             await db.players.create(player);
             await db.rooms.create(room);
 
-            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
-            const mockWS = getMockWebsocket();
-            await wss.handleKickPlayer(mockWS, event);
-            expectWebsocketErrorEvent(mockWS, event, 'only the host may kick players', StatusCodes.FORBIDDEN);
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, role: RoomRoles.PLAYER, permissions: []});
+            const hostWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[player.playerID]: [hostWS]};
+            await wss.handleSetRolePermissions(hostWS, event);
+            expectWebsocketErrorEvent(hostWS, event, 'only the owner may manage roles', StatusCodes.FORBIDDEN);
         });
 
-        test('sends error response if player not in room', async () => {
+        test('sends error response if role invalid', async () => {
             const player = new Player(PLAYER_NAME);
-            const room = new Room(ROOM_CODE, PLAYER_ID);
-            room.hostPlayerID = PLAYER_ID;
+            const room = new Room(ROOM_CODE, player.playerID);
             await db.players.create(player);
             await db.rooms.create(room);
 
-            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
-            const mockWS = getMockWebsocket();
-            wss.connectedClients[room.roomID] = {[PLAYER_ID]: mockWS};
-            await wss.handleKickPlayer(mockWS, event);
-            expectWebsocketErrorEvent(mockWS, event, 'player not in room', StatusCodes.BAD_REQUEST);
+            const ownerWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[player.playerID]: [ownerWS]};
+            for (const role of ['admin', RoomRoles.OWNER]) {
+                const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, role: role, permissions: []});
+                await wss.handleSetRolePermissions(ownerWS, event);
+                expectWebsocketErrorEvent(ownerWS, event, 'invalid role', StatusCodes.BAD_REQUEST);
+            }
         });
 
-        test('sends error response if player already kicked from room', async () => {
+        test('sends error response if permissions invalid', async () => {
             const player = new Player(PLAYER_NAME);
             const room = new Room(ROOM_CODE, player.playerID);
-            player.currentRoomID = room.roomID;
-            room.hostPlayerID = PLAYER_ID;
-            room.kickedPlayerIDs[player.playerID] = tomorrow();
             await db.players.create(player);
             await db.rooms.create(room);
 
-            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID});
-            const mockWS = getMockWebsocket();
-            wss.connectedClients[room.roomID] = {[PLAYER_ID]: mockWS};
-            await wss.handleKickPlayer(mockWS, event);
-            expectWebsocketErrorEvent(mockWS, event, 'player was kicked from room', StatusCodes.BAD_REQUEST);
+            const ownerWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[player.playerID]: [ownerWS]};
+            for (const permissions of [undefined, RoomPermissions.KICK_PLAYER, [RoomPermissions.KICK_PLAYER, 'close_room']]) {
+                const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, role: RoomRoles.CO_HOST, permissions: permissions});
+                await wss.handleSetRolePermissions(ownerWS, event);
+                expectWebsocketErrorEvent(ownerWS, event, 'invalid permissions', StatusCodes.BAD_REQUEST);
+            }
         });
 
-        test('sends error response if duration invalid', async () => {
+        test('success - owner sets role permissions', async () => {
             const player = new Player(PLAYER_NAME);
             const room = new Room(ROOM_CODE, player.playerID);
-            player.currentRoomID = room.roomID;
-            room.hostPlayerID = PLAYER_ID;
             await db.players.create(player);
             await db.rooms.create(room);
 
-            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, duration: -1});
-            const mockWS = getMockWebsocket();
-            wss.connectedClients[room.roomID] = {[PLAYER_ID]: mockWS};
-            await wss.handleKickPlayer(mockWS, event);
-            expectWebsocketErrorEvent(mockWS, event, 'invalid duration', StatusCodes.BAD_REQUEST);
+            const spy = jest.spyOn(wss, 'broadcast');
+            const permissions = [RoomPermissions.KICK_PLAYER, RoomPermissions.MODERATE, RoomPermissions.KICK_PLAYER];
+            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, role: RoomRoles.CO_HOST, permissions: permissions});
+            const ownerWS = getMockWebsocket();
+            wss.connectedClients[room.roomID] = {[player.playerID]: [ownerWS]};
+            await wss.handleSetRolePermissions(ownerWS, event);
+
+            const expectedPermissions = [RoomPermissions.KICK_PLAYER, RoomPermissions.MODERATE];
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.rolePermissions).toEqual({[RoomRoles.CO_HOST]: expectedPermissions});
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(ServerEventTypes.ROLE_PERMISSIONS_CHANGED, {roomID: room.roomID, role: RoomRoles.CO_HOST, permissions: expectedPermissions}));
         });
+    });
 
-        test('success - host kicks player from room', async () => {
+    describe('finishGame', () => {
+        test('returns null without recording results if game updated concurrently', async () => {
             const player = new Player(PLAYER_NAME);
             const room = new Room(ROOM_CODE, player.playerID);
-            player.currentRoomID = room.roomID;
-            room.hostPlayerID = PLAYER_ID;
+            const game = new Game(room.roomID, [player.playerID]);
+            game.scores[player.playerID] = 200;
+            room.currentGameID = game.gameID;
+            await db.games.create(game);
             await db.players.create(player);
             await db.rooms.create(room);
+            await db.games.updateGameState(game.gameID, 0, {$inc: {[`scores.${player.playerID}`]: 200}});
 
             const spy = jest.spyOn(wss, 'broadcast');
-            const event = new WebsocketEvent(eventType, {playerID: player.playerID, roomID: room.roomID, duration: 60});
-            const hostWS = getMockWebsocket();
-            const playerWS = getMockWebsocket();
-            wss.connectedClients[room.roomID] = {
-                [PLAYER_ID]: hostWS,
-                [player.playerID]: playerWS,
+            expect(await wss.finishGame(game, room)).toBeNull();
+            expect(spy).not.toHaveBeenCalled();
+            expect(await db.players.getByID(player.playerID)).toEqual(player);
+            expect(await db.rooms.getByID(room.roomID)).toEqual(room);
+        });
+
+        test('records results and broadcasts GAME_ENDED event', async () => {
+            const player1 = new Player('Fred');
+            const player2 = new Player('Barney');
+            const spectator = new Player('Wilma', null, true);
+            const room = new Room(ROOM_CODE, player1.playerID);
+            const game = new Game(room.roomID, [player1.playerID, player2.playerID, spectator.playerID]);
+            game.scores = {[player1.playerID]: 200, [player2.playerID]: 1000, [spectator.playerID]: 0};
+            room.currentGameID = game.gameID;
+            room.currentChampion = player2.playerID;
+            room.currentWinningStreak = 2;
+            await db.games.create(game);
+            await db.players.createMany([player1, player2, spectator]);
+            await db.rooms.create(room);
+
+            const spy = jest.spyOn(wss, 'broadcast');
+            const result = await wss.finishGame(game, room);
+            const expectedPlaces = {
+                '1st': [{playerID: player2.playerID, name: player2.name, score: 1000}],
+                '2nd': [{playerID: player1.playerID, name: player1.name, score: 200}],
             };
-            await wss.handleKickPlayer(hostWS, event);
-            expect(wss.getClient(room.roomID, player.playerID)).toBeNull();
-            expect(wss.getClient(room.roomID, PLAYER_ID)).toBe(hostWS);
-            expect(wss.getClient(NO_ROOM_KEY, player.playerID)).toBe(playerWS);
+            expect(result.places).toEqual(expectedPlaces);
+            expect(result.currentChampion).toEqual(player2.playerID);
+            expect(result.currentWinningStreak).toEqual(3);
+            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.GAME_ENDED, result));
 
-            const newRoom = await db.rooms.getByID(room.roomID);
-            expect(newRoom.kickedPlayerIDs[player.playerID]).toBeDefined();
+            const newGame = await db.games.getByID(game.gameID);
+            expect(newGame.finishedTime).toEqual(result.finishedTime);
 
-            const newPlayer = await db.players.getByID(player.playerID);
-            expect(newPlayer.currentRoomID).toBeNull();
+            const newPlayer = await db.players.getByID(player2.playerID);
+            expect(newPlayer.stats[PlayerStatsKeys.GAMES_WON]).toEqual(1);
+            expect(newPlayer.stats[PlayerStatsKeys.OVERALL_SCORE]).toEqual(1000);
+            expect(newPlayer.stats[PlayerStatsKeys.HIGHEST_GAME_SCORE]).toEqual(1000);
 
-            expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.HOST_KICKED_PLAYER, event.payload));
+            const newSpectator = await db.players.getByID(spectator.playerID);
+            expect(newSpectator.stats).toEqual(spectator.stats);
+        });
+
+        test('records results of remaining players if scored player is missing', async () => {
+            const player = new Player('Fred');
+            const missingPlayerID = 'missing-player';
+            const room = new Room(ROOM_CODE, player.playerID);
+            const game = new Game(room.roomID, [player.playerID, missingPlayerID]);
+            game.scores = {[player.playerID]: 200, [missingPlayerID]: 1000};
+            room.currentGameID = game.gameID;
+            await db.games.create(game);
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const result = await wss.finishGame(game, room);
+            expect(result.places).toEqual({'1st': [{playerID: player.playerID, name: player.name, score: 200}]});
+            expect(result.currentChampion).toEqual(player.playerID);
+
+            const newPlayer = await db.players.getByID(player.playerID);
+            expect(newPlayer.stats[PlayerStatsKeys.GAMES_WON]).toEqual(1);
+            expect(newPlayer.stats[PlayerStatsKeys.OVERALL_SCORE]).toEqual(200);
+            expect(newPlayer.stats[PlayerStatsKeys.HIGHEST_GAME_SCORE]).toEqual(200);
+            expect(await db.players.getByID(missingPlayerID)).toBeNull();
         });
     });
 
@@ -1854,6 +3840,16 @@ describe('WebsocketServer', () => {
             expectWebsocketErrorEvent(mockWS, event, 'player was kicked from room', StatusCodes.CONFLICT);
         });
 
+        test("uses player's locale for websocket", async () => {
+            const player = new Player(PLAYER_NAME);
+            player.locale = 'es';
+            await db.players.create(player);
+
+            const mockWS = getMockWebsocket();
+            await wss.handleClientConnect(mockWS, new WebsocketEvent(eventType, {playerID: player.playerID}));
+            expect(wss.getClientLocale(mockWS)).toEqual('es');
+        });
+
         test('removes player from kicked players in room if expiration is in the past', async () => {
             const player = new Player(PLAYER_NAME);
             const room = new Room(ROOM_CODE, PLAYER_ID);
@@ -1869,6 +3865,23 @@ describe('WebsocketServer', () => {
             expect(newRoom.kickedPlayerIDs[player.playerID]).not.toBeDefined();
         });
 
+        test('restores archived room', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            await db.players.create(player);
+            await db.rooms.create(room);
+            await db.rooms.archiveByID(room.roomID, new Date());
+            room.archived = true;
+
+            const event = new WebsocketEvent(eventType);
+            const mockWS = getMockWebsocket();
+            await wss.joinRoom(player, room, mockWS, event);
+
+            const newRoom = await db.rooms.getByID(room.roomID);
+            expect(newRoom.archived).toBeFalsy();
+            expect(newRoom.unarchivedTime).toBeTruthy();
+        });
+
         test('removes player from previous room if present', async () => {
             const player = new Player(PLAYER_NAME);
             const otherRoom = new Room('ROOM', player.playerID);
@@ -1887,6 +3900,41 @@ describe('WebsocketServer', () => {
             expect(newPlayer.currentRoomID).toEqual(room.roomID);
         });
 
+        test("moves player's other websockets from previous room", async () => {
+            const player = new Player(PLAYER_NAME);
+            const otherRoom = new Room('ROOM', player.playerID);
+            const room = new Room(ROOM_CODE, player.playerID);
+            player.currentRoomID = otherRoom.roomID;
+            await db.players.create(player);
+            await db.rooms.createMany([room, otherRoom]);
+            const otherWS = getMockWebsocket();
+            wss.addClient(otherRoom.roomID, player.playerID, otherWS);
+
+            const event = new WebsocketEvent(eventType);
+            const mockWS = getMockWebsocket();
+            await wss.joinRoom(player, room, mockWS, event);
+            expect(wss.getClients(otherRoom.roomID)).toEqual({});
+            expect(wss.getPlayerClients(room.roomID, player.playerID)).toEqual([mockWS, otherWS]);
+        });
+
+        test('player with spectator role becomes spectator', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, PLAYER_ID);
+            room.playerIDs = [];
+            room.playerRoles = {[player.playerID]: RoomRoles.SPECTATOR};
+            await db.players.create(player);
+            await db.rooms.create(room);
+
+            const spy = jest.spyOn(wss, 'broadcast');
+            const event = new WebsocketEvent(eventType);
+            const mockWS = getMockWebsocket();
+            await wss.joinRoom(player, room, mockWS, event);
+
+            expect((await db.players.getByID(player.playerID)).spectating).toBeTruthy();
+            const [[joinedEvent]] = spy.mock.calls.filter(([event]) => event.eventType === EventTypes.PLAYER_JOINED_ROOM);
+            expect(joinedEvent.payload.players[player.playerID].spectating).toBeTruthy();
+        });
+
         test('success - player joins room normally', async () => {
             const player = new Player(PLAYER_NAME);
             const room = new Room(ROOM_CODE, player.playerID);
@@ -1910,6 +3958,20 @@ describe('WebsocketServer', () => {
             expect(spy).toHaveBeenCalledWith(new WebsocketEvent(EventTypes.PLAYER_JOINED_ROOM, {roomID: room.roomID, playerID: player.playerID, players: {[player.playerID]: newPlayer}}));
         });
 
+        test('success - sends chat history to player', async () => {
+            const player = new Player(PLAYER_NAME);
+            const room = new Room(ROOM_CODE, player.playerID);
+            const message = new ChatMessage(room.roomID, OTHER_PLAYER_ID, 'Hello');
+            await db.players.create(player);
+            await db.rooms.create(room);
+            await db.chatMessages.create(message);
+
+            const event = new WebsocketEvent(eventType);
+            const mockWS = getMockWebsocket();
+            await wss.joinRoom(player, room, mockWS, event);
+            expectWebsocketEvent(mockWS, new WebsocketEvent(ServerEventTypes.CHAT_HISTORY, {roomID: room.roomID, messages: [message]}));
+        });
+
         test('success - player forced to join as spectator if room is full', async () => {
             const player1 = new Player('Fred');
             const player2 = new Player('Barney');